@@ -0,0 +1,599 @@
+// ITaskRepository - Contract every task storage backend implements
+
+// Sort ranks shared by all backends so "priority" sorts by meaning, not alphabetically
+export const PRIORITY_RANK = { low: 1, medium: 2, high: 3 };
+
+/**
+ * Thrown by update/delete when the caller's expected version is stale
+ */
+export class VersionConflictError extends Error {
+  /**
+   * @param {Object} currentTask - Task as currently stored
+   * @param {number} expectedVersion - Version the caller based its change on
+   */
+  constructor(currentTask, expectedVersion) {
+    super(`Task ${currentTask.id} is at version ${currentTask.version}, expected ${expectedVersion}`);
+    this.name = 'VersionConflictError';
+    this.currentTask = currentTask;
+    this.expectedVersion = expectedVersion;
+  }
+}
+
+/**
+ * Thrown by create/update when new "blocked by" links would make tasks wait on each other
+ */
+export class DependencyCycleError extends Error {
+  /**
+   * @param {string} taskId - Task whose links were being changed
+   * @param {string[]} cycle - Task IDs along the cycle, starting and ending at taskId
+   */
+  constructor(taskId, cycle) {
+    super(`Task ${taskId} would be blocked by itself through ${cycle.join(' -> ')}`);
+    this.name = 'DependencyCycleError';
+    this.taskId = taskId;
+    this.cycle = cycle;
+  }
+}
+
+/**
+ * @interface ITaskRepository
+ */
+export class ITaskRepository {
+  /**
+   * Create a new task
+   * @param {Object} taskData - Task data object
+   * @param {string} taskData.title - Task title (required)
+   * @param {string} [taskData.description] - Task description
+   * @param {string} [taskData.status] - Status ID in the task's workflow (default: its initial status).
+   *   The repository stores the status's category alongside as `statusCategory` (see ./workflows.js).
+   * @param {string} [taskData.priority='medium'] - Task priority (low|medium|high)
+   * @param {string} [taskData.startDate] - Planned start in ISO string format, on or before the due date
+   * @param {string} [taskData.dueDate] - Due date in ISO string format
+   * @param {string[]} [taskData.tags] - Array of tags
+   * @param {string[]} [taskData.blockedBy] - IDs of tasks that must be completed first
+   * @param {Object} [taskData.recurrence] - Schedule { frequency, interval, weekdays, until, count } (see ./recurrence.js)
+   * @param {string|null} [taskData.projectId] - Project the task belongs to (null for none)
+   * @param {string|null} [taskData.ownerId] - User who owns the task
+   * @param {string|null} [taskData.workspaceId] - Workspace the task is shared in (null for a personal task)
+   * @param {string|null} [taskData.assigneeId] - User the task is assigned to (null for unassigned)
+   * @param {Object} [taskData.customFields] - Values of its workspace's custom fields, keyed by field ID
+   *   (already validated; unset values are dropped, see ./customFields.js)
+   * @param {Object} [options]
+   * @param {string} [options.actor] - Who made the change, recorded in the task history
+   * @returns {Promise<Object>} Created task with generated ID, timestamps and version 1. Its
+   *   `position` (board order) is one past the highest in the store, so it lands at the bottom.
+   *   Every returned task carries `blockers`: summaries ({ id, title, status }) of the active,
+   *   unfinished tasks it is blocked by, and `commentCount`.
+   */
+  async create() {
+    throw new Error('create method must be implemented');
+  }
+
+  /**
+   * Find a task by ID, including tasks in the trash (check deletedAt)
+   * @param {string} id - Task ID
+   * @returns {Promise<Object|null>} Task object or null if not found
+   */
+  async findById() {
+    throw new Error('findById method must be implemented');
+  }
+
+  /**
+   * Find all active tasks (trashed tasks are never included) with optional filtering, sorting, and pagination
+   * @param {Object} [filters] - Filter options
+   * @param {string} [filters.status] - Filter by status
+   * @param {string} [filters.priority] - Filter by priority
+   * @param {string|string[]} [filters.tags] - Filter by tags (AND operation)
+   * @param {string} [filters.search] - Search in title and description
+   * @param {boolean} [filters.overdue] - Filter for overdue tasks
+   * @param {string} [filters.dueFrom] - Tasks due at or after this ISO timestamp
+   * @param {string} [filters.dueTo] - Tasks due at or before this ISO timestamp
+   * @param {boolean} [filters.blocked] - true for tasks with open blockers, false for tasks without
+   * @param {string|null} [filters.projectId] - Tasks of this project; null for tasks without a project
+   * @param {string|null} [filters.ownerId] - Tasks owned by this user (omit for every owner)
+   * @param {string|null} [filters.workspaceId] - Tasks of this workspace; null for personal tasks
+   * @param {string|null} [filters.assigneeId] - Tasks assigned to this user; null for unassigned tasks
+   * @param {Object[]} [filters.customFields] - Custom field conditions { fieldId, match, value, min, max },
+   *   all of which must hold (see matchesCustomFieldFilter in ./customFields.js)
+   * @param {string} [filters.sortBy] - Field to sort by (position for board order), or cf.<fieldId>
+   *   for a custom field
+   * @param {string} [filters.sortOrder='asc'] - Sort order (asc|desc)
+   * @param {number} [filters.limit=50] - Maximum number of results
+   * @param {number} [filters.offset=0] - Number of results to skip
+   * @param {string} [filters.cursor] - Start after the task a previous page's `nextCursor` points at,
+   *   instead of at an offset (see ./pagination.js). Ties in the sort order go by task ID.
+   * @returns {Promise<Object>} Object containing tasks array and pagination info
+   *   ({ total, limit, offset or cursor, hasMore, nextCursor })
+   */
+  async findAll() {
+    throw new Error('findAll method must be implemented');
+  }
+
+  /**
+   * Update an existing, active task
+   * @param {string} id - Task ID
+   * @param {Object} updates - Object containing fields to update
+   * @param {Object} [options]
+   * @param {number} [options.expectedVersion] - Only update if the task is still at this version
+   * @param {string} [options.actor] - Who made the change, recorded in the task history
+   * @returns {Promise<Object|null>} Updated task object (version incremented) or null if not found or trashed
+   * @throws {VersionConflictError} When expectedVersion does not match
+   * @throws {DependencyCycleError} When updates.blockedBy would create a dependency cycle
+   *
+   * Completing a recurring task creates its next occurrence in the same write and stores the
+   * new task's ID as nextOccurrenceId; an occurrence only ever spawns one successor.
+   */
+  async update() {
+    throw new Error('update method must be implemented');
+  }
+
+  /**
+   * Move an active task to the trash (sets deletedAt)
+   * @param {string} id - Task ID
+   * @param {Object} [options]
+   * @param {number} [options.expectedVersion] - Only delete if the task is still at this version
+   * @param {string} [options.actor] - Who made the change, recorded in the task history
+   * @returns {Promise<Object|null>} Trashed task object or null if not found or already trashed
+   * @throws {VersionConflictError} When expectedVersion does not match
+   */
+  async delete() {
+    throw new Error('delete method must be implemented');
+  }
+
+  /**
+   * List trashed tasks, most recently deleted first
+   * @param {Object} [options]
+   * @param {number} [options.limit=50] - Maximum number of results
+   * @param {number} [options.offset=0] - Number of results to skip
+   * @param {string|null} [options.ownerId] - Only this user's trashed tasks
+   * @param {string|null} [options.workspaceId] - Only this workspace's trashed tasks (null: personal ones)
+   * @returns {Promise<Object>} { tasks, pagination }
+   */
+  async findTrash() {
+    throw new Error('findTrash method must be implemented');
+  }
+
+  /**
+   * Move a trashed task back to the active list
+   * @param {string} id - Task ID
+   * @param {Object} [options]
+   * @param {string} [options.actor] - Who made the change, recorded in the task history
+   * @returns {Promise<Object|null>} Restored task or null if it is not in the trash
+   */
+  async restore() {
+    throw new Error('restore method must be implemented');
+  }
+
+  /**
+   * Permanently remove a trashed task (its history is kept; links to it, its comments and attachment records are dropped)
+   * @param {string} id - Task ID
+   * @param {Object} [options]
+   * @param {string} [options.actor] - Who made the change, recorded in the task history
+   * @returns {Promise<Object|null>} Purged task or null if it is not in the trash
+   */
+  async purge() {
+    throw new Error('purge method must be implemented');
+  }
+
+  /**
+   * Permanently remove every task that was trashed before the cutoff
+   * @param {string} cutoff - ISO timestamp; tasks with deletedAt before it are purged
+   * @returns {Promise<number>} Number of purged tasks
+   */
+  async purgeExpired() {
+    throw new Error('purgeExpired method must be implemented');
+  }
+
+  /**
+   * Permanently remove every trashed task
+   * @param {Object} [options] - { actor } for history, { ownerId, workspaceId } to empty part of the trash only
+   * @returns {Promise<number>} Number of purged tasks
+   */
+  async emptyTrash() {
+    throw new Error('emptyTrash method must be implemented');
+  }
+
+  /**
+   * Get statistics over active tasks
+   * @param {Object} [scope]
+   * @param {string|null} [scope.projectId] - Only count tasks of this project (null: tasks without one)
+   * @param {string|null} [scope.ownerId] - Only count tasks owned by this user
+   * @param {string|null} [scope.workspaceId] - Only count tasks of this workspace (null: personal tasks)
+   * @returns {Promise<Object>} Statistics object with total, byStatus (one count per status of the
+   *   scope's workflow, in order), byCategory ({ todo, in_progress, done }), byPriority,
+   *   overdue, completedToday, tags ({ total, popular }), trashed (trash size) and
+   *   byAssignee ([{ assigneeId, total, completed }], busiest first, unassigned (null) last)
+   */
+  async getStats() {
+    throw new Error('getStats method must be implemented');
+  }
+
+  /**
+   * Create a project
+   * @param {Object} projectData - { name, description?, color?, ownerId? }
+   * @returns {Promise<Object>} Created project with taskCount 0
+   */
+  async createProject() {
+    throw new Error('createProject method must be implemented');
+  }
+
+  /**
+   * List projects by name. Each carries taskCount, the number of its active tasks.
+   * @param {Object} [scope]
+   * @param {string|null} [scope.ownerId] - Only projects owned by this user
+   * @returns {Promise<Array>} Projects
+   */
+  async findProjects() {
+    throw new Error('findProjects method must be implemented');
+  }
+
+  /**
+   * Find a project by ID
+   * @param {string} id - Project ID
+   * @returns {Promise<Object|null>} Project with taskCount, or null if not found
+   */
+  async findProjectById() {
+    throw new Error('findProjectById method must be implemented');
+  }
+
+  /**
+   * Update a project's name, description or color
+   * @param {string} id - Project ID
+   * @param {Object} updates - Fields to change
+   * @returns {Promise<Object|null>} Updated project or null if not found
+   */
+  async updateProject() {
+    throw new Error('updateProject method must be implemented');
+  }
+
+  /**
+   * Delete a project. Its tasks (active and trashed) are kept and lose their projectId.
+   * @param {string} id - Project ID
+   * @returns {Promise<Object|null>} Deleted project or null if not found
+   */
+  async deleteProject() {
+    throw new Error('deleteProject method must be implemented');
+  }
+
+  /**
+   * Create a workspace; its creator becomes the only owner
+   * @param {Object} workspaceData - { name, ownerId }
+   * @returns {Promise<Object>} Created workspace { id, name, members, customFields, workflow, createdAt,
+   *   updatedAt, taskCount }. `workflow` is always filled in, with the default one when it was never changed.
+   */
+  async createWorkspace() {
+    throw new Error('createWorkspace method must be implemented');
+  }
+
+  /**
+   * List the workspaces a user is a member of, sorted by name
+   * @param {Object} scope - { userId }
+   * @returns {Promise<Array>} Workspaces with members [{ userId, role, addedAt }] and taskCount
+   */
+  async findWorkspaces() {
+    throw new Error('findWorkspaces method must be implemented');
+  }
+
+  /**
+   * Find a workspace by ID
+   * @param {string} id - Workspace ID
+   * @returns {Promise<Object|null>} Workspace with members and taskCount, or null if not found
+   */
+  async findWorkspaceById() {
+    throw new Error('findWorkspaceById method must be implemented');
+  }
+
+  /**
+   * Rename a workspace
+   * @param {string} id - Workspace ID
+   * @param {Object} updates - { name }
+   * @returns {Promise<Object|null>} Updated workspace or null if not found
+   */
+  async updateWorkspace() {
+    throw new Error('updateWorkspace method must be implemented');
+  }
+
+  /**
+   * Delete a workspace. Its tasks (active and trashed) become personal tasks of their owners,
+   * unassigned unless they were assigned to that owner, and lose their custom field values.
+   * Statuses the default workflow doesn't have are mapped onto it by category.
+   * @param {string} id - Workspace ID
+   * @returns {Promise<Object|null>} Deleted workspace or null if not found
+   */
+  async deleteWorkspace() {
+    throw new Error('deleteWorkspace method must be implemented');
+  }
+
+  /**
+   * Add a member to a workspace, or change the role of an existing member
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} userId - User ID
+   * @param {string} role - owner | editor | viewer (see ./workspaces.js)
+   * @returns {Promise<Object|null>} Updated workspace or null if not found
+   */
+  async setWorkspaceMember() {
+    throw new Error('setWorkspaceMember method must be implemented');
+  }
+
+  /**
+   * Remove a member from a workspace. Tasks they created stay in the workspace; tasks assigned
+   * to them there become unassigned.
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Updated workspace or null if not found
+   */
+  async removeWorkspaceMember() {
+    throw new Error('removeWorkspaceMember method must be implemented');
+  }
+
+  /**
+   * Add a custom field to a workspace; workspaces list theirs in `customFields`, oldest first
+   * @param {string} workspaceId - Workspace ID
+   * @param {Object} fieldData - { name, type, options, required } (see ./customFields.js)
+   * @returns {Promise<Object|null>} Created field or null if the workspace was not found
+   */
+  async createCustomField() {
+    throw new Error('createCustomField method must be implemented');
+  }
+
+  /**
+   * Change a custom field's name, options or required flag; its type is fixed. Task values that
+   * use a removed option are dropped without changing the tasks' version or history.
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} fieldId - Field ID
+   * @param {Object} updates - { name, options, required }
+   * @returns {Promise<Object|null>} Updated field or null if not found in this workspace
+   */
+  async updateCustomField() {
+    throw new Error('updateCustomField method must be implemented');
+  }
+
+  /**
+   * Delete a custom field and remove its values from the workspace's tasks
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} fieldId - Field ID
+   * @returns {Promise<Object|null>} Deleted field or null if not found in this workspace
+   */
+  async deleteCustomField() {
+    throw new Error('deleteCustomField method must be implemented');
+  }
+
+  /**
+   * Replace a workspace's workflow. Tasks (active and trashed) in a removed status move to the
+   * status `moveTasks` names for it, or else to the first status of the same category; tasks
+   * whose status changed category get the new one. Neither changes the tasks' version or history.
+   * @param {string} workspaceId - Workspace ID
+   * @param {Object} workflow - { statuses, transitions }, already validated (see ./workflows.js)
+   * @param {Object} [options]
+   * @param {Object} [options.moveTasks] - { removedStatusId: newStatusId }
+   * @returns {Promise<Object|null>} Updated workspace or null if not found
+   */
+  async updateWorkflow() {
+    throw new Error('updateWorkflow method must be implemented');
+  }
+
+  /**
+   * Get the field-level change history of a task, newest first.
+   * History outlives the task, so deleted tasks still have one.
+   * @param {string} taskId - Task ID
+   * @param {Object} [options]
+   * @param {number} [options.limit=20] - Maximum number of entries
+   * @param {number} [options.offset=0] - Number of entries to skip
+   * @param {string|null} [options.ownerId] - Only entries recorded while this user owned the task
+   * @returns {Promise<Object>} { entries: [{ id, taskId, action, version, changes, actor, ownerId, timestamp }], pagination }
+   */
+  async getHistory() {
+    throw new Error('getHistory method must be implemented');
+  }
+
+  /**
+   * Create a user account
+   * @param {Object} userData - { email, name, passwordHash }
+   * @returns {Promise<Object>} Created user, including passwordHash (see ./users.js toPublicUser)
+   */
+  async createUser() {
+    throw new Error('createUser method must be implemented');
+  }
+
+  /**
+   * Find a user by email, case-insensitively
+   * @param {string} email - Email address
+   * @returns {Promise<Object|null>} User with passwordHash, or null if not registered
+   */
+  async findUserByEmail() {
+    throw new Error('findUserByEmail method must be implemented');
+  }
+
+  /**
+   * Find a user by ID
+   * @param {string} id - User ID
+   * @returns {Promise<Object|null>} User with passwordHash, or null if not found
+   */
+  async findUserById() {
+    throw new Error('findUserById method must be implemented');
+  }
+
+  /**
+   * Count registered users
+   * @returns {Promise<number>} Number of users
+   */
+  async countUsers() {
+    throw new Error('countUsers method must be implemented');
+  }
+
+  /**
+   * Give every unowned task, project and history entry (data from before accounts existed) to a user.
+   * Versions are not bumped and no history is recorded.
+   * @param {string} ownerId - User ID
+   * @returns {Promise<{tasks: number, projects: number}>} How many tasks and projects were adopted
+   */
+  async claimUnowned() {
+    throw new Error('claimUnowned method must be implemented');
+  }
+
+  /**
+   * Create an API key for a user
+   * @param {Object} keyData - { userId, name, scopes, prefix, keyHash }
+   * @returns {Promise<Object>} Created key, including keyHash (see ./apiKeys.js toPublicApiKey)
+   */
+  async createApiKey() {
+    throw new Error('createApiKey method must be implemented');
+  }
+
+  /**
+   * List a user's API keys, newest first
+   * @param {Object} scope - { userId }
+   * @returns {Promise<Array>} Keys with keyHash
+   */
+  async findApiKeys() {
+    throw new Error('findApiKeys method must be implemented');
+  }
+
+  /**
+   * Find the API key with this hash, to authenticate a request
+   * @param {string} keyHash - SHA-256 hash of the key (see ../middleware/auth.js hashApiKey)
+   * @returns {Promise<Object|null>} Key or null if no key has this hash
+   */
+  async findApiKeyByHash() {
+    throw new Error('findApiKeyByHash method must be implemented');
+  }
+
+  /**
+   * Record that an API key was used
+   * @param {string} id - API key ID
+   * @param {string} usedAt - ISO timestamp
+   * @returns {Promise<void>}
+   */
+  async touchApiKey() {
+    throw new Error('touchApiKey method must be implemented');
+  }
+
+  /**
+   * Revoke (permanently delete) an API key
+   * @param {string} id - API key ID
+   * @returns {Promise<Object|null>} Deleted key or null if not found
+   */
+  async deleteApiKey() {
+    throw new Error('deleteApiKey method must be implemented');
+  }
+
+  /**
+   * Add a comment to a task. Comments don't change the task's version or history.
+   * @param {Object} commentData - { taskId, authorId, body }
+   * @returns {Promise<Object>} Created comment (see ./comments.js createCommentRecord)
+   */
+  async createComment() {
+    throw new Error('createComment method must be implemented');
+  }
+
+  /**
+   * List a task's comments, oldest first
+   * @param {string} taskId - Task ID
+   * @param {Object} [options] - { limit, offset }
+   * @returns {Promise<{comments: Array, pagination: Object}>} Page of comments
+   */
+  async findComments() {
+    throw new Error('findComments method must be implemented');
+  }
+
+  /**
+   * Find a comment by ID
+   * @param {string} id - Comment ID
+   * @returns {Promise<Object|null>} Comment or null if not found
+   */
+  async findCommentById() {
+    throw new Error('findCommentById method must be implemented');
+  }
+
+  /**
+   * Change a comment's text, setting editedAt
+   * @param {string} id - Comment ID
+   * @param {Object} changes - { body }
+   * @returns {Promise<Object|null>} Updated comment or null if not found
+   */
+  async updateComment() {
+    throw new Error('updateComment method must be implemented');
+  }
+
+  /**
+   * Delete a comment
+   * @param {string} id - Comment ID
+   * @returns {Promise<Object|null>} Deleted comment or null if not found
+   */
+  async deleteComment() {
+    throw new Error('deleteComment method must be implemented');
+  }
+
+  /**
+   * Record an uploaded file against a task. Only metadata is kept here; the file
+   * itself is written to the attachment storage under the returned storageKey.
+   * @param {Object} attachmentData - { taskId, uploaderId, fileName, contentType, size }
+   * @returns {Promise<Object>} Created attachment
+   */
+  async createAttachment() {
+    throw new Error('createAttachment method must be implemented');
+  }
+
+  /**
+   * List a task's attachments, oldest first
+   * @param {string} taskId - Task ID
+   * @returns {Promise<Array>} Attachments
+   */
+  async findAttachments() {
+    throw new Error('findAttachments method must be implemented');
+  }
+
+  /**
+   * Find an attachment by ID
+   * @param {string} id - Attachment ID
+   * @returns {Promise<Object|null>} Attachment or null if not found
+   */
+  async findAttachmentById() {
+    throw new Error('findAttachmentById method must be implemented');
+  }
+
+  /**
+   * Delete an attachment's metadata. Purging a task removes its attachments too.
+   * @param {string} id - Attachment ID
+   * @returns {Promise<Object|null>} Deleted attachment or null if not found
+   */
+  async deleteAttachment() {
+    throw new Error('deleteAttachment method must be implemented');
+  }
+
+  /**
+   * Clear all tasks, their history, comments and attachments, projects, workspaces, users and API keys (mainly for testing)
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    throw new Error('clear method must be implemented');
+  }
+
+  /**
+   * Get all tasks without filtering (for debugging/testing)
+   * @returns {Promise<Array>} All tasks
+   */
+  async getAllRaw() {
+    throw new Error('getAllRaw method must be implemented');
+  }
+
+  /**
+   * Get the schema migrations recorded as applied to the underlying store
+   * Synchronous so fresh stores can be bootstrapped from the constructor.
+   * @returns {Array<{version: number, name: string, appliedAt: string}>}
+   */
+  getAppliedMigrations() {
+    throw new Error('getAppliedMigrations method must be implemented');
+  }
+
+  /**
+   * Run one migration's hook for this backend and record the result
+   * @param {Object} migration - Migration definition (see ./migrations)
+   * @param {'up'|'down'} direction - Direction to apply
+   */
+  applyMigration() {
+    throw new Error('applyMigration method must be implemented');
+  }
+}
+
+export default ITaskRepository;
@@ -0,0 +1,1810 @@
+// SQLiteTaskRepository - SQLite-backed implementation of ITaskRepository
+// Tasks live in a relational table with a tag join table; filtering, sorting and
+// pagination are pushed down to SQL.
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { v4 as uuidv4 } from 'uuid';
+import {
+  ITaskRepository,
+  PRIORITY_RANK,
+  VersionConflictError,
+  DependencyCycleError
+} from './ITaskRepository.js';
+import { MigrationRunner } from './migrations/MigrationRunner.js';
+import { createSampleTask } from './sampleData.js';
+import { createHistoryEntry } from './taskHistory.js';
+import { normalizeChecklist } from './checklist.js';
+import { findDependencyCycle } from './dependencies.js';
+import { createNextOccurrence, normalizeRecurrence, shouldSpawnNextOccurrence } from './recurrence.js';
+import { createProjectRecord } from './projects.js';
+import { createUserRecord, normalizeEmail, sortAssigneeCounts } from './users.js';
+import { createWorkspaceRecord } from './workspaces.js';
+import { createApiKeyRecord } from './apiKeys.js';
+import { createCommentRecord, editComment } from './comments.js';
+import { createAttachmentRecord } from './attachments.js';
+import {
+  CUSTOM_FIELD_PREFIX,
+  createCustomFieldRecord,
+  getCustomFieldSortValue,
+  normalizeCustomFieldValues,
+  pruneCustomFieldValue
+} from './customFields.js';
+import {
+  DEFAULT_WORKFLOW,
+  STATUS_CATEGORIES,
+  cloneWorkflow,
+  getInitialStatus,
+  getStatusCategory,
+  getWorkflow,
+  mapStatus
+} from './workflows.js';
+import { decodeCursor, encodeCursor } from './pagination.js';
+
+// better-sqlite3 is a native module; it is required on first construction so that
+// the memory and file backends never load it.
+const require = createRequire(import.meta.url);
+
+// Columns a caller may sort by, mapped to SQL expressions
+const SORT_EXPRESSIONS = {
+  title: 't.title COLLATE NOCASE',
+  status: 't.status',
+  priority: `CASE t.priority ${Object.entries(PRIORITY_RANK).map(([value, rank]) => `WHEN '${value}' THEN ${rank}`).join(' ')} END`,
+  createdAt: 't.created_at',
+  updatedAt: 't.updated_at',
+  startDate: 't.start_date',
+  dueDate: 't.due_date',
+  position: 't.position'
+};
+
+// A custom field's value as a sort key, bound to the field's JSON path three times. Multi-select
+// lists sort by their options joined in order, like the in-memory repository.
+const CUSTOM_FIELD_SORT = `
+  CASE json_type(t.custom_fields, ?)
+    WHEN 'array' THEN (SELECT group_concat(value, ', ') FROM json_each(t.custom_fields, ?))
+    ELSE json_extract(t.custom_fields, ?)
+  END COLLATE NOCASE
+`;
+
+// JSON path of a field's value in tasks.custom_fields
+function customFieldPath(fieldId) {
+  return `$."${fieldId.replace(/"/g, '')}"`;
+}
+
+// Blocking tasks of t that are still active and unfinished
+const OPEN_BLOCKERS = `
+  FROM task_dependencies d JOIN tasks b ON b.id = d.blocked_by_id
+  WHERE d.task_id = t.id AND b.deleted_at IS NULL AND b.status_category != 'done'
+`;
+
+// Task columns plus the ordered tags, checklist, dependency links and open blockers aggregated as JSON,
+// and the number of comments
+const SELECT_TASKS = `
+  SELECT t.*,
+    (SELECT json_group_array(tag) FROM (
+      SELECT tag FROM task_tags WHERE task_id = t.id ORDER BY position
+    )) AS tags,
+    (SELECT json_group_array(json_object('id', id, 'text', text, 'done', done)) FROM (
+      SELECT id, text, done FROM task_checklist_items WHERE task_id = t.id ORDER BY position
+    )) AS checklist,
+    (SELECT json_group_array(blocked_by_id) FROM (
+      SELECT blocked_by_id FROM task_dependencies WHERE task_id = t.id ORDER BY position
+    )) AS blocked_by,
+    (SELECT json_group_array(json_object('id', id, 'title', title, 'status', status)) FROM (
+      SELECT b.id, b.title, b.status ${OPEN_BLOCKERS} ORDER BY d.position
+    )) AS blockers,
+    (SELECT COUNT(*) FROM task_comments WHERE task_id = t.id) AS comment_count
+  FROM tasks t
+`;
+
+// Project columns plus the number of active tasks in each project
+const SELECT_PROJECTS = `
+  SELECT p.*,
+    (SELECT COUNT(*) FROM tasks WHERE project_id = p.id AND deleted_at IS NULL) AS task_count
+  FROM projects p
+`;
+
+// Workspace columns plus the members (in the order they joined), the custom fields (in the order
+// they were added) and the number of active tasks
+const SELECT_WORKSPACES = `
+  SELECT w.*,
+    (SELECT json_group_array(json_object('userId', user_id, 'role', role, 'addedAt', added_at)) FROM (
+      SELECT user_id, role, added_at FROM workspace_members WHERE workspace_id = w.id ORDER BY added_at, rowid
+    )) AS members,
+    (SELECT json_group_array(json_object(
+      'id', id, 'workspaceId', workspace_id, 'name', name, 'type', type, 'options', json(options),
+      'required', required, 'createdAt', created_at, 'updatedAt', updated_at
+    )) FROM (
+      SELECT * FROM workspace_custom_fields WHERE workspace_id = w.id ORDER BY created_at, rowid
+    )) AS custom_fields,
+    (SELECT COUNT(*) FROM tasks WHERE workspace_id = w.id AND deleted_at IS NULL) AS task_count
+  FROM workspaces w
+`;
+
+export class SQLiteTaskRepository extends ITaskRepository {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.dbPath=':memory:'] - SQLite database file
+   * @param {boolean} [options.seed=true] - Seed the sample task when the database is new
+   */
+  constructor({ dbPath = ':memory:', seed = true } = {}) {
+    super();
+
+    if (dbPath !== ':memory:') {
+      fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+    }
+
+    this.dbPath = dbPath;
+    this.storageType = 'sqlite';
+    const Database = require('better-sqlite3');
+    this.db = new Database(dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+
+    const { tableCount } = this.db
+      .prepare("SELECT COUNT(*) AS tableCount FROM sqlite_master WHERE type = 'table'")
+      .get();
+
+    // Brand new database: create the schema through the migrations, then seed
+    if (tableCount === 0) {
+      new MigrationRunner(this).migrate();
+
+      if (seed) {
+        this._insertTask(createSampleTask());
+        console.log('SQLiteTaskRepository initialized with 1 sample task');
+      }
+    }
+  }
+
+  /**
+   * Convert a database row into a task object
+   * @private
+   */
+  _rowToTask(row) {
+    return {
+      id: row.id,
+      title: row.title,
+      description: row.description,
+      status: row.status,
+      statusCategory: row.status_category,
+      priority: row.priority,
+      startDate: row.start_date,
+      dueDate: row.due_date,
+      tags: JSON.parse(row.tags || '[]'),
+      checklist: JSON.parse(row.checklist || '[]').map(item => ({ ...item, done: Boolean(item.done) })),
+      requireChecklist: Boolean(row.require_checklist),
+      blockedBy: JSON.parse(row.blocked_by || '[]'),
+      blockers: JSON.parse(row.blockers || '[]'),
+      recurrence: row.recurrence ? JSON.parse(row.recurrence) : null,
+      nextOccurrenceId: row.next_occurrence_id,
+      projectId: row.project_id,
+      ownerId: row.owner_id,
+      workspaceId: row.workspace_id,
+      assigneeId: row.assignee_id,
+      customFields: JSON.parse(row.custom_fields || '{}'),
+      position: row.position,
+      commentCount: row.comment_count,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      deletedAt: row.deleted_at,
+      version: row.version
+    };
+  }
+
+  /**
+   * Convert a database row into a user object
+   * @private
+   */
+  _rowToUser(row) {
+    return {
+      id: row.id,
+      email: row.email,
+      name: row.name,
+      passwordHash: row.password_hash,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * Convert a database row into an API key object
+   * @private
+   */
+  _rowToApiKey(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      name: row.name,
+      scopes: JSON.parse(row.scopes || '[]'),
+      prefix: row.prefix,
+      keyHash: row.key_hash,
+      createdAt: row.created_at,
+      lastUsedAt: row.last_used_at
+    };
+  }
+
+  /**
+   * Convert a database row into a comment object
+   * @private
+   */
+  _rowToComment(row) {
+    return {
+      id: row.id,
+      taskId: row.task_id,
+      authorId: row.author_id,
+      body: row.body,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      editedAt: row.edited_at
+    };
+  }
+
+  /**
+   * Convert a database row into an attachment object
+   * @private
+   */
+  _rowToAttachment(row) {
+    return {
+      id: row.id,
+      taskId: row.task_id,
+      uploaderId: row.uploader_id,
+      fileName: row.file_name,
+      contentType: row.content_type,
+      size: row.size,
+      storageKey: row.storage_key,
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * Convert a database row into a workspace object
+   * @private
+   */
+  _rowToWorkspace(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      members: JSON.parse(row.members || '[]'),
+      customFields: JSON.parse(row.custom_fields || '[]').map(field => ({ ...field, required: Boolean(field.required) })),
+      workflow: row.workflow ? JSON.parse(row.workflow) : cloneWorkflow(DEFAULT_WORKFLOW),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      taskCount: row.task_count
+    };
+  }
+
+  /**
+   * Convert a database row into a project object
+   * @private
+   */
+  _rowToProject(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      description: row.description,
+      color: row.color,
+      ownerId: row.owner_id,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      taskCount: row.task_count
+    };
+  }
+
+  /**
+   * Normalize date values (Joi hands us Date objects) to ISO strings
+   * @private
+   */
+  _toISO(value) {
+    if (value == null) return null;
+    return value instanceof Date ? value.toISOString() : new Date(value).toISOString();
+  }
+
+  /**
+   * Replace the tags of a task
+   * @private
+   */
+  _writeTags(taskId, tags) {
+    this.db.prepare('DELETE FROM task_tags WHERE task_id = ?').run(taskId);
+
+    const insertTag = this.db.prepare(
+      'INSERT OR IGNORE INTO task_tags (task_id, tag, position) VALUES (?, ?, ?)'
+    );
+    tags.forEach((tag, position) => insertTag.run(taskId, tag, position));
+  }
+
+  /**
+   * Replace the checklist items of a task
+   * @private
+   */
+  _writeChecklist(taskId, checklist) {
+    this.db.prepare('DELETE FROM task_checklist_items WHERE task_id = ?').run(taskId);
+
+    const insertItem = this.db.prepare(
+      'INSERT INTO task_checklist_items (id, task_id, text, done, position) VALUES (?, ?, ?, ?, ?)'
+    );
+    checklist.forEach((item, position) =>
+      insertItem.run(item.id, taskId, item.text, item.done ? 1 : 0, position)
+    );
+  }
+
+  /**
+   * Replace the "blocked by" links of a task
+   * @private
+   */
+  _writeDependencies(taskId, blockedBy) {
+    this.db.prepare('DELETE FROM task_dependencies WHERE task_id = ?').run(taskId);
+
+    const insertLink = this.db.prepare(
+      'INSERT OR IGNORE INTO task_dependencies (task_id, blocked_by_id, position) VALUES (?, ?, ?)'
+    );
+    blockedBy.forEach((blockedById, position) => insertLink.run(taskId, blockedById, position));
+  }
+
+  /**
+   * Reject "blocked by" links that would make tasks wait on each other
+   * @private
+   */
+  _assertNoDependencyCycle(taskId, blockedBy) {
+    const selectLinks = this.db.prepare('SELECT blocked_by_id FROM task_dependencies WHERE task_id = ?');
+    const cycle = findDependencyCycle(taskId, blockedBy, id =>
+      selectLinks.all(id).map(row => row.blocked_by_id)
+    );
+    if (cycle) {
+      throw new DependencyCycleError(taskId, cycle);
+    }
+  }
+
+  /**
+   * Insert a fully-formed task with its tags, checklist and dependency links
+   * @private
+   */
+  _insertTask(task) {
+    this.db.transaction(() => {
+      this.db.prepare(`
+        INSERT INTO tasks (id, title, description, status, status_category, priority, start_date, due_date,
+                           require_checklist, recurrence, next_occurrence_id, project_id, owner_id,
+                           workspace_id, assignee_id, custom_fields, position, created_at, updated_at, version)
+        VALUES (@id, @title, @description, @status, @statusCategory, @priority, @startDate, @dueDate,
+                @requireChecklist, @recurrence, @nextOccurrenceId, @projectId, @ownerId,
+                @workspaceId, @assigneeId, @customFields, @position, @createdAt, @updatedAt, @version)
+      `).run({
+        ...task,
+        startDate: this._toISO(task.startDate),
+        dueDate: this._toISO(task.dueDate),
+        requireChecklist: task.requireChecklist ? 1 : 0,
+        recurrence: task.recurrence ? JSON.stringify(task.recurrence) : null,
+        nextOccurrenceId: task.nextOccurrenceId || null,
+        projectId: task.projectId || null,
+        ownerId: task.ownerId || null,
+        workspaceId: task.workspaceId || null,
+        assigneeId: task.assigneeId || null,
+        customFields: JSON.stringify(normalizeCustomFieldValues(task.customFields)),
+        position: task.position ?? 0
+      });
+
+      this._writeTags(task.id, task.tags);
+      this._writeChecklist(task.id, task.checklist || []);
+      this._writeDependencies(task.id, task.blockedBy || []);
+    })();
+  }
+
+  /**
+   * Insert a history entry for a change (call inside the write's transaction)
+   * @private
+   */
+  _recordHistory(action, before, after, options) {
+    const entry = createHistoryEntry(action, before, after, options);
+    if (!entry) return;
+
+    this.db.prepare(`
+      INSERT INTO task_history (id, task_id, action, version, changes, actor, owner_id, created_at)
+      VALUES (@id, @taskId, @action, @version, @changes, @actor, @ownerId, @timestamp)
+    `).run({ ...entry, changes: JSON.stringify(entry.changes) });
+  }
+
+  /**
+   * Fetch a single task row
+   * @private
+   */
+  _getTask(id) {
+    const row = this.db.prepare(`${SELECT_TASKS} WHERE t.id = ?`).get(id);
+    return row ? this._rowToTask(row) : null;
+  }
+
+  /**
+   * Create a new task
+   * @param {Object} taskData - Task data
+   * @param {Object} [options] - { actor } recorded in the task history
+   * @returns {Promise<Object>} Created task
+   */
+  async create(taskData, options = {}) {
+    const task = this.db.transaction(() => this._createTask(taskData, options))();
+    console.log('Created new task:', task.title);
+    return this._getTask(task.id);
+  }
+
+  /**
+   * Build, insert and record a new task (call inside a transaction)
+   * @private
+   */
+  _createTask(taskData, options) {
+    const now = new Date().toISOString();
+    const workflow = this._workflowOf(taskData.workspaceId);
+    const status = taskData.status || getInitialStatus(workflow);
+    const task = {
+      id: uuidv4(),
+      title: taskData.title,
+      description: taskData.description || '',
+      status,
+      statusCategory: getStatusCategory(workflow, status),
+      priority: taskData.priority || 'medium',
+      startDate: this._toISO(taskData.startDate),
+      dueDate: this._toISO(taskData.dueDate),
+      tags: Array.isArray(taskData.tags) ? [...taskData.tags] : [],
+      checklist: normalizeChecklist(taskData.checklist),
+      requireChecklist: Boolean(taskData.requireChecklist),
+      blockedBy: [...new Set(taskData.blockedBy || [])],
+      recurrence: normalizeRecurrence(taskData.recurrence),
+      nextOccurrenceId: null,
+      projectId: taskData.projectId || null,
+      ownerId: taskData.ownerId || null,
+      workspaceId: taskData.workspaceId || null,
+      assigneeId: taskData.assigneeId || null,
+      customFields: normalizeCustomFieldValues(taskData.customFields),
+      // After every stored task, trashed ones included, so a restored task keeps its place
+      position: this.db.prepare('SELECT COALESCE(MAX(position), 0) + 1 AS next FROM tasks').get().next,
+      createdAt: now,
+      updatedAt: now,
+      deletedAt: null,
+      version: 1
+    };
+
+    this._insertTask(task);
+    this._recordHistory('created', null, task, options);
+    return task;
+  }
+
+  /**
+   * Find task by ID
+   * @param {string} id - Task ID
+   * @returns {Promise<Object|null>} Task or null if not found
+   */
+  async findById(id) {
+    return this._getTask(id);
+  }
+
+  /**
+   * Find all tasks with optional filtering and sorting
+   * @param {Object} filters - Filter options
+   * @returns {Promise<Object>} Results with tasks and pagination info
+   */
+  async findAll(filters = {}) {
+    const conditions = ['t.deleted_at IS NULL'];
+    const params = [];
+
+    if (filters.status) {
+      conditions.push('t.status = ?');
+      params.push(filters.status);
+    }
+
+    if (filters.priority) {
+      conditions.push('t.priority = ?');
+      params.push(filters.priority);
+    }
+
+    if (filters.projectId !== undefined) {
+      conditions.push(filters.projectId === null ? 't.project_id IS NULL' : 't.project_id = ?');
+      if (filters.projectId !== null) params.push(filters.projectId);
+    }
+
+    if (filters.ownerId !== undefined) {
+      conditions.push(filters.ownerId === null ? 't.owner_id IS NULL' : 't.owner_id = ?');
+      if (filters.ownerId !== null) params.push(filters.ownerId);
+    }
+
+    if (filters.workspaceId !== undefined) {
+      conditions.push(filters.workspaceId === null ? 't.workspace_id IS NULL' : 't.workspace_id = ?');
+      if (filters.workspaceId !== null) params.push(filters.workspaceId);
+    }
+
+    if (filters.assigneeId !== undefined) {
+      conditions.push(filters.assigneeId === null ? 't.assignee_id IS NULL' : 't.assignee_id = ?');
+      if (filters.assigneeId !== null) params.push(filters.assigneeId);
+    }
+
+    if (filters.tags && filters.tags.length > 0) {
+      const filterTags = Array.isArray(filters.tags) ? filters.tags : [filters.tags];
+      filterTags.forEach(tag => {
+        conditions.push('t.id IN (SELECT task_id FROM task_tags WHERE tag = ?)');
+        params.push(tag);
+      });
+    }
+
+    // A search of only whitespace is no search at all
+    const searchTerm = typeof filters.search === 'string' ? filters.search.trim().toLowerCase() : '';
+    if (searchTerm) {
+      conditions.push('(instr(lower(t.title), ?) > 0 OR instr(lower(t.description), ?) > 0)');
+      params.push(searchTerm, searchTerm);
+    }
+
+    if (filters.overdue === true) {
+      conditions.push("t.due_date IS NOT NULL AND t.due_date < ? AND t.status_category != 'done'");
+      params.push(new Date().toISOString());
+    }
+
+    if (filters.dueFrom) {
+      conditions.push('t.due_date >= ?');
+      params.push(this._toISO(filters.dueFrom));
+    }
+
+    if (filters.dueTo) {
+      conditions.push('t.due_date <= ?');
+      params.push(this._toISO(filters.dueTo));
+    }
+
+    if (typeof filters.blocked === 'boolean') {
+      conditions.push(`${filters.blocked ? '' : 'NOT '}EXISTS (SELECT 1 ${OPEN_BLOCKERS})`);
+    }
+
+    for (const condition of filters.customFields || []) {
+      const { sql, sqlParams } = this._customFieldCondition(condition);
+      conditions.push(sql);
+      params.push(...sqlParams);
+    }
+
+    const where = `WHERE ${conditions.join(' AND ')}`;
+
+    // Default: most recently updated first. Nulls sort last ascending and first descending, and ties
+    // go by ID, matching the in-memory repository.
+    const sortBy = this._sortExpression(filters.sortBy) ? filters.sortBy : 'updatedAt';
+    const sortOrder = filters.sortOrder || (filters.sortBy ? 'asc' : 'desc');
+    const sortKey = this._sortExpression(sortBy);
+    const direction = sortOrder === 'asc' ? 'ASC' : 'DESC';
+    const orderBy = `(${sortKey.sql}) IS NULL ${direction}, ${sortKey.sql} ${direction}, t.id ASC`;
+
+    const limit = Math.min(parseInt(filters.limit) || 50, 100);
+    const after = filters.cursor ? decodeCursor(filters.cursor) : null;
+    const offset = after ? 0 : Math.max(parseInt(filters.offset) || 0, 0);
+    const { sql: afterSql, sqlParams: afterParams } = after
+      ? this._afterCursorCondition(sortKey, sortOrder, after)
+      : { sql: '', sqlParams: [] };
+
+    const { total } = this.db
+      .prepare(`SELECT COUNT(*) AS total FROM tasks t ${where}`)
+      .get(...params);
+
+    // One more than the page, to tell whether there's another
+    const rows = this.db
+      .prepare(`${SELECT_TASKS} ${where} ${afterSql} ORDER BY ${orderBy} LIMIT ? OFFSET ?`)
+      .all(...params, ...afterParams, ...sortKey.params, ...sortKey.params, limit + 1, offset);
+    const tasks = rows.slice(0, limit).map(row => this._rowToTask(row));
+    const hasMore = rows.length > limit;
+    const last = tasks[tasks.length - 1];
+
+    return {
+      tasks,
+      pagination: {
+        total,
+        limit,
+        ...(filters.cursor ? { cursor: filters.cursor } : { offset }),
+        hasMore,
+        nextCursor: hasMore
+          ? encodeCursor({ sortBy, sortOrder, key: this._sortKey(last, sortBy), id: last.id })
+          : null
+      }
+    };
+  }
+
+  /**
+   * Update a task
+   * @param {string} id - Task ID
+   * @param {Object} updates - Updates to apply
+   * @param {Object} [options] - { expectedVersion } for optimistic concurrency, { actor } for history
+   * @returns {Promise<Object|null>} Updated task or null if not found
+   */
+  async update(id, updates, { expectedVersion, actor } = {}) {
+    // Read, version check and write happen in one transaction so no other writer can interleave
+    const updatedTask = this.db.transaction(() => {
+      const existingTask = this._getTask(id);
+      if (!existingTask || existingTask.deletedAt) {
+        return null;
+      }
+      this._assertVersion(existingTask, expectedVersion);
+      if (updates.blockedBy) {
+        this._assertNoDependencyCycle(id, updates.blockedBy);
+      }
+
+      const merged = {
+        ...existingTask,
+        ...updates,
+        ...(updates.checklist && { checklist: normalizeChecklist(updates.checklist) }),
+        ...(updates.blockedBy && { blockedBy: [...new Set(updates.blockedBy)] }),
+        ...('recurrence' in updates && { recurrence: normalizeRecurrence(updates.recurrence) }),
+        ...(updates.customFields && { customFields: normalizeCustomFieldValues(updates.customFields) }),
+        id, // Ensure ID cannot be changed
+        createdAt: existingTask.createdAt, // Preserve creation date
+        updatedAt: new Date().toISOString(),
+        version: existingTask.version + 1
+      };
+      merged.statusCategory = getStatusCategory(this._workflowOf(merged.workspaceId), merged.status);
+
+      // Completing a recurring task schedules its next occurrence (once per occurrence)
+      if (shouldSpawnNextOccurrence(existingTask, merged)) {
+        const nextTaskData = createNextOccurrence(merged);
+        if (nextTaskData) {
+          merged.nextOccurrenceId = this._createTask(nextTaskData, { actor }).id;
+        }
+      }
+
+      this.db.prepare(`
+        UPDATE tasks
+        SET title = @title, description = @description, status = @status,
+            status_category = @statusCategory, priority = @priority,
+            start_date = @startDate, due_date = @dueDate, require_checklist = @requireChecklist, recurrence = @recurrence,
+            next_occurrence_id = @nextOccurrenceId, project_id = @projectId, workspace_id = @workspaceId,
+            assignee_id = @assigneeId, custom_fields = @customFields, position = @position,
+            updated_at = @updatedAt, version = version + 1
+        WHERE id = @id
+      `).run({
+        ...merged,
+        startDate: this._toISO(merged.startDate),
+        dueDate: this._toISO(merged.dueDate),
+        requireChecklist: merged.requireChecklist ? 1 : 0,
+        recurrence: merged.recurrence ? JSON.stringify(merged.recurrence) : null,
+        nextOccurrenceId: merged.nextOccurrenceId,
+        projectId: merged.projectId || null,
+        workspaceId: merged.workspaceId || null,
+        assigneeId: merged.assigneeId || null,
+        customFields: JSON.stringify(merged.customFields)
+      });
+
+      if (updates.tags) {
+        this._writeTags(id, merged.tags);
+      }
+      if (updates.checklist) {
+        this._writeChecklist(id, merged.checklist);
+      }
+      if (updates.blockedBy) {
+        this._writeDependencies(id, merged.blockedBy);
+      }
+      this._recordHistory('updated', existingTask, merged, { actor });
+      return merged;
+    }).immediate();
+
+    if (!updatedTask) {
+      return null;
+    }
+
+    console.log('Updated task:', updatedTask.title);
+    return this._getTask(id);
+  }
+
+  /**
+   * Move a task to the trash
+   * @param {string} id - Task ID
+   * @param {Object} [options] - { expectedVersion } for optimistic concurrency, { actor } for history
+   * @returns {Promise<Object|null>} Trashed task or null if not found
+   */
+  async delete(id, { expectedVersion, actor } = {}) {
+    const task = this.db.transaction(() => {
+      const existingTask = this._getTask(id);
+      if (!existingTask || existingTask.deletedAt) {
+        return null;
+      }
+      this._assertVersion(existingTask, expectedVersion);
+
+      this.db
+        .prepare('UPDATE tasks SET deleted_at = ?, version = version + 1 WHERE id = ?')
+        .run(new Date().toISOString(), id);
+
+      const trashedTask = this._getTask(id);
+      this._recordHistory('deleted', trashedTask, null, { actor });
+      return trashedTask;
+    }).immediate();
+
+    if (task) {
+      console.log('Moved task to trash:', task.title);
+    }
+    return task;
+  }
+
+  /**
+   * List trashed tasks, most recently deleted first
+   * @param {Object} [options] - { limit, offset, ownerId, workspaceId }
+   * @returns {Promise<Object>} Results with tasks and pagination info
+   */
+  async findTrash({ limit = 50, offset = 0, ownerId, workspaceId } = {}) {
+    const { clause, params } = this._ownershipScope({ ownerId, workspaceId }, 't.');
+    const { total } = this.db
+      .prepare(`SELECT COUNT(*) AS total FROM tasks t WHERE t.deleted_at IS NOT NULL ${clause}`)
+      .get(params);
+
+    const rows = this.db
+      .prepare(`${SELECT_TASKS} WHERE t.deleted_at IS NOT NULL ${clause} ORDER BY t.deleted_at DESC, t.rowid ASC LIMIT @limit OFFSET @offset`)
+      .all({ ...params, limit, offset });
+
+    return {
+      tasks: rows.map(row => this._rowToTask(row)),
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore: offset + limit < total
+      }
+    };
+  }
+
+  /**
+   * Move a trashed task back to the active list
+   * @param {string} id - Task ID
+   * @param {Object} [options] - { actor } for history
+   * @returns {Promise<Object|null>} Restored task or null if not in the trash
+   */
+  async restore(id, { actor } = {}) {
+    const task = this.db.transaction(() => {
+      const existingTask = this._getTask(id);
+      if (!existingTask || !existingTask.deletedAt) {
+        return null;
+      }
+
+      this.db
+        .prepare('UPDATE tasks SET deleted_at = NULL, version = version + 1 WHERE id = ?')
+        .run(id);
+
+      const restoredTask = this._getTask(id);
+      this._recordHistory('restored', null, restoredTask, { actor });
+      return restoredTask;
+    }).immediate();
+
+    if (task) {
+      console.log('Restored task from trash:', task.title);
+    }
+    return task;
+  }
+
+  /**
+   * Permanently remove a trashed task
+   * @param {string} id - Task ID
+   * @param {Object} [options] - { actor } for history
+   * @returns {Promise<Object|null>} Purged task or null if not in the trash
+   */
+  async purge(id, { actor } = {}) {
+    const task = this.db.transaction(() => {
+      const existingTask = this._getTask(id);
+      if (!existingTask || !existingTask.deletedAt) {
+        return null;
+      }
+
+      // Tags, checklist items, dependency links, comments and attachments are removed by ON DELETE CASCADE
+      this.db.prepare('DELETE FROM tasks WHERE id = ?').run(id);
+      this._recordHistory('purged', existingTask, null, { actor });
+      return existingTask;
+    }).immediate();
+
+    if (task) {
+      console.log('Purged task:', task.title);
+    }
+    return task;
+  }
+
+  /**
+   * Permanently remove tasks trashed before the cutoff
+   * @param {string} cutoff - ISO timestamp
+   * @returns {Promise<number>} Number of purged tasks
+   */
+  async purgeExpired(cutoff) {
+    const expired = this.db
+      .prepare('SELECT id FROM tasks WHERE deleted_at IS NOT NULL AND deleted_at < ?')
+      .all(cutoff);
+
+    for (const { id } of expired) {
+      await this.purge(id);
+    }
+    return expired.length;
+  }
+
+  /**
+   * Permanently remove every trashed task
+   * @param {Object} [options] - { actor } for history, { ownerId, workspaceId } to empty part of the trash only
+   * @returns {Promise<number>} Number of purged tasks
+   */
+  async emptyTrash({ actor, ownerId, workspaceId } = {}) {
+    const { clause, params } = this._ownershipScope({ ownerId, workspaceId });
+    const trashed = this.db
+      .prepare(`SELECT id FROM tasks WHERE deleted_at IS NOT NULL ${clause}`)
+      .all(params);
+
+    for (const { id } of trashed) {
+      await this.purge(id, { actor });
+    }
+    return trashed.length;
+  }
+
+  /**
+   * SQL conditions (with named params) limiting a query to an owner and/or workspace.
+   * An undefined value leaves that column unrestricted, null matches rows without one.
+   * @private
+   */
+  _ownershipScope({ ownerId, workspaceId } = {}, alias = '') {
+    const clauses = [];
+    const params = {};
+    const columns = [['owner_id', 'ownerId', ownerId], ['workspace_id', 'workspaceId', workspaceId]];
+
+    for (const [column, param, value] of columns) {
+      if (value === null) {
+        clauses.push(`AND ${alias}${column} IS NULL`);
+      } else if (value !== undefined) {
+        clauses.push(`AND ${alias}${column} = @${param}`);
+        params[param] = value;
+      }
+    }
+    return { clause: clauses.join(' '), params };
+  }
+
+  /**
+   * Reject a write based on a stale copy of the task
+   * @private
+   */
+  _assertVersion(task, expectedVersion) {
+    if (expectedVersion !== undefined && task.version !== expectedVersion) {
+      throw new VersionConflictError(task, expectedVersion);
+    }
+  }
+
+  /**
+   * Get task statistics
+   * @param {Object} [scope] - { projectId, ownerId, workspaceId } to count only the tasks matching all of them
+   * @returns {Promise<Object>} Statistics object
+   */
+  async getStats({ projectId, ownerId, workspaceId } = {}) {
+    const now = new Date().toISOString();
+    const today = new Date().toDateString();
+
+    // Project, owner and workspace scope appended to every query (no scope counts all tasks)
+    const projectScope = projectId === undefined ? '' : projectId === null ? 'AND project_id IS NULL' : 'AND project_id = @projectId';
+    const ownershipScope = this._ownershipScope({ ownerId, workspaceId });
+    const scope = `${projectScope} ${ownershipScope.clause}`;
+    const scopeParams = { projectId, ...ownershipScope.params };
+
+    const countBy = (column, values) => {
+      const counts = Object.fromEntries(values.map(value => [value, 0]));
+      this.db
+        .prepare(`SELECT ${column} AS value, COUNT(*) AS count FROM tasks WHERE deleted_at IS NULL ${scope} GROUP BY ${column}`)
+        .all(scopeParams)
+        .forEach(({ value, count }) => {
+          if (value in counts) counts[value] = count;
+        });
+      return counts;
+    };
+
+    const { total } = this.db
+      .prepare(`SELECT COUNT(*) AS total FROM tasks WHERE deleted_at IS NULL ${scope}`)
+      .get(scopeParams);
+    const { trashed } = this.db
+      .prepare(`SELECT COUNT(*) AS trashed FROM tasks WHERE deleted_at IS NOT NULL ${scope}`)
+      .get(scopeParams);
+    const { overdue } = this.db.prepare(`
+      SELECT COUNT(*) AS overdue FROM tasks
+      WHERE deleted_at IS NULL AND due_date IS NOT NULL AND due_date < @now AND status_category != 'done' ${scope}
+    `).get({ ...scopeParams, now });
+    const { tagTotal } = this.db.prepare(`
+      SELECT COUNT(DISTINCT tag) AS tagTotal FROM task_tags
+      WHERE task_id IN (SELECT id FROM tasks WHERE deleted_at IS NULL ${scope})
+    `).get(scopeParams);
+
+    // "Today" is the server's local day, as in the in-memory repository
+    const completedToday = this.db
+      .prepare(`SELECT updated_at FROM tasks WHERE status_category = 'done' AND deleted_at IS NULL ${scope}`)
+      .all(scopeParams)
+      .filter(row => new Date(row.updated_at).toDateString() === today)
+      .length;
+
+    const byAssignee = this.db.prepare(`
+      SELECT assignee_id AS assigneeId, COUNT(*) AS total,
+        SUM(CASE WHEN status_category = 'done' THEN 1 ELSE 0 END) AS completed
+      FROM tasks WHERE deleted_at IS NULL ${scope}
+      GROUP BY assignee_id
+    `).all(scopeParams);
+
+    return {
+      total,
+      byStatus: countBy('status', this._workflowOf(workspaceId).statuses.map(status => status.id)),
+      byCategory: countBy('status_category', STATUS_CATEGORIES),
+      byPriority: countBy('priority', Object.keys(PRIORITY_RANK)),
+      tags: {
+        total: tagTotal,
+        popular: this._getPopularTags(5, scope, scopeParams)
+      },
+      overdue,
+      completedToday,
+      trashed,
+      byAssignee: sortAssigneeCounts(byAssignee)
+    };
+  }
+
+  /**
+   * Clear all tasks (useful for testing)
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM tasks').run();
+      this.db.prepare('DELETE FROM task_history').run();
+      this.db.prepare('DELETE FROM projects').run();
+      this.db.prepare('DELETE FROM workspaces').run();
+      this.db.prepare('DELETE FROM api_keys').run();
+      this.db.prepare('DELETE FROM users').run();
+    })();
+    console.log('Cleared all tasks from repository');
+  }
+
+  /**
+   * Create a project
+   * @param {Object} projectData - { name, description?, color?, ownerId? }
+   * @returns {Promise<Object>} Created project
+   */
+  async createProject(projectData) {
+    const project = createProjectRecord(projectData);
+
+    this.db.prepare(`
+      INSERT INTO projects (id, name, description, color, owner_id, created_at, updated_at)
+      VALUES (@id, @name, @description, @color, @ownerId, @createdAt, @updatedAt)
+    `).run(project);
+
+    console.log('Created new project:', project.name);
+    return this.findProjectById(project.id);
+  }
+
+  /**
+   * List projects by name
+   * @param {Object} [scope] - { ownerId } to list one user's projects only
+   * @returns {Promise<Array>} Projects with task counts
+   */
+  async findProjects({ ownerId } = {}) {
+    const { clause, params } = this._ownershipScope({ ownerId }, 'p.');
+    return this.db
+      .prepare(`${SELECT_PROJECTS} WHERE 1 = 1 ${clause} ORDER BY p.name COLLATE NOCASE, p.created_at`)
+      .all(params)
+      .map(row => this._rowToProject(row));
+  }
+
+  /**
+   * Find project by ID
+   * @param {string} id - Project ID
+   * @returns {Promise<Object|null>} Project or null if not found
+   */
+  async findProjectById(id) {
+    const row = this.db.prepare(`${SELECT_PROJECTS} WHERE p.id = ?`).get(id);
+    return row ? this._rowToProject(row) : null;
+  }
+
+  /**
+   * Update a project
+   * @param {string} id - Project ID
+   * @param {Object} updates - { name?, description?, color? }
+   * @returns {Promise<Object|null>} Updated project or null if not found
+   */
+  async updateProject(id, updates) {
+    const existingProject = await this.findProjectById(id);
+    if (!existingProject) {
+      return null;
+    }
+
+    const merged = { ...existingProject, ...updates, id, updatedAt: new Date().toISOString() };
+    this.db.prepare(`
+      UPDATE projects SET name = @name, description = @description, color = @color, updated_at = @updatedAt
+      WHERE id = @id
+    `).run(merged);
+
+    console.log('Updated project:', merged.name);
+    return this.findProjectById(id);
+  }
+
+  /**
+   * Delete a project; its tasks lose their project_id through ON DELETE SET NULL
+   * @param {string} id - Project ID
+   * @returns {Promise<Object|null>} Deleted project or null if not found
+   */
+  async deleteProject(id) {
+    const project = await this.findProjectById(id);
+    if (!project) {
+      return null;
+    }
+
+    this.db.prepare('DELETE FROM projects WHERE id = ?').run(id);
+    console.log('Deleted project:', project.name);
+    return { ...project, taskCount: 0 };
+  }
+
+  /**
+   * Create a workspace with its creator as owner
+   * @param {Object} workspaceData - { name, ownerId }
+   * @returns {Promise<Object>} Created workspace
+   */
+  async createWorkspace(workspaceData) {
+    const workspace = createWorkspaceRecord(workspaceData);
+
+    this.db.transaction(() => {
+      this.db.prepare(`
+        INSERT INTO workspaces (id, name, created_at, updated_at)
+        VALUES (@id, @name, @createdAt, @updatedAt)
+      `).run(workspace);
+      this._insertWorkspaceMembers(workspace.id, workspace.members);
+    })();
+
+    console.log('Created new workspace:', workspace.name);
+    return this.findWorkspaceById(workspace.id);
+  }
+
+  /**
+   * List the workspaces a user belongs to, by name
+   * @param {Object} scope - { userId }
+   * @returns {Promise<Array>} Workspaces with members and task counts
+   */
+  async findWorkspaces({ userId }) {
+    return this.db
+      .prepare(`
+        ${SELECT_WORKSPACES}
+        WHERE w.id IN (SELECT workspace_id FROM workspace_members WHERE user_id = ?)
+        ORDER BY w.name COLLATE NOCASE, w.created_at
+      `)
+      .all(userId)
+      .map(row => this._rowToWorkspace(row));
+  }
+
+  /**
+   * Find workspace by ID
+   * @param {string} id - Workspace ID
+   * @returns {Promise<Object|null>} Workspace or null if not found
+   */
+  async findWorkspaceById(id) {
+    const row = this.db.prepare(`${SELECT_WORKSPACES} WHERE w.id = ?`).get(id);
+    return row ? this._rowToWorkspace(row) : null;
+  }
+
+  /**
+   * Rename a workspace
+   * @param {string} id - Workspace ID
+   * @param {Object} updates - { name }
+   * @returns {Promise<Object|null>} Updated workspace or null if not found
+   */
+  async updateWorkspace(id, updates) {
+    const { changes } = this.db
+      .prepare('UPDATE workspaces SET name = ?, updated_at = ? WHERE id = ?')
+      .run(updates.name, new Date().toISOString(), id);
+    if (changes === 0) {
+      return null;
+    }
+
+    console.log('Updated workspace:', updates.name);
+    return this.findWorkspaceById(id);
+  }
+
+  /**
+   * Delete a workspace; its tasks lose their workspace_id through ON DELETE SET NULL
+   * @param {string} id - Workspace ID
+   * @returns {Promise<Object|null>} Deleted workspace or null if not found
+   */
+  async deleteWorkspace(id) {
+    const workspace = await this.findWorkspaceById(id);
+    if (!workspace) {
+      return null;
+    }
+
+    this.db.transaction(() => {
+      // A personal task can only be assigned to its owner, and the workspace's fields and statuses go with it
+      this.db
+        .prepare('UPDATE tasks SET assignee_id = NULL WHERE workspace_id = ? AND assignee_id IS NOT owner_id')
+        .run(id);
+      this.db.prepare("UPDATE tasks SET custom_fields = '{}' WHERE workspace_id = ?").run(id);
+      this._relocateStatuses(id, DEFAULT_WORKFLOW);
+      this.db.prepare('DELETE FROM workspaces WHERE id = ?').run(id);
+    })();
+    console.log('Deleted workspace:', workspace.name);
+    return { ...workspace, taskCount: 0 };
+  }
+
+  /**
+   * Add a member to a workspace or change their role
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} userId - User ID
+   * @param {string} role - owner, editor or viewer
+   * @returns {Promise<Object|null>} Updated workspace or null if not found
+   */
+  async setWorkspaceMember(workspaceId, userId, role) {
+    const updated = this.db.transaction(() => {
+      const { changes } = this.db
+        .prepare('UPDATE workspaces SET updated_at = ? WHERE id = ?')
+        .run(new Date().toISOString(), workspaceId);
+      if (changes === 0) return false;
+
+      this.db.prepare(`
+        INSERT INTO workspace_members (workspace_id, user_id, role, added_at)
+        VALUES (@workspaceId, @userId, @role, @addedAt)
+        ON CONFLICT (workspace_id, user_id) DO UPDATE SET role = excluded.role
+      `).run({ workspaceId, userId, role, addedAt: new Date().toISOString() });
+      return true;
+    })();
+
+    return updated ? this.findWorkspaceById(workspaceId) : null;
+  }
+
+  /**
+   * Remove a member from a workspace
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Updated workspace or null if not found
+   */
+  async removeWorkspaceMember(workspaceId, userId) {
+    const updated = this.db.transaction(() => {
+      const { changes } = this.db
+        .prepare('UPDATE workspaces SET updated_at = ? WHERE id = ?')
+        .run(new Date().toISOString(), workspaceId);
+      if (changes === 0) return false;
+
+      this.db
+        .prepare('DELETE FROM workspace_members WHERE workspace_id = ? AND user_id = ?')
+        .run(workspaceId, userId);
+      // Their tasks in this workspace become unassigned
+      this.db
+        .prepare('UPDATE tasks SET assignee_id = NULL WHERE workspace_id = ? AND assignee_id = ?')
+        .run(workspaceId, userId);
+      return true;
+    })();
+
+    return updated ? this.findWorkspaceById(workspaceId) : null;
+  }
+
+  /**
+   * Add a custom field to a workspace
+   * @param {string} workspaceId - Workspace ID
+   * @param {Object} fieldData - { name, type, options, required }
+   * @returns {Promise<Object|null>} Created field or null if the workspace was not found
+   */
+  async createCustomField(workspaceId, fieldData) {
+    const field = createCustomFieldRecord({ ...fieldData, workspaceId });
+
+    const created = this.db.transaction(() => {
+      if (!this._touchWorkspace(workspaceId, field.createdAt)) return false;
+
+      this.db.prepare(`
+        INSERT INTO workspace_custom_fields (id, workspace_id, name, type, options, required, created_at, updated_at)
+        VALUES (@id, @workspaceId, @name, @type, @options, @required, @createdAt, @updatedAt)
+      `).run({ ...field, options: JSON.stringify(field.options), required: field.required ? 1 : 0 });
+      return true;
+    })();
+
+    return created ? field : null;
+  }
+
+  /**
+   * Rename a custom field, change its options or whether it is required.
+   * Values that use a removed option are dropped from the workspace's tasks.
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} fieldId - Field ID
+   * @param {Object} updates - { name, options, required }
+   * @returns {Promise<Object|null>} Updated field or null if not found
+   */
+  async updateCustomField(workspaceId, fieldId, updates) {
+    return this.db.transaction(() => {
+      const field = this._getCustomField(workspaceId, fieldId);
+      if (!field) {
+        return null;
+      }
+
+      const updatedField = { ...field, ...updates, id: field.id, type: field.type, updatedAt: new Date().toISOString() };
+      this._touchWorkspace(workspaceId, updatedField.updatedAt);
+      this.db.prepare(`
+        UPDATE workspace_custom_fields
+        SET name = @name, options = @options, required = @required, updated_at = @updatedAt
+        WHERE id = @id
+      `).run({ ...updatedField, options: JSON.stringify(updatedField.options), required: updatedField.required ? 1 : 0 });
+
+      if (updates.options) {
+        this._rewriteCustomFieldValues(workspaceId, fieldId, values => pruneCustomFieldValue(values, updatedField));
+      }
+      return updatedField;
+    })();
+  }
+
+  /**
+   * Delete a custom field and its values on the workspace's tasks
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} fieldId - Field ID
+   * @returns {Promise<Object|null>} Deleted field or null if not found
+   */
+  async deleteCustomField(workspaceId, fieldId) {
+    return this.db.transaction(() => {
+      const field = this._getCustomField(workspaceId, fieldId);
+      if (!field) {
+        return null;
+      }
+
+      this._touchWorkspace(workspaceId, new Date().toISOString());
+      this.db.prepare('DELETE FROM workspace_custom_fields WHERE id = ?').run(fieldId);
+      this.db
+        .prepare('UPDATE tasks SET custom_fields = json_remove(custom_fields, ?) WHERE workspace_id = ?')
+        .run(customFieldPath(fieldId), workspaceId);
+      return field;
+    })();
+  }
+
+  /**
+   * Replace a workspace's workflow, moving tasks out of removed statuses
+   * @param {string} workspaceId - Workspace ID
+   * @param {Object} workflow - { statuses, transitions }
+   * @param {Object} [options] - { moveTasks: { removedStatusId: newStatusId } }
+   * @returns {Promise<Object|null>} Updated workspace or null if not found
+   */
+  async updateWorkflow(workspaceId, workflow, { moveTasks = {} } = {}) {
+    const updated = this.db.transaction(() => {
+      const { changes } = this.db
+        .prepare('UPDATE workspaces SET workflow = ?, updated_at = ? WHERE id = ?')
+        .run(JSON.stringify(workflow), new Date().toISOString(), workspaceId);
+      if (changes === 0) return false;
+
+      this._relocateStatuses(workspaceId, workflow, moveTasks);
+      return true;
+    })();
+
+    return updated ? this.findWorkspaceById(workspaceId) : null;
+  }
+
+  /**
+   * Fit a workspace's tasks, active and trashed, to a workflow: statuses it lacks are replaced
+   * and categories brought up to date, without touching versions or history (call inside a transaction)
+   * @private
+   */
+  _relocateStatuses(workspaceId, workflow, moveTasks = {}) {
+    const rows = this.db
+      .prepare('SELECT id, status, status_category FROM tasks WHERE workspace_id = ?')
+      .all(workspaceId);
+    const write = this.db.prepare('UPDATE tasks SET status = ?, status_category = ? WHERE id = ?');
+
+    for (const row of rows) {
+      const status = moveTasks[row.status] || mapStatus(workflow, row.status, row.status_category);
+      const category = getStatusCategory(workflow, status);
+      if (status !== row.status || category !== row.status_category) {
+        write.run(status, category, row.id);
+      }
+    }
+  }
+
+  /**
+   * Workflow followed by a workspace's tasks; personal tasks and unknown workspaces use the default
+   * @private
+   */
+  _workflowOf(workspaceId) {
+    const row = workspaceId
+      ? this.db.prepare('SELECT workflow FROM workspaces WHERE id = ?').get(workspaceId)
+      : null;
+    return row?.workflow ? JSON.parse(row.workflow) : getWorkflow(null);
+  }
+
+  /**
+   * Bump a workspace's updated_at (call inside a transaction)
+   * @private
+   * @returns {boolean} False when the workspace doesn't exist
+   */
+  _touchWorkspace(workspaceId, updatedAt) {
+    const { changes } = this.db
+      .prepare('UPDATE workspaces SET updated_at = ? WHERE id = ?')
+      .run(updatedAt, workspaceId);
+    return changes > 0;
+  }
+
+  /**
+   * Fetch one of a workspace's custom fields
+   * @private
+   */
+  _getCustomField(workspaceId, fieldId) {
+    const row = this.db
+      .prepare('SELECT * FROM workspace_custom_fields WHERE id = ? AND workspace_id = ?')
+      .get(fieldId, workspaceId);
+    return row && {
+      id: row.id,
+      workspaceId: row.workspace_id,
+      name: row.name,
+      type: row.type,
+      options: JSON.parse(row.options),
+      required: Boolean(row.required),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * Apply a change to the values of a workspace's tasks that have the field set, active and
+   * trashed, without touching their version or history (call inside a transaction)
+   * @private
+   */
+  _rewriteCustomFieldValues(workspaceId, fieldId, rewrite) {
+    const rows = this.db
+      .prepare('SELECT id, custom_fields FROM tasks WHERE workspace_id = ? AND json_type(custom_fields, ?) IS NOT NULL')
+      .all(workspaceId, customFieldPath(fieldId));
+    const write = this.db.prepare('UPDATE tasks SET custom_fields = ? WHERE id = ?');
+    rows.forEach(row => write.run(JSON.stringify(rewrite(JSON.parse(row.custom_fields))), row.id));
+  }
+
+  /**
+   * SQL expression a sort field orders by, with its parameters; null for an unknown field
+   * @private
+   */
+  _sortExpression(sortBy) {
+    if (sortBy?.startsWith(CUSTOM_FIELD_PREFIX)) {
+      const path = customFieldPath(sortBy.slice(CUSTOM_FIELD_PREFIX.length));
+      return { sql: CUSTOM_FIELD_SORT, params: [path, path, path] };
+    }
+    return SORT_EXPRESSIONS[sortBy] ? { sql: SORT_EXPRESSIONS[sortBy], params: [] } : null;
+  }
+
+  /**
+   * A task's value of a sort expression, as SQLite compares it, for its cursor
+   * @private
+   */
+  _sortKey(task, sortBy) {
+    if (sortBy.startsWith(CUSTOM_FIELD_PREFIX)) {
+      return getCustomFieldSortValue(task.customFields, sortBy.slice(CUSTOM_FIELD_PREFIX.length)) ?? null;
+    }
+    if (sortBy === 'priority') {
+      return PRIORITY_RANK[task.priority] ?? null;
+    }
+    return task[sortBy] ?? null;
+  }
+
+  /**
+   * SQL condition for the tasks that come after a cursor's task in the sort order
+   * @private
+   */
+  _afterCursorCondition(sortKey, sortOrder, { key, id }) {
+    const expression = `(${sortKey.sql})`;
+    const keyParams = sortKey.params;
+
+    if (key === null) {
+      // Tasks without a value come last ascending, so only ties are left; descending, everything else is too
+      return sortOrder === 'asc'
+        ? { sql: `AND ${expression} IS NULL AND t.id > ?`, sqlParams: [...keyParams, id] }
+        : { sql: `AND (${expression} IS NOT NULL OR t.id > ?)`, sqlParams: [...keyParams, id] };
+    }
+
+    const beyond = sortOrder === 'asc' ? `${expression} > ? OR ${expression} IS NULL` : `${expression} < ?`;
+    const beyondParams = sortOrder === 'asc' ? [...keyParams, key, ...keyParams] : [...keyParams, key];
+    return {
+      sql: `AND (${beyond} OR (${expression} = ? AND t.id > ?))`,
+      sqlParams: [...beyondParams, ...keyParams, key, id]
+    };
+  }
+
+  /**
+   * SQL for one custom field filter condition (see matchesCustomFieldFilter in ./customFields.js)
+   * @private
+   */
+  _customFieldCondition({ fieldId, match, value, min, max }) {
+    const path = customFieldPath(fieldId);
+    const extracted = 'json_extract(t.custom_fields, ?)';
+
+    switch (match) {
+      case 'empty':
+        return { sql: 'json_type(t.custom_fields, ?) IS NULL', sqlParams: [path] };
+      case 'contains':
+        return { sql: `instr(lower(${extracted}), ?) > 0`, sqlParams: [path, value.toLowerCase()] };
+      case 'includes':
+        return {
+          sql: "EXISTS (SELECT 1 FROM json_each(t.custom_fields, ?) WHERE type = 'text' AND value = ?)",
+          sqlParams: [path, value]
+        };
+      case 'range': {
+        const bounds = [`${extracted} IS NOT NULL`];
+        const sqlParams = [path];
+        if (min !== undefined) {
+          bounds.push(`${extracted} >= ?`);
+          sqlParams.push(path, min);
+        }
+        if (max !== undefined) {
+          bounds.push(`${extracted} <= ?`);
+          sqlParams.push(path, max);
+        }
+        return { sql: `(${bounds.join(' AND ')})`, sqlParams };
+      }
+      default:
+        return { sql: `${extracted} = ?`, sqlParams: [path, value] };
+    }
+  }
+
+  /**
+   * Insert workspace members (call inside a transaction)
+   * @private
+   */
+  _insertWorkspaceMembers(workspaceId, members) {
+    const insert = this.db.prepare(`
+      INSERT INTO workspace_members (workspace_id, user_id, role, added_at)
+      VALUES (?, ?, ?, ?)
+    `);
+    members.forEach(member => insert.run(workspaceId, member.userId, member.role, member.addedAt));
+  }
+
+  /**
+   * Get the change history of a task, newest first
+   * @param {string} taskId - Task ID
+   * @param {Object} [options] - { limit, offset, ownerId }
+   * @returns {Promise<Object>} { entries, pagination }
+   */
+  async getHistory(taskId, { limit = 20, offset = 0, ownerId } = {}) {
+    const { clause, params } = this._ownershipScope({ ownerId });
+    const { total } = this.db
+      .prepare(`SELECT COUNT(*) AS total FROM task_history WHERE task_id = @taskId ${clause}`)
+      .get({ ...params, taskId });
+
+    const rows = this.db.prepare(`
+      SELECT * FROM task_history
+      WHERE task_id = @taskId ${clause}
+      ORDER BY created_at DESC, rowid DESC
+      LIMIT @limit OFFSET @offset
+    `).all({ ...params, taskId, limit, offset });
+
+    return {
+      entries: rows.map(row => ({
+        id: row.id,
+        taskId: row.task_id,
+        action: row.action,
+        version: row.version,
+        changes: JSON.parse(row.changes),
+        actor: row.actor,
+        ownerId: row.owner_id,
+        timestamp: row.created_at
+      })),
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore: offset + limit < total
+      }
+    };
+  }
+
+  /**
+   * Create a user account
+   * @param {Object} userData - { email, name, passwordHash }
+   * @returns {Promise<Object>} Created user
+   */
+  async createUser(userData) {
+    const user = createUserRecord(userData);
+
+    this.db.prepare(`
+      INSERT INTO users (id, email, name, password_hash, created_at, updated_at)
+      VALUES (@id, @email, @name, @passwordHash, @createdAt, @updatedAt)
+    `).run(user);
+
+    console.log('Created new user:', user.id);
+    return user;
+  }
+
+  /**
+   * Find a user by email
+   * @param {string} email - Email address (any case)
+   * @returns {Promise<Object|null>} User or null if not registered
+   */
+  async findUserByEmail(email) {
+    const row = this.db.prepare('SELECT * FROM users WHERE email = ?').get(normalizeEmail(email));
+    return row ? this._rowToUser(row) : null;
+  }
+
+  /**
+   * Find a user by ID
+   * @param {string} id - User ID
+   * @returns {Promise<Object|null>} User or null if not found
+   */
+  async findUserById(id) {
+    const row = this.db.prepare('SELECT * FROM users WHERE id = ?').get(id);
+    return row ? this._rowToUser(row) : null;
+  }
+
+  /**
+   * Count registered users
+   * @returns {Promise<number>} Number of users
+   */
+  async countUsers() {
+    return this.db.prepare('SELECT COUNT(*) AS total FROM users').get().total;
+  }
+
+  /**
+   * Give every unowned task, project and history entry to a user
+   * @param {string} ownerId - User ID
+   * @returns {Promise<Object>} { tasks, projects } adopted
+   */
+  async claimUnowned(ownerId) {
+    return this.db.transaction(() => {
+      const tasks = this.db.prepare('UPDATE tasks SET owner_id = ? WHERE owner_id IS NULL').run(ownerId).changes;
+      const projects = this.db.prepare('UPDATE projects SET owner_id = ? WHERE owner_id IS NULL').run(ownerId).changes;
+      this.db.prepare('UPDATE task_history SET owner_id = ? WHERE owner_id IS NULL').run(ownerId);
+      return { tasks, projects };
+    }).immediate();
+  }
+
+  /**
+   * Create an API key
+   * @param {Object} keyData - { userId, name, scopes, prefix, keyHash }
+   * @returns {Promise<Object>} Created key
+   */
+  async createApiKey(keyData) {
+    const apiKey = createApiKeyRecord(keyData);
+
+    this.db.prepare(`
+      INSERT INTO api_keys (id, user_id, name, scopes, prefix, key_hash, created_at, last_used_at)
+      VALUES (@id, @userId, @name, @scopes, @prefix, @keyHash, @createdAt, @lastUsedAt)
+    `).run({ ...apiKey, scopes: JSON.stringify(apiKey.scopes) });
+
+    console.log('Created API key:', apiKey.name);
+    return apiKey;
+  }
+
+  /**
+   * List a user's API keys, newest first
+   * @param {Object} scope - { userId }
+   * @returns {Promise<Array>} Keys
+   */
+  async findApiKeys({ userId }) {
+    return this.db
+      .prepare('SELECT * FROM api_keys WHERE user_id = ? ORDER BY created_at DESC, rowid DESC')
+      .all(userId)
+      .map(row => this._rowToApiKey(row));
+  }
+
+  /**
+   * Find an API key by the hash of its secret
+   * @param {string} keyHash - SHA-256 hash of the key
+   * @returns {Promise<Object|null>} Key or null if not found
+   */
+  async findApiKeyByHash(keyHash) {
+    const row = this.db.prepare('SELECT * FROM api_keys WHERE key_hash = ?').get(keyHash);
+    return row ? this._rowToApiKey(row) : null;
+  }
+
+  /**
+   * Record when an API key was last used
+   * @param {string} id - API key ID
+   * @param {string} usedAt - ISO timestamp
+   * @returns {Promise<void>}
+   */
+  async touchApiKey(id, usedAt) {
+    this.db.prepare('UPDATE api_keys SET last_used_at = ? WHERE id = ?').run(usedAt, id);
+  }
+
+  /**
+   * Revoke an API key
+   * @param {string} id - API key ID
+   * @returns {Promise<Object|null>} Deleted key or null if not found
+   */
+  async deleteApiKey(id) {
+    const row = this.db.prepare('SELECT * FROM api_keys WHERE id = ?').get(id);
+    if (!row) {
+      return null;
+    }
+
+    this.db.prepare('DELETE FROM api_keys WHERE id = ?').run(id);
+    console.log('Revoked API key:', row.name);
+    return this._rowToApiKey(row);
+  }
+
+  /**
+   * Add a comment to a task
+   * @param {Object} commentData - { taskId, authorId, body }
+   * @returns {Promise<Object>} Created comment
+   */
+  async createComment(commentData) {
+    const comment = createCommentRecord(commentData);
+
+    this.db.prepare(`
+      INSERT INTO task_comments (id, task_id, author_id, body, created_at, updated_at, edited_at)
+      VALUES (@id, @taskId, @authorId, @body, @createdAt, @updatedAt, @editedAt)
+    `).run(comment);
+
+    console.log('Added comment to task:', comment.taskId);
+    return comment;
+  }
+
+  /**
+   * List a task's comments, oldest first
+   * @param {string} taskId - Task ID
+   * @param {Object} [options] - { limit, offset }
+   * @returns {Promise<Object>} { comments, pagination }
+   */
+  async findComments(taskId, { limit = 20, offset = 0 } = {}) {
+    const { total } = this.db
+      .prepare('SELECT COUNT(*) AS total FROM task_comments WHERE task_id = ?')
+      .get(taskId);
+
+    const rows = this.db.prepare(`
+      SELECT * FROM task_comments
+      WHERE task_id = @taskId
+      ORDER BY created_at, rowid
+      LIMIT @limit OFFSET @offset
+    `).all({ taskId, limit, offset });
+
+    return {
+      comments: rows.map(row => this._rowToComment(row)),
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore: offset + limit < total
+      }
+    };
+  }
+
+  /**
+   * Find a comment by ID
+   * @param {string} id - Comment ID
+   * @returns {Promise<Object|null>} Comment or null if not found
+   */
+  async findCommentById(id) {
+    const row = this.db.prepare('SELECT * FROM task_comments WHERE id = ?').get(id);
+    return row ? this._rowToComment(row) : null;
+  }
+
+  /**
+   * Change a comment's text
+   * @param {string} id - Comment ID
+   * @param {Object} changes - { body }
+   * @returns {Promise<Object|null>} Updated comment or null if not found
+   */
+  async updateComment(id, { body }) {
+    const existing = await this.findCommentById(id);
+    if (!existing) {
+      return null;
+    }
+
+    const comment = editComment(existing, body);
+    this.db.prepare(`
+      UPDATE task_comments SET body = @body, updated_at = @updatedAt, edited_at = @editedAt WHERE id = @id
+    `).run(comment);
+    return comment;
+  }
+
+  /**
+   * Delete a comment
+   * @param {string} id - Comment ID
+   * @returns {Promise<Object|null>} Deleted comment or null if not found
+   */
+  async deleteComment(id) {
+    const comment = await this.findCommentById(id);
+    if (!comment) {
+      return null;
+    }
+
+    this.db.prepare('DELETE FROM task_comments WHERE id = ?').run(id);
+    return comment;
+  }
+
+  /**
+   * Record an uploaded file against a task
+   * @param {Object} attachmentData - { taskId, uploaderId, fileName, contentType, size }
+   * @returns {Promise<Object>} Created attachment, including the storageKey to write the file to
+   */
+  async createAttachment(attachmentData) {
+    const attachment = createAttachmentRecord(attachmentData);
+
+    this.db.prepare(`
+      INSERT INTO task_attachments (id, task_id, uploader_id, file_name, content_type, size, storage_key, created_at)
+      VALUES (@id, @taskId, @uploaderId, @fileName, @contentType, @size, @storageKey, @createdAt)
+    `).run(attachment);
+
+    console.log('Attached file to task:', attachment.taskId);
+    return attachment;
+  }
+
+  /**
+   * List a task's attachments, oldest first
+   * @param {string} taskId - Task ID
+   * @returns {Promise<Array>} Attachments
+   */
+  async findAttachments(taskId) {
+    return this.db
+      .prepare('SELECT * FROM task_attachments WHERE task_id = ? ORDER BY created_at, rowid')
+      .all(taskId)
+      .map(row => this._rowToAttachment(row));
+  }
+
+  /**
+   * Find an attachment by ID
+   * @param {string} id - Attachment ID
+   * @returns {Promise<Object|null>} Attachment or null if not found
+   */
+  async findAttachmentById(id) {
+    const row = this.db.prepare('SELECT * FROM task_attachments WHERE id = ?').get(id);
+    return row ? this._rowToAttachment(row) : null;
+  }
+
+  /**
+   * Delete an attachment's metadata; the caller removes the file from storage
+   * @param {string} id - Attachment ID
+   * @returns {Promise<Object|null>} Deleted attachment or null if not found
+   */
+  async deleteAttachment(id) {
+    const attachment = await this.findAttachmentById(id);
+    if (!attachment) {
+      return null;
+    }
+
+    this.db.prepare('DELETE FROM task_attachments WHERE id = ?').run(id);
+    return attachment;
+  }
+
+  /**
+   * Get all tasks (for debugging/testing)
+   * @returns {Promise<Array>} All tasks
+   */
+  async getAllRaw() {
+    return this.db
+      .prepare(`${SELECT_TASKS} WHERE t.deleted_at IS NULL ORDER BY t.rowid`)
+      .all()
+      .map(row => this._rowToTask(row));
+  }
+
+  /**
+   * Get the schema migrations applied to this database
+   * @returns {Array} Applied migration records
+   */
+  getAppliedMigrations() {
+    const table = this.db
+      .prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'")
+      .get();
+    if (!table) {
+      return [];
+    }
+
+    return this.db
+      .prepare('SELECT version, name, applied_at AS appliedAt FROM schema_migrations ORDER BY version')
+      .all();
+  }
+
+  /**
+   * Run a migration's SQLite hook and record it, atomically
+   * @param {Object} migration - Migration definition
+   * @param {'up'|'down'} direction - Direction to apply
+   */
+  applyMigration(migration, direction) {
+    this.db.transaction(() => {
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+          version INTEGER PRIMARY KEY,
+          name TEXT NOT NULL,
+          applied_at TEXT NOT NULL
+        )
+      `);
+
+      migration.sqlite?.[direction]?.(this.db);
+
+      if (direction === 'up') {
+        this.db
+          .prepare('INSERT OR REPLACE INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)')
+          .run(migration.version, migration.name, new Date().toISOString());
+      } else {
+        this.db.prepare('DELETE FROM schema_migrations WHERE version = ?').run(migration.version);
+      }
+    })();
+  }
+
+  /**
+   * Close the database connection
+   */
+  close() {
+    this.db.close();
+  }
+
+  /**
+   * Get most popular tags
+   * @private
+   */
+  _getPopularTags(limit = 5, scope = '', scopeParams = {}) {
+    return this.db.prepare(`
+      SELECT tag, COUNT(*) AS count FROM task_tags
+      WHERE task_id IN (SELECT id FROM tasks WHERE deleted_at IS NULL ${scope})
+      GROUP BY tag
+      ORDER BY count DESC, MIN(rowid) ASC
+      LIMIT @limit
+    `).all({ ...scopeParams, limit });
+  }
+}
+
+export default SQLiteTaskRepository;
@@ -1,18 +1,72 @@
 //TaskRepository - Updated to start with just 1 sample task
-//Uses in-memory Map/Set storage that can easily be replaced with database
+//Uses in-memory Map/Set storage, optionally persisted through a store (see ./stores)
+import path from 'path';
 import { v4 as uuidv4 } from 'uuid';
+import {
+  ITaskRepository,
+  PRIORITY_RANK,
+  VersionConflictError,
+  DependencyCycleError
+} from './ITaskRepository.js';
+import { SQLiteTaskRepository } from './SQLiteTaskRepository.js';
+import { MigrationRunner } from './migrations/MigrationRunner.js';
+import { createSampleTask } from './sampleData.js';
+import { createHistoryEntry } from './taskHistory.js';
+import { normalizeChecklist } from './checklist.js';
+import { findDependencyCycle, isOpenBlocker, summarizeBlocker } from './dependencies.js';
+import { createNextOccurrence, normalizeRecurrence, shouldSpawnNextOccurrence } from './recurrence.js';
+import { createProjectRecord, isInProject } from './projects.js';
+import { createUserRecord, isOwnedBy, normalizeEmail, sortAssigneeCounts } from './users.js';
+import { createWorkspaceRecord, isInWorkspace } from './workspaces.js';
+import { createApiKeyRecord } from './apiKeys.js';
+import { createCommentRecord, editComment } from './comments.js';
+import { createAttachmentRecord } from './attachments.js';
+import {
+  CUSTOM_FIELD_PREFIX,
+  createCustomFieldRecord,
+  getCustomFieldSortValue,
+  matchesCustomFieldFilter,
+  normalizeCustomFieldValues,
+  pruneCustomFieldValue
+} from './customFields.js';
+import {
+  DEFAULT_WORKFLOW,
+  STATUS_CATEGORIES,
+  cloneWorkflow,
+  getInitialStatus,
+  getStatusCategory,
+  getWorkflow,
+  mapStatus
+} from './workflows.js';
+import { decodeCursor, encodeCursor } from './pagination.js';
+import { JsonFileStore } from './stores/JsonFileStore.js';
+
+const TASKS_COLLECTION = 'tasks';
+const MIGRATIONS_COLLECTION = 'schema_migrations';
+const HISTORY_COLLECTION = 'task_history';
+const PROJECTS_COLLECTION = 'projects';
+const USERS_COLLECTION = 'users';
+const WORKSPACES_COLLECTION = 'workspaces';
+const API_KEYS_COLLECTION = 'api_keys';
+const COMMENTS_COLLECTION = 'task_comments';
+const ATTACHMENTS_COLLECTION = 'task_attachments';
+
+export class TaskRepository extends ITaskRepository {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.store] - Persistence store with load(collection)/save(collection, records)
+   * @param {boolean} [options.seed=true] - Seed the sample task when there is no saved data
+   */
+  constructor({ store = null, seed = true } = {}) {
+    super();
+    this.store = store;
+    this.storageType = store ? store.type : 'in-memory';
 
-export class TaskRepository {
-  constructor() {
     // Use Map for O(1) lookups by ID
     this.tasks = new Map();
     
-    // Use Sets for fast filtering operations
-    this.tasksByStatus = new Map([
-      ['todo', new Set()],
-      ['in_progress', new Set()],
-      ['completed', new Set()]
-    ]);
+    // Use Sets for fast filtering operations (statuses come from workflows, so their sets are made on demand)
+    this.tasksByStatus = new Map();
     
     this.tasksByPriority = new Map([
       ['low', new Set()],
@@ -22,9 +76,63 @@ export class TaskRepository {
     
     // Tag index for fast tag searches
     this.tasksByTag = new Map();
+
+    // Project index (key null holds tasks without a project)
+    this.tasksByProject = new Map();
+
+    // Owner index (key null holds tasks created before accounts existed)
+    this.tasksByOwner = new Map();
+
+    // Workspace index (key null holds personal tasks)
+    this.tasksByWorkspace = new Map();
+
+    // Assignee index (key null holds unassigned tasks)
+    this.tasksByAssignee = new Map();
+
+    // Trashed tasks live outside the indexes so filters and stats only see active ones
+    this.trash = new Map();
     
-    // Initialize with single sample task
-    this.initializeSampleData();
+    // Change history, oldest first, across all tasks (kept after a task is deleted)
+    this.history = this.store ? this.store.load(HISTORY_COLLECTION) || [] : [];
+
+    // Applied migrations when there is no store (a fresh memory repository is always current)
+    this.appliedMigrations = [];
+
+    this.projects = new Map();
+    this._loadProjects();
+
+    this.users = new Map();
+    this._loadUsers();
+
+    this.workspaces = new Map();
+    this._loadWorkspaces();
+
+    this.apiKeys = new Map();
+    this._loadApiKeys();
+
+    // Comments by ID, plus how many each task has so listing tasks doesn't scan them all
+    this.comments = new Map();
+    this.commentCounts = new Map();
+    this._loadComments();
+
+    this.attachments = new Map();
+    this._loadAttachments();
+
+    // Restore persisted tasks, otherwise start with a single sample task
+    const savedTasks = this.store ? this.store.load(TASKS_COLLECTION) : null;
+    if (savedTasks) {
+      this._rebuildIndexes(savedTasks);
+      console.log(`TaskRepository loaded ${savedTasks.length} persisted tasks`);
+    } else {
+      // Brand new store: bring it to the latest schema before seeding
+      if (this.getAppliedMigrations().length === 0) {
+        new MigrationRunner(this).migrate();
+      }
+      if (seed) {
+        this.initializeSampleData();
+        this._persist();
+      }
+    }
   }
 
   /**
@@ -32,22 +140,199 @@ export class TaskRepository {
    * @private
    */
   initializeSampleData() {
-    const sampleTask = {
-      id: uuidv4(),
-      title: 'Welcome to Task Management! 👋',
-      description: 'This is a sample task to show you how the system works. You can edit, complete, or delete this task, and create new ones using the "+ New Task" button.',
-      status: 'todo',
-      priority: 'medium',
-      dueDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString(), // 1 week from now
-      tags: ['welcome', 'demo'],
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
+    const sampleTask = createSampleTask();
 
     this._addTask(sampleTask);
     console.log('TaskRepository initialized with 1 sample task');
   }
 
+  /**
+   * Reset storage and indexes and re-index the given tasks
+   * @private
+   */
+  _rebuildIndexes(tasks) {
+    this.tasks.clear();
+    this.tasksByStatus.clear();
+    this.tasksByPriority.forEach(set => set.clear());
+    this.tasksByTag.clear();
+    this.tasksByProject.clear();
+    this.tasksByOwner.clear();
+    this.tasksByWorkspace.clear();
+    this.tasksByAssignee.clear();
+    this.trash.clear();
+
+    tasks.forEach(task => {
+      const normalized = {
+        ...task,
+        statusCategory: task.statusCategory || getStatusCategory(DEFAULT_WORKFLOW, task.status),
+        startDate: task.startDate || null,
+        tags: task.tags || [],
+        blockedBy: task.blockedBy || [],
+        recurrence: task.recurrence || null,
+        nextOccurrenceId: task.nextOccurrenceId || null,
+        projectId: task.projectId || null,
+        ownerId: task.ownerId || null,
+        workspaceId: task.workspaceId || null,
+        assigneeId: task.assigneeId || null,
+        position: task.position ?? 0,
+        deletedAt: task.deletedAt || null
+      };
+      if (normalized.deletedAt) {
+        this.trash.set(normalized.id, normalized);
+      } else {
+        this._addTask(normalized);
+      }
+    });
+  }
+
+  /**
+   * Write the current tasks (active and trashed) to the store, if one is configured
+   * @private
+   */
+  _persist() {
+    if (this.store) {
+      this.store.save(TASKS_COLLECTION, [...this.tasks.values(), ...this.trash.values()]);
+    }
+  }
+
+  /**
+   * Load projects from the store
+   * @private
+   */
+  _loadProjects() {
+    this.projects.clear();
+    const savedProjects = this.store ? this.store.load(PROJECTS_COLLECTION) || [] : [];
+    savedProjects.forEach(project => this.projects.set(project.id, project));
+  }
+
+  /**
+   * Write the projects to the store, if one is configured
+   * @private
+   */
+  _persistProjects() {
+    if (this.store) {
+      this.store.save(PROJECTS_COLLECTION, [...this.projects.values()]);
+    }
+  }
+
+  /**
+   * Load user accounts from the store
+   * @private
+   */
+  _loadUsers() {
+    this.users.clear();
+    const savedUsers = this.store ? this.store.load(USERS_COLLECTION) || [] : [];
+    savedUsers.forEach(user => this.users.set(user.id, user));
+  }
+
+  /**
+   * Write the user accounts to the store, if one is configured
+   * @private
+   */
+  _persistUsers() {
+    if (this.store) {
+      this.store.save(USERS_COLLECTION, [...this.users.values()]);
+    }
+  }
+
+  /**
+   * Load workspaces (with their members) from the store
+   * @private
+   */
+  _loadWorkspaces() {
+    this.workspaces.clear();
+    const savedWorkspaces = this.store ? this.store.load(WORKSPACES_COLLECTION) || [] : [];
+    savedWorkspaces.forEach(workspace => this.workspaces.set(workspace.id, workspace));
+  }
+
+  /**
+   * Write the workspaces to the store, if one is configured
+   * @private
+   */
+  _persistWorkspaces() {
+    if (this.store) {
+      this.store.save(WORKSPACES_COLLECTION, [...this.workspaces.values()]);
+    }
+  }
+
+  /**
+   * Load API keys from the store
+   * @private
+   */
+  _loadApiKeys() {
+    this.apiKeys.clear();
+    const savedKeys = this.store ? this.store.load(API_KEYS_COLLECTION) || [] : [];
+    savedKeys.forEach(apiKey => this.apiKeys.set(apiKey.id, apiKey));
+  }
+
+  /**
+   * Write the API keys to the store, if one is configured
+   * @private
+   */
+  _persistApiKeys() {
+    if (this.store) {
+      this.store.save(API_KEYS_COLLECTION, [...this.apiKeys.values()]);
+    }
+  }
+
+  /**
+   * Load comments from the store and count them per task
+   * @private
+   */
+  _loadComments() {
+    this.comments.clear();
+    this.commentCounts.clear();
+    const savedComments = this.store ? this.store.load(COMMENTS_COLLECTION) || [] : [];
+    savedComments.forEach(comment => {
+      this.comments.set(comment.id, comment);
+      this.commentCounts.set(comment.taskId, (this.commentCounts.get(comment.taskId) || 0) + 1);
+    });
+  }
+
+  /**
+   * Write the comments to the store, if one is configured
+   * @private
+   */
+  _persistComments() {
+    if (this.store) {
+      this.store.save(COMMENTS_COLLECTION, [...this.comments.values()]);
+    }
+  }
+
+  /**
+   * Load attachment metadata from the store
+   * @private
+   */
+  _loadAttachments() {
+    this.attachments.clear();
+    const savedAttachments = this.store ? this.store.load(ATTACHMENTS_COLLECTION) || [] : [];
+    savedAttachments.forEach(attachment => this.attachments.set(attachment.id, attachment));
+  }
+
+  /**
+   * Write the attachment metadata to the store, if one is configured
+   * @private
+   */
+  _persistAttachments() {
+    if (this.store) {
+      this.store.save(ATTACHMENTS_COLLECTION, [...this.attachments.values()]);
+    }
+  }
+
+  /**
+   * Append a history entry for a change and persist the log
+   * @private
+   */
+  _recordHistory(action, before, after, options) {
+    const entry = createHistoryEntry(action, before, after, options);
+    if (!entry) return;
+
+    this.history.push(entry);
+    if (this.store) {
+      this.store.save(HISTORY_COLLECTION, this.history);
+    }
+  }
+
   /**
    * Add task to all indexes
    * @private
@@ -57,6 +342,9 @@ export class TaskRepository {
     this.tasks.set(task.id, task);
     
     // Add to status index
+    if (!this.tasksByStatus.has(task.status)) {
+      this.tasksByStatus.set(task.status, new Set());
+    }
     this.tasksByStatus.get(task.status).add(task.id);
     
     // Add to priority index
@@ -69,6 +357,34 @@ export class TaskRepository {
       }
       this.tasksByTag.get(tag).add(task.id);
     });
+
+    // Add to project index
+    const projectKey = task.projectId || null;
+    if (!this.tasksByProject.has(projectKey)) {
+      this.tasksByProject.set(projectKey, new Set());
+    }
+    this.tasksByProject.get(projectKey).add(task.id);
+
+    // Add to owner index
+    const ownerKey = task.ownerId || null;
+    if (!this.tasksByOwner.has(ownerKey)) {
+      this.tasksByOwner.set(ownerKey, new Set());
+    }
+    this.tasksByOwner.get(ownerKey).add(task.id);
+
+    // Add to workspace index
+    const workspaceKey = task.workspaceId || null;
+    if (!this.tasksByWorkspace.has(workspaceKey)) {
+      this.tasksByWorkspace.set(workspaceKey, new Set());
+    }
+    this.tasksByWorkspace.get(workspaceKey).add(task.id);
+
+    // Add to assignee index
+    const assigneeKey = task.assigneeId || null;
+    if (!this.tasksByAssignee.has(assigneeKey)) {
+      this.tasksByAssignee.set(assigneeKey, new Set());
+    }
+    this.tasksByAssignee.get(assigneeKey).add(task.id);
   }
 
   /**
@@ -80,7 +396,13 @@ export class TaskRepository {
     this.tasks.delete(task.id);
     
     // Remove from status index
-    this.tasksByStatus.get(task.status).delete(task.id);
+    const statusSet = this.tasksByStatus.get(task.status);
+    if (statusSet) {
+      statusSet.delete(task.id);
+      if (statusSet.size === 0) {
+        this.tasksByStatus.delete(task.status);
+      }
+    }
     
     // Remove from priority index
     this.tasksByPriority.get(task.priority).delete(task.id);
@@ -96,6 +418,42 @@ export class TaskRepository {
         }
       }
     });
+
+    // Remove from project index
+    const projectSet = this.tasksByProject.get(task.projectId || null);
+    if (projectSet) {
+      projectSet.delete(task.id);
+      if (projectSet.size === 0) {
+        this.tasksByProject.delete(task.projectId || null);
+      }
+    }
+
+    // Remove from owner index
+    const ownerSet = this.tasksByOwner.get(task.ownerId || null);
+    if (ownerSet) {
+      ownerSet.delete(task.id);
+      if (ownerSet.size === 0) {
+        this.tasksByOwner.delete(task.ownerId || null);
+      }
+    }
+
+    // Remove from workspace index
+    const workspaceSet = this.tasksByWorkspace.get(task.workspaceId || null);
+    if (workspaceSet) {
+      workspaceSet.delete(task.id);
+      if (workspaceSet.size === 0) {
+        this.tasksByWorkspace.delete(task.workspaceId || null);
+      }
+    }
+
+    // Remove from assignee index
+    const assigneeSet = this.tasksByAssignee.get(task.assigneeId || null);
+    if (assigneeSet) {
+      assigneeSet.delete(task.id);
+      if (assigneeSet.size === 0) {
+        this.tasksByAssignee.delete(task.assigneeId || null);
+      }
+    }
   }
 
   /**
@@ -113,24 +471,44 @@ export class TaskRepository {
   /**
    * Create a new task
    * @param {Object} taskData - Task data
+   * @param {Object} [options] - { actor } recorded in the task history
    * @returns {Promise<Object>} Created task
    */
-  async create(taskData) {
+  async create(taskData, options = {}) {
+    const workflow = this._workflowOf(taskData.workspaceId);
+    const status = taskData.status || getInitialStatus(workflow);
     const task = {
       id: uuidv4(),
       title: taskData.title,
       description: taskData.description || '',
-      status: taskData.status || 'todo',
+      status,
+      statusCategory: getStatusCategory(workflow, status),
       priority: taskData.priority || 'medium',
+      startDate: taskData.startDate || null,
       dueDate: taskData.dueDate || null,
       tags: Array.isArray(taskData.tags) ? [...taskData.tags] : [],
+      checklist: normalizeChecklist(taskData.checklist),
+      requireChecklist: Boolean(taskData.requireChecklist),
+      blockedBy: [...new Set(taskData.blockedBy || [])],
+      recurrence: normalizeRecurrence(taskData.recurrence),
+      nextOccurrenceId: null,
+      projectId: taskData.projectId || null,
+      ownerId: taskData.ownerId || null,
+      workspaceId: taskData.workspaceId || null,
+      assigneeId: taskData.assigneeId || null,
+      customFields: normalizeCustomFieldValues(taskData.customFields),
+      position: this._nextPosition(),
       createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
+      updatedAt: new Date().toISOString(),
+      deletedAt: null,
+      version: 1
     };
 
     this._addTask(task);
+    this._persist();
+    this._recordHistory('created', null, task, options);
     console.log('Created new task:', task.title);
-    return { ...task }; // Return copy to prevent external modification
+    return this._present(task); // Return copy to prevent external modification
   }
 
   /**
@@ -139,8 +517,8 @@ export class TaskRepository {
    * @returns {Promise<Object|null>} Task or null if not found
    */
   async findById(id) {
-    const task = this.tasks.get(id);
-    return task ? { ...task } : null; // Return copy
+    const task = this.tasks.get(id) || this.trash.get(id);
+    return task ? this._present(task) : null; // Return copy
   }
 
   /**
@@ -162,6 +540,26 @@ export class TaskRepository {
       taskIds = this._intersectSets(taskIds, priorityIds || new Set());
     }
 
+    if (filters.projectId !== undefined) {
+      const projectIds = this.tasksByProject.get(filters.projectId);
+      taskIds = this._intersectSets(taskIds, projectIds || new Set());
+    }
+
+    if (filters.ownerId !== undefined) {
+      const ownerIds = this.tasksByOwner.get(filters.ownerId);
+      taskIds = this._intersectSets(taskIds, ownerIds || new Set());
+    }
+
+    if (filters.workspaceId !== undefined) {
+      const workspaceIds = this.tasksByWorkspace.get(filters.workspaceId);
+      taskIds = this._intersectSets(taskIds, workspaceIds || new Set());
+    }
+
+    if (filters.assigneeId !== undefined) {
+      const assigneeIds = this.tasksByAssignee.get(filters.assigneeId);
+      taskIds = this._intersectSets(taskIds, assigneeIds || new Set());
+    }
+
     if (filters.tags && filters.tags.length > 0) {
       const filterTags = Array.isArray(filters.tags) ? filters.tags : [filters.tags];
       
@@ -178,11 +576,12 @@ export class TaskRepository {
     }
 
     // Convert to tasks array for further processing
-    let tasks = Array.from(taskIds).map(id => ({ ...this.tasks.get(id) }));
+    let tasks = Array.from(taskIds).map(id => this._present(this.tasks.get(id)));
 
     // Apply text search (can't use indexes for this)
-    if (filters.search) {
-      const searchTerm = filters.search.toLowerCase();
+    // A search of only whitespace is no search at all
+    const searchTerm = typeof filters.search === 'string' ? filters.search.trim().toLowerCase() : '';
+    if (searchTerm) {
       tasks = tasks.filter(task => 
         task.title.toLowerCase().includes(searchTerm) ||
         task.description.toLowerCase().includes(searchTerm)
@@ -193,33 +592,58 @@ export class TaskRepository {
     if (filters.overdue === true) {
       const now = new Date().toISOString();
       tasks = tasks.filter(task => 
-        task.dueDate && task.dueDate < now && task.status !== 'completed'
+        task.dueDate && task.dueDate < now && task.statusCategory !== 'done'
       );
     }
 
-    // Apply sorting
-    if (filters.sortBy) {
-      const { sortBy, sortOrder = 'asc' } = filters;
-      tasks.sort((a, b) => this._compareTasksForSort(a, b, sortBy, sortOrder));
-    } else {
-      // Default sort by updatedAt desc
-      tasks.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+    // Apply due date range; tasks without a due date are never in it
+    if (filters.dueFrom || filters.dueTo) {
+      const from = filters.dueFrom ? Date.parse(filters.dueFrom) : -Infinity;
+      const to = filters.dueTo ? Date.parse(filters.dueTo) : Infinity;
+      tasks = tasks.filter(task => {
+        const due = task.dueDate ? new Date(task.dueDate).getTime() : NaN;
+        return due >= from && due <= to;
+      });
+    }
+
+    // Apply blocked filter (blockers are computed, so there is no index for it)
+    if (typeof filters.blocked === 'boolean') {
+      tasks = tasks.filter(task => (task.blockers.length > 0) === filters.blocked);
     }
 
-    // Apply pagination
+    // Apply custom field conditions; every one must match
+    if (filters.customFields?.length > 0) {
+      tasks = tasks.filter(task =>
+        filters.customFields.every(condition => matchesCustomFieldFilter(task.customFields, condition))
+      );
+    }
+
+    // Apply sorting (default: most recently updated first); ties go by ID so pages never overlap
+    const { sortBy = 'updatedAt', sortOrder = filters.sortBy ? 'asc' : 'desc' } = filters;
+    const entries = tasks
+      .map(task => ({ task, key: this._sortKey(task, sortBy), id: task.id }))
+      .sort((a, b) => this._compareSortEntries(a, b, sortOrder));
+
+    // Apply pagination: after the cursor's task, or skipping `offset` tasks
     const limit = Math.min(parseInt(filters.limit) || 50, 100);
-    const offset = Math.max(parseInt(filters.offset) || 0, 0);
-    const total = tasks.length;
-    
-    const paginatedTasks = tasks.slice(offset, offset + limit);
+    const total = entries.length;
+    const after = filters.cursor ? decodeCursor(filters.cursor) : null;
+    const offset = after
+      ? this._indexAfterCursor(entries, after, sortOrder)
+      : Math.max(parseInt(filters.offset) || 0, 0);
+
+    const page = entries.slice(offset, offset + limit);
+    const hasMore = offset + limit < total;
+    const last = page[page.length - 1];
 
     return {
-      tasks: paginatedTasks,
+      tasks: page.map(entry => entry.task),
       pagination: {
         total,
         limit,
-        offset,
-        hasMore: offset + limit < total
+        ...(filters.cursor ? { cursor: filters.cursor } : { offset }),
+        hasMore,
+        nextCursor: hasMore ? encodeCursor({ sortBy, sortOrder, key: last.key, id: last.id }) : null
       }
     };
   }
@@ -228,83 +652,259 @@ export class TaskRepository {
    * Update a task
    * @param {string} id - Task ID
    * @param {Object} updates - Updates to apply
+   * @param {Object} [options] - { expectedVersion } for optimistic concurrency, { actor } for history
    * @returns {Promise<Object|null>} Updated task or null if not found
    */
-  async update(id, updates) {
+  async update(id, updates, { expectedVersion, actor } = {}) {
     const existingTask = this.tasks.get(id);
     if (!existingTask) {
       return null;
     }
+    this._assertVersion(existingTask, expectedVersion);
+    if (updates.blockedBy) {
+      this._assertNoDependencyCycle(id, updates.blockedBy);
+    }
 
     const updatedTask = {
       ...existingTask,
       ...updates,
+      ...(updates.checklist && { checklist: normalizeChecklist(updates.checklist) }),
+      ...(updates.blockedBy && { blockedBy: [...new Set(updates.blockedBy)] }),
+      ...('recurrence' in updates && { recurrence: normalizeRecurrence(updates.recurrence) }),
+      ...(updates.customFields && { customFields: normalizeCustomFieldValues(updates.customFields) }),
       id, // Ensure ID cannot be changed
       createdAt: existingTask.createdAt, // Preserve creation date
-      updatedAt: new Date().toISOString()
+      updatedAt: new Date().toISOString(),
+      version: existingTask.version + 1
     };
+    updatedTask.statusCategory = getStatusCategory(this._workflowOf(updatedTask.workspaceId), updatedTask.status);
+
+    // Completing a recurring task schedules its next occurrence (once per occurrence)
+    if (shouldSpawnNextOccurrence(existingTask, updatedTask)) {
+      const nextTaskData = createNextOccurrence(updatedTask);
+      if (nextTaskData) {
+        const nextTask = await this.create(nextTaskData, { actor });
+        updatedTask.nextOccurrenceId = nextTask.id;
+      }
+    }
 
     // Update indexes
     this._updateTask(existingTask, updatedTask);
+    this._persist();
+    this._recordHistory('updated', existingTask, updatedTask, { actor });
 
     console.log('Updated task:', updatedTask.title);
-    return { ...updatedTask }; // Return copy
+    return this._present(updatedTask); // Return copy
   }
 
   /**
-   * Delete a task
+   * Move a task to the trash
    * @param {string} id - Task ID
-   * @returns {Promise<Object|null>} Deleted task or null if not found
+   * @param {Object} [options] - { expectedVersion } for optimistic concurrency, { actor } for history
+   * @returns {Promise<Object|null>} Trashed task or null if not found
    */
-  async delete(id) {
+  async delete(id, { expectedVersion, actor } = {}) {
     const task = this.tasks.get(id);
     if (!task) {
       return null;
     }
+    this._assertVersion(task, expectedVersion);
+
+    const trashedTask = {
+      ...task,
+      deletedAt: new Date().toISOString(),
+      version: task.version + 1
+    };
 
     this._removeTask(task);
-    console.log('Deleted task:', task.title);
-    return { ...task }; // Return copy of deleted task
+    this.trash.set(id, trashedTask);
+    this._persist();
+    this._recordHistory('deleted', trashedTask, null, { actor });
+    console.log('Moved task to trash:', task.title);
+    return this._present(trashedTask); // Return copy of trashed task
+  }
+
+  /**
+   * List trashed tasks, most recently deleted first
+   * @param {Object} [options] - { limit, offset, ownerId, workspaceId }
+   * @returns {Promise<Object>} Results with tasks and pagination info
+   */
+  async findTrash({ limit = 50, offset = 0, ownerId, workspaceId } = {}) {
+    const tasks = Array.from(this.trash.values())
+      .filter(task => isOwnedBy(task, ownerId) && isInWorkspace(task, workspaceId))
+      .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+
+    return {
+      tasks: tasks.slice(offset, offset + limit).map(task => this._present(task)),
+      pagination: {
+        total: tasks.length,
+        limit,
+        offset,
+        hasMore: offset + limit < tasks.length
+      }
+    };
+  }
+
+  /**
+   * Move a trashed task back to the active list
+   * @param {string} id - Task ID
+   * @param {Object} [options] - { actor } for history
+   * @returns {Promise<Object|null>} Restored task or null if not in the trash
+   */
+  async restore(id, { actor } = {}) {
+    const task = this.trash.get(id);
+    if (!task) {
+      return null;
+    }
+
+    const restoredTask = {
+      ...task,
+      deletedAt: null,
+      version: task.version + 1
+    };
+
+    this.trash.delete(id);
+    this._addTask(restoredTask);
+    this._persist();
+    this._recordHistory('restored', null, restoredTask, { actor });
+    console.log('Restored task from trash:', restoredTask.title);
+    return this._present(restoredTask);
+  }
+
+  /**
+   * Permanently remove a trashed task
+   * @param {string} id - Task ID
+   * @param {Object} [options] - { actor } for history
+   * @returns {Promise<Object|null>} Purged task or null if not in the trash
+   */
+  async purge(id, { actor } = {}) {
+    const task = this.trash.get(id);
+    if (!task) {
+      return null;
+    }
+
+    this.trash.delete(id);
+    this._dropLinksTo(id);
+    this._persist();
+    if (this.commentCounts.has(id)) {
+      [...this.comments.values()]
+        .filter(comment => comment.taskId === id)
+        .forEach(comment => this.comments.delete(comment.id));
+      this.commentCounts.delete(id);
+      this._persistComments();
+    }
+    const attachmentIds = [...this.attachments.values()]
+      .filter(attachment => attachment.taskId === id)
+      .map(attachment => attachment.id);
+    if (attachmentIds.length > 0) {
+      attachmentIds.forEach(attachmentId => this.attachments.delete(attachmentId));
+      this._persistAttachments();
+    }
+    this._recordHistory('purged', task, null, { actor });
+    console.log('Purged task:', task.title);
+    return this._present(task);
+  }
+
+  /**
+   * Permanently remove tasks trashed before the cutoff
+   * @param {string} cutoff - ISO timestamp
+   * @returns {Promise<number>} Number of purged tasks
+   */
+  async purgeExpired(cutoff) {
+    const expired = Array.from(this.trash.values()).filter(task => task.deletedAt < cutoff);
+
+    for (const task of expired) {
+      await this.purge(task.id);
+    }
+    return expired.length;
+  }
+
+  /**
+   * Permanently remove every trashed task
+   * @param {Object} [options] - { actor } for history, { ownerId, workspaceId } to empty part of the trash only
+   * @returns {Promise<number>} Number of purged tasks
+   */
+  async emptyTrash({ actor, ownerId, workspaceId } = {}) {
+    const ids = Array.from(this.trash.values())
+      .filter(task => isOwnedBy(task, ownerId) && isInWorkspace(task, workspaceId))
+      .map(task => task.id);
+
+    for (const id of ids) {
+      await this.purge(id, { actor });
+    }
+    return ids.length;
   }
 
   /**
    * Get task statistics
+   * @param {Object} [scope] - { projectId, ownerId, workspaceId } to count only the tasks matching all of them
    * @returns {Promise<Object>} Statistics object
    */
-  async getStats() {
+  async getStats({ projectId, ownerId, workspaceId } = {}) {
     const now = new Date().toISOString();
     const today = new Date().toDateString();
 
+    // Without a scope every index set is counted whole
+    let scopeIds = null;
+    if (projectId !== undefined) {
+      scopeIds = this.tasksByProject.get(projectId) || new Set();
+    }
+    if (ownerId !== undefined) {
+      const ownerIds = this.tasksByOwner.get(ownerId) || new Set();
+      scopeIds = scopeIds ? this._intersectSets(scopeIds, ownerIds) : ownerIds;
+    }
+    if (workspaceId !== undefined) {
+      const workspaceIds = this.tasksByWorkspace.get(workspaceId) || new Set();
+      scopeIds = scopeIds ? this._intersectSets(scopeIds, workspaceIds) : workspaceIds;
+    }
+    const countIn = ids => scopeIds ? this._intersectSets(scopeIds, ids).size : ids.size;
+    const popularTags = this._getPopularTags(Infinity, scopeIds);
+
+    const byStatus = Object.fromEntries(this._workflowOf(workspaceId).statuses.map(status => [status.id, 0]));
+    const byCategory = Object.fromEntries(STATUS_CATEGORIES.map(category => [category, 0]));
+
     const stats = {
-      total: this.tasks.size,
-      byStatus: {
-        todo: this.tasksByStatus.get('todo').size,
-        in_progress: this.tasksByStatus.get('in_progress').size,
-        completed: this.tasksByStatus.get('completed').size
-      },
+      total: scopeIds ? scopeIds.size : this.tasks.size,
+      byStatus,
+      byCategory,
       byPriority: {
-        low: this.tasksByPriority.get('low').size,
-        medium: this.tasksByPriority.get('medium').size,
-        high: this.tasksByPriority.get('high').size
+        low: countIn(this.tasksByPriority.get('low')),
+        medium: countIn(this.tasksByPriority.get('medium')),
+        high: countIn(this.tasksByPriority.get('high'))
       },
       tags: {
-        total: this.tasksByTag.size,
-        popular: this._getPopularTags(5)
-      }
+        total: popularTags.length,
+        popular: popularTags.slice(0, 5)
+      },
+      trashed: [...this.trash.values()]
+        .filter(task => isInProject(task, projectId) && isOwnedBy(task, ownerId) && isInWorkspace(task, workspaceId))
+        .length
     };
 
     // Calculate overdue tasks
     stats.overdue = 0;
     stats.completedToday = 0;
+    const byAssignee = new Map();
+
+    const scopedTasks = scopeIds ? [...scopeIds].map(id => this.tasks.get(id)) : this.tasks.values();
+    for (const task of scopedTasks) {
+      const assigneeId = task.assigneeId || null;
+      if (!byAssignee.has(assigneeId)) {
+        byAssignee.set(assigneeId, { assigneeId, total: 0, completed: 0 });
+      }
+      byAssignee.get(assigneeId).total++;
+      if (task.statusCategory === 'done') byAssignee.get(assigneeId).completed++;
+
+      if (task.status in byStatus) byStatus[task.status]++;
+      byCategory[task.statusCategory]++;
 
-    for (const task of this.tasks.values()) {
       // Count overdue tasks
-      if (task.dueDate && task.dueDate < now && task.status !== 'completed') {
+      if (task.dueDate && task.dueDate < now && task.statusCategory !== 'done') {
         stats.overdue++;
       }
 
       // Count tasks completed today
-      if (task.status === 'completed') {
+      if (task.statusCategory === 'done') {
         const updatedDate = new Date(task.updatedAt).toDateString();
         if (updatedDate === today) {
           stats.completedToday++;
@@ -312,6 +912,8 @@ export class TaskRepository {
       }
     }
 
+    stats.byAssignee = sortAssigneeCounts([...byAssignee.values()]);
+
     return stats;
   }
 
@@ -320,76 +922,956 @@ export class TaskRepository {
    * @returns {Promise<void>}
    */
   async clear() {
-    this.tasks.clear();
-    this.tasksByStatus.forEach(set => set.clear());
-    this.tasksByTag.clear();
+    this._rebuildIndexes([]);
+    this._persist();
+    this.projects.clear();
+    this._persistProjects();
+    this.workspaces.clear();
+    this._persistWorkspaces();
+    this.users.clear();
+    this._persistUsers();
+    this.apiKeys.clear();
+    this._persistApiKeys();
+    this.comments.clear();
+    this.commentCounts.clear();
+    this._persistComments();
+    this.attachments.clear();
+    this._persistAttachments();
+    this.history = [];
+    if (this.store) {
+      this.store.save(HISTORY_COLLECTION, this.history);
+    }
     console.log('Cleared all tasks from repository');
   }
 
   /**
-   * Get all tasks (for debugging/testing)
-   * @returns {Promise<Array>} All tasks
+   * Create a project
+   * @param {Object} projectData - { name, description?, color?, ownerId? }
+   * @returns {Promise<Object>} Created project
    */
-  async getAllRaw() {
-    return Array.from(this.tasks.values()).map(task => ({ ...task }));
-  }
+  async createProject(projectData) {
+    const project = createProjectRecord(projectData);
 
-  // Utility methods (same as before...)
+    this.projects.set(project.id, project);
+    this._persistProjects();
+    console.log('Created new project:', project.name);
+    return this._presentProject(project);
+  }
 
   /**
-   * Intersect two sets efficiently
-   * @private
+   * List projects by name
+   * @param {Object} [scope] - { ownerId } to list one user's projects only
+   * @returns {Promise<Array>} Projects with task counts
    */
-  _intersectSets(setA, setB) {
-    const result = new Set();
-    const [smaller, larger] = setA.size <= setB.size ? [setA, setB] : [setB, setA];
-    
-    for (const item of smaller) {
-      if (larger.has(item)) {
-        result.add(item);
-      }
-    }
-    
-    return result;
+  async findProjects({ ownerId } = {}) {
+    return [...this.projects.values()]
+      .filter(project => isOwnedBy(project, ownerId))
+      .sort((a, b) =>
+        a.name.toLowerCase().localeCompare(b.name.toLowerCase()) || a.createdAt.localeCompare(b.createdAt)
+      )
+      .map(project => this._presentProject(project));
   }
 
   /**
-   * Compare tasks for sorting
-   * @private
+   * Find project by ID
+   * @param {string} id - Project ID
+   * @returns {Promise<Object|null>} Project or null if not found
    */
-  _compareTasksForSort(a, b, sortBy, sortOrder) {
-    let aValue = a[sortBy];
-    let bValue = b[sortBy];
-
-    // Handle null/undefined values
-    if (aValue == null && bValue == null) return 0;
-    if (aValue == null) return sortOrder === 'asc' ? 1 : -1;
-    if (bValue == null) return sortOrder === 'asc' ? -1 : 1;
-
-    // Handle date fields
-    if (sortBy === 'createdAt' || sortBy === 'updatedAt' || sortBy === 'dueDate') {
-      aValue = new Date(aValue);
-      bValue = new Date(bValue);
-    }
-
-    // Handle string comparison
-    if (typeof aValue === 'string' && typeof bValue === 'string') {
-      const comparison = aValue.localeCompare(bValue);
-      return sortOrder === 'asc' ? comparison : -comparison;
-    }
-
-    // Handle numeric/date comparison
-    const comparison = aValue < bValue ? -1 : aValue > bValue ? 1 : 0;
-    return sortOrder === 'asc' ? comparison : -comparison;
+  async findProjectById(id) {
+    const project = this.projects.get(id);
+    return project ? this._presentProject(project) : null;
   }
 
   /**
-   * Get most popular tags
-   * @private
+   * Update a project
+   * @param {string} id - Project ID
+   * @param {Object} updates - { name?, description?, color? }
+   * @returns {Promise<Object|null>} Updated project or null if not found
    */
-  _getPopularTags(limit = 5) {
+  async updateProject(id, updates) {
+    const existingProject = this.projects.get(id);
+    if (!existingProject) {
+      return null;
+    }
+
+    const updatedProject = {
+      ...existingProject,
+      ...updates,
+      id,
+      createdAt: existingProject.createdAt,
+      updatedAt: new Date().toISOString()
+    };
+
+    this.projects.set(id, updatedProject);
+    this._persistProjects();
+    console.log('Updated project:', updatedProject.name);
+    return this._presentProject(updatedProject);
+  }
+
+  /**
+   * Delete a project, moving its tasks out of it
+   * @param {string} id - Project ID
+   * @returns {Promise<Object|null>} Deleted project or null if not found
+   */
+  async deleteProject(id) {
+    const project = this.projects.get(id);
+    if (!project) {
+      return null;
+    }
+
+    // Like ON DELETE SET NULL in SQLite: tasks keep their version and history
+    for (const task of [...this.tasks.values()]) {
+      if (task.projectId === id) {
+        this._updateTask(task, { ...task, projectId: null });
+      }
+    }
+    for (const task of this.trash.values()) {
+      if (task.projectId === id) {
+        task.projectId = null;
+      }
+    }
+
+    this.projects.delete(id);
+    this._persist();
+    this._persistProjects();
+    console.log('Deleted project:', project.name);
+    return { ...project, taskCount: 0 };
+  }
+
+  /**
+   * Create a workspace with its creator as owner
+   * @param {Object} workspaceData - { name, ownerId }
+   * @returns {Promise<Object>} Created workspace
+   */
+  async createWorkspace(workspaceData) {
+    const workspace = createWorkspaceRecord(workspaceData);
+
+    this.workspaces.set(workspace.id, workspace);
+    this._persistWorkspaces();
+    console.log('Created new workspace:', workspace.name);
+    return this._presentWorkspace(workspace);
+  }
+
+  /**
+   * List the workspaces a user belongs to, by name
+   * @param {Object} scope - { userId }
+   * @returns {Promise<Array>} Workspaces with members and task counts
+   */
+  async findWorkspaces({ userId }) {
+    return [...this.workspaces.values()]
+      .filter(workspace => workspace.members.some(member => member.userId === userId))
+      .sort((a, b) =>
+        a.name.toLowerCase().localeCompare(b.name.toLowerCase()) || a.createdAt.localeCompare(b.createdAt)
+      )
+      .map(workspace => this._presentWorkspace(workspace));
+  }
+
+  /**
+   * Find workspace by ID
+   * @param {string} id - Workspace ID
+   * @returns {Promise<Object|null>} Workspace or null if not found
+   */
+  async findWorkspaceById(id) {
+    const workspace = this.workspaces.get(id);
+    return workspace ? this._presentWorkspace(workspace) : null;
+  }
+
+  /**
+   * Rename a workspace
+   * @param {string} id - Workspace ID
+   * @param {Object} updates - { name }
+   * @returns {Promise<Object|null>} Updated workspace or null if not found
+   */
+  async updateWorkspace(id, updates) {
+    const workspace = this.workspaces.get(id);
+    if (!workspace) {
+      return null;
+    }
+
+    const updatedWorkspace = { ...workspace, name: updates.name, updatedAt: new Date().toISOString() };
+    this.workspaces.set(id, updatedWorkspace);
+    this._persistWorkspaces();
+    console.log('Updated workspace:', updatedWorkspace.name);
+    return this._presentWorkspace(updatedWorkspace);
+  }
+
+  /**
+   * Delete a workspace; its tasks go back to the users who created them
+   * @param {string} id - Workspace ID
+   * @returns {Promise<Object|null>} Deleted workspace or null if not found
+   */
+  async deleteWorkspace(id) {
+    const workspace = this.workspaces.get(id);
+    if (!workspace) {
+      return null;
+    }
+
+    // Like ON DELETE SET NULL in SQLite: tasks keep their version and history.
+    // A personal task can only be assigned to its owner, and the workspace's fields and statuses go with it.
+    const toPersonal = task => ({
+      workspaceId: null,
+      assigneeId: task.assigneeId === task.ownerId ? task.assigneeId : null,
+      customFields: {},
+      status: mapStatus(DEFAULT_WORKFLOW, task.status, task.statusCategory)
+    });
+    for (const task of [...this.tasks.values()]) {
+      if (task.workspaceId === id) {
+        this._updateTask(task, { ...task, ...toPersonal(task) });
+      }
+    }
+    for (const task of this.trash.values()) {
+      if (task.workspaceId === id) {
+        Object.assign(task, toPersonal(task));
+      }
+    }
+
+    this.workspaces.delete(id);
+    this._persist();
+    this._persistWorkspaces();
+    console.log('Deleted workspace:', workspace.name);
+    return { ...this._presentWorkspace(workspace), taskCount: 0 };
+  }
+
+  /**
+   * Add a member to a workspace or change their role
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} userId - User ID
+   * @param {string} role - owner, editor or viewer
+   * @returns {Promise<Object|null>} Updated workspace or null if not found
+   */
+  async setWorkspaceMember(workspaceId, userId, role) {
+    const workspace = this.workspaces.get(workspaceId);
+    if (!workspace) {
+      return null;
+    }
+
+    const existing = workspace.members.find(member => member.userId === userId);
+    const members = existing
+      ? workspace.members.map(member => (member.userId === userId ? { ...member, role } : member))
+      : [...workspace.members, { userId, role, addedAt: new Date().toISOString() }];
+
+    const updatedWorkspace = { ...workspace, members, updatedAt: new Date().toISOString() };
+    this.workspaces.set(workspaceId, updatedWorkspace);
+    this._persistWorkspaces();
+    return this._presentWorkspace(updatedWorkspace);
+  }
+
+  /**
+   * Remove a member from a workspace
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Updated workspace or null if not found
+   */
+  async removeWorkspaceMember(workspaceId, userId) {
+    const workspace = this.workspaces.get(workspaceId);
+    if (!workspace) {
+      return null;
+    }
+
+    const updatedWorkspace = {
+      ...workspace,
+      members: workspace.members.filter(member => member.userId !== userId),
+      updatedAt: new Date().toISOString()
+    };
+    this.workspaces.set(workspaceId, updatedWorkspace);
+
+    // Their tasks in this workspace become unassigned
+    for (const task of [...this.tasks.values()]) {
+      if (task.workspaceId === workspaceId && task.assigneeId === userId) {
+        this._updateTask(task, { ...task, assigneeId: null });
+      }
+    }
+    for (const task of this.trash.values()) {
+      if (task.workspaceId === workspaceId && task.assigneeId === userId) {
+        task.assigneeId = null;
+      }
+    }
+
+    this._persist();
+    this._persistWorkspaces();
+    return this._presentWorkspace(updatedWorkspace);
+  }
+
+  /**
+   * Add a custom field to a workspace
+   * @param {string} workspaceId - Workspace ID
+   * @param {Object} fieldData - { name, type, options, required }
+   * @returns {Promise<Object|null>} Created field or null if the workspace was not found
+   */
+  async createCustomField(workspaceId, fieldData) {
+    const workspace = this.workspaces.get(workspaceId);
+    if (!workspace) {
+      return null;
+    }
+
+    const field = createCustomFieldRecord({ ...fieldData, workspaceId });
+    this.workspaces.set(workspaceId, {
+      ...workspace,
+      customFields: [...(workspace.customFields || []), field],
+      updatedAt: new Date().toISOString()
+    });
+    this._persistWorkspaces();
+    return { ...field, options: [...field.options] };
+  }
+
+  /**
+   * Rename a custom field, change its options or whether it is required.
+   * Values that use a removed option are dropped from the workspace's tasks.
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} fieldId - Field ID
+   * @param {Object} updates - { name, options, required }
+   * @returns {Promise<Object|null>} Updated field or null if not found
+   */
+  async updateCustomField(workspaceId, fieldId, updates) {
+    const workspace = this.workspaces.get(workspaceId);
+    const field = workspace?.customFields?.find(candidate => candidate.id === fieldId);
+    if (!field) {
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    const updatedField = { ...field, ...updates, id: field.id, type: field.type, updatedAt: now };
+    this.workspaces.set(workspaceId, {
+      ...workspace,
+      customFields: workspace.customFields.map(candidate => (candidate.id === fieldId ? updatedField : candidate)),
+      updatedAt: now
+    });
+
+    if (updates.options) {
+      this._rewriteCustomFieldValues(workspaceId, values => pruneCustomFieldValue(values, updatedField));
+    }
+    this._persistWorkspaces();
+    return { ...updatedField, options: [...updatedField.options] };
+  }
+
+  /**
+   * Delete a custom field and its values on the workspace's tasks
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} fieldId - Field ID
+   * @returns {Promise<Object|null>} Deleted field or null if not found
+   */
+  async deleteCustomField(workspaceId, fieldId) {
+    const workspace = this.workspaces.get(workspaceId);
+    const field = workspace?.customFields?.find(candidate => candidate.id === fieldId);
+    if (!field) {
+      return null;
+    }
+
+    this.workspaces.set(workspaceId, {
+      ...workspace,
+      customFields: workspace.customFields.filter(candidate => candidate.id !== fieldId),
+      updatedAt: new Date().toISOString()
+    });
+    this._rewriteCustomFieldValues(workspaceId, values => {
+      const remaining = { ...values };
+      delete remaining[fieldId];
+      return remaining;
+    });
+    this._persistWorkspaces();
+    return field;
+  }
+
+  /**
+   * Apply a change to the custom field values of a workspace's tasks, active and trashed.
+   * Like other schema-level changes it leaves the tasks' version and history alone.
+   * @private
+   */
+  _rewriteCustomFieldValues(workspaceId, rewrite) {
+    for (const task of [...this.tasks.values(), ...this.trash.values()]) {
+      if (task.workspaceId === workspaceId && task.customFields) {
+        task.customFields = rewrite(task.customFields);
+      }
+    }
+    this._persist();
+  }
+
+  /**
+   * Replace a workspace's workflow, moving tasks out of removed statuses
+   * @param {string} workspaceId - Workspace ID
+   * @param {Object} workflow - { statuses, transitions }
+   * @param {Object} [options] - { moveTasks: { removedStatusId: newStatusId } }
+   * @returns {Promise<Object|null>} Updated workspace or null if not found
+   */
+  async updateWorkflow(workspaceId, workflow, { moveTasks = {} } = {}) {
+    const workspace = this.workspaces.get(workspaceId);
+    if (!workspace) {
+      return null;
+    }
+
+    const updatedWorkspace = { ...workspace, workflow: cloneWorkflow(workflow), updatedAt: new Date().toISOString() };
+    this.workspaces.set(workspaceId, updatedWorkspace);
+
+    // A schema-level change like deleting a custom field: versions and history stay as they are
+    const relocate = task => {
+      const status = moveTasks[task.status] || mapStatus(workflow, task.status, task.statusCategory);
+      return { status, statusCategory: getStatusCategory(workflow, status) };
+    };
+    for (const task of [...this.tasks.values()]) {
+      if (task.workspaceId === workspaceId) {
+        this._updateTask(task, { ...task, ...relocate(task) });
+      }
+    }
+    for (const task of this.trash.values()) {
+      if (task.workspaceId === workspaceId) {
+        Object.assign(task, relocate(task));
+      }
+    }
+
+    this._persist();
+    this._persistWorkspaces();
+    console.log('Updated workflow of workspace:', updatedWorkspace.name);
+    return this._presentWorkspace(updatedWorkspace);
+  }
+
+  /**
+   * Get the change history of a task, newest first
+   * @param {string} taskId - Task ID
+   * @param {Object} [options] - { limit, offset, ownerId }
+   * @returns {Promise<Object>} { entries, pagination }
+   */
+  async getHistory(taskId, { limit = 20, offset = 0, ownerId } = {}) {
+    const entries = this.history
+      .filter(entry => entry.taskId === taskId && isOwnedBy(entry, ownerId))
+      .reverse();
+
+    return {
+      entries: entries.slice(offset, offset + limit).map(entry => ({ ...entry })),
+      pagination: {
+        total: entries.length,
+        limit,
+        offset,
+        hasMore: offset + limit < entries.length
+      }
+    };
+  }
+
+  /**
+   * Create a user account
+   * @param {Object} userData - { email, name, passwordHash }
+   * @returns {Promise<Object>} Created user
+   */
+  async createUser(userData) {
+    const user = createUserRecord(userData);
+
+    this.users.set(user.id, user);
+    this._persistUsers();
+    console.log('Created new user:', user.id);
+    return { ...user };
+  }
+
+  /**
+   * Find a user by email
+   * @param {string} email - Email address (any case)
+   * @returns {Promise<Object|null>} User or null if not registered
+   */
+  async findUserByEmail(email) {
+    const normalized = normalizeEmail(email);
+    const user = [...this.users.values()].find(candidate => candidate.email === normalized);
+    return user ? { ...user } : null;
+  }
+
+  /**
+   * Find a user by ID
+   * @param {string} id - User ID
+   * @returns {Promise<Object|null>} User or null if not found
+   */
+  async findUserById(id) {
+    const user = this.users.get(id);
+    return user ? { ...user } : null;
+  }
+
+  /**
+   * Count registered users
+   * @returns {Promise<number>} Number of users
+   */
+  async countUsers() {
+    return this.users.size;
+  }
+
+  /**
+   * Give every unowned task, project and history entry to a user
+   * @param {string} ownerId - User ID
+   * @returns {Promise<Object>} { tasks, projects } adopted
+   */
+  async claimUnowned(ownerId) {
+    let tasks = 0;
+    for (const task of [...this.tasks.values()]) {
+      if (!task.ownerId) {
+        this._updateTask(task, { ...task, ownerId });
+        tasks++;
+      }
+    }
+    for (const task of this.trash.values()) {
+      if (!task.ownerId) {
+        task.ownerId = ownerId;
+        tasks++;
+      }
+    }
+
+    let projects = 0;
+    for (const project of this.projects.values()) {
+      if (!project.ownerId) {
+        project.ownerId = ownerId;
+        projects++;
+      }
+    }
+
+    this.history.forEach(entry => {
+      if (!entry.ownerId) entry.ownerId = ownerId;
+    });
+
+    this._persist();
+    this._persistProjects();
+    if (this.store) {
+      this.store.save(HISTORY_COLLECTION, this.history);
+    }
+    return { tasks, projects };
+  }
+
+  /**
+   * Create an API key
+   * @param {Object} keyData - { userId, name, scopes, prefix, keyHash }
+   * @returns {Promise<Object>} Created key
+   */
+  async createApiKey(keyData) {
+    const apiKey = createApiKeyRecord(keyData);
+
+    this.apiKeys.set(apiKey.id, apiKey);
+    this._persistApiKeys();
+    console.log('Created API key:', apiKey.name);
+    return { ...apiKey, scopes: [...apiKey.scopes] };
+  }
+
+  /**
+   * List a user's API keys, newest first
+   * @param {Object} scope - { userId }
+   * @returns {Promise<Array>} Keys
+   */
+  async findApiKeys({ userId }) {
+    return [...this.apiKeys.values()]
+      .filter(apiKey => apiKey.userId === userId)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(apiKey => ({ ...apiKey, scopes: [...apiKey.scopes] }));
+  }
+
+  /**
+   * Find an API key by the hash of its secret
+   * @param {string} keyHash - SHA-256 hash of the key
+   * @returns {Promise<Object|null>} Key or null if not found
+   */
+  async findApiKeyByHash(keyHash) {
+    const apiKey = [...this.apiKeys.values()].find(candidate => candidate.keyHash === keyHash);
+    return apiKey ? { ...apiKey, scopes: [...apiKey.scopes] } : null;
+  }
+
+  /**
+   * Record when an API key was last used
+   * @param {string} id - API key ID
+   * @param {string} usedAt - ISO timestamp
+   * @returns {Promise<void>}
+   */
+  async touchApiKey(id, usedAt) {
+    const apiKey = this.apiKeys.get(id);
+    if (apiKey) {
+      this.apiKeys.set(id, { ...apiKey, lastUsedAt: usedAt });
+      this._persistApiKeys();
+    }
+  }
+
+  /**
+   * Revoke an API key
+   * @param {string} id - API key ID
+   * @returns {Promise<Object|null>} Deleted key or null if not found
+   */
+  async deleteApiKey(id) {
+    const apiKey = this.apiKeys.get(id);
+    if (!apiKey) {
+      return null;
+    }
+
+    this.apiKeys.delete(id);
+    this._persistApiKeys();
+    console.log('Revoked API key:', apiKey.name);
+    return { ...apiKey };
+  }
+
+  /**
+   * Add a comment to a task
+   * @param {Object} commentData - { taskId, authorId, body }
+   * @returns {Promise<Object>} Created comment
+   */
+  async createComment(commentData) {
+    const comment = createCommentRecord(commentData);
+
+    this.comments.set(comment.id, comment);
+    this.commentCounts.set(comment.taskId, (this.commentCounts.get(comment.taskId) || 0) + 1);
+    this._persistComments();
+    console.log('Added comment to task:', comment.taskId);
+    return { ...comment };
+  }
+
+  /**
+   * List a task's comments, oldest first
+   * @param {string} taskId - Task ID
+   * @param {Object} [options] - { limit, offset }
+   * @returns {Promise<Object>} { comments, pagination }
+   */
+  async findComments(taskId, { limit = 20, offset = 0 } = {}) {
+    const comments = [...this.comments.values()].filter(comment => comment.taskId === taskId);
+
+    return {
+      comments: comments.slice(offset, offset + limit).map(comment => ({ ...comment })),
+      pagination: {
+        total: comments.length,
+        limit,
+        offset,
+        hasMore: offset + limit < comments.length
+      }
+    };
+  }
+
+  /**
+   * Find a comment by ID
+   * @param {string} id - Comment ID
+   * @returns {Promise<Object|null>} Comment or null if not found
+   */
+  async findCommentById(id) {
+    const comment = this.comments.get(id);
+    return comment ? { ...comment } : null;
+  }
+
+  /**
+   * Change a comment's text
+   * @param {string} id - Comment ID
+   * @param {Object} changes - { body }
+   * @returns {Promise<Object|null>} Updated comment or null if not found
+   */
+  async updateComment(id, { body }) {
+    const comment = this.comments.get(id);
+    if (!comment) {
+      return null;
+    }
+
+    const updatedComment = editComment(comment, body);
+    this.comments.set(id, updatedComment);
+    this._persistComments();
+    return { ...updatedComment };
+  }
+
+  /**
+   * Delete a comment
+   * @param {string} id - Comment ID
+   * @returns {Promise<Object|null>} Deleted comment or null if not found
+   */
+  async deleteComment(id) {
+    const comment = this.comments.get(id);
+    if (!comment) {
+      return null;
+    }
+
+    this.comments.delete(id);
+    this.commentCounts.set(comment.taskId, this.commentCounts.get(comment.taskId) - 1);
+    if (this.commentCounts.get(comment.taskId) === 0) {
+      this.commentCounts.delete(comment.taskId);
+    }
+    this._persistComments();
+    return { ...comment };
+  }
+
+  /**
+   * Record an uploaded file against a task
+   * @param {Object} attachmentData - { taskId, uploaderId, fileName, contentType, size }
+   * @returns {Promise<Object>} Created attachment, including the storageKey to write the file to
+   */
+  async createAttachment(attachmentData) {
+    const attachment = createAttachmentRecord(attachmentData);
+
+    this.attachments.set(attachment.id, attachment);
+    this._persistAttachments();
+    console.log('Attached file to task:', attachment.taskId);
+    return { ...attachment };
+  }
+
+  /**
+   * List a task's attachments, oldest first
+   * @param {string} taskId - Task ID
+   * @returns {Promise<Array>} Attachments
+   */
+  async findAttachments(taskId) {
+    return [...this.attachments.values()]
+      .filter(attachment => attachment.taskId === taskId)
+      .map(attachment => ({ ...attachment }));
+  }
+
+  /**
+   * Find an attachment by ID
+   * @param {string} id - Attachment ID
+   * @returns {Promise<Object|null>} Attachment or null if not found
+   */
+  async findAttachmentById(id) {
+    const attachment = this.attachments.get(id);
+    return attachment ? { ...attachment } : null;
+  }
+
+  /**
+   * Delete an attachment's metadata; the caller removes the file from storage
+   * @param {string} id - Attachment ID
+   * @returns {Promise<Object|null>} Deleted attachment or null if not found
+   */
+  async deleteAttachment(id) {
+    const attachment = this.attachments.get(id);
+    if (!attachment) {
+      return null;
+    }
+
+    this.attachments.delete(id);
+    this._persistAttachments();
+    return { ...attachment };
+  }
+
+  /**
+   * Get all tasks (for debugging/testing)
+   * @returns {Promise<Array>} All tasks
+   */
+  async getAllRaw() {
+    return Array.from(this.tasks.values()).map(task => ({ ...task }));
+  }
+
+  /**
+   * Get the schema migrations applied to this repository's store
+   * @returns {Array} Applied migration records
+   */
+  getAppliedMigrations() {
+    if (this.store) {
+      return this.store.load(MIGRATIONS_COLLECTION) || [];
+    }
+    return this.appliedMigrations.map(record => ({ ...record }));
+  }
+
+  /**
+   * Run a migration's document hook against the store and record it
+   * @param {Object} migration - Migration definition
+   * @param {'up'|'down'} direction - Direction to apply
+   */
+  applyMigration(migration, direction) {
+    if (this.store) {
+      migration.document?.[direction]?.(this.store);
+    }
+
+    const applied = this.getAppliedMigrations()
+      .filter(record => record.version !== migration.version);
+    if (direction === 'up') {
+      applied.push({
+        version: migration.version,
+        name: migration.name,
+        appliedAt: new Date().toISOString()
+      });
+      applied.sort((a, b) => a.version - b.version);
+    }
+
+    if (this.store) {
+      this.store.save(MIGRATIONS_COLLECTION, applied);
+      // The hook may have rewritten any collection on disk - reload them all
+      this._rebuildIndexes(this.store.load(TASKS_COLLECTION) || []);
+      this._loadProjects();
+      this._loadUsers();
+      this._loadWorkspaces();
+      this._loadApiKeys();
+      this._loadComments();
+      this._loadAttachments();
+      this.history = this.store.load(HISTORY_COLLECTION) || [];
+    } else {
+      this.appliedMigrations = applied;
+    }
+  }
+
+  // Utility methods (same as before...)
+
+  /**
+   * Reject a write based on a stale copy of the task
+   * @private
+   */
+  _assertVersion(task, expectedVersion) {
+    if (expectedVersion !== undefined && task.version !== expectedVersion) {
+      throw new VersionConflictError(this._present(task), expectedVersion);
+    }
+  }
+
+  /**
+   * Workflow followed by a workspace's tasks; personal tasks and unknown workspaces use the default
+   * @private
+   */
+  _workflowOf(workspaceId) {
+    return getWorkflow(workspaceId ? this.workspaces.get(workspaceId) : null);
+  }
+
+  /**
+   * Position after every stored task, trashed ones included, so a restored task keeps its place
+   * @private
+   */
+  _nextPosition() {
+    let max = 0;
+    for (const task of [...this.tasks.values(), ...this.trash.values()]) {
+      max = Math.max(max, task.position || 0);
+    }
+    return max + 1;
+  }
+
+  /**
+   * Copy a stored task for callers, adding its computed open blockers and comment count
+   * @private
+   */
+  _present(task) {
+    return {
+      ...task,
+      blockers: (task.blockedBy || [])
+        .map(id => this.tasks.get(id))
+        .filter(isOpenBlocker)
+        .map(summarizeBlocker),
+      commentCount: this.commentCounts.get(task.id) || 0
+    };
+  }
+
+  /**
+   * Copy a stored project for callers, adding its active task count
+   * @private
+   */
+  _presentProject(project) {
+    return {
+      ...project,
+      taskCount: this.tasksByProject.get(project.id)?.size || 0
+    };
+  }
+
+  /**
+   * Copy a stored workspace for callers, adding its active task count
+   * @private
+   */
+  _presentWorkspace(workspace) {
+    return {
+      ...workspace,
+      members: workspace.members.map(member => ({ ...member })),
+      customFields: (workspace.customFields || []).map(field => ({ ...field, options: [...field.options] })),
+      workflow: cloneWorkflow(getWorkflow(workspace)),
+      taskCount: this.tasksByWorkspace.get(workspace.id)?.size || 0
+    };
+  }
+
+  /**
+   * Reject "blocked by" links that would make tasks wait on each other.
+   * Trashed tasks are followed too, since restoring one brings its links back.
+   * @private
+   */
+  _assertNoDependencyCycle(taskId, blockedBy) {
+    const cycle = findDependencyCycle(taskId, blockedBy, id =>
+      (this.tasks.get(id) || this.trash.get(id))?.blockedBy || []
+    );
+    if (cycle) {
+      throw new DependencyCycleError(taskId, cycle);
+    }
+  }
+
+  /**
+   * Remove links to a purged task: "blocked by" entries and next-occurrence pointers
+   * @private
+   */
+  _dropLinksTo(purgedId) {
+    for (const task of [...this.tasks.values(), ...this.trash.values()]) {
+      if (task.blockedBy?.includes(purgedId)) {
+        task.blockedBy = task.blockedBy.filter(id => id !== purgedId);
+      }
+      if (task.nextOccurrenceId === purgedId) {
+        task.nextOccurrenceId = null;
+      }
+    }
+  }
+
+  /**
+   * Intersect two sets efficiently
+   * @private
+   */
+  _intersectSets(setA, setB) {
+    const result = new Set();
+    const [smaller, larger] = setA.size <= setB.size ? [setA, setB] : [setB, setA];
+    
+    for (const item of smaller) {
+      if (larger.has(item)) {
+        result.add(item);
+      }
+    }
+    
+    return result;
+  }
+
+  /**
+   * The value a task is sorted on; null when it has none. Cursors store it, so it's plain JSON.
+   * @private
+   */
+  _sortKey(task, sortBy) {
+    if (sortBy.startsWith(CUSTOM_FIELD_PREFIX)) {
+      return getCustomFieldSortValue(task.customFields, sortBy.slice(CUSTOM_FIELD_PREFIX.length)) ?? null;
+    }
+
+    const value = task[sortBy];
+    if (value == null) return null;
+
+    // Handle date fields
+    if (sortBy === 'createdAt' || sortBy === 'updatedAt' || sortBy === 'startDate' || sortBy === 'dueDate') {
+      return new Date(value).getTime();
+    }
+
+    // Rank priorities by meaning rather than alphabetically
+    if (sortBy === 'priority') {
+      return PRIORITY_RANK[value] ?? null;
+    }
+
+    return value;
+  }
+
+  /**
+   * Compare two { key, id } sort entries; tasks without a value go last ascending and first
+   * descending, and ties go by ID in either order
+   * @private
+   */
+  _compareSortEntries(a, b, sortOrder) {
+    let comparison;
+    if (a.key == null || b.key == null) {
+      comparison = a.key == null && b.key == null ? 0 : a.key == null ? 1 : -1;
+    } else if (typeof a.key === 'string' && typeof b.key === 'string') {
+      comparison = a.key.localeCompare(b.key);
+    } else {
+      comparison = a.key < b.key ? -1 : a.key > b.key ? 1 : 0;
+    }
+    if (sortOrder !== 'asc') comparison = -comparison;
+    return comparison || a.id.localeCompare(b.id);
+  }
+
+  /**
+   * Index of the first sorted entry that comes after a cursor's { key, id }, found by binary search
+   * @private
+   */
+  _indexAfterCursor(entries, after, sortOrder) {
+    let low = 0;
+    let high = entries.length;
+    while (low < high) {
+      const middle = (low + high) >>> 1;
+      if (this._compareSortEntries(entries[middle], after, sortOrder) <= 0) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    return low;
+  }
+
+  /**
+   * Get most popular tags, optionally among a subset of task IDs
+   * @private
+   */
+  _getPopularTags(limit = 5, scopeIds = null) {
     const tagCounts = Array.from(this.tasksByTag.entries())
-      .map(([tag, taskIds]) => ({ tag, count: taskIds.size }))
+      .map(([tag, taskIds]) => ({ tag, count: scopeIds ? this._intersectSets(scopeIds, taskIds).size : taskIds.size }))
+      .filter(({ count }) => count > 0)
       .sort((a, b) => b.count - a.count)
       .slice(0, limit);
 
@@ -397,173 +1879,52 @@ export class TaskRepository {
   }
 }
 
+/**
+ * Factory function to create repository instances
+ * This allows easy switching between implementations
+ * @param {string} [type='memory'] - memory | file | sqlite
+ * @param {Object} [config] - Backend options (dataDir for file, dbPath for sqlite, seed)
+ * @returns {ITaskRepository} Repository instance
+ */
+export function createTaskRepository(type = 'memory', config = {}) {
+  const { seed } = config;
+
+  switch (type) {
+    case 'memory':
+      return new TaskRepository({ seed });
+
+    case 'file': {
+      const dataDir = config.dataDir || path.join(process.cwd(), '.data');
+      return new TaskRepository({ store: new JsonFileStore(dataDir), seed });
+    }
+
+    case 'sqlite': {
+      const dbPath = config.dbPath || path.join(process.cwd(), '.data', 'tasks.db');
+      return new SQLiteTaskRepository({ dbPath, seed });
+    }
+
+    default:
+      throw new Error(`Unknown repository type: ${type}`);
+  }
+}
+
 // Singleton instance for serverless functions
 let repositoryInstance = null;
 
 /**
  * Get singleton TaskRepository instance
- * @returns {TaskRepository} Repository instance
+ * Storage is selected with TASK_STORAGE ('memory' by default, 'file' or 'sqlite').
+ * The file store writes to TASK_DATA_DIR and SQLite to TASK_DB_PATH (both under ./.data by default).
+ * @returns {ITaskRepository} Repository instance
  */
 export function getTaskRepository() {
   if (!repositoryInstance) {
-    repositoryInstance = new TaskRepository();
+    repositoryInstance = createTaskRepository(process.env.TASK_STORAGE || 'memory', {
+      dataDir: process.env.TASK_DATA_DIR,
+      dbPath: process.env.TASK_DB_PATH
+    });
   }
   return repositoryInstance;
 }
 
 export default TaskRepository;
-
-// TaskRepository Interface DB Extension (Removed for Vercel Hobby Plan Limit on Serverless functions)
-
-// /**
-//  * @interface ITaskRepository
-//  */
-// export class ITaskRepository {
-//   /**
-//    * Create a new task
-//    * @param {Object} taskData - Task data object
-//    * @param {string} taskData.title - Task title (required)
-//    * @param {string} [taskData.description] - Task description
-//    * @param {string} [taskData.status='todo'] - Task status (todo|in_progress|completed)
-//    * @param {string} [taskData.priority='medium'] - Task priority (low|medium|high)
-//    * @param {string} [taskData.dueDate] - Due date in ISO string format
-//    * @param {string[]} [taskData.tags] - Array of tags
-//    * @returns {Promise<Object>} Created task with generated ID and timestamps
-//    */
-//   async create(taskData) {
-//     throw new Error('create method must be implemented');
-//   }
-
-//   /**
-//    * Find a task by ID
-//    * @param {string} id - Task ID
-//    * @returns {Promise<Object|null>} Task object or null if not found
-//    */
-//   async findById(id) {
-//     throw new Error('findById method must be implemented');
-//   }
-
-//   /**
-//    * Find all tasks with optional filtering, sorting, and pagination
-//    * @param {Object} [filters] - Filter options
-//    * @param {string} [filters.status] - Filter by status
-//    * @param {string} [filters.priority] - Filter by priority
-//    * @param {string|string[]} [filters.tags] - Filter by tags (AND operation)
-//    * @param {string} [filters.search] - Search in title and description
-//    * @param {boolean} [filters.overdue] - Filter for overdue tasks
-//    * @param {string} [filters.sortBy] - Field to sort by
-//    * @param {string} [filters.sortOrder='asc'] - Sort order (asc|desc)
-//    * @param {number} [filters.limit=50] - Maximum number of results
-//    * @param {number} [filters.offset=0] - Number of results to skip
-//    * @returns {Promise<Object>} Object containing tasks array and pagination info
-//    * @returns {Promise<Object.tasks>} Array of task objects
-//    * @returns {Promise<Object.pagination>} Pagination information
-//    */
-//   async findAll(filters = {}) {
-//     throw new Error('findAll method must be implemented');
-//   }
-
-//   /**
-//    * Update an existing task
-//    * @param {string} id - Task ID
-//    * @param {Object} updates - Object containing fields to update
-//    * @returns {Promise<Object|null>} Updated task object or null if not found
-//    */
-//   async update(id, updates) {
-//     throw new Error('update method must be implemented');
-//   }
-
-//   /**
-//    * Delete a task
-//    * @param {string} id - Task ID
-//    * @returns {Promise<Object|null>} Deleted task object or null if not found
-//    */
-//   async delete(id) {
-//     throw new Error('delete method must be implemented');
-//   }
-
-//   /**
-//    * Get task statistics
-//    * @returns {Promise<Object>} Statistics object
-//    * @returns {Promise<Object.total>} Total number of tasks
-//    * @returns {Promise<Object.byStatus>} Count by status
-//    * @returns {Promise<Object.byPriority>} Count by priority
-//    * @returns {Promise<Object.overdue>} Number of overdue tasks
-//    * @returns {Promise<Object.completedToday>} Number of tasks completed today
-//    * @returns {Promise<Object.tags>} Tag statistics
-//    */
-//   async getStats() {
-//     throw new Error('getStats method must be implemented');
-//   }
-
-//   /**
-//    * Clear all tasks (mainly for testing)
-//    * @returns {Promise<void>}
-//    */
-//   async clear() {
-//     throw new Error('clear method must be implemented');
-//   }
-// }
-
-// /**
-//  * Database Repository Implementation Example
-//  * This shows how you would implement the interface for a SQL database
-//  */
-// export class DatabaseTaskRepository extends ITaskRepository {
-//   constructor(databaseConnection) {
-//     super();
-//     this.db = databaseConnection;
-//   }
-
-//   async create(taskData) {
-//     // Example SQL implementation:
-//     /*
-//     const query = `
-//       INSERT INTO tasks (id, title, description, status, priority, due_date, tags, created_at, updated_at)
-//       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-//     `;
-//     const result = await this.db.execute(query, [
-//       uuidv4(),
-//       taskData.title,
-//       taskData.description || '',
-//       taskData.status || 'todo',
-//       taskData.priority || 'medium',
-//       taskData.dueDate,
-//       JSON.stringify(taskData.tags || []),
-//       new Date().toISOString(),
-//       new Date().toISOString()
-//     ]);
-//     return this.findById(result.insertId);
-//     */
-//     throw new Error('DatabaseTaskRepository implementation needed');
-//   }
-
-//   // ... other methods would be implemented similarly
-// }
-
-// /**
-//  * Factory function to create repository instances
-//  * This allows easy switching between implementations
-//  */
-// export function createTaskRepository(type = 'memory', config = {}) {
-//   switch (type) {
-//     case 'memory':
-//       const { TaskRepository } = require('./TaskRepository.js');
-//       return new TaskRepository();
-    
-//     case 'sqlite':
-//       // return new SQLiteTaskRepository(config.dbPath);
-//       throw new Error('SQLite repository not implemented yet');
-    
-//     case 'postgres':
-//       // return new PostgreSQLTaskRepository(config.connectionString);
-//       throw new Error('PostgreSQL repository not implemented yet');
-    
-//     case 'mongodb':
-//       // return new MongoDBTaskRepository(config.connectionString);
-//       throw new Error('MongoDB repository not implemented yet');
-    
-//     default:
-//       throw new Error(`Unknown repository type: ${type}`);
-//   }
-// }
\ No newline at end of file
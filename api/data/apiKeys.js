@@ -0,0 +1,34 @@
+// API keys - long-lived credentials for scripts and integrations, shared by all repository backends
+import { v4 as uuidv4 } from 'uuid';
+
+export const API_KEY_SCOPES = ['read', 'write'];
+export const MAX_API_KEY_NAME_LENGTH = 50;
+export const MAX_API_KEYS_PER_USER = 20;
+
+/**
+ * Build a new API key record. Only the hash of the key is stored; the key itself is shown once.
+ * @param {Object} keyData - { userId, name, scopes, prefix, keyHash }
+ * @returns {Object} { id, userId, name, scopes, prefix, keyHash, createdAt, lastUsedAt }
+ */
+export function createApiKeyRecord({ userId, name, scopes, prefix, keyHash }) {
+  return {
+    id: uuidv4(),
+    userId,
+    name,
+    // Stored in API_KEY_SCOPES order so comparisons don't depend on how they were requested
+    scopes: API_KEY_SCOPES.filter(scope => scopes.includes(scope)),
+    prefix,
+    keyHash,
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null
+  };
+}
+
+/**
+ * Strip the hash before a key leaves the API
+ * @param {Object} apiKey - Stored API key
+ * @returns {Object} { id, name, scopes, prefix, createdAt, lastUsedAt }
+ */
+export function toPublicApiKey({ id, name, scopes, prefix, createdAt, lastUsedAt }) {
+  return { id, name, scopes, prefix, createdAt, lastUsedAt };
+}
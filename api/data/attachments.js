@@ -0,0 +1,137 @@
+// Task attachments - file metadata shared by all repository backends
+// The bytes themselves live in a FileStorage (see stores/FileStorage.js) under storageKey.
+import { v4 as uuidv4 } from 'uuid';
+
+// Uploads are sent in a single request, which serverless hosts cap at a few megabytes
+export const MAX_ATTACHMENT_SIZE = 4 * 1024 * 1024;
+export const MAX_ATTACHMENTS_PER_TASK = 20;
+export const MAX_FILE_NAME_LENGTH = 255;
+
+// Images are shown inline as thumbnails; everything else is only offered as a download
+export const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+export const ATTACHMENT_TYPES = [
+  ...IMAGE_TYPES,
+  'application/pdf',
+  'application/json',
+  'application/zip',
+  'text/plain',
+  'text/markdown',
+  'text/csv'
+];
+
+const TYPES_BY_EXTENSION = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  pdf: 'application/pdf',
+  json: 'application/json',
+  zip: 'application/zip',
+  txt: 'text/plain',
+  log: 'text/plain',
+  md: 'text/markdown',
+  csv: 'text/csv'
+};
+
+// Leading bytes of each image format, so a renamed HTML file can't pass as a picture
+const IMAGE_SIGNATURES = {
+  'image/png': [[0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]],
+  'image/jpeg': [[0xff, 0xd8, 0xff]],
+  'image/gif': [[0x47, 0x49, 0x46, 0x38]],
+  'image/webp': [[0x52, 0x49, 0x46, 0x46]]
+};
+
+/**
+ * Clean an uploaded file name: drop any directory part and control characters
+ * @param {string} fileName - Name sent by the client
+ * @returns {string} Safe display name ("file" when nothing is left)
+ */
+export function normalizeFileName(fileName) {
+  const name = Array.from(String(fileName || '').split(/[\\/]/).pop())
+    .filter(character => !isUnsafeFileNameCharacter(character))
+    .join('')
+    .trim()
+    .slice(0, MAX_FILE_NAME_LENGTH);
+  return name || 'file';
+}
+
+// Control characters, and quotes, which would end the name in a Content-Disposition header
+function isUnsafeFileNameCharacter(character) {
+  const code = character.charCodeAt(0);
+  return code < 0x20 || code === 0x7f || character === '"';
+}
+
+/**
+ * Work out the stored content type of an upload
+ * Browsers send application/octet-stream for types they don't know, so the extension decides then.
+ * @param {string} declaredType - Content-Type of the multipart part
+ * @param {string} fileName - Normalized file name
+ * @returns {string|null} Allowed content type, or null when the file type isn't accepted
+ */
+export function resolveContentType(declaredType, fileName) {
+  const type = String(declaredType || '').split(';')[0].trim().toLowerCase();
+  if (ATTACHMENT_TYPES.includes(type)) {
+    return type;
+  }
+
+  if (!type || type === 'application/octet-stream') {
+    const extension = fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : '';
+    return TYPES_BY_EXTENSION[extension] || null;
+  }
+
+  return null;
+}
+
+/**
+ * Whether the file's bytes match its (image) content type
+ * @param {string} contentType - Resolved content type
+ * @param {Buffer} data - File contents
+ * @returns {boolean} True for matching images and for all non-image types
+ */
+export function matchesContentType(contentType, data) {
+  const signatures = IMAGE_SIGNATURES[contentType];
+  if (!signatures) {
+    return true;
+  }
+  return signatures.some(signature => signature.every((byte, index) => data[index] === byte));
+}
+
+/**
+ * Build a new attachment record
+ * @param {Object} attachmentData - { taskId, uploaderId, fileName, contentType, size }
+ * @returns {Object} { id, taskId, uploaderId, fileName, contentType, size, storageKey, createdAt }
+ */
+export function createAttachmentRecord({ taskId, uploaderId, fileName, contentType, size }) {
+  const id = uuidv4();
+  return {
+    id,
+    taskId,
+    uploaderId,
+    fileName,
+    contentType,
+    size,
+    // Grouped per task so a purged task's files can be removed together
+    storageKey: `${taskId}/${id}`,
+    createdAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Strip storage details before an attachment is sent to clients
+ * @param {Object} attachment - Attachment record
+ * @returns {Object} Attachment without storageKey, plus its download URL
+ */
+export function toPublicAttachment({ id, taskId, uploaderId, fileName, contentType, size, createdAt }) {
+  return {
+    id,
+    taskId,
+    uploaderId,
+    fileName,
+    contentType,
+    size,
+    createdAt,
+    isImage: IMAGE_TYPES.includes(contentType),
+    url: `/api/tasks/${taskId}/attachments/${id}`
+  };
+}
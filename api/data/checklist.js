@@ -0,0 +1,49 @@
+// Task checklists - ordered checklist items embedded in a task, shared by all repository backends
+import { v4 as uuidv4 } from 'uuid';
+
+export const MAX_CHECKLIST_ITEMS = 50;
+
+/**
+ * Build a checklist item
+ * @param {Object} item - { id?, text, done? }
+ * @returns {Object} { id, text, done }
+ */
+export function createChecklistItem({ id, text, done = false }) {
+  return {
+    id: id || uuidv4(),
+    text,
+    done: Boolean(done)
+  };
+}
+
+/**
+ * Give every item an id and the canonical shape, keeping the given order
+ * @param {Array<Object>} [items] - Checklist items
+ * @returns {Array<Object>} Normalized items
+ */
+export function normalizeChecklist(items) {
+  return Array.isArray(items) ? items.map(createChecklistItem) : [];
+}
+
+/**
+ * Summarize how much of a task's checklist is done
+ * @param {Object} task - Task with a checklist
+ * @returns {{done: number, total: number}} Progress counts
+ */
+export function getChecklistProgress(task) {
+  const items = task.checklist || [];
+  return {
+    done: items.filter(item => item.done).length,
+    total: items.length
+  };
+}
+
+/**
+ * Whether the task's checklist rule blocks it from being completed
+ * @param {Object} task - Task with checklist and requireChecklist
+ * @returns {boolean} True when completion must wait for open items
+ */
+export function isCompletionBlocked(task) {
+  const { done, total } = getChecklistProgress(task);
+  return Boolean(task.requireChecklist) && done < total;
+}
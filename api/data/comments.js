@@ -0,0 +1,35 @@
+// Task comments - discussion threads attached to a task, shared by all repository backends
+import { v4 as uuidv4 } from 'uuid';
+
+export const MAX_COMMENT_LENGTH = 2000;
+export const MAX_COMMENTS_PER_TASK = 500;
+
+/**
+ * Build a new comment record
+ * @param {Object} commentData - { taskId, authorId, body }
+ * @returns {Object} { id, taskId, authorId, body, createdAt, updatedAt, editedAt }
+ */
+export function createCommentRecord({ taskId, authorId, body }) {
+  const now = new Date().toISOString();
+  return {
+    id: uuidv4(),
+    taskId,
+    authorId,
+    body,
+    createdAt: now,
+    updatedAt: now,
+    // Set on every edit, so clients can mark the comment as edited
+    editedAt: null
+  };
+}
+
+/**
+ * Apply an edit to a comment
+ * @param {Object} comment - Stored comment
+ * @param {string} body - New text
+ * @returns {Object} Updated copy
+ */
+export function editComment(comment, body) {
+  const now = new Date().toISOString();
+  return { ...comment, body, updatedAt: now, editedAt: now };
+}
@@ -0,0 +1,114 @@
+// Custom fields - extra task attributes a workspace defines for its own tasks, shared by all
+// repository backends. Tasks keep their values in customFields, keyed by field ID, so a field
+// can be renamed without touching the tasks that use it.
+import { v4 as uuidv4 } from 'uuid';
+
+export const CUSTOM_FIELD_TYPES = ['text', 'number', 'date', 'select', 'multiselect'];
+export const MAX_CUSTOM_FIELDS_PER_WORKSPACE = 20;
+export const MAX_CUSTOM_FIELD_NAME_LENGTH = 50;
+export const MAX_CUSTOM_FIELD_OPTIONS = 50;
+export const MAX_CUSTOM_FIELD_OPTION_LENGTH = 50;
+export const MAX_CUSTOM_FIELD_TEXT_LENGTH = 500;
+
+// Query parameters filtering or sorting on a field are written cf.<fieldId>
+export const CUSTOM_FIELD_PREFIX = 'cf.';
+
+const OPTION_TYPES = ['select', 'multiselect'];
+
+/**
+ * Whether a field type picks its values from a list of options
+ * @param {string} type - Field type
+ * @returns {boolean} True for select and multiselect
+ */
+export function hasOptions(type) {
+  return OPTION_TYPES.includes(type);
+}
+
+/**
+ * Build a new field definition
+ * @param {Object} fieldData - { workspaceId, name, type, options, required }
+ * @returns {Object} { id, workspaceId, name, type, options, required, createdAt, updatedAt }
+ */
+export function createCustomFieldRecord({ workspaceId, name, type, options = [], required = false }) {
+  const now = new Date().toISOString();
+  return {
+    id: uuidv4(),
+    workspaceId,
+    name,
+    type,
+    options: hasOptions(type) ? [...options] : [],
+    required: Boolean(required),
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+/**
+ * Drop unset values so "no value" is always stored the same way: the key is absent
+ * @param {Object|null} values - { fieldId: value }
+ * @returns {Object} Values without null, empty strings or empty lists
+ */
+export function normalizeCustomFieldValues(values) {
+  const normalized = {};
+  for (const [fieldId, value] of Object.entries(values || {})) {
+    if (value === null || value === undefined || value === '') continue;
+    if (Array.isArray(value) && value.length === 0) continue;
+    normalized[fieldId] = Array.isArray(value) ? [...value] : value;
+  }
+  return normalized;
+}
+
+/**
+ * Remove a field's value where it no longer fits the field, after its options changed
+ * @param {Object} values - A task's custom field values
+ * @param {Object} field - Field definition
+ * @returns {Object} Values with the field's value kept, trimmed to valid options, or removed
+ */
+export function pruneCustomFieldValue(values, field) {
+  const value = values[field.id];
+  if (value === undefined || !hasOptions(field.type)) {
+    return values;
+  }
+
+  const kept = field.type === 'multiselect'
+    ? value.filter(option => field.options.includes(option))
+    : (field.options.includes(value) ? value : null);
+  return normalizeCustomFieldValues({ ...values, [field.id]: kept });
+}
+
+/**
+ * Whether a task's value for a field satisfies a filter condition
+ * @param {Object} values - The task's custom field values
+ * @param {Object} condition - { fieldId, match, value, min, max } (see parseCustomFieldFilter in api/index.js)
+ * @returns {boolean} True when the task matches
+ */
+export function matchesCustomFieldFilter(values, { fieldId, match, value, min, max }) {
+  const stored = values?.[fieldId];
+
+  switch (match) {
+    case 'empty':
+      return stored === undefined;
+    case 'contains':
+      return typeof stored === 'string' && stored.toLowerCase().includes(value.toLowerCase());
+    case 'includes':
+      return Array.isArray(stored) && stored.includes(value);
+    case 'range':
+      return stored !== undefined &&
+        (min === undefined || stored >= min) &&
+        (max === undefined || stored <= max);
+    default:
+      return stored === value;
+  }
+}
+
+/**
+ * Value used to sort tasks by a field; lists sort by their options joined in order
+ * @param {Object} values - The task's custom field values
+ * @param {string} fieldId - Field ID
+ * @returns {string|number|null} Sort key, or null when unset
+ */
+export function getCustomFieldSortValue(values, fieldId) {
+  const value = values?.[fieldId];
+  if (value === undefined) return null;
+  return Array.isArray(value) ? value.join(', ') : value;
+}
@@ -0,0 +1,56 @@
+// Task dependencies - "blocked by" links between tasks, shared by all repository backends
+
+export const MAX_DEPENDENCIES = 20;
+
+/**
+ * Whether a blocking task still holds up the tasks that depend on it.
+ * Blockers in a done status, trashed and purged ones no longer count.
+ * @param {Object|null} blocker - Blocking task
+ * @returns {boolean} True when the blocker is active and unfinished
+ */
+export function isOpenBlocker(blocker) {
+  return Boolean(blocker) && !blocker.deletedAt && blocker.statusCategory !== 'done';
+}
+
+/**
+ * Summary of a blocking task embedded in the tasks it blocks
+ * @param {Object} blocker - Blocking task
+ * @returns {{id: string, title: string, status: string}} Summary
+ */
+export function summarizeBlocker(blocker) {
+  return {
+    id: blocker.id,
+    title: blocker.title,
+    status: blocker.status
+  };
+}
+
+/**
+ * Look for a dependency cycle that making taskId blocked by blockedBy would close
+ * @param {string} taskId - Task gaining the links
+ * @param {string[]} blockedBy - Proposed blocking task IDs
+ * @param {function(string): string[]} getBlockedBy - Current blocking IDs of any task
+ * @returns {string[]|null} The cycle as a path of task IDs starting and ending at taskId, or null
+ */
+export function findDependencyCycle(taskId, blockedBy, getBlockedBy) {
+  const visited = new Set();
+
+  // Depth-first walk along "blocked by" links; reaching taskId again means a cycle
+  const walk = (id, path) => {
+    if (id === taskId) return [...path, id];
+    if (visited.has(id)) return null;
+    visited.add(id);
+
+    for (const next of getBlockedBy(id)) {
+      const cycle = walk(next, [...path, id]);
+      if (cycle) return cycle;
+    }
+    return null;
+  };
+
+  for (const id of blockedBy) {
+    const cycle = walk(id, [taskId]);
+    if (cycle) return cycle;
+  }
+  return null;
+}
@@ -0,0 +1,5 @@
+// Task descriptions - Markdown source, kept exactly as the user wrote it
+// The API never rewrites the text; clients escape it when rendering, so
+// code blocks and comparisons like `a < b` survive the round trip.
+
+export const MAX_DESCRIPTION_LENGTH = 10000;
@@ -0,0 +1,44 @@
+// 001 - Initial task schema
+// Baseline for stores created before migrations existed. JSON stores already
+// have this layout, so only SQLite needs work.
+
+export default {
+  version: 1,
+  name: 'initial_schema',
+
+  sqlite: {
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS tasks (
+          id TEXT PRIMARY KEY,
+          title TEXT NOT NULL,
+          description TEXT NOT NULL DEFAULT '',
+          status TEXT NOT NULL DEFAULT 'todo',
+          priority TEXT NOT NULL DEFAULT 'medium',
+          due_date TEXT,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+
+        CREATE TABLE IF NOT EXISTS task_tags (
+          task_id TEXT NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+          tag TEXT NOT NULL,
+          position INTEGER NOT NULL DEFAULT 0,
+          PRIMARY KEY (task_id, tag)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_tasks_status ON tasks(status);
+        CREATE INDEX IF NOT EXISTS idx_tasks_priority ON tasks(priority);
+        CREATE INDEX IF NOT EXISTS idx_tasks_due_date ON tasks(due_date);
+        CREATE INDEX IF NOT EXISTS idx_task_tags_tag ON task_tags(tag);
+      `);
+    },
+
+    down(db) {
+      db.exec(`
+        DROP TABLE IF EXISTS task_tags;
+        DROP TABLE IF EXISTS tasks;
+      `);
+    }
+  }
+};
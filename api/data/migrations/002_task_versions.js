@@ -0,0 +1,34 @@
+// 002 - Task versions for optimistic concurrency
+// Every existing task starts at version 1; writes increment it from there.
+import { omit } from './omit.js';
+
+export default {
+  version: 2,
+  name: 'task_versions',
+
+  sqlite: {
+    up(db) {
+      db.exec('ALTER TABLE tasks ADD COLUMN version INTEGER NOT NULL DEFAULT 1');
+    },
+
+    down(db) {
+      db.exec('ALTER TABLE tasks DROP COLUMN version');
+    }
+  },
+
+  document: {
+    up(store) {
+      const tasks = store.load('tasks');
+      if (tasks) {
+        store.save('tasks', tasks.map(task => ({ ...task, version: task.version || 1 })));
+      }
+    },
+
+    down(store) {
+      const tasks = store.load('tasks');
+      if (tasks) {
+        store.save('tasks', tasks.map(task => omit(task, 'version')));
+      }
+    }
+  }
+};
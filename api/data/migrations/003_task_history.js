@@ -0,0 +1,31 @@
+// 003 - Per-task change history
+// JSON stores keep history in their own "task_history" collection, which starts
+// out empty, so only SQLite needs a table. There is deliberately no foreign key
+// to tasks: history must survive the task being deleted.
+
+export default {
+  version: 3,
+  name: 'task_history',
+
+  sqlite: {
+    up(db) {
+      db.exec(`
+        CREATE TABLE task_history (
+          id TEXT PRIMARY KEY,
+          task_id TEXT NOT NULL,
+          action TEXT NOT NULL,
+          version INTEGER,
+          changes TEXT NOT NULL,
+          actor TEXT,
+          created_at TEXT NOT NULL
+        );
+
+        CREATE INDEX idx_task_history_task ON task_history(task_id, created_at);
+      `);
+    },
+
+    down(db) {
+      db.exec('DROP TABLE IF EXISTS task_history');
+    }
+  }
+};
@@ -0,0 +1,38 @@
+// 004 - Soft delete
+// Deleted tasks keep their row with deleted_at set until they are purged.
+// JSON stores treat a missing deletedAt as "not deleted", so they need no backfill.
+import { omit } from './omit.js';
+
+export default {
+  version: 4,
+  name: 'soft_delete',
+
+  sqlite: {
+    up(db) {
+      db.exec(`
+        ALTER TABLE tasks ADD COLUMN deleted_at TEXT;
+        CREATE INDEX idx_tasks_deleted_at ON tasks(deleted_at);
+      `);
+    },
+
+    down(db) {
+      // Trashed rows would reappear as active tasks without the column
+      db.exec(`
+        DELETE FROM tasks WHERE deleted_at IS NOT NULL;
+        DROP INDEX IF EXISTS idx_tasks_deleted_at;
+        ALTER TABLE tasks DROP COLUMN deleted_at;
+      `);
+    }
+  },
+
+  document: {
+    down(store) {
+      const tasks = store.load('tasks');
+      if (tasks) {
+        store.save('tasks', tasks
+          .filter(task => !task.deletedAt)
+          .map(task => omit(task, 'deletedAt')));
+      }
+    }
+  }
+};
@@ -0,0 +1,54 @@
+// 005 - Task checklists
+// Checklist items get their own table, ordered by position like task_tags.
+// require_checklist stops a task from being completed while items are open.
+import { omit } from './omit.js';
+
+export default {
+  version: 5,
+  name: 'task_checklists',
+
+  sqlite: {
+    up(db) {
+      db.exec(`
+        ALTER TABLE tasks ADD COLUMN require_checklist INTEGER NOT NULL DEFAULT 0;
+
+        CREATE TABLE task_checklist_items (
+          id TEXT PRIMARY KEY,
+          task_id TEXT NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+          text TEXT NOT NULL,
+          done INTEGER NOT NULL DEFAULT 0,
+          position INTEGER NOT NULL
+        );
+
+        CREATE INDEX idx_task_checklist_items_task ON task_checklist_items(task_id, position);
+      `);
+    },
+
+    down(db) {
+      db.exec(`
+        DROP TABLE IF EXISTS task_checklist_items;
+        ALTER TABLE tasks DROP COLUMN require_checklist;
+      `);
+    }
+  },
+
+  document: {
+    up(store) {
+      const tasks = store.load('tasks');
+      if (tasks) {
+        store.save('tasks', tasks.map(task => ({
+          ...task,
+          checklist: task.checklist || [],
+          requireChecklist: Boolean(task.requireChecklist)
+        })));
+      }
+    },
+
+    down(store) {
+      const tasks = store.load('tasks');
+      if (tasks) {
+        store.save('tasks', tasks.map(task => omit(task, 'checklist', 'requireChecklist')));
+      }
+    }
+  }
+};
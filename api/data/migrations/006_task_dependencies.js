@@ -0,0 +1,44 @@
+// 006 - Task dependencies
+// One row per "task_id is blocked by blocked_by_id" link. Purging either task
+// removes the link through ON DELETE CASCADE.
+import { omit } from './omit.js';
+
+export default {
+  version: 6,
+  name: 'task_dependencies',
+
+  sqlite: {
+    up(db) {
+      db.exec(`
+        CREATE TABLE task_dependencies (
+          task_id TEXT NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+          blocked_by_id TEXT NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+          position INTEGER NOT NULL,
+          PRIMARY KEY (task_id, blocked_by_id)
+        );
+
+        CREATE INDEX idx_task_dependencies_blocked_by ON task_dependencies(blocked_by_id);
+      `);
+    },
+
+    down(db) {
+      db.exec('DROP TABLE IF EXISTS task_dependencies;');
+    }
+  },
+
+  document: {
+    up(store) {
+      const tasks = store.load('tasks');
+      if (tasks) {
+        store.save('tasks', tasks.map(task => ({ ...task, blockedBy: task.blockedBy || [] })));
+      }
+    },
+
+    down(store) {
+      const tasks = store.load('tasks');
+      if (tasks) {
+        store.save('tasks', tasks.map(task => omit(task, 'blockedBy')));
+      }
+    }
+  }
+};
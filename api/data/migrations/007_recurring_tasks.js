@@ -0,0 +1,45 @@
+// 007 - Recurring tasks
+// recurrence holds the schedule as JSON ({ frequency, interval, weekdays, until, count });
+// next_occurrence_id points at the task spawned when this occurrence was completed.
+import { omit } from './omit.js';
+
+export default {
+  version: 7,
+  name: 'recurring_tasks',
+
+  sqlite: {
+    up(db) {
+      db.exec(`
+        ALTER TABLE tasks ADD COLUMN recurrence TEXT;
+        ALTER TABLE tasks ADD COLUMN next_occurrence_id TEXT REFERENCES tasks(id) ON DELETE SET NULL;
+      `);
+    },
+
+    down(db) {
+      db.exec(`
+        ALTER TABLE tasks DROP COLUMN next_occurrence_id;
+        ALTER TABLE tasks DROP COLUMN recurrence;
+      `);
+    }
+  },
+
+  document: {
+    up(store) {
+      const tasks = store.load('tasks');
+      if (tasks) {
+        store.save('tasks', tasks.map(task => ({
+          ...task,
+          recurrence: task.recurrence || null,
+          nextOccurrenceId: task.nextOccurrenceId || null
+        })));
+      }
+    },
+
+    down(store) {
+      const tasks = store.load('tasks');
+      if (tasks) {
+        store.save('tasks', tasks.map(task => omit(task, 'recurrence', 'nextOccurrenceId')));
+      }
+    }
+  }
+};
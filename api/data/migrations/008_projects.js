@@ -0,0 +1,55 @@
+// 008 - Projects
+// Tasks optionally belong to one project. Deleting a project keeps its tasks
+// and clears their project_id through ON DELETE SET NULL.
+import { omit } from './omit.js';
+
+export default {
+  version: 8,
+  name: 'projects',
+
+  sqlite: {
+    up(db) {
+      db.exec(`
+        CREATE TABLE projects (
+          id TEXT PRIMARY KEY,
+          name TEXT NOT NULL,
+          description TEXT NOT NULL DEFAULT '',
+          color TEXT NOT NULL,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+
+        ALTER TABLE tasks ADD COLUMN project_id TEXT REFERENCES projects(id) ON DELETE SET NULL;
+        CREATE INDEX idx_tasks_project ON tasks(project_id);
+      `);
+    },
+
+    down(db) {
+      db.exec(`
+        DROP INDEX IF EXISTS idx_tasks_project;
+        ALTER TABLE tasks DROP COLUMN project_id;
+        DROP TABLE IF EXISTS projects;
+      `);
+    }
+  },
+
+  document: {
+    up(store) {
+      const tasks = store.load('tasks');
+      if (tasks) {
+        store.save('tasks', tasks.map(task => ({ ...task, projectId: task.projectId || null })));
+      }
+      if (!store.load('projects')) {
+        store.save('projects', []);
+      }
+    },
+
+    down(store) {
+      const tasks = store.load('tasks');
+      if (tasks) {
+        store.save('tasks', tasks.map(task => omit(task, 'projectId')));
+      }
+      store.save('projects', []);
+    }
+  }
+};
@@ -0,0 +1,68 @@
+// 009 - User accounts
+// Tasks, projects and history entries record the user who owns them. Records
+// created before accounts existed have no owner until the first user to
+// register adopts them.
+import { omit } from './omit.js';
+
+export default {
+  version: 9,
+  name: 'users',
+
+  sqlite: {
+    up(db) {
+      db.exec(`
+        CREATE TABLE users (
+          id TEXT PRIMARY KEY,
+          email TEXT NOT NULL UNIQUE,
+          name TEXT NOT NULL,
+          password_hash TEXT NOT NULL,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+
+        ALTER TABLE tasks ADD COLUMN owner_id TEXT REFERENCES users(id);
+        CREATE INDEX idx_tasks_owner ON tasks(owner_id);
+
+        ALTER TABLE projects ADD COLUMN owner_id TEXT REFERENCES users(id);
+        CREATE INDEX idx_projects_owner ON projects(owner_id);
+
+        ALTER TABLE task_history ADD COLUMN owner_id TEXT;
+      `);
+    },
+
+    down(db) {
+      db.exec(`
+        ALTER TABLE task_history DROP COLUMN owner_id;
+        DROP INDEX IF EXISTS idx_projects_owner;
+        ALTER TABLE projects DROP COLUMN owner_id;
+        DROP INDEX IF EXISTS idx_tasks_owner;
+        ALTER TABLE tasks DROP COLUMN owner_id;
+        DROP TABLE IF EXISTS users;
+      `);
+    }
+  },
+
+  document: {
+    up(store) {
+      for (const collection of ['tasks', 'projects', 'task_history']) {
+        const records = store.load(collection);
+        if (records) {
+          store.save(collection, records.map(record => ({ ...record, ownerId: record.ownerId || null })));
+        }
+      }
+      if (!store.load('users')) {
+        store.save('users', []);
+      }
+    },
+
+    down(store) {
+      for (const collection of ['tasks', 'projects', 'task_history']) {
+        const records = store.load(collection);
+        if (records) {
+          store.save(collection, records.map(record => omit(record, 'ownerId')));
+        }
+      }
+      store.save('users', []);
+    }
+  }
+};
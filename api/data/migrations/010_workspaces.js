@@ -0,0 +1,63 @@
+// 010 - Workspaces
+// Tasks optionally belong to a workspace shared by its members. Deleting a
+// workspace hands its tasks back to the users who created them.
+import { omit } from './omit.js';
+
+export default {
+  version: 10,
+  name: 'workspaces',
+
+  sqlite: {
+    up(db) {
+      db.exec(`
+        CREATE TABLE workspaces (
+          id TEXT PRIMARY KEY,
+          name TEXT NOT NULL,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+
+        CREATE TABLE workspace_members (
+          workspace_id TEXT NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+          user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          role TEXT NOT NULL CHECK (role IN ('owner', 'editor', 'viewer')),
+          added_at TEXT NOT NULL,
+          PRIMARY KEY (workspace_id, user_id)
+        );
+        CREATE INDEX idx_workspace_members_user ON workspace_members(user_id);
+
+        ALTER TABLE tasks ADD COLUMN workspace_id TEXT REFERENCES workspaces(id) ON DELETE SET NULL;
+        CREATE INDEX idx_tasks_workspace ON tasks(workspace_id);
+      `);
+    },
+
+    down(db) {
+      db.exec(`
+        DROP INDEX IF EXISTS idx_tasks_workspace;
+        ALTER TABLE tasks DROP COLUMN workspace_id;
+        DROP TABLE IF EXISTS workspace_members;
+        DROP TABLE IF EXISTS workspaces;
+      `);
+    }
+  },
+
+  document: {
+    up(store) {
+      const tasks = store.load('tasks');
+      if (tasks) {
+        store.save('tasks', tasks.map(task => ({ ...task, workspaceId: task.workspaceId || null })));
+      }
+      if (!store.load('workspaces')) {
+        store.save('workspaces', []);
+      }
+    },
+
+    down(store) {
+      const tasks = store.load('tasks');
+      if (tasks) {
+        store.save('tasks', tasks.map(task => omit(task, 'workspaceId')));
+      }
+      store.save('workspaces', []);
+    }
+  }
+};
@@ -0,0 +1,45 @@
+// 011 - API keys
+// Users create keys for scripts and integrations. Only a SHA-256 hash of each
+// key is stored, with the scopes it grants and when it was last used.
+
+export default {
+  version: 11,
+  name: 'api_keys',
+
+  sqlite: {
+    up(db) {
+      db.exec(`
+        CREATE TABLE api_keys (
+          id TEXT PRIMARY KEY,
+          user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          name TEXT NOT NULL,
+          scopes TEXT NOT NULL DEFAULT '[]',
+          prefix TEXT NOT NULL,
+          key_hash TEXT NOT NULL UNIQUE,
+          created_at TEXT NOT NULL,
+          last_used_at TEXT
+        );
+        CREATE INDEX idx_api_keys_user ON api_keys(user_id);
+      `);
+    },
+
+    down(db) {
+      db.exec(`
+        DROP INDEX IF EXISTS idx_api_keys_user;
+        DROP TABLE IF EXISTS api_keys;
+      `);
+    }
+  },
+
+  document: {
+    up(store) {
+      if (!store.load('api_keys')) {
+        store.save('api_keys', []);
+      }
+    },
+
+    down(store) {
+      store.save('api_keys', []);
+    }
+  }
+};
@@ -0,0 +1,41 @@
+// 012 - Task assignees
+// A task can be assigned to one user: its owner for personal tasks, or any
+// member of its workspace. Removing the user unassigns their tasks.
+import { omit } from './omit.js';
+
+export default {
+  version: 12,
+  name: 'assignees',
+
+  sqlite: {
+    up(db) {
+      db.exec(`
+        ALTER TABLE tasks ADD COLUMN assignee_id TEXT REFERENCES users(id) ON DELETE SET NULL;
+        CREATE INDEX idx_tasks_assignee ON tasks(assignee_id);
+      `);
+    },
+
+    down(db) {
+      db.exec(`
+        DROP INDEX IF EXISTS idx_tasks_assignee;
+        ALTER TABLE tasks DROP COLUMN assignee_id;
+      `);
+    }
+  },
+
+  document: {
+    up(store) {
+      const tasks = store.load('tasks');
+      if (tasks) {
+        store.save('tasks', tasks.map(task => ({ ...task, assigneeId: task.assigneeId || null })));
+      }
+    },
+
+    down(store) {
+      const tasks = store.load('tasks');
+      if (tasks) {
+        store.save('tasks', tasks.map(task => omit(task, 'assigneeId')));
+      }
+    }
+  }
+};
@@ -0,0 +1,44 @@
+// 013 - Task comments
+// Each task has a thread of comments with their author and when they were
+// last edited. Comments go when their task is purged.
+
+export default {
+  version: 13,
+  name: 'comments',
+
+  sqlite: {
+    up(db) {
+      db.exec(`
+        CREATE TABLE task_comments (
+          id TEXT PRIMARY KEY,
+          task_id TEXT NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+          author_id TEXT REFERENCES users(id) ON DELETE SET NULL,
+          body TEXT NOT NULL,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL,
+          edited_at TEXT
+        );
+        CREATE INDEX idx_task_comments_task ON task_comments(task_id, created_at);
+      `);
+    },
+
+    down(db) {
+      db.exec(`
+        DROP INDEX IF EXISTS idx_task_comments_task;
+        DROP TABLE IF EXISTS task_comments;
+      `);
+    }
+  },
+
+  document: {
+    up(store) {
+      if (!store.load('task_comments')) {
+        store.save('task_comments', []);
+      }
+    },
+
+    down(store) {
+      store.save('task_comments', []);
+    }
+  }
+};
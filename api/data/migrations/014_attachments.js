@@ -0,0 +1,45 @@
+// 014 - Task attachments
+// Metadata for files attached to tasks: name, type, size and who uploaded them.
+// The files themselves are kept by the attachment storage under storage_key.
+
+export default {
+  version: 14,
+  name: 'attachments',
+
+  sqlite: {
+    up(db) {
+      db.exec(`
+        CREATE TABLE task_attachments (
+          id TEXT PRIMARY KEY,
+          task_id TEXT NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+          uploader_id TEXT REFERENCES users(id) ON DELETE SET NULL,
+          file_name TEXT NOT NULL,
+          content_type TEXT NOT NULL,
+          size INTEGER NOT NULL,
+          storage_key TEXT NOT NULL,
+          created_at TEXT NOT NULL
+        );
+        CREATE INDEX idx_task_attachments_task ON task_attachments(task_id, created_at);
+      `);
+    },
+
+    down(db) {
+      db.exec(`
+        DROP INDEX IF EXISTS idx_task_attachments_task;
+        DROP TABLE IF EXISTS task_attachments;
+      `);
+    }
+  },
+
+  document: {
+    up(store) {
+      if (!store.load('task_attachments')) {
+        store.save('task_attachments', []);
+      }
+    },
+
+    down(store) {
+      store.save('task_attachments', []);
+    }
+  }
+};
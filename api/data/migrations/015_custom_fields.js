@@ -0,0 +1,65 @@
+// 015 - Custom fields
+// Workspaces define extra task fields (text, number, date, select, multi-select).
+// Tasks keep their values as a JSON object keyed by field ID; deleting a field
+// or a workspace removes its values.
+import { omit } from './omit.js';
+
+export default {
+  version: 15,
+  name: 'custom_fields',
+
+  sqlite: {
+    up(db) {
+      db.exec(`
+        CREATE TABLE workspace_custom_fields (
+          id TEXT PRIMARY KEY,
+          workspace_id TEXT NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+          name TEXT NOT NULL,
+          type TEXT NOT NULL CHECK (type IN ('text', 'number', 'date', 'select', 'multiselect')),
+          options TEXT NOT NULL DEFAULT '[]',
+          required INTEGER NOT NULL DEFAULT 0,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+        CREATE INDEX idx_workspace_custom_fields_workspace ON workspace_custom_fields(workspace_id, created_at);
+
+        ALTER TABLE tasks ADD COLUMN custom_fields TEXT NOT NULL DEFAULT '{}';
+      `);
+    },
+
+    down(db) {
+      db.exec(`
+        ALTER TABLE tasks DROP COLUMN custom_fields;
+        DROP INDEX IF EXISTS idx_workspace_custom_fields_workspace;
+        DROP TABLE IF EXISTS workspace_custom_fields;
+      `);
+    }
+  },
+
+  document: {
+    up(store) {
+      const tasks = store.load('tasks');
+      if (tasks) {
+        store.save('tasks', tasks.map(task => ({ ...task, customFields: task.customFields || {} })));
+      }
+      const workspaces = store.load('workspaces');
+      if (workspaces) {
+        store.save('workspaces', workspaces.map(workspace => ({
+          ...workspace,
+          customFields: workspace.customFields || []
+        })));
+      }
+    },
+
+    down(store) {
+      const tasks = store.load('tasks');
+      if (tasks) {
+        store.save('tasks', tasks.map(task => omit(task, 'customFields')));
+      }
+      const workspaces = store.load('workspaces');
+      if (workspaces) {
+        store.save('workspaces', workspaces.map(workspace => omit(workspace, 'customFields')));
+      }
+    }
+  }
+};
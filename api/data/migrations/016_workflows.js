@@ -0,0 +1,64 @@
+// 016 - Workflows
+// Workspaces can replace the default todo/in_progress/completed statuses with their own
+// (NULL keeps the default). Tasks record the category of their status so queries for
+// unfinished or overdue tasks don't need to look up the workflow.
+
+const CATEGORY_OF_DEFAULT_STATUS = { todo: 'todo', in_progress: 'in_progress', completed: 'done' };
+import { omit } from './omit.js';
+
+export default {
+  version: 16,
+  name: 'workflows',
+
+  sqlite: {
+    up(db) {
+      db.exec(`
+        ALTER TABLE workspaces ADD COLUMN workflow TEXT;
+
+        ALTER TABLE tasks ADD COLUMN status_category TEXT NOT NULL DEFAULT 'todo'
+          CHECK (status_category IN ('todo', 'in_progress', 'done'));
+        UPDATE tasks SET status_category = CASE status
+          WHEN 'completed' THEN 'done'
+          WHEN 'in_progress' THEN 'in_progress'
+          ELSE 'todo'
+        END;
+        CREATE INDEX idx_tasks_status_category ON tasks(status_category);
+      `);
+    },
+
+    down(db) {
+      db.exec(`
+        DROP INDEX IF EXISTS idx_tasks_status_category;
+        ALTER TABLE tasks DROP COLUMN status_category;
+        ALTER TABLE workspaces DROP COLUMN workflow;
+      `);
+    }
+  },
+
+  document: {
+    up(store) {
+      const tasks = store.load('tasks');
+      if (tasks) {
+        store.save('tasks', tasks.map(task => ({
+          ...task,
+          statusCategory: task.statusCategory || CATEGORY_OF_DEFAULT_STATUS[task.status] || 'todo'
+        })));
+      }
+      const workspaces = store.load('workspaces');
+      if (workspaces) {
+        store.save('workspaces', workspaces.map(workspace => ({ ...workspace, workflow: workspace.workflow || null })));
+      }
+    },
+
+    down(store) {
+      const tasks = store.load('tasks');
+      if (tasks) {
+        store.save('tasks', tasks.map(task => omit(task, 'statusCategory')));
+      }
+      const workspaces = store.load('workspaces');
+      if (workspaces) {
+        store.save('workspaces', workspaces.map(workspace => omit(workspace, 'workflow')));
+      }
+    }
+  }
+};
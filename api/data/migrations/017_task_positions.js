@@ -0,0 +1,53 @@
+// 017 - Task positions
+// Tasks keep a position for ordering cards within a board column. Positions are
+// fractional so a moved task only rewrites its own row; existing tasks are
+// numbered in creation order.
+import { omit } from './omit.js';
+
+export default {
+  version: 17,
+  name: 'taskPositions',
+
+  sqlite: {
+    up(db) {
+      db.exec(`
+        ALTER TABLE tasks ADD COLUMN position REAL NOT NULL DEFAULT 0;
+        UPDATE tasks SET position = (
+          SELECT COUNT(*) FROM tasks AS earlier
+          WHERE earlier.created_at < tasks.created_at
+            OR (earlier.created_at = tasks.created_at AND earlier.id <= tasks.id)
+        );
+        CREATE INDEX idx_tasks_position ON tasks(position);
+      `);
+    },
+
+    down(db) {
+      db.exec(`
+        DROP INDEX IF EXISTS idx_tasks_position;
+        ALTER TABLE tasks DROP COLUMN position;
+      `);
+    }
+  },
+
+  document: {
+    up(store) {
+      const tasks = store.load('tasks');
+      if (tasks) {
+        const order = [...tasks]
+          .sort((a, b) => a.createdAt.localeCompare(b.createdAt) || a.id.localeCompare(b.id))
+          .map(task => task.id);
+        store.save('tasks', tasks.map(task => ({
+          ...task,
+          position: task.position ?? order.indexOf(task.id) + 1
+        })));
+      }
+    },
+
+    down(store) {
+      const tasks = store.load('tasks');
+      if (tasks) {
+        store.save('tasks', tasks.map(task => omit(task, 'position')));
+      }
+    }
+  }
+};
@@ -0,0 +1,35 @@
+// 018 - Task start dates
+// start_date is when work on a task is planned to begin; together with due_date it
+// gives the task's span on the timeline. Existing tasks have none.
+import { omit } from './omit.js';
+
+export default {
+  version: 18,
+  name: 'taskStartDates',
+
+  sqlite: {
+    up(db) {
+      db.exec('ALTER TABLE tasks ADD COLUMN start_date TEXT');
+    },
+
+    down(db) {
+      db.exec('ALTER TABLE tasks DROP COLUMN start_date');
+    }
+  },
+
+  document: {
+    up(store) {
+      const tasks = store.load('tasks');
+      if (tasks) {
+        store.save('tasks', tasks.map(task => ({ ...task, startDate: task.startDate || null })));
+      }
+    },
+
+    down(store) {
+      const tasks = store.load('tasks');
+      if (tasks) {
+        store.save('tasks', tasks.map(task => omit(task, 'startDate')));
+      }
+    }
+  }
+};
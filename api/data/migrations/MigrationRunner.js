@@ -0,0 +1,115 @@
+// MigrationRunner - Applies versioned schema migrations to a task repository
+// Repositories record applied versions themselves (see getAppliedMigrations/applyMigration
+// on ITaskRepository); the runner decides what to run and in which order.
+import { migrations as registeredMigrations } from './index.js';
+
+export class MigrationRunner {
+  /**
+   * @param {ITaskRepository} repository - Repository whose store is migrated
+   * @param {Array} [migrations] - Migrations to manage (defaults to the registry)
+   */
+  constructor(repository, migrations = registeredMigrations) {
+    this.repository = repository;
+    this.migrations = [...migrations].sort((a, b) => a.version - b.version);
+    this._validate();
+  }
+
+  /**
+   * Ensure versions are positive, unique integers
+   * @private
+   */
+  _validate() {
+    const seen = new Set();
+
+    for (const migration of this.migrations) {
+      if (!Number.isInteger(migration.version) || migration.version < 1) {
+        throw new Error(`Migration "${migration.name}" has an invalid version: ${migration.version}`);
+      }
+      if (seen.has(migration.version)) {
+        throw new Error(`Duplicate migration version: ${migration.version}`);
+      }
+      seen.add(migration.version);
+    }
+  }
+
+  /**
+   * Versions already applied to the store
+   * @private
+   */
+  _appliedVersions() {
+    return new Set(this.repository.getAppliedMigrations().map(record => record.version));
+  }
+
+  /**
+   * Latest version known to the code
+   * @returns {number}
+   */
+  getLatestVersion() {
+    return this.migrations.length > 0 ? this.migrations[this.migrations.length - 1].version : 0;
+  }
+
+  /**
+   * Describe where the store stands relative to the code
+   * @returns {Object} { currentVersion, latestVersion, upToDate, pending }
+   */
+  getStatus() {
+    const applied = this._appliedVersions();
+    const pending = this.migrations
+      .filter(migration => !applied.has(migration.version))
+      .map(({ version, name }) => ({ version, name }));
+
+    return {
+      currentVersion: applied.size > 0 ? Math.max(...applied) : 0,
+      latestVersion: this.getLatestVersion(),
+      upToDate: pending.length === 0,
+      pending
+    };
+  }
+
+  /**
+   * Apply pending migrations up to (and including) the target version
+   * @param {number} [targetVersion] - Defaults to the latest version
+   * @returns {Array} Migrations that were applied
+   */
+  migrate(targetVersion = this.getLatestVersion()) {
+    const applied = this._appliedVersions();
+    const toApply = this.migrations.filter(
+      migration => !applied.has(migration.version) && migration.version <= targetVersion
+    );
+
+    for (const migration of toApply) {
+      console.log(`Applying migration ${migration.version} (${migration.name})`);
+      this.repository.applyMigration(migration, 'up');
+    }
+
+    return toApply.map(({ version, name }) => ({ version, name }));
+  }
+
+  /**
+   * Revert applied migrations newer than the target version
+   * @param {number} [targetVersion] - Defaults to one step back
+   * @returns {Array} Migrations that were reverted
+   */
+  rollback(targetVersion) {
+    const applied = this._appliedVersions();
+    const appliedMigrations = this.migrations.filter(migration => applied.has(migration.version));
+
+    if (targetVersion === undefined) {
+      const previous = appliedMigrations[appliedMigrations.length - 2];
+      targetVersion = previous ? previous.version : 0;
+    }
+
+    const toRevert = appliedMigrations
+      .filter(migration => migration.version > targetVersion)
+      .reverse();
+
+    for (const migration of toRevert) {
+      console.log(`Reverting migration ${migration.version} (${migration.name})`);
+      this.repository.applyMigration(migration, 'down');
+    }
+
+    return toRevert.map(({ version, name }) => ({ version, name }));
+  }
+}
+
+export default MigrationRunner;
@@ -0,0 +1,45 @@
+// Migration registry - add new migrations here in version order
+// Each migration exports { version, name } plus optional per-backend hooks:
+//   sqlite:   { up(db), down(db) }        - better-sqlite3 connection
+//   document: { up(store), down(store) }  - store with load(collection)/save(collection, records)
+import initialSchema from './001_initial_schema.js';
+import taskVersions from './002_task_versions.js';
+import taskHistory from './003_task_history.js';
+import softDelete from './004_soft_delete.js';
+import taskChecklists from './005_task_checklists.js';
+import taskDependencies from './006_task_dependencies.js';
+import recurringTasks from './007_recurring_tasks.js';
+import projects from './008_projects.js';
+import users from './009_users.js';
+import workspaces from './010_workspaces.js';
+import apiKeys from './011_api_keys.js';
+import assignees from './012_assignees.js';
+import comments from './013_comments.js';
+import attachments from './014_attachments.js';
+import customFields from './015_custom_fields.js';
+import workflows from './016_workflows.js';
+import taskPositions from './017_task_positions.js';
+import taskStartDates from './018_task_start_dates.js';
+
+export const migrations = [
+  initialSchema,
+  taskVersions,
+  taskHistory,
+  softDelete,
+  taskChecklists,
+  taskDependencies,
+  recurringTasks,
+  projects,
+  users,
+  workspaces,
+  apiKeys,
+  assignees,
+  comments,
+  attachments,
+  customFields,
+  workflows,
+  taskPositions,
+  taskStartDates
+];
+
+export default migrations;
@@ -0,0 +1,13 @@
+// omit - Document down-migrations use it to drop the fields their up-migration added
+
+/**
+ * Copy a record without some of its fields
+ * @param {Object} record - Record to copy
+ * @param {...string} fields - Fields to leave out
+ * @returns {Object} The copy
+ */
+export function omit(record, ...fields) {
+  const copy = { ...record };
+  fields.forEach(field => delete copy[field]);
+  return copy;
+}
@@ -0,0 +1,31 @@
+// Cursor pagination - opaque cursors for task listings, shared by all repository backends.
+// A cursor records where the last task of a page sits in the sort order (its sort key, with its
+// ID to break ties), so the next page starts right after it however many tasks were added or
+// removed in between. It's only meaningful in the sort order it was issued for.
+
+/**
+ * Encode a cursor
+ * @param {Object} position - { sortBy, sortOrder, key, id } of the last task on a page
+ * @returns {string} Opaque, URL-safe cursor
+ */
+export function encodeCursor({ sortBy, sortOrder, key, id }) {
+  return Buffer.from(JSON.stringify({ s: sortBy, o: sortOrder, k: key, i: id })).toString('base64url');
+}
+
+/**
+ * Decode a cursor
+ * @param {string} cursor - Cursor from a previous page
+ * @returns {Object|null} { sortBy, sortOrder, key, id }, or null if it isn't a cursor
+ */
+export function decodeCursor(cursor) {
+  try {
+    const { s, o, k, i } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const validKey = k === null || typeof k === 'string' || Number.isFinite(k);
+    if (typeof s !== 'string' || (o !== 'asc' && o !== 'desc') || !validKey || typeof i !== 'string') {
+      return null;
+    }
+    return { sortBy: s, sortOrder: o, key: k, id: i };
+  } catch {
+    return null;
+  }
+}
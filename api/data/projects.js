@@ -0,0 +1,36 @@
+// Projects - named groups of tasks, shared by all repository backends
+import { v4 as uuidv4 } from 'uuid';
+
+export const MAX_PROJECT_NAME_LENGTH = 50;
+export const MAX_PROJECT_DESCRIPTION_LENGTH = 200;
+export const DEFAULT_PROJECT_COLOR = '#77bc1f';
+
+/**
+ * Build a new project
+ * @param {Object} projectData - { name, description?, color?, ownerId? }
+ * @returns {Object} { id, name, description, color, ownerId, createdAt, updatedAt }
+ */
+export function createProjectRecord({ name, description = '', color = DEFAULT_PROJECT_COLOR, ownerId = null }) {
+  const now = new Date().toISOString();
+
+  return {
+    id: uuidv4(),
+    name,
+    description: description || '',
+    color: color || DEFAULT_PROJECT_COLOR,
+    ownerId: ownerId || null,
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+/**
+ * Whether a task belongs to the project a filter asks for.
+ * `undefined` means "any project", `null` means "no project".
+ * @param {Object} task - Task with projectId
+ * @param {string|null|undefined} projectId - Project filter
+ * @returns {boolean} True when the task is in scope
+ */
+export function isInProject(task, projectId) {
+  return projectId === undefined || (task.projectId || null) === projectId;
+}
@@ -0,0 +1,143 @@
+// Recurring tasks - RRULE-style schedules and next-occurrence calculation, shared by all repository backends
+import { createChecklistItem } from './checklist.js';
+
+export const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+export const MAX_RECURRENCE_INTERVAL = 365;
+export const MAX_RECURRENCE_COUNT = 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Give a recurrence rule its canonical shape (stable key order, defaults filled in)
+ * @param {Object|null} [rule] - { frequency, interval?, weekdays?, until?, count? }
+ * @returns {Object|null} { frequency, interval, weekdays, until, count } or null for one-off tasks
+ */
+export function normalizeRecurrence(rule) {
+  if (!rule) return null;
+
+  return {
+    frequency: rule.frequency,
+    interval: rule.interval || 1,
+    weekdays: rule.frequency === 'weekly' && Array.isArray(rule.weekdays)
+      ? [...new Set(rule.weekdays)].sort((a, b) => a - b)
+      : [],
+    until: rule.until ? new Date(rule.until).toISOString() : null,
+    count: rule.count ?? null
+  };
+}
+
+/**
+ * Add calendar months in UTC, clamping to the last day of shorter months (Jan 31 -> Feb 28)
+ * @private
+ */
+function addMonths(date, months) {
+  const result = new Date(date);
+  const day = result.getUTCDate();
+
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  result.setUTCDate(Math.min(day, lastDay));
+  return result;
+}
+
+/**
+ * Next weekly date on one of the given weekdays, only in every interval-th week
+ * (weeks start on Sunday, counted from the week of `from`)
+ * @private
+ */
+function nextWeekday(from, weekdays, interval) {
+  const weekStart = date => Math.floor((date.getTime() - date.getUTCDay() * DAY_MS) / DAY_MS);
+  const firstWeek = weekStart(from);
+
+  for (let offset = 1; offset <= 7 * (interval + 1); offset++) {
+    const candidate = new Date(from.getTime() + offset * DAY_MS);
+    const weeksApart = Math.round((weekStart(candidate) - firstWeek) / 7);
+
+    if (weeksApart % interval === 0 && weekdays.includes(candidate.getUTCDay())) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+/**
+ * Roll a due date forward by one step of the rule
+ * @param {string|Date} from - Due date of the current occurrence (or completion time if it had none)
+ * @param {Object} rule - Normalized recurrence rule
+ * @returns {Date} Due date of the next occurrence
+ */
+export function getNextDueDate(from, rule) {
+  const start = new Date(from);
+  const { frequency, interval, weekdays } = rule;
+
+  switch (frequency) {
+    case 'daily':
+      return new Date(start.getTime() + interval * DAY_MS);
+    case 'weekly':
+      return weekdays.length > 0
+        ? nextWeekday(start, weekdays, interval)
+        : new Date(start.getTime() + interval * 7 * DAY_MS);
+    case 'monthly':
+      return addMonths(start, interval);
+    case 'yearly':
+      return addMonths(start, interval * 12);
+    default:
+      throw new Error(`Unknown recurrence frequency: ${frequency}`);
+  }
+}
+
+/**
+ * Build the task data for the occurrence that follows a completed recurring task.
+ * `count` on the rule is the number of occurrences left including the current one. The status is
+ * left out: the new occurrence starts in its workflow's initial status.
+ * @param {Object} task - The occurrence being completed
+ * @param {Date} [completedAt] - Used as the base when the task had no due date
+ * @returns {Object|null} Task data for the next occurrence, or null when the series has ended
+ */
+export function createNextOccurrence(task, completedAt = new Date()) {
+  const rule = normalizeRecurrence(task.recurrence);
+  if (!rule) return null;
+  if (rule.count !== null && rule.count <= 1) return null;
+
+  const base = new Date(task.dueDate || completedAt);
+  const dueDate = getNextDueDate(base, rule);
+  if (rule.until && dueDate.toISOString() > rule.until) return null;
+  // The next occurrence takes as long as this one: its start moves by as much as its due date
+  const startDate = task.startDate
+    ? new Date(new Date(task.startDate).getTime() + dueDate.getTime() - base.getTime()).toISOString()
+    : null;
+
+  return {
+    title: task.title,
+    description: task.description,
+    priority: task.priority,
+    startDate,
+    dueDate: dueDate.toISOString(),
+    tags: [...(task.tags || [])],
+    checklist: (task.checklist || []).map(item => createChecklistItem({ text: item.text })),
+    requireChecklist: Boolean(task.requireChecklist),
+    projectId: task.projectId || null,
+    ownerId: task.ownerId || null,
+    workspaceId: task.workspaceId || null,
+    assigneeId: task.assigneeId || null,
+    customFields: { ...(task.customFields || {}) },
+    recurrence: {
+      ...rule,
+      count: rule.count === null ? null : rule.count - 1
+    }
+  };
+}
+
+/**
+ * Whether an update completes a recurring task that has not spawned its next occurrence yet
+ * @param {Object} existingTask - Task before the update
+ * @param {Object} updatedTask - Task after the update
+ * @returns {boolean} True when the repository should create the next occurrence
+ */
+export function shouldSpawnNextOccurrence(existingTask, updatedTask) {
+  return existingTask.statusCategory !== 'done' &&
+    updatedTask.statusCategory === 'done' &&
+    Boolean(updatedTask.recurrence) &&
+    !updatedTask.nextOccurrenceId;
+}
@@ -0,0 +1,42 @@
+// Sample data used to seed a brand new task store
+import { v4 as uuidv4 } from 'uuid';
+import { createChecklistItem } from './checklist.js';
+
+/**
+ * Build the welcome task shown on first start
+ * @returns {Object} Sample task
+ */
+export function createSampleTask() {
+  const now = new Date().toISOString();
+
+  return {
+    id: uuidv4(),
+    title: 'Welcome to Task Management! 👋',
+    description: 'This is a sample task to show you how the system works. You can edit, complete, or delete this task, and create new ones using the "+ New Task" button.',
+    status: 'todo',
+    statusCategory: 'todo',
+    priority: 'medium',
+    startDate: now,
+    dueDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString(), // 1 week from now
+    tags: ['welcome', 'demo'],
+    checklist: [
+      createChecklistItem({ text: 'Open this task to see its details and history', done: true }),
+      createChecklistItem({ text: 'Tick off a checklist item' }),
+      createChecklistItem({ text: 'Create your own task' })
+    ],
+    requireChecklist: false,
+    blockedBy: [],
+    recurrence: null,
+    nextOccurrenceId: null,
+    projectId: null,
+    ownerId: null,
+    workspaceId: null,
+    assigneeId: null,
+    customFields: {},
+    position: 1,
+    createdAt: now,
+    updatedAt: now,
+    deletedAt: null,
+    version: 1
+  };
+}
@@ -0,0 +1,165 @@
+// FileStorage - Where attachment bytes are kept, separate from the repository holding their metadata
+// Backends share one async interface so others (e.g. an object store) can be plugged in:
+//   put(key, data), get(key) -> Buffer|null, delete(key), deletePrefix(prefix), listPrefixes()
+// Keys look like "<taskId>/<attachmentId>"; the prefix is the part before the slash.
+import fs from 'fs';
+import path from 'path';
+
+const KEY_PATTERN = /^[\w-]+\/[\w-]+$/;
+
+/**
+ * Reject keys that could escape the storage root
+ * @private
+ */
+function assertValidKey(key) {
+  if (!KEY_PATTERN.test(key)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+}
+
+export class LocalFileStorage {
+  /**
+   * @param {string} directory - Root directory; each task gets a subdirectory
+   */
+  constructor(directory) {
+    this.type = 'local';
+    this.directory = directory;
+    fs.mkdirSync(this.directory, { recursive: true });
+  }
+
+  /**
+   * Resolve the file path for a key
+   * @private
+   */
+  _filePath(key) {
+    assertValidKey(key);
+    return path.join(this.directory, ...key.split('/'));
+  }
+
+  /**
+   * Store a file, replacing any previous contents
+   * Written to a temp file first so a crash never leaves half a file under the key
+   * @param {string} key - Storage key
+   * @param {Buffer} data - File contents
+   */
+  async put(key, data) {
+    const filePath = this._filePath(key);
+    const tempPath = `${filePath}.tmp`;
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(tempPath, data);
+    await fs.promises.rename(tempPath, filePath);
+  }
+
+  /**
+   * Read a file
+   * @param {string} key - Storage key
+   * @returns {Promise<Buffer|null>} Contents, or null when missing
+   */
+  async get(key) {
+    try {
+      return await fs.promises.readFile(this._filePath(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a file; missing files are ignored
+   * @param {string} key - Storage key
+   */
+  async delete(key) {
+    await fs.promises.rm(this._filePath(key), { force: true });
+  }
+
+  /**
+   * Delete every file under a prefix (all attachments of a task)
+   * @param {string} prefix - Key prefix
+   */
+  async deletePrefix(prefix) {
+    assertValidKey(`${prefix}/x`);
+    await fs.promises.rm(path.join(this.directory, prefix), { recursive: true, force: true });
+  }
+
+  /**
+   * List the prefixes that currently hold files
+   * @returns {Promise<string[]>} Prefixes
+   */
+  async listPrefixes() {
+    const entries = await fs.promises.readdir(this.directory, { withFileTypes: true });
+    return entries.filter(entry => entry.isDirectory()).map(entry => entry.name);
+  }
+}
+
+// Keeps files in memory only, for tests and throwaway demos (ATTACHMENT_STORAGE=memory)
+export class MemoryFileStorage {
+  constructor() {
+    this.type = 'memory';
+    this.files = new Map();
+  }
+
+  async put(key, data) {
+    assertValidKey(key);
+    this.files.set(key, Buffer.from(data));
+  }
+
+  async get(key) {
+    assertValidKey(key);
+    const data = this.files.get(key);
+    return data ? Buffer.from(data) : null;
+  }
+
+  async delete(key) {
+    assertValidKey(key);
+    this.files.delete(key);
+  }
+
+  async deletePrefix(prefix) {
+    [...this.files.keys()]
+      .filter(key => key.startsWith(`${prefix}/`))
+      .forEach(key => this.files.delete(key));
+  }
+
+  async listPrefixes() {
+    return [...new Set([...this.files.keys()].map(key => key.split('/')[0]))];
+  }
+}
+
+/**
+ * Create a file storage backend
+ * @param {string} [type='local'] - local | memory
+ * @param {Object} [config] - { directory } for local storage
+ * @returns {LocalFileStorage|MemoryFileStorage} Storage instance
+ */
+export function createFileStorage(type = 'local', config = {}) {
+  switch (type) {
+    case 'local':
+      return new LocalFileStorage(config.directory || path.join(process.cwd(), '.data', 'attachments'));
+
+    case 'memory':
+      return new MemoryFileStorage();
+
+    default:
+      throw new Error(`Unknown file storage type: ${type}`);
+  }
+}
+
+let storageInstance = null;
+
+/**
+ * Get the singleton file storage
+ * Selected with ATTACHMENT_STORAGE ('local' by default, or 'memory'); local files go to
+ * ATTACHMENT_DIR (./.data/attachments by default).
+ * @returns {LocalFileStorage|MemoryFileStorage} Storage instance
+ */
+export function getFileStorage() {
+  if (!storageInstance) {
+    storageInstance = createFileStorage(process.env.ATTACHMENT_STORAGE || 'local', {
+      directory: process.env.ATTACHMENT_DIR
+    });
+  }
+  return storageInstance;
+}
+
+export default LocalFileStorage;
@@ -0,0 +1,104 @@
+// JsonFileStore - Durable JSON persistence for repositories
+// Each collection is kept in its own file and rewritten atomically (temp file + rename)
+import fs from 'fs';
+import path from 'path';
+
+export class JsonFileStore {
+  /**
+   * @param {string} directory - Directory holding the collection files
+   */
+  constructor(directory) {
+    this.type = 'json-file';
+    this.directory = directory;
+    fs.mkdirSync(this.directory, { recursive: true });
+  }
+
+  /**
+   * Resolve the file path for a collection
+   * @private
+   */
+  _filePath(collection) {
+    return path.join(this.directory, `${collection}.json`);
+  }
+
+  /**
+   * Read and parse a JSON file, returning null when missing or corrupt
+   * @private
+   */
+  _readFile(filePath) {
+    try {
+      const contents = fs.readFileSync(filePath, 'utf8');
+      const parsed = JSON.parse(contents);
+      return Array.isArray(parsed.records) ? parsed : null;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`JsonFileStore: could not read ${filePath}:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Load all records of a collection
+   * Falls back to the previous snapshot if the current file is corrupt
+   * (e.g. the process crashed mid-write on a filesystem without atomic rename).
+   * @param {string} collection - Collection name
+   * @returns {Array|null} Records, or null if the collection was never saved
+   */
+  load(collection) {
+    const filePath = this._filePath(collection);
+
+    // A leftover temp file means a write never completed - discard it
+    const tempPath = `${filePath}.tmp`;
+    if (fs.existsSync(tempPath)) {
+      console.warn(`JsonFileStore: discarding incomplete write ${tempPath}`);
+      fs.rmSync(tempPath, { force: true });
+    }
+
+    const snapshot = this._readFile(filePath);
+    if (snapshot) {
+      return snapshot.records;
+    }
+
+    const backup = this._readFile(`${filePath}.bak`);
+    if (backup) {
+      console.warn(`JsonFileStore: recovered ${collection} from backup snapshot`);
+      return backup.records;
+    }
+
+    return null;
+  }
+
+  /**
+   * Atomically replace all records of a collection
+   * @param {string} collection - Collection name
+   * @param {Array} records - Records to persist
+   */
+  save(collection, records) {
+    const filePath = this._filePath(collection);
+    const tempPath = `${filePath}.tmp`;
+    const payload = JSON.stringify({
+      collection,
+      savedAt: new Date().toISOString(),
+      records
+    }, null, 2);
+
+    // Write and flush the new snapshot before it replaces the old one
+    const fd = fs.openSync(tempPath, 'w');
+    try {
+      fs.writeFileSync(fd, payload);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    // Keep the previous snapshot around for crash recovery
+    if (fs.existsSync(filePath)) {
+      fs.copyFileSync(filePath, `${filePath}.bak`);
+    }
+
+    fs.renameSync(tempPath, filePath);
+  }
+}
+
+export default JsonFileStore;
@@ -0,0 +1,76 @@
+// Task history - field-level change records shared by all repository backends
+import { v4 as uuidv4 } from 'uuid';
+
+// Fields that are audited; bookkeeping (id, timestamps, version) is left out
+export const TRACKED_FIELDS = [
+  'title', 'description', 'status', 'priority', 'startDate', 'dueDate', 'tags', 'checklist', 'blockedBy', 'recurrence',
+  'projectId', 'workspaceId', 'assigneeId', 'customFields'
+];
+
+/**
+ * Normalize a field value so equal values compare equal across backends
+ * @private
+ */
+function normalizeValue(field, value) {
+  if (value === undefined || value === null) return null;
+  if (field === 'startDate' || field === 'dueDate') return new Date(value).toISOString();
+  if (field === 'tags' || field === 'blockedBy') return [...value];
+  if (field === 'checklist') return value.map(({ id, text, done }) => ({ id, text, done }));
+  // Compare values rather than the order keys happened to be written in; no values at all is "none"
+  if (field === 'customFields') {
+    return Object.keys(value).length > 0
+      ? Object.fromEntries(Object.entries(value).sort(([a], [b]) => a.localeCompare(b)))
+      : null;
+  }
+  return value;
+}
+
+/**
+ * List the tracked fields that differ between two task snapshots
+ * @param {Object|null} before - Task before the change (null on create)
+ * @param {Object|null} after - Task after the change (null on delete)
+ * @returns {Array<{field: string, from: *, to: *}>} Changed fields
+ */
+export function diffTasks(before, after) {
+  const changes = [];
+
+  for (const field of TRACKED_FIELDS) {
+    const from = before ? normalizeValue(field, before[field]) : null;
+    const to = after ? normalizeValue(field, after[field]) : null;
+
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ field, from, to });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Build a history entry for a change to a task
+ * @param {'created'|'updated'|'deleted'|'restored'|'purged'} action - What happened to the task
+ * @param {Object|null} before - Task before the change
+ * @param {Object|null} after - Task after the change
+ * @param {Object} [options]
+ * @param {string} [options.actor] - Who made the change, when known
+ * @returns {Object|null} Entry, or null when no tracked field changed
+ */
+export function createHistoryEntry(action, before, after, { actor = null } = {}) {
+  const changes = diffTasks(before, after);
+  if (action === 'updated' && changes.length === 0) {
+    return null;
+  }
+
+  const task = after || before;
+  return {
+    id: uuidv4(),
+    taskId: task.id,
+    action,
+    version: task.version,
+    changes,
+    actor,
+    // Kept on the entry so the owner can still read it after the task is purged
+    ownerId: task.ownerId || null,
+    timestamp: new Date().toISOString()
+  };
+}
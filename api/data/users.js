@@ -0,0 +1,66 @@
+// Users - accounts that own tasks and projects, shared by all repository backends
+import { v4 as uuidv4 } from 'uuid';
+
+export const MIN_PASSWORD_LENGTH = 8;
+export const MAX_PASSWORD_LENGTH = 128;
+export const MAX_USER_NAME_LENGTH = 50;
+
+/**
+ * Canonical form of an email address, used for lookups and uniqueness
+ * @param {string} email - Email as entered
+ * @returns {string} Trimmed, lower-cased email
+ */
+export function normalizeEmail(email) {
+  return String(email).trim().toLowerCase();
+}
+
+/**
+ * Build a new user
+ * @param {Object} userData - { email, name, passwordHash }
+ * @returns {Object} { id, email, name, passwordHash, createdAt, updatedAt }
+ */
+export function createUserRecord({ email, name, passwordHash }) {
+  const now = new Date().toISOString();
+
+  return {
+    id: uuidv4(),
+    email: normalizeEmail(email),
+    name,
+    passwordHash,
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+/**
+ * Strip the password hash before a user leaves the API
+ * @param {Object} user - Stored user
+ * @returns {Object} { id, email, name, createdAt }
+ */
+export function toPublicUser({ id, email, name, createdAt }) {
+  return { id, email, name, createdAt };
+}
+
+/**
+ * Whether a record (task, project or history entry) belongs to the owner a query asks for.
+ * `undefined` means "any owner", `null` means "unowned".
+ * @param {Object} record - Record with ownerId
+ * @param {string|null|undefined} ownerId - Owner filter
+ * @returns {boolean} True when the record is in scope
+ */
+export function isOwnedBy(record, ownerId) {
+  return ownerId === undefined || (record.ownerId || null) === ownerId;
+}
+
+/**
+ * Order per-assignee task counts for getStats: most tasks first, unassigned last
+ * @param {Array} counts - [{ assigneeId, total, completed }]
+ * @returns {Array} The same entries, sorted
+ */
+export function sortAssigneeCounts(counts) {
+  return [...counts].sort((a, b) =>
+    (a.assigneeId === null) - (b.assigneeId === null) ||
+    b.total - a.total ||
+    String(a.assigneeId).localeCompare(String(b.assigneeId))
+  );
+}
@@ -0,0 +1,130 @@
+// Workflows - the statuses a workspace's tasks move through and which moves are allowed, shared by
+// all repository backends. Every status belongs to a category (todo, in_progress or done); rules
+// such as blockers, overdue tasks and recurrence go by the category, so they keep working whatever
+// the statuses are called. Personal tasks, and workspaces that never changed theirs, use the default.
+
+export const STATUS_CATEGORIES = ['todo', 'in_progress', 'done'];
+export const MAX_WORKFLOW_STATUSES = 12;
+export const MAX_STATUS_NAME_LENGTH = 30;
+
+// Status IDs are what tasks store, so they stay the same when a status is renamed
+export const STATUS_ID_PATTERN = /^[a-z][a-z0-9_]{0,29}$/;
+
+export const DEFAULT_WORKFLOW = Object.freeze({
+  statuses: Object.freeze([
+    Object.freeze({ id: 'todo', name: 'To Do', category: 'todo' }),
+    Object.freeze({ id: 'in_progress', name: 'In Progress', category: 'in_progress' }),
+    Object.freeze({ id: 'completed', name: 'Completed', category: 'done' })
+  ]),
+  // Any status can follow any other
+  transitions: Object.freeze({
+    todo: Object.freeze(['in_progress', 'completed']),
+    in_progress: Object.freeze(['todo', 'completed']),
+    completed: Object.freeze(['todo', 'in_progress'])
+  })
+});
+
+/**
+ * Copy a workflow so callers can't change a stored one
+ * @param {Object} workflow - { statuses, transitions }
+ * @returns {Object} Deep copy
+ */
+export function cloneWorkflow(workflow) {
+  return {
+    statuses: workflow.statuses.map(status => ({ ...status })),
+    transitions: Object.fromEntries(
+      Object.entries(workflow.transitions).map(([from, targets]) => [from, [...targets]])
+    )
+  };
+}
+
+/**
+ * The workflow a workspace's tasks follow
+ * @param {Object|null} workspace - Workspace, or null for personal tasks
+ * @returns {Object} The workspace's workflow, or the default one
+ */
+export function getWorkflow(workspace) {
+  return workspace?.workflow || DEFAULT_WORKFLOW;
+}
+
+/**
+ * Look up a status in a workflow
+ * @param {Object} workflow - Workflow
+ * @param {string} statusId - Status ID
+ * @returns {Object|null} { id, name, category }, or null when the workflow has no such status
+ */
+export function findStatus(workflow, statusId) {
+  return workflow.statuses.find(status => status.id === statusId) || null;
+}
+
+/**
+ * Category of a status. Statuses a workflow doesn't know fall back to the default workflow's
+ * meaning of the ID, then to todo.
+ * @param {Object} workflow - Workflow
+ * @param {string} statusId - Status ID
+ * @returns {string} todo, in_progress or done
+ */
+export function getStatusCategory(workflow, statusId) {
+  return (findStatus(workflow, statusId) || findStatus(DEFAULT_WORKFLOW, statusId))?.category || 'todo';
+}
+
+/**
+ * The status new tasks start in: the workflow's first
+ * @param {Object} workflow - Workflow
+ * @returns {string} Status ID
+ */
+export function getInitialStatus(workflow) {
+  return workflow.statuses[0].id;
+}
+
+/**
+ * Statuses a task may move to from its current one
+ * @param {Object} workflow - Workflow
+ * @param {string} from - Current status ID
+ * @returns {string[]} Status IDs, in workflow order
+ */
+export function getAllowedTransitions(workflow, from) {
+  const targets = workflow.transitions[from] || [];
+  return workflow.statuses.map(status => status.id).filter(id => targets.includes(id));
+}
+
+/**
+ * Whether a task may move between two statuses; staying put is always allowed
+ * @param {Object} workflow - Workflow
+ * @param {string} from - Current status ID
+ * @param {string} to - New status ID
+ * @returns {boolean} True when allowed
+ */
+export function canTransition(workflow, from, to) {
+  return from === to || (workflow.transitions[from] || []).includes(to);
+}
+
+/**
+ * Where a task lands in another workflow: the same status when it exists there, otherwise the
+ * first status of the same category, otherwise the initial status
+ * @param {Object} workflow - Target workflow
+ * @param {string} statusId - Current status ID
+ * @param {string} category - Current status category
+ * @returns {string} Status ID in the target workflow
+ */
+export function mapStatus(workflow, statusId, category) {
+  if (findStatus(workflow, statusId)) return statusId;
+  return workflow.statuses.find(status => status.category === category)?.id || getInitialStatus(workflow);
+}
+
+/**
+ * Tidy a workflow sent by a client: transitions are listed once, in workflow order, without
+ * moves from a status to itself, and every status has an entry
+ * @param {Object} workflow - { statuses, transitions }
+ * @returns {Object} Normalized workflow
+ */
+export function normalizeWorkflow({ statuses, transitions = {} }) {
+  const ids = statuses.map(status => status.id);
+  return {
+    statuses: statuses.map(({ id, name, category }) => ({ id, name, category })),
+    transitions: Object.fromEntries(ids.map(from => [
+      from,
+      ids.filter(to => to !== from && (transitions[from] || []).includes(to))
+    ]))
+  };
+}
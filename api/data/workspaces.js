@@ -0,0 +1,71 @@
+// Workspaces - boards shared by several users, each member holding a role
+import { v4 as uuidv4 } from 'uuid';
+
+export const MAX_WORKSPACE_NAME_LENGTH = 50;
+export const WORKSPACE_ROLES = ['owner', 'editor', 'viewer'];
+
+// What each role may do with a workspace's tasks; "manage" covers renaming, deleting and membership
+export const ROLE_PERMISSIONS = {
+  owner: ['read', 'create', 'update', 'delete', 'manage'],
+  editor: ['read', 'create', 'update'],
+  viewer: ['read']
+};
+
+/**
+ * Whether a role allows an action
+ * @param {string|null} role - Member role, or null for non-members
+ * @param {string} action - One of read, create, update, delete, manage
+ * @returns {boolean} True when allowed
+ */
+export function can(role, action) {
+  return Boolean(role) && ROLE_PERMISSIONS[role].includes(action);
+}
+
+/**
+ * Roles that allow an action, for error messages
+ * @param {string} action - Action name
+ * @returns {string[]} Roles in WORKSPACE_ROLES order
+ */
+export function rolesAllowedTo(action) {
+  return WORKSPACE_ROLES.filter(role => can(role, action));
+}
+
+/**
+ * Build a new workspace with its creator as the only owner
+ * @param {Object} workspaceData - { name, ownerId }
+ * @returns {Object} { id, name, members, customFields, workflow, createdAt, updatedAt }
+ */
+export function createWorkspaceRecord({ name, ownerId }) {
+  const now = new Date().toISOString();
+
+  return {
+    id: uuidv4(),
+    name,
+    members: [{ userId: ownerId, role: 'owner', addedAt: now }],
+    customFields: [],
+    workflow: null, // The default workflow until an owner changes it
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+/**
+ * Role a user holds in a workspace
+ * @param {Object} workspace - Workspace with members
+ * @param {string} userId - User ID
+ * @returns {string|null} Role, or null when the user is not a member
+ */
+export function getMemberRole(workspace, userId) {
+  return workspace.members.find(member => member.userId === userId)?.role || null;
+}
+
+/**
+ * Whether a task belongs to the workspace a filter asks for.
+ * `undefined` means "any workspace", `null` means "personal tasks".
+ * @param {Object} task - Task with workspaceId
+ * @param {string|null|undefined} workspaceId - Workspace filter
+ * @returns {boolean} True when the task is in scope
+ */
+export function isInWorkspace(task, workspaceId) {
+  return workspaceId === undefined || (task.workspaceId || null) === workspaceId;
+}
@@ -1,10 +1,221 @@
 // api/index.js - Fixed version with better delete handling
 import { getTaskRepository } from './data/TaskRepository.js';
+import { MigrationRunner } from './data/migrations/MigrationRunner.js';
 import { setCorsHeaders, handleCorsPrelight } from './middleware/cors.js';
 import { logRequest, logResponse } from './middleware/logger.js';
-import { handleAPIError, APIError } from './middleware/errorHandler.js';
+import {
+  handleAPIError,
+  APIError,
+  createVersionConflictError,
+  createBusinessRuleError,
+  createValidationError,
+  createNotFoundError,
+  createAuthenticationError,
+  createPermissionError
+} from './middleware/errorHandler.js';
+import {
+  authenticate,
+  authorizeScope,
+  generateApiKey,
+  hashPassword,
+  issueToken,
+  requireSession,
+  verifyPassword
+} from './middleware/auth.js';
+import { formatETag, parseIfMatch } from './middleware/concurrency.js';
+import { VersionConflictError, DependencyCycleError } from './data/ITaskRepository.js';
+import {
+  MAX_CHECKLIST_ITEMS,
+  createChecklistItem,
+  getChecklistProgress,
+  isCompletionBlocked
+} from './data/checklist.js';
+import { MAX_DEPENDENCIES, isOpenBlocker, summarizeBlocker } from './data/dependencies.js';
+import { FREQUENCIES, MAX_RECURRENCE_INTERVAL, MAX_RECURRENCE_COUNT } from './data/recurrence.js';
+import { MAX_PROJECT_NAME_LENGTH, MAX_PROJECT_DESCRIPTION_LENGTH } from './data/projects.js';
+import {
+  MIN_PASSWORD_LENGTH,
+  MAX_PASSWORD_LENGTH,
+  MAX_USER_NAME_LENGTH,
+  isOwnedBy,
+  toPublicUser
+} from './data/users.js';
+import {
+  MAX_WORKSPACE_NAME_LENGTH,
+  WORKSPACE_ROLES,
+  ROLE_PERMISSIONS,
+  can,
+  getMemberRole,
+  rolesAllowedTo
+} from './data/workspaces.js';
+import {
+  API_KEY_SCOPES,
+  MAX_API_KEY_NAME_LENGTH,
+  MAX_API_KEYS_PER_USER,
+  toPublicApiKey
+} from './data/apiKeys.js';
+import { MAX_COMMENT_LENGTH, MAX_COMMENTS_PER_TASK } from './data/comments.js';
+import { MAX_DESCRIPTION_LENGTH } from './data/descriptions.js';
+import {
+  ATTACHMENT_TYPES,
+  MAX_ATTACHMENT_SIZE,
+  MAX_ATTACHMENTS_PER_TASK,
+  matchesContentType,
+  normalizeFileName,
+  resolveContentType,
+  toPublicAttachment
+} from './data/attachments.js';
+import {
+  CUSTOM_FIELD_PREFIX,
+  CUSTOM_FIELD_TYPES,
+  MAX_CUSTOM_FIELDS_PER_WORKSPACE,
+  MAX_CUSTOM_FIELD_NAME_LENGTH,
+  MAX_CUSTOM_FIELD_OPTIONS,
+  MAX_CUSTOM_FIELD_OPTION_LENGTH,
+  MAX_CUSTOM_FIELD_TEXT_LENGTH,
+  hasOptions
+} from './data/customFields.js';
+import {
+  DEFAULT_WORKFLOW,
+  MAX_STATUS_NAME_LENGTH,
+  MAX_WORKFLOW_STATUSES,
+  STATUS_CATEGORIES,
+  STATUS_ID_PATTERN,
+  canTransition,
+  findStatus,
+  getAllowedTransitions,
+  getInitialStatus,
+  getStatusCategory,
+  getWorkflow,
+  mapStatus,
+  normalizeWorkflow
+} from './data/workflows.js';
+import { decodeCursor } from './data/pagination.js';
+import { getFileStorage } from './data/stores/FileStorage.js';
+import { isMultipart, parseMultipart, readRawBody } from './middleware/multipart.js';
 import Joi from 'joi';
 
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Project filter on task queries: a project ID, or "none" for tasks without a project
+const projectFilterSchema = Joi.alternatives().try(
+  Joi.string().guid(),
+  Joi.string().valid('none', '')
+).messages({
+  'alternatives.match': 'Project filter must be a project ID or "none"'
+});
+
+const assigneeFilterSchema = Joi.alternatives().try(
+  Joi.string().guid(),
+  Joi.string().valid('me', 'none', '')
+).messages({
+  'alternatives.match': 'Assignee filter must be a user ID, "me" or "none"'
+});
+
+// Workspace a task belongs to, or that a query reads from; without one, the caller's personal tasks
+const workspaceIdSchema = Joi.string().guid().messages({
+  'string.guid': 'Workspace ID must be a valid UUID'
+});
+
+// Recurrence rule shared by create and update; null turns a recurring task into a one-off
+const recurrenceSchema = Joi.object({
+  frequency: Joi.string().valid(...FREQUENCIES).required().messages({
+    'any.only': `Frequency must be one of: ${FREQUENCIES.join(', ')}`,
+    'any.required': 'Recurrence frequency is required'
+  }),
+  interval: Joi.number().integer().min(1).max(MAX_RECURRENCE_INTERVAL).default(1).messages({
+    'number.min': 'Recurrence interval must be at least 1',
+    'number.max': `Recurrence interval must be ${MAX_RECURRENCE_INTERVAL} or less`
+  }),
+  weekdays: Joi.array().items(Joi.number().integer().min(0).max(6)).unique().messages({
+    'number.min': 'Weekdays must be numbers from 0 (Sunday) to 6 (Saturday)',
+    'number.max': 'Weekdays must be numbers from 0 (Sunday) to 6 (Saturday)'
+  }),
+  until: Joi.date().iso().allow(null).messages({
+    'date.format': 'Recurrence end date must be a valid ISO date'
+  }),
+  count: Joi.number().integer().min(1).max(MAX_RECURRENCE_COUNT).allow(null).messages({
+    'number.min': 'Recurrence count must be at least 1',
+    'number.max': `Recurrence count must be ${MAX_RECURRENCE_COUNT} or less`
+  })
+}).oxor('until', 'count').allow(null).messages({
+  'object.oxor': 'A recurrence can end on a date or after a count, not both'
+});
+
+// Statuses are checked against the task's workflow once its workspace is known
+const statusSchema = Joi.string().pattern(STATUS_ID_PATTERN).messages({
+  'string.pattern.base': 'Status must be a status ID such as "todo" or "in_review"'
+});
+
+// Custom field values are checked against the workspace's field definitions once the task's
+// workspace is known; the task schemas only check that they come as an object
+const customFieldValuesSchema = Joi.object().unknown(true).messages({
+  'object.base': 'Custom fields must be an object keyed by field ID'
+});
+
+const SORT_FIELDS = ['title', 'status', 'priority', 'position', 'createdAt', 'updatedAt', 'startDate', 'dueDate'];
+// Sorting by a custom field uses its query parameter name, cf.<fieldId>
+const CUSTOM_FIELD_SORT_PATTERN = /^cf\.[0-9a-f-]{36}$/i;
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// A YYYY-MM-DD string naming a real day (no February 30th)
+function isCalendarDate(value) {
+  return DATE_ONLY_PATTERN.test(value) && new Date(`${value}T00:00:00Z`).toISOString().startsWith(value);
+}
+
+/**
+ * Joi schema for one custom field's value
+ * @private
+ */
+function customFieldValueSchema(field, { isNew }) {
+  const name = field.name;
+  let schema;
+
+  switch (field.type) {
+    case 'number':
+      schema = Joi.number().messages({ 'number.base': `${name} must be a number` });
+      break;
+    case 'date':
+      schema = Joi.string().custom((value, helpers) => (isCalendarDate(value) ? value : helpers.error('date.format')))
+        .messages({ 'date.format': `${name} must be a date like 2024-12-31` });
+      break;
+    case 'select':
+      schema = Joi.string().valid(...field.options)
+        .messages({ 'any.only': `${name} must be one of: ${field.options.join(', ')}` });
+      break;
+    case 'multiselect':
+      schema = Joi.array().items(Joi.string().valid(...field.options)).unique().messages({
+        'any.only': `${name} options must be among: ${field.options.join(', ')}`,
+        'array.unique': `${name} options must not repeat`
+      });
+      break;
+    default:
+      schema = Joi.string().trim().max(MAX_CUSTOM_FIELD_TEXT_LENGTH)
+        .messages({ 'string.max': `${name} must be ${MAX_CUSTOM_FIELD_TEXT_LENGTH} characters or less` });
+  }
+  // Type errors name the field rather than its ID
+  schema = schema.label(name);
+
+  // null (or an empty string or list) clears an optional field; a required one can't be left empty
+  if (!field.required) {
+    return schema.allow(null, '');
+  }
+
+  // Empty values are caught before the type checks, so clearing reports "required" and nothing else
+  const messages = {
+    'any.required': `${name} is required`,
+    'any.invalid': `${name} is required`,
+    'string.empty': `${name} is required`,
+    'array.min': `${name} is required`
+  };
+  if (field.type === 'multiselect') schema = schema.min(1);
+  schema = Joi.any().when(Joi.valid(null, ''), {
+    then: Joi.any().invalid(null, ''),
+    otherwise: schema
+  }).label(name).messages(messages);
+  return isNew ? schema.required() : schema;
+}
+
 // Validation schemas
 const taskSchemas = {
   create: Joi.object({
@@ -14,15 +225,17 @@ const taskSchemas = {
       'string.max': 'Title must be 100 characters or less',
       'any.required': 'Title is required'
     }),
-    description: Joi.string().trim().max(500).allow('').optional().messages({
-      'string.max': 'Description must be 500 characters or less'
-    }),
-    status: Joi.string().valid('todo', 'in_progress', 'completed').default('todo').messages({
-      'any.only': 'Status must be one of: todo, in_progress, completed'
+    description: Joi.string().max(MAX_DESCRIPTION_LENGTH).custom(value => value.trimEnd()).allow('').optional().messages({
+      'string.max': `Description must be ${MAX_DESCRIPTION_LENGTH} characters or less`
     }),
+    status: statusSchema,
     priority: Joi.string().valid('low', 'medium', 'high').default('medium').messages({
       'any.only': 'Priority must be one of: low, medium, high'
     }),
+    // Unlike the due date, work may have started already
+    startDate: Joi.date().iso().allow(null).optional().messages({
+      'date.format': 'Start date must be a valid ISO date'
+    }),
     dueDate: Joi.date().iso().min('now').allow(null).optional().messages({
       'date.format': 'Due date must be a valid ISO date',
       'date.min': 'Due date cannot be in the past'
@@ -34,7 +247,34 @@ const taskSchemas = {
     ).max(10).unique().default([]).messages({
       'array.max': 'Maximum 10 tags allowed',
       'array.unique': 'Tags must be unique'
-    })
+    }),
+    checklist: Joi.array().items(Joi.object({
+      text: Joi.string().trim().min(1).max(200).required().messages({
+        'string.empty': 'Checklist item text cannot be empty',
+        'string.max': 'Checklist item text must be 200 characters or less'
+      }),
+      done: Joi.boolean().default(false)
+    })).max(MAX_CHECKLIST_ITEMS).default([]).messages({
+      'array.max': `Maximum ${MAX_CHECKLIST_ITEMS} checklist items allowed`
+    }),
+    requireChecklist: Joi.boolean().default(false),
+    blockedBy: Joi.array().items(
+      Joi.string().guid().messages({
+        'string.guid': 'Blocking task IDs must be valid UUIDs'
+      })
+    ).max(MAX_DEPENDENCIES).unique().default([]).messages({
+      'array.max': `A task can be blocked by at most ${MAX_DEPENDENCIES} tasks`,
+      'array.unique': 'Blocking tasks must be unique'
+    }),
+    recurrence: recurrenceSchema.default(null),
+    projectId: Joi.string().guid().allow(null).default(null).messages({
+      'string.guid': 'Project ID must be a valid UUID'
+    }),
+    workspaceId: workspaceIdSchema.allow(null).default(null),
+    assigneeId: Joi.string().guid().allow(null).default(null).messages({
+      'string.guid': 'Assignee ID must be a valid UUID'
+    }),
+    customFields: customFieldValuesSchema
   }),
 
   update: Joi.object({
@@ -43,15 +283,16 @@ const taskSchemas = {
       'string.min': 'Title must be at least 1 character',
       'string.max': 'Title must be 100 characters or less'
     }),
-    description: Joi.string().trim().max(500).allow('').messages({
-      'string.max': 'Description must be 500 characters or less'
-    }),
-    status: Joi.string().valid('todo', 'in_progress', 'completed').messages({
-      'any.only': 'Status must be one of: todo, in_progress, completed'
+    description: Joi.string().max(MAX_DESCRIPTION_LENGTH).custom(value => value.trimEnd()).allow('').messages({
+      'string.max': `Description must be ${MAX_DESCRIPTION_LENGTH} characters or less`
     }),
+    status: statusSchema,
     priority: Joi.string().valid('low', 'medium', 'high').messages({
       'any.only': 'Priority must be one of: low, medium, high'
     }),
+    startDate: Joi.date().iso().allow(null).messages({
+      'date.format': 'Start date must be a valid ISO date'
+    }),
     dueDate: Joi.date().iso().allow(null).messages({
       'date.format': 'Due date must be a valid ISO date'
     }),
@@ -60,15 +301,35 @@ const taskSchemas = {
     ).max(10).unique().messages({
       'array.max': 'Maximum 10 tags allowed',
       'array.unique': 'Tags must be unique'
+    }),
+    requireChecklist: Joi.boolean(),
+    blockedBy: Joi.array().items(
+      Joi.string().guid().messages({
+        'string.guid': 'Blocking task IDs must be valid UUIDs'
+      })
+    ).max(MAX_DEPENDENCIES).unique().messages({
+      'array.max': `A task can be blocked by at most ${MAX_DEPENDENCIES} tasks`,
+      'array.unique': 'Blocking tasks must be unique'
+    }),
+    recurrence: recurrenceSchema,
+    projectId: Joi.string().guid().allow(null).messages({
+      'string.guid': 'Project ID must be a valid UUID'
+    }),
+    workspaceId: workspaceIdSchema.allow(null),
+    assigneeId: Joi.string().guid().allow(null).messages({
+      'string.guid': 'Assignee ID must be a valid UUID'
+    }),
+    customFields: customFieldValuesSchema,
+    // Board order; clients pick a number between the neighbours of the spot the task is dropped on
+    position: Joi.number().messages({
+      'number.base': 'Position must be a number'
     })
   }).min(1).messages({
     'object.min': 'At least one field must be provided for update'
   }),
 
   filters: Joi.object({
-    status: Joi.string().valid('todo', 'in_progress', 'completed').allow('').messages({
-      'any.only': 'Status filter must be one of: todo, in_progress, completed'
-    }),
+    status: statusSchema.allow(''),
     priority: Joi.string().valid('low', 'medium', 'high').allow('').messages({
       'any.only': 'Priority filter must be one of: low, medium, high'
     }),
@@ -85,8 +346,24 @@ const taskSchemas = {
     ).default(false).messages({
       'alternatives.match': 'Overdue filter must be true, false, or empty'
     }),
-    sortBy: Joi.string().valid('title', 'status', 'priority', 'createdAt', 'updatedAt', 'dueDate').default('updatedAt').messages({
-      'any.only': 'Sort field must be one of: title, status, priority, createdAt, updatedAt, dueDate'
+    blocked: Joi.boolean().allow('').messages({
+      'boolean.base': 'Blocked filter must be true, false, or empty'
+    }),
+    // Due date range, both ends included; a date without a time covers that whole day (UTC)
+    dueFrom: Joi.string().isoDate().allow('').messages({
+      'string.isoDate': 'dueFrom must be a date (YYYY-MM-DD) or an ISO 8601 timestamp'
+    }),
+    dueTo: Joi.string().isoDate().allow('').messages({
+      'string.isoDate': 'dueTo must be a date (YYYY-MM-DD) or an ISO 8601 timestamp'
+    }),
+    projectId: projectFilterSchema,
+    workspaceId: workspaceIdSchema.allow(''),
+    assigneeId: assigneeFilterSchema,
+    sortBy: Joi.alternatives().try(
+      Joi.string().valid(...SORT_FIELDS),
+      Joi.string().pattern(CUSTOM_FIELD_SORT_PATTERN)
+    ).default('updatedAt').messages({
+      'alternatives.match': `Sort field must be one of: ${SORT_FIELDS.join(', ')}, or cf.<fieldId> for a custom field`
     }),
     sortOrder: Joi.string().valid('asc', 'desc').default('desc').messages({
       'any.only': 'Sort order must be asc or desc'
@@ -108,12 +385,288 @@ const taskSchemas = {
         if (num < 0) throw new Error('Cannot be negative');
         return num;
       })
-    ).default(0).messages({
-      'alternatives.match': 'Offset must be a non-negative number'
+    ).default(0).when('cursor', { is: Joi.exist(), then: Joi.forbidden() }).messages({
+      'alternatives.match': 'Offset must be a non-negative number',
+      'any.unknown': 'Use either cursor or offset, not both'
+    }),
+    // nextCursor of the previous page; checked against the sort order in validateTaskFilters
+    cursor: Joi.string().max(1000).messages({
+      'string.max': 'Cursor is not valid'
+    })
+  }).options({ stripUnknown: true }),
+
+  /**
+   * Values of a workspace's custom fields, keyed by field ID. Built per request from the
+   * workspace's field definitions; on create, required fields must be given.
+   * @param {Object[]} definitions - The workspace's custom fields
+   * @param {Object} options - { isNew }
+   * @returns {Joi.ObjectSchema} Schema for the customFields object
+   */
+  customFieldValues: (definitions, { isNew }) => Joi.object(
+    Object.fromEntries(definitions.map(field => [field.id, customFieldValueSchema(field, { isNew })]))
+  ).messages({
+    'object.unknown': '{{#key}} is not a custom field of this workspace'
+  }),
+
+  checklistItem: Joi.object({
+    text: Joi.string().trim().min(1).max(200).required().messages({
+      'string.empty': 'Checklist item text cannot be empty',
+      'string.max': 'Checklist item text must be 200 characters or less',
+      'any.required': 'Checklist item text is required'
+    }),
+    done: Joi.boolean().default(false)
+  }),
+
+  checklistItemUpdate: Joi.object({
+    text: Joi.string().trim().min(1).max(200).messages({
+      'string.empty': 'Checklist item text cannot be empty',
+      'string.max': 'Checklist item text must be 200 characters or less'
+    }),
+    done: Joi.boolean()
+  }).min(1).messages({
+    'object.min': 'Provide text or done to update a checklist item'
+  }),
+
+  checklistOrder: Joi.object({
+    itemIds: Joi.array().items(Joi.string()).unique().required().messages({
+      'any.required': 'itemIds is required',
+      'array.unique': 'itemIds must not repeat an item'
+    })
+  }),
+
+  stats: Joi.object({
+    projectId: projectFilterSchema,
+    workspaceId: workspaceIdSchema.allow('')
+  }).options({ stripUnknown: true }),
+
+  workspaceScope: Joi.object({
+    workspaceId: workspaceIdSchema.allow('')
+  }).options({ stripUnknown: true }),
+
+  pagination: Joi.object({
+    limit: Joi.number().integer().min(1).max(100).default(20).messages({
+      'number.base': 'Limit must be a number between 1 and 100',
+      'number.min': 'Limit must be a number between 1 and 100',
+      'number.max': 'Limit must be a number between 1 and 100'
+    }),
+    offset: Joi.number().integer().min(0).default(0).messages({
+      'number.base': 'Offset must be a non-negative number',
+      'number.min': 'Offset must be a non-negative number'
     })
   }).options({ stripUnknown: true })
 };
 
+const projectColorSchema = Joi.string().pattern(/^#[0-9a-fA-F]{6}$/).messages({
+  'string.pattern.base': 'Color must be a hex color like #77bc1f'
+});
+
+const projectSchemas = {
+  create: Joi.object({
+    name: Joi.string().trim().min(1).max(MAX_PROJECT_NAME_LENGTH).required().messages({
+      'string.empty': 'Project name cannot be empty',
+      'string.max': `Project name must be ${MAX_PROJECT_NAME_LENGTH} characters or less`,
+      'any.required': 'Project name is required'
+    }),
+    description: Joi.string().trim().max(MAX_PROJECT_DESCRIPTION_LENGTH).allow('').default('').messages({
+      'string.max': `Project description must be ${MAX_PROJECT_DESCRIPTION_LENGTH} characters or less`
+    }),
+    color: projectColorSchema
+  }),
+
+  update: Joi.object({
+    name: Joi.string().trim().min(1).max(MAX_PROJECT_NAME_LENGTH).messages({
+      'string.empty': 'Project name cannot be empty',
+      'string.max': `Project name must be ${MAX_PROJECT_NAME_LENGTH} characters or less`
+    }),
+    description: Joi.string().trim().max(MAX_PROJECT_DESCRIPTION_LENGTH).allow('').messages({
+      'string.max': `Project description must be ${MAX_PROJECT_DESCRIPTION_LENGTH} characters or less`
+    }),
+    color: projectColorSchema
+  }).min(1).messages({
+    'object.min': 'At least one field must be provided for update'
+  })
+};
+
+const userSchemas = {
+  register: Joi.object({
+    email: Joi.string().trim().lowercase().email().max(254).required().messages({
+      'string.email': 'Email must be a valid email address',
+      'string.empty': 'Email cannot be empty',
+      'any.required': 'Email is required'
+    }),
+    name: Joi.string().trim().min(1).max(MAX_USER_NAME_LENGTH).required().messages({
+      'string.empty': 'Name cannot be empty',
+      'string.max': `Name must be ${MAX_USER_NAME_LENGTH} characters or less`,
+      'any.required': 'Name is required'
+    }),
+    password: Joi.string().min(MIN_PASSWORD_LENGTH).max(MAX_PASSWORD_LENGTH).required().messages({
+      'string.min': `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+      'string.max': `Password must be ${MAX_PASSWORD_LENGTH} characters or less`,
+      'string.empty': 'Password cannot be empty',
+      'any.required': 'Password is required'
+    })
+  }),
+
+  login: Joi.object({
+    email: Joi.string().trim().lowercase().required().messages({
+      'string.empty': 'Email cannot be empty',
+      'any.required': 'Email is required'
+    }),
+    password: Joi.string().required().messages({
+      'string.empty': 'Password cannot be empty',
+      'any.required': 'Password is required'
+    })
+  })
+};
+
+const apiKeySchemas = {
+  create: Joi.object({
+    name: Joi.string().trim().min(1).max(MAX_API_KEY_NAME_LENGTH).required().messages({
+      'string.empty': 'API key name cannot be empty',
+      'string.max': `API key name must be ${MAX_API_KEY_NAME_LENGTH} characters or less`,
+      'any.required': 'API key name is required'
+    }),
+    scopes: Joi.array().items(Joi.string().valid(...API_KEY_SCOPES)).min(1).unique().default(['read']).messages({
+      'any.only': `Scopes must be ${API_KEY_SCOPES.join(' or ')}`,
+      'array.min': 'At least one scope is required',
+      'array.unique': 'Scopes must not repeat'
+    })
+  })
+};
+
+const commentBodySchema = Joi.string().trim().min(1).max(MAX_COMMENT_LENGTH).required().messages({
+  'string.empty': 'Comment cannot be empty',
+  'string.max': `Comment must be ${MAX_COMMENT_LENGTH} characters or less`,
+  'any.required': 'Comment text is required'
+});
+
+const commentSchemas = {
+  create: Joi.object({
+    body: commentBodySchema
+  }),
+
+  update: Joi.object({
+    body: commentBodySchema
+  })
+};
+
+const workspaceNameSchema = Joi.string().trim().min(1).max(MAX_WORKSPACE_NAME_LENGTH).messages({
+  'string.empty': 'Workspace name cannot be empty',
+  'string.max': `Workspace name must be ${MAX_WORKSPACE_NAME_LENGTH} characters or less`,
+  'any.required': 'Workspace name is required'
+});
+
+const workspaceRoleSchema = Joi.string().valid(...WORKSPACE_ROLES).messages({
+  'any.only': `Role must be one of: ${WORKSPACE_ROLES.join(', ')}`,
+  'any.required': 'Role is required'
+});
+
+const workspaceSchemas = {
+  create: Joi.object({
+    name: workspaceNameSchema.required()
+  }),
+
+  update: Joi.object({
+    name: workspaceNameSchema.required()
+  }),
+
+  addMember: Joi.object({
+    email: Joi.string().trim().lowercase().email().required().messages({
+      'string.email': 'Email must be a valid email address',
+      'string.empty': 'Email cannot be empty',
+      'any.required': 'Email is required'
+    }),
+    role: workspaceRoleSchema.default('editor')
+  }),
+
+  updateMember: Joi.object({
+    role: workspaceRoleSchema.required()
+  })
+};
+
+const customFieldNameSchema = Joi.string().trim().min(1).max(MAX_CUSTOM_FIELD_NAME_LENGTH).messages({
+  'string.empty': 'Field name cannot be empty',
+  'string.max': `Field name must be ${MAX_CUSTOM_FIELD_NAME_LENGTH} characters or less`,
+  'any.required': 'Field name is required'
+});
+
+// Choices of a select or multi-select field, in display order
+const customFieldOptionsSchema = Joi.array().items(
+  Joi.string().trim().min(1).max(MAX_CUSTOM_FIELD_OPTION_LENGTH).messages({
+    'string.empty': 'Options cannot be empty',
+    'string.max': `Options must be ${MAX_CUSTOM_FIELD_OPTION_LENGTH} characters or less`
+  })
+).min(1).max(MAX_CUSTOM_FIELD_OPTIONS).unique((a, b) => a.toLowerCase() === b.toLowerCase()).messages({
+  'array.min': 'Select fields need at least one option',
+  'array.max': `A field can have at most ${MAX_CUSTOM_FIELD_OPTIONS} options`,
+  'array.unique': 'Options must be unique',
+  'any.required': 'Select fields need a list of options',
+  'any.unknown': 'Only select and multi-select fields have options'
+});
+
+const customFieldSchemas = {
+  create: Joi.object({
+    name: customFieldNameSchema.required(),
+    type: Joi.string().valid(...CUSTOM_FIELD_TYPES).required().messages({
+      'any.only': `Field type must be one of: ${CUSTOM_FIELD_TYPES.join(', ')}`,
+      'any.required': 'Field type is required'
+    }),
+    options: customFieldOptionsSchema.when('type', {
+      is: Joi.valid('select', 'multiselect'),
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    }),
+    required: Joi.boolean().default(false)
+  }),
+
+  // The type can't change: existing values would no longer fit it
+  update: Joi.object({
+    name: customFieldNameSchema,
+    options: customFieldOptionsSchema,
+    required: Joi.boolean()
+  }).min(1).messages({
+    'object.min': 'Provide name, options or required to update a field'
+  })
+};
+
+const statusIdSchema = Joi.string().pattern(STATUS_ID_PATTERN).messages({
+  'string.pattern.base': 'Status IDs are lowercase letters, digits and underscores, starting with a letter',
+  'any.required': 'Status ID is required'
+});
+
+// A workflow is always sent whole: its statuses in order (the first is where new tasks start)
+// and, per status, the statuses a task may move to from it
+const workflowSchemas = {
+  update: Joi.object({
+    statuses: Joi.array().items(Joi.object({
+      id: statusIdSchema.required(),
+      name: Joi.string().trim().min(1).max(MAX_STATUS_NAME_LENGTH).required().messages({
+        'string.empty': 'Status name cannot be empty',
+        'string.max': `Status names must be ${MAX_STATUS_NAME_LENGTH} characters or less`,
+        'any.required': 'Status name is required'
+      }),
+      category: Joi.string().valid(...STATUS_CATEGORIES).required().messages({
+        'any.only': `Status category must be one of: ${STATUS_CATEGORIES.join(', ')}`,
+        'any.required': 'Status category is required'
+      })
+    })).min(1).max(MAX_WORKFLOW_STATUSES).unique('id').unique((a, b) => a.name.toLowerCase() === b.name.toLowerCase())
+      .required().messages({
+        'array.min': 'A workflow needs at least one status',
+        'array.max': `A workflow can have at most ${MAX_WORKFLOW_STATUSES} statuses`,
+        'array.unique': 'Status IDs and names must be unique',
+        'any.required': 'Statuses are required'
+      }),
+    transitions: Joi.object().pattern(STATUS_ID_PATTERN, Joi.array().items(statusIdSchema).unique())
+      .default({}).messages({
+        'object.unknown': 'Transitions are keyed by status ID'
+      }),
+    // Where tasks in a status that is being removed should go
+    moveTasks: Joi.object().pattern(STATUS_ID_PATTERN, statusIdSchema).default({}).messages({
+      'object.unknown': 'moveTasks is keyed by status ID'
+    })
+  })
+};
+
 // Utility functions
 function validateCreateTask(req) {
   const { error, value } = taskSchemas.create.validate(req.body, {
@@ -161,6 +714,29 @@ function validateUpdateTask(req) {
   return value;
 }
 
+function validateChecklistRequest(req, schema) {
+  const { error, value } = schema.validate(req.body, {
+    abortEarly: false, stripUnknown: true, convert: true
+  });
+
+  if (error) {
+    const validationErrors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message,
+      value: detail.context?.value,
+      type: detail.type
+    }));
+
+    throw new APIError('Checklist validation failed', 400, {
+      type: 'validation_error',
+      errors: validationErrors,
+      summary: `${validationErrors.length} validation error${validationErrors.length > 1 ? 's' : ''} found`
+    });
+  }
+
+  return value;
+}
+
 function validateTaskFilters(req) {
   const { error, value } = taskSchemas.filters.validate(req.query, {
     abortEarly: false, stripUnknown: true, convert: true, allowUnknown: false
@@ -207,6 +783,53 @@ function validateTaskFilters(req) {
     }
   }
 
+  // isoDate() turned the range ends into timestamps; a plain date as the end means the end of that day
+  if (value.dueTo && DATE_ONLY_PATTERN.test(req.query.dueTo)) {
+    value.dueTo = `${req.query.dueTo}T23:59:59.999Z`;
+  }
+  if (value.dueFrom && value.dueTo && value.dueFrom > value.dueTo) {
+    throw new APIError('Invalid query parameters', 400, {
+      type: 'validation_error',
+      errors: [{ field: 'dueTo', message: 'dueTo must not be before dueFrom', value: req.query.dueTo }],
+      received: req.query
+    });
+  }
+
+  // A cursor carries the order it was issued for; in another order it would point nowhere
+  if (value.cursor) {
+    const position = decodeCursor(value.cursor);
+    if (!position || position.sortBy !== value.sortBy || position.sortOrder !== value.sortOrder) {
+      throw new APIError('Invalid query parameters', 400, {
+        type: 'validation_error',
+        errors: [{
+          field: 'cursor',
+          message: position ? 'Cursor was issued for a different sort order' : 'Cursor is not valid',
+          value: req.query.cursor
+        }],
+        received: req.query
+      });
+    }
+  }
+
+  // "none" selects tasks that aren't in any project
+  if (value.projectId === 'none') {
+    value.projectId = null;
+  }
+
+  // "me" is the caller, "none" selects unassigned tasks
+  if (value.assigneeId === 'me') {
+    value.assigneeId = req.user.id;
+  } else if (value.assigneeId === 'none') {
+    value.assigneeId = null;
+  }
+
+  // cf.<fieldId> parameters filter on custom fields; they're checked once the workspace is known
+  const customFieldParams = Object.entries(req.query || {})
+    .filter(([key, param]) => key.startsWith(CUSTOM_FIELD_PREFIX) && param !== '');
+  if (customFieldParams.length > 0) {
+    value.customFields = Object.fromEntries(customFieldParams);
+  }
+
   // Remove empty string filters
   Object.keys(value).forEach(key => {
     if (value[key] === '') {
@@ -217,307 +840,2213 @@ function validateTaskFilters(req) {
   return value;
 }
 
-function validateContentType(req) {
-  if (req.method === 'POST' || req.method === 'PUT') {
-    const contentType = req.headers['content-type'] || '';
-    
-    if (!contentType.includes('application/json')) {
-      throw new APIError('Invalid Content-Type', 400, {
-        type: 'content_type_error',
-        received: contentType,
-        expected: 'application/json',
-        message: 'Request body must be JSON with Content-Type: application/json header'
-      });
-    }
+function validatePaginationQuery(req) {
+  const { error, value } = taskSchemas.pagination.validate(req.query || {}, {
+    abortEarly: false, convert: true
+  });
+
+  if (error) {
+    const validationErrors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message,
+      value: detail.context?.value
+    }));
+
+    throw new APIError('Invalid query parameters', 400, {
+      type: 'validation_error',
+      errors: validationErrors,
+      received: req.query
+    });
   }
+
+  return value;
 }
 
-function parseRequestBody(req) {
-  if (typeof req.body === 'string') {
-    try {
-      return JSON.parse(req.body);
-    } catch (error) {
-      throw new APIError('Invalid JSON in request body', 400, {
-        type: 'json_parse_error',
-        message: 'Request body contains malformed JSON',
-        details: error.message
-      });
-    }
+function validateTaskId(taskId) {
+  // Basic UUID format validation
+  if (!UUID_PATTERN.test(taskId)) {
+    throw new APIError('Invalid task ID format', 400, {
+      type: 'validation_error',
+      errors: [{ 
+        field: 'id', 
+        message: 'Task ID must be a valid UUID format',
+        value: taskId
+      }]
+    });
   }
-  
-  return req.body || {};
 }
 
-// Route handlers
-async function handleHealthCheck() {
-  try {
-    const repository = getTaskRepository();
-    const stats = await repository.getStats();
-
-    const healthInfo = {
-      status: 'healthy',
-      timestamp: new Date().toISOString(),
-      environment: process.env.NODE_ENV || 'development',
-      version: '1.0.0',
-      services: {
-        api: 'operational',
-        middleware: 'operational',
-        repository: 'operational'
-      },
-      database: {
-        type: 'in-memory',
-        status: 'connected',
-        taskCount: stats.total,
-        indexes: {
-          status: 'active',
-          priority: 'active',
-          tags: 'active'
-        }
-      },
-      system: {
-        uptime: process.uptime(),
-        memory: {
-          used: Math.round(process.memoryUsage().heapUsed / 1024 / 1024),
-          total: Math.round(process.memoryUsage().heapTotal / 1024 / 1024)
-        },
-        nodeVersion: process.version
-      }
-    };
-
-    return healthInfo;
-  } catch (error) {
-    throw new APIError('Health check failed', 500, {
-      type: 'health_check_error',
-      originalError: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+function validateProjectId(projectId) {
+  if (!UUID_PATTERN.test(projectId)) {
+    throw createValidationError('Invalid project ID format', [{
+      field: 'id',
+      message: 'Project ID must be a valid UUID format',
+      value: projectId
+    }]);
   }
 }
 
-async function handleTasksCollection(req, repository) {
-  switch (req.method) {
-    case 'GET':
-      try {
-        const filters = validateTaskFilters(req);
-        console.log('Fetching tasks with filters:', filters);
-        
-        const result = await repository.findAll(filters);
+function validateProjectRequest(req, schema) {
+  const { error, value } = schema.validate(req.body, {
+    abortEarly: false, stripUnknown: true, convert: true
+  });
+
+  if (error) {
+    const validationErrors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message,
+      value: detail.context?.value,
+      type: detail.type
+    }));
+
+    throw new APIError('Project validation failed', 400, {
+      type: 'validation_error',
+      errors: validationErrors,
+      summary: `${validationErrors.length} validation error${validationErrors.length > 1 ? 's' : ''} found`
+    });
+  }
+
+  return value;
+}
+
+function validateWorkspaceId(workspaceId) {
+  if (!UUID_PATTERN.test(workspaceId)) {
+    throw createValidationError('Invalid workspace ID format', [{
+      field: 'id',
+      message: 'Workspace ID must be a valid UUID format',
+      value: workspaceId
+    }]);
+  }
+}
+
+function validateWorkspaceRequest(req, schema) {
+  const { error, value } = schema.validate(req.body, {
+    abortEarly: false, stripUnknown: true, convert: true
+  });
+
+  if (error) {
+    const validationErrors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message,
+      value: detail.context?.value,
+      type: detail.type
+    }));
+
+    throw new APIError('Workspace validation failed', 400, {
+      type: 'validation_error',
+      errors: validationErrors,
+      summary: `${validationErrors.length} validation error${validationErrors.length > 1 ? 's' : ''} found`
+    });
+  }
+
+  return value;
+}
+
+function validateUserRequest(req, schema) {
+  const { error, value } = schema.validate(req.body, {
+    abortEarly: false, stripUnknown: true, convert: true
+  });
+
+  if (error) {
+    const validationErrors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message,
+      // Never echo a password back
+      value: detail.path[0] === 'password' ? undefined : detail.context?.value,
+      type: detail.type
+    }));
+
+    throw new APIError('Account validation failed', 400, {
+      type: 'validation_error',
+      errors: validationErrors,
+      summary: `${validationErrors.length} validation error${validationErrors.length > 1 ? 's' : ''} found`
+    });
+  }
+
+  return value;
+}
+
+function validateApiKeyId(keyId) {
+  if (!UUID_PATTERN.test(keyId)) {
+    throw createValidationError('Invalid API key ID format', [{
+      field: 'id',
+      message: 'API key ID must be a valid UUID format',
+      value: keyId
+    }]);
+  }
+}
+
+function validateApiKeyRequest(req, schema) {
+  const { error, value } = schema.validate(req.body, {
+    abortEarly: false, stripUnknown: true, convert: true
+  });
+
+  if (error) {
+    const validationErrors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message,
+      value: detail.context?.value,
+      type: detail.type
+    }));
+
+    throw new APIError('API key validation failed', 400, {
+      type: 'validation_error',
+      errors: validationErrors,
+      summary: `${validationErrors.length} validation error${validationErrors.length > 1 ? 's' : ''} found`
+    });
+  }
+
+  return value;
+}
+
+function validateCommentId(commentId) {
+  if (!UUID_PATTERN.test(commentId)) {
+    throw createValidationError('Invalid comment ID format', [{
+      field: 'id',
+      message: 'Comment ID must be a valid UUID format',
+      value: commentId
+    }]);
+  }
+}
+
+function validateAttachmentId(attachmentId) {
+  if (!UUID_PATTERN.test(attachmentId)) {
+    throw createValidationError('Invalid attachment ID format', [{
+      field: 'id',
+      message: 'Attachment ID must be a valid UUID format',
+      value: attachmentId
+    }]);
+  }
+}
+
+function validateCustomFieldId(fieldId) {
+  if (!UUID_PATTERN.test(fieldId)) {
+    throw createValidationError('Invalid custom field ID format', [{
+      field: 'id',
+      message: 'Custom field ID must be a valid UUID format',
+      value: fieldId
+    }]);
+  }
+}
+
+function validateCustomFieldRequest(req, schema) {
+  const { error, value } = schema.validate(req.body, {
+    abortEarly: false, stripUnknown: true, convert: true
+  });
+
+  if (error) {
+    const validationErrors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message,
+      value: detail.context?.value,
+      type: detail.type
+    }));
+
+    throw new APIError('Custom field validation failed', 400, {
+      type: 'validation_error',
+      errors: validationErrors,
+      summary: `${validationErrors.length} validation error${validationErrors.length > 1 ? 's' : ''} found`
+    });
+  }
+
+  return value;
+}
+
+function validateWorkflowRequest(req, schema) {
+  const { error, value } = schema.validate(req.body, {
+    abortEarly: false, stripUnknown: true, convert: true
+  });
+
+  if (error) {
+    const validationErrors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message,
+      value: detail.context?.value,
+      type: detail.type
+    }));
+
+    throw new APIError('Workflow validation failed', 400, {
+      type: 'validation_error',
+      errors: validationErrors,
+      summary: `${validationErrors.length} validation error${validationErrors.length > 1 ? 's' : ''} found`
+    });
+  }
+
+  return value;
+}
+
+function validateCommentRequest(req, schema) {
+  const { error, value } = schema.validate(req.body, {
+    abortEarly: false, stripUnknown: true, convert: true
+  });
+
+  if (error) {
+    const validationErrors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message,
+      value: detail.context?.value,
+      type: detail.type
+    }));
+
+    throw new APIError('Comment validation failed', 400, {
+      type: 'validation_error',
+      errors: validationErrors,
+      summary: `${validationErrors.length} validation error${validationErrors.length > 1 ? 's' : ''} found`
+    });
+  }
+
+  return value;
+}
+
+function validateStatsQuery(req) {
+  const { error, value } = taskSchemas.stats.validate(req.query || {}, {
+    abortEarly: false, convert: true
+  });
+
+  if (error) {
+    throw new APIError('Invalid query parameters', 400, {
+      type: 'validation_error',
+      errors: error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+        value: detail.context?.value
+      })),
+      received: req.query
+    });
+  }
+
+  // Same scope values as the task list: a project ID, null for "none", or all tasks
+  const scope = {};
+  if (value.projectId) scope.projectId = value.projectId === 'none' ? null : value.projectId;
+  if (value.workspaceId) scope.workspaceId = value.workspaceId;
+  return scope;
+}
+
+// ?workspaceId on endpoints that otherwise only take pagination
+function validateWorkspaceQuery(req) {
+  const { error, value } = taskSchemas.workspaceScope.validate(req.query || {}, {
+    abortEarly: false, convert: true
+  });
+
+  if (error) {
+    throw new APIError('Invalid query parameters', 400, {
+      type: 'validation_error',
+      errors: error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+        value: detail.context?.value
+      })),
+      received: req.query
+    });
+  }
+
+  return value.workspaceId || undefined;
+}
+
+// File uploads are the only bodies that aren't JSON
+const UPLOAD_ENDPOINT = /^\/api\/tasks\/[^/]+\/attachments\/?$/;
+
+function validateContentType(req, pathname) {
+  if (req.method === 'POST' || req.method === 'PUT') {
+    const contentType = req.headers['content-type'] || '';
+    const isUpload = req.method === 'POST' && UPLOAD_ENDPOINT.test(pathname);
+    const expected = isUpload ? 'multipart/form-data' : 'application/json';
+    
+    if (!contentType.toLowerCase().includes(expected)) {
+      throw new APIError('Invalid Content-Type', 400, {
+        type: 'content_type_error',
+        received: contentType,
+        expected,
+        message: isUpload
+          ? 'Files must be uploaded as multipart/form-data with the file in the "file" field'
+          : 'Request body must be JSON with Content-Type: application/json header'
+      });
+    }
+  }
+}
+
+function parseRequestBody(req) {
+  if (typeof req.body === 'string') {
+    try {
+      return JSON.parse(req.body);
+    } catch (error) {
+      throw new APIError('Invalid JSON in request body', 400, {
+        type: 'json_parse_error',
+        message: 'Request body contains malformed JSON',
+        details: error.message
+      });
+    }
+  }
+  
+  return req.body || {};
+}
+
+// Route handlers
+// Compared against when a login names an unknown email
+const DUMMY_PASSWORD_HASH = `scrypt$${'0'.repeat(32)}$${'0'.repeat(128)}`;
+
+// Endpoints reachable without a token
+const PUBLIC_ENDPOINTS = ['/api/auth/register', '/api/auth/login'];
+
+// Repositories already confirmed to be on the latest schema
+const verifiedRepositories = new WeakSet();
+
+/**
+ * Refuse to serve requests while the store is behind the code's schema.
+ * Once a repository is verified it is not checked again.
+ */
+function ensureSchemaIsCurrent(repository) {
+  if (verifiedRepositories.has(repository)) return;
+
+  const status = new MigrationRunner(repository).getStatus();
+  if (!status.upToDate) {
+    throw new APIError('Storage schema is out of date', 503, {
+      type: 'schema_outdated',
+      currentVersion: status.currentVersion,
+      latestVersion: status.latestVersion,
+      pending: status.pending,
+      hint: 'Run `npm run migrate` before starting the API'
+    });
+  }
+
+  verifiedRepositories.add(repository);
+}
+
+// How long trashed tasks are kept before they are purged for good
+function getTrashRetentionDays() {
+  const days = Number(process.env.TASK_TRASH_RETENTION_DAYS);
+  return Number.isFinite(days) && days > 0 ? days : 30;
+}
+
+const TRASH_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Last sweep time per repository, so expired trash is purged at most once an hour
+const lastTrashSweeps = new WeakMap();
+
+/**
+ * Purge trashed tasks older than the retention period.
+ * Runs lazily on incoming requests; a failed sweep never fails the request.
+ */
+async function sweepExpiredTrash(repository) {
+  const now = Date.now();
+  if (now - (lastTrashSweeps.get(repository) || 0) < TRASH_SWEEP_INTERVAL_MS) return;
+  lastTrashSweeps.set(repository, now);
+
+  try {
+    const cutoff = new Date(now - getTrashRetentionDays() * DAY_MS).toISOString();
+    const purged = await repository.purgeExpired(cutoff);
+    if (purged > 0) {
+      console.log(`Purged ${purged} expired task(s) from trash`);
+      await removeOrphanedFiles(repository);
+    }
+  } catch (error) {
+    console.error('Error purging expired trash:', error);
+  }
+}
+
+/**
+ * Delete stored files whose task no longer has any attachment records, e.g. after a purge.
+ * A failed cleanup is only logged: the purge itself already succeeded and the next one retries.
+ */
+async function removeOrphanedFiles(repository) {
+  try {
+    const storage = getFileStorage();
+    for (const taskId of await storage.listPrefixes()) {
+      const attachments = await repository.findAttachments(taskId);
+      if (attachments.length === 0) {
+        await storage.deletePrefix(taskId);
+      }
+    }
+  } catch (error) {
+    console.error('Error removing orphaned attachment files:', error);
+  }
+}
+
+async function handleHealthCheck() {
+  try {
+    const repository = getTaskRepository();
+    const stats = await repository.getStats();
+    const schema = new MigrationRunner(repository).getStatus();
+
+    const healthInfo = {
+      status: 'healthy',
+      timestamp: new Date().toISOString(),
+      environment: process.env.NODE_ENV || 'development',
+      version: '1.0.0',
+      services: {
+        api: 'operational',
+        middleware: 'operational',
+        repository: 'operational'
+      },
+      database: {
+        type: repository.storageType || 'in-memory',
+        status: 'connected',
+        taskCount: stats.total,
+        schemaVersion: schema.currentVersion,
+        latestSchemaVersion: schema.latestVersion,
+        indexes: {
+          status: 'active',
+          priority: 'active',
+          tags: 'active'
+        }
+      },
+      system: {
+        uptime: process.uptime(),
+        memory: {
+          used: Math.round(process.memoryUsage().heapUsed / 1024 / 1024),
+          total: Math.round(process.memoryUsage().heapTotal / 1024 / 1024)
+        },
+        nodeVersion: process.version
+      }
+    };
+
+    return healthInfo;
+  } catch (error) {
+    throw new APIError('Health check failed', 500, {
+      type: 'health_check_error',
+      originalError: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+async function handleTasksCollection(req, repository) {
+  switch (req.method) {
+    case 'GET':
+      try {
+        const filters = validateTaskFilters(req);
+        console.log('Fetching tasks with filters:', filters);
+        
+        const scope = await resolveTaskScope(repository, req.user, filters.workspaceId);
+        const workflow = await findWorkflow(repository, filters.workspaceId);
+        if (filters.status) {
+          validateStatus(workflow, filters.status);
+        }
+        const customFields = await findCustomFields(repository, filters.workspaceId);
+        const conditions = parseCustomFieldQuery(filters, customFields);
+        const result = await repository.findAll({
+          ...filters,
+          ...scope,
+          ...(conditions.length > 0 && { customFields: conditions })
+        });
+        
+        return {
+          ...result,
+          filters: {
+            applied: filters,
+            available: {
+              status: workflow.statuses.map(status => status.id),
+              priority: ['low', 'medium', 'high'],
+              sortBy: [...SORT_FIELDS, ...customFields.map(field => `${CUSTOM_FIELD_PREFIX}${field.id}`)],
+              sortOrder: ['asc', 'desc']
+            }
+          },
+          summary: {
+            totalTasks: result.pagination.total,
+            filteredTasks: result.tasks.length,
+            hasFilters: Object.keys(filters).some(key => 
+              filters[key] !== undefined && 
+              filters[key] !== '' && 
+              (Array.isArray(filters[key]) ? filters[key].length > 0 : true)
+            )
+          }
+        };
+      } catch (error) {
+        if (error instanceof APIError) throw error;
+        console.error('Error fetching tasks:', error);
+        throw new APIError('Failed to fetch tasks', 500, {
+          type: 'database_error',
+          originalError: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+      }
+
+    case 'POST':
+      try {
+        const validatedData = validateCreateTask(req);
+        console.log('Creating task:', { title: validatedData.title, status: validatedData.status });
+        validateDateRange(validatedData);
+
+        let customFields = [];
+        let workflow = DEFAULT_WORKFLOW;
+        if (validatedData.workspaceId) {
+          const { workspace, role } = await findMemberWorkspace(repository, req.user, validatedData.workspaceId);
+          assertPermission(role, 'create');
+          customFields = workspace.customFields || [];
+          workflow = getWorkflow(workspace);
+        }
+        validatedData.customFields = validateCustomFieldValues(validatedData.customFields || {}, customFields, {
+          isNew: true,
+          workspaceId: validatedData.workspaceId
+        });
+        // New tasks may start in any status of their workflow; transitions only govern later moves
+        validatedData.status = validatedData.status || getInitialStatus(workflow);
+        validateStatus(workflow, validatedData.status);
+        const statusCategory = getStatusCategory(workflow, validatedData.status);
+        if (statusCategory === 'done') {
+          assertCanComplete(validatedData);
+        }
+        await validateBlockedBy(repository, req.user, null, validatedData.blockedBy);
+        await validateTaskProject(repository, req.user, validatedData.projectId);
+        await validateAssignee(repository, validatedData.assigneeId, {
+          ownerId: req.user.id,
+          workspaceId: validatedData.workspaceId
+        });
+        if (statusCategory === 'in_progress') {
+          await assertCanStart(repository, validatedData.blockedBy);
+        }
+        
+        const newTask = await repository.create({ ...validatedData, ownerId: req.user.id }, { actor: req.user.id });
+        
+        return {
+          task: newTask,
+          message: 'Task created successfully',
+          summary: {
+            id: newTask.id,
+            title: newTask.title,
+            status: newTask.status,
+            priority: newTask.priority
+          }
+        };
+      } catch (error) {
+        if (error instanceof APIError) throw error;
+        console.error('Error creating task:', error);
+        throw new APIError('Failed to create task', 500, {
+          type: 'database_error',
+          originalError: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+      }
+
+    default:
+      throw new APIError(`Method ${req.method} not allowed`, 405, {
+        allowedMethods: ['GET', 'POST']
+      });
+  }
+}
+
+// Map a repository version conflict to a 412 carrying the current server copy
+function toConflictError(error) {
+  const current = error.currentTask;
+  return createVersionConflictError('Task', current, error.expectedVersion, formatETag(current));
+}
+
+/**
+ * Role the user holds over a task: the owner of their personal tasks, and their member role
+ * for tasks in a workspace. Null means no access at all.
+ */
+async function getTaskRole(repository, user, task) {
+  if (!task.workspaceId) {
+    return isOwnedBy(task, user.id) ? 'owner' : null;
+  }
+  const workspace = await repository.findWorkspaceById(task.workspaceId);
+  return workspace ? getMemberRole(workspace, user.id) : null;
+}
+
+// Tasks and projects the user can't see are reported as missing, so IDs can't be probed
+async function findAccessibleTask(repository, user, taskId) {
+  const task = await repository.findById(taskId);
+  const role = task ? await getTaskRole(repository, user, task) : null;
+  return role ? { task, role } : { task: null, role: null };
+}
+
+// Workspaces the user isn't a member of are reported as missing
+async function findMemberWorkspace(repository, user, workspaceId) {
+  const workspace = await repository.findWorkspaceById(workspaceId);
+  const role = workspace ? getMemberRole(workspace, user.id) : null;
+  if (!role) throw createNotFoundError('Workspace', workspaceId);
+  return { workspace, role };
+}
+
+// 403 naming the action and the roles that would allow it
+function assertPermission(role, action, resource = 'task') {
+  if (can(role, action)) return;
+
+  const target = action === 'manage' ? 'this workspace' : `${resource}s in this workspace`;
+  throw createPermissionError(`A workspace ${role} cannot ${action} ${target}`, {
+    resource,
+    action,
+    role,
+    requiredRoles: rolesAllowedTo(action)
+  });
+}
+
+/**
+ * Which tasks a list, trash or stats request covers: the caller's personal tasks, or with
+ * ?workspaceId every task in that workspace once the caller's role allows the action
+ */
+async function resolveTaskScope(repository, user, workspaceId, action = 'read') {
+  if (!workspaceId) return { ownerId: user.id, workspaceId: null };
+
+  const { role } = await findMemberWorkspace(repository, user, workspaceId);
+  assertPermission(role, action);
+  return { workspaceId };
+}
+
+async function findOwnedProject(repository, user, projectId) {
+  const project = await repository.findProjectById(projectId);
+  return project && isOwnedBy(project, user.id) ? project : null;
+}
+
+// Trashed tasks are invisible to the regular endpoints; say so, so clients can offer a restore
+function createTaskNotFoundError(taskId, task) {
+  return new APIError('Task not found', 404, {
+    type: 'resource_not_found',
+    resource: 'task',
+    resourceId: taskId,
+    ...(task?.deletedAt && { inTrash: true, deletedAt: task.deletedAt })
+  });
+}
+
+function getTrashExpiry(task) {
+  if (!task.deletedAt) return null;
+  return new Date(new Date(task.deletedAt).getTime() + getTrashRetentionDays() * DAY_MS).toISOString();
+}
+
+// Either date may be left out, but a task can't start after it's due
+function validateDateRange({ startDate, dueDate }) {
+  if (startDate && dueDate && new Date(startDate) > new Date(dueDate)) {
+    throw createValidationError('Task validation failed', [{
+      field: 'startDate',
+      message: 'Start date must be on or before the due date',
+      value: startDate
+    }]);
+  }
+}
+
+// Tasks that require their checklist can't be completed while items are open
+function assertCanComplete(task) {
+  if (isCompletionBlocked(task)) {
+    const progress = getChecklistProgress(task);
+    throw createBusinessRuleError(
+      `Finish the checklist before completing this task (${progress.done}/${progress.total} done)`,
+      'checklist_incomplete',
+      { progress }
+    );
+  }
+}
+
+// A task can only be filed under a project that exists and belongs to the same user
+async function validateTaskProject(repository, user, projectId) {
+  if (projectId && !(await findOwnedProject(repository, user, projectId))) {
+    throw createValidationError('Invalid project', [
+      { field: 'projectId', message: `Project ${projectId} not found`, value: projectId }
+    ]);
+  }
+}
+
+// Personal tasks can only be assigned to their owner, workspace tasks to any member
+async function isAssignable(repository, assigneeId, { ownerId, workspaceId }) {
+  if (!assigneeId) return true;
+  if (!workspaceId) return assigneeId === ownerId;
+
+  const workspace = await repository.findWorkspaceById(workspaceId);
+  return Boolean(workspace && getMemberRole(workspace, assigneeId));
+}
+
+async function validateAssignee(repository, assigneeId, scope) {
+  if (!(await isAssignable(repository, assigneeId, scope))) {
+    throw createValidationError('Invalid assignee', [{
+      field: 'assigneeId',
+      message: scope.workspaceId
+        ? 'Tasks can only be assigned to members of their workspace'
+        : 'Personal tasks can only be assigned to their owner',
+      value: assigneeId
+    }]);
+  }
+}
+
+// Workflow a workspace's tasks follow; personal tasks use the default one
+async function findWorkflow(repository, workspaceId) {
+  if (!workspaceId) return DEFAULT_WORKFLOW;
+  return getWorkflow(await repository.findWorkspaceById(workspaceId));
+}
+
+function validateStatus(workflow, status) {
+  if (!findStatus(workflow, status)) {
+    throw createValidationError('Invalid status', [{
+      field: 'status',
+      message: `Status must be one of: ${workflow.statuses.map(candidate => candidate.id).join(', ')}`,
+      value: status
+    }]);
+  }
+}
+
+// Tasks only move along the workflow's transitions; the error says where this one could go instead
+function assertCanTransition(workflow, from, to) {
+  if (canTransition(workflow, from, to)) return;
+
+  const nameOf = id => `"${findStatus(workflow, id)?.name || id}"`;
+  const allowed = getAllowedTransitions(workflow, from);
+  throw createBusinessRuleError(
+    `A task in ${nameOf(from)} can't move to ${nameOf(to)}` +
+      (allowed.length > 0 ? `; it can move to ${allowed.map(nameOf).join(', ')}` : ''),
+    'status_transition',
+    { from, to, allowed }
+  );
+}
+
+// Field definitions of a workspace; personal tasks have none
+async function findCustomFields(repository, workspaceId) {
+  if (!workspaceId) return [];
+  const workspace = await repository.findWorkspaceById(workspaceId);
+  return workspace?.customFields || [];
+}
+
+// Check a task's custom field values against its workspace's fields; null clears a value
+function validateCustomFieldValues(values, customFields, { isNew, workspaceId }) {
+  if (!workspaceId && Object.keys(values).length > 0) {
+    throw createValidationError('Invalid custom fields', [
+      { field: 'customFields', message: 'Only workspace tasks have custom fields', value: values }
+    ]);
+  }
+
+  const { error, value } = taskSchemas.customFieldValues(customFields, { isNew }).validate(values, {
+    abortEarly: false, convert: true
+  });
+  if (error) {
+    throw createValidationError('Invalid custom fields', error.details.map(detail => ({
+      field: ['customFields', ...detail.path].join('.'),
+      message: detail.message,
+      value: detail.context?.value,
+      type: detail.type
+    })));
+  }
+  return value;
+}
+
+/**
+ * Turn one cf.<fieldId> query value into a repository condition: "none" finds tasks without a
+ * value, text matches part of the text, numbers and dates take a value or a min..max range
+ * (either end may be left out), and select fields one of their options
+ * @private
+ */
+function parseCustomFieldFilter(field, raw) {
+  if (raw === 'none') return { fieldId: field.id, match: 'empty' };
+
+  switch (field.type) {
+    case 'text':
+      return { fieldId: field.id, match: 'contains', value: raw };
+    case 'select':
+    case 'multiselect':
+      return field.options.includes(raw)
+        ? { fieldId: field.id, match: field.type === 'select' ? 'equals' : 'includes', value: raw }
+        : null;
+    default: {
+      const parse = text => {
+        if (text === '') return undefined;
+        if (field.type === 'date') return isCalendarDate(text) ? text : NaN;
+        return Number.isFinite(Number(text)) ? Number(text) : NaN;
+      };
+      if (!raw.includes('..')) {
+        const value = parse(raw);
+        return Number.isNaN(value) || value === undefined ? null : { fieldId: field.id, match: 'equals', value };
+      }
+      const [min, max] = raw.split('..').map(parse);
+      if (Number.isNaN(min) || Number.isNaN(max) || (min === undefined && max === undefined)) return null;
+      return { fieldId: field.id, match: 'range', min, max };
+    }
+  }
+}
+
+const CUSTOM_FIELD_FILTER_HINTS = {
+  number: 'a number or a min..max range',
+  date: 'a date (YYYY-MM-DD) or a from..to range'
+};
+
+// Custom field filters and sorting of a task list, checked against the listed workspace's fields
+function parseCustomFieldQuery(filters, customFields) {
+  const conditions = [];
+  const errors = [];
+
+  for (const [param, raw] of Object.entries(filters.customFields || {})) {
+    const field = customFields.find(candidate => `${CUSTOM_FIELD_PREFIX}${candidate.id}` === param);
+    if (!field) {
+      errors.push({ field: param, message: 'Not a custom field of this workspace', value: raw });
+      continue;
+    }
+
+    const condition = parseCustomFieldFilter(field, String(raw).trim());
+    if (condition) {
+      conditions.push(condition);
+    } else {
+      const expected = CUSTOM_FIELD_FILTER_HINTS[field.type] || `one of: ${field.options.join(', ')}`;
+      errors.push({ field: param, message: `${field.name} filter must be ${expected}, or "none"`, value: raw });
+    }
+  }
+
+  if (filters.sortBy?.startsWith(CUSTOM_FIELD_PREFIX) &&
+      !customFields.some(field => `${CUSTOM_FIELD_PREFIX}${field.id}` === filters.sortBy)) {
+    errors.push({ field: 'sortBy', message: 'Not a custom field of this workspace', value: filters.sortBy });
+  }
+
+  if (errors.length > 0) {
+    throw createValidationError('Invalid custom field filters', errors);
+  }
+  return conditions;
+}
+
+// Moving a task takes it out of one board and into another: delete rights on the source and
+// create rights on the target. Tasks moved out of a workspace go back to the user who created them.
+async function assertCanMoveTask(repository, user, task, role, workspaceId) {
+  if (workspaceId === undefined || workspaceId === (task.workspaceId || null)) return;
+
+  assertPermission(role, 'delete');
+  if (workspaceId) {
+    const { role: targetRole } = await findMemberWorkspace(repository, user, workspaceId);
+    assertPermission(targetRole, 'create');
+  }
+}
+
+// New "blocked by" links must point at other active tasks; links that already exist are
+// left alone even if their task has since been trashed
+async function validateBlockedBy(repository, user, taskId, blockedBy, existingBlockedBy = []) {
+  const errors = [];
+
+  for (const blockerId of blockedBy) {
+    if (blockerId === taskId) {
+      errors.push({ field: 'blockedBy', message: 'A task cannot be blocked by itself', value: blockerId });
+    } else if (!existingBlockedBy.includes(blockerId)) {
+      const { task: blocker } = await findAccessibleTask(repository, user, blockerId);
+      if (!blocker || blocker.deletedAt) {
+        errors.push({ field: 'blockedBy', message: `Blocking task ${blockerId} not found`, value: blockerId });
+      }
+    }
+  }
+
+  if (errors.length > 0) {
+    throw createValidationError('Invalid task dependencies', errors);
+  }
+}
+
+// A task can't be started while any task it is blocked by is unfinished
+async function assertCanStart(repository, blockedBy) {
+  const blockers = [];
+  for (const blockerId of blockedBy) {
+    const blocker = await repository.findById(blockerId);
+    if (isOpenBlocker(blocker)) {
+      blockers.push(summarizeBlocker(blocker));
+    }
+  }
+
+  if (blockers.length > 0) {
+    throw createBusinessRuleError(
+      `Task is blocked by ${blockers.length} unfinished task${blockers.length > 1 ? 's' : ''}: ` +
+        blockers.map(blocker => `"${blocker.title}"`).join(', '),
+      'task_blocked',
+      { blockers }
+    );
+  }
+}
+
+// Map a repository dependency cycle to a business rule error naming the tasks involved
+function toDependencyCycleError(error) {
+  return createBusinessRuleError(
+    'These dependencies would create a cycle: a task cannot wait on itself',
+    'dependency_cycle',
+    { cycle: error.cycle }
+  );
+}
+
+async function handleIndividualTask(req, taskId, repository) {
+  validateTaskId(taskId);
+
+  switch (req.method) {
+    case 'GET':
+      try {
+        const { task } = await findAccessibleTask(repository, req.user, taskId);
+        if (!task || task.deletedAt) {
+          throw createTaskNotFoundError(taskId, task);
+        }
+        
+        return {
+          task,
+          summary: {
+            id: task.id,
+            title: task.title,
+            status: task.status,
+            priority: task.priority,
+            isOverdue: task.dueDate && new Date(task.dueDate) < new Date() && task.statusCategory !== 'done'
+          }
+        };
+      } catch (error) {
+        if (error instanceof APIError) throw error;
+        console.error('Error fetching task:', error);
+        throw new APIError('Failed to fetch task', 500);
+      }
+
+    case 'PUT':
+      try {
+        const validatedUpdates = validateUpdateTask(req);
+        const expectedVersion = parseIfMatch(req);
+
+        const { task: existingTask, role } = await findAccessibleTask(repository, req.user, taskId);
+        if (!existingTask || existingTask.deletedAt) {
+          throw createTaskNotFoundError(taskId, existingTask);
+        }
+        assertPermission(role, 'update');
+        await assertCanMoveTask(repository, req.user, existingTask, role, validatedUpdates.workspaceId);
+        validateDateRange({ ...existingTask, ...validatedUpdates });
+
+        const blockedBy = validatedUpdates.blockedBy || existingTask.blockedBy;
+        if (validatedUpdates.blockedBy) {
+          await validateBlockedBy(repository, req.user, taskId, validatedUpdates.blockedBy, existingTask.blockedBy);
+        }
+        if (validatedUpdates.projectId && validatedUpdates.projectId !== existingTask.projectId) {
+          await validateTaskProject(repository, req.user, validatedUpdates.projectId);
+        }
+        const assigneeScope = {
+          ownerId: existingTask.ownerId,
+          workspaceId: validatedUpdates.workspaceId !== undefined ? validatedUpdates.workspaceId : existingTask.workspaceId
+        };
+        if (validatedUpdates.assigneeId !== undefined) {
+          await validateAssignee(repository, validatedUpdates.assigneeId, assigneeScope);
+        } else if (!(await isAssignable(repository, existingTask.assigneeId, assigneeScope))) {
+          // Moved somewhere the current assignee can't follow
+          validatedUpdates.assigneeId = null;
+        }
+        // Values belong to the workspace's fields: a moved task starts over and fills in the target's required ones
+        const moved = (assigneeScope.workspaceId || null) !== (existingTask.workspaceId || null);
+        if (validatedUpdates.customFields || moved) {
+          const customFields = await findCustomFields(repository, assigneeScope.workspaceId);
+          const changes = validateCustomFieldValues(validatedUpdates.customFields || {}, customFields, {
+            isNew: moved,
+            workspaceId: assigneeScope.workspaceId
+          });
+          validatedUpdates.customFields = { ...(moved ? {} : existingTask.customFields), ...changes };
+        }
+        // A moved task keeps its status when the target workflow has it, or takes the closest one
+        // there; within its workspace it follows the workflow's transitions
+        const workflow = await findWorkflow(repository, assigneeScope.workspaceId);
+        if (validatedUpdates.status) {
+          validateStatus(workflow, validatedUpdates.status);
+          if (!moved) assertCanTransition(workflow, existingTask.status, validatedUpdates.status);
+        } else if (moved) {
+          const status = mapStatus(workflow, existingTask.status, existingTask.statusCategory);
+          if (status !== existingTask.status) validatedUpdates.status = status;
+        }
+        const statusCategory = getStatusCategory(workflow, validatedUpdates.status || existingTask.status);
+        if (validatedUpdates.status && statusCategory === 'in_progress' && existingTask.statusCategory !== 'in_progress') {
+          await assertCanStart(repository, blockedBy);
+        }
+        if (validatedUpdates.status && statusCategory === 'done') {
+          assertCanComplete({ ...existingTask, ...validatedUpdates });
+        }
+        const updatedTask = await repository.update(taskId, validatedUpdates, { expectedVersion, actor: req.user.id });
+        
+        if (!updatedTask) {
+          throw createTaskNotFoundError(taskId, await repository.findById(taskId));
+        }
+
+        // Completing a recurring task spawns its next occurrence; hand it back so clients can show it
+        const spawnedOccurrence = updatedTask.nextOccurrenceId &&
+          updatedTask.nextOccurrenceId !== existingTask.nextOccurrenceId;
+        const nextOccurrence = spawnedOccurrence
+          ? await repository.findById(updatedTask.nextOccurrenceId)
+          : null;
+        
+        return {
+          task: updatedTask,
+          ...(nextOccurrence && { nextOccurrence }),
+          message: nextOccurrence
+            ? 'Task updated successfully; next occurrence created'
+            : 'Task updated successfully',
+          summary: {
+            id: updatedTask.id,
+            title: updatedTask.title,
+            updatedFields: Object.keys(validatedUpdates)
+          }
+        };
+      } catch (error) {
+        if (error instanceof APIError) throw error;
+        if (error instanceof VersionConflictError) throw toConflictError(error);
+        if (error instanceof DependencyCycleError) throw toDependencyCycleError(error);
+        console.error('Error updating task:', error);
+        throw new APIError('Failed to update task', 500);
+      }
+
+    case 'DELETE':
+      try {
+        console.log('DELETE request for task ID:', taskId);
+        
+        // First, let's check if the task exists and log repository state
+        const allTasks = (await repository.getAllRaw()).filter(task => isOwnedBy(task, req.user.id));
+        console.log('Current tasks in repository:', allTasks.length);
+        console.log('Task IDs in repository:', allTasks.map(t => t.id));
+        
+        const { task: existingTask, role } = await findAccessibleTask(repository, req.user, taskId);
+        if (existingTask?.deletedAt) {
+          throw createTaskNotFoundError(taskId, existingTask);
+        }
+        if (!existingTask) {
+          console.log('Task not found in repository:', taskId);
+          
+          // Let's provide more helpful debugging info
+          throw new APIError('Task not found', 404, {
+            type: 'resource_not_found',
+            resource: 'task',
+            resourceId: taskId,
+            debug: {
+              taskId,
+              totalTasks: allTasks.length,
+              availableTaskIds: allTasks.map(t => t.id).slice(0, 10), // First 10 IDs for debugging
+              message: 'This task may have been deleted by another request or may not exist. Try refreshing the page.'
+            }
+          });
+        }
+        
+        assertPermission(role, 'delete');
+        console.log('Found task to delete:', existingTask.title);
+        
+        const deletedTask = await repository.delete(taskId, { expectedVersion: parseIfMatch(req), actor: req.user.id });
+        
+        if (!deletedTask) {
+          throw new APIError('Failed to delete task', 500, {
+            type: 'delete_error',
+            resource: 'task',
+            resourceId: taskId,
+            debug: {
+              message: 'Repository delete operation returned null'
+            }
+          });
+        }
         
+        console.log('Task moved to trash:', deletedTask.title);
+        
+        return {
+          task: deletedTask,
+          message: 'Task moved to trash',
+          expiresAt: getTrashExpiry(deletedTask)
+        };
+      } catch (error) {
+        if (error instanceof APIError) throw error;
+        if (error instanceof VersionConflictError) throw toConflictError(error);
+        console.error('Error deleting task:', error);
+        throw new APIError('Failed to delete task', 500);
+      }
+
+    default:
+      throw new APIError(`Method ${req.method} not allowed`, 405, {
+        allowedMethods: ['GET', 'PUT', 'DELETE']
+      });
+  }
+}
+
+async function handleTaskHistory(req, taskId, repository) {
+  validateTaskId(taskId);
+
+  if (req.method !== 'GET') {
+    throw new APIError(`Method ${req.method} not allowed for task history`, 405, {
+      allowedMethods: ['GET']
+    });
+  }
+
+  const pagination = validatePaginationQuery(req);
+
+  try {
+    const task = await repository.findById(taskId);
+    const role = task ? await getTaskRole(repository, req.user, task) : null;
+    if (task && !role) {
+      throw createNotFoundError('Task', taskId);
+    }
+
+    // Workspace members see every change; once a task is purged only its creator's entries remain visible
+    const { entries, pagination: page } = await repository.getHistory(taskId, {
+      ...pagination,
+      ...(!task && { ownerId: req.user.id })
+    });
+
+    // Deleted tasks keep their history, so only 404 when there is nothing at all
+    if (page.total === 0 && !task) {
+      throw new APIError('Task not found', 404, {
+        type: 'resource_not_found',
+        resource: 'task',
+        resourceId: taskId
+      });
+    }
+
+    // Entries record who made the change by ID; clients show their current name
+    const names = await findUserNames(repository, entries.map(entry => entry.actor));
+
+    return {
+      taskId,
+      history: entries.map(entry => ({ ...entry, actorName: entry.actor ? names.get(entry.actor) : null })),
+      pagination: page
+    };
+  } catch (error) {
+    if (error instanceof APIError) throw error;
+    console.error('Error fetching task history:', error);
+    throw new APIError('Failed to fetch task history', 500, {
+      type: 'database_error',
+      originalError: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+/**
+ * Checklist endpoints. Every change is saved as an update of the task's checklist,
+ * so it bumps the task version and goes through the same If-Match check as PUT.
+ */
+async function handleTaskChecklist(req, taskId, itemId, repository) {
+  validateTaskId(taskId);
+
+  const allowedMethods = itemId ? ['PUT', 'DELETE'] : ['POST', 'PUT'];
+  if (!allowedMethods.includes(req.method)) {
+    throw new APIError(`Method ${req.method} not allowed for checklist`, 405, { allowedMethods });
+  }
+
+  try {
+    const { task, role } = await findAccessibleTask(repository, req.user, taskId);
+    if (!task || task.deletedAt) {
+      throw createTaskNotFoundError(taskId, task);
+    }
+    assertPermission(role, 'update');
+
+    const items = task.checklist || [];
+    const itemIndex = itemId ? items.findIndex(item => item.id === itemId) : -1;
+    if (itemId && itemIndex === -1) {
+      throw new APIError('Checklist item not found', 404, {
+        type: 'resource_not_found',
+        resource: 'checklist_item',
+        resourceId: itemId
+      });
+    }
+
+    let checklist;
+    let item = null;
+    let message;
+
+    if (!itemId && req.method === 'POST') {
+      if (items.length >= MAX_CHECKLIST_ITEMS) {
+        throw createBusinessRuleError(`Maximum ${MAX_CHECKLIST_ITEMS} checklist items allowed`, 'checklist_limit');
+      }
+      item = createChecklistItem(validateChecklistRequest(req, taskSchemas.checklistItem));
+      checklist = [...items, item];
+      message = 'Checklist item added';
+    } else if (!itemId) {
+      const { itemIds } = validateChecklistRequest(req, taskSchemas.checklistOrder);
+      const sameItems = itemIds.length === items.length && items.every(existing => itemIds.includes(existing.id));
+      if (!sameItems) {
+        throw createValidationError('Checklist order must list every item exactly once', [{
+          field: 'itemIds',
+          message: 'itemIds must contain each checklist item id exactly once',
+          value: itemIds
+        }]);
+      }
+      checklist = itemIds.map(id => items.find(existing => existing.id === id));
+      message = 'Checklist reordered';
+    } else if (req.method === 'PUT') {
+      const changes = validateChecklistRequest(req, taskSchemas.checklistItemUpdate);
+      item = { ...items[itemIndex], ...changes };
+      checklist = items.map((existing, index) => (index === itemIndex ? item : existing));
+      message = 'Checklist item updated';
+    } else {
+      item = items[itemIndex];
+      checklist = items.filter(existing => existing.id !== itemId);
+      message = 'Checklist item removed';
+    }
+
+    // Without If-Match, the version just read still guards against a concurrent write slipping in
+    const expectedVersion = parseIfMatch(req) ?? task.version;
+    const updatedTask = await repository.update(taskId, { checklist }, { expectedVersion, actor: req.user.id });
+    if (!updatedTask) {
+      throw createTaskNotFoundError(taskId, await repository.findById(taskId));
+    }
+
+    return {
+      task: updatedTask,
+      item,
+      progress: getChecklistProgress(updatedTask),
+      message
+    };
+  } catch (error) {
+    if (error instanceof APIError) throw error;
+    if (error instanceof VersionConflictError) throw toConflictError(error);
+    console.error('Error updating checklist:', error);
+    throw new APIError('Failed to update checklist', 500);
+  }
+}
+
+// Current names of users by ID; null for accounts that no longer exist
+async function findUserNames(repository, userIds) {
+  const names = new Map();
+  for (const userId of userIds) {
+    if (userId && !names.has(userId)) {
+      names.set(userId, (await repository.findUserById(userId))?.name || null);
+    }
+  }
+  return names;
+}
+
+// Comments as clients show them: with the author's current name
+async function presentComments(repository, comments) {
+  const names = await findUserNames(repository, comments.map(comment => comment.authorId));
+
+  return comments.map(comment => ({
+    ...comment,
+    author: comment.authorId ? { id: comment.authorId, name: names.get(comment.authorId) } : null
+  }));
+}
+
+/**
+ * Comment endpoints. Anyone who can see the task reads its comments; posting needs the
+ * create permission. Authors edit their own comments, and those who may delete the task
+ * may also delete anyone's comment. Comments leave the task's version and history alone.
+ */
+async function handleTaskComments(req, taskId, commentId, repository) {
+  validateTaskId(taskId);
+  if (commentId) validateCommentId(commentId);
+
+  const allowedMethods = commentId ? ['PUT', 'DELETE'] : ['GET', 'POST'];
+  if (!allowedMethods.includes(req.method)) {
+    throw new APIError(`Method ${req.method} not allowed for comments`, 405, { allowedMethods });
+  }
+
+  // Validate before touching the repository so malformed requests fail fast
+  const pagination = req.method === 'GET' ? validatePaginationQuery(req) : null;
+  const changes = ['POST', 'PUT'].includes(req.method)
+    ? validateCommentRequest(req, commentSchemas[req.method === 'POST' ? 'create' : 'update'])
+    : null;
+
+  try {
+    const { task, role } = await findAccessibleTask(repository, req.user, taskId);
+    if (!task || task.deletedAt) {
+      throw createTaskNotFoundError(taskId, task);
+    }
+
+    if (req.method === 'GET') {
+      const { comments, pagination: page } = await repository.findComments(taskId, pagination);
+      return {
+        taskId,
+        comments: await presentComments(repository, comments),
+        pagination: page
+      };
+    }
+
+    // Viewers only read the discussion
+    if (req.method !== 'DELETE') {
+      assertPermission(role, 'create', 'comment');
+    }
+
+    if (req.method === 'POST') {
+      if (task.commentCount >= MAX_COMMENTS_PER_TASK) {
+        throw createBusinessRuleError(`Maximum ${MAX_COMMENTS_PER_TASK} comments allowed per task`, 'comment_limit');
+      }
+
+      const comment = await repository.createComment({ taskId, authorId: req.user.id, body: changes.body });
+      const [presented] = await presentComments(repository, [comment]);
+      return {
+        comment: presented,
+        commentCount: task.commentCount + 1,
+        message: 'Comment added'
+      };
+    }
+
+    const comment = await repository.findCommentById(commentId);
+    if (!comment || comment.taskId !== taskId) {
+      throw createNotFoundError('Comment', commentId);
+    }
+
+    const isAuthor = comment.authorId === req.user.id;
+    if (req.method === 'PUT') {
+      if (!isAuthor) {
+        throw createPermissionError('Only the author can edit a comment', {
+          resource: 'comment',
+          action: 'update',
+          role
+        });
+      }
+
+      const updatedComment = await repository.updateComment(commentId, changes);
+      const [presented] = await presentComments(repository, [updatedComment]);
+      return {
+        comment: presented,
+        message: 'Comment updated'
+      };
+    }
+
+    if (!isAuthor && !can(role, 'delete')) {
+      throw createPermissionError(`A workspace ${role} can only delete their own comments`, {
+        resource: 'comment',
+        action: 'delete',
+        role,
+        requiredRoles: rolesAllowedTo('delete')
+      });
+    }
+
+    const deletedComment = await repository.deleteComment(commentId);
+    return {
+      comment: deletedComment,
+      commentCount: task.commentCount - 1,
+      message: 'Comment deleted'
+    };
+  } catch (error) {
+    if (error instanceof APIError) throw error;
+    console.error('Error handling comments:', error);
+    throw new APIError('Failed to process comment request', 500, {
+      type: 'database_error',
+      originalError: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+// Attachments as clients show them: without storage details, with the uploader's current name
+async function presentAttachments(repository, attachments) {
+  const names = new Map();
+  for (const { uploaderId } of attachments) {
+    if (uploaderId && !names.has(uploaderId)) {
+      names.set(uploaderId, (await repository.findUserById(uploaderId))?.name || null);
+    }
+  }
+
+  return attachments.map(attachment => ({
+    ...toPublicAttachment(attachment),
+    uploader: attachment.uploaderId ? { id: attachment.uploaderId, name: names.get(attachment.uploaderId) } : null
+  }));
+}
+
+// The single file of an upload request, checked against the size and type limits
+async function readAttachmentUpload(req) {
+  // Leave room for the multipart headers around the file
+  const body = await readRawBody(req, MAX_ATTACHMENT_SIZE + 64 * 1024);
+  const file = parseMultipart(body, req.headers['content-type']).files.find(part => part.field === 'file');
+
+  if (!file || file.data.length === 0) {
+    throw createValidationError('Attachment validation failed', [{
+      field: 'file',
+      message: file ? 'File is empty' : 'A file is required in the "file" field'
+    }]);
+  }
+
+  if (file.data.length > MAX_ATTACHMENT_SIZE) {
+    throw new APIError(`File must be ${MAX_ATTACHMENT_SIZE / (1024 * 1024)} MB or less`, 413, {
+      type: 'payload_too_large',
+      maxBytes: MAX_ATTACHMENT_SIZE
+    });
+  }
+
+  const fileName = normalizeFileName(file.fileName);
+  const contentType = resolveContentType(file.contentType, fileName);
+  if (!contentType || !matchesContentType(contentType, file.data)) {
+    throw new APIError('Unsupported file type', 415, {
+      type: 'unsupported_media_type',
+      received: file.contentType,
+      allowedTypes: ATTACHMENT_TYPES
+    });
+  }
+
+  return { fileName, contentType, size: file.data.length, data: file.data };
+}
+
+/**
+ * Attachment endpoints. Anyone who can see the task lists and downloads its files; uploading
+ * needs the update permission. Uploaders remove their own files and those who may delete the
+ * task may remove any. A download is returned as { download } for the router to stream.
+ */
+async function handleTaskAttachments(req, taskId, attachmentId, repository) {
+  validateTaskId(taskId);
+  if (attachmentId) validateAttachmentId(attachmentId);
+
+  const allowedMethods = attachmentId ? ['GET', 'DELETE'] : ['GET', 'POST'];
+  if (!allowedMethods.includes(req.method)) {
+    throw new APIError(`Method ${req.method} not allowed for attachments`, 405, { allowedMethods });
+  }
+
+  const upload = req.method === 'POST' ? await readAttachmentUpload(req) : null;
+  const storage = getFileStorage();
+
+  try {
+    const { task, role } = await findAccessibleTask(repository, req.user, taskId);
+    if (!task || task.deletedAt) {
+      throw createTaskNotFoundError(taskId, task);
+    }
+
+    if (req.method === 'GET' && !attachmentId) {
+      const attachments = await repository.findAttachments(taskId);
+      return {
+        taskId,
+        attachments: await presentAttachments(repository, attachments),
+        limits: {
+          maxSize: MAX_ATTACHMENT_SIZE,
+          maxCount: MAX_ATTACHMENTS_PER_TASK,
+          allowedTypes: ATTACHMENT_TYPES
+        }
+      };
+    }
+
+    if (req.method === 'POST') {
+      assertPermission(role, 'update', 'attachment');
+
+      const existing = await repository.findAttachments(taskId);
+      if (existing.length >= MAX_ATTACHMENTS_PER_TASK) {
+        throw createBusinessRuleError(
+          `Maximum ${MAX_ATTACHMENTS_PER_TASK} attachments allowed per task`,
+          'attachment_limit'
+        );
+      }
+
+      const { data, ...metadata } = upload;
+      const attachment = await repository.createAttachment({ taskId, uploaderId: req.user.id, ...metadata });
+      try {
+        await storage.put(attachment.storageKey, data);
+      } catch (error) {
+        // Don't leave a record pointing at a file that was never written
+        await repository.deleteAttachment(attachment.id);
+        throw error;
+      }
+
+      const [presented] = await presentAttachments(repository, [attachment]);
+      return {
+        attachment: presented,
+        attachmentCount: existing.length + 1,
+        message: 'File attached'
+      };
+    }
+
+    const attachment = await repository.findAttachmentById(attachmentId);
+    if (!attachment || attachment.taskId !== taskId) {
+      throw createNotFoundError('Attachment', attachmentId);
+    }
+
+    if (req.method === 'GET') {
+      const data = await storage.get(attachment.storageKey);
+      if (!data) {
+        throw createNotFoundError('Attachment file', attachmentId);
+      }
+      return { download: { attachment, data } };
+    }
+
+    const isUploader = attachment.uploaderId === req.user.id;
+    if (!can(role, 'delete') && !(isUploader && can(role, 'update'))) {
+      throw createPermissionError(`A workspace ${role} can only remove files they uploaded`, {
+        resource: 'attachment',
+        action: 'delete',
+        role,
+        requiredRoles: rolesAllowedTo('delete')
+      });
+    }
+
+    await repository.deleteAttachment(attachmentId);
+    await storage.delete(attachment.storageKey);
+    return {
+      attachment: toPublicAttachment(attachment),
+      message: 'Attachment deleted'
+    };
+  } catch (error) {
+    if (error instanceof APIError) throw error;
+    console.error('Error handling attachments:', error);
+    throw new APIError('Failed to process attachment request', 500, {
+      type: 'database_error',
+      originalError: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+// Send a stored file. Only images are shown inline; the sandbox CSP keeps any file from running script.
+function sendAttachment(res, { attachment, data }) {
+  const disposition = attachment.contentType.startsWith('image/') ? 'inline' : 'attachment';
+  const asciiName = attachment.fileName.replace(/[^\x20-\x7E]/g, '_');
+
+  res.setHeader('Content-Type', attachment.contentType);
+  res.setHeader('Content-Length', data.length);
+  res.setHeader(
+    'Content-Disposition',
+    `${disposition}; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(attachment.fileName)}`
+  );
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  res.setHeader('Content-Security-Policy', "default-src 'none'; sandbox");
+  res.setHeader('Cache-Control', 'private, max-age=3600');
+  res.status(200).end(data);
+}
+
+async function handleTrashCollection(req, repository) {
+  switch (req.method) {
+    case 'GET':
+      try {
+        const pagination = validatePaginationQuery(req);
+        const scope = await resolveTaskScope(repository, req.user, validateWorkspaceQuery(req));
+        const { tasks, pagination: page } = await repository.findTrash({ ...pagination, ...scope });
+
         return {
-          ...result,
-          filters: {
-            applied: filters,
-            available: {
-              status: ['todo', 'in_progress', 'completed'],
-              priority: ['low', 'medium', 'high'],
-              sortBy: ['title', 'status', 'priority', 'createdAt', 'updatedAt', 'dueDate'],
-              sortOrder: ['asc', 'desc']
-            }
-          },
-          summary: {
-            totalTasks: result.pagination.total,
-            filteredTasks: result.tasks.length,
-            hasFilters: Object.keys(filters).some(key => 
-              filters[key] !== undefined && 
-              filters[key] !== '' && 
-              (Array.isArray(filters[key]) ? filters[key].length > 0 : true)
-            )
-          }
+          tasks: tasks.map(task => ({ ...task, expiresAt: getTrashExpiry(task) })),
+          pagination: page,
+          retentionDays: getTrashRetentionDays()
         };
       } catch (error) {
         if (error instanceof APIError) throw error;
-        console.error('Error fetching tasks:', error);
-        throw new APIError('Failed to fetch tasks', 500, {
+        console.error('Error fetching trash:', error);
+        throw new APIError('Failed to fetch trash', 500, {
           type: 'database_error',
           originalError: process.env.NODE_ENV === 'development' ? error.message : undefined
         });
       }
 
+    case 'DELETE':
+      try {
+        const scope = await resolveTaskScope(repository, req.user, validateWorkspaceQuery(req), 'delete');
+        const purged = await repository.emptyTrash({ ...scope, actor: req.user.id });
+        if (purged > 0) {
+          await removeOrphanedFiles(repository);
+        }
+        return {
+          purged,
+          message: `Permanently deleted ${purged} task${purged === 1 ? '' : 's'}`
+        };
+      } catch (error) {
+        if (error instanceof APIError) throw error;
+        console.error('Error emptying trash:', error);
+        throw new APIError('Failed to empty trash', 500);
+      }
+
+    default:
+      throw new APIError(`Method ${req.method} not allowed for trash`, 405, {
+        allowedMethods: ['GET', 'DELETE']
+      });
+  }
+}
+
+async function handleTrashedTask(req, taskId, action, repository) {
+  validateTaskId(taskId);
+
+  const expectedMethod = action === 'restore' ? 'POST' : 'DELETE';
+  if (req.method !== expectedMethod) {
+    throw new APIError(`Method ${req.method} not allowed`, 405, {
+      allowedMethods: [expectedMethod]
+    });
+  }
+
+  try {
+    const { task: trashedTask, role } = await findAccessibleTask(repository, req.user, taskId);
+    if (trashedTask) {
+      assertPermission(role, 'delete');
+    }
+    const task = !trashedTask
+      ? null
+      : action === 'restore'
+        ? await repository.restore(taskId, { actor: req.user.id })
+        : await repository.purge(taskId, { actor: req.user.id });
+
+    if (!task) {
+      throw new APIError('Task not found in trash', 404, {
+        type: 'resource_not_found',
+        resource: 'task',
+        resourceId: taskId
+      });
+    }
+
+    if (action !== 'restore') {
+      await removeOrphanedFiles(repository);
+    }
+
+    return action === 'restore'
+      ? { task, message: 'Task restored successfully' }
+      : { task, message: 'Task permanently deleted' };
+  } catch (error) {
+    if (error instanceof APIError) throw error;
+    console.error(`Error running trash ${action || 'purge'}:`, error);
+    throw new APIError(`Failed to ${action || 'purge'} task`, 500);
+  }
+}
+
+async function handleProjectsCollection(req, repository) {
+  switch (req.method) {
+    case 'GET':
+      try {
+        const projects = await repository.findProjects({ ownerId: req.user.id });
+        return {
+          projects,
+          summary: {
+            totalProjects: projects.length
+          }
+        };
+      } catch (error) {
+        console.error('Error fetching projects:', error);
+        throw new APIError('Failed to fetch projects', 500);
+      }
+
+    case 'POST':
+      try {
+        const projectData = validateProjectRequest(req, projectSchemas.create);
+        const project = await repository.createProject({ ...projectData, ownerId: req.user.id });
+        return {
+          project,
+          message: 'Project created successfully'
+        };
+      } catch (error) {
+        if (error instanceof APIError) throw error;
+        console.error('Error creating project:', error);
+        throw new APIError('Failed to create project', 500);
+      }
+
+    default:
+      throw new APIError(`Method ${req.method} not allowed`, 405, {
+        allowedMethods: ['GET', 'POST']
+      });
+  }
+}
+
+async function handleIndividualProject(req, projectId, repository) {
+  validateProjectId(projectId);
+
+  switch (req.method) {
+    case 'GET':
+      try {
+        const project = await findOwnedProject(repository, req.user, projectId);
+        if (!project) throw createNotFoundError('Project', projectId);
+        return { project };
+      } catch (error) {
+        if (error instanceof APIError) throw error;
+        console.error('Error fetching project:', error);
+        throw new APIError('Failed to fetch project', 500);
+      }
+
+    case 'PUT':
+      try {
+        const updates = validateProjectRequest(req, projectSchemas.update);
+        if (!(await findOwnedProject(repository, req.user, projectId))) {
+          throw createNotFoundError('Project', projectId);
+        }
+
+        const project = await repository.updateProject(projectId, updates);
+        if (!project) throw createNotFoundError('Project', projectId);
+        return {
+          project,
+          message: 'Project updated successfully'
+        };
+      } catch (error) {
+        if (error instanceof APIError) throw error;
+        console.error('Error updating project:', error);
+        throw new APIError('Failed to update project', 500);
+      }
+
+    case 'DELETE':
+      try {
+        const existing = await findOwnedProject(repository, req.user, projectId);
+        if (!existing) throw createNotFoundError('Project', projectId);
+
+        const project = await repository.deleteProject(projectId);
+        return {
+          project,
+          // Tasks are kept; they just stop belonging to the project
+          unassignedTasks: existing.taskCount,
+          message: 'Project deleted successfully'
+        };
+      } catch (error) {
+        if (error instanceof APIError) throw error;
+        console.error('Error deleting project:', error);
+        throw new APIError('Failed to delete project', 500);
+      }
+
+    default:
+      throw new APIError(`Method ${req.method} not allowed`, 405, {
+        allowedMethods: ['GET', 'PUT', 'DELETE']
+      });
+  }
+}
+
+// A workspace as one member sees it: their role, what it allows, and who else belongs to it
+async function presentWorkspace(repository, workspace, user) {
+  const role = getMemberRole(workspace, user.id);
+  const members = await Promise.all(workspace.members.map(async member => {
+    const account = await repository.findUserById(member.userId);
+    return { ...member, name: account?.name || null, email: account?.email || null };
+  }));
+
+  return { ...workspace, members, role, permissions: ROLE_PERMISSIONS[role] || [] };
+}
+
+async function handleWorkspacesCollection(req, repository) {
+  switch (req.method) {
+    case 'GET':
+      try {
+        const workspaces = await repository.findWorkspaces({ userId: req.user.id });
+        return {
+          workspaces: await Promise.all(workspaces.map(workspace => presentWorkspace(repository, workspace, req.user))),
+          roles: ROLE_PERMISSIONS,
+          summary: {
+            totalWorkspaces: workspaces.length
+          }
+        };
+      } catch (error) {
+        console.error('Error fetching workspaces:', error);
+        throw new APIError('Failed to fetch workspaces', 500);
+      }
+
     case 'POST':
       try {
-        const validatedData = validateCreateTask(req);
-        console.log('Creating task:', { title: validatedData.title, status: validatedData.status });
-        
-        const newTask = await repository.create(validatedData);
-        
+        const { name } = validateWorkspaceRequest(req, workspaceSchemas.create);
+        const workspace = await repository.createWorkspace({ name, ownerId: req.user.id });
+        return {
+          workspace: await presentWorkspace(repository, workspace, req.user),
+          message: 'Workspace created successfully'
+        };
+      } catch (error) {
+        if (error instanceof APIError) throw error;
+        console.error('Error creating workspace:', error);
+        throw new APIError('Failed to create workspace', 500);
+      }
+
+    default:
+      throw new APIError(`Method ${req.method} not allowed`, 405, {
+        allowedMethods: ['GET', 'POST']
+      });
+  }
+}
+
+async function handleIndividualWorkspace(req, workspaceId, repository) {
+  validateWorkspaceId(workspaceId);
+
+  switch (req.method) {
+    case 'GET':
+      try {
+        const { workspace } = await findMemberWorkspace(repository, req.user, workspaceId);
+        return { workspace: await presentWorkspace(repository, workspace, req.user) };
+      } catch (error) {
+        if (error instanceof APIError) throw error;
+        console.error('Error fetching workspace:', error);
+        throw new APIError('Failed to fetch workspace', 500);
+      }
+
+    case 'PUT':
+      try {
+        const { name } = validateWorkspaceRequest(req, workspaceSchemas.update);
+        const { role } = await findMemberWorkspace(repository, req.user, workspaceId);
+        assertPermission(role, 'manage', 'workspace');
+
+        const workspace = await repository.updateWorkspace(workspaceId, { name });
+        if (!workspace) throw createNotFoundError('Workspace', workspaceId);
+        return {
+          workspace: await presentWorkspace(repository, workspace, req.user),
+          message: 'Workspace updated successfully'
+        };
+      } catch (error) {
+        if (error instanceof APIError) throw error;
+        console.error('Error updating workspace:', error);
+        throw new APIError('Failed to update workspace', 500);
+      }
+
+    case 'DELETE':
+      try {
+        const { workspace: existing, role } = await findMemberWorkspace(repository, req.user, workspaceId);
+        assertPermission(role, 'manage', 'workspace');
+
+        const workspace = await repository.deleteWorkspace(workspaceId);
         return {
-          task: newTask,
-          message: 'Task created successfully',
-          summary: {
-            id: newTask.id,
-            title: newTask.title,
-            status: newTask.status,
-            priority: newTask.priority
-          }
+          workspace,
+          // Tasks are kept; each goes back to the personal list of the user who created it
+          returnedTasks: existing.taskCount,
+          message: 'Workspace deleted successfully'
         };
       } catch (error) {
         if (error instanceof APIError) throw error;
-        console.error('Error creating task:', error);
-        throw new APIError('Failed to create task', 500, {
-          type: 'database_error',
-          originalError: process.env.NODE_ENV === 'development' ? error.message : undefined
-        });
+        console.error('Error deleting workspace:', error);
+        throw new APIError('Failed to delete workspace', 500);
       }
 
     default:
       throw new APIError(`Method ${req.method} not allowed`, 405, {
-        allowedMethods: ['GET', 'POST']
+        allowedMethods: ['GET', 'PUT', 'DELETE']
       });
   }
 }
 
-async function handleIndividualTask(req, taskId, repository) {
-  // Basic UUID format validation
-  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
-  if (!uuidRegex.test(taskId)) {
-    throw new APIError('Invalid task ID format', 400, {
-      type: 'validation_error',
-      errors: [{ 
-        field: 'id', 
-        message: 'Task ID must be a valid UUID format',
-        value: taskId
-      }]
+// Every workspace keeps at least one owner, so someone can always manage it
+function assertKeepsAnOwner(workspace, memberId, newRole = null) {
+  const owners = workspace.members.filter(member => member.role === 'owner');
+  if (newRole !== 'owner' && owners.length === 1 && owners[0].userId === memberId) {
+    throw createBusinessRuleError(
+      'A workspace needs at least one owner: make someone else an owner first',
+      'last_owner'
+    );
+  }
+}
+
+/**
+ * Membership endpoints. Owners add members by email and change or remove them;
+ * any member can remove themselves to leave the workspace.
+ */
+async function handleWorkspaceMembers(req, workspaceId, memberId, repository) {
+  validateWorkspaceId(workspaceId);
+
+  const allowedMethods = memberId ? ['PUT', 'DELETE'] : ['POST'];
+  if (!allowedMethods.includes(req.method)) {
+    throw new APIError(`Method ${req.method} not allowed for workspace members`, 405, { allowedMethods });
+  }
+
+  try {
+    const { workspace, role } = await findMemberWorkspace(repository, req.user, workspaceId);
+    const leaving = req.method === 'DELETE' && memberId === req.user.id;
+    if (!leaving) {
+      assertPermission(role, 'manage', 'workspace');
+    }
+
+    if (!memberId) {
+      const { email, role: memberRole } = validateWorkspaceRequest(req, workspaceSchemas.addMember);
+      const account = await repository.findUserByEmail(email);
+      if (!account) {
+        throw new APIError('No account uses this email', 404, {
+          type: 'resource_not_found',
+          resource: 'user',
+          field: 'email'
+        });
+      }
+      if (getMemberRole(workspace, account.id)) {
+        throw new APIError('This user is already a member of the workspace', 409, {
+          type: 'resource_conflict',
+          resource: 'workspace_member',
+          resourceId: account.id
+        });
+      }
+
+      const updated = await repository.setWorkspaceMember(workspaceId, account.id, memberRole);
+      return {
+        workspace: await presentWorkspace(repository, updated, req.user),
+        message: `${account.name} added as ${memberRole}`
+      };
+    }
+
+    if (!getMemberRole(workspace, memberId)) {
+      throw createNotFoundError('Workspace member', memberId);
+    }
+
+    if (req.method === 'PUT') {
+      const { role: memberRole } = validateWorkspaceRequest(req, workspaceSchemas.updateMember);
+      assertKeepsAnOwner(workspace, memberId, memberRole);
+
+      const updated = await repository.setWorkspaceMember(workspaceId, memberId, memberRole);
+      return {
+        workspace: await presentWorkspace(repository, updated, req.user),
+        message: 'Member role updated'
+      };
+    }
+
+    assertKeepsAnOwner(workspace, memberId);
+    const updated = await repository.removeWorkspaceMember(workspaceId, memberId);
+    return {
+      // Someone who just left can no longer see the workspace
+      workspace: leaving ? null : await presentWorkspace(repository, updated, req.user),
+      message: leaving ? 'You left the workspace' : 'Member removed'
+    };
+  } catch (error) {
+    if (error instanceof APIError) throw error;
+    console.error('Error updating workspace members:', error);
+    throw new APIError('Failed to update workspace members', 500);
+  }
+}
+
+/**
+ * Custom field endpoints. Owners add fields to a workspace, rename them, change their options
+ * or whether they are required, and delete them; a field's type is fixed once created.
+ */
+async function handleWorkspaceFields(req, workspaceId, fieldId, repository) {
+  validateWorkspaceId(workspaceId);
+  if (fieldId) validateCustomFieldId(fieldId);
+
+  const allowedMethods = fieldId ? ['PUT', 'DELETE'] : ['POST'];
+  if (!allowedMethods.includes(req.method)) {
+    throw new APIError(`Method ${req.method} not allowed for custom fields`, 405, { allowedMethods });
+  }
+
+  try {
+    const { workspace, role } = await findMemberWorkspace(repository, req.user, workspaceId);
+    assertPermission(role, 'manage', 'workspace');
+
+    const assertUniqueName = (name) => {
+      const taken = workspace.customFields.find(field =>
+        field.id !== fieldId && field.name.toLowerCase() === name.toLowerCase());
+      if (taken) {
+        throw new APIError('The workspace already has a field with this name', 409, {
+          type: 'resource_conflict',
+          resource: 'custom_field',
+          resourceId: taken.id
+        });
+      }
+    };
+
+    if (!fieldId) {
+      const fieldData = validateCustomFieldRequest(req, customFieldSchemas.create);
+      if (workspace.customFields.length >= MAX_CUSTOM_FIELDS_PER_WORKSPACE) {
+        throw createBusinessRuleError(
+          `A workspace can have at most ${MAX_CUSTOM_FIELDS_PER_WORKSPACE} custom fields`,
+          'custom_field_limit',
+          { limit: MAX_CUSTOM_FIELDS_PER_WORKSPACE }
+        );
+      }
+      assertUniqueName(fieldData.name);
+
+      const field = await repository.createCustomField(workspaceId, fieldData);
+      return {
+        field,
+        workspace: await presentWorkspace(repository, await repository.findWorkspaceById(workspaceId), req.user),
+        message: `Field ${field.name} added`
+      };
+    }
+
+    const existing = workspace.customFields.find(field => field.id === fieldId);
+    if (!existing) {
+      throw createNotFoundError('Custom field', fieldId);
+    }
+
+    if (req.method === 'PUT') {
+      const updates = validateCustomFieldRequest(req, customFieldSchemas.update);
+      if (updates.options && !hasOptions(existing.type)) {
+        throw createValidationError('Custom field validation failed', [{
+          field: 'options',
+          message: `${existing.type} fields don't have options`,
+          value: updates.options
+        }]);
+      }
+      if (updates.name) assertUniqueName(updates.name);
+
+      const field = await repository.updateCustomField(workspaceId, fieldId, updates);
+      return {
+        field,
+        workspace: await presentWorkspace(repository, await repository.findWorkspaceById(workspaceId), req.user),
+        message: 'Field updated'
+      };
+    }
+
+    const field = await repository.deleteCustomField(workspaceId, fieldId);
+    return {
+      field,
+      workspace: await presentWorkspace(repository, await repository.findWorkspaceById(workspaceId), req.user),
+      message: `Field ${field.name} deleted`
+    };
+  } catch (error) {
+    if (error instanceof APIError) throw error;
+    console.error('Error updating custom fields:', error);
+    throw new APIError('Failed to update custom fields', 500);
+  }
+}
+
+async function handleWorkspaceWorkflow(req, workspaceId, repository) {
+  validateWorkspaceId(workspaceId);
+
+  if (req.method !== 'PUT') {
+    throw new APIError(`Method ${req.method} not allowed for workflows`, 405, { allowedMethods: ['PUT'] });
+  }
+
+  try {
+    const { workspace, role } = await findMemberWorkspace(repository, req.user, workspaceId);
+    assertPermission(role, 'manage', 'workspace');
+
+    const { statuses, transitions, moveTasks } = validateWorkflowRequest(req, workflowSchemas.update);
+    const workflow = normalizeWorkflow({ statuses, transitions });
+    const current = getWorkflow(workspace);
+    const removed = current.statuses.filter(status => !findStatus(workflow, status.id));
+
+    const errors = [];
+    if (!statuses.some(status => status.category === 'done')) {
+      errors.push({ field: 'statuses', message: 'A workflow needs at least one status in the done category', value: statuses });
+    }
+    for (const [from, targets] of Object.entries(transitions)) {
+      const unknown = [from, ...targets].filter(id => !findStatus(workflow, id));
+      if (unknown.length > 0) {
+        errors.push({ field: `transitions.${from}`, message: `Not a status of this workflow: ${unknown.join(', ')}`, value: targets });
+      }
+    }
+    for (const [from, to] of Object.entries(moveTasks)) {
+      if (!removed.some(status => status.id === from)) {
+        errors.push({ field: `moveTasks.${from}`, message: 'Only statuses being removed can have their tasks moved', value: to });
+      } else if (!findStatus(workflow, to)) {
+        errors.push({ field: `moveTasks.${from}`, message: 'Tasks can only move to a status of the new workflow', value: to });
+      }
+    }
+    if (errors.length > 0) {
+      throw createValidationError('Workflow validation failed', errors);
+    }
+
+    // Removing a status that tasks are in needs a say in where they go
+    const { byStatus } = await repository.getStats({ workspaceId });
+    const stranded = removed
+      .filter(status => byStatus[status.id] > 0 && !moveTasks[status.id])
+      .map(status => ({ id: status.id, name: status.name, taskCount: byStatus[status.id] }));
+    if (stranded.length > 0) {
+      throw createBusinessRuleError(
+        `Choose where the tasks in ${stranded.map(status => `"${status.name}"`).join(', ')} should go (moveTasks)`,
+        'status_in_use',
+        { statuses: stranded }
+      );
+    }
+
+    const updated = await repository.updateWorkflow(workspaceId, workflow, { moveTasks });
+    return {
+      workspace: await presentWorkspace(repository, updated, req.user),
+      message: 'Workflow updated'
+    };
+  } catch (error) {
+    if (error instanceof APIError) throw error;
+    console.error('Error updating workflow:', error);
+    throw new APIError('Failed to update workflow', 500);
+  }
+}
+
+async function handleRegister(req, repository) {
+  const { email, name, password } = validateUserRequest(req, userSchemas.register);
+
+  if (await repository.findUserByEmail(email)) {
+    throw new APIError('An account with this email already exists', 409, {
+      type: 'resource_conflict',
+      resource: 'user',
+      field: 'email'
     });
   }
 
+  try {
+    const isFirstUser = (await repository.countUsers()) === 0;
+    const user = await repository.createUser({ email, name, passwordHash: await hashPassword(password) });
+
+    // Tasks and projects from before accounts existed go to whoever sets the app up
+    const adopted = isFirstUser ? await repository.claimUnowned(user.id) : null;
+
+    return {
+      user: toPublicUser(user),
+      ...issueToken(user),
+      ...(adopted && { adopted }),
+      message: 'Account created successfully'
+    };
+  } catch (error) {
+    if (error instanceof APIError) throw error;
+    console.error('Error registering user:', error);
+    throw new APIError('Failed to create account', 500);
+  }
+}
+
+async function handleLogin(req, repository) {
+  const { email, password } = validateUserRequest(req, userSchemas.login);
+
+  const user = await repository.findUserByEmail(email);
+  // Hash anyway when the email is unknown so response times don't reveal which accounts exist
+  const passwordMatches = await verifyPassword(password, user?.passwordHash || DUMMY_PASSWORD_HASH);
+  if (!user || !passwordMatches) {
+    throw createAuthenticationError('Invalid email or password', 'invalid_credentials');
+  }
+
+  return {
+    user: toPublicUser(user),
+    ...issueToken(user),
+    message: 'Logged in successfully'
+  };
+}
+
+async function handleCurrentUser(req, repository) {
+  const user = await repository.findUserById(req.user.id);
+  // A valid token for an account that no longer exists (e.g. the data was reset)
+  if (!user) {
+    throw createAuthenticationError('Account no longer exists', 'unknown_user');
+  }
+  return { user: toPublicUser(user) };
+}
+
+// Only a password login may list, create or revoke keys, so a leaked key can't mint more
+async function handleApiKeys(req, keyId, repository) {
+  requireSession(req);
+
+  if (keyId) {
+    validateApiKeyId(keyId);
+    if (req.method !== 'DELETE') {
+      throw new APIError(`Method ${req.method} not allowed`, 405, {
+        allowedMethods: ['DELETE']
+      });
+    }
+
+    try {
+      const keys = await repository.findApiKeys({ userId: req.user.id });
+      if (!keys.some(apiKey => apiKey.id === keyId)) {
+        throw createNotFoundError('API key', keyId);
+      }
+
+      const apiKey = await repository.deleteApiKey(keyId);
+      return {
+        apiKey: toPublicApiKey(apiKey),
+        message: 'API key revoked'
+      };
+    } catch (error) {
+      if (error instanceof APIError) throw error;
+      console.error('Error revoking API key:', error);
+      throw new APIError('Failed to revoke API key', 500);
+    }
+  }
+
   switch (req.method) {
     case 'GET':
       try {
-        const task = await repository.findById(taskId);
-        if (!task) {
-          throw new APIError('Task not found', 404, {
-            type: 'resource_not_found',
-            resource: 'task',
-            resourceId: taskId
-          });
-        }
-        
+        const keys = await repository.findApiKeys({ userId: req.user.id });
         return {
-          task,
-          summary: {
-            id: task.id,
-            title: task.title,
-            status: task.status,
-            priority: task.priority,
-            isOverdue: task.dueDate && new Date(task.dueDate) < new Date() && task.status !== 'completed'
-          }
+          apiKeys: keys.map(toPublicApiKey),
+          scopes: API_KEY_SCOPES
         };
       } catch (error) {
-        if (error instanceof APIError) throw error;
-        console.error('Error fetching task:', error);
-        throw new APIError('Failed to fetch task', 500);
+        console.error('Error fetching API keys:', error);
+        throw new APIError('Failed to fetch API keys', 500);
       }
 
-    case 'PUT':
+    case 'POST':
       try {
-        const validatedUpdates = validateUpdateTask(req);
-        const updatedTask = await repository.update(taskId, validatedUpdates);
-        
-        if (!updatedTask) {
-          throw new APIError('Task not found', 404, {
-            type: 'resource_not_found',
-            resource: 'task',
-            resourceId: taskId
-          });
-        }
-        
-        return {
-          task: updatedTask,
-          message: 'Task updated successfully',
-          summary: {
-            id: updatedTask.id,
-            title: updatedTask.title,
-            updatedFields: Object.keys(validatedUpdates)
-          }
-        };
-      } catch (error) {
-        if (error instanceof APIError) throw error;
-        console.error('Error updating task:', error);
-        throw new APIError('Failed to update task', 500);
-      }
+        const { name, scopes } = validateApiKeyRequest(req, apiKeySchemas.create);
 
-    case 'DELETE':
-      try {
-        console.log('DELETE request for task ID:', taskId);
-        
-        // First, let's check if the task exists and log repository state
-        const allTasks = await repository.getAllRaw();
-        console.log('Current tasks in repository:', allTasks.length);
-        console.log('Task IDs in repository:', allTasks.map(t => t.id));
-        
-        const existingTask = await repository.findById(taskId);
-        if (!existingTask) {
-          console.log('Task not found in repository:', taskId);
-          
-          // Let's provide more helpful debugging info
-          throw new APIError('Task not found', 404, {
-            type: 'resource_not_found',
-            resource: 'task',
-            resourceId: taskId,
-            debug: {
-              taskId,
-              totalTasks: allTasks.length,
-              availableTaskIds: allTasks.map(t => t.id).slice(0, 10), // First 10 IDs for debugging
-              message: 'This task may have been deleted by another request or may not exist. Try refreshing the page.'
-            }
-          });
-        }
-        
-        console.log('Found task to delete:', existingTask.title);
-        
-        const deletedTask = await repository.delete(taskId);
-        
-        if (!deletedTask) {
-          throw new APIError('Failed to delete task', 500, {
-            type: 'delete_error',
-            resource: 'task',
-            resourceId: taskId,
-            debug: {
-              message: 'Repository delete operation returned null'
-            }
-          });
+        const existing = await repository.findApiKeys({ userId: req.user.id });
+        if (existing.length >= MAX_API_KEYS_PER_USER) {
+          throw createBusinessRuleError(
+            `An account can have at most ${MAX_API_KEYS_PER_USER} API keys. Revoke one you no longer use first.`,
+            'api_key_limit',
+            { limit: MAX_API_KEYS_PER_USER }
+          );
         }
-        
-        console.log('Task deleted successfully:', deletedTask.title);
-        
+
+        const { key, prefix, keyHash } = generateApiKey();
+        const apiKey = await repository.createApiKey({ userId: req.user.id, name, scopes, prefix, keyHash });
         return {
-          task: deletedTask,
-          message: 'Task deleted successfully'
+          apiKey: toPublicApiKey(apiKey),
+          // The only time the key is ever returned; only its hash is stored
+          key,
+          message: 'API key created. Copy it now - it will not be shown again.'
         };
       } catch (error) {
         if (error instanceof APIError) throw error;
-        console.error('Error deleting task:', error);
-        throw new APIError('Failed to delete task', 500);
+        console.error('Error creating API key:', error);
+        throw new APIError('Failed to create API key', 500);
       }
 
     default:
       throw new APIError(`Method ${req.method} not allowed`, 405, {
-        allowedMethods: ['GET', 'PUT', 'DELETE']
+        allowedMethods: ['GET', 'POST']
       });
   }
 }
 
-async function handleGetStats(repository) {
+async function handleGetStats(req, repository) {
+  const scope = validateStatsQuery(req);
+  const ownership = await resolveTaskScope(repository, req.user, scope.workspaceId);
+
   try {
-    console.log('Fetching task statistics...');
+    console.log('Fetching task statistics...', scope);
     
-    const stats = await repository.getStats();
+    const stats = await repository.getStats({ ...scope, ...ownership });
+    const workflow = await findWorkflow(repository, ownership.workspaceId);
     
     const enhancedStats = {
       ...stats,
+      // Names and categories for the byStatus counts, in workflow order
+      statuses: workflow.statuses.map(status => ({ ...status })),
+      // Names for the dashboard; unassigned tasks have no one to name
+      byAssignee: await Promise.all((stats.byAssignee || []).map(async entry => ({
+        ...entry,
+        name: entry.assigneeId ? (await repository.findUserById(entry.assigneeId))?.name || null : null
+      }))),
       completion: {
-        rate: stats.total > 0 ? Math.round((stats.byStatus.completed / stats.total) * 100) : 0,
-        total: stats.byStatus.completed,
-        remaining: stats.byStatus.todo + stats.byStatus.in_progress
+        rate: stats.total > 0 ? Math.round((stats.byCategory.done / stats.total) * 100) : 0,
+        total: stats.byCategory.done,
+        remaining: stats.byCategory.todo + stats.byCategory.in_progress
       },
       productivity: {
         completedToday: stats.completedToday,
         overdueItems: stats.overdue,
-        inProgressItems: stats.byStatus.in_progress
+        inProgressItems: stats.byCategory.in_progress
       }
     };
 
     return {
       statistics: enhancedStats,
+      scope,
       summary: generateSummary(enhancedStats)
     };
   } catch (error) {
@@ -592,10 +3121,10 @@ export default async function handler(req, res) {
     console.log('Original req.url:', req.url);
 
     // Validate content type for POST/PUT requests
-    validateContentType(req);
+    validateContentType(req, pathname);
 
-    // Parse request body for POST/PUT requests
-    if (req.method === 'POST' || req.method === 'PUT') {
+    // Parse request body for POST/PUT requests; uploads read their raw body in the handler
+    if ((req.method === 'POST' || req.method === 'PUT') && !isMultipart(req)) {
       req.body = parseRequestBody(req);
     }
 
@@ -603,8 +3132,25 @@ export default async function handler(req, res) {
     let statusCode = 200;
     let response;
 
+    const isHealthCheck = pathname === '/api' || pathname === '/api/' || pathname === '/api/health';
+
+    // Health stays reachable so operators can see the schema version; everything else waits for migrations
+    if (!isHealthCheck) {
+      ensureSchemaIsCurrent(repository);
+    }
+
+    // Every other endpoint needs a valid bearer token or API key; the handlers read the user from req.user
+    if (!isHealthCheck && !PUBLIC_ENDPOINTS.includes(pathname)) {
+      await authenticate(req, repository);
+      authorizeScope(req);
+    }
+
+    if (!isHealthCheck) {
+      await sweepExpiredTrash(repository);
+    }
+
     // Route handling - be more flexible with health check endpoint
-    if (pathname === '/api' || pathname === '/api/' || pathname === '/api/health') {
+    if (isHealthCheck) {
       // Health check endpoint - accept /api, /api/, or /api/health
       if (req.method !== 'GET') {
         throw new APIError(`Method ${req.method} not allowed for health check`, 405, {
@@ -613,6 +3159,34 @@ export default async function handler(req, res) {
       }
       response = await handleHealthCheck();
       
+    } else if (pathname === '/api/auth/keys' || pathname.startsWith('/api/auth/keys/')) {
+      // API keys: GET/POST /api/auth/keys and DELETE /api/auth/keys/{id}
+      const [keyId, ...rest] = pathname.split('/api/auth/keys')[1].split('/').slice(1);
+      if (rest.length > 0 || keyId === '') {
+        throw new APIError('Invalid API key endpoint', 404);
+      }
+      response = await handleApiKeys(req, keyId || null, repository);
+      if (req.method === 'POST') statusCode = 201;
+
+    } else if (pathname.startsWith('/api/auth/')) {
+      // Account endpoints: register, login and the current user
+      const routes = {
+        '/api/auth/register': ['POST', handleRegister],
+        '/api/auth/login': ['POST', handleLogin],
+        '/api/auth/me': ['GET', handleCurrentUser]
+      };
+      const route = routes[pathname];
+      if (!route) {
+        throw new APIError('Invalid auth endpoint', 404);
+      }
+      if (req.method !== route[0]) {
+        throw new APIError(`Method ${req.method} not allowed`, 405, {
+          allowedMethods: [route[0]]
+        });
+      }
+      response = await route[1](req, repository);
+      if (pathname === '/api/auth/register') statusCode = 201;
+
     } else if (pathname === '/api/tasks/stats') {
       // Stats endpoint - handle before individual task routing
       if (req.method !== 'GET') {
@@ -620,21 +3194,103 @@ export default async function handler(req, res) {
           allowedMethods: ['GET']
         });
       }
-      response = await handleGetStats(repository);
+      response = await handleGetStats(req, repository);
       
+    } else if (pathname === '/api/tasks/trash') {
+      // Trash listing and emptying - handle before individual task routing
+      response = await handleTrashCollection(req, repository);
+
+    } else if (pathname.startsWith('/api/tasks/trash/')) {
+      // Trashed task endpoints: DELETE /api/tasks/trash/{id} and POST /api/tasks/trash/{id}/restore
+      const [taskId, action, ...rest] = pathname.split('/api/tasks/trash/')[1].split('/');
+      if (!taskId || rest.length > 0 || (action && action !== 'restore')) {
+        throw new APIError('Invalid trash endpoint', 404);
+      }
+
+      response = await handleTrashedTask(req, taskId, action, repository);
+      if (action === 'restore') {
+        res.setHeader('ETag', formatETag(response.task));
+      }
+
     } else if (pathname === '/api/tasks') {
       // Task collection endpoints
       response = await handleTasksCollection(req, repository);
       if (req.method === 'POST') statusCode = 201;
       
     } else if (pathname.startsWith('/api/tasks/') && !pathname.endsWith('/stats')) {
-      // Individual task endpoints
-      const taskId = pathname.split('/api/tasks/')[1];
-      if (!taskId || taskId.includes('/')) {
+      // Individual task endpoints: /api/tasks/{id} and /api/tasks/{id}/{subresource}
+      const [taskId, subresource, subresourceId, ...rest] = pathname.split('/api/tasks/')[1].split('/');
+      if (!taskId || rest.length > 0 || (subresourceId !== undefined && !['checklist', 'comments', 'attachments'].includes(subresource))) {
+        throw new APIError('Invalid task endpoint', 404);
+      }
+
+      if (subresource === 'history') {
+        response = await handleTaskHistory(req, taskId, repository);
+      } else if (subresource === 'checklist') {
+        response = await handleTaskChecklist(req, taskId, subresourceId || null, repository);
+        res.setHeader('ETag', formatETag(response.task));
+      } else if (subresource === 'comments') {
+        response = await handleTaskComments(req, taskId, subresourceId || null, repository);
+        if (req.method === 'POST') statusCode = 201;
+      } else if (subresource === 'attachments') {
+        response = await handleTaskAttachments(req, taskId, subresourceId || null, repository);
+        if (response.download) {
+          logResponse(req, res, 200);
+          sendAttachment(res, response.download);
+          return;
+        }
+        if (req.method === 'POST') statusCode = 201;
+      } else if (subresource) {
         throw new APIError('Invalid task endpoint', 404);
+      } else {
+        response = await handleIndividualTask(req, taskId, repository);
+
+        // Clients send this back in If-Match to make their next write conditional
+        if (req.method !== 'DELETE') {
+          res.setHeader('ETag', formatETag(response.task));
+        }
       }
-      response = await handleIndividualTask(req, taskId, repository);
       
+    } else if (pathname === '/api/projects') {
+      // Project collection endpoints
+      response = await handleProjectsCollection(req, repository);
+      if (req.method === 'POST') statusCode = 201;
+
+    } else if (pathname.startsWith('/api/projects/')) {
+      // Individual project endpoints: /api/projects/{id}
+      const [projectId, ...rest] = pathname.split('/api/projects/')[1].split('/');
+      if (!projectId || rest.length > 0) {
+        throw new APIError('Invalid project endpoint', 404);
+      }
+      response = await handleIndividualProject(req, projectId, repository);
+
+    } else if (pathname === '/api/workspaces') {
+      // Workspace collection endpoints
+      response = await handleWorkspacesCollection(req, repository);
+      if (req.method === 'POST') statusCode = 201;
+
+    } else if (pathname.startsWith('/api/workspaces/')) {
+      // Individual workspace endpoints: /api/workspaces/{id}, /api/workspaces/{id}/members[/{userId}],
+      // /api/workspaces/{id}/fields[/{fieldId}] and /api/workspaces/{id}/workflow
+      const [workspaceId, subresource, subresourceId, ...rest] = pathname.split('/api/workspaces/')[1].split('/');
+      if (!workspaceId || rest.length > 0 ||
+          (subresource !== undefined && !['members', 'fields', 'workflow'].includes(subresource)) ||
+          (subresource === 'workflow' && subresourceId !== undefined)) {
+        throw new APIError('Invalid workspace endpoint', 404);
+      }
+
+      if (subresource === 'workflow') {
+        response = await handleWorkspaceWorkflow(req, workspaceId, repository);
+      } else if (subresource === 'fields') {
+        response = await handleWorkspaceFields(req, workspaceId, subresourceId || null, repository);
+        if (req.method === 'POST') statusCode = 201;
+      } else if (subresource) {
+        response = await handleWorkspaceMembers(req, workspaceId, subresourceId || null, repository);
+        if (req.method === 'POST') statusCode = 201;
+      } else {
+        response = await handleIndividualWorkspace(req, workspaceId, repository);
+      }
+
     } else {
       // Unknown endpoint
       throw new APIError(`Endpoint not found: ${pathname}`, 404, {
@@ -642,12 +3298,52 @@ export default async function handler(req, res) {
         availableEndpoints: [
           'GET /api/',
           'GET /api/health',
+          'POST /api/auth/register',
+          'POST /api/auth/login',
+          'GET /api/auth/me',
+          'GET /api/auth/keys',
+          'POST /api/auth/keys',
+          'DELETE /api/auth/keys/{id}',
           'GET /api/tasks',
           'POST /api/tasks', 
           'GET /api/tasks/{id}',
           'PUT /api/tasks/{id}',
           'DELETE /api/tasks/{id}',
-          'GET /api/tasks/stats'
+          'GET /api/tasks/{id}/history',
+          'POST /api/tasks/{id}/checklist',
+          'PUT /api/tasks/{id}/checklist',
+          'PUT /api/tasks/{id}/checklist/{itemId}',
+          'DELETE /api/tasks/{id}/checklist/{itemId}',
+          'GET /api/tasks/{id}/comments',
+          'POST /api/tasks/{id}/comments',
+          'PUT /api/tasks/{id}/comments/{commentId}',
+          'DELETE /api/tasks/{id}/comments/{commentId}',
+          'GET /api/tasks/{id}/attachments',
+          'POST /api/tasks/{id}/attachments',
+          'GET /api/tasks/{id}/attachments/{attachmentId}',
+          'DELETE /api/tasks/{id}/attachments/{attachmentId}',
+          'GET /api/tasks/stats',
+          'GET /api/tasks/trash',
+          'DELETE /api/tasks/trash',
+          'POST /api/tasks/trash/{id}/restore',
+          'DELETE /api/tasks/trash/{id}',
+          'GET /api/projects',
+          'POST /api/projects',
+          'GET /api/projects/{id}',
+          'PUT /api/projects/{id}',
+          'DELETE /api/projects/{id}',
+          'GET /api/workspaces',
+          'POST /api/workspaces',
+          'GET /api/workspaces/{id}',
+          'PUT /api/workspaces/{id}',
+          'DELETE /api/workspaces/{id}',
+          'POST /api/workspaces/{id}/members',
+          'PUT /api/workspaces/{id}/members/{userId}',
+          'DELETE /api/workspaces/{id}/members/{userId}',
+          'POST /api/workspaces/{id}/fields',
+          'PUT /api/workspaces/{id}/fields/{fieldId}',
+          'DELETE /api/workspaces/{id}/fields/{fieldId}',
+          'PUT /api/workspaces/{id}/workflow'
         ]
       });
     }
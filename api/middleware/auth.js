@@ -0,0 +1,256 @@
+// Authentication - password hashing, signed bearer tokens and API keys
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { APIError, createAuthenticationError, createScopeError } from './errorHandler.js';
+import { API_KEY_SCOPES } from '../data/apiKeys.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+const DEFAULT_TOKEN_TTL_SECONDS = 7 * 24 * 60 * 60;
+const DEVELOPMENT_SECRET = 'development-only-token-secret';
+
+// API keys look like "gnt_<43 base64url characters>"; the prefix tells them apart from session tokens
+const API_KEY_PREFIX = 'gnt_';
+const API_KEY_BYTES = 32;
+// Characters of the key kept in clear so users can tell their keys apart
+const API_KEY_DISPLAY_LENGTH = API_KEY_PREFIX.length + 8;
+// lastUsedAt is only rewritten when it is older than this, so busy scripts don't write on every call
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+// HTTP methods an API key needs the "write" scope for
+const WRITE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+let warnedAboutSecret = false;
+
+/**
+ * Hash a password for storage
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} "scrypt$<salt>$<hash>", both hex encoded
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_BYTES).toString('hex');
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+/**
+ * Check a password against a stored hash in constant time
+ * @param {string} password - Plain-text password
+ * @param {string} storedHash - Value produced by hashPassword
+ * @returns {Promise<boolean>} True when the password matches
+ */
+export async function verifyPassword(password, storedHash) {
+  const [scheme, salt, hash] = String(storedHash).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Secret used to sign tokens. Production must set AUTH_TOKEN_SECRET; elsewhere a fixed
+ * development secret keeps tokens valid across restarts.
+ * @private
+ */
+function getTokenSecret() {
+  const secret = process.env.AUTH_TOKEN_SECRET;
+  if (secret) return secret;
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new APIError('Authentication is not configured', 500, {
+      type: 'configuration_error',
+      hint: 'Set AUTH_TOKEN_SECRET'
+    });
+  }
+
+  if (!warnedAboutSecret) {
+    console.warn('AUTH_TOKEN_SECRET is not set - signing tokens with the development secret');
+    warnedAboutSecret = true;
+  }
+  return DEVELOPMENT_SECRET;
+}
+
+// How long an issued token stays valid
+function getTokenTtlSeconds() {
+  const seconds = Number(process.env.AUTH_TOKEN_TTL_SECONDS);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds : DEFAULT_TOKEN_TTL_SECONDS;
+}
+
+function base64url(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', getTokenSecret()).update(data).digest('base64url');
+}
+
+/**
+ * Issue a signed token (a JWT using HS256) for a user
+ * @param {Object} user - { id, email, name }
+ * @returns {{ token: string, expiresAt: string }} Token and its expiry
+ */
+export function issueToken(user) {
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const expiresAt = issuedAt + getTokenTtlSeconds();
+
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64url(JSON.stringify({
+    sub: user.id,
+    email: user.email,
+    name: user.name,
+    iat: issuedAt,
+    exp: expiresAt
+  }));
+
+  return {
+    token: `${header}.${payload}.${sign(`${header}.${payload}`)}`,
+    expiresAt: new Date(expiresAt * 1000).toISOString()
+  };
+}
+
+/**
+ * Verify a token's signature and expiry
+ * @param {string} token - Token from issueToken
+ * @returns {Object} The authenticated user { id, email, name }
+ * @throws {APIError} 401 when the token is malformed, tampered with or expired
+ */
+export function verifyToken(token) {
+  const [header, payload, signature, ...rest] = String(token).split('.');
+  if (!header || !payload || !signature || rest.length > 0) {
+    throw createAuthenticationError('Invalid authentication token', 'invalid_token');
+  }
+
+  const expected = Buffer.from(sign(`${header}.${payload}`));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw createAuthenticationError('Invalid authentication token', 'invalid_token');
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw createAuthenticationError('Invalid authentication token', 'invalid_token');
+  }
+
+  if (!claims.sub || typeof claims.exp !== 'number') {
+    throw createAuthenticationError('Invalid authentication token', 'invalid_token');
+  }
+  if (claims.exp * 1000 <= Date.now()) {
+    throw createAuthenticationError('Authentication token has expired', 'token_expired');
+  }
+
+  return { id: claims.sub, email: claims.email, name: claims.name };
+}
+
+/**
+ * Hash an API key for storage and lookup. Keys are long and random, so a fast hash is enough.
+ * @param {string} key - Full API key
+ * @returns {string} SHA-256 hash, hex encoded
+ */
+export function hashApiKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+/**
+ * Generate a new API key
+ * @returns {{ key: string, prefix: string, keyHash: string }} The key (shown once), its display prefix and hash
+ */
+export function generateApiKey() {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(API_KEY_BYTES).toString('base64url')}`;
+  return {
+    key,
+    prefix: key.slice(0, API_KEY_DISPLAY_LENGTH),
+    keyHash: hashApiKey(key)
+  };
+}
+
+/**
+ * Whether a bearer credential is an API key rather than a session token
+ * @param {string} credential - Value after "Bearer"
+ * @returns {boolean} True for API keys
+ */
+export function isApiKey(credential) {
+  return String(credential).startsWith(API_KEY_PREFIX);
+}
+
+/**
+ * Look up an API key and the account it belongs to, recording the use
+ * @private
+ */
+async function verifyApiKey(key, repository) {
+  const apiKey = await repository.findApiKeyByHash(hashApiKey(key));
+  if (!apiKey) {
+    throw createAuthenticationError('Invalid or revoked API key', 'invalid_api_key');
+  }
+
+  const user = await repository.findUserById(apiKey.userId);
+  if (!user) {
+    throw createAuthenticationError('Account no longer exists', 'unknown_user');
+  }
+
+  const now = Date.now();
+  if (!apiKey.lastUsedAt || now - new Date(apiKey.lastUsedAt).getTime() >= LAST_USED_RESOLUTION_MS) {
+    await repository.touchApiKey(apiKey.id, new Date(now).toISOString());
+  }
+
+  return { user: { id: user.id, email: user.email, name: user.name }, apiKey };
+}
+
+/**
+ * Require a bearer token or API key on the request. Attaches the user as req.user and how they
+ * authenticated as req.auth: { type: 'session' | 'api_key', scopes, apiKeyId? }.
+ * @param {Object} req - Request object
+ * @param {Object} repository - Repository used to look up API keys
+ * @returns {Promise<Object>} The authenticated user
+ * @throws {APIError} 401 when the header is missing or the token or key is not valid
+ */
+export async function authenticate(req, repository) {
+  const header = req.headers?.authorization || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  if (!match) {
+    throw createAuthenticationError('Authentication required', 'missing_token');
+  }
+
+  if (isApiKey(match[1])) {
+    const { user, apiKey } = await verifyApiKey(match[1], repository);
+    req.user = user;
+    req.auth = { type: 'api_key', scopes: apiKey.scopes, apiKeyId: apiKey.id };
+  } else {
+    req.user = verifyToken(match[1]);
+    req.auth = { type: 'session', scopes: [...API_KEY_SCOPES] };
+  }
+  return req.user;
+}
+
+/**
+ * Check that the request's credentials allow its method: writes need the "write" scope
+ * @param {Object} req - Authenticated request
+ * @throws {APIError} 403 insufficient_scope when an API key lacks the scope
+ */
+export function authorizeScope(req) {
+  const requiredScope = WRITE_METHODS.includes(req.method) ? 'write' : 'read';
+  const grantedScopes = req.auth?.scopes || [];
+  if (!grantedScopes.includes(requiredScope)) {
+    throw createScopeError(`This API key does not have the "${requiredScope}" scope`, {
+      requiredScope,
+      grantedScopes
+    });
+  }
+}
+
+/**
+ * Require a password login (not an API key), for account settings a leaked key must not change
+ * @param {Object} req - Authenticated request
+ * @throws {APIError} 403 insufficient_scope when the request used an API key
+ */
+export function requireSession(req) {
+  if (req.auth?.type !== 'session') {
+    throw createScopeError('API keys cannot manage API keys; log in to change them', {
+      requiredScope: 'session',
+      grantedScopes: req.auth?.scopes || []
+    });
+  }
+}
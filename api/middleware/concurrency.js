@@ -0,0 +1,35 @@
+// Optimistic concurrency helpers - task versions exposed as ETag / If-Match
+import { createValidationError } from './errorHandler.js';
+
+/**
+ * Build the entity tag for a task
+ * @param {Object} task - Task with a version
+ * @returns {string} Quoted entity tag, e.g. "3"
+ */
+export function formatETag(task) {
+  return `"${task.version}"`;
+}
+
+/**
+ * Read the version the client expects from the If-Match header
+ * @param {Object} req - Request object
+ * @returns {number|undefined} Expected version, or undefined when the write is unconditional
+ */
+export function parseIfMatch(req) {
+  const header = req.headers?.['if-match'];
+  if (header === undefined || header.trim() === '*') {
+    return undefined;
+  }
+
+  // Accept weak tags too: browsers and proxies sometimes weaken them
+  const match = header.trim().match(/^(?:W\/)?"(\d+)"$/);
+  if (!match) {
+    throw createValidationError('Invalid If-Match header', [{
+      field: 'If-Match',
+      message: 'If-Match must be a single entity tag from a previous response, e.g. "3"',
+      value: header
+    }]);
+  }
+
+  return parseInt(match[1], 10);
+}
@@ -50,6 +50,16 @@ export function createErrorResponse(error, requestId = null) {
     response.error.hint = 'Check if the resource ID is correct and the resource exists';
   } else if (error.statusCode === 400 && error.details?.type === 'validation_error') {
     response.error.hint = 'Review the validation errors and correct the input data';
+  } else if (error.statusCode === 401) {
+    response.error.hint = 'Log in again and send the token as Authorization: Bearer <token>';
+  } else if (error.statusCode === 403 && error.details?.type === 'permission_denied' && error.details.requiredRoles?.length) {
+    response.error.hint = `Ask a workspace owner for one of these roles: ${error.details.requiredRoles.join(', ')}`;
+  } else if (error.statusCode === 403 && error.details?.type === 'insufficient_scope') {
+    response.error.hint = error.details.requiredScope === 'session'
+      ? 'Log in with your email and password to do this'
+      : `Use an API key with the "${error.details.requiredScope}" scope`;
+  } else if (error.statusCode === 412 && error.details?.type === 'version_conflict') {
+    response.error.hint = 'The resource changed since you loaded it. Review details.current and retry with its ETag';
   } else if (error.statusCode === 429) {
     response.error.hint = 'Wait before making more requests or contact support for rate limit increases';
   }
@@ -68,6 +78,12 @@ export function handleAPIError(res, error, requestId = null) {
 
   // Set additional error headers
   res.setHeader('X-Error-Type', error.details?.type || 'unknown_error');
+  if (error.details?.etag) {
+    res.setHeader('ETag', error.details.etag);
+  }
+  if (error.statusCode === 401) {
+    res.setHeader('WWW-Authenticate', 'Bearer');
+  }
   if (error.statusCode === 429 && error.details?.retryAfter) {
     res.setHeader('Retry-After', error.details.retryAfter);
   }
@@ -90,8 +106,42 @@ export const createValidationError = (message, errors) =>
     summary: `${errors.length} validation error(s)`
   });
 
-export const createBusinessRuleError = (message, rule) =>
+export const createBusinessRuleError = (message, rule, details = {}) =>
   new APIError(message, 400, {
     type: 'business_rule_violation',
-    rule
-  });
\ No newline at end of file
+    rule,
+    ...details
+  });
+
+export const createVersionConflictError = (resource, current, expectedVersion, etag) =>
+  new APIError(`${resource} was modified by someone else`, 412, {
+    type: 'version_conflict',
+    resource,
+    resourceId: current.id,
+    expectedVersion,
+    currentVersion: current.version,
+    etag,
+    current
+  });
+
+export const createAuthenticationError = (message, reason) =>
+  new APIError(message, 401, {
+    type: 'authentication_error',
+    reason
+  });
+
+export const createPermissionError = (message, { resource, action, role, requiredRoles }) =>
+  new APIError(message, 403, {
+    type: 'permission_denied',
+    resource,
+    action,
+    role,
+    requiredRoles
+  });
+
+export const createScopeError = (message, { requiredScope, grantedScopes }) =>
+  new APIError(message, 403, {
+    type: 'insufficient_scope',
+    requiredScope,
+    grantedScopes
+  });
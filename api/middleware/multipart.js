@@ -0,0 +1,131 @@
+// Multipart Middleware - raw body reading and multipart/form-data parsing for file uploads
+
+import { APIError } from './errorHandler.js';
+
+const HEADER_SEPARATOR = Buffer.from('\r\n\r\n');
+
+/**
+ * Whether a request carries multipart/form-data
+ * @param {Request} req - Request object
+ * @returns {boolean} True for multipart requests
+ */
+export function isMultipart(req) {
+  return (req.headers['content-type'] || '').toLowerCase().startsWith('multipart/form-data');
+}
+
+/**
+ * Read the raw request body, refusing bodies over the limit
+ * Vercel keeps the raw stream readable for content types it doesn't parse; tests pass a Buffer.
+ * @param {Request} req - Request object
+ * @param {number} maxBytes - Largest accepted body
+ * @returns {Promise<Buffer>} Body bytes
+ */
+export async function readRawBody(req, maxBytes) {
+  const tooLarge = () => new APIError('Request body is too large', 413, {
+    type: 'payload_too_large',
+    maxBytes
+  });
+
+  if (Buffer.isBuffer(req.body)) {
+    if (req.body.length > maxBytes) throw tooLarge();
+    return req.body;
+  }
+
+  const declaredLength = Number(req.headers['content-length']);
+  if (declaredLength > maxBytes) {
+    throw tooLarge();
+  }
+
+  const chunks = [];
+  let received = 0;
+  for await (const chunk of req) {
+    received += chunk.length;
+    if (received > maxBytes) throw tooLarge();
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Parse the headers block of one part
+ * @private
+ */
+function parsePartHeaders(block) {
+  const headers = {};
+  for (const line of block.toString('utf8').split('\r\n')) {
+    const separator = line.indexOf(':');
+    if (separator > 0) {
+      headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+    }
+  }
+  return headers;
+}
+
+/**
+ * Read a parameter such as name="file" from a Content-Disposition header
+ * Browsers percent-encode quotes in file names and send backslashes as is (old ones send whole
+ * Windows paths), so the quoted value is taken literally.
+ * @private
+ */
+function dispositionParam(disposition, param) {
+  const match = disposition.match(new RegExp(`;\\s*${param}="([^"]*)"`, 'i'))
+    || disposition.match(new RegExp(`;\\s*${param}=([^;]+)`, 'i'));
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Split a multipart/form-data body into fields and files
+ * @param {Buffer} body - Raw request body
+ * @param {string} contentType - Request Content-Type, carrying the boundary
+ * @returns {Object} { fields: { name: value }, files: [{ field, fileName, contentType, data }] }
+ */
+export function parseMultipart(body, contentType) {
+  const boundaryMatch = (contentType || '').match(/boundary=(?:"([^"]+)"|([^;\s]+))/i);
+  if (!boundaryMatch) {
+    throw new APIError('Invalid multipart request', 400, {
+      type: 'multipart_error',
+      message: 'Content-Type multipart/form-data must include a boundary'
+    });
+  }
+
+  const delimiter = Buffer.from(`--${boundaryMatch[1] || boundaryMatch[2]}`);
+  const fields = {};
+  const files = [];
+
+  let start = body.indexOf(delimiter);
+  while (start !== -1) {
+    const partStart = start + delimiter.length;
+
+    // "--" right after a delimiter closes the body
+    if (body.subarray(partStart, partStart + 2).toString() === '--') {
+      return { fields, files };
+    }
+
+    const end = body.indexOf(delimiter, partStart);
+    if (end === -1) break;
+
+    // Each part is CRLF, headers, a blank line, then content up to the CRLF before the next delimiter
+    const part = body.subarray(partStart + 2, end - 2);
+    const headerEnd = part.indexOf(HEADER_SEPARATOR);
+    if (headerEnd !== -1) {
+      const headers = parsePartHeaders(part.subarray(0, headerEnd));
+      const disposition = headers['content-disposition'] || '';
+      const name = dispositionParam(disposition, 'name');
+      const fileName = dispositionParam(disposition, 'filename');
+      const content = part.subarray(headerEnd + HEADER_SEPARATOR.length);
+
+      if (name && fileName !== null) {
+        files.push({ field: name, fileName, contentType: headers['content-type'] || '', data: content });
+      } else if (name) {
+        fields[name] = content.toString('utf8');
+      }
+    }
+
+    start = end;
+  }
+
+  throw new APIError('Invalid multipart request', 400, {
+    type: 'multipart_error',
+    message: 'Multipart body is incomplete'
+  });
+}
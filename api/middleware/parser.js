@@ -70,12 +70,17 @@ export function parseQueryParams(req) {
 }
 
 /**
- * Parse and validate pagination parameters
+ * Parse and validate pagination parameters. A cursor (the nextCursor of the previous page)
+ * takes the place of the offset; it's passed on as is for the repository to decode.
  * @param {Object} query - Query parameters
- * @returns {Object} Pagination parameters
+ * @returns {Object} Pagination parameters: { limit, cursor } or { limit, offset }
  */
 export function parsePagination(query) {
   const limit = Math.min(Math.max(parseInt(query.limit) || 50, 1), 100);
+  if (typeof query.cursor === 'string' && query.cursor !== '') {
+    return { limit, cursor: query.cursor };
+  }
+
   const offset = Math.max(parseInt(query.offset) || 0, 0);
   
   return { limit, offset };
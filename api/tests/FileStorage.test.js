@@ -0,0 +1,41 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { LocalFileStorage } from '../data/stores/FileStorage.js';
+
+describe('LocalFileStorage', () => {
+  let directory;
+  let storage;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'tasks-files-'));
+    storage = new LocalFileStorage(directory);
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should store, read and delete files grouped by task', async () => {
+    await storage.put('task-1/a', Buffer.from('first'));
+    await storage.put('task-1/b', Buffer.from('second'));
+    await storage.put('task-2/c', Buffer.from('third'));
+
+    expect((await storage.get('task-1/a')).toString()).toBe('first');
+    expect((await storage.listPrefixes()).sort()).toEqual(['task-1', 'task-2']);
+
+    await storage.delete('task-1/a');
+    expect(await storage.get('task-1/a')).toBeNull();
+
+    await storage.deletePrefix('task-1');
+    expect(await storage.get('task-1/b')).toBeNull();
+    expect(await storage.listPrefixes()).toEqual(['task-2']);
+  });
+
+  it('should reject keys that could leave the storage directory', async () => {
+    await expect(storage.put('../outside', Buffer.from('x'))).rejects.toThrow('Invalid storage key');
+    await expect(storage.get('task-1/../../etc')).rejects.toThrow('Invalid storage key');
+    await expect(storage.deletePrefix('..')).rejects.toThrow('Invalid storage key');
+  });
+});
@@ -0,0 +1,107 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { TaskRepository } from '../data/TaskRepository.js';
+import { JsonFileStore } from '../data/stores/JsonFileStore.js';
+
+describe('TaskRepository with JsonFileStore', () => {
+  let directory;
+
+  const openRepository = (options = {}) =>
+    new TaskRepository({ store: new JsonFileStore(directory), ...options });
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'tasks-store-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should seed and persist the sample task on first start', async () => {
+    const repository = openRepository();
+    const reopened = openRepository();
+
+    const [sample] = await repository.getAllRaw();
+    const [restored] = await reopened.getAllRaw();
+
+    expect(restored).toEqual(sample);
+  });
+
+  it('should not re-seed after all tasks are deleted', async () => {
+    const repository = openRepository();
+    await repository.clear();
+
+    const reopened = openRepository();
+    expect(await reopened.getAllRaw()).toHaveLength(0);
+  });
+
+  it('should survive a restart with create, update and delete applied', async () => {
+    const repository = openRepository({ seed: false });
+    const kept = await repository.create({ title: 'Kept', tags: ['alpha'] });
+    const removed = await repository.create({ title: 'Removed' });
+    await repository.update(kept.id, { status: 'completed', priority: 'high', tags: ['beta'] });
+    await repository.delete(removed.id);
+
+    const reopened = openRepository();
+    const found = await reopened.findById(kept.id);
+
+    expect(found.status).toBe('completed');
+    expect((await reopened.findAll()).tasks.map(task => task.id)).toEqual([kept.id]);
+    expect((await reopened.findTrash()).tasks.map(task => task.id)).toEqual([removed.id]);
+  });
+
+  it('should keep task history across a restart', async () => {
+    const repository = openRepository({ seed: false });
+    const task = await repository.create({ title: 'Tracked' });
+    await repository.update(task.id, { status: 'completed' });
+
+    const reopened = openRepository();
+    const { entries } = await reopened.getHistory(task.id);
+
+    expect(entries.map(entry => entry.action)).toEqual(['updated', 'created']);
+  });
+
+  it('should rebuild indexes on load', async () => {
+    const repository = openRepository({ seed: false });
+    await repository.create({ title: 'Todo', status: 'todo', priority: 'low', tags: ['frontend'] });
+    await repository.create({ title: 'Done', status: 'completed', priority: 'high', tags: ['frontend', 'api'] });
+
+    const reopened = openRepository();
+
+    expect((await reopened.findAll({ status: 'completed' })).tasks).toHaveLength(1);
+    expect((await reopened.findAll({ priority: 'low' })).tasks).toHaveLength(1);
+    expect((await reopened.findAll({ tags: ['frontend'] })).tasks).toHaveLength(2);
+
+    const stats = await reopened.getStats();
+    expect(stats.total).toBe(2);
+    expect(stats.byStatus.completed).toBe(1);
+    expect(stats.tags.total).toBe(2);
+  });
+
+  it('should recover from a corrupt snapshot using the backup', async () => {
+    const repository = openRepository({ seed: false });
+    const first = await repository.create({ title: 'First' });
+    await repository.create({ title: 'Second' });
+
+    // Simulate a torn write of the latest snapshot
+    fs.writeFileSync(path.join(directory, 'tasks.json'), '{"records": [');
+
+    const reopened = openRepository();
+    const tasks = await reopened.getAllRaw();
+
+    expect(tasks.map(task => task.id)).toEqual([first.id]);
+  });
+
+  it('should discard an incomplete temp file', async () => {
+    const repository = openRepository({ seed: false });
+    const task = await repository.create({ title: 'Saved' });
+    fs.writeFileSync(path.join(directory, 'tasks.json.tmp'), 'partial');
+
+    const reopened = openRepository();
+
+    expect(await reopened.findById(task.id)).not.toBeNull();
+    expect(fs.existsSync(path.join(directory, 'tasks.json.tmp'))).toBe(false);
+  });
+});
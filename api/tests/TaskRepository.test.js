@@ -0,0 +1,1319 @@
+// ===== api/tests/TaskRepository.test.js =====
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createTaskRepository } from '../data/TaskRepository.js';
+import { VersionConflictError, DependencyCycleError } from '../data/ITaskRepository.js';
+
+// The same suite runs against every storage backend
+const backends = [
+  ['memory', () => createTaskRepository('memory')],
+  ['sqlite', () => createTaskRepository('sqlite', { dbPath: ':memory:' })]
+];
+
+describe.each(backends)('TaskRepository (%s)', (_backend, openRepository) => {
+  let repository;
+
+  beforeEach(() => {
+    repository = openRepository();
+  });
+
+  afterEach(() => {
+    repository.close?.();
+  });
+
+  describe('create', () => {
+    it('should create a new task with required fields', async () => {
+      const taskData = {
+        title: 'Test Task',
+        description: 'Test description',
+        priority: 'high'
+      };
+
+      const task = await repository.create(taskData);
+
+      expect(task.id).toBeDefined();
+      expect(task.title).toBe('Test Task');
+      expect(task.description).toBe('Test description');
+      expect(task.status).toBe('todo');
+      expect(task.priority).toBe('high');
+      expect(task.createdAt).toBeDefined();
+      expect(task.updatedAt).toBeDefined();
+    });
+
+    it('should create task with default values', async () => {
+      const task = await repository.create({ title: 'Minimal Task' });
+
+      expect(task.status).toBe('todo');
+      expect(task.priority).toBe('medium');
+      expect(task.description).toBe('');
+      expect(task.tags).toEqual([]);
+      expect(task.dueDate).toBeNull();
+    });
+
+    it('should generate unique IDs', async () => {
+      const task1 = await repository.create({ title: 'Task 1' });
+      const task2 = await repository.create({ title: 'Task 2' });
+
+      expect(task1.id).not.toBe(task2.id);
+    });
+  });
+
+  describe('findById', () => {
+    it('should find task by ID', async () => {
+      const created = await repository.create({ title: 'Test Task' });
+      const found = await repository.findById(created.id);
+
+      expect(found.id).toBe(created.id);
+      expect(found.title).toBe('Test Task');
+    });
+
+    it('should return null for non-existent ID', async () => {
+      const found = await repository.findById('non-existent-id');
+      expect(found).toBeNull();
+    });
+
+    it('should return a copy of the task (not reference)', async () => {
+      const created = await repository.create({ title: 'Test Task' });
+      const found = await repository.findById(created.id);
+
+      found.title = 'Modified Title';
+      const foundAgain = await repository.findById(created.id);
+
+      expect(foundAgain.title).toBe('Test Task');
+    });
+  });
+
+  describe('findAll', () => {
+    beforeEach(async () => {
+      // Clear the sample task and create test data
+      await repository.clear();
+      
+      await repository.create({
+        title: 'Todo Task',
+        status: 'todo',
+        priority: 'high',
+        tags: ['urgent', 'frontend']
+      });
+      
+      await repository.create({
+        title: 'In Progress Task',
+        status: 'in_progress',
+        priority: 'medium',
+        tags: ['backend']
+      });
+      
+      await repository.create({
+        title: 'Completed Task',
+        status: 'completed',
+        priority: 'low',
+        tags: ['testing', 'frontend']
+      });
+    });
+
+    it('should return all tasks without filters', async () => {
+      const result = await repository.findAll();
+
+      expect(result.tasks).toHaveLength(3);
+      expect(result.pagination.total).toBe(3);
+      expect(result.pagination.hasMore).toBe(false);
+    });
+
+    it('should filter by status', async () => {
+      const result = await repository.findAll({ status: 'todo' });
+
+      expect(result.tasks).toHaveLength(1);
+      expect(result.tasks[0].status).toBe('todo');
+    });
+
+    it('should filter by priority', async () => {
+      const result = await repository.findAll({ priority: 'high' });
+
+      expect(result.tasks).toHaveLength(1);
+      expect(result.tasks[0].priority).toBe('high');
+    });
+
+    it('should filter by tags', async () => {
+      const result = await repository.findAll({ tags: ['frontend'] });
+
+      expect(result.tasks).toHaveLength(2);
+      result.tasks.forEach(task => {
+        expect(task.tags).toContain('frontend');
+      });
+    });
+
+    it('should filter by multiple tags (AND operation)', async () => {
+      const result = await repository.findAll({ tags: ['urgent', 'frontend'] });
+
+      expect(result.tasks).toHaveLength(1);
+      expect(result.tasks[0].tags).toContain('urgent');
+      expect(result.tasks[0].tags).toContain('frontend');
+    });
+
+    it('should perform text search', async () => {
+      const result = await repository.findAll({ search: 'progress' });
+
+      expect(result.tasks).toHaveLength(1);
+      expect(result.tasks[0].title.toLowerCase()).toContain('progress');
+    });
+
+    it('should sort tasks correctly', async () => {
+      const result = await repository.findAll({ 
+        sortBy: 'priority',
+        sortOrder: 'asc' 
+      });
+
+      const priorities = result.tasks.map(task => task.priority);
+      expect(priorities).toEqual(['low', 'medium', 'high']);
+    });
+
+    it('should add new tasks at the end and sort by board position', async () => {
+      const { tasks } = await repository.findAll({ sortBy: 'position', sortOrder: 'asc' });
+      const last = tasks[tasks.length - 1];
+      const created = await repository.create({ title: 'Newest' });
+      expect(created.position).toBeGreaterThan(last.position);
+
+      // Dropped between the first two cards
+      await repository.update(created.id, { position: (tasks[0].position + tasks[1].position) / 2 });
+      const reordered = await repository.findAll({ sortBy: 'position', sortOrder: 'asc' });
+
+      expect(reordered.tasks.map(task => task.title)).toEqual([tasks[0].title, 'Newest', ...tasks.slice(1).map(task => task.title)]);
+    });
+
+    it('should filter by due date range, both ends included', async () => {
+      await repository.clear();
+      await repository.create({ title: 'Monday', dueDate: '2030-03-04T00:00:00.000Z' });
+      await repository.create({ title: 'Sunday evening', dueDate: '2030-03-10T18:00:00.000Z' });
+      await repository.create({ title: 'Next week', dueDate: '2030-03-11T09:00:00.000Z' });
+      await repository.create({ title: 'Someday' });
+
+      const titles = async (range) => (await repository.findAll({ ...range, sortBy: 'dueDate', sortOrder: 'asc' }))
+        .tasks.map(task => task.title);
+
+      expect(await titles({ dueFrom: '2030-03-04T00:00:00.000Z', dueTo: '2030-03-10T23:59:59.999Z' }))
+        .toEqual(['Monday', 'Sunday evening']);
+      expect(await titles({ dueFrom: '2030-03-10T18:00:00.000Z' })).toEqual(['Sunday evening', 'Next week']);
+      expect(await titles({ dueTo: '2030-03-04T00:00:00.000Z' })).toEqual(['Monday']);
+    });
+
+    it('should store start dates and sort by them, tasks without one last', async () => {
+      await repository.clear();
+      const late = await repository.create({ title: 'Late', startDate: '2030-03-08T00:00:00.000Z', dueDate: '2030-03-12T00:00:00.000Z' });
+      await repository.create({ title: 'Early', startDate: '2030-03-01T00:00:00.000Z' });
+      await repository.create({ title: 'Unplanned' });
+
+      const moved = await repository.update(late.id, { startDate: '2030-03-09T00:00:00.000Z' });
+      expect(moved.startDate).toBe('2030-03-09T00:00:00.000Z');
+
+      const { tasks } = await repository.findAll({ sortBy: 'startDate', sortOrder: 'asc' });
+      expect(tasks.map(task => task.title)).toEqual(['Early', 'Late', 'Unplanned']);
+      expect(tasks[2].startDate).toBeNull();
+    });
+
+    it('should handle pagination', async () => {
+      const result = await repository.findAll({ 
+        limit: 2,
+        offset: 1 
+      });
+
+      expect(result.tasks).toHaveLength(2);
+      expect(result.pagination.offset).toBe(1);
+      expect(result.pagination.limit).toBe(2);
+      expect(result.pagination.total).toBe(3);
+      expect(result.pagination.hasMore).toBe(false);
+    });
+
+    it('should page through tasks with cursors in either order, tied and missing values included', async () => {
+      await repository.clear();
+      for (const [title, dueDate] of [['A', '2030-03-01T00:00:00.000Z'], ['B', '2030-03-01T00:00:00.000Z'],
+        ['C', null], ['D', '2030-03-02T00:00:00.000Z'], ['E', null]]) {
+        await repository.create({ title, dueDate });
+      }
+
+      for (const sortOrder of ['asc', 'desc']) {
+        const filters = { sortBy: 'dueDate', sortOrder, limit: 2 };
+        const everything = (await repository.findAll({ ...filters, limit: 100 })).tasks.map(task => task.title);
+        const paged = [];
+        let cursor;
+        do {
+          const { tasks, pagination } = await repository.findAll({ ...filters, cursor });
+          paged.push(...tasks.map(task => task.title));
+          cursor = pagination.nextCursor;
+        } while (cursor);
+
+        expect(paged).toEqual(everything);
+      }
+    });
+
+    it('should neither repeat nor skip tasks when one is added between pages', async () => {
+      const filters = { sortBy: 'title', sortOrder: 'asc', limit: 2 };
+      const first = await repository.findAll(filters);
+      // Sorts before the end of the first page, so offsets would show its last task again
+      await repository.create({ title: 'Added meanwhile' });
+      const second = await repository.findAll({ ...filters, cursor: first.pagination.nextCursor });
+
+      const titles = [...first.tasks, ...second.tasks].map(task => task.title);
+      expect(new Set(titles).size).toBe(3);
+      expect(titles).not.toContain('Added meanwhile');
+      expect(second.pagination).toMatchObject({ total: 4, hasMore: false, nextCursor: null });
+    });
+
+    it('should continue after a cursor whose task has since been deleted', async () => {
+      const filters = { sortBy: 'title', sortOrder: 'asc', limit: 2 };
+      const everything = (await repository.findAll({ ...filters, limit: 100 })).tasks;
+      const first = await repository.findAll(filters);
+      await repository.delete(first.tasks[1].id);
+
+      const second = await repository.findAll({ ...filters, cursor: first.pagination.nextCursor });
+      expect(second.tasks.map(task => task.id)).toEqual(everything.slice(2, 4).map(task => task.id));
+    });
+
+    it('should combine multiple filters', async () => {
+      const result = await repository.findAll({
+        status: 'todo',
+        priority: 'high',
+        tags: ['urgent']
+      });
+
+      expect(result.tasks).toHaveLength(1);
+      const task = result.tasks[0];
+      expect(task.status).toBe('todo');
+      expect(task.priority).toBe('high');
+      expect(task.tags).toContain('urgent');
+    });
+  });
+
+  describe('update', () => {
+    it('should update existing task', async () => {
+      const created = await repository.create({ title: 'Original Title' });
+      await new Promise(resolve => setTimeout(resolve, 5)); // Ensure a later timestamp
+      const updated = await repository.update(created.id, { 
+        title: 'Updated Title',
+        status: 'completed'
+      });
+
+      expect(updated.title).toBe('Updated Title');
+      expect(updated.status).toBe('completed');
+      expect(updated.updatedAt).not.toBe(created.updatedAt);
+      expect(updated.createdAt).toBe(created.createdAt);
+      expect(updated.id).toBe(created.id);
+    });
+
+    it('should return null for non-existent task', async () => {
+      const result = await repository.update('non-existent', { title: 'New Title' });
+      expect(result).toBeNull();
+    });
+
+    it('should maintain referential integrity in indexes', async () => {
+      await repository.clear();
+      const created = await repository.create({ 
+        title: 'Test Task',
+        status: 'todo',
+        priority: 'low',
+        tags: ['old-tag']
+      });
+
+      await repository.update(created.id, {
+        status: 'completed',
+        priority: 'high',
+        tags: ['new-tag']
+      });
+
+      // Check that old indexes are cleaned up and new ones are created
+      const todoTasks = await repository.findAll({ status: 'todo' });
+      const completedTasks = await repository.findAll({ status: 'completed' });
+      const oldTagTasks = await repository.findAll({ tags: ['old-tag'] });
+      const newTagTasks = await repository.findAll({ tags: ['new-tag'] });
+
+      expect(todoTasks.tasks).toHaveLength(0);
+      expect(completedTasks.tasks).toHaveLength(1);
+      expect(oldTagTasks.tasks).toHaveLength(0);
+      expect(newTagTasks.tasks).toHaveLength(1);
+    });
+  });
+
+  describe('versioning', () => {
+    it('should start at version 1 and increment on every update', async () => {
+      const created = await repository.create({ title: 'Versioned' });
+      const first = await repository.update(created.id, { title: 'Once' });
+      const second = await repository.update(created.id, { title: 'Twice' });
+
+      expect(created.version).toBe(1);
+      expect(first.version).toBe(2);
+      expect(second.version).toBe(3);
+      expect((await repository.findById(created.id)).version).toBe(3);
+    });
+
+    it('should ignore a version passed in the updates', async () => {
+      const created = await repository.create({ title: 'Versioned' });
+      const updated = await repository.update(created.id, { title: 'Sneaky', version: 42 });
+
+      expect(updated.version).toBe(2);
+    });
+
+    it('should update when the expected version matches', async () => {
+      const created = await repository.create({ title: 'Versioned' });
+      const updated = await repository.update(created.id, { title: 'Mine' }, { expectedVersion: 1 });
+
+      expect(updated.title).toBe('Mine');
+    });
+
+    it('should reject a stale update and keep the stored copy', async () => {
+      const created = await repository.create({ title: 'Versioned' });
+      await repository.update(created.id, { title: 'Theirs' }, { expectedVersion: 1 });
+
+      const attempt = repository.update(created.id, { title: 'Mine' }, { expectedVersion: 1 });
+
+      await expect(attempt).rejects.toBeInstanceOf(VersionConflictError);
+      await expect(attempt).rejects.toMatchObject({
+        expectedVersion: 1,
+        currentTask: { title: 'Theirs', version: 2 }
+      });
+      expect((await repository.findById(created.id)).title).toBe('Theirs');
+    });
+
+    it('should reject a stale delete', async () => {
+      const created = await repository.create({ title: 'Versioned' });
+      await repository.update(created.id, { status: 'completed' });
+
+      await expect(repository.delete(created.id, { expectedVersion: 1 }))
+        .rejects.toBeInstanceOf(VersionConflictError);
+      expect(await repository.findById(created.id)).not.toBeNull();
+
+      expect(await repository.delete(created.id, { expectedVersion: 2 })).not.toBeNull();
+    });
+  });
+
+  describe('history', () => {
+    it('should record the initial values on create', async () => {
+      const created = await repository.create({ title: 'Audited', priority: 'high', tags: ['ops'] });
+      const { entries } = await repository.getHistory(created.id);
+
+      expect(entries).toHaveLength(1);
+      expect(entries[0]).toMatchObject({ taskId: created.id, action: 'created', version: 1, actor: null });
+      expect(entries[0].changes).toContainEqual({ field: 'priority', from: null, to: 'high' });
+      expect(entries[0].changes).toContainEqual({ field: 'tags', from: null, to: ['ops'] });
+    });
+
+    it('should record only the fields that changed on update', async () => {
+      const created = await repository.create({ title: 'Audited', status: 'in_progress' });
+      await repository.update(created.id, { status: 'todo', title: 'Audited' }, { actor: 'alice' });
+
+      const { entries } = await repository.getHistory(created.id);
+
+      expect(entries[0]).toMatchObject({
+        action: 'updated',
+        version: 2,
+        actor: 'alice',
+        changes: [{ field: 'status', from: 'in_progress', to: 'todo' }]
+      });
+    });
+
+    it('should normalize due dates before comparing', async () => {
+      const created = await repository.create({ title: 'Audited', dueDate: new Date('2030-01-01T00:00:00.000Z') });
+      await repository.update(created.id, { dueDate: '2030-01-01T00:00:00.000Z' });
+      await repository.update(created.id, { dueDate: new Date('2030-02-01T00:00:00.000Z') });
+
+      const { entries } = await repository.getHistory(created.id);
+
+      expect(entries.map(entry => entry.action)).toEqual(['updated', 'created']);
+      expect(entries[0].changes).toEqual([
+        { field: 'dueDate', from: '2030-01-01T00:00:00.000Z', to: '2030-02-01T00:00:00.000Z' }
+      ]);
+    });
+
+    it('should keep history after the task is deleted', async () => {
+      const created = await repository.create({ title: 'Short lived' });
+      await repository.delete(created.id);
+
+      const { entries } = await repository.getHistory(created.id);
+
+      expect(entries.map(entry => entry.action)).toEqual(['deleted', 'created']);
+      expect(entries[0].changes).toContainEqual({ field: 'title', from: 'Short lived', to: null });
+    });
+
+    it('should paginate newest first', async () => {
+      const created = await repository.create({ title: 'Busy', status: 'todo' });
+      await repository.update(created.id, { status: 'in_progress' });
+      await repository.update(created.id, { status: 'completed' });
+
+      const firstPage = await repository.getHistory(created.id, { limit: 2, offset: 0 });
+      const secondPage = await repository.getHistory(created.id, { limit: 2, offset: 2 });
+
+      expect(firstPage.entries.map(entry => entry.version)).toEqual([3, 2]);
+      expect(firstPage.pagination).toEqual({ total: 3, limit: 2, offset: 0, hasMore: true });
+      expect(secondPage.entries.map(entry => entry.version)).toEqual([1]);
+      expect(secondPage.pagination.hasMore).toBe(false);
+    });
+
+    it('should return an empty history for unknown tasks', async () => {
+      const { entries, pagination } = await repository.getHistory('non-existent');
+
+      expect(entries).toEqual([]);
+      expect(pagination.total).toBe(0);
+    });
+  });
+
+  describe('delete', () => {
+    it('should move existing task to the trash', async () => {
+      const created = await repository.create({ title: 'To Delete' });
+      const deleted = await repository.delete(created.id);
+
+      expect(deleted.id).toBe(created.id);
+      expect(deleted.deletedAt).toEqual(expect.any(String));
+      expect(deleted.version).toBe(2);
+
+      const found = await repository.findById(created.id);
+      expect(found.deletedAt).toBe(deleted.deletedAt);
+    });
+
+    it('should not delete a task that is already in the trash', async () => {
+      const created = await repository.create({ title: 'To Delete' });
+      await repository.delete(created.id);
+
+      expect(await repository.delete(created.id)).toBeNull();
+      expect(await repository.update(created.id, { title: 'Edited' })).toBeNull();
+    });
+
+    it('should return null for non-existent task', async () => {
+      const result = await repository.delete('non-existent');
+      expect(result).toBeNull();
+    });
+
+    it('should clean up indexes after deletion', async () => {
+      const created = await repository.create({
+        title: 'To Delete',
+        status: 'in_progress',
+        priority: 'high',
+        tags: ['temp-tag']
+      });
+
+      await repository.delete(created.id);
+
+      // Check that indexes are cleaned up
+      const inProgressTasks = await repository.findAll({ status: 'in_progress' });
+      const highPriorityTasks = await repository.findAll({ priority: 'high' });
+      const tempTagTasks = await repository.findAll({ tags: ['temp-tag'] });
+
+      expect(inProgressTasks.tasks).toHaveLength(0);
+      expect(highPriorityTasks.tasks).toHaveLength(0);
+      expect(tempTagTasks.tasks).toHaveLength(0);
+    });
+  });
+
+  describe('trash', () => {
+    beforeEach(async () => {
+      await repository.clear();
+    });
+
+    it('should keep trashed tasks out of findAll, stats and getAllRaw', async () => {
+      const kept = await repository.create({ title: 'Kept', tags: ['shared'] });
+      const trashed = await repository.create({ title: 'Trashed', tags: ['shared', 'gone'] });
+      await repository.delete(trashed.id);
+
+      const result = await repository.findAll();
+      const stats = await repository.getStats();
+      const raw = await repository.getAllRaw();
+
+      expect(result.tasks.map(task => task.id)).toEqual([kept.id]);
+      expect(stats.total).toBe(1);
+      expect(stats.trashed).toBe(1);
+      expect(stats.tags.total).toBe(1);
+      expect(stats.tags.popular).toEqual([{ tag: 'shared', count: 1 }]);
+      expect(raw.map(task => task.id)).toEqual([kept.id]);
+    });
+
+    it('should list trashed tasks most recently deleted first', async () => {
+      const first = await repository.create({ title: 'First' });
+      const second = await repository.create({ title: 'Second' });
+      await repository.delete(first.id);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      await repository.delete(second.id);
+
+      const trash = await repository.findTrash({ limit: 1, offset: 0 });
+
+      expect(trash.tasks.map(task => task.id)).toEqual([second.id]);
+      expect(trash.pagination).toEqual({ total: 2, limit: 1, offset: 0, hasMore: true });
+    });
+
+    it('should restore a trashed task with its fields and indexes', async () => {
+      const created = await repository.create({ title: 'Comeback', status: 'in_progress', tags: ['back'] });
+      await repository.delete(created.id);
+
+      const restored = await repository.restore(created.id);
+
+      expect(restored).toMatchObject({ title: 'Comeback', deletedAt: null, version: 3 });
+      expect((await repository.findAll({ tags: ['back'] })).tasks).toHaveLength(1);
+      expect((await repository.findTrash()).tasks).toHaveLength(0);
+      expect(await repository.restore(created.id)).toBeNull();
+    });
+
+    it('should purge only trashed tasks', async () => {
+      const created = await repository.create({ title: 'Doomed' });
+
+      expect(await repository.purge(created.id)).toBeNull();
+
+      await repository.delete(created.id);
+      const purged = await repository.purge(created.id);
+
+      expect(purged.id).toBe(created.id);
+      expect(await repository.findById(created.id)).toBeNull();
+      expect(await repository.restore(created.id)).toBeNull();
+    });
+
+    it('should record restore and purge in history', async () => {
+      const created = await repository.create({ title: 'Round trip' });
+      await repository.delete(created.id);
+      await repository.restore(created.id);
+      await repository.delete(created.id);
+      await repository.purge(created.id);
+
+      const { entries } = await repository.getHistory(created.id);
+
+      expect(entries.map(entry => entry.action)).toEqual(['purged', 'deleted', 'restored', 'deleted', 'created']);
+    });
+
+    it('should purge tasks trashed before the cutoff', async () => {
+      const old = await repository.create({ title: 'Old' });
+      await repository.delete(old.id);
+      const cutoff = new Date(Date.now() + 1000).toISOString();
+
+      const active = await repository.create({ title: 'Active' });
+
+      expect(await repository.purgeExpired(new Date(0).toISOString())).toBe(0);
+      expect(await repository.purgeExpired(cutoff)).toBe(1);
+      expect(await repository.findById(old.id)).toBeNull();
+      expect(await repository.findById(active.id)).not.toBeNull();
+    });
+
+    it('should empty the trash', async () => {
+      const first = await repository.create({ title: 'First' });
+      const second = await repository.create({ title: 'Second' });
+      await repository.delete(first.id);
+      await repository.delete(second.id);
+
+      expect(await repository.emptyTrash()).toBe(2);
+      expect((await repository.findTrash()).pagination.total).toBe(0);
+      expect((await repository.getStats()).trashed).toBe(0);
+    });
+  });
+
+  describe('checklist', () => {
+    it('should create tasks with an empty checklist by default', async () => {
+      const created = await repository.create({ title: 'Plain' });
+
+      expect(created.checklist).toEqual([]);
+      expect(created.requireChecklist).toBe(false);
+    });
+
+    it('should store checklist items in order with generated ids', async () => {
+      const created = await repository.create({
+        title: 'Steps',
+        checklist: [{ text: 'First' }, { text: 'Second', done: true }],
+        requireChecklist: true
+      });
+      const found = await repository.findById(created.id);
+
+      expect(found.checklist).toEqual([
+        { id: expect.any(String), text: 'First', done: false },
+        { id: expect.any(String), text: 'Second', done: true }
+      ]);
+      expect(found.requireChecklist).toBe(true);
+    });
+
+    it('should replace the checklist on update and keep other fields', async () => {
+      const created = await repository.create({
+        title: 'Steps',
+        tags: ['kept'],
+        checklist: [{ text: 'First' }, { text: 'Second' }]
+      });
+      const [first, second] = created.checklist;
+
+      const updated = await repository.update(created.id, {
+        checklist: [{ ...second, done: true }, first]
+      });
+
+      expect(updated.checklist.map(item => [item.id, item.done])).toEqual([[second.id, true], [first.id, false]]);
+      expect(updated.tags).toEqual(['kept']);
+      expect((await repository.findById(created.id)).checklist).toEqual(updated.checklist);
+    });
+
+    it('should record checklist changes in history', async () => {
+      const created = await repository.create({ title: 'Steps', checklist: [{ text: 'First' }] });
+      const [item] = created.checklist;
+
+      await repository.update(created.id, { checklist: [{ ...item, done: true }] });
+      const { entries } = await repository.getHistory(created.id, { limit: 1 });
+
+      expect(entries[0].changes).toEqual([{
+        field: 'checklist',
+        from: [{ id: item.id, text: 'First', done: false }],
+        to: [{ id: item.id, text: 'First', done: true }]
+      }]);
+    });
+  });
+
+  describe('dependencies', () => {
+    it('should list open blockers alongside the stored links', async () => {
+      const blocker = await repository.create({ title: 'Blocker' });
+      const blocked = await repository.create({ title: 'Blocked', blockedBy: [blocker.id] });
+
+      expect(blocked.blockedBy).toEqual([blocker.id]);
+      expect(blocked.blockers).toEqual([{ id: blocker.id, title: 'Blocker', status: 'todo' }]);
+
+      await repository.update(blocker.id, { status: 'completed' });
+      const found = await repository.findById(blocked.id);
+
+      expect(found.blockedBy).toEqual([blocker.id]);
+      expect(found.blockers).toEqual([]);
+    });
+
+    it('should filter by blocked state', async () => {
+      await repository.clear();
+      const blocker = await repository.create({ title: 'Blocker' });
+      await repository.create({ title: 'Blocked', blockedBy: [blocker.id] });
+
+      const blocked = await repository.findAll({ blocked: true });
+      const unblocked = await repository.findAll({ blocked: false });
+
+      expect(blocked.tasks.map(task => task.title)).toEqual(['Blocked']);
+      expect(unblocked.tasks.map(task => task.title)).toEqual(['Blocker']);
+    });
+
+    it('should reject links that would create a cycle', async () => {
+      const first = await repository.create({ title: 'First' });
+      const second = await repository.create({ title: 'Second', blockedBy: [first.id] });
+      const third = await repository.create({ title: 'Third', blockedBy: [second.id] });
+
+      const error = await repository.update(first.id, { blockedBy: [third.id] }).catch(err => err);
+
+      expect(error).toBeInstanceOf(DependencyCycleError);
+      expect(error.cycle).toEqual([first.id, third.id, second.id, first.id]);
+      expect((await repository.findById(first.id)).blockedBy).toEqual([]);
+    });
+
+    it('should drop links to a purged task', async () => {
+      const blocker = await repository.create({ title: 'Blocker' });
+      const blocked = await repository.create({ title: 'Blocked', blockedBy: [blocker.id] });
+
+      await repository.delete(blocker.id);
+      expect((await repository.findById(blocked.id)).blockers).toEqual([]);
+
+      await repository.purge(blocker.id);
+      expect((await repository.findById(blocked.id)).blockedBy).toEqual([]);
+    });
+  });
+
+  describe('recurrence', () => {
+    it('should create the next occurrence when a recurring task is completed', async () => {
+      const task = await repository.create({
+        title: 'Water plants',
+        dueDate: '2024-03-04T09:00:00.000Z',
+        tags: ['home'],
+        checklist: [{ text: 'Balcony', done: true }],
+        recurrence: { frequency: 'weekly', interval: 1, weekdays: [1, 4] }
+      });
+
+      const completed = await repository.update(task.id, { status: 'completed' });
+      const next = await repository.findById(completed.nextOccurrenceId);
+
+      expect(next).toMatchObject({
+        title: 'Water plants',
+        status: 'todo',
+        dueDate: '2024-03-07T09:00:00.000Z',
+        tags: ['home'],
+        nextOccurrenceId: null,
+        recurrence: { frequency: 'weekly', interval: 1, weekdays: [1, 4], until: null, count: null }
+      });
+      expect(next.checklist).toEqual([expect.objectContaining({ text: 'Balcony', done: false })]);
+    });
+
+    it('should keep the time between start and due date for the next occurrence', async () => {
+      const task = await repository.create({
+        title: 'Monthly report',
+        startDate: '2024-01-29T09:00:00.000Z',
+        dueDate: '2024-01-31T17:00:00.000Z',
+        recurrence: { frequency: 'monthly' }
+      });
+
+      const completed = await repository.update(task.id, { status: 'completed' });
+      const next = await repository.findById(completed.nextOccurrenceId);
+
+      expect(next.dueDate).toBe('2024-02-29T17:00:00.000Z');
+      expect(next.startDate).toBe('2024-02-27T09:00:00.000Z');
+    });
+
+    it('should spawn only once when a completed occurrence is reopened and completed again', async () => {
+      const task = await repository.create({ title: 'Daily', recurrence: { frequency: 'daily' } });
+
+      const first = await repository.update(task.id, { status: 'completed' });
+      await repository.update(task.id, { status: 'todo' });
+      const second = await repository.update(task.id, { status: 'completed' });
+
+      expect(second.nextOccurrenceId).toBe(first.nextOccurrenceId);
+      const { tasks } = await repository.findAll({ search: 'Daily' });
+      expect(tasks).toHaveLength(2);
+    });
+
+    it('should end the series after the last counted occurrence', async () => {
+      const task = await repository.create({
+        title: 'Twice',
+        dueDate: '2024-01-31T12:00:00.000Z',
+        recurrence: { frequency: 'monthly', count: 2 }
+      });
+
+      const first = await repository.update(task.id, { status: 'completed' });
+      const next = await repository.findById(first.nextOccurrenceId);
+      expect(next.dueDate).toBe('2024-02-29T12:00:00.000Z');
+      expect(next.recurrence.count).toBe(1);
+
+      const last = await repository.update(next.id, { status: 'completed' });
+      expect(last.nextOccurrenceId).toBeNull();
+    });
+
+    it('should stop once the next due date passes the end date', async () => {
+      const task = await repository.create({
+        title: 'Until',
+        dueDate: '2024-05-01T00:00:00.000Z',
+        recurrence: { frequency: 'daily', interval: 2, until: '2024-05-02T00:00:00.000Z' }
+      });
+
+      const completed = await repository.update(task.id, { status: 'completed' });
+      expect(completed.nextOccurrenceId).toBeNull();
+    });
+  });
+
+  describe('projects', () => {
+    it('should create, list and rename projects with their task counts', async () => {
+      const website = await repository.createProject({ name: 'Website' });
+      const app = await repository.createProject({ name: 'app', color: '#3366ff' });
+      await repository.create({ title: 'Landing page', projectId: website.id });
+
+      expect(website).toMatchObject({ name: 'Website', description: '', color: '#77bc1f', taskCount: 0 });
+      expect((await repository.findProjects()).map(project => [project.name, project.taskCount]))
+        .toEqual([['app', 0], ['Website', 1]]);
+
+      const renamed = await repository.updateProject(app.id, { name: 'Mobile app' });
+      expect(renamed).toMatchObject({ id: app.id, name: 'Mobile app', color: '#3366ff' });
+      expect(await repository.updateProject('missing', { name: 'x' })).toBeNull();
+    });
+
+    it('should scope findAll and getStats to a project', async () => {
+      const project = await repository.createProject({ name: 'Website' });
+      await repository.create({ title: 'In project', status: 'completed', tags: ['web'], projectId: project.id });
+      await repository.create({ title: 'Loose', tags: ['misc'] });
+
+      const inProject = await repository.findAll({ projectId: project.id });
+      const withoutProject = await repository.findAll({ projectId: null });
+      expect(inProject.tasks.map(task => task.title)).toEqual(['In project']);
+      expect(withoutProject.tasks.map(task => task.title)).not.toContain('In project');
+
+      const stats = await repository.getStats({ projectId: project.id });
+      expect(stats.total).toBe(1);
+      expect(stats.byStatus).toEqual({ todo: 0, in_progress: 0, completed: 1 });
+      expect(stats.tags).toEqual({ total: 1, popular: [{ tag: 'web', count: 1 }] });
+      expect((await repository.getStats()).total).toBe(stats.total + withoutProject.pagination.total);
+    });
+
+    it('should keep tasks but clear their project when the project is deleted', async () => {
+      const project = await repository.createProject({ name: 'Website' });
+      const active = await repository.create({ title: 'Active', projectId: project.id });
+      const trashed = await repository.create({ title: 'Trashed', projectId: project.id });
+      await repository.delete(trashed.id);
+
+      const deleted = await repository.deleteProject(project.id);
+
+      expect(deleted.id).toBe(project.id);
+      expect(await repository.findProjectById(project.id)).toBeNull();
+      expect((await repository.findById(active.id)).projectId).toBeNull();
+      expect((await repository.findById(trashed.id)).projectId).toBeNull();
+      expect((await repository.findAll({ projectId: project.id })).tasks).toEqual([]);
+    });
+
+    it('should file the next occurrence of a recurring task under the same project', async () => {
+      const project = await repository.createProject({ name: 'Chores' });
+      const task = await repository.create({
+        title: 'Laundry',
+        projectId: project.id,
+        recurrence: { frequency: 'weekly' }
+      });
+
+      const completed = await repository.update(task.id, { status: 'completed' });
+
+      expect((await repository.findById(completed.nextOccurrenceId)).projectId).toBe(project.id);
+    });
+  });
+
+  describe('users', () => {
+    const passwordHash = 'scrypt$salt$hash';
+
+    it('should create users and find them by id or email in any case', async () => {
+      const user = await repository.createUser({ email: ' Ada@Example.com ', name: 'Ada', passwordHash });
+
+      expect(user).toMatchObject({ email: 'ada@example.com', name: 'Ada', passwordHash });
+      expect((await repository.findUserByEmail('ADA@example.com')).id).toBe(user.id);
+      expect((await repository.findUserById(user.id)).email).toBe('ada@example.com');
+      expect(await repository.findUserByEmail('nobody@example.com')).toBeNull();
+      expect(await repository.countUsers()).toBe(1);
+    });
+
+    it('should scope tasks, projects, trash, history and stats to their owner', async () => {
+      const ada = await repository.createUser({ email: 'ada@example.com', name: 'Ada', passwordHash });
+      const bob = await repository.createUser({ email: 'bob@example.com', name: 'Bob', passwordHash });
+      const adaTask = await repository.create({ title: 'Ada task', ownerId: ada.id });
+      const bobTask = await repository.create({ title: 'Bob task', ownerId: bob.id });
+      await repository.createProject({ name: 'Ada project', ownerId: ada.id });
+      await repository.delete(bobTask.id);
+
+      expect((await repository.findAll({ ownerId: ada.id })).tasks.map(task => task.title)).toEqual(['Ada task']);
+      expect((await repository.findProjects({ ownerId: bob.id }))).toEqual([]);
+      expect((await repository.findTrash({ ownerId: ada.id })).tasks).toEqual([]);
+      expect((await repository.getHistory(adaTask.id, { ownerId: bob.id })).entries).toEqual([]);
+      expect((await repository.getStats({ ownerId: bob.id }))).toMatchObject({ total: 0, trashed: 1 });
+
+      expect(await repository.emptyTrash({ ownerId: ada.id })).toBe(0);
+      expect(await repository.emptyTrash({ ownerId: bob.id })).toBe(1);
+    });
+
+    it('should hand unowned tasks, projects and history to a user', async () => {
+      const legacy = await repository.create({ title: 'Legacy' });
+      const project = await repository.createProject({ name: 'Legacy project' });
+      const user = await repository.createUser({ email: 'ada@example.com', name: 'Ada', passwordHash });
+
+      const claimed = await repository.claimUnowned(user.id);
+
+      expect(claimed.projects).toBe(1);
+      expect(claimed.tasks).toBeGreaterThanOrEqual(1);
+      expect(await repository.findById(legacy.id)).toMatchObject({ ownerId: user.id, version: legacy.version });
+      expect((await repository.findProjectById(project.id)).ownerId).toBe(user.id);
+      expect((await repository.getHistory(legacy.id, { ownerId: user.id })).pagination.total).toBe(1);
+      expect((await repository.findAll({ ownerId: null })).tasks).toEqual([]);
+    });
+  });
+
+  describe('workspaces', () => {
+    const passwordHash = 'scrypt$salt$hash';
+    let ada;
+    let bob;
+
+    beforeEach(async () => {
+      ada = await repository.createUser({ email: 'ada@example.com', name: 'Ada', passwordHash });
+      bob = await repository.createUser({ email: 'bob@example.com', name: 'Bob', passwordHash });
+    });
+
+    it('should create a workspace owned by its creator and list it for members only', async () => {
+      const workspace = await repository.createWorkspace({ name: 'Team', ownerId: ada.id });
+
+      expect(workspace).toMatchObject({ name: 'Team', taskCount: 0, members: [{ userId: ada.id, role: 'owner' }] });
+      expect((await repository.findWorkspaces({ userId: ada.id })).map(found => found.id)).toEqual([workspace.id]);
+      expect(await repository.findWorkspaces({ userId: bob.id })).toEqual([]);
+      expect((await repository.updateWorkspace(workspace.id, { name: 'Renamed' })).name).toBe('Renamed');
+    });
+
+    it('should add, re-role and remove members', async () => {
+      const workspace = await repository.createWorkspace({ name: 'Team', ownerId: ada.id });
+
+      await repository.setWorkspaceMember(workspace.id, bob.id, 'viewer');
+      const promoted = await repository.setWorkspaceMember(workspace.id, bob.id, 'editor');
+      expect(promoted.members).toHaveLength(2);
+      expect(promoted.members.find(member => member.userId === bob.id).role).toBe('editor');
+      expect((await repository.findWorkspaces({ userId: bob.id }))).toHaveLength(1);
+
+      const removed = await repository.removeWorkspaceMember(workspace.id, bob.id);
+      expect(removed.members.map(member => member.userId)).toEqual([ada.id]);
+      expect(await repository.setWorkspaceMember('00000000-0000-4000-8000-000000000000', bob.id, 'viewer')).toBeNull();
+    });
+
+    it('should scope tasks, trash and stats to a workspace', async () => {
+      const workspace = await repository.createWorkspace({ name: 'Team', ownerId: ada.id });
+      await repository.create({ title: 'Personal', ownerId: ada.id });
+      const shared = await repository.create({ title: 'Shared', ownerId: bob.id, workspaceId: workspace.id });
+      const trashed = await repository.create({ title: 'Old', ownerId: bob.id, workspaceId: workspace.id });
+      await repository.delete(trashed.id);
+
+      expect(shared.workspaceId).toBe(workspace.id);
+      expect((await repository.findAll({ workspaceId: workspace.id })).tasks.map(task => task.title)).toEqual(['Shared']);
+      expect((await repository.findAll({ ownerId: ada.id, workspaceId: null })).tasks.map(task => task.title)).toEqual(['Personal']);
+      expect((await repository.findTrash({ workspaceId: workspace.id })).tasks.map(task => task.id)).toEqual([trashed.id]);
+      expect(await repository.getStats({ workspaceId: workspace.id })).toMatchObject({ total: 1, trashed: 1 });
+      expect((await repository.findWorkspaceById(workspace.id)).taskCount).toBe(1);
+    });
+
+    it('should hand tasks back to their creators when a workspace is deleted', async () => {
+      const workspace = await repository.createWorkspace({ name: 'Team', ownerId: ada.id });
+      const shared = await repository.create({ title: 'Shared', ownerId: bob.id, workspaceId: workspace.id });
+
+      const deleted = await repository.deleteWorkspace(workspace.id);
+
+      expect(deleted.id).toBe(workspace.id);
+      expect(await repository.findWorkspaceById(workspace.id)).toBeNull();
+      expect(await repository.findById(shared.id)).toMatchObject({ workspaceId: null, ownerId: bob.id, version: shared.version });
+      expect(await repository.deleteWorkspace(workspace.id)).toBeNull();
+    });
+
+    it('should filter and count tasks by assignee', async () => {
+      const workspace = await repository.createWorkspace({ name: 'Team', ownerId: ada.id });
+      await repository.setWorkspaceMember(workspace.id, bob.id, 'editor');
+      const scope = { workspaceId: workspace.id };
+      await repository.create({ title: 'Bob 1', ownerId: ada.id, assigneeId: bob.id, ...scope });
+      await repository.create({ title: 'Bob 2', ownerId: ada.id, assigneeId: bob.id, status: 'completed', ...scope });
+      await repository.create({ title: 'Ada', ownerId: ada.id, assigneeId: ada.id, ...scope });
+      await repository.create({ title: 'Nobody', ownerId: ada.id, ...scope });
+
+      expect((await repository.findAll({ ...scope, assigneeId: bob.id, sortBy: 'title', sortOrder: 'asc' })).tasks.map(task => task.title))
+        .toEqual(['Bob 1', 'Bob 2']);
+      expect((await repository.findAll({ ...scope, assigneeId: null })).tasks.map(task => task.title)).toEqual(['Nobody']);
+      expect((await repository.getStats(scope)).byAssignee).toEqual([
+        { assigneeId: bob.id, total: 2, completed: 1 },
+        { assigneeId: ada.id, total: 1, completed: 0 },
+        { assigneeId: null, total: 1, completed: 0 }
+      ]);
+    });
+
+    it('should unassign a member\'s tasks when they leave', async () => {
+      const workspace = await repository.createWorkspace({ name: 'Team', ownerId: ada.id });
+      await repository.setWorkspaceMember(workspace.id, bob.id, 'editor');
+      const task = await repository.create({ title: 'Shared', ownerId: ada.id, assigneeId: bob.id, workspaceId: workspace.id });
+
+      await repository.removeWorkspaceMember(workspace.id, bob.id);
+
+      expect(await repository.findById(task.id)).toMatchObject({ assigneeId: null, version: task.version });
+      expect((await repository.findAll({ assigneeId: bob.id })).tasks).toEqual([]);
+    });
+  });
+
+  describe('API keys', () => {
+    let ada;
+
+    beforeEach(async () => {
+      ada = await repository.createUser({ email: 'ada@example.com', name: 'Ada', passwordHash: 'scrypt$salt$hash' });
+    });
+
+    it('should store keys by hash, list them per user and record their last use', async () => {
+      const created = await repository.createApiKey({
+        userId: ada.id, name: 'CI', scopes: ['write', 'read'], prefix: 'gnt_abcdefgh', keyHash: 'hash-1'
+      });
+
+      expect(created).toMatchObject({ name: 'CI', scopes: ['read', 'write'], lastUsedAt: null });
+      expect((await repository.findApiKeyByHash('hash-1')).id).toBe(created.id);
+      expect(await repository.findApiKeyByHash('hash-2')).toBeNull();
+
+      await repository.touchApiKey(created.id, '2024-05-01T12:00:00.000Z');
+      const [listed] = await repository.findApiKeys({ userId: ada.id });
+      expect(listed.lastUsedAt).toBe('2024-05-01T12:00:00.000Z');
+      expect(await repository.findApiKeys({ userId: '00000000-0000-4000-8000-000000000000' })).toEqual([]);
+    });
+
+    it('should revoke a key so it can no longer be found', async () => {
+      const created = await repository.createApiKey({
+        userId: ada.id, name: 'CI', scopes: ['read'], prefix: 'gnt_abcdefgh', keyHash: 'hash-1'
+      });
+
+      expect((await repository.deleteApiKey(created.id)).name).toBe('CI');
+      expect(await repository.findApiKeyByHash('hash-1')).toBeNull();
+      expect(await repository.deleteApiKey(created.id)).toBeNull();
+    });
+  });
+
+  describe('comments', () => {
+    let ada;
+
+    beforeEach(async () => {
+      ada = await repository.createUser({ email: 'ada@example.com', name: 'Ada', passwordHash: 'scrypt$salt$hash' });
+    });
+
+    it('should list comments oldest first, count them on the task and track edits', async () => {
+      const task = await repository.create({ title: 'Discussed', ownerId: ada.id });
+      const first = await repository.createComment({ taskId: task.id, authorId: ada.id, body: 'First' });
+      await repository.createComment({ taskId: task.id, authorId: ada.id, body: 'Second' });
+
+      const { comments, pagination } = await repository.findComments(task.id, { limit: 1, offset: 0 });
+      expect(comments.map(comment => comment.body)).toEqual(['First']);
+      expect(pagination).toEqual({ total: 2, limit: 1, offset: 0, hasMore: true });
+      expect((await repository.findById(task.id)).commentCount).toBe(2);
+
+      const edited = await repository.updateComment(first.id, { body: 'First, edited' });
+      expect(edited).toMatchObject({ body: 'First, edited', createdAt: first.createdAt });
+      expect(edited.editedAt).not.toBeNull();
+      // Comments don't touch the task itself
+      expect((await repository.findById(task.id)).version).toBe(1);
+
+      expect((await repository.deleteComment(first.id)).id).toBe(first.id);
+      expect(await repository.deleteComment(first.id)).toBeNull();
+      expect((await repository.findById(task.id)).commentCount).toBe(1);
+    });
+
+    it('should drop a task\'s comments when it is purged', async () => {
+      const task = await repository.create({ title: 'Short-lived', ownerId: ada.id });
+      const comment = await repository.createComment({ taskId: task.id, authorId: ada.id, body: 'Bye' });
+
+      await repository.delete(task.id);
+      expect((await repository.findComments(task.id)).pagination.total).toBe(1);
+
+      await repository.purge(task.id);
+      expect(await repository.findCommentById(comment.id)).toBeNull();
+      expect((await repository.findComments(task.id)).comments).toEqual([]);
+    });
+  });
+
+  describe('attachments', () => {
+    it('should record attachments per task and drop them when the task is purged', async () => {
+      const ada = await repository.createUser({ email: 'ada@example.com', name: 'Ada', passwordHash: 'scrypt$salt$hash' });
+      const task = await repository.create({ title: 'With files', ownerId: ada.id });
+      const spec = await repository.createAttachment({
+        taskId: task.id, uploaderId: ada.id, fileName: 'spec.pdf', contentType: 'application/pdf', size: 1200
+      });
+      await repository.createAttachment({
+        taskId: task.id, uploaderId: ada.id, fileName: 'shot.png', contentType: 'image/png', size: 300
+      });
+
+      expect(spec.storageKey).toBe(`${task.id}/${spec.id}`);
+      expect((await repository.findAttachments(task.id)).map(a => a.fileName)).toEqual(['spec.pdf', 'shot.png']);
+      expect(await repository.findAttachmentById(spec.id)).toEqual(spec);
+
+      expect((await repository.deleteAttachment(spec.id)).id).toBe(spec.id);
+      expect(await repository.deleteAttachment(spec.id)).toBeNull();
+
+      await repository.delete(task.id);
+      await repository.purge(task.id);
+      expect(await repository.findAttachments(task.id)).toEqual([]);
+    });
+  });
+
+  describe('custom fields', () => {
+    let workspace;
+    let points;
+    let labels;
+
+    beforeEach(async () => {
+      const ada = await repository.createUser({ email: 'ada@example.com', name: 'Ada', passwordHash: 'scrypt$salt$hash' });
+      workspace = await repository.createWorkspace({ name: 'Team', ownerId: ada.id });
+      points = await repository.createCustomField(workspace.id, { name: 'Points', type: 'number' });
+      labels = await repository.createCustomField(workspace.id, { name: 'Labels', type: 'multiselect', options: ['ui', 'api', 'db'] });
+    });
+
+    const titles = async filters =>
+      (await repository.findAll({ workspaceId: workspace.id, ...filters })).tasks.map(task => task.title);
+
+    it('should keep field definitions on the workspace', async () => {
+      expect(points).toMatchObject({ workspaceId: workspace.id, name: 'Points', type: 'number', options: [], required: false });
+      expect((await repository.findWorkspaceById(workspace.id)).customFields.map(field => field.name)).toEqual(['Points', 'Labels']);
+      expect(await repository.createCustomField('00000000-0000-4000-8000-000000000000', { name: 'X', type: 'text' })).toBeNull();
+    });
+
+    it('should filter and sort tasks by field values', async () => {
+      const scope = { workspaceId: workspace.id };
+      await repository.create({ title: 'Small', customFields: { [points.id]: 2, [labels.id]: ['ui'] }, ...scope });
+      await repository.create({ title: 'Large', customFields: { [points.id]: 13, [labels.id]: ['api', 'db'] }, ...scope });
+      await repository.create({ title: 'Unsized', customFields: { [points.id]: null }, ...scope });
+
+      expect(await titles({ customFields: [{ fieldId: points.id, match: 'range', min: 3 }] })).toEqual(['Large']);
+      expect(await titles({ customFields: [{ fieldId: labels.id, match: 'includes', value: 'ui' }] })).toEqual(['Small']);
+      expect(await titles({ customFields: [{ fieldId: points.id, match: 'empty' }] })).toEqual(['Unsized']);
+      expect(await titles({ sortBy: `cf.${points.id}`, sortOrder: 'asc' })).toEqual(['Small', 'Large', 'Unsized']);
+    });
+
+    it('should drop values when options are removed or the field is deleted', async () => {
+      const task = await repository.create({
+        title: 'Tagged',
+        workspaceId: workspace.id,
+        customFields: { [points.id]: 5, [labels.id]: ['ui', 'db'] }
+      });
+
+      const updated = await repository.updateCustomField(workspace.id, labels.id, { name: 'Areas', options: ['ui', 'api'] });
+      expect(updated).toMatchObject({ name: 'Areas', type: 'multiselect', options: ['ui', 'api'] });
+      expect((await repository.findById(task.id)).customFields).toEqual({ [points.id]: 5, [labels.id]: ['ui'] });
+
+      expect((await repository.deleteCustomField(workspace.id, points.id)).id).toBe(points.id);
+      expect(await repository.findById(task.id)).toMatchObject({ customFields: { [labels.id]: ['ui'] }, version: task.version });
+      expect(await repository.deleteCustomField(workspace.id, points.id)).toBeNull();
+    });
+  });
+
+  describe('workflows', () => {
+    let workspace;
+
+    const workflow = {
+      statuses: [
+        { id: 'backlog', name: 'Backlog', category: 'todo' },
+        { id: 'in_review', name: 'In review', category: 'in_progress' },
+        { id: 'blocked', name: 'Blocked', category: 'in_progress' },
+        { id: 'done', name: 'Done', category: 'done' }
+      ],
+      transitions: { backlog: ['in_review'], in_review: ['blocked', 'done'], blocked: ['in_review'], done: [] }
+    };
+
+    beforeEach(async () => {
+      const ada = await repository.createUser({ email: 'ada@example.com', name: 'Ada', passwordHash: 'scrypt$salt$hash' });
+      workspace = await repository.createWorkspace({ name: 'Team', ownerId: ada.id });
+    });
+
+    it('should start workspaces on the default workflow and store a custom one', async () => {
+      expect(workspace.workflow.statuses.map(status => status.id)).toEqual(['todo', 'in_progress', 'completed']);
+
+      const updated = await repository.updateWorkflow(workspace.id, workflow);
+      const task = await repository.create({ title: 'Story', workspaceId: workspace.id });
+
+      expect(updated.workflow).toEqual(workflow);
+      expect((await repository.findWorkspaceById(workspace.id)).workflow).toEqual(workflow);
+      expect(task).toMatchObject({ status: 'backlog', statusCategory: 'todo' });
+      expect(await repository.updateWorkflow('00000000-0000-4000-8000-000000000000', workflow)).toBeNull();
+    });
+
+    it('should move tasks out of removed statuses without bumping their version', async () => {
+      const scope = { workspaceId: workspace.id };
+      const started = await repository.create({ title: 'Started', status: 'in_progress', ...scope });
+      const finished = await repository.create({ title: 'Finished', status: 'completed', ...scope });
+      const waiting = await repository.create({ title: 'Waiting', ...scope });
+
+      await repository.updateWorkflow(workspace.id, workflow, { moveTasks: { todo: 'blocked' } });
+
+      expect(await repository.findById(started.id)).toMatchObject({ status: 'in_review', statusCategory: 'in_progress', version: started.version });
+      expect(await repository.findById(finished.id)).toMatchObject({ status: 'done', statusCategory: 'done' });
+      expect(await repository.findById(waiting.id)).toMatchObject({ status: 'blocked', statusCategory: 'in_progress' });
+    });
+
+    it('should count and sort by the workspace\'s statuses', async () => {
+      await repository.updateWorkflow(workspace.id, workflow);
+      const scope = { workspaceId: workspace.id };
+      await repository.create({ title: 'Shipped', status: 'done', ...scope });
+      await repository.create({ title: 'Stuck', status: 'blocked', ...scope });
+      await repository.create({ title: 'Idea', ...scope });
+
+      const stats = await repository.getStats(scope);
+      const { tasks } = await repository.findAll({ ...scope, sortBy: 'status', sortOrder: 'asc' });
+
+      expect(stats.byStatus).toEqual({ backlog: 1, in_review: 0, blocked: 1, done: 1 });
+      expect(stats.byCategory).toEqual({ todo: 1, in_progress: 1, done: 1 });
+      expect(tasks.map(task => task.title)).toEqual(['Idea', 'Stuck', 'Shipped']);
+    });
+  });
+
+  describe('getStats', () => {
+    beforeEach(async () => {
+      await repository.clear();
+      
+      // Create test data with known distribution
+      await repository.create({
+        title: 'Todo High',
+        status: 'todo',
+        priority: 'high',
+        tags: ['urgent']
+      });
+      
+      await repository.create({
+        title: 'Progress Medium',
+        status: 'in_progress',
+        priority: 'medium',
+        tags: ['work', 'project']
+      });
+      
+      await repository.create({
+        title: 'Completed Low',
+        status: 'completed',
+        priority: 'low',
+        tags: ['done']
+      });
+    });
+
+    it('should return correct statistics', async () => {
+      const stats = await repository.getStats();
+
+      expect(stats.total).toBe(3);
+      expect(stats.byStatus.todo).toBe(1);
+      expect(stats.byStatus.in_progress).toBe(1);
+      expect(stats.byStatus.completed).toBe(1);
+      expect(stats.byPriority.low).toBe(1);
+      expect(stats.byPriority.medium).toBe(1);
+      expect(stats.byPriority.high).toBe(1);
+      expect(stats.tags.total).toBe(4);
+    });
+
+    it('should calculate overdue tasks correctly', async () => {
+      // Create overdue task
+      await repository.create({
+        title: 'Overdue Task',
+        status: 'todo',
+        dueDate: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString() // Yesterday
+      });
+
+      const stats = await repository.getStats();
+      expect(stats.overdue).toBe(1);
+    });
+
+    it('should not count completed tasks as overdue', async () => {
+      // Create completed task that would be overdue
+      await repository.create({
+        title: 'Completed Overdue Task',
+        status: 'completed',
+        dueDate: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString()
+      });
+
+      const stats = await repository.getStats();
+      expect(stats.overdue).toBe(0);
+    });
+
+    it('should return popular tags', async () => {
+      // Add more tasks with repeated tags
+      await repository.create({
+        title: 'Another Work Task',
+        tags: ['work', 'urgent', 'review']
+      });
+
+      const stats = await repository.getStats();
+      const popularTags = stats.tags.popular;
+      
+      expect(popularTags).toHaveLength(5);
+      
+      // Find the 'work' tag which should have count of 2
+      const workTag = popularTags.find(tag => tag.tag === 'work');
+      expect(workTag.count).toBe(2);
+    });
+  });
+
+  describe('clear', () => {
+    it('should remove all tasks and clean indexes', async () => {
+      await repository.create({ title: 'Task 1', tags: ['tag1'] });
+      await repository.create({ title: 'Task 2', tags: ['tag2'] });
+
+      await repository.clear();
+
+      const allTasks = await repository.findAll();
+      expect(allTasks.tasks).toHaveLength(0);
+
+      const stats = await repository.getStats();
+      expect(stats.total).toBe(0);
+      expect(stats.tags.total).toBe(0);
+    });
+  });
+
+  describe('Edge Cases and Error Handling', () => {
+    it('should handle empty search queries', async () => {
+      const result = await repository.findAll({ search: '   ' });
+      expect(result.tasks).toHaveLength(1); // Should return all tasks (just sample)
+    });
+
+    it('should handle invalid sort parameters gracefully', async () => {
+      const result = await repository.findAll({ 
+        sortBy: 'invalidField',
+        sortOrder: 'invalidOrder'
+      });
+      expect(result.tasks).toHaveLength(1);
+    });
+
+    it('should handle large pagination offsets', async () => {
+      const result = await repository.findAll({ offset: 1000 });
+      expect(result.tasks).toHaveLength(0);
+      expect(result.pagination.hasMore).toBe(false);
+    });
+
+    it('should handle null and undefined task fields', async () => {
+      const task = await repository.create({
+        title: 'Test Task',
+        description: null,
+        dueDate: undefined
+      });
+
+      expect(task.description).toBe('');
+      expect(task.dueDate).toBeNull();
+    });
+  });
+});
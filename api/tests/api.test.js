@@ -1,30 +1,40 @@
 // ===== api/tests/api.test.js =====
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
-import request from 'supertest';
-import { getTaskRepository } from '../data/TaskRepository.js';
+import { migrations } from '../data/migrations/index.js';
+import { VersionConflictError, DependencyCycleError } from '../data/ITaskRepository.js';
+import { issueToken, hashPassword, hashApiKey } from '../middleware/auth.js';
+import { MemoryFileStorage } from '../data/stores/FileStorage.js';
+
+// Every request is made as this user unless a test sends its own Authorization header
+const testUser = { id: 'c3a1e2f4-5b6d-4e7f-8a9b-0c1d2e3f4a5b', email: 'tester@example.com', name: 'Tester' };
 
 // Mock the repository for testing
 let mockRepository;
+let fileStorage;
 const mockTasks = [
   {
-    id: '1',
+    id: '4f2a8c1e-6b3d-4a5f-9e7c-2d1b0a9f8e7d',
     title: 'Test Task 1',
     description: 'Test description',
     status: 'todo',
+    statusCategory: 'todo',
     priority: 'medium',
     dueDate: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
     tags: ['test', 'frontend'],
+    ownerId: testUser.id,
     createdAt: new Date().toISOString(),
     updatedAt: new Date().toISOString()
   },
   {
-    id: '2',
+    id: '8e1d2c3b-4a5f-4e6d-8c7b-9a0f1e2d3c4b',
     title: 'Test Task 2',
     description: 'Another test',
     status: 'in_progress',
+    statusCategory: 'in_progress',
     priority: 'high',
     dueDate: null,
     tags: ['backend'],
+    ownerId: testUser.id,
     createdAt: new Date().toISOString(),
     updatedAt: new Date().toISOString()
   }
@@ -37,6 +47,11 @@ const mockStats = {
     in_progress: 1,
     completed: 0
   },
+  byCategory: {
+    todo: 1,
+    in_progress: 1,
+    done: 0
+  },
   byPriority: {
     low: 0,
     medium: 1,
@@ -54,21 +69,29 @@ const mockStats = {
   }
 };
 
+// A well-formed task ID that no task has
+const missingTaskId = '2b3c4d5e-6f7a-4b8c-9d0e-1f2a3b4c5d6e';
+
 // Create mock API handler
 async function createMockApp() {
   // Import the handler
   const handler = await import('../index.js');
   
   return {
-    async request(method, path, body) {
+    async request(method, path, body, headers = {}) {
       const req = {
         method,
         url: path,
+        // Vercel parses the query string for us
+        query: Object.fromEntries(new URL(path, 'http://localhost').searchParams),
         headers: {
           'content-type': 'application/json',
-          'host': 'localhost:3000'
+          'host': 'localhost:3000',
+          'authorization': `Bearer ${issueToken(testUser).token}`,
+          ...headers
         },
-        body: body ? JSON.stringify(body) : undefined
+        // Uploads are sent as raw multipart bytes, and strings as they are so malformed JSON gets through
+        body: Buffer.isBuffer(body) || typeof body === 'string' ? body : body ? JSON.stringify(body) : undefined
       };
 
       const res = {
@@ -114,7 +137,51 @@ describe('Task Management API', () => {
       update: vi.fn(),
       delete: vi.fn(),
       getStats: vi.fn(),
-      getAllRaw: vi.fn()
+      getAllRaw: vi.fn(),
+      getHistory: vi.fn(),
+      findTrash: vi.fn(),
+      restore: vi.fn(),
+      purge: vi.fn(),
+      purgeExpired: vi.fn().mockResolvedValue(0),
+      emptyTrash: vi.fn(),
+      createProject: vi.fn(),
+      findProjects: vi.fn(),
+      findProjectById: vi.fn(),
+      updateProject: vi.fn(),
+      deleteProject: vi.fn(),
+      createUser: vi.fn(),
+      findUserByEmail: vi.fn(),
+      findUserById: vi.fn(),
+      countUsers: vi.fn(),
+      claimUnowned: vi.fn(),
+      createWorkspace: vi.fn(),
+      findWorkspaces: vi.fn(),
+      findWorkspaceById: vi.fn(),
+      updateWorkspace: vi.fn(),
+      deleteWorkspace: vi.fn(),
+      setWorkspaceMember: vi.fn(),
+      removeWorkspaceMember: vi.fn(),
+      createApiKey: vi.fn(),
+      findApiKeys: vi.fn(),
+      findApiKeyByHash: vi.fn(),
+      touchApiKey: vi.fn(),
+      deleteApiKey: vi.fn(),
+      createComment: vi.fn(),
+      findComments: vi.fn(),
+      findCommentById: vi.fn(),
+      updateComment: vi.fn(),
+      deleteComment: vi.fn(),
+      createAttachment: vi.fn(),
+      findAttachments: vi.fn().mockResolvedValue([]),
+      findAttachmentById: vi.fn(),
+      deleteAttachment: vi.fn(),
+      createCustomField: vi.fn(),
+      updateCustomField: vi.fn(),
+      deleteCustomField: vi.fn(),
+      updateWorkflow: vi.fn(),
+      getAppliedMigrations: vi.fn(() =>
+        migrations.map(({ version, name }) => ({ version, name, appliedAt: new Date().toISOString() }))
+      )
     };
 
     // Mock the repository getter
@@ -122,6 +189,12 @@ describe('Task Management API', () => {
       getTaskRepository: () => mockRepository
     }));
 
+    // Keep uploaded files off the disk
+    fileStorage = new MemoryFileStorage();
+    vi.doMock('../data/stores/FileStorage.js', () => ({
+      getFileStorage: () => fileStorage
+    }));
+
     app = await createMockApp();
   });
 
@@ -174,7 +247,9 @@ describe('Task Management API', () => {
         sortBy: 'updatedAt',
         sortOrder: 'desc',
         limit: 50,
-        offset: 0
+        offset: 0,
+        ownerId: testUser.id,
+        workspaceId: null
       });
     });
 
@@ -194,7 +269,9 @@ describe('Task Management API', () => {
         sortBy: 'updatedAt',
         sortOrder: 'desc',
         limit: 50,
-        offset: 0
+        offset: 0,
+        ownerId: testUser.id,
+        workspaceId: null
       });
     });
 
@@ -221,18 +298,18 @@ describe('Task Management API', () => {
     it('should return a specific task', async () => {
       mockRepository.findById.mockResolvedValue(mockTasks[0]);
 
-      const response = await app.request('GET', '/api/tasks/1');
+      const response = await app.request('GET', `/api/tasks/${mockTasks[0].id}`);
 
       expect(response.statusCode).toBe(200);
       expect(response.body.success).toBe(true);
-      expect(response.body.data.task.id).toBe('1');
+      expect(response.body.data.task.id).toBe(mockTasks[0].id);
       expect(response.body.data.task.title).toBe('Test Task 1');
     });
 
     it('should return 404 for non-existent task', async () => {
       mockRepository.findById.mockResolvedValue(null);
 
-      const response = await app.request('GET', '/api/tasks/nonexistent');
+      const response = await app.request('GET', `/api/tasks/${missingTaskId}`);
 
       expect(response.statusCode).toBe(404);
       expect(response.body.success).toBe(false);
@@ -278,9 +355,17 @@ describe('Task Management API', () => {
         description: 'Task description',
         status: 'todo',
         priority: 'high',
-        dueDate: null,
-        tags: ['test']
-      });
+        tags: ['test'],
+        checklist: [],
+        requireChecklist: false,
+        blockedBy: [],
+        recurrence: null,
+        projectId: null,
+        assigneeId: null,
+        customFields: {},
+        ownerId: testUser.id,
+        workspaceId: null
+      }, { actor: testUser.id });
     });
 
     it('should require title field', async () => {
@@ -314,6 +399,62 @@ describe('Task Management API', () => {
       );
     });
 
+    it('should store Markdown descriptions verbatim', async () => {
+      const description = '  indented code\n\n- [ ] check `a < b`\n<script>alert(1)</script>\n\n';
+      mockRepository.create.mockImplementation(async (data) => ({ id: '3', ...data }));
+
+      const response = await app.request('POST', '/api/tasks', { title: 'Notes', description });
+
+      expect(response.statusCode).toBe(201);
+      expect(mockRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+        description: '  indented code\n\n- [ ] check `a < b`\n<script>alert(1)</script>'
+      }), { actor: testUser.id });
+    });
+
+    it('should give back Markdown descriptions as they were written', async () => {
+      const { TaskRepository } = await vi.importActual('../data/TaskRepository.js');
+      mockRepository = new TaskRepository({ seed: false });
+      const description = '# Plan\n\n    if (a < b && c > d) {}\n\n- [x] <kbd>Ctrl</kbd> + `onclick=`';
+
+      const created = await app.request('POST', '/api/tasks', { title: 'Notes', description });
+      const { id } = created.body.data.task;
+      const updated = await app.request('PUT', `/api/tasks/${id}`, { description: `${description}\n\n> quoted` });
+      const response = await app.request('GET', `/api/tasks/${id}`);
+
+      expect(created.body.data.task.description).toBe(description);
+      expect(updated.statusCode).toBe(200);
+      expect(response.body.data.task.description).toBe(`${description}\n\n> quoted`);
+    });
+
+    it('should validate description length', async () => {
+      const response = await app.request('POST', '/api/tasks', {
+        title: 'Valid Title',
+        description: 'a'.repeat(10001)
+      });
+
+      expect(response.statusCode).toBe(400);
+      expect(response.body.error.details.errors).toContainEqual(
+        expect.objectContaining({
+          field: 'description',
+          message: expect.stringContaining('10000 characters')
+        })
+      );
+    });
+
+    it('should reject long runs of whitespace in a description without stalling', async () => {
+      const started = Date.now();
+      const response = await app.request('POST', '/api/tasks', {
+        title: 'Valid Title',
+        description: `a${' '.repeat(100000)}b`
+      });
+
+      expect(response.statusCode).toBe(400);
+      expect(response.body.error.details.errors).toContainEqual(
+        expect.objectContaining({ field: 'description' })
+      );
+      expect(Date.now() - started).toBeLessThan(1000);
+    });
+
     it('should validate enum values', async () => {
       const response = await app.request('POST', '/api/tasks', {
         title: 'Valid Title',
@@ -360,21 +501,22 @@ describe('Task Management API', () => {
         updatedAt: new Date().toISOString()
       };
 
+      mockRepository.findById.mockResolvedValue(mockTasks[0]);
       mockRepository.update.mockResolvedValue(updatedTask);
 
-      const response = await app.request('PUT', '/api/tasks/1', updates);
+      const response = await app.request('PUT', `/api/tasks/${mockTasks[0].id}`, updates);
 
       expect(response.statusCode).toBe(200);
       expect(response.body.success).toBe(true);
       expect(response.body.data.task.title).toBe('Updated Title');
       expect(response.body.data.task.status).toBe('completed');
-      expect(mockRepository.update).toHaveBeenCalledWith('1', updates);
+      expect(mockRepository.update).toHaveBeenCalledWith(mockTasks[0].id, updates, { expectedVersion: undefined, actor: testUser.id });
     });
 
     it('should return 404 for non-existent task', async () => {
       mockRepository.update.mockResolvedValue(null);
 
-      const response = await app.request('PUT', '/api/tasks/nonexistent', {
+      const response = await app.request('PUT', `/api/tasks/${missingTaskId}`, {
         title: 'Updated Title'
       });
 
@@ -383,14 +525,14 @@ describe('Task Management API', () => {
     });
 
     it('should require at least one field to update', async () => {
-      const response = await app.request('PUT', '/api/tasks/1', {});
+      const response = await app.request('PUT', `/api/tasks/${mockTasks[0].id}`, {});
 
       expect(response.statusCode).toBe(400);
       expect(response.body.success).toBe(false);
     });
 
     it('should validate update fields', async () => {
-      const response = await app.request('PUT', '/api/tasks/1', {
+      const response = await app.request('PUT', `/api/tasks/${mockTasks[0].id}`, {
         title: '', // Empty title
         status: 'invalid'
       });
@@ -400,25 +542,139 @@ describe('Task Management API', () => {
     });
   });
 
+  describe('Optimistic concurrency', () => {
+    const taskId = '0b7f4c8e-2d1a-4e6b-9c3f-5a8d7e6f1b2c';
+    const storedTask = { ...mockTasks[0], id: taskId, title: 'Changed elsewhere', version: 4 };
+
+    it('should return an ETag with a single task', async () => {
+      mockRepository.findById.mockResolvedValue(storedTask);
+
+      const response = await app.request('GET', `/api/tasks/${taskId}`);
+
+      expect(response.statusCode).toBe(200);
+      expect(response.headers.ETag).toBe('"4"');
+    });
+
+    it('should pass the If-Match version to the repository', async () => {
+      mockRepository.findById.mockResolvedValue(storedTask);
+      mockRepository.update.mockResolvedValue({ ...storedTask, version: 5 });
+
+      const response = await app.request('PUT', `/api/tasks/${taskId}`, { title: 'Mine' }, { 'if-match': '"4"' });
+
+      expect(response.statusCode).toBe(200);
+      expect(response.headers.ETag).toBe('"5"');
+      expect(mockRepository.update).toHaveBeenCalledWith(taskId, { title: 'Mine' }, { expectedVersion: 4, actor: testUser.id });
+    });
+
+    it('should answer a stale If-Match with 412 and the current task', async () => {
+      mockRepository.findById.mockResolvedValue(storedTask);
+      mockRepository.update.mockRejectedValue(new VersionConflictError(storedTask, 3));
+
+      const response = await app.request('PUT', `/api/tasks/${taskId}`, { title: 'Mine' }, { 'if-match': '"3"' });
+
+      expect(response.statusCode).toBe(412);
+      expect(response.headers.ETag).toBe('"4"');
+      expect(response.body.error.type).toBe('version_conflict');
+      expect(response.body.error.details.current.title).toBe('Changed elsewhere');
+    });
+
+    it('should answer a stale delete with 412', async () => {
+      mockRepository.getAllRaw.mockResolvedValue([storedTask]);
+      mockRepository.findById.mockResolvedValue(storedTask);
+      mockRepository.delete.mockRejectedValue(new VersionConflictError(storedTask, 3));
+
+      const response = await app.request('DELETE', `/api/tasks/${taskId}`, undefined, { 'if-match': '"3"' });
+
+      expect(response.statusCode).toBe(412);
+      expect(mockRepository.delete).toHaveBeenCalledWith(taskId, { expectedVersion: 3, actor: testUser.id });
+    });
+
+    it('should reject a malformed If-Match header', async () => {
+      const response = await app.request('PUT', `/api/tasks/${taskId}`, { title: 'Mine' }, { 'if-match': 'latest' });
+
+      expect(response.statusCode).toBe(400);
+      expect(mockRepository.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/tasks/:id/history', () => {
+    const taskId = '0b7f4c8e-2d1a-4e6b-9c3f-5a8d7e6f1b2c';
+    const entry = {
+      id: 'entry-1',
+      taskId,
+      action: 'updated',
+      version: 2,
+      changes: [{ field: 'status', from: 'in_progress', to: 'todo' }],
+      actor: null,
+      timestamp: new Date().toISOString()
+    };
+
+    it('should return paginated history', async () => {
+      mockRepository.getHistory.mockResolvedValue({
+        entries: [entry],
+        pagination: { total: 3, limit: 1, offset: 1, hasMore: true }
+      });
+
+      const response = await app.request('GET', `/api/tasks/${taskId}/history?limit=1&offset=1`);
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.data.history).toEqual([{ ...entry, actorName: null }]);
+      expect(response.body.data.pagination.hasMore).toBe(true);
+      expect(mockRepository.getHistory).toHaveBeenCalledWith(taskId, { limit: 1, offset: 1, ownerId: testUser.id });
+    });
+
+    it('should record who made each change', async () => {
+      const { TaskRepository } = await vi.importActual('../data/TaskRepository.js');
+      mockRepository = new TaskRepository({ seed: false });
+      const user = await mockRepository.createUser({ email: 'ada@example.com', name: 'Ada', passwordHash: 'scrypt$x$y' });
+      const headers = { authorization: `Bearer ${issueToken(user).token}` };
+
+      const created = await app.request('POST', '/api/tasks', { title: 'Audit me' }, headers);
+      const { id } = created.body.data.task;
+      await app.request('PUT', `/api/tasks/${id}`, { status: 'in_progress' }, headers);
+      await app.request('DELETE', `/api/tasks/${id}`, undefined, headers);
+      await app.request('POST', `/api/tasks/trash/${id}/restore`, undefined, headers);
+
+      const response = await app.request('GET', `/api/tasks/${id}/history`, undefined, headers);
+
+      expect(response.statusCode).toBe(200);
+      const { history } = response.body.data;
+      expect(history.map(entry => entry.action).sort()).toEqual(['created', 'deleted', 'restored', 'updated']);
+      history.forEach(entry => expect(entry).toMatchObject({ actor: user.id, actorName: 'Ada' }));
+    });
+
+    it('should return 404 for a task that never existed', async () => {
+      mockRepository.getHistory.mockResolvedValue({
+        entries: [],
+        pagination: { total: 0, limit: 20, offset: 0, hasMore: false }
+      });
+      mockRepository.findById.mockResolvedValue(null);
+
+      const response = await app.request('GET', `/api/tasks/${taskId}/history`);
+
+      expect(response.statusCode).toBe(404);
+    });
+  });
+
   describe('DELETE /api/tasks/:id', () => {
     it('should delete an existing task', async () => {
       mockRepository.getAllRaw.mockResolvedValue(mockTasks);
       mockRepository.findById.mockResolvedValue(mockTasks[0]);
       mockRepository.delete.mockResolvedValue(mockTasks[0]);
 
-      const response = await app.request('DELETE', '/api/tasks/1');
+      const response = await app.request('DELETE', `/api/tasks/${mockTasks[0].id}`);
 
       expect(response.statusCode).toBe(200);
       expect(response.body.success).toBe(true);
-      expect(response.body.data.message).toBe('Task deleted successfully');
-      expect(mockRepository.delete).toHaveBeenCalledWith('1');
+      expect(response.body.data.message).toBe('Task moved to trash');
+      expect(mockRepository.delete).toHaveBeenCalledWith(mockTasks[0].id, { expectedVersion: undefined, actor: testUser.id });
     });
 
     it('should return 404 for non-existent task', async () => {
       mockRepository.getAllRaw.mockResolvedValue(mockTasks);
       mockRepository.findById.mockResolvedValue(null);
 
-      const response = await app.request('DELETE', '/api/tasks/nonexistent');
+      const response = await app.request('DELETE', `/api/tasks/${missingTaskId}`);
 
       expect(response.statusCode).toBe(404);
       expect(response.body.success).toBe(false);
@@ -433,6 +689,384 @@ describe('Task Management API', () => {
     });
   });
 
+  describe('Checklist', () => {
+    const taskId = '0b7f4c8e-2d1a-4e6b-9c3f-5a8d7e6f1b2c';
+    const first = { id: 'item-1', text: 'Draft', done: true };
+    const second = { id: 'item-2', text: 'Review', done: false };
+    const storedTask = { ...mockTasks[0], id: taskId, version: 3, checklist: [first, second], requireChecklist: true };
+
+    beforeEach(() => {
+      mockRepository.findById.mockResolvedValue(storedTask);
+      mockRepository.update.mockImplementation(async (_id, updates) => ({ ...storedTask, ...updates, version: 4 }));
+    });
+
+    it('should add an item at the end of the checklist', async () => {
+      const response = await app.request('POST', `/api/tasks/${taskId}/checklist`, { text: 'Publish' });
+
+      expect(response.statusCode).toBe(200);
+      expect(response.headers.ETag).toBe('"4"');
+      expect(response.body.data.item).toMatchObject({ text: 'Publish', done: false });
+      expect(response.body.data.progress).toEqual({ done: 1, total: 3 });
+      expect(mockRepository.update).toHaveBeenCalledWith(
+        taskId,
+        { checklist: [first, second, expect.objectContaining({ text: 'Publish' })] },
+        { expectedVersion: 3, actor: testUser.id }
+      );
+    });
+
+    it('should toggle an item using the version from If-Match', async () => {
+      const response = await app.request('PUT', `/api/tasks/${taskId}/checklist/item-2`, { done: true }, { 'if-match': '"3"' });
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.data.progress).toEqual({ done: 2, total: 2 });
+      expect(mockRepository.update).toHaveBeenCalledWith(
+        taskId,
+        { checklist: [first, { ...second, done: true }] },
+        { expectedVersion: 3, actor: testUser.id }
+      );
+    });
+
+    it('should reorder items', async () => {
+      const response = await app.request('PUT', `/api/tasks/${taskId}/checklist`, { itemIds: ['item-2', 'item-1'] });
+
+      expect(response.statusCode).toBe(200);
+      expect(mockRepository.update).toHaveBeenCalledWith(taskId, { checklist: [second, first] }, { expectedVersion: 3, actor: testUser.id });
+    });
+
+    it('should reject an order that does not list every item', async () => {
+      const response = await app.request('PUT', `/api/tasks/${taskId}/checklist`, { itemIds: ['item-2'] });
+
+      expect(response.statusCode).toBe(400);
+      expect(mockRepository.update).not.toHaveBeenCalled();
+    });
+
+    it('should remove an item', async () => {
+      const response = await app.request('DELETE', `/api/tasks/${taskId}/checklist/item-1`);
+
+      expect(response.statusCode).toBe(200);
+      expect(mockRepository.update).toHaveBeenCalledWith(taskId, { checklist: [second] }, { expectedVersion: 3, actor: testUser.id });
+    });
+
+    it('should return 404 for an unknown item', async () => {
+      const response = await app.request('PUT', `/api/tasks/${taskId}/checklist/missing`, { done: true });
+
+      expect(response.statusCode).toBe(404);
+      expect(response.body.error.details.resource).toBe('checklist_item');
+    });
+
+    it('should not complete a task while required items are open', async () => {
+      const response = await app.request('PUT', `/api/tasks/${taskId}`, { status: 'completed' });
+
+      expect(response.statusCode).toBe(400);
+      expect(response.body.error.details).toMatchObject({
+        type: 'business_rule_violation',
+        rule: 'checklist_incomplete',
+        progress: { done: 1, total: 2 }
+      });
+      expect(mockRepository.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Dependencies', () => {
+    const taskId = '0b7f4c8e-2d1a-4e6b-9c3f-5a8d7e6f1b2c';
+    const blockerId = '6d2e8f1a-3b4c-4d5e-8f9a-0b1c2d3e4f5a';
+    const blocker = { ...mockTasks[1], id: blockerId, status: 'in_progress', title: 'Blocker' };
+    const storedTask = { ...mockTasks[0], id: taskId, status: 'todo', version: 2, blockedBy: [blockerId] };
+
+    beforeEach(() => {
+      mockRepository.findById.mockImplementation(async id => {
+        if (id === taskId) return storedTask;
+        if (id === blockerId) return blocker;
+        return null;
+      });
+      mockRepository.update.mockImplementation(async (_id, updates) => ({ ...storedTask, ...updates, version: 3 }));
+    });
+
+    it('should not start a task while a blocker is unfinished', async () => {
+      const response = await app.request('PUT', `/api/tasks/${taskId}`, { status: 'in_progress' });
+
+      expect(response.statusCode).toBe(400);
+      expect(response.body.error.details).toMatchObject({
+        type: 'business_rule_violation',
+        rule: 'task_blocked',
+        blockers: [{ id: blockerId, title: 'Blocker', status: 'in_progress' }]
+      });
+      expect(mockRepository.update).not.toHaveBeenCalled();
+    });
+
+    it('should start a task once its blockers are completed', async () => {
+      mockRepository.findById.mockImplementation(async id =>
+        id === blockerId ? { ...blocker, status: 'completed', statusCategory: 'done' } : storedTask
+      );
+
+      const response = await app.request('PUT', `/api/tasks/${taskId}`, { status: 'in_progress' });
+
+      expect(response.statusCode).toBe(200);
+      expect(mockRepository.update).toHaveBeenCalledWith(taskId, { status: 'in_progress' }, { expectedVersion: undefined, actor: testUser.id });
+    });
+
+    it('should reject links to unknown tasks and to the task itself', async () => {
+      const unknownId = '9f8e7d6c-5b4a-4392-8172-615243342516';
+      const response = await app.request('PUT', `/api/tasks/${taskId}`, { blockedBy: [taskId, unknownId] });
+
+      expect(response.statusCode).toBe(400);
+      expect(response.body.error.details.errors.map(error => error.value)).toEqual([taskId, unknownId]);
+      expect(mockRepository.update).not.toHaveBeenCalled();
+    });
+
+    it('should report dependency cycles as a business rule violation', async () => {
+      mockRepository.update.mockRejectedValue(new DependencyCycleError(blockerId, [blockerId, taskId, blockerId]));
+
+      const response = await app.request('PUT', `/api/tasks/${blockerId}`, { blockedBy: [taskId] });
+
+      expect(response.statusCode).toBe(400);
+      expect(response.body.error.details).toMatchObject({
+        rule: 'dependency_cycle',
+        cycle: [blockerId, taskId, blockerId]
+      });
+    });
+
+    it('should pass the blocked filter to the repository', async () => {
+      mockRepository.findAll.mockResolvedValue({
+        tasks: [],
+        pagination: { total: 0, limit: 50, offset: 0, hasMore: false }
+      });
+
+      const response = await app.request('GET', '/api/tasks?blocked=true');
+
+      expect(response.statusCode).toBe(200);
+      expect(mockRepository.findAll).toHaveBeenCalledWith(expect.objectContaining({ blocked: true }));
+    });
+  });
+
+  describe('Recurrence', () => {
+    const taskId = '0b7f4c8e-2d1a-4e6b-9c3f-5a8d7e6f1b2c';
+    const nextId = '6d2e8f1a-3b4c-4d5e-8f9a-0b1c2d3e4f5a';
+    const recurrence = { frequency: 'weekly', interval: 1, weekdays: [1], until: null, count: null };
+    const storedTask = { ...mockTasks[0], id: taskId, status: 'in_progress', recurrence, nextOccurrenceId: null };
+    const nextOccurrence = { ...storedTask, id: nextId, status: 'todo', dueDate: '2024-01-22T00:00:00.000Z' };
+
+    beforeEach(() => {
+      mockRepository.findById.mockImplementation(async id => {
+        if (id === taskId) return storedTask;
+        if (id === nextId) return nextOccurrence;
+        return null;
+      });
+    });
+
+    it('should return the next occurrence created by completing a recurring task', async () => {
+      mockRepository.update.mockResolvedValue({ ...storedTask, status: 'completed', nextOccurrenceId: nextId });
+
+      const response = await app.request('PUT', `/api/tasks/${taskId}`, { status: 'completed' });
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.data.task.nextOccurrenceId).toBe(nextId);
+      expect(response.body.data.nextOccurrence).toMatchObject({ id: nextId, dueDate: '2024-01-22T00:00:00.000Z' });
+    });
+
+    it('should not return a next occurrence for ordinary updates', async () => {
+      mockRepository.update.mockResolvedValue({ ...storedTask, title: 'Renamed' });
+
+      const response = await app.request('PUT', `/api/tasks/${taskId}`, { title: 'Renamed' });
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.data.nextOccurrence).toBeUndefined();
+    });
+
+    it('should reject a rule that ends both on a date and after a count', async () => {
+      const response = await app.request('POST', '/api/tasks', {
+        title: 'Standup',
+        recurrence: { frequency: 'daily', until: '2024-12-31T00:00:00.000Z', count: 5 }
+      });
+
+      expect(response.statusCode).toBe(400);
+      expect(mockRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown frequencies', async () => {
+      const response = await app.request('PUT', `/api/tasks/${taskId}`, {
+        recurrence: { frequency: 'hourly' }
+      });
+
+      expect(response.statusCode).toBe(400);
+      expect(mockRepository.update).not.toHaveBeenCalled();
+    });
+
+    it('should accept null to stop a task from repeating', async () => {
+      mockRepository.update.mockResolvedValue({ ...storedTask, recurrence: null });
+
+      const response = await app.request('PUT', `/api/tasks/${taskId}`, { recurrence: null });
+
+      expect(response.statusCode).toBe(200);
+      expect(mockRepository.update).toHaveBeenCalledWith(taskId, { recurrence: null }, { expectedVersion: undefined, actor: testUser.id });
+    });
+  });
+
+  describe('Projects', () => {
+    const projectId = '3c9a1f2e-7b6d-4e5f-9a8b-1c2d3e4f5a6b';
+    const project = {
+      id: projectId,
+      name: 'Website',
+      description: '',
+      color: '#77bc1f',
+      ownerId: testUser.id,
+      createdAt: '2024-01-01T00:00:00.000Z',
+      updatedAt: '2024-01-01T00:00:00.000Z',
+      taskCount: 2
+    };
+
+    it('should create a project', async () => {
+      mockRepository.createProject.mockResolvedValue({ ...project, taskCount: 0 });
+
+      const response = await app.request('POST', '/api/projects', { name: '  Website  ' });
+
+      expect(response.statusCode).toBe(201);
+      expect(response.body.data.project.id).toBe(projectId);
+      expect(mockRepository.createProject).toHaveBeenCalledWith({ name: 'Website', description: '', ownerId: testUser.id });
+    });
+
+    it('should require a project name and a valid color', async () => {
+      const response = await app.request('POST', '/api/projects', { color: 'green' });
+
+      expect(response.statusCode).toBe(400);
+      expect(response.body.error.details.errors.map(error => error.field)).toEqual(['name', 'color']);
+      expect(mockRepository.createProject).not.toHaveBeenCalled();
+    });
+
+    it('should list projects', async () => {
+      mockRepository.findProjects.mockResolvedValue([project]);
+
+      const response = await app.request('GET', '/api/projects');
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.data.projects).toEqual([project]);
+    });
+
+    it('should return 404 for an unknown project', async () => {
+      mockRepository.findProjectById.mockResolvedValue(null);
+      mockRepository.updateProject.mockResolvedValue(null);
+
+      const getResponse = await app.request('GET', `/api/projects/${projectId}`);
+      const putResponse = await app.request('PUT', `/api/projects/${projectId}`, { name: 'Renamed' });
+
+      expect(getResponse.statusCode).toBe(404);
+      expect(putResponse.statusCode).toBe(404);
+      expect(getResponse.body.error.details).toMatchObject({ resource: 'Project', resourceId: projectId });
+    });
+
+    it('should report how many tasks a deleted project leaves without one', async () => {
+      mockRepository.findProjectById.mockResolvedValue(project);
+      mockRepository.deleteProject.mockResolvedValue({ ...project, taskCount: 0 });
+
+      const response = await app.request('DELETE', `/api/projects/${projectId}`);
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.data.unassignedTasks).toBe(2);
+      expect(mockRepository.deleteProject).toHaveBeenCalledWith(projectId);
+    });
+
+    it('should reject tasks filed under an unknown project', async () => {
+      mockRepository.findProjectById.mockResolvedValue(null);
+
+      const response = await app.request('POST', '/api/tasks', { title: 'Orphan', projectId });
+
+      expect(response.statusCode).toBe(400);
+      expect(response.body.error.details.errors[0]).toMatchObject({ field: 'projectId', value: projectId });
+      expect(mockRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('should scope the task list and stats to a project', async () => {
+      mockRepository.findAll.mockResolvedValue({
+        tasks: [],
+        pagination: { total: 0, limit: 50, offset: 0, hasMore: false }
+      });
+      mockRepository.getStats.mockResolvedValue(mockStats);
+
+      await app.request('GET', `/api/tasks?projectId=${projectId}`);
+      await app.request('GET', '/api/tasks?projectId=none');
+      const statsResponse = await app.request('GET', `/api/tasks/stats?projectId=${projectId}`);
+
+      expect(mockRepository.findAll).toHaveBeenNthCalledWith(1, expect.objectContaining({ projectId }));
+      expect(mockRepository.findAll).toHaveBeenNthCalledWith(2, expect.objectContaining({ projectId: null }));
+      expect(mockRepository.getStats).toHaveBeenCalledWith({ projectId, ownerId: testUser.id, workspaceId: null });
+      expect(statsResponse.body.data.scope).toEqual({ projectId });
+    });
+  });
+
+  describe('Trash', () => {
+    const taskId = '0b7f4c8e-2d1a-4e6b-9c3f-5a8d7e6f1b2c';
+    const deletedAt = '2024-01-10T00:00:00.000Z';
+    const trashedTask = { ...mockTasks[0], id: taskId, deletedAt, version: 2 };
+
+    it('should hide trashed tasks from GET /api/tasks/:id', async () => {
+      mockRepository.findById.mockResolvedValue(trashedTask);
+
+      const response = await app.request('GET', `/api/tasks/${taskId}`);
+
+      expect(response.statusCode).toBe(404);
+      expect(response.body.error.details).toMatchObject({ inTrash: true, deletedAt });
+    });
+
+    it('should list the trash with expiry dates', async () => {
+      mockRepository.findTrash.mockResolvedValue({
+        tasks: [trashedTask],
+        pagination: { total: 1, limit: 20, offset: 0, hasMore: false }
+      });
+
+      const response = await app.request('GET', '/api/tasks/trash');
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.data.retentionDays).toBe(30);
+      expect(response.body.data.tasks[0].expiresAt).toBe('2024-02-09T00:00:00.000Z');
+      expect(mockRepository.findTrash).toHaveBeenCalledWith({ limit: 20, offset: 0, ownerId: testUser.id, workspaceId: null });
+    });
+
+    it('should restore a trashed task', async () => {
+      mockRepository.findById.mockResolvedValue(trashedTask);
+      mockRepository.restore.mockResolvedValue({ ...trashedTask, deletedAt: null, version: 3 });
+
+      const response = await app.request('POST', `/api/tasks/trash/${taskId}/restore`);
+
+      expect(response.statusCode).toBe(200);
+      expect(response.headers.ETag).toBe('"3"');
+      expect(mockRepository.restore).toHaveBeenCalledWith(taskId, { actor: testUser.id });
+    });
+
+    it('should return 404 when restoring a task that is not in the trash', async () => {
+      mockRepository.restore.mockResolvedValue(null);
+
+      const response = await app.request('POST', `/api/tasks/trash/${taskId}/restore`);
+
+      expect(response.statusCode).toBe(404);
+    });
+
+    it('should permanently delete a trashed task', async () => {
+      mockRepository.findById.mockResolvedValue(trashedTask);
+      mockRepository.purge.mockResolvedValue(trashedTask);
+
+      const response = await app.request('DELETE', `/api/tasks/trash/${taskId}`);
+
+      expect(response.statusCode).toBe(200);
+      expect(mockRepository.purge).toHaveBeenCalledWith(taskId, { actor: testUser.id });
+    });
+
+    it('should empty the trash', async () => {
+      mockRepository.emptyTrash.mockResolvedValue(2);
+
+      const response = await app.request('DELETE', '/api/tasks/trash');
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.data.purged).toBe(2);
+      expect(mockRepository.emptyTrash).toHaveBeenCalledWith({ ownerId: testUser.id, workspaceId: null, actor: testUser.id });
+    });
+
+    it('should reject unknown trash actions', async () => {
+      const response = await app.request('POST', `/api/tasks/trash/${taskId}/revive`);
+
+      expect(response.statusCode).toBe(404);
+    });
+  });
+
   describe('GET /api/tasks/stats', () => {
     it('should return task statistics', async () => {
       mockRepository.getStats.mockResolvedValue(mockStats);
@@ -457,445 +1091,848 @@ describe('Task Management API', () => {
     });
   });
 
-  describe('Error Handling', () => {
-    it('should handle invalid JSON in request body', async () => {
-      const response = await app.request('POST', '/api/tasks', 'invalid json');
+  describe('Authentication', () => {
+    const taskId = '0b7f4c8e-2d1a-4e6b-9c3f-5a8d7e6f1b2c';
+    const credentials = { email: 'New.User@Example.com', name: 'New User', password: 'correct horse' };
 
-      expect(response.statusCode).toBe(400);
-      expect(response.body.success).toBe(false);
-      expect(response.body.error.type).toBe('json_parse_error');
+    it('should require a bearer token', async () => {
+      const response = await app.request('GET', '/api/tasks', undefined, { authorization: '' });
+
+      expect(response.statusCode).toBe(401);
+      expect(response.headers['WWW-Authenticate']).toBe('Bearer');
+      expect(response.body.error.details).toMatchObject({ type: 'authentication_error', reason: 'missing_token' });
+      expect(mockRepository.findAll).not.toHaveBeenCalled();
     });
 
-    it('should handle missing Content-Type header', async () => {
-      // This would need to be implemented based on your specific error handling
-      const response = await app.request('POST', '/api/tasks', { title: 'Test' });
-      
-      // Should work with proper Content-Type
-      expect(response.statusCode).toBeLessThan(500);
+    it('should reject a tampered token', async () => {
+      const [header, , signature] = issueToken(testUser).token.split('.');
+      const payload = Buffer.from(JSON.stringify({ sub: 'someone-else', exp: 9999999999 })).toString('base64url');
+
+      const response = await app.request('GET', '/api/tasks', undefined, {
+        authorization: `Bearer ${header}.${payload}.${signature}`
+      });
+
+      expect(response.statusCode).toBe(401);
+      expect(response.body.error.details.reason).toBe('invalid_token');
     });
 
-    it('should handle unknown endpoints', async () => {
-      const response = await app.request('GET', '/api/unknown');
+    it('should register the first user and hand them the existing tasks', async () => {
+      mockRepository.findUserByEmail.mockResolvedValue(null);
+      mockRepository.countUsers.mockResolvedValue(0);
+      mockRepository.createUser.mockImplementation(async data => ({ id: testUser.id, ...data, createdAt: '2024-01-01T00:00:00.000Z' }));
+      mockRepository.claimUnowned.mockResolvedValue({ tasks: 1, projects: 0 });
 
-      expect(response.statusCode).toBe(404);
-      expect(response.body.success).toBe(false);
-      expect(response.body.error.type).toBe('endpoint_not_found');
+      const response = await app.request('POST', '/api/auth/register', credentials, { authorization: '' });
+
+      expect(response.statusCode).toBe(201);
+      expect(response.body.data.user).toEqual({
+        id: testUser.id,
+        email: 'new.user@example.com',
+        name: 'New User',
+        createdAt: '2024-01-01T00:00:00.000Z'
+      });
+      expect(response.body.data.token).toEqual(expect.any(String));
+      expect(response.body.data.adopted).toEqual({ tasks: 1, projects: 0 });
+      expect(mockRepository.createUser.mock.calls[0][0].passwordHash).toMatch(/^scrypt\$/);
+      expect(mockRepository.claimUnowned).toHaveBeenCalledWith(testUser.id);
     });
 
-    it('should handle unsupported HTTP methods', async () => {
-      const response = await app.request('PATCH', '/api/tasks');
+    it('should refuse a second account with the same email', async () => {
+      mockRepository.findUserByEmail.mockResolvedValue({ id: testUser.id, email: 'new.user@example.com' });
 
-      expect(response.statusCode).toBe(405);
-      expect(response.body.success).toBe(false);
+      const response = await app.request('POST', '/api/auth/register', credentials, { authorization: '' });
+
+      expect(response.statusCode).toBe(409);
+      expect(response.body.error.details).toMatchObject({ resource: 'user', field: 'email' });
+      expect(mockRepository.createUser).not.toHaveBeenCalled();
     });
-  });
 
-  describe('CORS Handling', () => {
-    it('should handle preflight requests', async () => {
-      const response = await app.request('OPTIONS', '/api/tasks');
+    it('should log in with the right password only', async () => {
+      mockRepository.findUserByEmail.mockResolvedValue({
+        ...testUser,
+        passwordHash: await hashPassword(credentials.password)
+      });
 
-      expect(response.statusCode).toBe(200);
-      expect(response.headers['Access-Control-Allow-Origin']).toBeDefined();
-      expect(response.headers['Access-Control-Allow-Methods']).toBeDefined();
+      const good = await app.request('POST', '/api/auth/login', credentials, { authorization: '' });
+      const bad = await app.request('POST', '/api/auth/login', { ...credentials, password: 'wrong password' }, { authorization: '' });
+
+      expect(good.statusCode).toBe(200);
+      expect(good.body.data.user).not.toHaveProperty('passwordHash');
+      expect(bad.statusCode).toBe(401);
+      expect(bad.body.error.details.reason).toBe('invalid_credentials');
     });
-  });
-});
 
-// ===== api/tests/TaskRepository.test.js =====
-import { describe, it, expect, beforeEach } from 'vitest';
-import { TaskRepository } from '../data/TaskRepository.js';
+    it('should treat another user\'s task as missing', async () => {
+      mockRepository.findById.mockResolvedValue({ ...mockTasks[0], id: taskId, ownerId: 'someone-else' });
 
-describe('TaskRepository', () => {
-  let repository;
+      const getResponse = await app.request('GET', `/api/tasks/${taskId}`);
+      const putResponse = await app.request('PUT', `/api/tasks/${taskId}`, { title: 'Mine now' });
 
-  beforeEach(() => {
-    repository = new TaskRepository();
+      expect(getResponse.statusCode).toBe(404);
+      expect(putResponse.statusCode).toBe(404);
+      expect(mockRepository.update).not.toHaveBeenCalled();
+    });
   });
 
-  describe('create', () => {
-    it('should create a new task with required fields', async () => {
-      const taskData = {
-        title: 'Test Task',
-        description: 'Test description',
-        priority: 'high'
-      };
+  describe('API keys', () => {
+    const apiKey = 'gnt_read0nlyKeyForTests000000000000000000000';
+    const keyHeaders = { authorization: `Bearer ${apiKey}` };
+    const storedKey = {
+      id: '7d2c9a1e-3b4f-4c5d-8e6f-0a1b2c3d4e5f',
+      userId: testUser.id,
+      name: 'Nightly import',
+      scopes: ['read'],
+      prefix: apiKey.slice(0, 12),
+      keyHash: hashApiKey(apiKey),
+      createdAt: '2024-01-01T00:00:00.000Z',
+      lastUsedAt: null
+    };
 
-      const task = await repository.create(taskData);
+    it('should create a key, return it once and store only its hash', async () => {
+      mockRepository.findApiKeys.mockResolvedValue([]);
+      mockRepository.createApiKey.mockImplementation(async data => ({ ...storedKey, ...data }));
 
-      expect(task.id).toBeDefined();
-      expect(task.title).toBe('Test Task');
-      expect(task.description).toBe('Test description');
-      expect(task.status).toBe('todo');
-      expect(task.priority).toBe('high');
-      expect(task.createdAt).toBeDefined();
-      expect(task.updatedAt).toBeDefined();
-    });
+      const response = await app.request('POST', '/api/auth/keys', { name: 'Nightly import', scopes: ['write', 'read'] });
 
-    it('should create task with default values', async () => {
-      const task = await repository.create({ title: 'Minimal Task' });
+      expect(response.statusCode).toBe(201);
+      const { key, apiKey: created } = response.body.data;
+      expect(key).toMatch(/^gnt_[\w-]{43}$/);
+      expect(created).not.toHaveProperty('keyHash');
+      expect(created.prefix).toBe(key.slice(0, 12));
+
+      const saved = mockRepository.createApiKey.mock.calls[0][0];
+      expect(saved).toMatchObject({ userId: testUser.id, name: 'Nightly import', keyHash: hashApiKey(key) });
+      expect(Object.values(saved)).not.toContain(key);
+    });
 
-      expect(task.status).toBe('todo');
-      expect(task.priority).toBe('medium');
-      expect(task.description).toBe('');
-      expect(task.tags).toEqual([]);
-      expect(task.dueDate).toBeNull();
+    it('should let a read-only key read but not write, and record its use', async () => {
+      mockRepository.findApiKeyByHash.mockResolvedValue(storedKey);
+      mockRepository.findUserById.mockResolvedValue({ ...testUser, passwordHash: 'scrypt$x$y' });
+      mockRepository.findAll.mockResolvedValue({ tasks: [], pagination: { total: 0, limit: 50, offset: 0, hasMore: false } });
+
+      const readResponse = await app.request('GET', '/api/tasks', undefined, keyHeaders);
+      const writeResponse = await app.request('POST', '/api/tasks', { title: 'From a script' }, keyHeaders);
+
+      expect(readResponse.statusCode).toBe(200);
+      expect(mockRepository.findApiKeyByHash).toHaveBeenCalledWith(hashApiKey(apiKey));
+      expect(mockRepository.touchApiKey).toHaveBeenCalledWith(storedKey.id, expect.any(String));
+      expect(writeResponse.statusCode).toBe(403);
+      expect(writeResponse.body.error.details).toEqual({
+        type: 'insufficient_scope',
+        requiredScope: 'write',
+        grantedScopes: ['read']
+      });
+      expect(mockRepository.create).not.toHaveBeenCalled();
     });
 
-    it('should generate unique IDs', async () => {
-      const task1 = await repository.create({ title: 'Task 1' });
-      const task2 = await repository.create({ title: 'Task 2' });
+    it('should reject an unknown or revoked key', async () => {
+      mockRepository.findApiKeyByHash.mockResolvedValue(null);
+
+      const response = await app.request('GET', '/api/tasks', undefined, keyHeaders);
 
-      expect(task1.id).not.toBe(task2.id);
+      expect(response.statusCode).toBe(401);
+      expect(response.body.error.details.reason).toBe('invalid_api_key');
+      expect(mockRepository.findAll).not.toHaveBeenCalled();
     });
-  });
 
-  describe('findById', () => {
-    it('should find task by ID', async () => {
-      const created = await repository.create({ title: 'Test Task' });
-      const found = await repository.findById(created.id);
+    it('should not let an API key manage API keys', async () => {
+      mockRepository.findApiKeyByHash.mockResolvedValue({ ...storedKey, scopes: ['read', 'write'] });
+      mockRepository.findUserById.mockResolvedValue({ ...testUser, passwordHash: 'scrypt$x$y' });
 
-      expect(found.id).toBe(created.id);
-      expect(found.title).toBe('Test Task');
-    });
+      const response = await app.request('DELETE', `/api/auth/keys/${storedKey.id}`, undefined, keyHeaders);
 
-    it('should return null for non-existent ID', async () => {
-      const found = await repository.findById('non-existent-id');
-      expect(found).toBeNull();
+      expect(response.statusCode).toBe(403);
+      expect(response.body.error.details.requiredScope).toBe('session');
+      expect(mockRepository.deleteApiKey).not.toHaveBeenCalled();
     });
 
-    it('should return a copy of the task (not reference)', async () => {
-      const created = await repository.create({ title: 'Test Task' });
-      const found = await repository.findById(created.id);
+    it('should only revoke the caller\'s own keys', async () => {
+      mockRepository.findApiKeys.mockResolvedValue([]);
 
-      found.title = 'Modified Title';
-      const foundAgain = await repository.findById(created.id);
+      const response = await app.request('DELETE', `/api/auth/keys/${storedKey.id}`);
 
-      expect(foundAgain.title).toBe('Test Task');
+      expect(response.statusCode).toBe(404);
+      expect(mockRepository.findApiKeys).toHaveBeenCalledWith({ userId: testUser.id });
+      expect(mockRepository.deleteApiKey).not.toHaveBeenCalled();
     });
   });
 
-  describe('findAll', () => {
-    beforeEach(async () => {
-      // Clear the sample task and create test data
-      await repository.clear();
-      
-      await repository.create({
-        title: 'Todo Task',
-        status: 'todo',
-        priority: 'high',
-        tags: ['urgent', 'frontend']
-      });
-      
-      await repository.create({
-        title: 'In Progress Task',
-        status: 'in_progress',
-        priority: 'medium',
-        tags: ['backend']
-      });
-      
-      await repository.create({
-        title: 'Completed Task',
-        status: 'completed',
-        priority: 'low',
-        tags: ['testing', 'frontend']
+  describe('Workspaces', () => {
+    const workspaceId = '5d2e8f1a-3b4c-4d6e-8f9a-0b1c2d3e4f5a';
+    const taskId = '0b7f4c8e-2d1a-4e6b-9c3f-5a8d7e6f1b2c';
+    const teammateId = '7e6d5c4b-3a29-4817-a6f5-e4d3c2b1a098';
+
+    const workspaceWithRole = role => ({
+      id: workspaceId,
+      name: 'Team',
+      members: [
+        { userId: teammateId, role: 'owner', addedAt: '2024-01-01T00:00:00.000Z' },
+        ...(role ? [{ userId: testUser.id, role, addedAt: '2024-01-01T00:00:00.000Z' }] : [])
+      ],
+      taskCount: 1
+    });
+    const sharedTask = { ...mockTasks[0], id: taskId, ownerId: teammateId, workspaceId, version: 1 };
+
+    it('should let a viewer read but not update a shared task', async () => {
+      mockRepository.findById.mockResolvedValue(sharedTask);
+      mockRepository.findWorkspaceById.mockResolvedValue(workspaceWithRole('viewer'));
+
+      const readResponse = await app.request('GET', `/api/tasks/${taskId}`);
+      const updateResponse = await app.request('PUT', `/api/tasks/${taskId}`, { title: 'Renamed' });
+
+      expect(readResponse.statusCode).toBe(200);
+      expect(updateResponse.statusCode).toBe(403);
+      expect(updateResponse.body.error.details).toEqual({
+        type: 'permission_denied',
+        resource: 'task',
+        action: 'update',
+        role: 'viewer',
+        requiredRoles: ['owner', 'editor']
       });
+      expect(updateResponse.body.error.hint).toMatch(/owner, editor/);
+      expect(mockRepository.update).not.toHaveBeenCalled();
+    });
+
+    it('should stop an editor from deleting a shared task', async () => {
+      mockRepository.getAllRaw.mockResolvedValue([]);
+      mockRepository.findById.mockResolvedValue(sharedTask);
+      mockRepository.findWorkspaceById.mockResolvedValue(workspaceWithRole('editor'));
+
+      const response = await app.request('DELETE', `/api/tasks/${taskId}`);
+
+      expect(response.statusCode).toBe(403);
+      expect(response.body.error.details).toMatchObject({ action: 'delete', role: 'editor', requiredRoles: ['owner'] });
+      expect(mockRepository.delete).not.toHaveBeenCalled();
     });
 
-    it('should return all tasks without filters', async () => {
-      const result = await repository.findAll();
+    it('should hide shared tasks and workspaces from non-members', async () => {
+      mockRepository.findById.mockResolvedValue(sharedTask);
+      mockRepository.findWorkspaceById.mockResolvedValue(workspaceWithRole(null));
+
+      const taskResponse = await app.request('GET', `/api/tasks/${taskId}`);
+      const listResponse = await app.request('GET', `/api/tasks?workspaceId=${workspaceId}`);
 
-      expect(result.tasks).toHaveLength(3);
-      expect(result.pagination.total).toBe(3);
-      expect(result.pagination.hasMore).toBe(false);
+      expect(taskResponse.statusCode).toBe(404);
+      expect(listResponse.statusCode).toBe(404);
+      expect(listResponse.body.error.details.resource).toBe('Workspace');
+      expect(mockRepository.findAll).not.toHaveBeenCalled();
     });
 
-    it('should filter by status', async () => {
-      const result = await repository.findAll({ status: 'todo' });
+    it('should list a workspace\'s tasks for its members', async () => {
+      mockRepository.findWorkspaceById.mockResolvedValue(workspaceWithRole('viewer'));
+      mockRepository.findAll.mockResolvedValue({
+        tasks: [sharedTask],
+        pagination: { total: 1, limit: 50, offset: 0, hasMore: false }
+      });
+
+      const response = await app.request('GET', `/api/tasks?workspaceId=${workspaceId}`);
 
-      expect(result.tasks).toHaveLength(1);
-      expect(result.tasks[0].status).toBe('todo');
+      expect(response.statusCode).toBe(200);
+      expect(mockRepository.findAll).toHaveBeenCalledWith(expect.objectContaining({ workspaceId }));
+      expect(mockRepository.findAll.mock.calls[0][0]).not.toHaveProperty('ownerId');
     });
 
-    it('should filter by priority', async () => {
-      const result = await repository.findAll({ priority: 'high' });
+    it('should only let editors and owners create tasks in a workspace', async () => {
+      mockRepository.findWorkspaceById.mockResolvedValue(workspaceWithRole('viewer'));
 
-      expect(result.tasks).toHaveLength(1);
-      expect(result.tasks[0].priority).toBe('high');
+      const response = await app.request('POST', '/api/tasks', { title: 'Shared', workspaceId });
+
+      expect(response.statusCode).toBe(403);
+      expect(response.body.error.details).toMatchObject({ action: 'create', role: 'viewer' });
+      expect(mockRepository.create).not.toHaveBeenCalled();
     });
 
-    it('should filter by tags', async () => {
-      const result = await repository.findAll({ tags: ['frontend'] });
+    it('should create a workspace with the caller as owner', async () => {
+      mockRepository.createWorkspace.mockImplementation(async ({ name, ownerId }) => ({
+        id: workspaceId,
+        name,
+        members: [{ userId: ownerId, role: 'owner', addedAt: '2024-01-01T00:00:00.000Z' }],
+        taskCount: 0
+      }));
+      mockRepository.findUserById.mockResolvedValue(testUser);
+
+      const response = await app.request('POST', '/api/workspaces', { name: '  Team  ' });
 
-      expect(result.tasks).toHaveLength(2);
-      result.tasks.forEach(task => {
-        expect(task.tags).toContain('frontend');
+      expect(response.statusCode).toBe(201);
+      expect(mockRepository.createWorkspace).toHaveBeenCalledWith({ name: 'Team', ownerId: testUser.id });
+      expect(response.body.data.workspace).toMatchObject({
+        role: 'owner',
+        permissions: ['read', 'create', 'update', 'delete', 'manage'],
+        members: [{ userId: testUser.id, role: 'owner', name: 'Tester', email: 'tester@example.com' }]
       });
     });
 
-    it('should filter by multiple tags (AND operation)', async () => {
-      const result = await repository.findAll({ tags: ['urgent', 'frontend'] });
+    it('should add members by email for owners only', async () => {
+      const teammate = { id: '9a8b7c6d-5e4f-4a3b-8c2d-1e0f9a8b7c6d', email: 'pat@example.com', name: 'Pat' };
+      mockRepository.findUserByEmail.mockResolvedValue(teammate);
+      mockRepository.findUserById.mockResolvedValue(null);
+      mockRepository.setWorkspaceMember.mockResolvedValue(workspaceWithRole('owner'));
 
-      expect(result.tasks).toHaveLength(1);
-      expect(result.tasks[0].tags).toContain('urgent');
-      expect(result.tasks[0].tags).toContain('frontend');
-    });
+      mockRepository.findWorkspaceById.mockResolvedValue(workspaceWithRole('editor'));
+      const editorResponse = await app.request('POST', `/api/workspaces/${workspaceId}/members`, { email: teammate.email });
 
-    it('should perform text search', async () => {
-      const result = await repository.findAll({ search: 'progress' });
+      mockRepository.findWorkspaceById.mockResolvedValue(workspaceWithRole('owner'));
+      const ownerResponse = await app.request('POST', `/api/workspaces/${workspaceId}/members`, {
+        email: teammate.email,
+        role: 'viewer'
+      });
 
-      expect(result.tasks).toHaveLength(1);
-      expect(result.tasks[0].title.toLowerCase()).toContain('progress');
+      expect(editorResponse.statusCode).toBe(403);
+      expect(editorResponse.body.error.details).toMatchObject({ resource: 'workspace', action: 'manage' });
+      expect(ownerResponse.statusCode).toBe(201);
+      expect(mockRepository.setWorkspaceMember).toHaveBeenCalledTimes(1);
+      expect(mockRepository.setWorkspaceMember).toHaveBeenCalledWith(workspaceId, teammate.id, 'viewer');
     });
 
-    it('should sort tasks correctly', async () => {
-      const result = await repository.findAll({ 
-        sortBy: 'priority',
-        sortOrder: 'asc' 
+    it('should keep at least one owner', async () => {
+      mockRepository.findWorkspaceById.mockResolvedValue({
+        ...workspaceWithRole(null),
+        members: [{ userId: testUser.id, role: 'owner', addedAt: '2024-01-01T00:00:00.000Z' }]
       });
 
-      const priorities = result.tasks.map(task => task.priority);
-      expect(priorities).toEqual(['low', 'medium', 'high']);
+      const demoteResponse = await app.request('PUT', `/api/workspaces/${workspaceId}/members/${testUser.id}`, { role: 'editor' });
+      const leaveResponse = await app.request('DELETE', `/api/workspaces/${workspaceId}/members/${testUser.id}`);
+
+      expect(demoteResponse.statusCode).toBe(400);
+      expect(demoteResponse.body.error.details.rule).toBe('last_owner');
+      expect(leaveResponse.statusCode).toBe(400);
+      expect(mockRepository.setWorkspaceMember).not.toHaveBeenCalled();
+      expect(mockRepository.removeWorkspaceMember).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Assignees', () => {
+    const workspaceId = '5d2e8f1a-3b4c-4d6e-8f9a-0b1c2d3e4f5a';
+    const teammateId = '7e6d5c4b-3a29-4817-a6f5-e4d3c2b1a098';
+    const outsiderId = '1a2b3c4d-5e6f-4a7b-8c9d-0e1f2a3b4c5d';
+    const workspace = {
+      id: workspaceId,
+      name: 'Team',
+      members: [
+        { userId: testUser.id, role: 'owner', addedAt: '2024-01-01T00:00:00.000Z' },
+        { userId: teammateId, role: 'editor', addedAt: '2024-01-01T00:00:00.000Z' }
+      ],
+      taskCount: 0
+    };
+
+    beforeEach(() => {
+      mockRepository.findWorkspaceById.mockResolvedValue(workspace);
+      mockRepository.create.mockImplementation(async data => ({ ...mockTasks[0], ...data, id: '3', version: 1 }));
+    });
+
+    it('should resolve "me" and "none" in the assignee filter', async () => {
+      mockRepository.findAll.mockResolvedValue({ tasks: [], pagination: { total: 0, limit: 50, offset: 0, hasMore: false } });
+
+      await app.request('GET', '/api/tasks?assigneeId=me');
+      await app.request('GET', `/api/tasks?assigneeId=none&workspaceId=${workspaceId}`);
+
+      expect(mockRepository.findAll).toHaveBeenNthCalledWith(1, expect.objectContaining({ assigneeId: testUser.id }));
+      expect(mockRepository.findAll).toHaveBeenNthCalledWith(2, expect.objectContaining({ assigneeId: null, workspaceId }));
     });
 
-    it('should handle pagination', async () => {
-      const result = await repository.findAll({ 
-        limit: 2,
-        offset: 1 
+    it('should only assign workspace tasks to members', async () => {
+      const memberResponse = await app.request('POST', '/api/tasks', { title: 'Shared', workspaceId, assigneeId: teammateId });
+      const outsiderResponse = await app.request('POST', '/api/tasks', { title: 'Shared', workspaceId, assigneeId: outsiderId });
+
+      expect(memberResponse.statusCode).toBe(201);
+      expect(mockRepository.create).toHaveBeenCalledWith(expect.objectContaining({ assigneeId: teammateId }), { actor: testUser.id });
+      expect(outsiderResponse.statusCode).toBe(400);
+      expect(outsiderResponse.body.error.details.errors[0]).toMatchObject({
+        field: 'assigneeId',
+        message: 'Tasks can only be assigned to members of their workspace'
       });
+    });
+
+    it('should only assign personal tasks to their owner', async () => {
+      const response = await app.request('POST', '/api/tasks', { title: 'Mine', assigneeId: teammateId });
 
-      expect(result.tasks).toHaveLength(2);
-      expect(result.pagination.offset).toBe(1);
-      expect(result.pagination.limit).toBe(2);
-      expect(result.pagination.total).toBe(3);
-      expect(result.pagination.hasMore).toBe(false);
+      expect(response.statusCode).toBe(400);
+      expect(response.body.error.details.errors[0].field).toBe('assigneeId');
+      expect(mockRepository.create).not.toHaveBeenCalled();
     });
 
-    it('should combine multiple filters', async () => {
-      const result = await repository.findAll({
-        status: 'todo',
-        priority: 'high',
-        tags: ['urgent']
+    it('should name assignees in the statistics', async () => {
+      mockRepository.getStats.mockResolvedValue({
+        ...mockStats,
+        byAssignee: [
+          { assigneeId: teammateId, total: 2, completed: 1 },
+          { assigneeId: null, total: 1, completed: 0 }
+        ]
       });
+      mockRepository.findUserById.mockResolvedValue({ id: teammateId, name: 'Teammate', email: 'mate@example.com' });
 
-      expect(result.tasks).toHaveLength(1);
-      const task = result.tasks[0];
-      expect(task.status).toBe('todo');
-      expect(task.priority).toBe('high');
-      expect(task.tags).toContain('urgent');
+      const response = await app.request('GET', `/api/tasks/stats?workspaceId=${workspaceId}`);
+
+      expect(response.body.data.statistics.byAssignee).toEqual([
+        { assigneeId: teammateId, total: 2, completed: 1, name: 'Teammate' },
+        { assigneeId: null, total: 1, completed: 0, name: null }
+      ]);
     });
   });
 
-  describe('update', () => {
-    it('should update existing task', async () => {
-      const created = await repository.create({ title: 'Original Title' });
-      const updated = await repository.update(created.id, { 
-        title: 'Updated Title',
-        status: 'completed'
+  describe('Comments', () => {
+    const workspaceId = '5d2e8f1a-3b4c-4d6e-8f9a-0b1c2d3e4f5a';
+    const taskId = '0b7f4c8e-2d1a-4e6b-9c3f-5a8d7e6f1b2c';
+    const commentId = '9f8e7d6c-5b4a-4392-8170-6f5e4d3c2b1a';
+    const teammateId = '7e6d5c4b-3a29-4817-a6f5-e4d3c2b1a098';
+    const sharedTask = { ...mockTasks[0], id: taskId, ownerId: teammateId, workspaceId, version: 1, commentCount: 1 };
+    const teammateComment = {
+      id: commentId,
+      taskId,
+      authorId: teammateId,
+      body: 'Looks good',
+      createdAt: '2024-01-01T00:00:00.000Z',
+      updatedAt: '2024-01-01T00:00:00.000Z',
+      editedAt: null
+    };
+    const workspaceWithRole = role => ({
+      id: workspaceId,
+      name: 'Team',
+      members: [
+        { userId: teammateId, role: 'owner', addedAt: '2024-01-01T00:00:00.000Z' },
+        { userId: testUser.id, role, addedAt: '2024-01-01T00:00:00.000Z' }
+      ],
+      taskCount: 1
+    });
+
+    beforeEach(() => {
+      mockRepository.findById.mockResolvedValue(sharedTask);
+      mockRepository.findCommentById.mockResolvedValue(teammateComment);
+      mockRepository.findUserById.mockImplementation(async id => (id === teammateId
+        ? { id: teammateId, name: 'Teammate', email: 'mate@example.com' }
+        : { ...testUser }));
+    });
+
+    it('should list comments with their authors', async () => {
+      mockRepository.findWorkspaceById.mockResolvedValue(workspaceWithRole('viewer'));
+      mockRepository.findComments.mockResolvedValue({
+        comments: [teammateComment],
+        pagination: { total: 1, limit: 20, offset: 0, hasMore: false }
       });
 
-      expect(updated.title).toBe('Updated Title');
-      expect(updated.status).toBe('completed');
-      expect(updated.updatedAt).not.toBe(created.updatedAt);
-      expect(updated.createdAt).toBe(created.createdAt);
-      expect(updated.id).toBe(created.id);
+      const response = await app.request('GET', `/api/tasks/${taskId}/comments`);
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.data.comments).toEqual([{ ...teammateComment, author: { id: teammateId, name: 'Teammate' } }]);
+      expect(mockRepository.findComments).toHaveBeenCalledWith(taskId, { limit: 20, offset: 0 });
     });
 
-    it('should return null for non-existent task', async () => {
-      const result = await repository.update('non-existent', { title: 'New Title' });
-      expect(result).toBeNull();
+    it('should add a trimmed comment as the caller', async () => {
+      mockRepository.findWorkspaceById.mockResolvedValue(workspaceWithRole('editor'));
+      mockRepository.createComment.mockImplementation(async data => ({ ...teammateComment, ...data, id: 'new' }));
+
+      const response = await app.request('POST', `/api/tasks/${taskId}/comments`, { body: '  On it  ' });
+
+      expect(response.statusCode).toBe(201);
+      expect(mockRepository.createComment).toHaveBeenCalledWith({ taskId, authorId: testUser.id, body: 'On it' });
+      expect(response.body.data).toMatchObject({ commentCount: 2, comment: { author: { id: testUser.id, name: 'Tester' } } });
+      expect(mockRepository.update).not.toHaveBeenCalled();
     });
 
-    it('should maintain referential integrity in indexes', async () => {
-      const created = await repository.create({ 
-        title: 'Test Task',
-        status: 'todo',
-        priority: 'low',
-        tags: ['old-tag']
-      });
+    it('should keep viewers from commenting', async () => {
+      mockRepository.findWorkspaceById.mockResolvedValue(workspaceWithRole('viewer'));
 
-      await repository.update(created.id, {
-        status: 'completed',
-        priority: 'high',
-        tags: ['new-tag']
-      });
+      const response = await app.request('POST', `/api/tasks/${taskId}/comments`, { body: 'Me too' });
+
+      expect(response.statusCode).toBe(403);
+      expect(response.body.error.details).toMatchObject({ resource: 'comment', action: 'create', role: 'viewer' });
+      expect(mockRepository.createComment).not.toHaveBeenCalled();
+    });
+
+    it('should only let authors edit and owners delete other people\'s comments', async () => {
+      mockRepository.findWorkspaceById.mockResolvedValue(workspaceWithRole('editor'));
 
-      // Check that old indexes are cleaned up and new ones are created
-      const todoTasks = await repository.findAll({ status: 'todo' });
-      const completedTasks = await repository.findAll({ status: 'completed' });
-      const oldTagTasks = await repository.findAll({ tags: ['old-tag'] });
-      const newTagTasks = await repository.findAll({ tags: ['new-tag'] });
+      const editResponse = await app.request('PUT', `/api/tasks/${taskId}/comments/${commentId}`, { body: 'Changed' });
+      const deleteResponse = await app.request('DELETE', `/api/tasks/${taskId}/comments/${commentId}`);
 
-      expect(todoTasks.tasks).toHaveLength(0);
-      expect(completedTasks.tasks).toHaveLength(2); // Including sample task
-      expect(oldTagTasks.tasks).toHaveLength(0);
-      expect(newTagTasks.tasks).toHaveLength(1);
+      expect(editResponse.statusCode).toBe(403);
+      expect(deleteResponse.statusCode).toBe(403);
+      expect(deleteResponse.body.error.details.requiredRoles).toEqual(['owner']);
+      expect(mockRepository.updateComment).not.toHaveBeenCalled();
+      expect(mockRepository.deleteComment).not.toHaveBeenCalled();
+
+      mockRepository.findWorkspaceById.mockResolvedValue(workspaceWithRole('owner'));
+      mockRepository.deleteComment.mockResolvedValue(teammateComment);
+
+      const ownerResponse = await app.request('DELETE', `/api/tasks/${taskId}/comments/${commentId}`);
+      expect(ownerResponse.statusCode).toBe(200);
+      expect(ownerResponse.body.data.commentCount).toBe(0);
     });
-  });
 
-  describe('delete', () => {
-    it('should delete existing task', async () => {
-      const created = await repository.create({ title: 'To Delete' });
-      const deleted = await repository.delete(created.id);
+    it('should return 404 for a comment on another task', async () => {
+      mockRepository.findWorkspaceById.mockResolvedValue(workspaceWithRole('owner'));
+      mockRepository.findCommentById.mockResolvedValue({ ...teammateComment, taskId: '1' });
 
-      expect(deleted.id).toBe(created.id);
+      const response = await app.request('DELETE', `/api/tasks/${taskId}/comments/${commentId}`);
 
-      const found = await repository.findById(created.id);
-      expect(found).toBeNull();
+      expect(response.statusCode).toBe(404);
+      expect(mockRepository.deleteComment).not.toHaveBeenCalled();
     });
+  });
 
-    it('should return null for non-existent task', async () => {
-      const result = await repository.delete('non-existent');
-      expect(result).toBeNull();
+  describe('Attachments', () => {
+    const workspaceId = '5d2e8f1a-3b4c-4d6e-8f9a-0b1c2d3e4f5a';
+    const taskId = '0b7f4c8e-2d1a-4e6b-9c3f-5a8d7e6f1b2c';
+    const attachmentId = '3c2b1a09-8f7e-4d6c-9b5a-4f3e2d1c0b9a';
+    const teammateId = '7e6d5c4b-3a29-4817-a6f5-e4d3c2b1a098';
+    const sharedTask = { ...mockTasks[0], id: taskId, ownerId: teammateId, workspaceId, version: 1 };
+    const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 1, 2, 3]);
+    const storedAttachment = {
+      id: attachmentId,
+      taskId,
+      uploaderId: teammateId,
+      fileName: 'mockup.png',
+      contentType: 'image/png',
+      size: png.length,
+      storageKey: `${taskId}/${attachmentId}`,
+      createdAt: '2024-01-01T00:00:00.000Z'
+    };
+    const workspaceWithRole = role => ({
+      id: workspaceId,
+      name: 'Team',
+      members: [
+        { userId: teammateId, role: 'owner', addedAt: '2024-01-01T00:00:00.000Z' },
+        { userId: testUser.id, role, addedAt: '2024-01-01T00:00:00.000Z' }
+      ],
+      taskCount: 1
     });
 
-    it('should clean up indexes after deletion', async () => {
-      const created = await repository.create({
-        title: 'To Delete',
-        status: 'in_progress',
-        priority: 'high',
-        tags: ['temp-tag']
+    const multipart = (fileName, contentType, data) => {
+      const boundary = 'test-boundary';
+      return {
+        body: Buffer.concat([
+          Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="${fileName}"\r\n`),
+          Buffer.from(`Content-Type: ${contentType}\r\n\r\n`),
+          data,
+          Buffer.from(`\r\n--${boundary}--\r\n`)
+        ]),
+        headers: { 'content-type': `multipart/form-data; boundary=${boundary}` }
+      };
+    };
+
+    beforeEach(() => {
+      mockRepository.findById.mockResolvedValue(sharedTask);
+      mockRepository.findAttachmentById.mockResolvedValue(storedAttachment);
+      mockRepository.findUserById.mockImplementation(async id => (id === teammateId
+        ? { id: teammateId, name: 'Teammate', email: 'mate@example.com' }
+        : { ...testUser }));
+    });
+
+    it('should store an uploaded file and its metadata', async () => {
+      mockRepository.findWorkspaceById.mockResolvedValue(workspaceWithRole('editor'));
+      mockRepository.createAttachment.mockImplementation(async data => ({
+        ...storedAttachment,
+        ...data,
+        uploaderId: testUser.id
+      }));
+      const { body, headers } = multipart('C:\\shots\\mock\tup\u007f.png', 'image/png', png);
+
+      const response = await app.request('POST', `/api/tasks/${taskId}/attachments`, body, headers);
+
+      expect(response.statusCode).toBe(201);
+      expect(mockRepository.createAttachment).toHaveBeenCalledWith({
+        taskId,
+        uploaderId: testUser.id,
+        fileName: 'mockup.png',
+        contentType: 'image/png',
+        size: png.length
+      });
+      expect(response.body.data.attachment).toMatchObject({
+        fileName: 'mockup.png',
+        isImage: true,
+        url: `/api/tasks/${taskId}/attachments/${attachmentId}`,
+        uploader: { id: testUser.id, name: 'Tester' }
       });
+      expect(response.body.data.attachment.storageKey).toBeUndefined();
+      expect(await fileStorage.get(storedAttachment.storageKey)).toEqual(png);
+    });
+
+    it('should reject JSON bodies, unsupported types and disguised images', async () => {
+      mockRepository.findWorkspaceById.mockResolvedValue(workspaceWithRole('editor'));
+
+      const jsonResponse = await app.request('POST', `/api/tasks/${taskId}/attachments`, { file: 'x' });
+      expect(jsonResponse.statusCode).toBe(400);
+      expect(jsonResponse.body.error.type).toBe('content_type_error');
+
+      const html = multipart('page.html', 'text/html', Buffer.from('<script>alert(1)</script>'));
+      const htmlResponse = await app.request('POST', `/api/tasks/${taskId}/attachments`, html.body, html.headers);
+      expect(htmlResponse.statusCode).toBe(415);
+
+      const fake = multipart('photo.png', 'image/png', Buffer.from('<svg onload=alert(1)>'));
+      const fakeResponse = await app.request('POST', `/api/tasks/${taskId}/attachments`, fake.body, fake.headers);
+      expect(fakeResponse.statusCode).toBe(415);
+      expect(mockRepository.createAttachment).not.toHaveBeenCalled();
+    });
+
+    it('should keep viewers from uploading and enforce the per-task limit', async () => {
+      const { body, headers } = multipart('mockup.png', 'image/png', png);
+
+      mockRepository.findWorkspaceById.mockResolvedValue(workspaceWithRole('viewer'));
+      const viewerResponse = await app.request('POST', `/api/tasks/${taskId}/attachments`, body, headers);
+      expect(viewerResponse.statusCode).toBe(403);
+      expect(viewerResponse.body.error.details).toMatchObject({ resource: 'attachment', action: 'update' });
+
+      mockRepository.findWorkspaceById.mockResolvedValue(workspaceWithRole('editor'));
+      mockRepository.findAttachments.mockResolvedValue(new Array(20).fill(storedAttachment));
+      const limitResponse = await app.request('POST', `/api/tasks/${taskId}/attachments`, body, headers);
+      expect(limitResponse.statusCode).toBe(400);
+      expect(limitResponse.body.error.details.rule).toBe('attachment_limit');
+      expect(mockRepository.createAttachment).not.toHaveBeenCalled();
+    });
+
+    it('should send the file with its type and a download name', async () => {
+      mockRepository.findWorkspaceById.mockResolvedValue(workspaceWithRole('viewer'));
+      await fileStorage.put(storedAttachment.storageKey, png);
+
+      const response = await app.request('GET', `/api/tasks/${taskId}/attachments/${attachmentId}`);
 
-      await repository.delete(created.id);
+      expect(response.statusCode).toBe(200);
+      expect(response.body).toEqual(png);
+      expect(response.headers['Content-Type']).toBe('image/png');
+      expect(response.headers['Content-Disposition']).toContain('filename="mockup.png"');
+      expect(response.headers['X-Content-Type-Options']).toBe('nosniff');
+    });
+
+    it('should only let owners remove other people\'s files', async () => {
+      await fileStorage.put(storedAttachment.storageKey, png);
+      mockRepository.findWorkspaceById.mockResolvedValue(workspaceWithRole('editor'));
+
+      const editorResponse = await app.request('DELETE', `/api/tasks/${taskId}/attachments/${attachmentId}`);
+      expect(editorResponse.statusCode).toBe(403);
+      expect(mockRepository.deleteAttachment).not.toHaveBeenCalled();
 
-      // Check that indexes are cleaned up
-      const inProgressTasks = await repository.findAll({ status: 'in_progress' });
-      const highPriorityTasks = await repository.findAll({ priority: 'high' });
-      const tempTagTasks = await repository.findAll({ tags: ['temp-tag'] });
+      mockRepository.findWorkspaceById.mockResolvedValue(workspaceWithRole('owner'));
+      mockRepository.deleteAttachment.mockResolvedValue(storedAttachment);
 
-      expect(inProgressTasks.tasks).toHaveLength(0);
-      expect(highPriorityTasks.tasks).toHaveLength(0);
-      expect(tempTagTasks.tasks).toHaveLength(0);
+      const ownerResponse = await app.request('DELETE', `/api/tasks/${taskId}/attachments/${attachmentId}`);
+      expect(ownerResponse.statusCode).toBe(200);
+      expect(await fileStorage.get(storedAttachment.storageKey)).toBeNull();
     });
   });
 
-  describe('getStats', () => {
-    beforeEach(async () => {
-      await repository.clear();
-      
-      // Create test data with known distribution
-      await repository.create({
-        title: 'Todo High',
-        status: 'todo',
-        priority: 'high',
-        tags: ['urgent']
-      });
-      
-      await repository.create({
-        title: 'Progress Medium',
-        status: 'in_progress',
-        priority: 'medium',
-        tags: ['work', 'project']
+  describe('Custom fields', () => {
+    const workspaceId = '5d2e8f1a-3b4c-4d6e-8f9a-0b1c2d3e4f5a';
+    const teammateId = '7e6d5c4b-3a29-4817-a6f5-e4d3c2b1a098';
+    const pointsId = '2c3d4e5f-6a7b-4c8d-9e0f-1a2b3c4d5e6f';
+    const teamId = '8a9b0c1d-2e3f-4a5b-8c7d-9e0f1a2b3c4d';
+    const fields = [
+      { id: pointsId, workspaceId, name: 'Points', type: 'number', options: [], required: false },
+      { id: teamId, workspaceId, name: 'Team', type: 'select', options: ['Web', 'API'], required: true }
+    ];
+    const workspaceAs = role => ({
+      id: workspaceId,
+      name: 'Team',
+      members: [
+        { userId: testUser.id, role, addedAt: '2024-01-01T00:00:00.000Z' },
+        { userId: teammateId, role: 'owner', addedAt: '2024-01-01T00:00:00.000Z' }
+      ],
+      customFields: fields,
+      taskCount: 0
+    });
+
+    beforeEach(() => {
+      mockRepository.findWorkspaceById.mockResolvedValue(workspaceAs('editor'));
+      mockRepository.create.mockImplementation(async data => ({ ...mockTasks[0], ...data, id: '3', version: 1 }));
+    });
+
+    it('should check values against the workspace\'s fields when creating a task', async () => {
+      const missing = await app.request('POST', '/api/tasks', { title: 'Story', workspaceId, customFields: { [pointsId]: 3 } });
+      const invalid = await app.request('POST', '/api/tasks', {
+        title: 'Story', workspaceId, customFields: { [pointsId]: 'many', [teamId]: 'Ops' }
       });
-      
-      await repository.create({
-        title: 'Completed Low',
-        status: 'completed',
-        priority: 'low',
-        tags: ['done']
+      const created = await app.request('POST', '/api/tasks', {
+        title: 'Story', workspaceId, customFields: { [pointsId]: '5', [teamId]: 'Web' }
       });
+
+      expect(missing.statusCode).toBe(400);
+      expect(missing.body.error.details.errors).toEqual([
+        expect.objectContaining({ field: `customFields.${teamId}`, message: 'Team is required' })
+      ]);
+      expect(invalid.body.error.details.errors.map(error => error.message)).toEqual([
+        'Points must be a number',
+        'Team must be one of: Web, API'
+      ]);
+      expect(created.statusCode).toBe(201);
+      expect(mockRepository.create).toHaveBeenCalledTimes(1);
+      expect(mockRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+        customFields: { [pointsId]: 5, [teamId]: 'Web' }
+      }), { actor: testUser.id });
     });
 
-    it('should return correct statistics', async () => {
-      const stats = await repository.getStats();
+    it('should turn cf.<fieldId> parameters into filter conditions', async () => {
+      mockRepository.findAll.mockResolvedValue({ tasks: [], pagination: { total: 0, limit: 50, offset: 0, hasMore: false } });
+
+      const response = await app.request('GET',
+        `/api/tasks?workspaceId=${workspaceId}&cf.${pointsId}=3..&cf.${teamId}=none&sortBy=cf.${pointsId}`);
+      const invalid = await app.request('GET', `/api/tasks?workspaceId=${workspaceId}&cf.${pointsId}=lots`);
 
-      expect(stats.total).toBe(3);
-      expect(stats.byStatus.todo).toBe(1);
-      expect(stats.byStatus.in_progress).toBe(1);
-      expect(stats.byStatus.completed).toBe(1);
-      expect(stats.byPriority.low).toBe(1);
-      expect(stats.byPriority.medium).toBe(1);
-      expect(stats.byPriority.high).toBe(1);
-      expect(stats.tags.total).toBe(4);
+      expect(response.statusCode).toBe(200);
+      expect(mockRepository.findAll).toHaveBeenCalledWith(expect.objectContaining({
+        sortBy: `cf.${pointsId}`,
+        customFields: [
+          { fieldId: pointsId, match: 'range', min: 3, max: undefined },
+          { fieldId: teamId, match: 'empty' }
+        ]
+      }));
+      expect(invalid.statusCode).toBe(400);
+      expect(invalid.body.error.details.errors[0].field).toBe(`cf.${pointsId}`);
+      expect(mockRepository.findAll).toHaveBeenCalledTimes(1);
     });
 
-    it('should calculate overdue tasks correctly', async () => {
-      // Create overdue task
-      await repository.create({
-        title: 'Overdue Task',
-        status: 'todo',
-        dueDate: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString() // Yesterday
-      });
+    it('should let only owners define fields, with unique names', async () => {
+      const forbidden = await app.request('POST', `/api/workspaces/${workspaceId}/fields`, { name: 'Size', type: 'text' });
+
+      mockRepository.findWorkspaceById.mockResolvedValue(workspaceAs('owner'));
+      mockRepository.createCustomField.mockImplementation(async (id, data) => ({ id: '4', workspaceId: id, options: [], ...data }));
+      mockRepository.findUserById.mockResolvedValue(testUser);
+      const duplicate = await app.request('POST', `/api/workspaces/${workspaceId}/fields`, { name: 'points', type: 'text' });
+      const created = await app.request('POST', `/api/workspaces/${workspaceId}/fields`, { name: 'Size', type: 'text' });
+
+      expect(forbidden.statusCode).toBe(403);
+      expect(duplicate.statusCode).toBe(409);
+      expect(created.statusCode).toBe(201);
+      expect(mockRepository.createCustomField).toHaveBeenCalledTimes(1);
+      expect(mockRepository.createCustomField).toHaveBeenCalledWith(workspaceId, { name: 'Size', type: 'text', required: false });
+    });
+  });
 
-      const stats = await repository.getStats();
-      expect(stats.overdue).toBe(1);
+  describe('Workflows', () => {
+    const workspaceId = '5d2e8f1a-3b4c-4d6e-8f9a-0b1c2d3e4f5a';
+    const taskId = '0f1e2d3c-4b5a-4697-8877-665544332211';
+    const workflow = {
+      statuses: [
+        { id: 'todo', name: 'To Do', category: 'todo' },
+        { id: 'in_review', name: 'In review', category: 'in_progress' },
+        { id: 'done', name: 'Done', category: 'done' }
+      ],
+      transitions: { todo: ['in_review'], in_review: ['todo', 'done'], done: [] }
+    };
+    const workspaceAs = role => ({
+      id: workspaceId,
+      name: 'Team',
+      members: [{ userId: testUser.id, role, addedAt: '2024-01-01T00:00:00.000Z' }],
+      customFields: [],
+      workflow,
+      taskCount: 1
     });
 
-    it('should not count completed tasks as overdue', async () => {
-      // Create completed task that would be overdue
-      await repository.create({
-        title: 'Completed Overdue Task',
-        status: 'completed',
-        dueDate: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString()
+    beforeEach(() => {
+      mockRepository.findWorkspaceById.mockResolvedValue(workspaceAs('editor'));
+      mockRepository.findById.mockResolvedValue({
+        ...mockTasks[0], id: taskId, workspaceId, status: 'todo', statusCategory: 'todo', blockedBy: []
       });
+      mockRepository.update.mockImplementation(async (id, updates) => ({ ...mockTasks[0], id, workspaceId, ...updates }));
+    });
 
-      const stats = await repository.getStats();
-      expect(stats.overdue).toBe(0);
+    it('should only allow the status moves the workflow lists', async () => {
+      const skipped = await app.request('PUT', `/api/tasks/${taskId}`, { status: 'done' });
+      const unknown = await app.request('PUT', `/api/tasks/${taskId}`, { status: 'blocked' });
+      const allowed = await app.request('PUT', `/api/tasks/${taskId}`, { status: 'in_review' });
+
+      expect(skipped.statusCode).toBe(400);
+      expect(skipped.body.error.details).toEqual(expect.objectContaining({
+        rule: 'status_transition',
+        from: 'todo',
+        to: 'done',
+        allowed: ['in_review']
+      }));
+      expect(unknown.statusCode).toBe(400);
+      expect(unknown.body.error.details.errors[0].field).toBe('status');
+      expect(allowed.statusCode).toBe(200);
+      expect(mockRepository.update).toHaveBeenCalledTimes(1);
     });
 
-    it('should return popular tags', async () => {
-      // Add more tasks with repeated tags
-      await repository.create({
-        title: 'Another Work Task',
-        tags: ['work', 'urgent']
+    it('should let only owners change the workflow', async () => {
+      const response = await app.request('PUT', `/api/workspaces/${workspaceId}/workflow`, workflow);
+
+      expect(response.statusCode).toBe(403);
+      expect(mockRepository.updateWorkflow).not.toHaveBeenCalled();
+    });
+
+    it('should ask where tasks go before removing a status they are in', async () => {
+      mockRepository.findWorkspaceById.mockResolvedValue(workspaceAs('owner'));
+      mockRepository.findUserById.mockResolvedValue(testUser);
+      mockRepository.getStats.mockResolvedValue({ ...mockStats, byStatus: { todo: 0, in_review: 2, done: 0 } });
+      mockRepository.updateWorkflow.mockImplementation(async (id, updated) => ({ ...workspaceAs('owner'), workflow: updated }));
+      const statuses = [workflow.statuses[0], workflow.statuses[2]];
+
+      const noDone = await app.request('PUT', `/api/workspaces/${workspaceId}/workflow`, {
+        statuses: [workflow.statuses[0]]
+      });
+      const inUse = await app.request('PUT', `/api/workspaces/${workspaceId}/workflow`, {
+        statuses, transitions: { todo: ['done'] }
+      });
+      const moved = await app.request('PUT', `/api/workspaces/${workspaceId}/workflow`, {
+        statuses, transitions: { todo: ['done', 'todo'] }, moveTasks: { in_review: 'todo' }
       });
 
-      const stats = await repository.getStats();
-      const popularTags = stats.tags.popular;
-      
-      expect(popularTags).toHaveLength(5);
-      
-      // Find the 'work' tag which should have count of 2
-      const workTag = popularTags.find(tag => tag.tag === 'work');
-      expect(workTag.count).toBe(2);
+      expect(noDone.statusCode).toBe(400);
+      expect(inUse.statusCode).toBe(400);
+      expect(inUse.body.error.details).toEqual(expect.objectContaining({
+        rule: 'status_in_use',
+        statuses: [{ id: 'in_review', name: 'In review', taskCount: 2 }]
+      }));
+      expect(moved.statusCode).toBe(200);
+      expect(mockRepository.updateWorkflow).toHaveBeenCalledTimes(1);
+      expect(mockRepository.updateWorkflow).toHaveBeenCalledWith(
+        workspaceId,
+        { statuses, transitions: { todo: ['done'], done: [] } },
+        { moveTasks: { in_review: 'todo' } }
+      );
     });
   });
 
-  describe('clear', () => {
-    it('should remove all tasks and clean indexes', async () => {
-      await repository.create({ title: 'Task 1', tags: ['tag1'] });
-      await repository.create({ title: 'Task 2', tags: ['tag2'] });
+  describe('Error Handling', () => {
+    it('should handle invalid JSON in request body', async () => {
+      const response = await app.request('POST', '/api/tasks', 'invalid json');
 
-      await repository.clear();
+      expect(response.statusCode).toBe(400);
+      expect(response.body.success).toBe(false);
+      expect(response.body.error.type).toBe('json_parse_error');
+    });
 
-      const allTasks = await repository.findAll();
-      expect(allTasks.tasks).toHaveLength(0);
+    it('should handle missing Content-Type header', async () => {
+      const response = await app.request('POST', '/api/tasks', { title: 'Test' }, { 'content-type': undefined });
 
-      const stats = await repository.getStats();
-      expect(stats.total).toBe(0);
-      expect(stats.tags.total).toBe(0);
+      expect(response.statusCode).toBe(400);
+      expect(response.body.error.type).toBe('content_type_error');
+      expect(mockRepository.create).not.toHaveBeenCalled();
     });
-  });
 
-  describe('Edge Cases and Error Handling', () => {
-    it('should handle empty search queries', async () => {
-      const result = await repository.findAll({ search: '   ' });
-      expect(result.tasks).toHaveLength(1); // Should return all tasks (just sample)
+    it('should handle unknown endpoints', async () => {
+      const response = await app.request('GET', '/api/unknown');
+
+      expect(response.statusCode).toBe(404);
+      expect(response.body.success).toBe(false);
+      expect(response.body.error.type).toBe('endpoint_not_found');
     });
 
-    it('should handle invalid sort parameters gracefully', async () => {
-      const result = await repository.findAll({ 
-        sortBy: 'invalidField',
-        sortOrder: 'invalidOrder'
-      });
-      expect(result.tasks).toHaveLength(1);
+    it('should refuse requests while the storage schema is behind', async () => {
+      mockRepository.getAppliedMigrations.mockReturnValue([]);
+
+      const response = await app.request('GET', '/api/tasks');
+
+      expect(response.statusCode).toBe(503);
+      expect(response.body.error.type).toBe('schema_outdated');
+      expect(response.body.error.details.currentVersion).toBe(0);
+      expect(mockRepository.findAll).not.toHaveBeenCalled();
     });
 
-    it('should handle large pagination offsets', async () => {
-      const result = await repository.findAll({ offset: 1000 });
-      expect(result.tasks).toHaveLength(0);
-      expect(result.pagination.hasMore).toBe(false);
+    it('should handle unsupported HTTP methods', async () => {
+      const response = await app.request('PATCH', '/api/tasks');
+
+      expect(response.statusCode).toBe(405);
+      expect(response.body.success).toBe(false);
     });
+  });
 
-    it('should handle null and undefined task fields', async () => {
-      const task = await repository.create({
-        title: 'Test Task',
-        description: null,
-        dueDate: undefined
-      });
+  describe('CORS Handling', () => {
+    it('should handle preflight requests', async () => {
+      const response = await app.request('OPTIONS', '/api/tasks');
 
-      expect(task.description).toBe('');
-      expect(task.dueDate).toBeNull();
+      expect(response.statusCode).toBe(200);
+      expect(response.headers['Access-Control-Allow-Origin']).toBeDefined();
+      expect(response.headers['Access-Control-Allow-Methods']).toBeDefined();
     });
   });
 });
@@ -0,0 +1,146 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { TaskRepository, createTaskRepository } from '../data/TaskRepository.js';
+import { JsonFileStore } from '../data/stores/JsonFileStore.js';
+import { MigrationRunner } from '../data/migrations/MigrationRunner.js';
+import { migrations } from '../data/migrations/index.js';
+import { omit } from '../data/migrations/omit.js';
+
+const latestVersion = Math.max(...migrations.map(migration => migration.version));
+
+// Extra migration used to exercise up/down on both backends
+const addNotes = {
+  version: latestVersion + 1,
+  name: 'add_notes',
+  sqlite: {
+    up: db => db.exec("ALTER TABLE tasks ADD COLUMN notes TEXT NOT NULL DEFAULT ''"),
+    down: db => db.exec('ALTER TABLE tasks DROP COLUMN notes')
+  },
+  document: {
+    up: store => store.save('tasks', (store.load('tasks') || []).map(task => ({ ...task, notes: '' }))),
+    down: store => store.save('tasks', (store.load('tasks') || []).map(task => omit(task, 'notes')))
+  }
+};
+
+describe('MigrationRunner', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'tasks-migrations-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe.each([
+    ['memory', () => createTaskRepository('memory')],
+    ['file', () => createTaskRepository('file', { dataDir: directory })],
+    ['sqlite', () => createTaskRepository('sqlite', { dbPath: path.join(directory, 'tasks.db') })]
+  ])('%s repository', (_, openRepository) => {
+    let repository;
+
+    afterEach(() => {
+      repository.close?.();
+    });
+
+    it('should bootstrap a fresh store to the latest version', () => {
+      repository = openRepository();
+      const status = new MigrationRunner(repository).getStatus();
+
+      expect(status).toMatchObject({ currentVersion: latestVersion, latestVersion, upToDate: true, pending: [] });
+    });
+
+    it('should apply and roll back a migration', async () => {
+      repository = openRepository();
+      const runner = new MigrationRunner(repository, [...migrations, addNotes]);
+
+      expect(runner.getStatus().pending).toEqual([{ version: addNotes.version, name: 'add_notes' }]);
+      expect(runner.migrate()).toEqual([{ version: addNotes.version, name: 'add_notes' }]);
+      expect(runner.getStatus().upToDate).toBe(true);
+
+      const [task] = await repository.getAllRaw();
+      expect(task.title).toBeDefined();
+
+      expect(runner.rollback()).toEqual([{ version: addNotes.version, name: 'add_notes' }]);
+      expect(runner.getStatus().currentVersion).toBe(latestVersion);
+    });
+
+    it('should not re-apply migrations that are already recorded', () => {
+      repository = openRepository();
+
+      expect(new MigrationRunner(repository).migrate()).toEqual([]);
+    });
+  });
+
+  it('should keep applied versions across restarts of a file store', () => {
+    const store = new JsonFileStore(directory);
+    new MigrationRunner(new TaskRepository({ store }), [...migrations, addNotes]).migrate();
+
+    const reopened = new TaskRepository({ store: new JsonFileStore(directory) });
+    const status = new MigrationRunner(reopened, [...migrations, addNotes]).getStatus();
+
+    expect(status.currentVersion).toBe(addNotes.version);
+    expect(reopened.tasks.values().next().value.notes).toBe('');
+  });
+
+  it('should report a store written before migrations existed as behind', () => {
+    fs.writeFileSync(
+      path.join(directory, 'tasks.json'),
+      JSON.stringify({ collection: 'tasks', records: [] })
+    );
+
+    const repository = new TaskRepository({ store: new JsonFileStore(directory) });
+    const status = new MigrationRunner(repository).getStatus();
+
+    expect(status.currentVersion).toBe(0);
+    expect(status.upToDate).toBe(false);
+    expect(status.pending.map(migration => migration.version)).toContain(1);
+  });
+
+  it('should give tasks from a legacy store a version, an empty checklist, no dependencies, no recurrence, no project, no owner and no workspace', async () => {
+    fs.writeFileSync(
+      path.join(directory, 'tasks.json'),
+      JSON.stringify({ collection: 'tasks', records: [{ id: 'legacy', title: 'Old', status: 'todo', priority: 'low', tags: [] }] })
+    );
+
+    const repository = new TaskRepository({ store: new JsonFileStore(directory) });
+    new MigrationRunner(repository).migrate();
+
+    const updated = await repository.update('legacy', { title: 'Touched' }, { expectedVersion: 1 });
+    expect(updated.version).toBe(2);
+    expect(updated.checklist).toEqual([]);
+    expect(updated.requireChecklist).toBe(false);
+    expect(updated.blockedBy).toEqual([]);
+    expect(updated.blockers).toEqual([]);
+    expect(updated.recurrence).toBeNull();
+    expect(updated.nextOccurrenceId).toBeNull();
+    expect(updated.projectId).toBeNull();
+    expect(updated.ownerId).toBeNull();
+    expect(updated.workspaceId).toBeNull();
+  });
+
+  it('should roll back to an explicit target version', () => {
+    const repository = createTaskRepository('memory');
+    const runner = new MigrationRunner(repository, [...migrations, addNotes]);
+    runner.migrate();
+
+    runner.rollback(0);
+
+    expect(runner.getStatus().currentVersion).toBe(0);
+    expect(runner.migrate().map(migration => migration.version)).toEqual(
+      [...migrations, addNotes].map(migration => migration.version)
+    );
+  });
+
+  it('should reject duplicate or invalid versions', () => {
+    const repository = createTaskRepository('memory');
+
+    expect(() => new MigrationRunner(repository, [migrations[0], { ...migrations[0] }]))
+      .toThrow('Duplicate migration version');
+    expect(() => new MigrationRunner(repository, [{ version: 0, name: 'zero' }]))
+      .toThrow('invalid version');
+  });
+});
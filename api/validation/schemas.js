@@ -1,5 +1,80 @@
 // Schemas for Validating Tasks
 import Joi from 'joi';
+import { MAX_CHECKLIST_ITEMS } from '../data/checklist.js';
+import { MAX_DEPENDENCIES } from '../data/dependencies.js';
+import { FREQUENCIES, MAX_RECURRENCE_INTERVAL, MAX_RECURRENCE_COUNT } from '../data/recurrence.js';
+import { MAX_PROJECT_NAME_LENGTH, MAX_PROJECT_DESCRIPTION_LENGTH } from '../data/projects.js';
+import { MIN_PASSWORD_LENGTH, MAX_PASSWORD_LENGTH, MAX_USER_NAME_LENGTH } from '../data/users.js';
+import { MAX_WORKSPACE_NAME_LENGTH, WORKSPACE_ROLES } from '../data/workspaces.js';
+import { API_KEY_SCOPES, MAX_API_KEY_NAME_LENGTH } from '../data/apiKeys.js';
+import { MAX_COMMENT_LENGTH } from '../data/comments.js';
+import { MAX_DESCRIPTION_LENGTH } from '../data/descriptions.js';
+import {
+  CUSTOM_FIELD_TYPES,
+  MAX_CUSTOM_FIELD_NAME_LENGTH,
+  MAX_CUSTOM_FIELD_OPTIONS,
+  MAX_CUSTOM_FIELD_OPTION_LENGTH
+} from '../data/customFields.js';
+import {
+  MAX_STATUS_NAME_LENGTH,
+  MAX_WORKFLOW_STATUSES,
+  STATUS_CATEGORIES,
+  STATUS_ID_PATTERN
+} from '../data/workflows.js';
+
+// Status IDs come from the task's workflow, so only their shape is checked here
+const statusId = Joi.string()
+  .pattern(STATUS_ID_PATTERN)
+  .messages({
+    'string.pattern.base': 'Status must be a status ID such as "todo" or "in_review"'
+  });
+
+// Recurrence rule; null makes the task a one-off
+const recurrenceSchema = Joi.object({
+  frequency: Joi.string()
+    .valid(...FREQUENCIES)
+    .required()
+    .messages({
+      'any.only': `Frequency must be one of: ${FREQUENCIES.join(', ')}`,
+      'any.required': 'Recurrence frequency is required'
+    }),
+
+  interval: Joi.number()
+    .integer()
+    .min(1)
+    .max(MAX_RECURRENCE_INTERVAL)
+    .default(1)
+    .messages({
+      'number.min': 'Recurrence interval must be at least 1',
+      'number.max': `Recurrence interval must be ${MAX_RECURRENCE_INTERVAL} or less`
+    }),
+
+  weekdays: Joi.array()
+    .items(Joi.number().integer().min(0).max(6))
+    .unique(),
+
+  until: Joi.date()
+    .iso()
+    .allow(null)
+    .messages({
+      'date.format': 'Recurrence end date must be a valid ISO date'
+    }),
+
+  count: Joi.number()
+    .integer()
+    .min(1)
+    .max(MAX_RECURRENCE_COUNT)
+    .allow(null)
+    .messages({
+      'number.min': 'Recurrence count must be at least 1',
+      'number.max': `Recurrence count must be ${MAX_RECURRENCE_COUNT} or less`
+    })
+})
+  .oxor('until', 'count')
+  .allow(null)
+  .messages({
+    'object.oxor': 'A recurrence can end on a date or after a count, not both'
+  });
 
 // Task validation schemas
 export const taskSchemas = {
@@ -18,20 +93,17 @@ export const taskSchemas = {
       }),
     
     description: Joi.string()
-      .trim()
-      .max(500)
+      .max(MAX_DESCRIPTION_LENGTH)
+      // Only trailing whitespace goes (leading whitespace can be Markdown indentation); trimEnd() runs
+      // in linear time where a /\s+$/ replace is quadratic on long runs of whitespace
+      .custom(value => value.trimEnd())
       .allow('')
       .optional()
       .messages({
-        'string.max': 'Description must be 500 characters or less'
+        'string.max': `Description must be ${MAX_DESCRIPTION_LENGTH} characters or less`
       }),
     
-    status: Joi.string()
-      .valid('todo', 'in_progress', 'completed')
-      .default('todo')
-      .messages({
-        'any.only': 'Status must be one of: todo, in_progress, completed'
-      }),
+    status: statusId,
     
     priority: Joi.string()
       .valid('low', 'medium', 'high')
@@ -40,6 +112,16 @@ export const taskSchemas = {
         'any.only': 'Priority must be one of: low, medium, high'
       }),
     
+    startDate: Joi.date()
+      .iso()
+      .allow(null)
+      .optional()
+      .when('dueDate', { is: Joi.date().required(), then: Joi.date().max(Joi.ref('dueDate')) })
+      .messages({
+        'date.format': 'Start date must be a valid ISO date',
+        'date.max': 'Start date must be on or before the due date'
+      }),
+    
     dueDate: Joi.date()
       .iso()
       .min('now')
@@ -67,7 +149,55 @@ export const taskSchemas = {
       .messages({
         'array.max': 'Maximum 10 tags allowed',
         'array.unique': 'Tags must be unique'
-      })
+      }),
+
+    checklist: Joi.array()
+      .items(
+        Joi.object({
+          text: Joi.string().trim().min(1).max(200).required(),
+          done: Joi.boolean().default(false)
+        })
+      )
+      .max(MAX_CHECKLIST_ITEMS)
+      .default([])
+      .messages({
+        'array.max': `Maximum ${MAX_CHECKLIST_ITEMS} checklist items allowed`
+      }),
+
+    requireChecklist: Joi.boolean()
+      .default(false),
+
+    blockedBy: Joi.array()
+      .items(Joi.string().guid())
+      .max(MAX_DEPENDENCIES)
+      .unique()
+      .default([])
+      .messages({
+        'array.max': `A task can be blocked by at most ${MAX_DEPENDENCIES} tasks`,
+        'array.unique': 'Blocking tasks must be unique'
+      }),
+
+    recurrence: recurrenceSchema
+      .default(null),
+
+    projectId: Joi.string()
+      .guid()
+      .allow(null)
+      .default(null),
+
+    workspaceId: Joi.string()
+      .guid()
+      .allow(null)
+      .default(null),
+
+    assigneeId: Joi.string()
+      .guid()
+      .allow(null)
+      .default(null),
+
+    // Keyed by field ID; values are checked against the workspace's field definitions
+    customFields: Joi.object()
+      .unknown(true)
   }),
 
   // Update task schema (all fields optional except constraints)
@@ -83,18 +213,14 @@ export const taskSchemas = {
       }),
     
     description: Joi.string()
-      .trim()
-      .max(500)
+      .max(MAX_DESCRIPTION_LENGTH)
+      .custom(value => value.trimEnd())
       .allow('')
       .messages({
-        'string.max': 'Description must be 500 characters or less'
+        'string.max': `Description must be ${MAX_DESCRIPTION_LENGTH} characters or less`
       }),
     
-    status: Joi.string()
-      .valid('todo', 'in_progress', 'completed')
-      .messages({
-        'any.only': 'Status must be one of: todo, in_progress, completed'
-      }),
+    status: statusId,
     
     priority: Joi.string()
       .valid('low', 'medium', 'high')
@@ -102,6 +228,15 @@ export const taskSchemas = {
         'any.only': 'Priority must be one of: low, medium, high'
       }),
     
+    startDate: Joi.date()
+      .iso()
+      .allow(null)
+      .when('dueDate', { is: Joi.date().required(), then: Joi.date().max(Joi.ref('dueDate')) })
+      .messages({
+        'date.format': 'Start date must be a valid ISO date',
+        'date.max': 'Start date must be on or before the due date'
+      }),
+    
     dueDate: Joi.date()
       .iso()
       .allow(null)
@@ -122,7 +257,37 @@ export const taskSchemas = {
       .messages({
         'array.max': 'Maximum 10 tags allowed',
         'array.unique': 'Tags must be unique'
-      })
+      }),
+
+    requireChecklist: Joi.boolean(),
+
+    blockedBy: Joi.array()
+      .items(Joi.string().guid())
+      .max(MAX_DEPENDENCIES)
+      .unique()
+      .messages({
+        'array.max': `A task can be blocked by at most ${MAX_DEPENDENCIES} tasks`,
+        'array.unique': 'Blocking tasks must be unique'
+      }),
+
+    recurrence: recurrenceSchema,
+
+    projectId: Joi.string()
+      .guid()
+      .allow(null),
+
+    workspaceId: Joi.string()
+      .guid()
+      .allow(null),
+
+    assigneeId: Joi.string()
+      .guid()
+      .allow(null),
+
+    customFields: Joi.object()
+      .unknown(true),
+
+    position: Joi.number()
   }).min(1).messages({
     'object.min': 'At least one field must be provided for update'
   })
@@ -131,14 +296,266 @@ export const taskSchemas = {
 // Query parameter validation schemas
 export const querySchemas = {
   taskFilters: Joi.object({
-    status: Joi.string().valid('todo', 'in_progress', 'completed'),
+    status: statusId,
     priority: Joi.string().valid('low', 'medium', 'high'),
     tags: Joi.string(), // Will be split into array later
     search: Joi.string().max(200),
     overdue: Joi.boolean(),
-    sortBy: Joi.string().valid('title', 'status', 'priority', 'createdAt', 'updatedAt', 'dueDate').default('updatedAt'),
+    dueFrom: Joi.string().isoDate(), // Due on or after; a plain date starts at midnight UTC
+    dueTo: Joi.string().isoDate(), // Due on or before; a plain date covers that whole day
+    blocked: Joi.boolean(),
+    projectId: Joi.alternatives().try(Joi.string().guid(), Joi.string().valid('none')), // "none": no project
+    workspaceId: Joi.string().guid(), // Omitted: the caller's personal tasks
+    assigneeId: Joi.alternatives().try(Joi.string().guid(), Joi.string().valid('me', 'none')), // "none": unassigned
+    sortBy: Joi.alternatives().try(
+      Joi.string().valid('title', 'status', 'priority', 'position', 'createdAt', 'updatedAt', 'startDate', 'dueDate'),
+      Joi.string().pattern(/^cf\.[0-9a-f-]{36}$/i) // A custom field, cf.<fieldId>
+    ).default('updatedAt'),
     sortOrder: Joi.string().valid('asc', 'desc').default('desc'),
     limit: Joi.number().integer().min(1).max(100).default(50),
     offset: Joi.number().integer().min(0).default(0)
+      .when('cursor', { is: Joi.exist(), then: Joi.forbidden() }), // Either a cursor or an offset
+    cursor: Joi.string().max(1000) // nextCursor of the previous page, in the same sort order
   })
-};
\ No newline at end of file
+};
+
+// Project validation schemas
+export const projectSchemas = {
+  create: Joi.object({
+    name: Joi.string()
+      .trim()
+      .min(1)
+      .max(MAX_PROJECT_NAME_LENGTH)
+      .required()
+      .messages({
+        'string.empty': 'Project name cannot be empty',
+        'string.max': `Project name must be ${MAX_PROJECT_NAME_LENGTH} characters or less`,
+        'any.required': 'Project name is required'
+      }),
+
+    description: Joi.string()
+      .trim()
+      .max(MAX_PROJECT_DESCRIPTION_LENGTH)
+      .allow('')
+      .default(''),
+
+    color: Joi.string()
+      .pattern(/^#[0-9a-fA-F]{6}$/)
+      .messages({
+        'string.pattern.base': 'Color must be a hex color like #77bc1f'
+      })
+  }),
+
+  update: Joi.object({
+    name: Joi.string()
+      .trim()
+      .min(1)
+      .max(MAX_PROJECT_NAME_LENGTH),
+
+    description: Joi.string()
+      .trim()
+      .max(MAX_PROJECT_DESCRIPTION_LENGTH)
+      .allow(''),
+
+    color: Joi.string()
+      .pattern(/^#[0-9a-fA-F]{6}$/)
+  }).min(1).messages({
+    'object.min': 'At least one field must be provided for update'
+  })
+};
+
+// Account validation schemas
+export const userSchemas = {
+  register: Joi.object({
+    email: Joi.string()
+      .trim()
+      .lowercase()
+      .email()
+      .max(254)
+      .required()
+      .messages({
+        'string.email': 'Email must be a valid email address',
+        'any.required': 'Email is required'
+      }),
+
+    name: Joi.string()
+      .trim()
+      .min(1)
+      .max(MAX_USER_NAME_LENGTH)
+      .required()
+      .messages({
+        'string.empty': 'Name cannot be empty',
+        'string.max': `Name must be ${MAX_USER_NAME_LENGTH} characters or less`,
+        'any.required': 'Name is required'
+      }),
+
+    password: Joi.string()
+      .min(MIN_PASSWORD_LENGTH)
+      .max(MAX_PASSWORD_LENGTH)
+      .required()
+      .messages({
+        'string.min': `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+        'string.max': `Password must be ${MAX_PASSWORD_LENGTH} characters or less`,
+        'any.required': 'Password is required'
+      })
+  }),
+
+  login: Joi.object({
+    email: Joi.string()
+      .trim()
+      .lowercase()
+      .required(),
+
+    password: Joi.string()
+      .required()
+  })
+};
+
+// Workspace validation schemas
+export const workspaceSchemas = {
+  create: Joi.object({
+    name: Joi.string()
+      .trim()
+      .min(1)
+      .max(MAX_WORKSPACE_NAME_LENGTH)
+      .required()
+      .messages({
+        'string.empty': 'Workspace name cannot be empty',
+        'string.max': `Workspace name must be ${MAX_WORKSPACE_NAME_LENGTH} characters or less`,
+        'any.required': 'Workspace name is required'
+      })
+  }),
+
+  update: Joi.object({
+    name: Joi.string()
+      .trim()
+      .min(1)
+      .max(MAX_WORKSPACE_NAME_LENGTH)
+      .required()
+  }),
+
+  addMember: Joi.object({
+    email: Joi.string()
+      .trim()
+      .lowercase()
+      .email()
+      .required(),
+
+    role: Joi.string()
+      .valid(...WORKSPACE_ROLES)
+      .default('editor')
+  }),
+
+  updateMember: Joi.object({
+    role: Joi.string()
+      .valid(...WORKSPACE_ROLES)
+      .required()
+  })
+};
+
+export const apiKeySchemas = {
+  create: Joi.object({
+    name: Joi.string()
+      .trim()
+      .min(1)
+      .max(MAX_API_KEY_NAME_LENGTH)
+      .required()
+      .messages({
+        'string.empty': 'API key name cannot be empty',
+        'string.max': `API key name must be ${MAX_API_KEY_NAME_LENGTH} characters or less`,
+        'any.required': 'API key name is required'
+      }),
+
+    scopes: Joi.array()
+      .items(Joi.string().valid(...API_KEY_SCOPES))
+      .min(1)
+      .unique()
+      .default(['read'])
+  })
+};
+
+const commentBody = Joi.string()
+  .trim()
+  .min(1)
+  .max(MAX_COMMENT_LENGTH)
+  .required()
+  .messages({
+    'string.empty': 'Comment cannot be empty',
+    'string.max': `Comment must be ${MAX_COMMENT_LENGTH} characters or less`,
+    'any.required': 'Comment text is required'
+  });
+
+export const commentSchemas = {
+  create: Joi.object({
+    body: commentBody
+  }),
+
+  update: Joi.object({
+    body: commentBody
+  })
+};
+
+const customFieldName = Joi.string()
+  .trim()
+  .min(1)
+  .max(MAX_CUSTOM_FIELD_NAME_LENGTH);
+
+const customFieldOptions = Joi.array()
+  .items(Joi.string().trim().min(1).max(MAX_CUSTOM_FIELD_OPTION_LENGTH))
+  .min(1)
+  .max(MAX_CUSTOM_FIELD_OPTIONS)
+  .unique((a, b) => a.toLowerCase() === b.toLowerCase());
+
+export const customFieldSchemas = {
+  create: Joi.object({
+    name: customFieldName.required(),
+
+    type: Joi.string()
+      .valid(...CUSTOM_FIELD_TYPES)
+      .required(),
+
+    // Only select and multiselect fields pick from options
+    options: customFieldOptions.when('type', {
+      is: Joi.valid('select', 'multiselect'),
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    }),
+
+    required: Joi.boolean()
+      .default(false)
+  }),
+
+  update: Joi.object({
+    name: customFieldName,
+    options: customFieldOptions,
+    required: Joi.boolean()
+  }).min(1).messages({
+    'object.min': 'At least one field must be provided for update'
+  })
+};
+
+export const workflowSchemas = {
+  // The whole workflow: statuses in order (new tasks start in the first) and the allowed moves
+  update: Joi.object({
+    statuses: Joi.array()
+      .items(Joi.object({
+        id: statusId.required(),
+        name: Joi.string().trim().min(1).max(MAX_STATUS_NAME_LENGTH).required(),
+        category: Joi.string().valid(...STATUS_CATEGORIES).required()
+      }))
+      .min(1)
+      .max(MAX_WORKFLOW_STATUSES)
+      .unique('id')
+      .unique((a, b) => a.name.toLowerCase() === b.name.toLowerCase())
+      .required(),
+
+    transitions: Joi.object()
+      .pattern(STATUS_ID_PATTERN, Joi.array().items(statusId).unique())
+      .default({}),
+
+    // Removed status ID -> status its tasks move to
+    moveTasks: Joi.object()
+      .pattern(STATUS_ID_PATTERN, statusId)
+      .default({})
+  })
+};
@@ -0,0 +1,66 @@
+// scripts/migrate.js - Run storage schema migrations against the configured store
+// Usage: node scripts/migrate.js [status | up [version] | down [version]]
+// The store is selected with the same TASK_STORAGE / TASK_DATA_DIR / TASK_DB_PATH
+// environment variables the API uses.
+import { getTaskRepository } from '../api/data/TaskRepository.js';
+import { MigrationRunner } from '../api/data/migrations/MigrationRunner.js';
+
+function parseVersion(value) {
+  if (value === undefined) return undefined;
+
+  const version = Number(value);
+  if (!Number.isInteger(version) || version < 0) {
+    throw new Error(`Invalid target version: ${value}`);
+  }
+  return version;
+}
+
+function printStatus(runner) {
+  const status = runner.getStatus();
+
+  console.log(`Current version: ${status.currentVersion}`);
+  console.log(`Latest version:  ${status.latestVersion}`);
+  if (status.pending.length === 0) {
+    console.log('Schema is up to date');
+  } else {
+    console.log('Pending migrations:');
+    status.pending.forEach(({ version, name }) => console.log(`  ${version} ${name}`));
+  }
+}
+
+function main() {
+  const [command = 'up', target] = process.argv.slice(2);
+  const repository = getTaskRepository();
+  const runner = new MigrationRunner(repository);
+
+  try {
+    switch (command) {
+      case 'status':
+        printStatus(runner);
+        break;
+      case 'up': {
+        const applied = runner.migrate(parseVersion(target) ?? runner.getLatestVersion());
+        console.log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : 'Nothing to migrate');
+        printStatus(runner);
+        break;
+      }
+      case 'down': {
+        const reverted = runner.rollback(parseVersion(target));
+        console.log(reverted.length > 0 ? `Reverted ${reverted.length} migration(s)` : 'Nothing to revert');
+        printStatus(runner);
+        break;
+      }
+      default:
+        throw new Error(`Unknown command "${command}". Use status, up [version] or down [version].`);
+    }
+  } finally {
+    repository.close?.();
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`Migration failed: ${error.message}`);
+  process.exit(1);
+}
@@ -1,33 +1,108 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import TaskList from './components/TaskList/TaskList.jsx';
+import TaskBoard from './components/TaskBoard/TaskBoard.jsx';
+import TaskCalendar from './components/TaskCalendar/TaskCalendar.jsx';
+import TaskTimeline from './components/TaskTimeline/TaskTimeline.jsx';
 import TaskForm from './components/TaskForm/TaskForm.jsx';
 import FilterBar from './components/FilterBar/FilterBar.jsx';
 import Dashboard from './components/Dashboard/Dashboard.jsx';
+import TaskDetail from './components/TaskDetail/TaskDetail.jsx';
+import Trash from './components/Trash/Trash.jsx';
+import Settings from './components/Settings/Settings.jsx';
+import ToastContainer from './components/Toast/ToastContainer.jsx';
+import ProjectSwitcher from './components/ProjectSwitcher/ProjectSwitcher.jsx';
+import WorkspaceSwitcher from './components/WorkspaceSwitcher/WorkspaceSwitcher.jsx';
+import Login from './components/Login/Login.jsx';
 import { TaskProvider } from './context/TaskContext.jsx';
 import { useTasks } from './hooks/useTasks.js';
-import { tasksAPI } from './utils/api.js';
+import { tasksAPI, authAPI, requestInterceptors } from './utils/api.js';
 import './App.css';
 
+// Ways to show the task list, picked in the header
+const LAYOUTS = [
+  { id: 'list', label: '☰ List' },
+  { id: 'board', label: '▦ Board' },
+  { id: 'calendar', label: '📅 Calendar' },
+  { id: 'timeline', label: '📊 Timeline' }
+];
+
 // Main App Content (wrapped in TaskProvider)
-function AppContent() {
+function AppContent({ user, onLogout }) {
   const {
     tasks,
     stats,
+    projects,
+    currentProjectId,
+    workspaces,
+    currentWorkspaceId,
+    permissions,
+    customFields,
+    workflow,
     loading,
+    loadingMore,
     error,
     selectedTask,
     filters: contextFilters,
+    pagination,
     createTask,
     updateTask,
+    changeTaskStatus,
+    moveTask,
     deleteTask,
+    bulkUpdateStatus,
+    bulkDeleteTasks,
+    loadTaskHistory,
+    loadComments,
+    addComment,
+    editComment,
+    deleteComment,
+    loadAttachments,
+    uploadAttachment,
+    downloadAttachment,
+    deleteAttachment,
+    addChecklistItem,
+    toggleChecklistItem,
+    removeChecklistItem,
+    moveChecklistItem,
+    loadTasksDue,
+    loadTrash,
+    restoreTask,
+    purgeTask,
+    emptyTrash,
     loadTasks,
+    loadMoreTasks,
     loadStats,
     updateFilters,
     updateSearch,
+    selectProject,
+    createProject,
+    updateProject,
+    deleteProject,
+    selectWorkspace,
+    createWorkspace,
+    updateWorkspace,
+    deleteWorkspace,
+    addWorkspaceMember,
+    updateWorkspaceMember,
+    removeWorkspaceMember,
+    createCustomField,
+    updateCustomField,
+    deleteCustomField,
+    updateWorkflow,
     selectTask,
-    clearError
+    clearError,
+    conflict,
+    resolveConflict,
+    toasts,
+    notify,
+    dismissToast
   } = useTasks();
 
+  // Buttons for actions the current workspace role doesn't allow are hidden
+  const canCreate = permissions.includes('create');
+  const canEdit = permissions.includes('update');
+  const canDelete = permissions.includes('delete');
+
   // Local UI state
   const [backendStatus, setBackendStatus] = useState('Checking connection...');
   const [showCreateForm, setShowCreateForm] = useState(false);
@@ -36,6 +111,9 @@ function AppContent() {
   const [formError, setFormError] = useState(null);
   const [deleteConfirm, setDeleteConfirm] = useState(null);
   const [dashboardMode, setDashboardMode] = useState('compact'); // Default to compact
+  const [view, setView] = useState('tasks'); // 'tasks' | 'trash' | 'settings'
+  const [layout, setLayout] = useState('list'); // How tasks are shown: 'list' | 'board' | 'calendar' | 'timeline'
+  const [newTaskDueDate, setNewTaskDueDate] = useState(''); // Day clicked in the calendar
 
   // Initialize app - check backend health ONCE
   useEffect(() => {
@@ -86,12 +164,22 @@ function AppContent() {
       tags: [],
       search: '',
       overdue: false,
+      blocked: '',
+      assigneeId: '',
+      customFields: {},
       sortBy: 'updatedAt',
       sortOrder: 'desc'
     };
     await updateFilters(clearedFilters);
   }, [updateFilters]);
 
+  // "My tasks" quick view: the assignee filter set to the current user
+  const showingMyTasks = contextFilters?.assigneeId === 'me';
+  const handleToggleMyTasks = useCallback(async () => {
+    await updateFilters({ assigneeId: showingMyTasks ? '' : 'me' });
+    setView('tasks');
+  }, [showingMyTasks, updateFilters]);
+
   const handleDashboardFilterChange = useCallback(async (filterChange) => {
     console.log('Dashboard filter update:', filterChange);
     await updateFilters({
@@ -105,6 +193,15 @@ function AppContent() {
     console.log('Opening task creation form');
     setShowCreateForm(true);
     setEditingTask(null);
+    setNewTaskDueDate('');
+    setFormError(null);
+  }, []);
+
+  const handleCreateTaskDue = useCallback((day) => {
+    console.log('Opening task creation form due on', day);
+    setShowCreateForm(true);
+    setEditingTask(null);
+    setNewTaskDueDate(day);
     setFormError(null);
   }, []);
 
@@ -150,16 +247,56 @@ function AppContent() {
   const handleTaskStatusChange = useCallback(async (taskId, newStatus) => {
     console.log('Updating task status:', taskId, newStatus);
     try {
-      await updateTask(taskId, { status: newStatus });
+      await changeTaskStatus(taskId, newStatus);
     } catch (error) {
       console.error('Failed to update task status:', error);
     }
+  }, [changeTaskStatus]);
+
+  const handleTaskMove = useCallback(async (taskId, move) => {
+    console.log('Moving task on the board:', taskId, move);
+    try {
+      await moveTask(taskId, move);
+    } catch (error) {
+      console.error('Failed to move task:', error);
+    }
+  }, [moveTask]);
+
+  // Errors reach the calendar, which puts the task back on its old day
+  const handleReschedule = useCallback((taskId, dueDate) => {
+    console.log('Rescheduling task:', taskId, dueDate);
+    return updateTask(taskId, { dueDate });
   }, [updateTask]);
 
+  // Same for the timeline, where a bar's start or due date is dragged
+  const handleChangeDates = useCallback((taskId, dates) => {
+    console.log('Changing task dates:', taskId, dates);
+    return updateTask(taskId, dates);
+  }, [updateTask]);
+
+  const handleBulkStatusChange = useCallback(async (taskIds, newStatus) => {
+    console.log('Updating status of', taskIds.length, 'tasks:', newStatus);
+    await bulkUpdateStatus(taskIds, newStatus);
+  }, [bulkUpdateStatus]);
+
+  const handleBulkDelete = useCallback(async (taskIds) => {
+    console.log('Moving', taskIds.length, 'tasks to trash');
+    await bulkDeleteTasks(taskIds);
+  }, [bulkDeleteTasks]);
+
   const handleTaskSelect = useCallback((task) => {
     selectTask(task);
   }, [selectTask]);
 
+  const handleCloseDetail = useCallback(() => {
+    selectTask(null);
+  }, [selectTask]);
+
+  const handleEditFromDetail = useCallback((task) => {
+    selectTask(null);
+    handleEditTask(task);
+  }, [selectTask, handleEditTask]);
+
   const handleDeleteTask = useCallback((task) => {
     console.log('Requesting task deletion:', task.id);
     setDeleteConfirm(task);
@@ -181,9 +318,9 @@ function AppContent() {
     } catch (error) {
       console.error('Failed to delete task:', error);
       // Show error message to user but don't close modal
-      alert(`Failed to delete task: ${error.message}`);
+      notify({ type: 'error', message: `Failed to delete task: ${error.message}` });
     }
-  }, [deleteConfirm, deleteTask]);
+  }, [deleteConfirm, deleteTask, notify]);
 
   const cancelDelete = useCallback(() => {
     console.log('Task deletion cancelled');
@@ -209,6 +346,12 @@ function AppContent() {
     }
   }, [loadTasks, loadStats]);
 
+  // Workspace tasks can go to any member; personal tasks only to their owner
+  const currentWorkspace = workspaces.find(workspace => workspace.id === currentWorkspaceId);
+  const assignees = currentWorkspace
+    ? currentWorkspace.members.map(member => ({ id: member.userId, name: member.name || member.email || 'Unknown user' }))
+    : [{ id: user.id, name: user.name }];
+
   // Get available tags for FilterBar
   const getAvailableTags = useCallback(() => {
     if (!stats?.tags?.popular) return [];
@@ -227,12 +370,40 @@ function AppContent() {
             </div>
             
             <div className="header-controls">
-              <button 
-                className="btn btn-primary"
-                onClick={handleCreateTask}
-              >
-                + New Task
-              </button>
+              <WorkspaceSwitcher
+                workspaces={workspaces}
+                currentWorkspaceId={currentWorkspaceId}
+                currentUserId={user.id}
+                onSelect={selectWorkspace}
+                onCreate={createWorkspace}
+                onRename={updateWorkspace}
+                onDelete={deleteWorkspace}
+                onAddMember={addWorkspaceMember}
+                onChangeRole={updateWorkspaceMember}
+                onRemoveMember={removeWorkspaceMember}
+                onCreateField={createCustomField}
+                onUpdateField={updateCustomField}
+                onDeleteField={deleteCustomField}
+                onUpdateWorkflow={updateWorkflow}
+              />
+
+              <ProjectSwitcher
+                projects={projects}
+                currentProjectId={currentProjectId}
+                onSelect={selectProject}
+                onCreate={createProject}
+                onUpdate={updateProject}
+                onDelete={deleteProject}
+              />
+
+              {canCreate && (
+                <button 
+                  className="btn btn-primary"
+                  onClick={handleCreateTask}
+                >
+                  + New Task
+                </button>
+              )}
               
               <button
                 className="btn btn-secondary"
@@ -243,6 +414,47 @@ function AppContent() {
                 ↻ Refresh
               </button>
               
+              <div className="layout-toggle" role="group" aria-label="Task layout">
+                {LAYOUTS.map(({ id, label }) => (
+                  <button
+                    key={id}
+                    className="btn btn-secondary"
+                    onClick={() => {
+                      setLayout(id);
+                      setView('tasks');
+                    }}
+                    aria-pressed={layout === id && view === 'tasks'}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+
+              <button
+                className="btn btn-secondary"
+                onClick={handleToggleMyTasks}
+                aria-pressed={showingMyTasks && view === 'tasks'}
+                title="Show only tasks assigned to you"
+              >
+                👤 My tasks
+              </button>
+
+              <button
+                className="btn btn-secondary"
+                onClick={() => setView(view === 'trash' ? 'tasks' : 'trash')}
+                aria-pressed={view === 'trash'}
+              >
+                {view === 'trash' ? '← Back to tasks' : `🗑 Trash${stats?.trashed ? ` (${stats.trashed})` : ''}`}
+              </button>
+
+              <button
+                className="btn btn-secondary"
+                onClick={() => setView(view === 'settings' ? 'tasks' : 'settings')}
+                aria-pressed={view === 'settings'}
+              >
+                {view === 'settings' ? '← Back to tasks' : '⚙ Settings'}
+              </button>
+
               <div className="dashboard-toggle">
                 <label>Dashboard: </label>
                 <select 
@@ -255,6 +467,11 @@ function AppContent() {
                   <option value="full">Full Size</option>
                 </select>
               </div>
+
+              <span className="header-user" title={user.email}>{user.name}</span>
+              <button className="btn btn-secondary" onClick={onLogout}>
+                Log out
+              </button>
             </div>
           </div>
           
@@ -277,6 +494,20 @@ function AppContent() {
             </div>
           )}
 
+          {/* Concurrent edit - someone else saved this task first */}
+          {conflict && (
+            <div className="error-banner conflict-banner" role="alert">
+              <p>
+                &quot;{conflict.serverTask.title}&quot; was changed by someone else while you were editing.
+                The latest version is shown.
+              </p>
+              <button onClick={() => resolveConflict('overwrite').catch(console.error)}>
+                Keep my changes
+              </button>
+              <button onClick={() => resolveConflict('discard')}>Use latest</button>
+            </div>
+          )}
+
           {/* Global Loading State */}
           {loading && tasks.length === 0 && (
             <div className="loading-banner">
@@ -290,67 +521,140 @@ function AppContent() {
           <div className="main-content-grid">
             {/* Left Column - Filter and Tasks */}
             <div className="tasks-column">
-              {/* Filter Bar */}
-              <FilterBar
-                filters={contextFilters}
-                onFiltersChange={handleFiltersChange}
-                taskStats={stats}
-                availableTags={getAvailableTags()}
-                loading={false}
-                onClearFilters={handleClearAllFilters}
-              />
-
-              {/* Task List */}
-              <div className="tasks-section">
-                <div className="tasks-header">
-                  <h3>
-                    Tasks 
-                    {contextFilters?.search && ` - Search: "${contextFilters.search}"`}
-                    {contextFilters?.status && ` - Status: ${contextFilters.status}`}
-                    {contextFilters?.priority && ` - Priority: ${contextFilters.priority}`}
-                    {contextFilters?.overdue && ` - Overdue Items`}
-                  </h3>
-                  
-                  {/* Active Filters Summary */}
-                  {(contextFilters?.search || contextFilters?.status || contextFilters?.priority || 
-                    contextFilters?.tags?.length > 0 || contextFilters?.overdue) && (
-                    <div className="active-filters-summary">
-                      <span className="filters-label">Active filters:</span>
-                      {contextFilters.search && (
-                        <span className="filter-tag">Search: "{contextFilters.search}"</span>
-                      )}
-                      {contextFilters.status && (
-                        <span className="filter-tag">Status: {contextFilters.status}</span>
-                      )}
-                      {contextFilters.priority && (
-                        <span className="filter-tag">Priority: {contextFilters.priority}</span>
-                      )}
-                      {contextFilters.tags?.map(tag => (
-                        <span key={tag} className="filter-tag">#{tag}</span>
-                      ))}
-                      {contextFilters.overdue && (
-                        <span className="filter-tag">Overdue</span>
+              {view === 'settings' ? (
+                <Settings
+                  user={user}
+                  onLoadKeys={async () => (await authAPI.getApiKeys()).data}
+                  onCreateKey={async (keyData) => (await authAPI.createApiKey(keyData)).data}
+                  onRevokeKey={authAPI.revokeApiKey}
+                />
+              ) : view === 'trash' ? (
+                <Trash
+                  key={currentWorkspaceId}
+                  onLoadTrash={loadTrash}
+                  onRestore={restoreTask}
+                  onPurge={purgeTask}
+                  onEmpty={emptyTrash}
+                  canDelete={canDelete}
+                />
+              ) : (
+                <>
+                  {/* Filter Bar */}
+                  <FilterBar
+                    filters={contextFilters}
+                    onFiltersChange={handleFiltersChange}
+                    taskStats={stats}
+                    availableTags={getAvailableTags()}
+                    loading={false}
+                    onClearFilters={handleClearAllFilters}
+                    assignees={assignees}
+                    customFields={customFields}
+                    workflow={workflow}
+                  />
+
+                  {/* Task List */}
+                  <div className="tasks-section">
+                    <div className="tasks-header">
+                      <h3>
+                        Tasks 
+                        {contextFilters?.search && ` - Search: "${contextFilters.search}"`}
+                        {contextFilters?.status && ` - Status: ${contextFilters.status}`}
+                        {contextFilters?.priority && ` - Priority: ${contextFilters.priority}`}
+                        {contextFilters?.overdue && ` - Overdue Items`}
+                        {showingMyTasks && ` - Assigned to me`}
+                      </h3>
+                      
+                      {/* Active Filters Summary */}
+                      {(contextFilters?.search || contextFilters?.status || contextFilters?.priority || 
+                        contextFilters?.tags?.length > 0 || contextFilters?.overdue) && (
+                        <div className="active-filters-summary">
+                          <span className="filters-label">Active filters:</span>
+                          {contextFilters.search && (
+                            <span className="filter-tag">Search: "{contextFilters.search}"</span>
+                          )}
+                          {contextFilters.status && (
+                            <span className="filter-tag">Status: {contextFilters.status}</span>
+                          )}
+                          {contextFilters.priority && (
+                            <span className="filter-tag">Priority: {contextFilters.priority}</span>
+                          )}
+                          {contextFilters.tags?.map(tag => (
+                            <span key={tag} className="filter-tag">#{tag}</span>
+                          ))}
+                          {contextFilters.overdue && (
+                            <span className="filter-tag">Overdue</span>
+                          )}
+                        </div>
                       )}
                     </div>
-                  )}
-                </div>
-                
-                <TaskList
-                  tasks={tasks}
-                  loading={loading && tasks.length === 0}
-                  error={null}
-                  onTaskEdit={handleEditTask}
-                  onTaskDelete={handleDeleteTask}
-                  onTaskStatusChange={handleTaskStatusChange}
-                  onTaskSelect={handleTaskSelect}
-                  selectedTaskId={selectedTask?.id}
-                  emptyStateMessage={
-                    contextFilters?.search || contextFilters?.status || contextFilters?.priority || contextFilters?.overdue
-                      ? "No tasks match the current filters" 
-                      : "No tasks found. Create your first task to get started."
-                  }
-                />
-              </div>
+                    
+                    {layout === 'calendar' ? (
+                      <TaskCalendar
+                        onLoadTasks={loadTasksDue}
+                        onReschedule={handleReschedule}
+                        onCreate={handleCreateTaskDue}
+                        onTaskSelect={handleTaskSelect}
+                        selectedTaskId={selectedTask?.id}
+                        refreshKey={tasks}
+                        canCreate={canCreate}
+                        canEdit={canEdit}
+                      />
+                    ) : layout === 'timeline' ? (
+                      <TaskTimeline
+                        tasks={tasks}
+                        loading={loading && tasks.length === 0}
+                        onChangeDates={handleChangeDates}
+                        onTaskSelect={handleTaskSelect}
+                        selectedTaskId={selectedTask?.id}
+                        canEdit={canEdit}
+                      />
+                    ) : layout === 'board' ? (
+                      <TaskBoard
+                        tasks={tasks}
+                        loading={loading && tasks.length === 0}
+                        onMove={handleTaskMove}
+                        onTaskEdit={handleEditTask}
+                        onTaskDelete={handleDeleteTask}
+                        onTaskStatusChange={handleTaskStatusChange}
+                        onTaskSelect={handleTaskSelect}
+                        selectedTaskId={selectedTask?.id}
+                        canEdit={canEdit}
+                        canDelete={canDelete}
+                        assignees={assignees}
+                        customFields={customFields}
+                        workflow={workflow}
+                      />
+                    ) : (
+                      <TaskList
+                        tasks={tasks}
+                        loading={loading && tasks.length === 0}
+                        error={null}
+                        onTaskEdit={handleEditTask}
+                        onTaskDelete={handleDeleteTask}
+                        onTaskStatusChange={handleTaskStatusChange}
+                        onBulkStatusChange={canEdit ? handleBulkStatusChange : undefined}
+                        onBulkDelete={canDelete ? handleBulkDelete : undefined}
+                        canEdit={canEdit}
+                        canDelete={canDelete}
+                        assignees={assignees}
+                        customFields={customFields}
+                        workflow={workflow}
+                        onTaskSelect={handleTaskSelect}
+                        selectedTaskId={selectedTask?.id}
+                        onLoadMore={loadMoreTasks}
+                        pagination={pagination}
+                        loadingMore={loadingMore}
+                        emptyStateMessage={
+                          contextFilters?.search || contextFilters?.status || contextFilters?.priority || contextFilters?.overdue || contextFilters?.assigneeId ||
+                          Object.values(contextFilters?.customFields || {}).some(Boolean)
+                            ? "No tasks match the current filters" 
+                            : "No tasks found. Create your first task to get started."
+                        }
+                      />
+                    )}
+                  </div>
+                </>
+              )}
             </div>
 
             {/* Dashboard Section - Below on mobile, side on desktop */}
@@ -361,6 +665,9 @@ function AppContent() {
                   tasks={tasks}
                   loading={loading && !stats}
                   onFilterChange={handleDashboardFilterChange}
+                  projects={projects}
+                  currentProjectId={currentProjectId}
+                  onProjectSelect={selectProject}
                   compactMode={true}
                 />
               </div>
@@ -425,6 +732,40 @@ function AppContent() {
         </footer>
       </div>
 
+      {/* Task Detail Modal */}
+      {selectedTask && !showCreateForm && (
+        <div className="modal-overlay" onClick={handleCloseDetail}>
+          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+            <TaskDetail
+              task={selectedTask}
+              projects={projects}
+              workspaces={workspaces}
+              assignees={assignees}
+              customFields={customFields}
+              workflow={workflow}
+              onClose={handleCloseDetail}
+              onEdit={canEdit ? handleEditFromDetail : undefined}
+              onLoadHistory={loadTaskHistory}
+              currentUserId={user.id}
+              onLoadComments={loadComments}
+              onAddComment={canCreate ? addComment : undefined}
+              onEditComment={canCreate ? editComment : undefined}
+              onDeleteComment={deleteComment}
+              canDeleteComments={canDelete}
+              onLoadAttachments={loadAttachments}
+              onUploadAttachment={canEdit ? uploadAttachment : undefined}
+              onDownloadAttachment={downloadAttachment}
+              onDeleteAttachment={canEdit ? deleteAttachment : undefined}
+              canDeleteAttachments={canDelete}
+              onAddChecklistItem={canEdit ? addChecklistItem : undefined}
+              onToggleChecklistItem={canEdit ? toggleChecklistItem : undefined}
+              onRemoveChecklistItem={canEdit ? removeChecklistItem : undefined}
+              onMoveChecklistItem={canEdit ? moveChecklistItem : undefined}
+            />
+          </div>
+        </div>
+      )}
+
       {/* Task Form Modal */}
       {showCreateForm && (
         <div className="modal-overlay" onClick={handleCloseForm}>
@@ -436,11 +777,20 @@ function AppContent() {
               onCancel={handleCloseForm}
               loading={formLoading}
               error={formError}
+              availableTasks={tasks}
+              projects={projects}
+              defaultProjectId={currentProjectId}
+              defaultDueDate={newTaskDueDate}
+              assignees={assignees}
+              customFields={customFields}
+              workflow={workflow}
             />
           </div>
         </div>
       )}
 
+      <ToastContainer toasts={toasts} onDismiss={dismissToast} />
+
       {/* Delete Confirmation Modal */}
       {deleteConfirm && (
         <div className="modal-overlay" onClick={cancelDelete}>
@@ -460,7 +810,9 @@ function AppContent() {
                   Task ID: {deleteConfirm.id} ({typeof deleteConfirm.id})
                 </small>
               </div>
-              <p className="delete-warning">This action cannot be undone.</p>
+              <p className="delete-warning">
+                The task moves to the trash, where you can restore it until it is purged.
+              </p>
             </div>
             <div className="delete-modal-actions">
               <button 
@@ -473,7 +825,7 @@ function AppContent() {
                 className="btn btn-danger"
                 onClick={confirmDelete}
               >
-                Delete Task
+                Move to Trash
               </button>
             </div>
           </div>
@@ -483,11 +835,76 @@ function AppContent() {
   );
 }
 
-// Root App Component with TaskProvider
+// Root App Component - the login screen until there is a session, then the task app
 function App() {
+  const [user, setUser] = useState(null);
+  const [checkingSession, setCheckingSession] = useState(() => authAPI.isLoggedIn());
+  const [loginNotice, setLoginNotice] = useState(null);
+
+  // Whenever the server rejects the token, drop back to the login screen
+  useEffect(() => requestInterceptors.onUnauthorized((details) => {
+    setUser(null);
+    setLoginNotice(details?.reason === 'token_expired'
+      ? 'Your session has expired. Please log in again.'
+      : 'Please log in to continue.');
+  }), []);
+
+  // Resume the session saved by a previous visit
+  useEffect(() => {
+    if (!authAPI.isLoggedIn()) return;
+    let mounted = true;
+
+    authAPI.me()
+      .then(response => {
+        if (mounted) setUser(response.data.user);
+      })
+      .catch(error => console.error('Stored session is no longer valid:', error))
+      .finally(() => {
+        if (mounted) setCheckingSession(false);
+      });
+
+    return () => {
+      mounted = false;
+    };
+  }, []);
+
+  const startSession = (response) => {
+    setLoginNotice(null);
+    setUser(response.data.user);
+  };
+
+  const handleLogout = () => {
+    authAPI.logout();
+    setLoginNotice(null);
+    setUser(null);
+  };
+
+  if (checkingSession) {
+    return (
+      <div className="App">
+        <div className="loading-banner">
+          <p>Loading...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (!user) {
+    return (
+      <div className="App">
+        <Login
+          notice={loginNotice}
+          onLogin={async (credentials) => startSession(await authAPI.login(credentials))}
+          onRegister={async (account) => startSession(await authAPI.register(account))}
+        />
+      </div>
+    );
+  }
+
+  // Keyed by user so nothing from a previous session's state carries over
   return (
-    <TaskProvider>
-      <AppContent />
+    <TaskProvider key={user.id}>
+      <AppContent user={user} onLogout={handleLogout} />
     </TaskProvider>
   );
 }
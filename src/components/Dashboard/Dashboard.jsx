@@ -1,11 +1,22 @@
 import React from 'react';
+import { DEFAULT_WORKFLOW } from '../../utils/workflow.js';
 import './Dashboard.css';
 
+// Breakdown bars are styled by the status's category
+const CATEGORY_STYLES = {
+  todo: { icon: '📋', fill: 'todo-fill' },
+  in_progress: { icon: '🔄', fill: 'in-progress-fill' },
+  done: { icon: '✅', fill: 'completed-fill' }
+};
+
 function Dashboard({ 
   stats = null,
   tasks = [],
   loading = false,
   onFilterChange,
+  projects = [],
+  currentProjectId = '',
+  onProjectSelect,
   compactMode = false
 }) {
   if (loading && !stats) {
@@ -30,15 +41,27 @@ function Dashboard({
   }
 
   // Calculate additional metrics
-  const completionRate = stats.total > 0 ? Math.round((stats.byStatus.completed / stats.total) * 100) : 0;
+  const completionRate = stats.total > 0 ? Math.round((stats.byCategory.done / stats.total) * 100) : 0;
   const productivityScore = calculateProductivityScore(stats);
   const urgentTasks = tasks.filter(task => 
     task.priority === 'high' && 
-    task.status !== 'completed'
+    task.statusCategory !== 'done'
   ).length;
 
+  // The workflow the stats were counted with; a category can only be filtered on when it has a single status
+  const statuses = stats.statuses || DEFAULT_WORKFLOW.statuses;
+  const filterByCategory = (category) => {
+    const matching = statuses.filter(status => status.category === category);
+    return matching.length === 1 ? { status: matching[0].id } : {};
+  };
+
   // Get trending data
   const trendingTags = stats.tags?.popular?.slice(0, 5) || [];
+
+  const currentProject = projects.find(project => project.id === currentProjectId) || null;
+  const scopeLabel = currentProject
+    ? currentProject.name
+    : currentProjectId === 'none' ? 'Tasks without a project' : 'All projects';
   
   return (
     <div className={`dashboard ${compactMode ? 'compact' : ''}`}>
@@ -51,6 +74,27 @@ function Dashboard({
         </div>
       )}
 
+      {/* Which tasks these numbers cover */}
+      <div className="dashboard-scope">
+        {currentProject && (
+          <span
+            className="project-dot"
+            style={{ backgroundColor: currentProject.color }}
+            aria-hidden="true"
+          />
+        )}
+        <span className="dashboard-scope-name">{scopeLabel}</span>
+        {currentProjectId && (
+          <button
+            type="button"
+            className="dashboard-scope-reset"
+            onClick={() => onProjectSelect?.('')}
+          >
+            View all
+          </button>
+        )}
+      </div>
+
       {/* Key Metrics Grid */}
       <div className="metrics-grid">
         {/* Total Tasks */}
@@ -87,14 +131,14 @@ function Dashboard({
         {/* In Progress */}
         <div 
           className="metric-card in-progress" 
-          onClick={() => onFilterChange?.({ status: 'in_progress' })}
+          onClick={() => onFilterChange?.(filterByCategory('in_progress'))}
         >
           <div className="metric-icon">🔄</div>
           <div className="metric-content">
-            <div className="metric-number">{stats.byStatus.in_progress}</div>
+            <div className="metric-number">{stats.byCategory.in_progress}</div>
             <div className="metric-label">In Progress</div>
             <div className="metric-trend">
-              {stats.byStatus.in_progress > 0 && (
+              {stats.byCategory.in_progress > 0 && (
                 <span className="trend-indicator active">
                   ⚡ Active
                 </span>
@@ -162,55 +206,82 @@ function Dashboard({
         </div>
       </div>
 
+      {/* Per-project overview - pick one to see its own dashboard */}
+      {!currentProjectId && projects.length > 0 && (
+        <div className="project-breakdown">
+          <h4>📁 Projects</h4>
+          <ul className="project-breakdown-list">
+            {projects.map(project => (
+              <li key={project.id}>
+                <button
+                  type="button"
+                  className="project-breakdown-item"
+                  onClick={() => onProjectSelect?.(project.id)}
+                >
+                  <span
+                    className="project-dot"
+                    style={{ backgroundColor: project.color }}
+                    aria-hidden="true"
+                  />
+                  <span className="project-breakdown-name">{project.name}</span>
+                  <span className="project-breakdown-count">{project.taskCount}</span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* Per-assignee workload - pick one to filter the list to their tasks */}
+      {stats.byAssignee?.length > 0 && (
+        <div className="project-breakdown assignee-breakdown">
+          <h4>👤 By assignee</h4>
+          <ul className="project-breakdown-list">
+            {stats.byAssignee.map(entry => (
+              <li key={entry.assigneeId || 'none'}>
+                <button
+                  type="button"
+                  className="project-breakdown-item"
+                  onClick={() => onFilterChange?.({ assigneeId: entry.assigneeId || 'none' })}
+                  title={`${entry.completed} of ${entry.total} completed`}
+                >
+                  <span className="project-breakdown-name">
+                    {entry.assigneeId ? entry.name || 'Former member' : 'Unassigned'}
+                  </span>
+                  <span className="project-breakdown-count">{entry.total - entry.completed}/{entry.total}</span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       {/* Status Breakdown */}
       {!compactMode && (
         <div className="status-breakdown">
           <h4>📋 Task Status Breakdown</h4>
           <div className="status-bars">
-            <div className="status-bar">
-              <div className="status-info">
-                <span className="status-label">📋 To Do</span>
-                <span className="status-count">{stats.byStatus.todo}</span>
-              </div>
-              <div className="progress-bar">
-                <div 
-                  className="progress-fill todo-fill" 
-                  style={{ 
-                    width: `${stats.total > 0 ? (stats.byStatus.todo / stats.total) * 100 : 0}%` 
-                  }}
-                ></div>
-              </div>
-            </div>
-
-            <div className="status-bar">
-              <div className="status-info">
-                <span className="status-label">🔄 In Progress</span>
-                <span className="status-count">{stats.byStatus.in_progress}</span>
-              </div>
-              <div className="progress-bar">
-                <div 
-                  className="progress-fill in-progress-fill" 
-                  style={{ 
-                    width: `${stats.total > 0 ? (stats.byStatus.in_progress / stats.total) * 100 : 0}%` 
-                  }}
-                ></div>
-              </div>
-            </div>
+            {statuses.map(status => {
+              const count = stats.byStatus[status.id] || 0;
+              const { icon, fill } = CATEGORY_STYLES[status.category];
 
-            <div className="status-bar">
-              <div className="status-info">
-                <span className="status-label">✅ Completed</span>
-                <span className="status-count">{stats.byStatus.completed}</span>
-              </div>
-              <div className="progress-bar">
-                <div 
-                  className="progress-fill completed-fill" 
-                  style={{ 
-                    width: `${stats.total > 0 ? (stats.byStatus.completed / stats.total) * 100 : 0}%` 
-                  }}
-                ></div>
-              </div>
-            </div>
+              return (
+                <div key={status.id} className="status-bar">
+                  <div className="status-info">
+                    <span className="status-label">{icon} {status.name}</span>
+                    <span className="status-count">{count}</span>
+                  </div>
+                  <div className="progress-bar">
+                    <div 
+                      className={`progress-fill ${fill}`} 
+                      style={{ 
+                        width: `${stats.total > 0 ? (count / stats.total) * 100 : 0}%` 
+                      }}
+                    ></div>
+                  </div>
+                </div>
+              );
+            })}
           </div>
         </div>
       )}
@@ -310,7 +381,7 @@ function Dashboard({
                   {urgentTasks > 0 && (
                     <button 
                       className="quick-action-btn urgent"
-                      onClick={() => onFilterChange?.({ priority: 'high', status: 'todo' })}
+                      onClick={() => onFilterChange?.({ priority: 'high', ...filterByCategory('todo') })}
                     >
                       Focus on {urgentTasks} urgent task{urgentTasks > 1 ? 's' : ''}
                     </button>
@@ -323,12 +394,12 @@ function Dashboard({
                       Address {stats.overdue} overdue item{stats.overdue > 1 ? 's' : ''}
                     </button>
                   )}
-                  {stats.byStatus.in_progress > 0 && (
+                  {stats.byCategory.in_progress > 0 && (
                     <button 
                       className="quick-action-btn progress"
-                      onClick={() => onFilterChange?.({ status: 'in_progress' })}
+                      onClick={() => onFilterChange?.(filterByCategory('in_progress'))}
                     >
-                      Continue {stats.byStatus.in_progress} active task{stats.byStatus.in_progress > 1 ? 's' : ''}
+                      Continue {stats.byCategory.in_progress} active task{stats.byCategory.in_progress > 1 ? 's' : ''}
                     </button>
                   )}
                 </div>
@@ -352,9 +423,9 @@ function Dashboard({
 function calculateProductivityScore(stats) {
   if (stats.total === 0) return 0;
   
-  const completionRate = (stats.byStatus.completed / stats.total) * 100;
+  const completionRate = (stats.byCategory.done / stats.total) * 100;
   const overduepenalty = Math.min(stats.overdue * 10, 30); // Max 30 point penalty
-  const progressBonus = Math.min(stats.byStatus.in_progress * 5, 20); // Max 20 point bonus
+  const progressBonus = Math.min(stats.byCategory.in_progress * 5, 20); // Max 20 point bonus
   const todayBonus = Math.min(stats.completedToday * 10, 25); // Max 25 point bonus
   
   const score = Math.max(0, Math.min(100, 
@@ -382,10 +453,10 @@ function getFocusRecommendations(stats, urgentTasks) {
   if (urgentTasks > 0) {
     recommendations.push("🔴 Focus on high priority items");
   }
-  if (stats.byStatus.in_progress > stats.byStatus.todo) {
+  if (stats.byCategory.in_progress > stats.byCategory.todo) {
     recommendations.push("🎯 Complete in-progress tasks");
   }
-  if (stats.byStatus.todo > stats.byStatus.in_progress * 3) {
+  if (stats.byCategory.todo > stats.byCategory.in_progress * 3) {
     recommendations.push("🚀 Break down large tasks");
   }
   
@@ -419,8 +490,8 @@ function getSummaryMessage(stats, completionRate, urgentTasks) {
     return `💪 Great job! You've completed ${stats.completedToday} task${stats.completedToday > 1 ? 's' : ''} today!`;
   }
   
-  if (stats.byStatus.in_progress > 0) {
-    return `⚡ ${stats.byStatus.in_progress} task${stats.byStatus.in_progress > 1 ? 's' : ''} in progress. Keep the momentum going!`;
+  if (stats.byCategory.in_progress > 0) {
+    return `⚡ ${stats.byCategory.in_progress} task${stats.byCategory.in_progress > 1 ? 's' : ''} in progress. Keep the momentum going!`;
   }
   
   return "🎯 You're all set! Choose a task and start making progress!";
@@ -1,4 +1,6 @@
 import React, { useState, useCallback } from 'react';
+import { hasOptions } from '../../utils/customFields.js';
+import { DEFAULT_WORKFLOW } from '../../utils/workflow.js';
 import './FilterBar.css';
 
 function FilterBar({
@@ -7,7 +9,10 @@ function FilterBar({
   taskStats = null,
   availableTags = [],
   loading = false,
-  onClearFilters
+  onClearFilters,
+  assignees = [], // { id, name } of the people in the current workspace
+  customFields = [], // The current workspace's custom field definitions
+  workflow = DEFAULT_WORKFLOW // Statuses offered by the status filter
 }) {
   // Local state only for search input (for immediate feedback)
   const [searchInput, setSearchInput] = useState(filters.search || '');
@@ -31,6 +36,11 @@ function FilterBar({
     }
   }, [onFiltersChange]);
 
+  // Custom field filters are kept together, keyed by field ID
+  const handleCustomFieldChange = useCallback((fieldId, value) => {
+    handleFilterChange('customFields', { ...filters.customFields, [fieldId]: value });
+  }, [filters.customFields, handleFilterChange]);
+
   // Handle tag toggles
   const handleTagToggle = useCallback((tag) => {
     const currentTags = filters.tags || [];
@@ -75,7 +85,10 @@ function FilterBar({
                           filters.status || 
                           filters.priority || 
                           (filters.tags && filters.tags.length > 0) || 
-                          filters.overdue;
+                          filters.overdue ||
+                          filters.blocked ||
+                          filters.assigneeId ||
+                          Object.values(filters.customFields || {}).some(Boolean);
 
   // Get sort icon
   const getSortIcon = (field) => {
@@ -127,9 +140,9 @@ function FilterBar({
               disabled={loading}
             >
               <option value="">All Status</option>
-              <option value="todo">To Do</option>
-              <option value="in_progress">In Progress</option>
-              <option value="completed">Completed</option>
+              {workflow.statuses.map(status => (
+                <option key={status.id} value={status.id}>{status.name}</option>
+              ))}
             </select>
             {taskStats && (
               <span className="filter-count">
@@ -159,6 +172,76 @@ function FilterBar({
             )}
           </div>
 
+          {/* Dependency Filter */}
+          <div className="filter-group">
+            <label className="filter-label">Dependencies:</label>
+            <select
+              value={filters.blocked || ''}
+              onChange={(e) => handleFilterChange('blocked', e.target.value)}
+              className="filter-select"
+              disabled={loading}
+            >
+              <option value="">All Tasks</option>
+              <option value="true">Blocked</option>
+              <option value="false">Ready to start</option>
+            </select>
+          </div>
+
+          {/* Assignee Filter */}
+          <div className="filter-group">
+            <label className="filter-label" htmlFor="filter-assignee">Assignee:</label>
+            <select
+              id="filter-assignee"
+              value={filters.assigneeId || ''}
+              onChange={(e) => handleFilterChange('assigneeId', e.target.value)}
+              className="filter-select"
+              disabled={loading}
+            >
+              <option value="">Anyone</option>
+              <option value="me">Me</option>
+              <option value="none">Unassigned</option>
+              {assignees.map(assignee => (
+                <option key={assignee.id} value={assignee.id}>{assignee.name}</option>
+              ))}
+            </select>
+          </div>
+
+          {/* Custom Field Filters - choices pick an option, other types take a value or a min..max range */}
+          {customFields.map(field => {
+            const inputId = `filter-cf-${field.id}`;
+            const value = filters.customFields?.[field.id] || '';
+
+            return (
+              <div key={field.id} className="filter-group">
+                <label className="filter-label" htmlFor={inputId}>{field.name}:</label>
+                {hasOptions(field.type) ? (
+                  <select
+                    id={inputId}
+                    value={value}
+                    onChange={(e) => handleCustomFieldChange(field.id, e.target.value)}
+                    className="filter-select"
+                    disabled={loading}
+                  >
+                    <option value="">Any</option>
+                    <option value="none">Not set</option>
+                    {field.options.map(option => <option key={option} value={option}>{option}</option>)}
+                  </select>
+                ) : (
+                  <input
+                    id={inputId}
+                    type="text"
+                    value={value}
+                    onChange={(e) => handleCustomFieldChange(field.id, e.target.value)}
+                    className="filter-input"
+                    placeholder={field.type === 'text' ? 'Contains...' : field.type === 'date' ? 'YYYY-MM-DD..YYYY-MM-DD' : 'min..max'}
+                    title={field.type === 'text' ? undefined : 'A value, a min..max range (either end optional) or "none"'}
+                    disabled={loading}
+                  />
+                )}
+              </div>
+            );
+          })}
+
           {/* Overdue Toggle */}
           <div className="filter-group">
             <label className="filter-checkbox">
@@ -261,6 +344,16 @@ function FilterBar({
             >
               Title {getSortIcon('title')}
             </button>
+            {customFields.map(field => (
+              <button
+                key={field.id}
+                className={`sort-btn ${filters.sortBy === `cf.${field.id}` ? 'active' : ''}`}
+                onClick={() => handleSortChange(`cf.${field.id}`)}
+                disabled={loading}
+              >
+                {field.name} {getSortIcon(`cf.${field.id}`)}
+              </button>
+            ))}
           </div>
         </div>
       </div>
@@ -285,7 +378,10 @@ function FilterBar({
                   filters.status && 'Status',
                   filters.priority && 'Priority', 
                   filters.tags && filters.tags.length && 'Tags',
-                  filters.overdue && 'Overdue'
+                  filters.overdue && 'Overdue',
+                  filters.blocked && 'Dependencies',
+                  filters.assigneeId && 'Assignee',
+                  ...customFields.filter(field => filters.customFields?.[field.id]).map(field => field.name)
                 ].filter(Boolean).join(', ')} active
               </span>
             )}
@@ -0,0 +1,123 @@
+import React, { useState } from 'react';
+import './Login.css';
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Login screen shown when there is no session; also creates accounts
+function Login({ onLogin, onRegister, notice = null }) {
+  // 'login' | 'register'
+  const [mode, setMode] = useState('login');
+  const [formData, setFormData] = useState({ email: '', name: '', password: '' });
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const isRegister = mode === 'register';
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const switchMode = () => {
+    setMode(isRegister ? 'login' : 'register');
+    setError(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const email = formData.email.trim();
+    const name = formData.name.trim();
+
+    if (!email || !formData.password) {
+      setError('Email and password are required');
+      return;
+    }
+    if (isRegister && !name) {
+      setError('Name is required');
+      return;
+    }
+    if (isRegister && formData.password.length < MIN_PASSWORD_LENGTH) {
+      setError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+      return;
+    }
+
+    setSubmitting(true);
+    setError(null);
+    try {
+      if (isRegister) {
+        await onRegister({ email, name, password: formData.password });
+      } else {
+        await onLogin({ email, password: formData.password });
+      }
+    } catch (err) {
+      console.error(`${isRegister ? 'Registration' : 'Login'} failed:`, err);
+      setError(err.message);
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="login">
+      <form className="login-card" onSubmit={handleSubmit}>
+        <h1>Task Management System</h1>
+        <h2>{isRegister ? 'Create an account' : 'Log in'}</h2>
+
+        {notice && <p className="login-notice">{notice}</p>}
+
+        <label htmlFor="login-email" className="form-label">Email</label>
+        <input
+          id="login-email"
+          name="email"
+          type="email"
+          className="form-input"
+          autoComplete="email"
+          value={formData.email}
+          onChange={handleChange}
+          disabled={submitting}
+          autoFocus
+        />
+
+        {isRegister && (
+          <>
+            <label htmlFor="login-name" className="form-label">Name</label>
+            <input
+              id="login-name"
+              name="name"
+              type="text"
+              className="form-input"
+              autoComplete="name"
+              maxLength={50}
+              value={formData.name}
+              onChange={handleChange}
+              disabled={submitting}
+            />
+          </>
+        )}
+
+        <label htmlFor="login-password" className="form-label">Password</label>
+        <input
+          id="login-password"
+          name="password"
+          type="password"
+          className="form-input"
+          autoComplete={isRegister ? 'new-password' : 'current-password'}
+          value={formData.password}
+          onChange={handleChange}
+          disabled={submitting}
+        />
+
+        {error && <p className="login-error" role="alert">{error}</p>}
+
+        <button type="submit" className="btn btn-primary" disabled={submitting}>
+          {submitting ? 'Please wait...' : isRegister ? 'Create account' : 'Log in'}
+        </button>
+
+        <button type="button" className="login-switch" onClick={switchMode} disabled={submitting}>
+          {isRegister ? 'Already have an account? Log in' : 'New here? Create an account'}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default Login;
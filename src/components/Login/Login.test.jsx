@@ -0,0 +1,63 @@
+// ===== src/components/Login/Login.test.jsx =====
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { render, screen, fireEvent, waitFor } from '../../test/utils/test-utils'
+import Login from './Login'
+
+describe('Login', () => {
+  const defaultProps = {
+    onLogin: vi.fn(),
+    onRegister: vi.fn()
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it('logs in with the entered email and password', async () => {
+    defaultProps.onLogin.mockResolvedValue({})
+
+    render(<Login {...defaultProps} />)
+    fireEvent.change(screen.getByLabelText('Email'), { target: { value: ' ada@example.com ' } })
+    fireEvent.change(screen.getByLabelText('Password'), { target: { value: 'secret-password' } })
+    fireEvent.click(screen.getByRole('button', { name: 'Log in' }))
+
+    await waitFor(() => expect(defaultProps.onLogin).toHaveBeenCalledWith({
+      email: 'ada@example.com',
+      password: 'secret-password'
+    }))
+  })
+
+  it('shows the server error when login fails', async () => {
+    defaultProps.onLogin.mockRejectedValue(new Error('Invalid email or password'))
+
+    render(<Login {...defaultProps} />)
+    fireEvent.change(screen.getByLabelText('Email'), { target: { value: 'ada@example.com' } })
+    fireEvent.change(screen.getByLabelText('Password'), { target: { value: 'wrong-password' } })
+    fireEvent.click(screen.getByRole('button', { name: 'Log in' }))
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Invalid email or password')
+  })
+
+  it('creates an account after checking the password length', async () => {
+    defaultProps.onRegister.mockResolvedValue({})
+
+    render(<Login {...defaultProps} />)
+    fireEvent.click(screen.getByText('New here? Create an account'))
+    fireEvent.change(screen.getByLabelText('Email'), { target: { value: 'ada@example.com' } })
+    fireEvent.change(screen.getByLabelText('Name'), { target: { value: 'Ada' } })
+    fireEvent.change(screen.getByLabelText('Password'), { target: { value: 'short' } })
+    fireEvent.click(screen.getByRole('button', { name: 'Create account' }))
+
+    expect(screen.getByRole('alert')).toHaveTextContent('at least 8 characters')
+    expect(defaultProps.onRegister).not.toHaveBeenCalled()
+
+    fireEvent.change(screen.getByLabelText('Password'), { target: { value: 'long enough' } })
+    fireEvent.click(screen.getByRole('button', { name: 'Create account' }))
+
+    await waitFor(() => expect(defaultProps.onRegister).toHaveBeenCalledWith({
+      email: 'ada@example.com',
+      name: 'Ada',
+      password: 'long enough'
+    }))
+  })
+})
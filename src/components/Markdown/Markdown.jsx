@@ -0,0 +1,84 @@
+import React, { useMemo } from 'react';
+import { parseMarkdown } from '../../utils/markdown.js';
+import './Markdown.css';
+
+// Links open in a new tab, and clicking one must not also select the task card around it
+const stopPropagation = (e) => e.stopPropagation();
+
+function renderInline(tokens) {
+  return tokens.map((token, index) => {
+    switch (token.type) {
+      case 'code':
+        return <code key={index}>{token.text}</code>;
+      case 'strong':
+        return <strong key={index}>{renderInline(token.children)}</strong>;
+      case 'em':
+        return <em key={index}>{renderInline(token.children)}</em>;
+      case 'link':
+        return (
+          <a key={index} href={token.href} target="_blank" rel="noopener noreferrer" onClick={stopPropagation}>
+            {renderInline(token.children)}
+          </a>
+        );
+      default:
+        return <React.Fragment key={index}>{token.text}</React.Fragment>;
+    }
+  });
+}
+
+function renderLines(lines) {
+  return lines.map((line, index) => (
+    <React.Fragment key={index}>
+      {index > 0 && <br />}
+      {renderInline(line)}
+    </React.Fragment>
+  ));
+}
+
+function renderBlocks(blocks) {
+  return blocks.map((block, index) => {
+    switch (block.type) {
+      case 'heading': {
+        // Descriptions sit inside cards and panels that already have their own headings
+        const Heading = `h${Math.min(block.level + 3, 6)}`;
+        return <Heading key={index}>{renderInline(block.children)}</Heading>;
+      }
+      case 'code':
+        return (
+          <pre key={index}>
+            <code className={block.language ? `language-${block.language}` : undefined}>{block.text}</code>
+          </pre>
+        );
+      case 'quote':
+        return <blockquote key={index}>{renderBlocks(block.blocks)}</blockquote>;
+      case 'rule':
+        return <hr key={index} />;
+      case 'list': {
+        const List = block.ordered ? 'ol' : 'ul';
+        return (
+          <List key={index} start={block.start ?? undefined}>
+            {block.items.map((item, itemIndex) => (
+              <li key={itemIndex} className={item.checked === null ? undefined : 'task-list-item'}>
+                {item.checked !== null && (
+                  <input type="checkbox" checked={item.checked} readOnly disabled />
+                )}
+                {renderLines(item.lines)}
+              </li>
+            ))}
+          </List>
+        );
+      }
+      default:
+        return <p key={index}>{renderLines(block.lines)}</p>;
+    }
+  });
+}
+
+// Renders Markdown as React elements; the source is never inserted as HTML, so tags in it show as text
+function Markdown({ source, className = '' }) {
+  const blocks = useMemo(() => parseMarkdown(source), [source]);
+
+  return <div className={`markdown ${className}`.trim()}>{renderBlocks(blocks)}</div>;
+}
+
+export default Markdown;
@@ -0,0 +1,61 @@
+// ===== src/components/Markdown/Markdown.test.jsx =====
+import { describe, it, expect } from 'vitest'
+import { render, screen } from '../../test/utils/test-utils'
+import Markdown from './Markdown'
+
+describe('Markdown', () => {
+  it('renders lists, checkboxes, code blocks and formatting', () => {
+    const source = [
+      '## Plan',
+      '',
+      'Ship **soon**, see *notes* and `npm test`',
+      '',
+      '- [x] Write it',
+      '- [ ] Review it',
+      '',
+      '1. First',
+      '2. Second',
+      '',
+      '```js',
+      'const a = 1 < 2',
+      '```'
+    ].join('\n')
+
+    const { container } = render(<Markdown source={source} />)
+
+    expect(screen.getByRole('heading', { name: 'Plan' })).toBeInTheDocument()
+    expect(screen.getByText('soon').tagName).toBe('STRONG')
+    expect(screen.getByText('notes').tagName).toBe('EM')
+    expect(screen.getByText('npm test').tagName).toBe('CODE')
+
+    const checkboxes = screen.getAllByRole('checkbox')
+    expect(checkboxes).toHaveLength(2)
+    expect(checkboxes[0]).toBeChecked()
+    expect(checkboxes[1]).not.toBeChecked()
+
+    expect(container.querySelector('ol').querySelectorAll('li')).toHaveLength(2)
+    expect(container.querySelector('pre code')).toHaveTextContent('const a = 1 < 2')
+  })
+
+  it('only links to http, https and mailto targets', () => {
+    render(
+      <Markdown source={'[docs](https://example.com/a) [bad](javascript:alert(1)) [mail](mailto:a@b.co)'} />
+    )
+
+    expect(screen.getByRole('link', { name: 'docs' })).toHaveAttribute('href', 'https://example.com/a')
+    expect(screen.getByRole('link', { name: 'docs' })).toHaveAttribute('rel', 'noopener noreferrer')
+    expect(screen.getByRole('link', { name: 'mail' })).toHaveAttribute('href', 'mailto:a@b.co')
+    expect(screen.queryByRole('link', { name: 'bad' })).not.toBeInTheDocument()
+    expect(screen.getByText(/bad/)).toBeInTheDocument()
+  })
+
+  it('shows HTML in the source as text instead of rendering it', () => {
+    const { container } = render(
+      <Markdown source={'<script>alert(1)</script>\n<img src=x onerror="alert(1)">'} />
+    )
+
+    expect(container.querySelector('script')).toBeNull()
+    expect(container.querySelector('img')).toBeNull()
+    expect(container).toHaveTextContent('<script>alert(1)</script>')
+  })
+})
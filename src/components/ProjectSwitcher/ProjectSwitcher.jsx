@@ -0,0 +1,148 @@
+import React, { useState } from 'react';
+import './ProjectSwitcher.css';
+
+const DEFAULT_COLOR = '#77bc1f';
+const MAX_NAME_LENGTH = 50;
+
+// Header control for picking the project the task list and dashboard show, plus create/rename/delete
+function ProjectSwitcher({
+  projects = [],
+  currentProjectId = '',
+  onSelect,
+  onCreate,
+  onUpdate,
+  onDelete
+}) {
+  // null | 'create' | 'rename'
+  const [formMode, setFormMode] = useState(null);
+  const [name, setName] = useState('');
+  const [color, setColor] = useState(DEFAULT_COLOR);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const currentProject = projects.find(project => project.id === currentProjectId) || null;
+
+  const openForm = (mode) => {
+    setFormMode(mode);
+    setName(mode === 'rename' ? currentProject.name : '');
+    setColor(mode === 'rename' ? currentProject.color : DEFAULT_COLOR);
+    setError(null);
+  };
+
+  const closeForm = () => {
+    setFormMode(null);
+    setError(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const trimmed = name.trim();
+    if (!trimmed) {
+      setError('Project name is required');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      if (formMode === 'rename') {
+        await onUpdate(currentProject.id, { name: trimmed, color });
+      } else {
+        const project = await onCreate({ name: trimmed, color });
+        await onSelect(project.id);
+      }
+      closeForm();
+    } catch (err) {
+      console.error('Project save failed:', err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    const { taskCount } = currentProject;
+    const message = `Delete project "${currentProject.name}"?` +
+      (taskCount > 0 ? ` Its ${taskCount} task${taskCount === 1 ? '' : 's'} will be kept without a project.` : '');
+    if (!window.confirm(message)) return;
+
+    try {
+      await onDelete(currentProject.id);
+    } catch (err) {
+      console.error('Project delete failed:', err);
+    }
+  };
+
+  return (
+    <div className="project-switcher">
+      {currentProject && (
+        <span
+          className="project-swatch"
+          style={{ backgroundColor: currentProject.color }}
+          aria-hidden="true"
+        />
+      )}
+      <label htmlFor="project-select">Project: </label>
+      <select
+        id="project-select"
+        className="project-select"
+        value={currentProjectId}
+        onChange={(e) => onSelect(e.target.value)}
+      >
+        <option value="">All projects</option>
+        <option value="none">No project</option>
+        {projects.map(project => (
+          <option key={project.id} value={project.id}>
+            {project.name} ({project.taskCount})
+          </option>
+        ))}
+      </select>
+
+      {formMode ? (
+        <form className="project-form" onSubmit={handleSubmit}>
+          <input
+            type="text"
+            aria-label="Project name"
+            placeholder="Project name"
+            value={name}
+            maxLength={MAX_NAME_LENGTH}
+            onChange={(e) => setName(e.target.value)}
+            disabled={saving}
+            autoFocus
+          />
+          <input
+            type="color"
+            aria-label="Project color"
+            value={color}
+            onChange={(e) => setColor(e.target.value)}
+            disabled={saving}
+          />
+          <button type="submit" className="btn btn-primary" disabled={saving}>
+            {formMode === 'rename' ? 'Save' : 'Create'}
+          </button>
+          <button type="button" className="btn btn-secondary" onClick={closeForm} disabled={saving}>
+            Cancel
+          </button>
+          {error && <span className="project-form-error" role="alert">{error}</span>}
+        </form>
+      ) : (
+        <>
+          <button type="button" className="btn btn-secondary" onClick={() => openForm('create')}>
+            + Project
+          </button>
+          {currentProject && (
+            <>
+              <button type="button" className="btn btn-secondary" onClick={() => openForm('rename')}>
+                Rename
+              </button>
+              <button type="button" className="btn btn-secondary" onClick={handleDelete}>
+                Delete
+              </button>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default ProjectSwitcher;
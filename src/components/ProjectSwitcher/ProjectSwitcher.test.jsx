@@ -0,0 +1,57 @@
+// ===== src/components/ProjectSwitcher/ProjectSwitcher.test.jsx =====
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { render, screen, fireEvent, waitFor } from '../../test/utils/test-utils'
+import ProjectSwitcher from './ProjectSwitcher'
+
+const projects = [
+  { id: 'project-1', name: 'Website', color: '#3366ff', taskCount: 3 },
+  { id: 'project-2', name: 'Mobile app', color: '#ff6633', taskCount: 0 }
+]
+
+describe('ProjectSwitcher', () => {
+  const defaultProps = {
+    projects,
+    currentProjectId: '',
+    onSelect: vi.fn(),
+    onCreate: vi.fn(),
+    onUpdate: vi.fn(),
+    onDelete: vi.fn()
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    vi.spyOn(window, 'confirm').mockReturnValue(true)
+  })
+
+  it('lists projects with their task counts and switches between them', () => {
+    render(<ProjectSwitcher {...defaultProps} />)
+
+    expect(screen.getByRole('option', { name: 'All projects' })).toBeInTheDocument()
+    expect(screen.getByRole('option', { name: 'No project' })).toBeInTheDocument()
+    expect(screen.getByRole('option', { name: 'Website (3)' })).toBeInTheDocument()
+
+    fireEvent.change(screen.getByLabelText(/Project/), { target: { value: 'project-2' } })
+    expect(defaultProps.onSelect).toHaveBeenCalledWith('project-2')
+  })
+
+  it('creates a project and switches to it', async () => {
+    defaultProps.onCreate.mockResolvedValue({ id: 'project-3', name: 'Launch' })
+
+    render(<ProjectSwitcher {...defaultProps} />)
+    fireEvent.click(screen.getByText('+ Project'))
+    fireEvent.change(screen.getByLabelText('Project name'), { target: { value: '  Launch ' } })
+    fireEvent.click(screen.getByText('Create'))
+
+    await waitFor(() => expect(defaultProps.onSelect).toHaveBeenCalledWith('project-3'))
+    expect(defaultProps.onCreate).toHaveBeenCalledWith({ name: 'Launch', color: '#77bc1f' })
+    expect(screen.queryByLabelText('Project name')).not.toBeInTheDocument()
+  })
+
+  it('warns that tasks are kept before deleting the current project', () => {
+    render(<ProjectSwitcher {...defaultProps} currentProjectId="project-1" />)
+    fireEvent.click(screen.getByText('Delete'))
+
+    expect(window.confirm).toHaveBeenCalledWith(expect.stringContaining('3 tasks will be kept without a project'))
+    expect(defaultProps.onDelete).toHaveBeenCalledWith('project-1')
+  })
+})
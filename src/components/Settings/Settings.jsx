@@ -0,0 +1,221 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import './Settings.css';
+
+const MAX_KEY_NAME_LENGTH = 50;
+const SCOPE_LABELS = {
+  read: 'Read tasks, projects and stats',
+  write: 'Create, change and delete'
+};
+
+function formatDateTime(dateString) {
+  return new Date(dateString).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+}
+
+// Account settings: who is logged in and the API keys scripts use instead of a password
+function Settings({ user, onLoadKeys, onCreateKey, onRevokeKey }) {
+  const [apiKeys, setApiKeys] = useState([]);
+  const [availableScopes, setAvailableScopes] = useState(['read', 'write']);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [name, setName] = useState('');
+  const [scopes, setScopes] = useState(['read']);
+  const [saving, setSaving] = useState(false);
+  const [formError, setFormError] = useState(null);
+  // The key just created - the only time the server sends it
+  const [newKey, setNewKey] = useState(null);
+  const [copied, setCopied] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+
+  // The loader's identity changes on every parent render; load once on mount
+  const onLoadKeysRef = useRef(onLoadKeys);
+  onLoadKeysRef.current = onLoadKeys;
+
+  const loadKeys = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const data = await onLoadKeysRef.current();
+      setApiKeys(data.apiKeys);
+      if (data.scopes) setAvailableScopes(data.scopes);
+    } catch (err) {
+      console.error('Failed to load API keys:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadKeys();
+  }, [loadKeys]);
+
+  const toggleScope = (scope) => {
+    setScopes(previous => (previous.includes(scope)
+      ? previous.filter(s => s !== scope)
+      : [...previous, scope]));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const trimmed = name.trim();
+    if (!trimmed) {
+      setFormError('Key name is required');
+      return;
+    }
+    if (scopes.length === 0) {
+      setFormError('Choose at least one permission');
+      return;
+    }
+
+    setSaving(true);
+    setFormError(null);
+    try {
+      const data = await onCreateKey({ name: trimmed, scopes });
+      setApiKeys(previous => [data.apiKey, ...previous]);
+      setNewKey(data.key);
+      setCopied(false);
+      setName('');
+      setScopes(['read']);
+    } catch (err) {
+      console.error('Failed to create API key:', err);
+      setFormError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(newKey);
+      setCopied(true);
+    } catch (err) {
+      // Clipboard access can be refused; the key is still selectable in the field
+      console.error('Failed to copy API key:', err);
+    }
+  };
+
+  const handleRevoke = async (apiKey) => {
+    if (!window.confirm(`Revoke "${apiKey.name}"? Scripts using it will stop working immediately.`)) {
+      return;
+    }
+
+    setBusyId(apiKey.id);
+    try {
+      await onRevokeKey(apiKey.id);
+      setApiKeys(previous => previous.filter(k => k.id !== apiKey.id));
+    } catch (err) {
+      console.error('Failed to revoke API key:', err);
+      setError(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="settings">
+      <div className="settings-header">
+        <h3>Settings</h3>
+        {user && (
+          <p className="settings-note">
+            Logged in as {user.name} ({user.email})
+          </p>
+        )}
+      </div>
+
+      <section className="settings-section">
+        <h4>API keys</h4>
+        <p className="settings-note">
+          Scripts and integrations can send a key instead of logging in:
+          <code>Authorization: Bearer &lt;key&gt;</code>
+        </p>
+
+        {newKey && (
+          <div className="settings-new-key" role="status">
+            <p>Copy your new key now. It will not be shown again.</p>
+            <div className="settings-new-key-value">
+              <input
+                type="text"
+                readOnly
+                aria-label="New API key"
+                value={newKey}
+                onFocus={(e) => e.target.select()}
+              />
+              <button type="button" className="btn btn-primary" onClick={handleCopy}>
+                {copied ? 'Copied' : 'Copy'}
+              </button>
+              <button type="button" className="btn btn-cancel" onClick={() => setNewKey(null)}>
+                Done
+              </button>
+            </div>
+          </div>
+        )}
+
+        <form className="settings-key-form" onSubmit={handleCreate}>
+          <input
+            type="text"
+            aria-label="Key name"
+            placeholder="Key name, e.g. Nightly import"
+            value={name}
+            maxLength={MAX_KEY_NAME_LENGTH}
+            onChange={(e) => setName(e.target.value)}
+            disabled={saving}
+          />
+          {availableScopes.map(scope => (
+            <label key={scope} className="settings-scope" title={SCOPE_LABELS[scope]}>
+              <input
+                type="checkbox"
+                checked={scopes.includes(scope)}
+                onChange={() => toggleScope(scope)}
+                disabled={saving}
+              />
+              {scope}
+            </label>
+          ))}
+          <button type="submit" className="btn btn-primary" disabled={saving}>
+            {saving ? 'Creating...' : 'Create key'}
+          </button>
+        </form>
+        {formError && <p className="settings-error" role="alert">{formError}</p>}
+
+        {error && <p className="settings-error">Could not load API keys: {error}</p>}
+
+        {!error && !loading && apiKeys.length === 0 && (
+          <p className="settings-empty">No API keys yet.</p>
+        )}
+
+        <ul className="settings-key-list">
+          {apiKeys.map(apiKey => (
+            <li key={apiKey.id} className="settings-key">
+              <div className="settings-key-info">
+                <span className="settings-key-name">{apiKey.name}</span>
+                <span className="settings-key-meta">
+                  <code>{apiKey.prefix}…</code> · {apiKey.scopes.join(', ')}
+                  {' · '}Created {formatDateTime(apiKey.createdAt)}
+                  {' · '}{apiKey.lastUsedAt ? `Last used ${formatDateTime(apiKey.lastUsedAt)}` : 'Never used'}
+                </span>
+              </div>
+              <button
+                className="btn btn-danger"
+                onClick={() => handleRevoke(apiKey)}
+                disabled={busyId === apiKey.id}
+              >
+                Revoke
+              </button>
+            </li>
+          ))}
+        </ul>
+
+        {loading && <p className="settings-empty">Loading API keys...</p>}
+      </section>
+    </div>
+  );
+}
+
+export default Settings;
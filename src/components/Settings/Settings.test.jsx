@@ -0,0 +1,82 @@
+// ===== src/components/Settings/Settings.test.jsx =====
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { render, screen, fireEvent, waitFor } from '../../test/utils/test-utils'
+import Settings from './Settings'
+
+const user = { id: 'user-1', name: 'Ada', email: 'ada@example.com' }
+
+const storedKey = {
+  id: 'key-1',
+  name: 'Nightly import',
+  scopes: ['read'],
+  prefix: 'gnt_abcdefgh',
+  createdAt: '2024-01-01T10:00:00.000Z',
+  lastUsedAt: null
+}
+
+describe('Settings', () => {
+  const defaultProps = {
+    user,
+    onLoadKeys: vi.fn(),
+    onCreateKey: vi.fn(),
+    onRevokeKey: vi.fn()
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    vi.spyOn(window, 'confirm').mockReturnValue(true)
+    defaultProps.onLoadKeys.mockResolvedValue({ apiKeys: [storedKey], scopes: ['read', 'write'] })
+  })
+
+  it('lists API keys with their scopes and last use', async () => {
+    render(<Settings {...defaultProps} />)
+
+    expect(await screen.findByText('Nightly import')).toBeInTheDocument()
+    expect(screen.getByText('gnt_abcdefgh…')).toBeInTheDocument()
+    expect(screen.getByText(/Never used/)).toBeInTheDocument()
+    expect(screen.getByText(/Logged in as Ada/)).toBeInTheDocument()
+  })
+
+  it('creates a key with the chosen scopes and shows it once', async () => {
+    defaultProps.onCreateKey.mockResolvedValue({
+      apiKey: { ...storedKey, id: 'key-2', name: 'CI', scopes: ['read', 'write'] },
+      key: 'gnt_secretvalue'
+    })
+
+    render(<Settings {...defaultProps} />)
+    await screen.findByText('Nightly import')
+
+    fireEvent.change(screen.getByLabelText('Key name'), { target: { value: ' CI ' } })
+    fireEvent.click(screen.getByLabelText('write'))
+    fireEvent.click(screen.getByText('Create key'))
+
+    expect(await screen.findByLabelText('New API key')).toHaveValue('gnt_secretvalue')
+    expect(defaultProps.onCreateKey).toHaveBeenCalledWith({ name: 'CI', scopes: ['read', 'write'] })
+    expect(screen.getByText('CI')).toBeInTheDocument()
+
+    fireEvent.click(screen.getByText('Done'))
+    expect(screen.queryByLabelText('New API key')).not.toBeInTheDocument()
+  })
+
+  it('requires at least one scope', async () => {
+    render(<Settings {...defaultProps} />)
+    await screen.findByText('Nightly import')
+
+    fireEvent.change(screen.getByLabelText('Key name'), { target: { value: 'CI' } })
+    fireEvent.click(screen.getByLabelText('read'))
+    fireEvent.click(screen.getByText('Create key'))
+
+    expect(screen.getByRole('alert')).toHaveTextContent('Choose at least one permission')
+    expect(defaultProps.onCreateKey).not.toHaveBeenCalled()
+  })
+
+  it('removes a key once revoked', async () => {
+    defaultProps.onRevokeKey.mockResolvedValue({})
+
+    render(<Settings {...defaultProps} />)
+    fireEvent.click(await screen.findByText('Revoke'))
+
+    await waitFor(() => expect(screen.queryByText('Nightly import')).not.toBeInTheDocument())
+    expect(defaultProps.onRevokeKey).toHaveBeenCalledWith('key-1')
+  })
+})
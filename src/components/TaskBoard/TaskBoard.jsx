@@ -0,0 +1,266 @@
+import React, { useState, useEffect, useRef } from 'react';
+import TaskItem from '../TaskItem/TaskItem.jsx';
+import { DEFAULT_WORKFLOW, canTransition } from '../../utils/workflow.js';
+import './TaskBoard.css';
+
+const byPosition = (a, b) => (a.position ?? 0) - (b.position ?? 0);
+
+// Position for a card dropped at `index` among the column's other cards: halfway between its
+// new neighbours, so only the moved task changes
+function positionAt(others, index, fallback) {
+  if (others.length === 0) return fallback;
+  if (index <= 0) return others[0].position - 1;
+  if (index >= others.length) return others[others.length - 1].position + 1;
+  return (others[index - 1].position + others[index].position) / 2;
+}
+
+// One column per workflow status. Cards are dragged between columns or picked up with their
+// handle and moved with the arrow keys; columns the workflow doesn't allow a move to are skipped.
+function TaskBoard({
+  tasks = [],
+  loading = false,
+  onMove,
+  onTaskEdit,
+  onTaskDelete,
+  onTaskStatusChange,
+  onTaskSelect,
+  selectedTaskId,
+  canEdit = true,
+  canDelete = true,
+  assignees = [],
+  customFields = [],
+  workflow = DEFAULT_WORKFLOW
+}) {
+  const [dragging, setDragging] = useState(null); // Task being dragged with the mouse
+  const [dropTarget, setDropTarget] = useState(null); // { status, index }
+  const [grabbed, setGrabbed] = useState(null); // { task, status, index } while moving with the keyboard
+  const [announcement, setAnnouncement] = useState('');
+  const handles = useRef({});
+
+  const assigneeName = (task) => {
+    if (!task.assigneeId) return null;
+    return assignees.find(assignee => assignee.id === task.assigneeId)?.name || 'Someone';
+  };
+
+  const columnTasks = (statusId, excludeId = null) => tasks
+    .filter(task => task.status === statusId && task.id !== excludeId)
+    .sort(byPosition);
+
+  // A card jumps to another column while it's moved with the keyboard; keep focus on its handle
+  useEffect(() => {
+    if (grabbed) handles.current[grabbed.task.id]?.focus();
+  }, [grabbed]);
+
+  const moveTo = (task, status, index) => {
+    const others = columnTasks(status, task.id);
+    const current = columnTasks(task.status).findIndex(candidate => candidate.id === task.id);
+    if (status === task.status && index === current) return;
+
+    onMove?.(task.id, { status, position: positionAt(others, index, task.position ?? 0) });
+  };
+
+  const statusName = (statusId) => workflow.statuses.find(status => status.id === statusId)?.name || statusId;
+
+  const describeSpot = (task, status, index) => {
+    const count = columnTasks(status, task.id).length + 1;
+    return `${statusName(status)}, position ${index + 1} of ${count}`;
+  };
+
+  // Mouse drag and drop
+  const handleDragStart = (e, task) => {
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', task.id);
+    setDragging(task);
+  };
+
+  const handleDragEnd = () => {
+    setDragging(null);
+    setDropTarget(null);
+  };
+
+  const handleDragOver = (e, statusId) => {
+    if (!dragging || !canTransition(workflow, dragging.status, statusId)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+
+    // Drop before the first card whose middle is below the pointer
+    const cards = [...e.currentTarget.querySelectorAll('[data-task-id]')]
+      .filter(card => card.dataset.taskId !== dragging.id);
+    const index = cards.findIndex(card => {
+      const rect = card.getBoundingClientRect();
+      return e.clientY < rect.top + rect.height / 2;
+    });
+    const next = { status: statusId, index: index === -1 ? cards.length : index };
+    if (dropTarget?.status !== next.status || dropTarget?.index !== next.index) {
+      setDropTarget(next);
+    }
+  };
+
+  const handleDrop = (e, statusId) => {
+    e.preventDefault();
+    if (dragging && dropTarget?.status === statusId) {
+      moveTo(dragging, statusId, dropTarget.index);
+    }
+    handleDragEnd();
+  };
+
+  // Keyboard moves: Space or Enter picks a card up and drops it, arrows move it, Escape puts it back
+  const handleKeyDown = (e, card) => {
+    if (!grabbed) {
+      if (e.key === ' ' || e.key === 'Enter') {
+        e.preventDefault();
+        const index = columnTasks(card.status).findIndex(candidate => candidate.id === card.id);
+        setGrabbed({ task: card, status: card.status, index });
+        setAnnouncement(`Picked up ${card.title}. ${describeSpot(card, card.status, index)}. ` +
+          'Use the arrow keys to move it, Space to drop it or Escape to cancel.');
+      }
+      return;
+    }
+
+    const { task, status, index } = grabbed;
+    const statusIds = workflow.statuses.map(candidate => candidate.id);
+
+    switch (e.key) {
+      case ' ':
+      case 'Enter': {
+        e.preventDefault();
+        setGrabbed(null);
+        moveTo(task, status, index);
+        setAnnouncement(`Dropped ${task.title} in ${describeSpot(task, status, index)}.`);
+        break;
+      }
+      case 'Escape': {
+        e.preventDefault();
+        setGrabbed(null);
+        setAnnouncement(`Move cancelled. ${task.title} is back in ${statusName(task.status)}.`);
+        break;
+      }
+      case 'ArrowUp':
+      case 'ArrowDown': {
+        e.preventDefault();
+        const last = columnTasks(status, task.id).length;
+        const next = Math.min(Math.max(index + (e.key === 'ArrowUp' ? -1 : 1), 0), last);
+        setGrabbed({ ...grabbed, index: next });
+        setAnnouncement(describeSpot(task, status, next));
+        break;
+      }
+      case 'ArrowLeft':
+      case 'ArrowRight': {
+        e.preventDefault();
+        const step = e.key === 'ArrowLeft' ? -1 : 1;
+        let target = statusIds.indexOf(status) + step;
+        while (target >= 0 && target < statusIds.length && !canTransition(workflow, task.status, statusIds[target])) {
+          target += step;
+        }
+        if (target < 0 || target >= statusIds.length) {
+          setAnnouncement(`${task.title} can't move further ${step < 0 ? 'left' : 'right'}.`);
+          break;
+        }
+        const next = Math.min(index, columnTasks(statusIds[target], task.id).length);
+        setGrabbed({ ...grabbed, status: statusIds[target], index: next });
+        setAnnouncement(describeSpot(task, statusIds[target], next));
+        break;
+      }
+      default:
+        break;
+    }
+  };
+
+  // Cards as they should appear: a card picked up with the keyboard shows where it would land
+  const cardsFor = (statusId) => {
+    if (!grabbed) return columnTasks(statusId);
+    const cards = columnTasks(statusId, grabbed.task.id);
+    if (grabbed.status === statusId) cards.splice(grabbed.index, 0, grabbed.task);
+    return cards;
+  };
+
+  const moving = dragging || grabbed?.task;
+
+  if (loading) {
+    return (
+      <div className="task-board-loading">
+        <p>Loading tasks...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="task-board">
+      <p id="task-board-instructions" className="board-sr-only">
+        Press Space or Enter to pick up a task, the arrow keys to move it and Space or Enter again to drop it.
+      </p>
+      <div className="board-sr-only" aria-live="assertive">{announcement}</div>
+
+      <div className="board-columns">
+        {workflow.statuses.map(status => {
+          const cards = cardsFor(status.id);
+          const allowed = !moving || canTransition(workflow, moving.status, status.id);
+          const isDropTarget = dropTarget?.status === status.id;
+          // Drop indexes count the other cards only
+          const dropBeforeId = isDropTarget
+            ? cards.filter(card => card.id !== dragging?.id)[dropTarget.index]?.id
+            : null;
+
+          return (
+            <section
+              key={status.id}
+              className={`board-column category-${status.category}${allowed ? '' : ' not-allowed'}${isDropTarget ? ' drop-target' : ''}`}
+              aria-label={status.name}
+              onDragOver={(e) => handleDragOver(e, status.id)}
+              onDrop={(e) => handleDrop(e, status.id)}
+            >
+              <h4 className="board-column-title">
+                {status.name} <span className="board-column-count">({cards.length})</span>
+              </h4>
+
+              <div className="board-column-cards">
+                {cards.map(task => (
+                  <div
+                    key={task.id}
+                    data-task-id={task.id}
+                    className={`board-card${task.id === moving?.id ? ' moving' : ''}${
+                      task.id === dropBeforeId ? ' drop-before' : ''}`}
+                    draggable={canEdit}
+                    onDragStart={(e) => handleDragStart(e, task)}
+                    onDragEnd={handleDragEnd}
+                  >
+                    {canEdit && (
+                      <button
+                        type="button"
+                        className="board-card-handle"
+                        ref={(element) => { handles.current[task.id] = element; }}
+                        aria-label={`Move ${task.title}`}
+                        aria-describedby="task-board-instructions"
+                        aria-pressed={grabbed?.task.id === task.id}
+                        onKeyDown={(e) => handleKeyDown(e, task)}
+                      >
+                        ⠿
+                      </button>
+                    )}
+                    <TaskItem
+                      task={task}
+                      onEdit={onTaskEdit}
+                      onDelete={onTaskDelete}
+                      onStatusChange={onTaskStatusChange}
+                      onSelect={onTaskSelect}
+                      isSelected={task.id === selectedTaskId}
+                      assigneeName={assigneeName(task)}
+                      customFields={customFields}
+                      workflow={workflow}
+                      canEdit={canEdit}
+                      canDelete={canDelete}
+                    />
+                  </div>
+                ))}
+                {isDropTarget && !dropBeforeId && <div className="board-drop-end" />}
+                {cards.length === 0 && !isDropTarget && <p className="board-column-empty">No tasks</p>}
+              </div>
+            </section>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+export default TaskBoard;
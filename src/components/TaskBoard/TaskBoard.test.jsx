@@ -0,0 +1,99 @@
+// ===== src/components/TaskBoard/TaskBoard.test.jsx =====
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { render, screen, fireEvent, within } from '../../test/utils/test-utils'
+import TaskBoard from './TaskBoard'
+
+const task = (id, title, status, position) => ({
+  id,
+  title,
+  description: '',
+  status,
+  statusCategory: status === 'completed' ? 'done' : status,
+  priority: 'medium',
+  tags: [],
+  position,
+  createdAt: '2024-01-01T00:00:00.000Z',
+  updatedAt: '2024-01-01T00:00:00.000Z'
+})
+
+const tasks = [
+  task('task-1', 'Write spec', 'todo', 2),
+  task('task-2', 'Review spec', 'todo', 1),
+  task('task-3', 'Build it', 'in_progress', 1),
+  task('task-4', 'Ship it', 'in_progress', 3)
+]
+
+describe('TaskBoard', () => {
+  let onMove
+
+  beforeEach(() => {
+    onMove = vi.fn()
+  })
+
+  const cardTitles = (columnName) => within(screen.getByRole('region', { name: columnName }))
+    .getAllByRole('button', { name: /^Move / })
+    .map(handle => handle.getAttribute('aria-label').replace('Move ', ''))
+
+  it('shows a column per status with cards in board order', () => {
+    render(<TaskBoard tasks={tasks} onMove={onMove} />)
+
+    expect(screen.getAllByRole('region').map(column => column.getAttribute('aria-label')))
+      .toEqual(['To Do', 'In Progress', 'Completed'])
+    expect(cardTitles('To Do')).toEqual(['Review spec', 'Write spec'])
+    expect(within(screen.getByRole('region', { name: 'Completed' })).getByText('No tasks')).toBeInTheDocument()
+  })
+
+  it('moves a card to another status with the keyboard', () => {
+    render(<TaskBoard tasks={tasks} onMove={onMove} />)
+    const handle = screen.getByRole('button', { name: 'Move Write spec' })
+
+    fireEvent.keyDown(handle, { key: ' ' })
+    fireEvent.keyDown(handle, { key: 'ArrowRight' })
+    expect(screen.getByText('In Progress, position 2 of 3')).toBeInTheDocument()
+
+    fireEvent.keyDown(screen.getByRole('button', { name: 'Move Write spec' }), { key: 'Enter' })
+
+    // Dropped between "Build it" (1) and "Ship it" (3)
+    expect(onMove).toHaveBeenCalledWith('task-1', { status: 'in_progress', position: 2 })
+  })
+
+  it('reorders within a column and cancels with Escape', () => {
+    render(<TaskBoard tasks={tasks} onMove={onMove} />)
+    const handle = screen.getByRole('button', { name: 'Move Review spec' })
+
+    fireEvent.keyDown(handle, { key: 'Enter' })
+    fireEvent.keyDown(handle, { key: 'Escape' })
+    expect(onMove).not.toHaveBeenCalled()
+
+    fireEvent.keyDown(handle, { key: 'Enter' })
+    fireEvent.keyDown(handle, { key: 'ArrowDown' })
+    fireEvent.keyDown(handle, { key: 'Enter' })
+    expect(onMove).toHaveBeenCalledWith('task-2', { status: 'todo', position: 3 })
+  })
+
+  it('skips statuses the workflow does not allow moving to', () => {
+    const workflow = {
+      statuses: [
+        { id: 'todo', name: 'To Do', category: 'todo' },
+        { id: 'in_progress', name: 'In Progress', category: 'in_progress' },
+        { id: 'completed', name: 'Completed', category: 'done' }
+      ],
+      transitions: { todo: ['completed'], in_progress: ['completed'], completed: ['todo'] }
+    }
+    render(<TaskBoard tasks={tasks} workflow={workflow} onMove={onMove} />)
+    const handle = screen.getByRole('button', { name: 'Move Write spec' })
+
+    fireEvent.keyDown(handle, { key: ' ' })
+    fireEvent.keyDown(handle, { key: 'ArrowRight' })
+    fireEvent.keyDown(screen.getByRole('button', { name: 'Move Write spec' }), { key: ' ' })
+
+    expect(onMove).toHaveBeenCalledWith('task-1', { status: 'completed', position: 2 })
+  })
+
+  it('has no move handles for people who cannot edit tasks', () => {
+    render(<TaskBoard tasks={tasks} onMove={onMove} canEdit={false} />)
+
+    expect(screen.queryByRole('button', { name: /^Move / })).not.toBeInTheDocument()
+    expect(screen.getByText('Write spec').closest('[data-task-id]')).toHaveAttribute('draggable', 'false')
+  })
+})
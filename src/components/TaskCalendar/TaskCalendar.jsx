@@ -0,0 +1,229 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  dueDateKey,
+  formatDateKey,
+  getCalendarDays,
+  moveDueDate,
+  shiftAnchor,
+  todayKey
+} from '../../utils/calendar.js';
+import './TaskCalendar.css';
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+// Same rule as TaskItem: past its due date and not finished
+const isOverdue = (task) => task.dueDate && new Date(task.dueDate) < new Date() && task.statusCategory !== 'done';
+
+function rangeTitle(mode, days, anchor) {
+  if (mode === 'month') return formatDateKey(anchor, { month: 'long', year: 'numeric' });
+  const first = formatDateKey(days[0], { month: 'short', day: 'numeric' });
+  const last = formatDateKey(days[days.length - 1], { month: 'short', day: 'numeric', year: 'numeric' });
+  return `${first} – ${last}`;
+}
+
+// Tasks placed on the day they're due, a month or a week at a time. Tasks are dragged to another
+// day to reschedule them; clicking a day from today on starts a new task due on it. The calendar
+// loads its own tasks for the days shown, reloading whenever `refreshKey` changes.
+function TaskCalendar({
+  onLoadTasks,
+  onReschedule,
+  onCreate,
+  onTaskSelect,
+  selectedTaskId,
+  refreshKey,
+  canCreate = true,
+  canEdit = true,
+  initialDate = todayKey() // Day the calendar opens on, YYYY-MM-DD
+}) {
+  const [mode, setMode] = useState('month'); // 'month' | 'week'
+  const [anchor, setAnchor] = useState(initialDate);
+  const [tasks, setTasks] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [dragging, setDragging] = useState(null);
+  const [dropDay, setDropDay] = useState(null);
+
+  // The loader changes identity on every render of the parent; reloads follow the days and refreshKey
+  const onLoadTasksRef = useRef(onLoadTasks);
+  onLoadTasksRef.current = onLoadTasks;
+
+  const days = getCalendarDays(mode, anchor);
+  const dueFrom = days[0];
+  const dueTo = days[days.length - 1];
+  const today = todayKey();
+
+  useEffect(() => {
+    let current = true;
+    setLoading(true);
+    onLoadTasksRef.current({ dueFrom, dueTo })
+      .then(loaded => {
+        if (!current) return;
+        setTasks(loaded);
+        setError(null);
+      })
+      .catch(err => current && setError(err.message))
+      .finally(() => current && setLoading(false));
+
+    // A response for days no longer shown is dropped
+    return () => {
+      current = false;
+    };
+  }, [dueFrom, dueTo, refreshKey]);
+
+  const tasksOn = (day) => tasks.filter(task => dueDateKey(task) === day);
+
+  const handleDrop = async (e, day) => {
+    e.preventDefault();
+    const task = dragging;
+    setDragging(null);
+    setDropDay(null);
+    if (!task || dueDateKey(task) === day) return;
+
+    // Show it on the new day straight away; put it back if the server says no
+    const dueDate = moveDueDate(task.dueDate, day);
+    setTasks(previous => previous.map(candidate => (candidate.id === task.id ? { ...candidate, dueDate } : candidate)));
+    try {
+      const updated = await onReschedule(task.id, dueDate);
+      if (updated) {
+        setTasks(previous => previous.map(candidate => (candidate.id === task.id ? updated : candidate)));
+      }
+    } catch (err) {
+      setTasks(previous => previous.map(candidate => (candidate.id === task.id ? task : candidate)));
+      setError(`Could not reschedule "${task.title}": ${err.message}`);
+    }
+  };
+
+  const switchMode = (nextMode) => {
+    // A month opens on the week with today in it, otherwise on the week of the day it was opened on
+    if (nextMode === 'week' && anchor.slice(0, 7) === today.slice(0, 7)) setAnchor(today);
+    setMode(nextMode);
+  };
+
+  return (
+    <div className={`task-calendar calendar-${mode}`}>
+      <div className="calendar-toolbar">
+        <div className="calendar-nav">
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={() => setAnchor(shiftAnchor(mode, anchor, -1))}
+            aria-label={`Previous ${mode}`}
+          >
+            ‹
+          </button>
+          <button type="button" className="btn btn-secondary" onClick={() => setAnchor(today)}>
+            Today
+          </button>
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={() => setAnchor(shiftAnchor(mode, anchor, 1))}
+            aria-label={`Next ${mode}`}
+          >
+            ›
+          </button>
+        </div>
+        <h4 className="calendar-title" aria-live="polite">{rangeTitle(mode, days, anchor)}</h4>
+        <div className="calendar-modes" role="group" aria-label="Calendar range">
+          {['month', 'week'].map(option => (
+            <button
+              key={option}
+              type="button"
+              className={`btn btn-secondary${mode === option ? ' active' : ''}`}
+              onClick={() => switchMode(option)}
+              aria-pressed={mode === option}
+            >
+              {option === 'month' ? 'Month' : 'Week'}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {error && <p className="calendar-error" role="alert">{error}</p>}
+
+      <div className="calendar-grid" aria-busy={loading}>
+        {WEEKDAYS.map(weekday => (
+          <div key={weekday} className="calendar-weekday">{weekday}</div>
+        ))}
+
+        {days.map(day => {
+          const dayTasks = tasksOn(day);
+          const label = formatDateKey(day, { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' });
+          // The task form doesn't take due dates in the past
+          const creatable = canCreate && onCreate && day >= today;
+          const classes = [
+            'calendar-day',
+            mode === 'month' && day.slice(0, 7) !== anchor.slice(0, 7) && 'outside-month',
+            day === today && 'today',
+            dropDay === day && 'drop-target'
+          ].filter(Boolean).join(' ');
+
+          return (
+            <div
+              key={day}
+              className={classes}
+              role="group"
+              aria-label={label}
+              onDragOver={(e) => {
+                if (!dragging) return;
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'move';
+                if (dropDay !== day) setDropDay(day);
+              }}
+              onDrop={(e) => handleDrop(e, day)}
+            >
+              <div className="calendar-day-header">
+                {creatable ? (
+                  <button
+                    type="button"
+                    className="calendar-day-number"
+                    onClick={() => onCreate(day)}
+                    aria-label={`Add a task due ${label}`}
+                    title="Add a task due this day"
+                  >
+                    {Number(day.slice(8))}
+                  </button>
+                ) : (
+                  <span className="calendar-day-number">{Number(day.slice(8))}</span>
+                )}
+              </div>
+
+              <ul className="calendar-day-tasks">
+                {dayTasks.map(task => (
+                  <li key={task.id}>
+                    <button
+                      type="button"
+                      className={[
+                        'calendar-task',
+                        `calendar-task-${task.priority}`,
+                        isOverdue(task) && 'overdue',
+                        task.statusCategory === 'done' && 'done',
+                        task.id === selectedTaskId && 'selected'
+                      ].filter(Boolean).join(' ')}
+                      draggable={canEdit}
+                      onDragStart={(e) => {
+                        e.dataTransfer.effectAllowed = 'move';
+                        e.dataTransfer.setData('text/plain', task.id);
+                        setDragging(task);
+                      }}
+                      onDragEnd={() => {
+                        setDragging(null);
+                        setDropDay(null);
+                      }}
+                      onClick={() => onTaskSelect?.(task)}
+                      title={isOverdue(task) ? `${task.title} (overdue)` : task.title}
+                    >
+                      {task.title}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+export default TaskCalendar;
@@ -0,0 +1,102 @@
+// ===== src/components/TaskCalendar/TaskCalendar.test.jsx =====
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { render, screen, fireEvent, waitFor, within } from '../../test/utils/test-utils'
+import TaskCalendar from './TaskCalendar'
+
+const tasks = [
+  {
+    id: 'task-1',
+    title: 'Plan sprint',
+    priority: 'high',
+    status: 'todo',
+    statusCategory: 'todo',
+    dueDate: '2030-03-05T09:00:00.000Z'
+  },
+  {
+    id: 'task-2',
+    title: 'Renew licence',
+    priority: 'medium',
+    status: 'todo',
+    statusCategory: 'todo',
+    dueDate: '2020-01-01T00:00:00.000Z'
+  }
+]
+
+const dataTransfer = { setData: vi.fn(), effectAllowed: '', dropEffect: '' }
+
+describe('TaskCalendar', () => {
+  let props
+
+  beforeEach(() => {
+    props = {
+      onLoadTasks: vi.fn().mockResolvedValue(tasks),
+      onReschedule: vi.fn(async (id, dueDate) => ({ ...tasks[0], dueDate })),
+      onCreate: vi.fn(),
+      onTaskSelect: vi.fn(),
+      initialDate: '2030-03-12'
+    }
+  })
+
+  const day = (name) => screen.getByRole('group', { name })
+
+  it('loads the weeks of the month and shows tasks on their due dates', async () => {
+    render(<TaskCalendar {...props} />)
+
+    expect(props.onLoadTasks).toHaveBeenCalledWith({ dueFrom: '2030-02-25', dueTo: '2030-03-31' })
+    expect(screen.getByText('March 2030')).toBeInTheDocument()
+    expect(await within(day('Tuesday, March 5, 2030')).findByText('Plan sprint')).toBeInTheDocument()
+  })
+
+  it('highlights overdue tasks', async () => {
+    props.initialDate = '2020-01-01'
+    props.onLoadTasks.mockResolvedValue([tasks[1]])
+    render(<TaskCalendar {...props} />)
+
+    expect(await screen.findByText('Renew licence')).toHaveClass('overdue')
+  })
+
+  it('reschedules a task dragged to another day', async () => {
+    render(<TaskCalendar {...props} />)
+    const task = await screen.findByText('Plan sprint')
+
+    fireEvent.dragStart(task, { dataTransfer })
+    fireEvent.dragOver(day('Friday, March 8, 2030'), { dataTransfer })
+    fireEvent.drop(day('Friday, March 8, 2030'), { dataTransfer })
+
+    // The time of day is kept
+    expect(props.onReschedule).toHaveBeenCalledWith('task-1', '2030-03-08T09:00:00.000Z')
+    expect(within(day('Friday, March 8, 2030')).getByText('Plan sprint')).toBeInTheDocument()
+  })
+
+  it('puts a task back when rescheduling fails', async () => {
+    props.onReschedule.mockRejectedValue(new Error('Server unavailable'))
+    render(<TaskCalendar {...props} />)
+    const task = await screen.findByText('Plan sprint')
+
+    fireEvent.dragStart(task, { dataTransfer })
+    fireEvent.dragOver(day('Friday, March 8, 2030'), { dataTransfer })
+    fireEvent.drop(day('Friday, March 8, 2030'), { dataTransfer })
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Could not reschedule "Plan sprint"')
+    expect(within(day('Tuesday, March 5, 2030')).getByText('Plan sprint')).toBeInTheDocument()
+  })
+
+  it('starts a new task due on the day clicked', async () => {
+    render(<TaskCalendar {...props} />)
+
+    fireEvent.click(screen.getByRole('button', { name: 'Add a task due Wednesday, March 20, 2030' }))
+
+    expect(props.onCreate).toHaveBeenCalledWith('2030-03-20')
+  })
+
+  it('switches to a week and moves between weeks', async () => {
+    render(<TaskCalendar {...props} />)
+
+    fireEvent.click(screen.getByRole('button', { name: 'Week' }))
+    await waitFor(() => expect(props.onLoadTasks).toHaveBeenLastCalledWith({ dueFrom: '2030-03-11', dueTo: '2030-03-17' }))
+
+    fireEvent.click(screen.getByRole('button', { name: 'Previous week' }))
+    await waitFor(() => expect(props.onLoadTasks).toHaveBeenLastCalledWith({ dueFrom: '2030-03-04', dueTo: '2030-03-10' }))
+    expect(await screen.findByText('Plan sprint')).toBeInTheDocument()
+  })
+})
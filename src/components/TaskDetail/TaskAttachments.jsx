@@ -0,0 +1,258 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function formatTimestamp(timestamp) {
+  return new Date(timestamp).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric'
+  });
+}
+
+// Files are served behind the auth header, so an <img src> can't point at them directly:
+// the thumbnail is fetched as a Blob and shown through an object URL
+function AttachmentThumbnail({ taskId, attachment, onDownload }) {
+  const [src, setSrc] = useState(null);
+
+  useEffect(() => {
+    let objectUrl = null;
+    let cancelled = false;
+
+    onDownload(taskId, attachment.id)
+      .then(blob => {
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(blob);
+        setSrc(objectUrl);
+      })
+      .catch(err => console.error('Failed to load thumbnail:', err));
+
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [taskId, attachment.id, onDownload]);
+
+  return src
+    ? <img className="attachment-thumbnail" src={src} alt={attachment.fileName} />
+    : <span className="attachment-thumbnail placeholder" aria-hidden="true">🖼️</span>;
+}
+
+// Files attached to a task, oldest first. Without onUpload the list is read-only.
+function TaskAttachments({
+  taskId,
+  currentUserId,
+  onLoadAttachments,
+  onUpload,
+  onDownload,
+  onDelete,
+  canDeleteAny = false // Owners may remove any file; editors only the ones they uploaded
+}) {
+  const [attachments, setAttachments] = useState([]);
+  const [limits, setLimits] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [uploading, setUploading] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const fileInputRef = useRef(null);
+
+  // Loaders change identity on every parent render; only the task should trigger a reload
+  const onLoadAttachmentsRef = useRef(onLoadAttachments);
+  onLoadAttachmentsRef.current = onLoadAttachments;
+  const onDownloadRef = useRef(onDownload);
+  onDownloadRef.current = onDownload;
+  const download = useCallback((...args) => onDownloadRef.current(...args), []);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const data = await onLoadAttachmentsRef.current(taskId);
+      setAttachments(data.attachments);
+      setLimits(data.limits);
+    } catch (err) {
+      console.error('Failed to load attachments:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [taskId]);
+
+  useEffect(() => {
+    setAttachments([]);
+    setLimits(null);
+    load();
+  }, [load]);
+
+  // Same checks as the server, so an oversized or unsupported file fails before it is sent
+  const validateFile = (file) => {
+    if (file.size === 0) {
+      return `${file.name} is empty`;
+    }
+    if (file.size > limits.maxSize) {
+      return `${file.name} is larger than ${formatSize(limits.maxSize)}`;
+    }
+    if (file.type && file.type !== 'application/octet-stream' && !limits.allowedTypes.includes(file.type)) {
+      return `${file.name} is not a supported file type`;
+    }
+    return null;
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const problem = validateFile(file);
+    if (problem) {
+      setError(problem);
+      return;
+    }
+
+    setUploading(true);
+    setError(null);
+    try {
+      const attachment = await onUpload(taskId, file);
+      setAttachments(previous => [...previous, attachment]);
+    } catch (err) {
+      console.error('Failed to upload file:', err);
+      setError(err.message);
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleDownload = async (attachment) => {
+    setBusyId(attachment.id);
+    setError(null);
+    try {
+      const blob = await download(taskId, attachment.id);
+      const objectUrl = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = objectUrl;
+      link.download = attachment.fileName;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(objectUrl);
+    } catch (err) {
+      console.error('Failed to download file:', err);
+      setError(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDelete = async (attachment) => {
+    if (!window.confirm(`Delete ${attachment.fileName}?`)) return;
+
+    setBusyId(attachment.id);
+    setError(null);
+    try {
+      await onDelete(taskId, attachment.id);
+      setAttachments(previous => previous.filter(existing => existing.id !== attachment.id));
+    } catch (err) {
+      console.error('Failed to delete attachment:', err);
+      setError(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (error && !limits) {
+    return (
+      <div className="task-attachments-empty">
+        <p>Could not load files: {error}</p>
+        <button className="history-more-btn" onClick={load}>Retry</button>
+      </div>
+    );
+  }
+
+  const atLimit = limits && attachments.length >= limits.maxCount;
+
+  return (
+    <div className="task-attachments">
+      {!loading && limits && attachments.length === 0 && (
+        <p className="task-attachments-empty">No files attached.</p>
+      )}
+
+      <ul className="attachment-list">
+        {attachments.map(attachment => {
+          const canRemove = Boolean(onDelete) &&
+            (attachment.uploaderId === currentUserId || canDeleteAny);
+
+          return (
+            <li key={attachment.id} className="attachment">
+              {attachment.isImage
+                ? <AttachmentThumbnail taskId={taskId} attachment={attachment} onDownload={download} />
+                : <span className="attachment-thumbnail placeholder" aria-hidden="true">📄</span>}
+              <div className="attachment-info">
+                <button
+                  type="button"
+                  className="attachment-name"
+                  onClick={() => handleDownload(attachment)}
+                  disabled={busyId === attachment.id}
+                  title={`Download ${attachment.fileName}`}
+                >
+                  {attachment.fileName}
+                </button>
+                <span className="attachment-meta">
+                  {formatSize(attachment.size)} · {attachment.uploader?.name || 'Former member'} ·{' '}
+                  <time dateTime={attachment.createdAt}>{formatTimestamp(attachment.createdAt)}</time>
+                </span>
+              </div>
+              {canRemove && (
+                <button
+                  type="button"
+                  className="attachment-delete"
+                  onClick={() => handleDelete(attachment)}
+                  disabled={busyId === attachment.id}
+                  aria-label={`Delete ${attachment.fileName}`}
+                >
+                  Delete
+                </button>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+
+      {loading && <p className="task-attachments-loading">Loading files...</p>}
+
+      {error && limits && <p className="attachment-error" role="alert">{error}</p>}
+
+      {onUpload && limits && (
+        <div className="attachment-upload">
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept={limits.allowedTypes.join(',')}
+            onChange={handleFileChange}
+            disabled={uploading || atLimit}
+            aria-label="Attach a file"
+            hidden
+          />
+          <button
+            type="button"
+            onClick={() => fileInputRef.current?.click()}
+            disabled={uploading || atLimit}
+          >
+            {uploading ? 'Uploading...' : '📎 Attach file'}
+          </button>
+          <span className="attachment-hint">
+            {atLimit
+              ? `A task can have at most ${limits.maxCount} files`
+              : `Images, PDFs, text and zip files up to ${formatSize(limits.maxSize)}`}
+          </span>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default TaskAttachments;
@@ -0,0 +1,125 @@
+import React, { useState } from 'react';
+
+const MAX_ITEM_LENGTH = 200;
+
+function TaskChecklist({ task, onAddItem, onToggleItem, onRemoveItem, onMoveItem }) {
+  const [newItemText, setNewItemText] = useState('');
+  const [adding, setAdding] = useState(false);
+
+  const items = task.checklist || [];
+  const doneCount = items.filter(item => item.done).length;
+  const readOnly = !onToggleItem;
+
+  // Failures already land in the app error banner; the panel only has to stay usable
+  const run = (action) => {
+    Promise.resolve(action()).catch(error => console.error('Checklist change failed:', error));
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    const text = newItemText.trim();
+    if (!text || !onAddItem) return;
+
+    setAdding(true);
+    try {
+      await onAddItem(task.id, text);
+      setNewItemText('');
+    } catch (error) {
+      console.error('Failed to add checklist item:', error);
+    } finally {
+      setAdding(false);
+    }
+  };
+
+  return (
+    <section className="task-checklist" aria-labelledby="task-checklist-title">
+      <div className="task-checklist-header">
+        <h3 id="task-checklist-title">Checklist</h3>
+        {items.length > 0 && (
+          <span className="task-checklist-progress">
+            {doneCount}/{items.length} done
+          </span>
+        )}
+      </div>
+
+      {task.requireChecklist && doneCount < items.length && (
+        <p className="task-checklist-rule">
+          All items must be checked before this task can be completed.
+        </p>
+      )}
+
+      {items.length === 0 ? (
+        <p className="task-checklist-empty">No checklist items.</p>
+      ) : (
+        <ul className="task-checklist-items">
+          {items.map((item, index) => (
+            <li key={item.id} className={`task-checklist-item ${item.done ? 'done' : ''}`}>
+              <label>
+                <input
+                  type="checkbox"
+                  checked={item.done}
+                  disabled={readOnly}
+                  onChange={() => run(() => onToggleItem(task.id, item.id))}
+                />
+                <span className="task-checklist-text">{item.text}</span>
+              </label>
+
+              {!readOnly && (
+                <div className="task-checklist-item-actions">
+                  {onMoveItem && (
+                    <>
+                      <button
+                        type="button"
+                        onClick={() => run(() => onMoveItem(task.id, item.id, -1))}
+                        disabled={index === 0}
+                        aria-label={`Move "${item.text}" up`}
+                      >
+                        ↑
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => run(() => onMoveItem(task.id, item.id, 1))}
+                        disabled={index === items.length - 1}
+                        aria-label={`Move "${item.text}" down`}
+                      >
+                        ↓
+                      </button>
+                    </>
+                  )}
+                  {onRemoveItem && (
+                    <button
+                      type="button"
+                      onClick={() => run(() => onRemoveItem(task.id, item.id))}
+                      aria-label={`Remove "${item.text}"`}
+                    >
+                      ×
+                    </button>
+                  )}
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {onAddItem && (
+        <form className="task-checklist-add" onSubmit={handleAdd}>
+          <input
+            type="text"
+            value={newItemText}
+            onChange={(e) => setNewItemText(e.target.value)}
+            placeholder="Add an item..."
+            maxLength={MAX_ITEM_LENGTH}
+            aria-label="New checklist item"
+            disabled={adding}
+          />
+          <button type="submit" disabled={adding || !newItemText.trim()}>
+            Add
+          </button>
+        </form>
+      )}
+    </section>
+  );
+}
+
+export default TaskChecklist;
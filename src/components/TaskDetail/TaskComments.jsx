@@ -0,0 +1,237 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+
+const PAGE_SIZE = 20;
+const MAX_COMMENT_LENGTH = 2000;
+
+function formatTimestamp(timestamp) {
+  return new Date(timestamp).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+}
+
+// Discussion thread of a task, oldest first. Without onAddComment the thread is read-only.
+function TaskComments({
+  taskId,
+  currentUserId,
+  onLoadComments,
+  onAddComment,
+  onEditComment,
+  onDeleteComment,
+  canDeleteAny = false // Owners may remove anyone's comment; everyone else only their own
+}) {
+  const [comments, setComments] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [draft, setDraft] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [editing, setEditing] = useState(null); // { id, body }
+  const [busyId, setBusyId] = useState(null);
+
+  // The loader's identity changes on every parent render; only the task should trigger a reload
+  const onLoadCommentsRef = useRef(onLoadComments);
+  onLoadCommentsRef.current = onLoadComments;
+
+  const loadPage = useCallback(async (offset) => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const data = await onLoadCommentsRef.current(taskId, { limit: PAGE_SIZE, offset });
+      setComments(previous => (offset === 0 ? data.comments : [...previous, ...data.comments]));
+      setPagination(data.pagination);
+    } catch (err) {
+      console.error('Failed to load comments:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [taskId]);
+
+  useEffect(() => {
+    setComments([]);
+    setPagination(null);
+    loadPage(0);
+  }, [loadPage]);
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    const body = draft.trim();
+    if (!body) return;
+
+    setSaving(true);
+    setError(null);
+    try {
+      const comment = await onAddComment(taskId, body);
+      // Only show it now if the thread is fully loaded; otherwise it turns up at the end when paging
+      if (!pagination?.hasMore) {
+        setComments(previous => [...previous, comment]);
+      }
+      setPagination(previous => previous && { ...previous, total: previous.total + 1 });
+      setDraft('');
+    } catch (err) {
+      console.error('Failed to add comment:', err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSaveEdit = async (e) => {
+    e.preventDefault();
+    const body = editing.body.trim();
+    if (!body) return;
+
+    setBusyId(editing.id);
+    setError(null);
+    try {
+      const updated = await onEditComment(taskId, editing.id, body);
+      setComments(previous => previous.map(comment => (comment.id === updated.id ? updated : comment)));
+      setEditing(null);
+    } catch (err) {
+      console.error('Failed to update comment:', err);
+      setError(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDelete = async (comment) => {
+    if (!window.confirm('Delete this comment?')) return;
+
+    setBusyId(comment.id);
+    setError(null);
+    try {
+      await onDeleteComment(taskId, comment.id);
+      setComments(previous => previous.filter(existing => existing.id !== comment.id));
+      setPagination(previous => previous && { ...previous, total: previous.total - 1 });
+    } catch (err) {
+      console.error('Failed to delete comment:', err);
+      setError(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (error && !pagination) {
+    return (
+      <div className="task-comments-empty">
+        <p>Could not load comments: {error}</p>
+        <button className="history-more-btn" onClick={() => loadPage(0)}>Retry</button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="task-comments">
+      {!loading && pagination && comments.length === 0 && (
+        <p className="task-comments-empty">No comments yet.</p>
+      )}
+
+      <ol className="comment-list">
+        {comments.map(comment => {
+          const isAuthor = comment.authorId === currentUserId;
+          const canEdit = isAuthor && Boolean(onEditComment);
+          const canDelete = Boolean(onDeleteComment) && (isAuthor || canDeleteAny);
+
+          return (
+            <li key={comment.id} className="comment">
+              <div className="comment-header">
+                <span className="comment-author">{comment.author?.name || 'Former member'}</span>
+                <time className="comment-time" dateTime={comment.createdAt}>
+                  {formatTimestamp(comment.createdAt)}
+                </time>
+                {comment.editedAt && (
+                  <span className="comment-edited" title={`Edited ${formatTimestamp(comment.editedAt)}`}>
+                    (edited)
+                  </span>
+                )}
+                {(canEdit || canDelete) && editing?.id !== comment.id && (
+                  <span className="comment-actions">
+                    {canEdit && (
+                      <button
+                        type="button"
+                        onClick={() => setEditing({ id: comment.id, body: comment.body })}
+                        disabled={busyId === comment.id}
+                      >
+                        Edit
+                      </button>
+                    )}
+                    {canDelete && (
+                      <button
+                        type="button"
+                        onClick={() => handleDelete(comment)}
+                        disabled={busyId === comment.id}
+                      >
+                        Delete
+                      </button>
+                    )}
+                  </span>
+                )}
+              </div>
+
+              {editing?.id === comment.id ? (
+                <form className="comment-form" onSubmit={handleSaveEdit}>
+                  <textarea
+                    value={editing.body}
+                    onChange={(e) => setEditing({ ...editing, body: e.target.value })}
+                    maxLength={MAX_COMMENT_LENGTH}
+                    aria-label="Edit comment"
+                    rows={3}
+                    disabled={busyId === comment.id}
+                  />
+                  <div className="comment-form-actions">
+                    <button type="button" onClick={() => setEditing(null)}>Cancel</button>
+                    <button type="submit" disabled={busyId === comment.id || !editing.body.trim()}>
+                      Save
+                    </button>
+                  </div>
+                </form>
+              ) : (
+                <p className="comment-body">{comment.body}</p>
+              )}
+            </li>
+          );
+        })}
+      </ol>
+
+      {loading && <p className="task-comments-loading">Loading comments...</p>}
+
+      {!loading && pagination?.hasMore && (
+        <button
+          className="history-more-btn"
+          onClick={() => loadPage(comments.length)}
+        >
+          Show more comments
+        </button>
+      )}
+
+      {error && pagination && <p className="comment-error" role="alert">{error}</p>}
+
+      {onAddComment && (
+        <form className="comment-form" onSubmit={handleAdd}>
+          <textarea
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            placeholder="Write a comment..."
+            maxLength={MAX_COMMENT_LENGTH}
+            aria-label="New comment"
+            rows={3}
+            disabled={saving}
+          />
+          <div className="comment-form-actions">
+            <button type="submit" disabled={saving || !draft.trim()}>
+              {saving ? 'Posting...' : 'Comment'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default TaskComments;
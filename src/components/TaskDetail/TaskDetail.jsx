@@ -0,0 +1,250 @@
+import React, { useState } from 'react';
+import TaskHistory from './TaskHistory.jsx';
+import TaskChecklist from './TaskChecklist.jsx';
+import TaskComments from './TaskComments.jsx';
+import TaskAttachments from './TaskAttachments.jsx';
+import { describeRecurrence } from '../../utils/recurrence.js';
+import { formatCustomFieldValue } from '../../utils/customFields.js';
+import { DEFAULT_WORKFLOW, getStatusName } from '../../utils/workflow.js';
+import Markdown from '../Markdown/Markdown.jsx';
+import './TaskDetail.css';
+
+const TABS = [
+  { id: 'details', label: 'Details' },
+  { id: 'comments', label: 'Comments' },
+  { id: 'files', label: 'Files' },
+  { id: 'history', label: 'History' }
+];
+
+function formatDate(dateString) {
+  if (!dateString) return '—';
+  return new Date(dateString).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric'
+  });
+}
+
+function TaskDetail({
+  task,
+  onClose,
+  onEdit,
+  onLoadHistory,
+  onAddChecklistItem,
+  onToggleChecklistItem,
+  onRemoveChecklistItem,
+  onMoveChecklistItem,
+  onLoadComments,
+  onAddComment,
+  onEditComment,
+  onDeleteComment,
+  currentUserId = null,
+  canDeleteComments = false,
+  onLoadAttachments,
+  onUploadAttachment,
+  onDownloadAttachment,
+  onDeleteAttachment,
+  canDeleteAttachments = false,
+  projects = [],
+  workspaces = [],
+  assignees = [],
+  customFields = [], // The workspace's custom field definitions
+  workflow = DEFAULT_WORKFLOW, // The workspace's workflow, for status names
+  initialTab = 'details'
+}) {
+  const [activeTab, setActiveTab] = useState(initialTab);
+
+  if (!task) return null;
+
+  const project = task.projectId
+    ? projects.find(candidate => candidate.id === task.projectId)
+    : null;
+
+  const assignee = task.assigneeId
+    ? assignees.find(candidate => candidate.id === task.assigneeId)
+    : null;
+
+  const isOverdue = task.dueDate &&
+                   new Date(task.dueDate) < new Date() &&
+                   task.statusCategory !== 'done';
+
+  return (
+    <div className="task-detail" role="dialog" aria-labelledby="task-detail-title">
+      <div className="task-detail-header">
+        <h2 id="task-detail-title">{task.title}</h2>
+        <div className="task-detail-header-actions">
+          {onEdit && (
+            <button className="detail-edit-btn" onClick={() => onEdit(task)}>
+              ✏️ Edit
+            </button>
+          )}
+          <button className="close-btn" onClick={onClose} aria-label="Close task details">
+            ×
+          </button>
+        </div>
+      </div>
+
+      <div className="task-detail-tabs" role="tablist">
+        {TABS.map(tab => (
+          <button
+            key={tab.id}
+            id={`task-detail-tab-${tab.id}`}
+            role="tab"
+            aria-selected={activeTab === tab.id}
+            aria-controls={`task-detail-panel-${tab.id}`}
+            className={`detail-tab ${activeTab === tab.id ? 'active' : ''}`}
+            onClick={() => setActiveTab(tab.id)}
+          >
+            {tab.label}
+            {tab.id === 'comments' && task.commentCount > 0 && ` (${task.commentCount})`}
+          </button>
+        ))}
+      </div>
+
+      <div
+        id={`task-detail-panel-${activeTab}`}
+        role="tabpanel"
+        aria-labelledby={`task-detail-tab-${activeTab}`}
+        className="task-detail-panel"
+      >
+        {activeTab === 'details' && (
+          <dl className="task-detail-fields">
+            <dt>Status</dt>
+            <dd>
+              <span className={`status-badge status-${task.statusCategory}`}>
+                {getStatusName(workflow, task.status)}
+              </span>
+            </dd>
+
+            <dt>Project</dt>
+            <dd>
+              {project ? (
+                <span className="task-project">
+                  <span
+                    className="task-project-dot"
+                    style={{ backgroundColor: project.color }}
+                    aria-hidden="true"
+                  />
+                  {project.name}
+                </span>
+              ) : '—'}
+            </dd>
+
+            <dt>Assignee</dt>
+            <dd>{task.assigneeId ? assignee?.name || 'Former member' : 'Unassigned'}</dd>
+
+            <dt>Priority</dt>
+            <dd>
+              <span className={`priority-badge priority-${task.priority}`}>{task.priority}</span>
+            </dd>
+
+            <dt>Starts</dt>
+            <dd>{formatDate(task.startDate)}</dd>
+
+            <dt>Due</dt>
+            <dd className={isOverdue ? 'overdue' : ''}>
+              {formatDate(task.dueDate)}
+              {isOverdue && ' (Overdue)'}
+            </dd>
+
+            <dt>Tags</dt>
+            <dd>
+              {task.tags?.length > 0
+                ? task.tags.map(tag => <span key={tag} className="tag">#{tag}</span>)
+                : '—'}
+            </dd>
+
+            <dt>Blocked by</dt>
+            <dd>
+              {task.blockers?.length > 0
+                ? task.blockers.map(blocker => (
+                    <span key={blocker.id} className="blocked-by-task">
+                      {blocker.title} ({getStatusName(workflow, blocker.status)})
+                    </span>
+                  ))
+                : task.blockedBy?.length > 0
+                  ? 'Nothing - all blocking tasks are done'
+                  : '—'}
+            </dd>
+
+            <dt>Repeat</dt>
+            <dd>
+              {task.recurrence ? `🔁 ${describeRecurrence(task.recurrence)}` : '—'}
+              {task.nextOccurrenceId && (
+                <span className="task-detail-note"> (next occurrence created)</span>
+              )}
+            </dd>
+
+            {customFields.map(field => (
+              <React.Fragment key={field.id}>
+                <dt>{field.name}</dt>
+                <dd>{formatCustomFieldValue(field, task.customFields?.[field.id]) || '—'}</dd>
+              </React.Fragment>
+            ))}
+
+            <dt>Description</dt>
+            <dd className="task-detail-description">
+              {task.description ? <Markdown source={task.description} /> : '—'}
+            </dd>
+
+            <dt>Created</dt>
+            <dd>{formatDate(task.createdAt)}</dd>
+
+            <dt>Updated</dt>
+            <dd>{formatDate(task.updatedAt)}</dd>
+          </dl>
+        )}
+
+        {activeTab === 'details' && (
+          <TaskChecklist
+            task={task}
+            onAddItem={onAddChecklistItem}
+            onToggleItem={onToggleChecklistItem}
+            onRemoveItem={onRemoveChecklistItem}
+            onMoveItem={onMoveChecklistItem}
+          />
+        )}
+
+        {activeTab === 'comments' && (
+          <TaskComments
+            taskId={task.id}
+            currentUserId={currentUserId}
+            onLoadComments={onLoadComments}
+            onAddComment={onAddComment}
+            onEditComment={onEditComment}
+            onDeleteComment={onDeleteComment}
+            canDeleteAny={canDeleteComments}
+          />
+        )}
+
+        {activeTab === 'files' && (
+          <TaskAttachments
+            taskId={task.id}
+            currentUserId={currentUserId}
+            onLoadAttachments={onLoadAttachments}
+            onUpload={onUploadAttachment}
+            onDownload={onDownloadAttachment}
+            onDelete={onDeleteAttachment}
+            canDeleteAny={canDeleteAttachments}
+          />
+        )}
+
+        {/* Remount on every new version so edits made while open show up */}
+        {activeTab === 'history' && (
+          <TaskHistory
+            key={task.version}
+            taskId={task.id}
+            onLoadHistory={onLoadHistory}
+            projects={projects}
+            workspaces={workspaces}
+            assignees={assignees}
+            customFields={customFields}
+            workflow={workflow}
+          />
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default TaskDetail;
@@ -0,0 +1,311 @@
+// ===== src/components/TaskDetail/TaskDetail.test.jsx =====
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { render, screen, fireEvent, waitFor } from '../../test/utils/test-utils'
+import TaskDetail from './TaskDetail'
+import { mockTasks } from '../../test/mocks/api'
+
+const historyPage = (history, pagination) => ({
+  taskId: '1',
+  history,
+  pagination: { total: history.length, limit: 20, offset: 0, hasMore: false, ...pagination }
+})
+
+const statusChange = {
+  id: 'entry-2',
+  taskId: '1',
+  action: 'updated',
+  version: 2,
+  changes: [{ field: 'status', from: 'in_progress', to: 'todo' }],
+  actor: 'user-1',
+  actorName: 'Alice',
+  timestamp: new Date().toISOString()
+}
+
+const creation = {
+  id: 'entry-1',
+  taskId: '1',
+  action: 'created',
+  version: 1,
+  changes: [{ field: 'title', from: null, to: 'Test Task 1' }],
+  actor: null,
+  timestamp: new Date().toISOString()
+}
+
+describe('TaskDetail', () => {
+  const defaultProps = {
+    task: { ...mockTasks[0], version: 2 },
+    onClose: vi.fn(),
+    onEdit: vi.fn(),
+    onLoadHistory: vi.fn()
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it('shows task details by default without loading history', () => {
+    render(<TaskDetail {...defaultProps} />)
+
+    expect(screen.getByRole('tab', { name: 'Details' })).toHaveAttribute('aria-selected', 'true')
+    expect(screen.getByText('Test description')).toBeInTheDocument()
+    expect(defaultProps.onLoadHistory).not.toHaveBeenCalled()
+  })
+
+  it('loads and renders field changes on the history tab', async () => {
+    defaultProps.onLoadHistory.mockResolvedValue(historyPage([statusChange, creation]))
+
+    render(<TaskDetail {...defaultProps} />)
+    fireEvent.click(screen.getByRole('tab', { name: 'History' }))
+
+    expect(await screen.findByText('Status:')).toBeInTheDocument()
+    expect(screen.getByText('In Progress')).toBeInTheDocument()
+    expect(screen.getByText('by Alice')).toBeInTheDocument()
+    expect(screen.getByText('Created')).toBeInTheDocument()
+    expect(defaultProps.onLoadHistory).toHaveBeenCalledWith('1', { limit: 20, offset: 0 })
+  })
+
+  it('loads older pages on demand', async () => {
+    defaultProps.onLoadHistory
+      .mockResolvedValueOnce(historyPage([statusChange], { total: 2, limit: 20, offset: 0, hasMore: true }))
+      .mockResolvedValueOnce(historyPage([creation], { total: 2, limit: 20, offset: 20, hasMore: false }))
+
+    render(<TaskDetail {...defaultProps} initialTab="history" />)
+    fireEvent.click(await screen.findByText('Show older changes'))
+
+    expect(await screen.findByText('Created')).toBeInTheDocument()
+    expect(screen.getByText('Status:')).toBeInTheDocument()
+    expect(defaultProps.onLoadHistory).toHaveBeenLastCalledWith('1', { limit: 20, offset: 20 })
+  })
+
+  it('shows an empty state when nothing was recorded', async () => {
+    defaultProps.onLoadHistory.mockResolvedValue(historyPage([]))
+
+    render(<TaskDetail {...defaultProps} initialTab="history" />)
+
+    expect(await screen.findByText('No changes recorded yet.')).toBeInTheDocument()
+  })
+
+  it('lists the unfinished tasks it is blocked by', () => {
+    const task = {
+      ...defaultProps.task,
+      blockedBy: ['2', '3'],
+      blockers: [{ id: '2', title: 'Test Task 2', status: 'in_progress' }]
+    }
+
+    render(<TaskDetail {...defaultProps} task={task} />)
+
+    expect(screen.getByText('Blocked by')).toBeInTheDocument()
+    expect(screen.getByText('Test Task 2 (In Progress)')).toBeInTheDocument()
+  })
+
+  it('describes the repeat schedule', () => {
+    const task = {
+      ...defaultProps.task,
+      recurrence: { frequency: 'weekly', interval: 2, weekdays: [1, 4], until: null, count: 3 }
+    }
+
+    render(<TaskDetail {...defaultProps} task={task} />)
+
+    expect(screen.getByText('🔁 Every 2 weeks on Mon, Thu, 3 occurrences left')).toBeInTheDocument()
+  })
+
+  it('names the project the task belongs to', () => {
+    const projects = [{ id: 'project-1', name: 'Website', color: '#3366ff', taskCount: 1 }]
+
+    render(<TaskDetail {...defaultProps} task={{ ...defaultProps.task, projectId: 'project-1' }} projects={projects} />)
+
+    expect(screen.getByText('Website')).toBeInTheDocument()
+  })
+
+  it('names the assignee, or says the task is unassigned', () => {
+    const assignees = [{ id: 'user-2', name: 'Grace' }]
+
+    const { rerender } = render(
+      <TaskDetail {...defaultProps} task={{ ...defaultProps.task, assigneeId: 'user-2' }} assignees={assignees} />
+    )
+    expect(screen.getByText('Grace')).toBeInTheDocument()
+
+    rerender(<TaskDetail {...defaultProps} task={{ ...defaultProps.task, assigneeId: null }} assignees={assignees} />)
+    expect(screen.getByText('Unassigned')).toBeInTheDocument()
+  })
+
+  it('renders checklist progress and toggles items', () => {
+    const onToggleChecklistItem = vi.fn().mockResolvedValue({})
+    const task = {
+      ...defaultProps.task,
+      requireChecklist: true,
+      checklist: [
+        { id: 'item-1', text: 'Write tests', done: true },
+        { id: 'item-2', text: 'Update docs', done: false }
+      ]
+    }
+
+    render(<TaskDetail {...defaultProps} task={task} onToggleChecklistItem={onToggleChecklistItem} />)
+
+    expect(screen.getByText('1/2 done')).toBeInTheDocument()
+    expect(screen.getByText(/must be checked before this task can be completed/)).toBeInTheDocument()
+
+    fireEvent.click(screen.getByLabelText('Update docs'))
+    expect(onToggleChecklistItem).toHaveBeenCalledWith('1', 'item-2')
+  })
+
+  it('adds and reorders checklist items', async () => {
+    const onAddChecklistItem = vi.fn().mockResolvedValue({})
+    const onToggleChecklistItem = vi.fn()
+    const onMoveChecklistItem = vi.fn().mockResolvedValue({})
+    const task = {
+      ...defaultProps.task,
+      checklist: [
+        { id: 'item-1', text: 'First', done: false },
+        { id: 'item-2', text: 'Second', done: false }
+      ]
+    }
+
+    render(
+      <TaskDetail
+        {...defaultProps}
+        task={task}
+        onAddChecklistItem={onAddChecklistItem}
+        onToggleChecklistItem={onToggleChecklistItem}
+        onMoveChecklistItem={onMoveChecklistItem}
+      />
+    )
+
+    expect(screen.getByLabelText('Move "First" up')).toBeDisabled()
+    fireEvent.click(screen.getByLabelText('Move "Second" up'))
+    expect(onMoveChecklistItem).toHaveBeenCalledWith('1', 'item-2', -1)
+
+    fireEvent.change(screen.getByLabelText('New checklist item'), { target: { value: '  Third  ' } })
+    fireEvent.click(screen.getByRole('button', { name: 'Add' }))
+
+    expect(onAddChecklistItem).toHaveBeenCalledWith('1', 'Third')
+    await waitFor(() => expect(screen.getByLabelText('New checklist item')).toHaveValue(''))
+  })
+
+  it('loads the comment thread and posts a new comment', async () => {
+    const comment = {
+      id: 'comment-1',
+      taskId: '1',
+      authorId: 'user-2',
+      author: { id: 'user-2', name: 'Grace' },
+      body: 'Looks good',
+      createdAt: new Date().toISOString(),
+      editedAt: new Date().toISOString()
+    }
+    const onLoadComments = vi.fn().mockResolvedValue({
+      taskId: '1',
+      comments: [comment],
+      pagination: { total: 1, limit: 20, offset: 0, hasMore: false }
+    })
+    const onAddComment = vi.fn().mockResolvedValue({
+      ...comment, id: 'comment-2', authorId: 'user-1', author: { id: 'user-1', name: 'Ada' }, body: 'On it', editedAt: null
+    })
+
+    render(
+      <TaskDetail
+        {...defaultProps}
+        task={{ ...defaultProps.task, commentCount: 1 }}
+        currentUserId="user-1"
+        onLoadComments={onLoadComments}
+        onAddComment={onAddComment}
+        onDeleteComment={vi.fn()}
+      />
+    )
+    fireEvent.click(screen.getByRole('tab', { name: 'Comments (1)' }))
+
+    expect(await screen.findByText('Looks good')).toBeInTheDocument()
+    expect(screen.getByText('(edited)')).toBeInTheDocument()
+    // Someone else's comment: no edit or delete without owner rights
+    expect(screen.queryByRole('button', { name: 'Delete' })).not.toBeInTheDocument()
+
+    fireEvent.change(screen.getByLabelText('New comment'), { target: { value: ' On it ' } })
+    fireEvent.click(screen.getByRole('button', { name: 'Comment' }))
+
+    expect(await screen.findByText('On it')).toBeInTheDocument()
+    expect(onAddComment).toHaveBeenCalledWith('1', 'On it')
+    expect(screen.getByRole('button', { name: 'Delete' })).toBeInTheDocument()
+  })
+
+  it('shows a read-only thread without onAddComment', async () => {
+    const onLoadComments = vi.fn().mockResolvedValue({
+      taskId: '1',
+      comments: [],
+      pagination: { total: 0, limit: 20, offset: 0, hasMore: false }
+    })
+
+    render(<TaskDetail {...defaultProps} onLoadComments={onLoadComments} initialTab="comments" />)
+
+    expect(await screen.findByText('No comments yet.')).toBeInTheDocument()
+    expect(screen.queryByLabelText('New comment')).not.toBeInTheDocument()
+  })
+
+  it('lists attachments with image thumbnails and uploads new files', async () => {
+    // jsdom has no object URLs
+    URL.createObjectURL = vi.fn(() => 'blob:thumbnail')
+    URL.revokeObjectURL = vi.fn()
+
+    const screenshot = {
+      id: 'file-1',
+      taskId: '1',
+      uploaderId: 'user-2',
+      uploader: { id: 'user-2', name: 'Grace' },
+      fileName: 'screenshot.png',
+      contentType: 'image/png',
+      size: 2048,
+      isImage: true,
+      createdAt: new Date().toISOString()
+    }
+    const onLoadAttachments = vi.fn().mockResolvedValue({
+      taskId: '1',
+      attachments: [screenshot],
+      limits: { maxSize: 1024 * 1024, maxCount: 20, allowedTypes: ['image/png', 'text/plain'] }
+    })
+    const onDownloadAttachment = vi.fn().mockResolvedValue(new Blob(['png']))
+    const onUploadAttachment = vi.fn().mockResolvedValue({
+      ...screenshot, id: 'file-2', uploaderId: 'user-1', uploader: { id: 'user-1', name: 'Ada' },
+      fileName: 'notes.txt', contentType: 'text/plain', size: 5, isImage: false
+    })
+
+    render(
+      <TaskDetail
+        {...defaultProps}
+        currentUserId="user-1"
+        onLoadAttachments={onLoadAttachments}
+        onUploadAttachment={onUploadAttachment}
+        onDownloadAttachment={onDownloadAttachment}
+        onDeleteAttachment={vi.fn()}
+      />
+    )
+    fireEvent.click(screen.getByRole('tab', { name: 'Files' }))
+
+    expect(await screen.findByText('screenshot.png')).toBeInTheDocument()
+    expect(await screen.findByAltText('screenshot.png')).toHaveAttribute('src', 'blob:thumbnail')
+    expect(onDownloadAttachment).toHaveBeenCalledWith('1', 'file-1')
+    expect(screen.getByText(/2\.0 KB · Grace/)).toBeInTheDocument()
+    // Someone else's file: only owners may remove it
+    expect(screen.queryByRole('button', { name: 'Delete screenshot.png' })).not.toBeInTheDocument()
+
+    const input = screen.getByLabelText('Attach a file')
+    const tooLarge = new File([new Uint8Array(1024 * 1024 + 1)], 'huge.png', { type: 'image/png' })
+    fireEvent.change(input, { target: { files: [tooLarge] } })
+    expect(screen.getByRole('alert')).toHaveTextContent('huge.png is larger than 1.0 MB')
+    expect(onUploadAttachment).not.toHaveBeenCalled()
+
+    const notes = new File(['notes'], 'notes.txt', { type: 'text/plain' })
+    fireEvent.change(input, { target: { files: [notes] } })
+
+    expect(await screen.findByText('notes.txt')).toBeInTheDocument()
+    expect(onUploadAttachment).toHaveBeenCalledWith('1', notes)
+    expect(screen.getByRole('button', { name: 'Delete notes.txt' })).toBeInTheDocument()
+  })
+
+  it('calls onEdit and onClose', () => {
+    render(<TaskDetail {...defaultProps} />)
+
+    fireEvent.click(screen.getByText('✏️ Edit'))
+    fireEvent.click(screen.getByLabelText('Close task details'))
+
+    expect(defaultProps.onEdit).toHaveBeenCalledWith(defaultProps.task)
+    expect(defaultProps.onClose).toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,200 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { describeRecurrence } from '../../utils/recurrence.js';
+import { formatCustomFieldValue } from '../../utils/customFields.js';
+import { DEFAULT_WORKFLOW, getStatusName } from '../../utils/workflow.js';
+
+const PAGE_SIZE = 20;
+
+const FIELD_LABELS = {
+  title: 'Title',
+  description: 'Description',
+  status: 'Status',
+  priority: 'Priority',
+  startDate: 'Start date',
+  dueDate: 'Due date',
+  tags: 'Tags',
+  checklist: 'Checklist',
+  blockedBy: 'Blocked by',
+  recurrence: 'Repeat',
+  projectId: 'Project',
+  workspaceId: 'Workspace',
+  assigneeId: 'Assignee'
+};
+
+const ACTION_LABELS = {
+  created: 'Created',
+  updated: 'Updated',
+  deleted: 'Moved to trash',
+  restored: 'Restored',
+  purged: 'Deleted permanently'
+};
+
+// Render a recorded value the same way the task list shows it
+function formatValue(field, value, { projects, workspaces, assignees, workflow }) {
+  if (field === 'workspaceId') {
+    return value ? workspaces.find(workspace => workspace.id === value)?.name || 'Other workspace' : 'Personal';
+  }
+  if (value === null || value === undefined || value === '' ||
+      (Array.isArray(value) && value.length === 0)) {
+    return '—';
+  }
+
+  switch (field) {
+    case 'status':
+      return getStatusName(workflow, value);
+    case 'startDate':
+    case 'dueDate':
+      return new Date(value).toLocaleDateString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        year: 'numeric'
+      });
+    case 'tags':
+      return value.map(tag => `#${tag}`).join(' ');
+    case 'blockedBy':
+      return `${value.length} task${value.length === 1 ? '' : 's'}`;
+    case 'checklist':
+      return `${value.filter(item => item.done).length}/${value.length} done`;
+    case 'recurrence':
+      return describeRecurrence(value);
+    case 'projectId':
+      return projects.find(project => project.id === value)?.name || 'Deleted project';
+    case 'assigneeId':
+      return assignees.find(assignee => assignee.id === value)?.name || 'Former member';
+    default:
+      return String(value);
+  }
+}
+
+// Custom fields are recorded as one change to the whole set of values; show a row per field that changed
+function customFieldChanges({ from, to }, customFields) {
+  const fieldIds = [...new Set([...Object.keys(from || {}), ...Object.keys(to || {})])];
+  return fieldIds
+    .filter(fieldId => JSON.stringify(from?.[fieldId]) !== JSON.stringify(to?.[fieldId]))
+    .map(fieldId => {
+      const field = customFields.find(candidate => candidate.id === fieldId);
+      return {
+        key: `customFields.${fieldId}`,
+        label: field?.name || 'Deleted field',
+        from: formatCustomFieldValue(field, from?.[fieldId]) || '—',
+        to: formatCustomFieldValue(field, to?.[fieldId]) || '—'
+      };
+    });
+}
+
+function formatTimestamp(timestamp) {
+  return new Date(timestamp).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+}
+
+function TaskHistory({
+  taskId,
+  onLoadHistory,
+  projects = [],
+  workspaces = [],
+  assignees = [],
+  customFields = [],
+  workflow = DEFAULT_WORKFLOW
+}) {
+  const [entries, setEntries] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // The loader's identity changes on every parent render; only the task should trigger a reload
+  const onLoadHistoryRef = useRef(onLoadHistory);
+  onLoadHistoryRef.current = onLoadHistory;
+
+  const loadPage = useCallback(async (offset) => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const data = await onLoadHistoryRef.current(taskId, { limit: PAGE_SIZE, offset });
+      setEntries(previous => (offset === 0 ? data.history : [...previous, ...data.history]));
+      setPagination(data.pagination);
+    } catch (err) {
+      console.error('Failed to load task history:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [taskId]);
+
+  // Reload from the first page whenever a different task is shown
+  useEffect(() => {
+    setEntries([]);
+    setPagination(null);
+    loadPage(0);
+  }, [loadPage]);
+
+  if (error && entries.length === 0) {
+    return (
+      <div className="task-history-empty">
+        <p>Could not load history: {error}</p>
+        <button className="history-more-btn" onClick={() => loadPage(0)}>Retry</button>
+      </div>
+    );
+  }
+
+  if (!loading && pagination && entries.length === 0) {
+    return <p className="task-history-empty">No changes recorded yet.</p>;
+  }
+
+  return (
+    <div className="task-history">
+      <ol className="history-list">
+        {entries.map(entry => (
+          <li key={entry.id} className={`history-entry history-${entry.action}`}>
+            <div className="history-entry-header">
+              <span className="history-action">{ACTION_LABELS[entry.action] || entry.action}</span>
+              {entry.actor && <span className="history-actor">by {entry.actorName || 'Former member'}</span>}
+              <time className="history-time" dateTime={entry.timestamp}>
+                {formatTimestamp(entry.timestamp)}
+              </time>
+            </div>
+
+            {entry.action === 'updated' && (
+              <ul className="history-changes">
+                {entry.changes.flatMap(change => (change.field === 'customFields'
+                  ? customFieldChanges(change, customFields)
+                  : [{
+                      key: change.field,
+                      label: FIELD_LABELS[change.field] || change.field,
+                      from: formatValue(change.field, change.from, { projects, workspaces, assignees, workflow }),
+                      to: formatValue(change.field, change.to, { projects, workspaces, assignees, workflow })
+                    }]
+                )).map(row => (
+                  <li key={row.key}>
+                    <span className="history-field">{row.label}:</span>{' '}
+                    <span className="history-from">{row.from}</span>
+                    {' → '}
+                    <span className="history-to">{row.to}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </li>
+        ))}
+      </ol>
+
+      {loading && <p className="task-history-loading">Loading history...</p>}
+
+      {!loading && pagination?.hasMore && (
+        <button
+          className="history-more-btn"
+          onClick={() => loadPage(pagination.offset + pagination.limit)}
+        >
+          Show older changes
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default TaskHistory;
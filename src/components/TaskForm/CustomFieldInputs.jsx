@@ -0,0 +1,78 @@
+import React from 'react';
+
+const MAX_TEXT_LENGTH = 500;
+
+// One input per custom field of the workspace, matching the field's type
+function CustomFieldInputs({ fields, values, errors = {}, onChange, disabled = false }) {
+  const toggleOption = (field, option) => {
+    const selected = values[field.id] || [];
+    onChange(field.id, selected.includes(option)
+      ? selected.filter(existing => existing !== option)
+      : field.options.filter(candidate => candidate === option || selected.includes(candidate)));
+  };
+
+  return (
+    <fieldset className="form-group custom-fields">
+      <legend className="form-label">Custom fields</legend>
+
+      {fields.map(field => {
+        const inputId = `custom-field-${field.id}`;
+        const label = `${field.name}${field.required ? ' *' : ''}`;
+        const className = errors[field.id] ? 'error' : '';
+
+        return (
+          <div key={field.id} className="custom-field">
+            {field.type === 'multiselect' ? (
+              <div role="group" aria-label={field.name}>
+                <span className="form-label">{label}</span>
+                <div className="custom-field-options">
+                  {field.options.map(option => (
+                    <label key={option} className="form-checkbox">
+                      <input
+                        type="checkbox"
+                        checked={(values[field.id] || []).includes(option)}
+                        onChange={() => toggleOption(field, option)}
+                        disabled={disabled}
+                      />
+                      {option}
+                    </label>
+                  ))}
+                </div>
+              </div>
+            ) : (
+              <>
+                <label htmlFor={inputId} className="form-label">{label}</label>
+                {field.type === 'select' ? (
+                  <select
+                    id={inputId}
+                    value={values[field.id] ?? ''}
+                    onChange={(e) => onChange(field.id, e.target.value)}
+                    className={`form-select ${className}`}
+                    disabled={disabled}
+                  >
+                    <option value="">{field.required ? 'Choose...' : 'None'}</option>
+                    {field.options.map(option => <option key={option} value={option}>{option}</option>)}
+                  </select>
+                ) : (
+                  <input
+                    id={inputId}
+                    type={field.type === 'text' ? 'text' : field.type}
+                    step={field.type === 'number' ? 'any' : undefined}
+                    value={values[field.id] ?? ''}
+                    onChange={(e) => onChange(field.id, e.target.value)}
+                    className={`form-input ${className}`}
+                    maxLength={field.type === 'text' ? MAX_TEXT_LENGTH : undefined}
+                    disabled={disabled}
+                  />
+                )}
+              </>
+            )}
+            {errors[field.id] && <span className="field-error">{errors[field.id]}</span>}
+          </div>
+        );
+      })}
+    </fieldset>
+  );
+}
+
+export default CustomFieldInputs;
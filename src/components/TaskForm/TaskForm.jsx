@@ -1,58 +1,152 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import Markdown from '../Markdown/Markdown.jsx';
+import CustomFieldInputs from './CustomFieldInputs.jsx';
+import {
+  fromCustomFieldInputs,
+  toCustomFieldInputs,
+  validateCustomFieldInputs
+} from '../../utils/customFields.js';
+import { DEFAULT_WORKFLOW, findStatus } from '../../utils/workflow.js';
 import './TaskForm.css';
 
+const MAX_DESCRIPTION_LENGTH = 10000;
+
+const FREQUENCY_OPTIONS = [
+  { value: '', label: 'Never' },
+  { value: 'daily', label: 'Daily', unit: 'day(s)' },
+  { value: 'weekly', label: 'Weekly', unit: 'week(s)' },
+  { value: 'monthly', label: 'Monthly', unit: 'month(s)' },
+  { value: 'yearly', label: 'Yearly', unit: 'year(s)' }
+];
+
+const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const EMPTY_REPEAT = { frequency: '', interval: 1, weekdays: [], ends: 'never', until: '', count: '' };
+
+// Recurrence rule from the API -> flat fields the repeat inputs edit
+function toRepeatFields(recurrence) {
+  if (!recurrence) return EMPTY_REPEAT;
+  return {
+    frequency: recurrence.frequency,
+    interval: recurrence.interval || 1,
+    weekdays: recurrence.weekdays || [],
+    ends: recurrence.until ? 'on' : recurrence.count ? 'after' : 'never',
+    until: recurrence.until ? recurrence.until.split('T')[0] : '',
+    count: recurrence.count || ''
+  };
+}
+
+// Repeat inputs -> recurrence rule for the API (null when the task doesn't repeat)
+function toRecurrence(repeat) {
+  if (!repeat.frequency) return null;
+  return {
+    frequency: repeat.frequency,
+    interval: Number(repeat.interval) || 1,
+    weekdays: repeat.frequency === 'weekly' ? repeat.weekdays : [],
+    // The end date is inclusive, so the series runs through the whole day
+    until: repeat.ends === 'on' && repeat.until ? `${repeat.until}T23:59:59.999Z` : null,
+    count: repeat.ends === 'after' ? Number(repeat.count) : null
+  };
+}
+
 function TaskForm({
   mode = 'create', // 'create' or 'edit'
   task = null, // Existing task for edit mode
   onSubmit,
   onCancel,
   loading = false,
-  error = null
+  error = null,
+  availableTasks = [], // Tasks that can be picked as blockers
+  projects = [],
+  defaultProjectId = '', // Project selected in the header; new tasks start in it
+  defaultDueDate = '', // Day picked in the calendar (YYYY-MM-DD); new tasks start due on it
+  assignees = [], // People the task can be assigned to: { id, name }
+  customFields = [], // The workspace's custom field definitions
+  workflow = DEFAULT_WORKFLOW // The workspace's statuses and allowed moves
 }) {
   // Form state
   const [formData, setFormData] = useState({
     title: '',
     description: '',
-    status: 'todo',
+    status: workflow.statuses[0].id,
     priority: 'medium',
+    startDate: '',
     dueDate: '',
-    tags: []
+    tags: [],
+    requireChecklist: false,
+    blockedBy: [],
+    projectId: '',
+    assigneeId: ''
   });
 
   const [errors, setErrors] = useState({});
   const [tagInput, setTagInput] = useState('');
 
+  // Checklist items can be drafted while creating; existing tasks edit theirs in the detail view
+  const [checklistItems, setChecklistItems] = useState([]);
+  const [checklistInput, setChecklistInput] = useState('');
+
+  const [repeat, setRepeat] = useState(EMPTY_REPEAT);
+
+  const [customValues, setCustomValues] = useState({});
+
+  // Write/Preview toggle for the Markdown description
+  const [previewDescription, setPreviewDescription] = useState(false);
+
+  // What a fresh form starts from. The form only resets when the task or mode changes, so these are
+  // read at that moment; a refreshed project list must not wipe what the user has typed.
+  const startingValuesRef = useRef(null);
+  startingValuesRef.current = { projects, defaultProjectId, defaultDueDate, customFields, workflow };
+
   // Initialize form data when task prop changes
   useEffect(() => {
+    const { projects, defaultProjectId, defaultDueDate, customFields, workflow } = startingValuesRef.current;
+
     if (mode === 'edit' && task) {
       setFormData({
         title: task.title || '',
         description: task.description || '',
-        status: task.status || 'todo',
+        status: task.status,
         priority: task.priority || 'medium',
+        startDate: task.startDate ? task.startDate.split('T')[0] : '',
         dueDate: task.dueDate ? task.dueDate.split('T')[0] : '', // Convert ISO to date input format
-        tags: task.tags || []
+        tags: task.tags || [],
+        requireChecklist: Boolean(task.requireChecklist),
+        blockedBy: task.blockedBy || [],
+        projectId: task.projectId || '',
+        assigneeId: task.assigneeId || ''
       });
+      setRepeat(toRepeatFields(task.recurrence));
+      setCustomValues(toCustomFieldInputs(customFields, task.customFields));
     } else if (mode === 'create') {
       // Reset form for create mode
       setFormData({
         title: '',
         description: '',
-        status: 'todo',
+        status: workflow.statuses[0].id,
         priority: 'medium',
-        dueDate: '',
-        tags: []
+        startDate: '',
+        dueDate: defaultDueDate,
+        tags: [],
+        requireChecklist: false,
+        blockedBy: [],
+        projectId: projects.some(project => project.id === defaultProjectId) ? defaultProjectId : '',
+        assigneeId: ''
       });
+      setChecklistItems([]);
+      setRepeat(EMPTY_REPEAT);
+      setCustomValues(toCustomFieldInputs(customFields));
     }
     setErrors({});
+    setPreviewDescription(false);
   }, [mode, task]);
 
   // Handle input changes
   const handleInputChange = (e) => {
-    const { name, value } = e.target;
+    const { name, value, type, checked } = e.target;
     setFormData(prev => ({
       ...prev,
-      [name]: value
+      [name]: type === 'checkbox' ? checked : value
     }));
 
     // Clear error for this field when user starts typing
@@ -97,6 +191,81 @@ function TaskForm({
     }));
   };
 
+  // Handle checklist drafting (create mode)
+  const handleChecklistInputKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      addChecklistItem();
+    }
+  };
+
+  const addChecklistItem = () => {
+    const text = checklistInput.trim();
+    if (text) {
+      setChecklistItems(prev => [...prev, text]);
+      setChecklistInput('');
+    }
+  };
+
+  const removeChecklistItem = (indexToRemove) => {
+    setChecklistItems(prev => prev.filter((_, index) => index !== indexToRemove));
+  };
+
+  // Handle blocked-by selection
+  const blockerOptions = availableTasks.filter(candidate =>
+    candidate.id !== task?.id && !formData.blockedBy.includes(candidate.id)
+  );
+
+  // Titles come from the loaded tasks, falling back to the task's own blocker summaries
+  const getBlockerTitle = (blockerId) =>
+    availableTasks.find(candidate => candidate.id === blockerId)?.title ||
+    task?.blockers?.find(blocker => blocker.id === blockerId)?.title ||
+    'Unlisted task';
+
+  const addBlocker = (e) => {
+    const blockerId = e.target.value;
+    if (blockerId) {
+      setFormData(prev => ({
+        ...prev,
+        blockedBy: [...prev.blockedBy, blockerId]
+      }));
+    }
+  };
+
+  const removeBlocker = (blockerId) => {
+    setFormData(prev => ({
+      ...prev,
+      blockedBy: prev.blockedBy.filter(id => id !== blockerId)
+    }));
+  };
+
+  // Handle repeat inputs
+  const handleRepeatChange = (e) => {
+    const { name, value } = e.target;
+    setRepeat(prev => ({ ...prev, [name]: value }));
+
+    if (errors.recurrence) {
+      setErrors(prev => ({ ...prev, recurrence: null }));
+    }
+  };
+
+  const toggleWeekday = (day) => {
+    setRepeat(prev => ({
+      ...prev,
+      weekdays: prev.weekdays.includes(day)
+        ? prev.weekdays.filter(d => d !== day)
+        : [...prev.weekdays, day].sort((a, b) => a - b)
+    }));
+  };
+
+  const handleCustomFieldChange = (fieldId, value) => {
+    setCustomValues(prev => ({ ...prev, [fieldId]: value }));
+
+    if (errors.customFields?.[fieldId]) {
+      setErrors(prev => ({ ...prev, customFields: { ...prev.customFields, [fieldId]: null } }));
+    }
+  };
+
   // Validate form
   const validateForm = () => {
     const newErrors = {};
@@ -109,8 +278,8 @@ function TaskForm({
     }
 
     // Description validation
-    if (formData.description.length > 500) {
-      newErrors.description = 'Description must be 500 characters or less';
+    if (formData.description.length > MAX_DESCRIPTION_LENGTH) {
+      newErrors.description = `Description must be ${MAX_DESCRIPTION_LENGTH} characters or less`;
     }
 
     // Tags validation
@@ -118,6 +287,40 @@ function TaskForm({
       newErrors.tags = 'Maximum 10 tags allowed';
     }
 
+    // Checklist validation - mirrors the server rule so the user sees it before submitting
+    const openItems = mode === 'create'
+      ? checklistItems.length
+      : (task?.checklist || []).filter(item => !item.done).length;
+    const statusCategory = findStatus(workflow, formData.status)?.category;
+    if (formData.requireChecklist && statusCategory === 'done' && openItems > 0) {
+      newErrors.checklist = 'Finish the checklist before marking this task completed';
+    }
+
+    // Dependency validation - a blocked task can't be started
+    const openBlockers = formData.blockedBy.filter(blockerId => {
+      const blocker = availableTasks.find(candidate => candidate.id === blockerId);
+      return blocker ? blocker.statusCategory !== 'done' : task?.blockers?.some(b => b.id === blockerId);
+    });
+    const isStarting = statusCategory === 'in_progress' && task?.statusCategory !== 'in_progress';
+    if (isStarting && openBlockers.length > 0) {
+      newErrors.blockedBy = 'This task is blocked - finish the blocking tasks before starting it';
+    }
+
+    // Recurrence validation
+    if (repeat.frequency) {
+      const interval = Number(repeat.interval);
+      const count = Number(repeat.count);
+      if (!Number.isInteger(interval) || interval < 1 || interval > 365) {
+        newErrors.recurrence = 'Repeat interval must be a whole number from 1 to 365';
+      } else if (repeat.ends === 'on' && !repeat.until) {
+        newErrors.recurrence = 'Choose the date the task stops repeating';
+      } else if (repeat.ends === 'on' && formData.dueDate && repeat.until < formData.dueDate) {
+        newErrors.recurrence = 'The repeat end date must be on or after the due date';
+      } else if (repeat.ends === 'after' && (!Number.isInteger(count) || count < 1 || count > 1000)) {
+        newErrors.recurrence = 'Number of occurrences must be from 1 to 1000';
+      }
+    }
+
     // Due date validation
     if (formData.dueDate) {
       const dueDate = new Date(formData.dueDate);
@@ -129,6 +332,16 @@ function TaskForm({
       }
     }
 
+    // Dates are YYYY-MM-DD here, so they compare as strings
+    if (formData.startDate && formData.dueDate && formData.startDate > formData.dueDate) {
+      newErrors.startDate = 'Start date must be on or before the due date';
+    }
+
+    const customFieldErrors = validateCustomFieldInputs(customFields, customValues);
+    if (Object.keys(customFieldErrors).length > 0) {
+      newErrors.customFields = customFieldErrors;
+    }
+
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -145,9 +358,16 @@ function TaskForm({
     const submitData = {
       ...formData,
       title: formData.title.trim(),
-      description: formData.description.trim(),
+      // Leading spaces can be Markdown indentation, so only the end is trimmed
+      description: formData.description.trimEnd(),
+      startDate: formData.startDate ? new Date(formData.startDate).toISOString() : null,
       dueDate: formData.dueDate ? new Date(formData.dueDate).toISOString() : null,
-      tags: formData.tags.filter(tag => tag.trim()) // Remove empty tags
+      tags: formData.tags.filter(tag => tag.trim()), // Remove empty tags
+      recurrence: toRecurrence(repeat),
+      projectId: formData.projectId || null,
+      assigneeId: formData.assigneeId || null,
+      ...(customFields.length > 0 && { customFields: fromCustomFieldInputs(customFields, customValues) }),
+      ...(mode === 'create' && { checklist: checklistItems.map(text => ({ text })) })
     };
 
     try {
@@ -169,6 +389,12 @@ function TaskForm({
   const isCreate = mode === 'create';
   const isEdit = mode === 'edit';
 
+  // New tasks can start in any status; existing ones stay put or take one of the moves the workflow allows
+  const statusOptions = isEdit && task
+    ? workflow.statuses.filter(status =>
+      status.id === task.status || (workflow.transitions[task.status] || []).includes(status.id))
+    : workflow.statuses;
+
   return (
     <div className="task-form-container">
       <div className="task-form-header">
@@ -214,23 +440,52 @@ function TaskForm({
 
         {/* Description Field */}
         <div className="form-group">
-          <label htmlFor="description" className="form-label">
-            Description
-          </label>
-          <textarea
-            id="description"
-            name="description"
-            value={formData.description}
-            onChange={handleInputChange}
-            className={`form-textarea ${errors.description ? 'error' : ''}`}
-            placeholder="Enter task description..."
-            rows={4}
-            maxLength={500}
-            disabled={loading}
-          />
+          <div className="description-header">
+            <label htmlFor="description" className="form-label">
+              Description
+            </label>
+            <div className="description-tabs" role="group" aria-label="Description mode">
+              <button
+                type="button"
+                aria-pressed={!previewDescription}
+                onClick={() => setPreviewDescription(false)}
+              >
+                Write
+              </button>
+              <button
+                type="button"
+                aria-pressed={previewDescription}
+                onClick={() => setPreviewDescription(true)}
+              >
+                Preview
+              </button>
+            </div>
+          </div>
+          {previewDescription ? (
+            <div className="description-preview" aria-label="Description preview">
+              {formData.description.trim()
+                ? <Markdown source={formData.description} />
+                : <span className="description-preview-empty">Nothing to preview</span>}
+            </div>
+          ) : (
+            <textarea
+              id="description"
+              name="description"
+              value={formData.description}
+              onChange={handleInputChange}
+              className={`form-textarea ${errors.description ? 'error' : ''}`}
+              placeholder="Enter task description..."
+              rows={4}
+              maxLength={MAX_DESCRIPTION_LENGTH}
+              disabled={loading}
+            />
+          )}
           {errors.description && <span className="field-error">{errors.description}</span>}
           <div className="char-count">
-            {formData.description.length}/500
+            {formData.description.length}/{MAX_DESCRIPTION_LENGTH}
+          </div>
+          <div className="form-hint">
+            Markdown: **bold**, *italics*, `code`, lists, - [ ] checkboxes and [links](https://...)
           </div>
         </div>
 
@@ -248,9 +503,9 @@ function TaskForm({
               className="form-select"
               disabled={loading}
             >
-              <option value="todo">To Do</option>
-              <option value="in_progress">In Progress</option>
-              <option value="completed">Completed</option>
+              {statusOptions.map(status => (
+                <option key={status.id} value={status.id}>{status.name}</option>
+              ))}
             </select>
           </div>
 
@@ -273,6 +528,79 @@ function TaskForm({
           </div>
         </div>
 
+        {/* Project Field */}
+        {projects.length > 0 && (
+          <div className="form-group">
+            <label htmlFor="projectId" className="form-label">
+              Project
+            </label>
+            <select
+              id="projectId"
+              name="projectId"
+              value={formData.projectId}
+              onChange={handleInputChange}
+              className="form-select"
+              disabled={loading}
+            >
+              <option value="">No project</option>
+              {projects.map(project => (
+                <option key={project.id} value={project.id}>{project.name}</option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        {/* Assignee Field */}
+        {assignees.length > 0 && (
+          <div className="form-group">
+            <label htmlFor="assigneeId" className="form-label">
+              Assignee
+            </label>
+            <select
+              id="assigneeId"
+              name="assigneeId"
+              value={formData.assigneeId}
+              onChange={handleInputChange}
+              className="form-select"
+              disabled={loading}
+            >
+              <option value="">Unassigned</option>
+              {assignees.map(assignee => (
+                <option key={assignee.id} value={assignee.id}>{assignee.name}</option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        {/* Custom Fields */}
+        {customFields.length > 0 && (
+          <CustomFieldInputs
+            fields={customFields}
+            values={customValues}
+            errors={errors.customFields}
+            onChange={handleCustomFieldChange}
+            disabled={loading}
+          />
+        )}
+
+        {/* Start Date Field */}
+        <div className="form-group">
+          <label htmlFor="startDate" className="form-label">
+            Start Date
+          </label>
+          <input
+            type="date"
+            id="startDate"
+            name="startDate"
+            value={formData.startDate}
+            onChange={handleInputChange}
+            className={`form-input ${errors.startDate ? 'error' : ''}`}
+            disabled={loading}
+            max={formData.dueDate || undefined}
+          />
+          {errors.startDate && <span className="field-error">{errors.startDate}</span>}
+        </div>
+
         {/* Due Date Field */}
         <div className="form-group">
           <label htmlFor="dueDate" className="form-label">
@@ -291,6 +619,116 @@ function TaskForm({
           {errors.dueDate && <span className="field-error">{errors.dueDate}</span>}
         </div>
 
+        {/* Repeat Field */}
+        <div className="form-group">
+          <label htmlFor="frequency" className="form-label">
+            Repeat
+          </label>
+          <div className="repeat-row">
+            <select
+              id="frequency"
+              name="frequency"
+              value={repeat.frequency}
+              onChange={handleRepeatChange}
+              className="form-select"
+              disabled={loading}
+            >
+              {FREQUENCY_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+
+            {repeat.frequency && (
+              <label className="repeat-interval">
+                every
+                <input
+                  type="number"
+                  name="interval"
+                  value={repeat.interval}
+                  onChange={handleRepeatChange}
+                  className="form-input"
+                  min="1"
+                  max="365"
+                  disabled={loading}
+                  aria-label="Repeat interval"
+                />
+                {FREQUENCY_OPTIONS.find(option => option.value === repeat.frequency).unit}
+              </label>
+            )}
+          </div>
+
+          {repeat.frequency === 'weekly' && (
+            <div className="repeat-weekdays" role="group" aria-label="Repeat on">
+              {WEEKDAY_LABELS.map((label, day) => (
+                <button
+                  key={label}
+                  type="button"
+                  className={`weekday-toggle ${repeat.weekdays.includes(day) ? 'active' : ''}`}
+                  onClick={() => toggleWeekday(day)}
+                  aria-pressed={repeat.weekdays.includes(day)}
+                  disabled={loading}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {repeat.frequency && (
+            <div className="repeat-row">
+              <select
+                name="ends"
+                value={repeat.ends}
+                onChange={handleRepeatChange}
+                className="form-select"
+                disabled={loading}
+                aria-label="Repeat ends"
+              >
+                <option value="never">Never ends</option>
+                <option value="on">Ends on</option>
+                <option value="after">Ends after</option>
+              </select>
+
+              {repeat.ends === 'on' && (
+                <input
+                  type="date"
+                  name="until"
+                  value={repeat.until}
+                  onChange={handleRepeatChange}
+                  className="form-input"
+                  min={formData.dueDate || undefined}
+                  disabled={loading}
+                  aria-label="Repeat until"
+                />
+              )}
+              {repeat.ends === 'after' && (
+                <label className="repeat-interval">
+                  <input
+                    type="number"
+                    name="count"
+                    value={repeat.count}
+                    onChange={handleRepeatChange}
+                    className="form-input"
+                    min="1"
+                    max="1000"
+                    disabled={loading}
+                    aria-label="Number of occurrences"
+                  />
+                  occurrence(s)
+                </label>
+              )}
+            </div>
+          )}
+          {errors.recurrence && <span className="field-error">{errors.recurrence}</span>}
+          {repeat.frequency && (
+            <div className="form-hint">
+              The next occurrence is created when this one is completed.
+            </div>
+          )}
+        </div>
+
         {/* Tags Field */}
         <div className="form-group">
           <label htmlFor="tags" className="form-label">
@@ -334,6 +772,107 @@ function TaskForm({
           </div>
         </div>
 
+        {/* Blocked By Field */}
+        <div className="form-group">
+          <label htmlFor="blockedBy" className="form-label">
+            Blocked by ({formData.blockedBy.length})
+          </label>
+
+          {formData.blockedBy.length > 0 && (
+            <div className="tags-display">
+              {formData.blockedBy.map(blockerId => (
+                <span key={blockerId} className="tag-chip blocker-chip">
+                  {getBlockerTitle(blockerId)}
+                  <button
+                    type="button"
+                    className="tag-remove"
+                    onClick={() => removeBlocker(blockerId)}
+                    disabled={loading}
+                    aria-label={`Remove blocker ${getBlockerTitle(blockerId)}`}
+                  >
+                    ×
+                  </button>
+                </span>
+              ))}
+            </div>
+          )}
+
+          <select
+            id="blockedBy"
+            value=""
+            onChange={addBlocker}
+            className={`form-select ${errors.blockedBy ? 'error' : ''}`}
+            disabled={loading || blockerOptions.length === 0 || formData.blockedBy.length >= 20}
+          >
+            <option value="">Add a blocking task...</option>
+            {blockerOptions.map(candidate => (
+              <option key={candidate.id} value={candidate.id}>
+                {candidate.title}{candidate.statusCategory === 'done' ? ' (completed)' : ''}
+              </option>
+            ))}
+          </select>
+          {errors.blockedBy && <span className="field-error">{errors.blockedBy}</span>}
+        </div>
+
+        {/* Checklist Field */}
+        <div className="form-group">
+          {isCreate && (
+            <>
+              <label htmlFor="checklist" className="form-label">
+                Checklist ({checklistItems.length})
+              </label>
+
+              {checklistItems.length > 0 && (
+                <ul className="checklist-draft">
+                  {checklistItems.map((text, index) => (
+                    <li key={index} className="checklist-draft-item">
+                      <span>☐ {text}</span>
+                      <button
+                        type="button"
+                        className="checklist-draft-remove"
+                        onClick={() => removeChecklistItem(index)}
+                        disabled={loading}
+                        aria-label={`Remove checklist item ${text}`}
+                      >
+                        ×
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              <input
+                type="text"
+                id="checklist"
+                value={checklistInput}
+                onChange={(e) => setChecklistInput(e.target.value)}
+                onKeyDown={handleChecklistInputKeyDown}
+                className="form-input"
+                placeholder="Type an item and press Enter..."
+                maxLength={200}
+                disabled={loading || checklistItems.length >= 50}
+              />
+            </>
+          )}
+
+          <label className="form-checkbox">
+            <input
+              type="checkbox"
+              name="requireChecklist"
+              checked={formData.requireChecklist}
+              onChange={handleInputChange}
+              disabled={loading}
+            />
+            Require the checklist to be finished before completing
+          </label>
+          {errors.checklist && <span className="field-error">{errors.checklist}</span>}
+          {isEdit && (
+            <div className="form-hint">
+              Checklist items are managed from the task details.
+            </div>
+          )}
+        </div>
+
         {/* Form Actions */}
         <div className="form-actions">
           <button
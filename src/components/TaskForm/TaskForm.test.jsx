@@ -0,0 +1,143 @@
+// ===== src/components/TaskForm/TaskForm.test.jsx =====
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { render, screen, waitFor } from '../../test/utils/test-utils'
+import userEvent from '@testing-library/user-event'
+import TaskForm from './TaskForm'
+import { mockTasks } from '../../test/mocks/api'
+
+describe('TaskForm', () => {
+  const defaultProps = {
+    mode: 'create',
+    task: null,
+    onSubmit: vi.fn(),
+    onCancel: vi.fn(),
+    loading: false,
+    error: null
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it('renders create form correctly', () => {
+    render(<TaskForm {...defaultProps} />)
+    
+    expect(screen.getByRole('heading', { name: 'Create New Task' })).toBeInTheDocument()
+    expect(screen.getByLabelText(/task title/i)).toBeInTheDocument()
+    expect(screen.getByRole('textbox', { name: 'Description' })).toBeInTheDocument()
+    expect(screen.getByRole('button', { name: 'Create Task' })).toBeInTheDocument()
+  })
+
+  it('renders edit form correctly', () => {
+    const editProps = {
+      ...defaultProps,
+      mode: 'edit',
+      task: mockTasks[0]
+    }
+    
+    render(<TaskForm {...editProps} />)
+    
+    expect(screen.getByRole('heading', { name: 'Edit Task' })).toBeInTheDocument()
+    expect(screen.getByDisplayValue('Test Task 1')).toBeInTheDocument()
+    expect(screen.getByRole('button', { name: 'Update Task' })).toBeInTheDocument()
+  })
+
+  it('validates required title field', async () => {
+    const user = userEvent.setup()
+    render(<TaskForm {...defaultProps} />)
+    
+    // A blank title can't be submitted
+    await user.type(screen.getByLabelText(/task title/i), '   ')
+    const submitButton = screen.getByRole('button', { name: 'Create Task' })
+    expect(submitButton).toBeDisabled()
+
+    await user.click(submitButton)
+    expect(defaultProps.onSubmit).not.toHaveBeenCalled()
+  })
+
+  it('validates title length limit', async () => {
+    const user = userEvent.setup()
+    render(<TaskForm {...defaultProps} />)
+    
+    const titleInput = screen.getByLabelText(/task title/i)
+    await user.type(titleInput, 'a'.repeat(101))
+    
+    expect(titleInput).toHaveValue('a'.repeat(100))
+    expect(screen.getByText('100/100')).toBeInTheDocument()
+  })
+
+  it('handles tag input correctly', async () => {
+    const user = userEvent.setup()
+    render(<TaskForm {...defaultProps} />)
+    
+    const tagInput = screen.getByLabelText(/tags/i)
+    await user.type(tagInput, 'test-tag{enter}')
+    
+    expect(screen.getByText('#test-tag')).toBeInTheDocument()
+  })
+
+  it('removes tags when remove button is clicked', async () => {
+    const user = userEvent.setup()
+    const taskWithTags = {
+      ...mockTasks[0],
+      tags: ['existing-tag']
+    }
+    
+    render(<TaskForm {...defaultProps} mode="edit" task={taskWithTags} />)
+    
+    const removeButton = screen.getByLabelText('Remove existing-tag tag')
+    await user.click(removeButton)
+    
+    expect(screen.queryByText('#existing-tag')).not.toBeInTheDocument()
+  })
+
+  it('submits form with correct data', async () => {
+    const user = userEvent.setup()
+    render(<TaskForm {...defaultProps} />)
+    
+    await user.type(screen.getByLabelText(/task title/i), 'New Task')
+    await user.type(screen.getByRole('textbox', { name: 'Description' }), 'Task description  ')
+    await user.selectOptions(screen.getByLabelText(/priority/i), 'high')
+    
+    const submitButton = screen.getByRole('button', { name: 'Create Task' })
+    await user.click(submitButton)
+    
+    await waitFor(() => {
+      expect(defaultProps.onSubmit).toHaveBeenCalledWith(expect.objectContaining({
+        title: 'New Task',
+        description: 'Task description',
+        status: 'todo',
+        priority: 'high',
+        startDate: null,
+        dueDate: null,
+        tags: [],
+        recurrence: null,
+        projectId: null,
+        assigneeId: null,
+        checklist: []
+      }))
+    })
+  })
+
+  it('calls onCancel when cancel button is clicked', async () => {
+    const user = userEvent.setup()
+    render(<TaskForm {...defaultProps} />)
+    
+    const cancelButton = screen.getByRole('button', { name: 'Cancel' })
+    await user.click(cancelButton)
+    
+    expect(defaultProps.onCancel).toHaveBeenCalled()
+  })
+
+  it('shows loading state correctly', () => {
+    render(<TaskForm {...defaultProps} loading={true} />)
+    
+    expect(screen.getByRole('button', { name: 'Creating...' })).toBeDisabled()
+  })
+
+  it('displays error message when provided', () => {
+    render(<TaskForm {...defaultProps} error="Something went wrong" />)
+    
+    expect(screen.getByText('Error: Something went wrong')).toBeInTheDocument()
+  })
+})
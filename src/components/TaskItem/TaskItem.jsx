@@ -1,4 +1,8 @@
 import React from 'react';
+import { describeRecurrence } from '../../utils/recurrence.js';
+import { listCustomFieldValues } from '../../utils/customFields.js';
+import { DEFAULT_WORKFLOW, getStatusName, getTransitionActions } from '../../utils/workflow.js';
+import Markdown from '../Markdown/Markdown.jsx';
 import './TaskItem.css';
 
 function TaskItem({ 
@@ -7,12 +11,26 @@ function TaskItem({
   onDelete, 
   onStatusChange,
   onSelect,
-  isSelected = false
+  isSelected = false,
+  assigneeName = null,
+  customFields = [],
+  workflow = DEFAULT_WORKFLOW,
+  // From the current workspace role; viewers can't change tasks and only owners can delete them
+  canEdit = true,
+  canDelete = true
 }) {
   // Calculate if task is overdue
   const isOverdue = task.dueDate && 
                    new Date(task.dueDate) < new Date() && 
-                   task.status !== 'completed';
+                   task.statusCategory !== 'done';
+
+  const checklist = task.checklist || [];
+  const checklistDone = checklist.filter(item => item.done).length;
+  const completionBlocked = Boolean(task.requireChecklist) && checklistDone < checklist.length;
+
+  // Blockers are the unfinished tasks this one waits on, as reported by the API
+  const blockers = task.blockers || [];
+  const isBlocked = blockers.length > 0 && task.statusCategory !== 'done';
 
   // Handle status change
   const handleStatusChange = (newStatus) => {
@@ -70,7 +88,7 @@ function TaskItem({
 
   return (
     <div 
-      className={`task-item ${isSelected ? 'selected' : ''} status-${task.status} ${isOverdue ? 'overdue' : ''}`}
+      className={`task-item ${isSelected ? 'selected' : ''} status-${task.statusCategory} ${isOverdue ? 'overdue' : ''} ${isBlocked ? 'blocked' : ''}`}
       onClick={handleClick}
     >
       {/* Task Header */}
@@ -81,36 +99,42 @@ function TaskItem({
             <span className={`priority-badge priority-${task.priority}`}>
               {task.priority}
             </span>
-            <span className={`status-badge status-${task.status}`}>
-              {task.status.replace('_', ' ')}
+            <span className={`status-badge status-${task.statusCategory}`}>
+              {getStatusName(workflow, task.status)}
             </span>
           </div>
         </div>
         
         {/* Quick Actions */}
-        <div className="task-actions">
-          <button
-            className="action-btn edit-btn"
-            onClick={handleEdit}
-            title="Edit task"
-            aria-label="Edit task"
-          >
-            ✏️
-          </button>
-          <button
-            className="action-btn delete-btn"
-            onClick={handleDelete}
-            title="Delete task"
-            aria-label="Delete task"
-          >
-            🗑️
-          </button>
-        </div>
+        {(canEdit || canDelete) && (
+          <div className="task-actions">
+            {canEdit && (
+              <button
+                className="action-btn edit-btn"
+                onClick={handleEdit}
+                title="Edit task"
+                aria-label="Edit task"
+              >
+                ✏️
+              </button>
+            )}
+            {canDelete && (
+              <button
+                className="action-btn delete-btn"
+                onClick={handleDelete}
+                title="Delete task"
+                aria-label="Delete task"
+              >
+                🗑️
+              </button>
+            )}
+          </div>
+        )}
       </div>
 
       {/* Task Description */}
       {task.description && (
-        <p className="task-description">{task.description}</p>
+        <Markdown className="task-description" source={task.description} />
       )}
 
       {/* Task Tags */}
@@ -124,6 +148,34 @@ function TaskItem({
         </div>
       )}
 
+      {/* Blocked By */}
+      {isBlocked && (
+        <div className="blocked-by">
+          <span className="blocked-by-label">⛔ Blocked by:</span>
+          {blockers.map(blocker => (
+            <span key={blocker.id} className="blocked-by-task" title={`${blocker.title} (${getStatusName(workflow, blocker.status)})`}>
+              {blocker.title}
+            </span>
+          ))}
+        </div>
+      )}
+
+      {/* Checklist Progress */}
+      {checklist.length > 0 && (
+        <div
+          className={`checklist-progress ${checklistDone === checklist.length ? 'complete' : ''}`}
+          title={`${checklistDone} of ${checklist.length} checklist items done`}
+        >
+          <span className="checklist-count">☑ {checklistDone}/{checklist.length}</span>
+          <span className="checklist-bar" aria-hidden="true">
+            <span
+              className="checklist-bar-fill"
+              style={{ width: `${(checklistDone / checklist.length) * 100}%` }}
+            />
+          </span>
+        </div>
+      )}
+
       {/* Task Dates */}
       <div className="task-dates">
         {task.dueDate && (
@@ -135,6 +187,30 @@ function TaskItem({
             </span>
           </div>
         )}
+
+        {task.commentCount > 0 && (
+          <div className="comment-count-badge" title={`${task.commentCount} comment${task.commentCount === 1 ? '' : 's'}`}>
+            💬 {task.commentCount}
+          </div>
+        )}
+
+        {assigneeName && (
+          <div className="assignee-badge" title="Assignee">
+            👤 {assigneeName}
+          </div>
+        )}
+
+        {listCustomFieldValues(customFields, task.customFields).map(({ field, text }) => (
+          <div key={field.id} className="custom-field-badge" title={field.name}>
+            {field.name}: {text}
+          </div>
+        ))}
+
+        {task.recurrence && (
+          <div className="recurrence-badge" title="Completing this task creates the next occurrence">
+            🔁 {describeRecurrence(task.recurrence)}
+          </div>
+        )}
         
         <div className="task-timestamps">
           <small>
@@ -147,56 +223,34 @@ function TaskItem({
       </div>
 
       {/* Status Change Buttons */}
-      <div className="status-actions">
-        {task.status === 'todo' && (
-          <button
-            className="status-btn start-btn"
-            onClick={(e) => {
-              e.stopPropagation();
-              handleStatusChange('in_progress');
-            }}
-          >
-            ▶️ Start
-          </button>
-        )}
-        
-        {task.status === 'in_progress' && (
-          <>
-            <button
-              className="status-btn complete-btn"
-              onClick={(e) => {
-                e.stopPropagation();
-                handleStatusChange('completed');
-              }}
-            >
-              ✅ Complete
-            </button>
-            <button
-              className="status-btn pause-btn"
-              onClick={(e) => {
-                e.stopPropagation();
-                handleStatusChange('todo');
-              }}
-            >
-              ⏸️ Pause
-            </button>
-          </>
-        )}
-        
-        {task.status === 'completed' && (
-          <button
-            className="status-btn reopen-btn"
-            onClick={(e) => {
-              e.stopPropagation();
-              handleStatusChange('todo');
-            }}
-          >
-            🔄 Reopen
-          </button>
-        )}
-      </div>
+      {canEdit && (
+        <div className="status-actions">
+          {getTransitionActions(workflow, task.status).map(({ status, kind, label }) => {
+            // Starting work waits on blockers, completing on a required checklist
+            const starting = status.category === 'in_progress' && task.statusCategory !== 'in_progress';
+            const disabledReason = (starting && blockers.length > 0 && 'Finish the blocking tasks before starting this one') ||
+              (status.category === 'done' && completionBlocked && 'Finish the checklist before completing this task');
+
+            return (
+              <button
+                key={status.id}
+                className={`status-btn ${kind}-btn`}
+                onClick={(e) => {
+                  e.stopPropagation();
+                  handleStatusChange(status.id);
+                }}
+                disabled={Boolean(disabledReason)}
+                title={disabledReason || `Move to ${status.name}`}
+              >
+                {label}
+              </button>
+            );
+          })}
+        </div>
+      )}
     </div>
   );
 }
 
-export default TaskItem;
\ No newline at end of file
+// Lists re-render often as they scroll, so a task only re-renders when its props change
+export default React.memo(TaskItem);
\ No newline at end of file
@@ -1,7 +1,88 @@
-import React, { useState } from 'react';
+import React, { useCallback, useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react';
 import TaskItem from '../TaskItem/TaskItem.jsx';
+import { DEFAULT_WORKFLOW, getAllowedTransitions } from '../../utils/workflow.js';
 import './TaskList.css';
 
+// How far below the visible list the next page starts loading
+const LOAD_MORE_MARGIN = '300px';
+
+// Only the rows in and near view are rendered. A row's height is estimated until it has been measured.
+const ESTIMATED_TASK_HEIGHT = 110; // px
+const ESTIMATED_GROUP_HEIGHT = 40; // px
+const OVERSCAN = 400; // px rendered above and below the visible part
+const DEFAULT_VIEWPORT_HEIGHT = 600; // px, until the list has been laid out
+
+// Keys that move to the next or previous task, and those that move a screenful of tasks
+const ARROW_KEYS = { ArrowDown: 1, ArrowUp: -1 };
+const PAGE_KEYS = { PageDown: 1, PageUp: -1 };
+
+// Group headings follow the status's category
+const GROUP_STYLES = {
+  todo: { icon: '📋', className: 'todo-group' },
+  in_progress: { icon: '🔄', className: 'progress-group' },
+  done: { icon: '✅', className: 'completed-group' }
+};
+
+// Order two tasks for display; tasks without a value go last in ascending order
+function compareTasks(a, b, sortBy, sortOrder, workflow) {
+  let aValue = a[sortBy];
+  let bValue = b[sortBy];
+
+  // Handle null/undefined values
+  if (aValue == null && bValue == null) return 0;
+  if (aValue == null) return sortOrder === 'asc' ? 1 : -1;
+  if (bValue == null) return sortOrder === 'asc' ? -1 : 1;
+
+  // Handle date fields
+  if (sortBy === 'createdAt' || sortBy === 'updatedAt' || sortBy === 'dueDate') {
+    aValue = new Date(aValue);
+    bValue = new Date(bValue);
+  }
+
+  // Handle string comparison
+  if (typeof aValue === 'string' && typeof bValue === 'string') {
+    const comparison = aValue.localeCompare(bValue);
+    return sortOrder === 'asc' ? comparison : -comparison;
+  }
+
+  // Handle priority special case
+  if (sortBy === 'priority') {
+    const priorityOrder = { low: 1, medium: 2, high: 3 };
+    aValue = priorityOrder[aValue] || 0;
+    bValue = priorityOrder[bValue] || 0;
+  }
+
+  // Handle status special case  
+  if (sortBy === 'status') {
+    aValue = workflow.statuses.findIndex(status => status.id === aValue);
+    bValue = workflow.statuses.findIndex(status => status.id === bValue);
+  }
+
+  // Handle numeric/date comparison
+  const comparison = aValue < bValue ? -1 : aValue > bValue ? 1 : 0;
+  return sortOrder === 'asc' ? comparison : -comparison;
+}
+
+// Index of the row at a height within the list: the last one starting at or above it
+function rowAt(offsets, position) {
+  let low = 0;
+  let high = offsets.length - 2;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (offsets[middle] <= position) low = middle;
+    else high = middle - 1;
+  }
+  return low;
+}
+
+// The row at the top of the view and how far into it the view starts; none at the very top, so new
+// tasks added there come into view
+function anchorAt({ rows, offsets }, scrollTop) {
+  if (scrollTop <= 0 || rows.length === 0) return null;
+  const index = rowAt(offsets, scrollTop);
+  return { key: rows[index].key, delta: scrollTop - offsets[index], scrollTop };
+}
+
 function TaskList({ 
   tasks = [], 
   loading = false, 
@@ -9,41 +90,201 @@ function TaskList({
   onTaskEdit,
   onTaskDelete, 
   onTaskStatusChange,
+  onBulkStatusChange,
+  onBulkDelete,
   onTaskSelect,
-  onLoadMore,
+  onLoadMore, // Appends the next page; called as the end of the list scrolls into view
   pagination,
+  loadingMore = false,
   selectedTaskId,
   emptyStateMessage = "No tasks found",
-  showLoadMore = false
+  canEdit = true,
+  canDelete = true,
+  assignees = [], // { id, name } of everyone tasks here can be assigned to
+  customFields = [], // The workspace's custom fields, shown on each task that has a value
+  workflow = DEFAULT_WORKFLOW // Tasks are grouped by its statuses, in order
 }) {
   const [sortBy, setSortBy] = useState('updatedAt');
   const [sortOrder, setSortOrder] = useState('desc');
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(DEFAULT_VIEWPORT_HEIGHT);
+  const [sizes, setSizes] = useState(() => new Map()); // Measured row heights by row key
+  const [activeTaskId, setActiveTaskId] = useState(null); // Task focused last; its row stays rendered
+
+  const viewportRef = useRef(null);
+  const rowElementsRef = useRef(new Map()); // Rendered rows by row key
+  const anchorRef = useRef(null); // { key, delta, scrollTop } of the row at the top of the view
+  const focusRequestRef = useRef(null); // Row key to focus once it's rendered
+  const loadMoreRef = useRef(null);
+  const onLoadMoreRef = useRef(onLoadMore);
+  onLoadMoreRef.current = onLoadMore;
+  const canLoadMore = Boolean(onLoadMore && pagination?.hasMore);
+
+  // Task actions read the latest handlers through a ref, so they stay the same from render to
+  // render and rows that haven't changed skip re-rendering
+  const handlersRef = useRef(null);
+  handlersRef.current = { onTaskEdit, onTaskDelete, onTaskStatusChange, onTaskSelect };
+
+  const handleTaskEdit = useCallback((task) => {
+    handlersRef.current.onTaskEdit?.(task);
+  }, []);
 
-  // Handle task actions
-  const handleTaskEdit = (task) => {
-    if (onTaskEdit) {
-      onTaskEdit(task);
+  const handleTaskDelete = useCallback((task) => {
+    handlersRef.current.onTaskDelete?.(task);
+  }, []);
+
+  const handleTaskStatusChange = useCallback((taskId, newStatus) => {
+    handlersRef.current.onTaskStatusChange?.(taskId, newStatus);
+  }, []);
+
+  const handleTaskSelect = useCallback((task) => {
+    handlersRef.current.onTaskSelect?.(task);
+  }, []);
+
+  // Sort tasks locally for display, then group them by status for better organization
+  const groups = useMemo(() => {
+    const sortedTasks = [...tasks].sort((a, b) => compareTasks(a, b, sortBy, sortOrder, workflow));
+    return workflow.statuses
+      .map(status => ({ status, tasks: sortedTasks.filter(task => task.status === status.id) }))
+      .filter(group => group.tasks.length > 0);
+  }, [tasks, sortBy, sortOrder, workflow]);
+
+  // One row per group heading and per task, with each task's place in the list
+  const { rows, orderedTasks } = useMemo(() => {
+    const orderedTasks = groups.flatMap(group => group.tasks);
+    let position = 0;
+    const rows = groups.flatMap(group => [
+      { key: `group:${group.status.id}`, group },
+      ...group.tasks.map(task => ({ key: `task:${task.id}`, task, position: position++ }))
+    ]);
+    return { rows, orderedTasks };
+  }, [groups]);
+
+  // Where each row starts, plus the full height at the end
+  const layout = useMemo(() => {
+    const offsets = [0];
+    const indexByKey = new Map();
+    rows.forEach((row, index) => {
+      indexByKey.set(row.key, index);
+      const estimate = row.task ? ESTIMATED_TASK_HEIGHT : ESTIMATED_GROUP_HEIGHT;
+      offsets.push(offsets[index] + (sizes.get(row.key) ?? estimate));
+    });
+    return { rows, offsets, indexByKey };
+  }, [rows, sizes]);
+
+  // Measure the list's own height and each row as it's rendered, then again whenever they change
+  // size. One observer serves the list for its lifetime; rows are attached before effects run, so
+  // whichever comes first creates it.
+  const resizeObserverRef = useRef(null);
+  const getResizeObserver = useCallback(() => {
+    if (!resizeObserverRef.current && typeof ResizeObserver !== 'undefined') {
+      resizeObserverRef.current = new ResizeObserver(entries => {
+        const measured = [];
+        entries.forEach(({ target }) => {
+          if (target === viewportRef.current) {
+            if (target.clientHeight > 0) setViewportHeight(target.clientHeight);
+          } else if (target.offsetHeight > 0) {
+            measured.push([target.dataset.rowKey, target.offsetHeight]);
+          }
+        });
+        if (measured.length === 0) return;
+        setSizes(previous => (
+          measured.some(([key, height]) => previous.get(key) !== height) ? new Map([...previous, ...measured]) : previous
+        ));
+      });
     }
-  };
+    return resizeObserverRef.current;
+  }, []);
 
-  const handleTaskDelete = (task) => {
-    if (onTaskDelete) {
-      onTaskDelete(task);
+  useEffect(() => {
+    // Rendered rows have been observed already, unless an earlier cleanup let them go
+    const created = !resizeObserverRef.current;
+    const observer = getResizeObserver();
+    if (!observer) return undefined;
+    if (created) {
+      if (viewportRef.current) observer.observe(viewportRef.current);
+      rowElementsRef.current.forEach(element => observer.observe(element));
     }
-  };
+    return () => {
+      observer.disconnect();
+      resizeObserverRef.current = null;
+    };
+  }, [getResizeObserver]);
+
+  const setViewport = useCallback((element) => {
+    const observer = getResizeObserver();
+    if (viewportRef.current) observer?.unobserve(viewportRef.current);
+    viewportRef.current = element;
+    if (element) observer?.observe(element);
+  }, [getResizeObserver]);
 
-  const handleTaskStatusChange = (taskId, newStatus) => {
-    if (onTaskStatusChange) {
-      onTaskStatusChange(taskId, newStatus);
+  // A ref callback per row that stays the same while the row is rendered, so a row is observed
+  // once when it appears and let go when it scrolls away
+  const rowRefsRef = useRef(new Map());
+  const rowRef = (key) => {
+    if (!rowRefsRef.current.has(key)) {
+      rowRefsRef.current.set(key, (element) => {
+        const observer = getResizeObserver();
+        if (element) {
+          rowElementsRef.current.set(key, element);
+          observer?.observe(element);
+        } else {
+          const previous = rowElementsRef.current.get(key);
+          if (previous) observer?.unobserve(previous);
+          rowElementsRef.current.delete(key);
+          rowRefsRef.current.delete(key);
+        }
+      });
     }
+    return rowRefsRef.current.get(key);
   };
 
-  const handleTaskSelect = (task) => {
-    if (onTaskSelect) {
-      onTaskSelect(task);
+  // Keep the row at the top of the view where it is as rows above it are measured, sorted, filtered
+  // out or added, and go back to it when the list is shown again after being empty
+  useLayoutEffect(() => {
+    const viewport = viewportRef.current;
+    const anchor = anchorRef.current;
+    if (!viewport || !anchor) return;
+
+    const index = layout.indexByKey.get(anchor.key);
+    const target = index === undefined ? anchor.scrollTop : layout.offsets[index] + anchor.delta;
+    if (Math.abs(viewport.scrollTop - target) >= 1) {
+      viewport.scrollTop = target;
+      setScrollTop(viewport.scrollTop);
     }
+    if (index === undefined) anchorRef.current = anchorAt(layout, viewport.scrollTop);
+  }, [layout]);
+
+  // Focus a row reached with the keyboard once it has been rendered
+  useLayoutEffect(() => {
+    const element = focusRequestRef.current && rowElementsRef.current.get(focusRequestRef.current);
+    if (element) {
+      focusRequestRef.current = null;
+      element.focus({ preventScroll: true });
+    }
+  });
+
+  // Watch the end of the list. A fresh observer after every page reports straight away whether the
+  // end is still in view, so a short page is followed by the next one. Without IntersectionObserver
+  // the Load More button does the job.
+  useEffect(() => {
+    const target = loadMoreRef.current;
+    if (!target || !canLoadMore || loadingMore || typeof IntersectionObserver === 'undefined') return undefined;
+
+    const observer = new IntersectionObserver(entries => {
+      if (entries.some(entry => entry.isIntersecting)) onLoadMoreRef.current?.();
+    }, { root: viewportRef.current, rootMargin: LOAD_MORE_MARGIN });
+    observer.observe(target);
+    return () => observer.disconnect();
+  }, [canLoadMore, loadingMore, tasks.length]);
+
+  const assigneeName = (task) => {
+    if (!task.assigneeId) return null;
+    return assignees.find(assignee => assignee.id === task.assigneeId)?.name || 'Someone';
   };
 
+  const ids = (groupTasks) => groupTasks.map(task => task.id);
+
   // Handle sorting
   const handleSortChange = (field) => {
     if (sortBy === field) {
@@ -56,57 +297,77 @@ function TaskList({
     }
   };
 
-  // Sort tasks locally for display
-  const sortedTasks = [...tasks].sort((a, b) => {
-    let aValue = a[sortBy];
-    let bValue = b[sortBy];
-
-    // Handle null/undefined values
-    if (aValue == null && bValue == null) return 0;
-    if (aValue == null) return sortOrder === 'asc' ? 1 : -1;
-    if (bValue == null) return sortOrder === 'asc' ? -1 : 1;
-
-    // Handle date fields
-    if (sortBy === 'createdAt' || sortBy === 'updatedAt' || sortBy === 'dueDate') {
-      aValue = new Date(aValue);
-      bValue = new Date(bValue);
-    }
+  const getSortIcon = (field) => {
+    if (sortBy !== field) return '↕️';
+    return sortOrder === 'asc' ? '↑' : '↓';
+  };
 
-    // Handle string comparison
-    if (typeof aValue === 'string' && typeof bValue === 'string') {
-      const comparison = aValue.localeCompare(bValue);
-      return sortOrder === 'asc' ? comparison : -comparison;
-    }
+  const handleScroll = (e) => {
+    const top = e.currentTarget.scrollTop;
+    setScrollTop(top);
+    anchorRef.current = anchorAt(layout, top);
+  };
 
-    // Handle priority special case
-    if (sortBy === 'priority') {
-      const priorityOrder = { low: 1, medium: 2, high: 3 };
-      aValue = priorityOrder[aValue] || 0;
-      bValue = priorityOrder[bValue] || 0;
+  // Scroll a task's row into view and move focus to it, rendering it first if it isn't yet
+  const focusTask = (task) => {
+    const key = `task:${task.id}`;
+    const index = layout.indexByKey.get(key);
+    const viewport = viewportRef.current;
+    if (viewport) {
+      const top = layout.offsets[index];
+      const bottom = layout.offsets[index + 1];
+      let target = viewport.scrollTop;
+      if (top < target) target = top;
+      else if (bottom > target + viewportHeight) target = Math.min(top, bottom - viewportHeight);
+      if (target !== viewport.scrollTop) {
+        viewport.scrollTop = target;
+        setScrollTop(target);
+        anchorRef.current = anchorAt(layout, target);
+      }
     }
 
-    // Handle status special case  
-    if (sortBy === 'status') {
-      const statusOrder = { todo: 1, in_progress: 2, completed: 3 };
-      aValue = statusOrder[aValue] || 0;
-      bValue = statusOrder[bValue] || 0;
+    setActiveTaskId(task.id);
+    const element = rowElementsRef.current.get(key);
+    if (element) {
+      element.focus({ preventScroll: true });
+    } else {
+      focusRequestRef.current = key;
     }
+  };
 
-    // Handle numeric/date comparison
-    const comparison = aValue < bValue ? -1 : aValue > bValue ? 1 : 0;
-    return sortOrder === 'asc' ? comparison : -comparison;
-  });
-
-  // Group tasks by status for better organization
-  const tasksByStatus = {
-    todo: sortedTasks.filter(task => task.status === 'todo'),
-    in_progress: sortedTasks.filter(task => task.status === 'in_progress'),
-    completed: sortedTasks.filter(task => task.status === 'completed')
+  // The task a screenful away: the first one from where the view would start after scrolling by its
+  // height, and at least the next one along when a task is taller than the view
+  const pageFrom = (position, direction) => {
+    const { offsets, indexByKey } = layout;
+    const index = indexByKey.get(`task:${orderedTasks[position].id}`);
+    let landing = rowAt(offsets, Math.max(offsets[index] + direction * viewportHeight, 0));
+    while (landing < rows.length - 1 && !rows[landing].task) landing++;
+    const next = rows[landing].task ? rows[landing].position : position;
+    return direction > 0 ? Math.max(next, position + 1) : Math.min(next, position - 1);
   };
 
-  const getSortIcon = (field) => {
-    if (sortBy !== field) return '↕️';
-    return sortOrder === 'asc' ? '↑' : '↓';
+  const handleRowKeyDown = (e, task, position) => {
+    // Controls inside a task keep their keys, apart from paging on to another task
+    if (e.target !== e.currentTarget && !(e.key in PAGE_KEYS)) return;
+
+    let next;
+    if (e.key in ARROW_KEYS) {
+      next = position + ARROW_KEYS[e.key];
+    } else if (e.key in PAGE_KEYS) {
+      next = pageFrom(position, PAGE_KEYS[e.key]);
+    } else if (e.key === 'Home') {
+      next = 0;
+    } else if (e.key === 'End') {
+      next = orderedTasks.length - 1;
+    } else if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      handleTaskSelect(task);
+      return;
+    } else {
+      return;
+    }
+    e.preventDefault();
+    focusTask(orderedTasks[Math.min(Math.max(next, 0), orderedTasks.length - 1)]);
   };
 
   // Render loading state
@@ -147,15 +408,68 @@ function TaskList({
     );
   }
 
+  // The rows in and near view. The focused task's row stays too, so focus isn't lost as it scrolls away.
+  const { offsets, indexByKey } = layout;
+  const first = rowAt(offsets, Math.max(scrollTop - OVERSCAN, 0));
+  const last = rowAt(offsets, scrollTop + viewportHeight + OVERSCAN);
+  const rendered = [];
+  for (let index = first; index <= last; index++) {
+    rendered.push(index);
+  }
+  const activeIndex = activeTaskId ? indexByKey.get(`task:${activeTaskId}`) : undefined;
+  if (activeIndex !== undefined && (activeIndex < first || activeIndex > last)) {
+    rendered.push(activeIndex);
+    rendered.sort((a, b) => a - b);
+  }
+
+  // Tab reaches the list once, on the focused task or else the first one in view
+  const tabStopKey = activeIndex !== undefined
+    ? rows[activeIndex].key
+    : rendered.map(index => rows[index]).find(row => row.task)?.key;
+  const setSize = Math.max(pagination?.total ?? 0, tasks.length);
+
+  const renderGroupHeader = ({ status, tasks: groupTasks }) => {
+    const { icon, className } = GROUP_STYLES[status.category];
+    // "Complete all" needs a move straight to a done status
+    const completeTarget = getAllowedTransitions(workflow, status.id).find(target => target.category === 'done');
+
+    return (
+      <div className="group-header">
+        <h4 className={`group-title ${className}`}>
+          {icon} {status.name} ({groupTasks.length})
+        </h4>
+        {status.category === 'done' ? (
+          onBulkDelete && (
+            <button
+              className="group-action-btn"
+              onClick={() => onBulkDelete(ids(groupTasks))}
+            >
+              🗑 Clear {status.name.toLowerCase()}
+            </button>
+          )
+        ) : (
+          onBulkStatusChange && completeTarget && (
+            <button
+              className="group-action-btn"
+              onClick={() => onBulkStatusChange(ids(groupTasks), completeTarget.id)}
+            >
+              ✓ Complete all
+            </button>
+          )
+        )}
+      </div>
+    );
+  };
+
   return (
     <div className="task-list-container">
       {/* List Header */}
       <div className="task-list-header">
         <div className="task-count">
           <h3>{tasks.length} Task{tasks.length !== 1 ? 's' : ''}</h3>
-          {pagination && (
+          {pagination && pagination.total > tasks.length && (
             <span className="pagination-info">
-              Showing {pagination.offset + 1}-{Math.min(pagination.offset + pagination.limit, pagination.total)} of {pagination.total}
+              Showing {tasks.length} of {pagination.total}
             </span>
           )}
         </div>
@@ -190,87 +504,78 @@ function TaskList({
         </div>
       </div>
 
-      {/* Task Groups */}
-      <div className="task-groups">
-        {/* To Do Tasks */}
-        {tasksByStatus.todo.length > 0 && (
-          <div className="task-group">
-            <h4 className="group-title todo-group">
-              📋 To Do ({tasksByStatus.todo.length})
-            </h4>
-            <div className="task-group-list">
-              {tasksByStatus.todo.map(task => (
-                <TaskItem
-                  key={task.id}
-                  task={task}
-                  onEdit={handleTaskEdit}
-                  onDelete={handleTaskDelete}
-                  onStatusChange={handleTaskStatusChange}
-                  onSelect={handleTaskSelect}
-                  isSelected={task.id === selectedTaskId}
-                />
-              ))}
-            </div>
-          </div>
-        )}
+      {/* Task Groups - only the rows in view are rendered, each placed where it falls in the full list */}
+      <div className="task-list-viewport" ref={setViewport} onScroll={handleScroll}>
+        <div
+          className="task-list-rows"
+          role="feed"
+          aria-label="Tasks"
+          aria-busy={loadingMore}
+          style={{ height: offsets[offsets.length - 1] }}
+        >
+          {rendered.map(index => {
+            const row = rows[index];
+            if (row.group) {
+              return (
+                <div
+                  key={row.key}
+                  ref={rowRef(row.key)}
+                  data-row-key={row.key}
+                  className="task-list-row group-row"
+                  style={{ top: offsets[index] }}
+                >
+                  {renderGroupHeader(row.group)}
+                </div>
+              );
+            }
 
-        {/* In Progress Tasks */}
-        {tasksByStatus.in_progress.length > 0 && (
-          <div className="task-group">
-            <h4 className="group-title progress-group">
-              🔄 In Progress ({tasksByStatus.in_progress.length})
-            </h4>
-            <div className="task-group-list">
-              {tasksByStatus.in_progress.map(task => (
+            const { task } = row;
+            return (
+              <div
+                key={row.key}
+                ref={rowRef(row.key)}
+                data-row-key={row.key}
+                className="task-list-row"
+                style={{ top: offsets[index] }}
+                role="article"
+                aria-label={task.title}
+                aria-posinset={row.position + 1}
+                aria-setsize={setSize}
+                tabIndex={row.key === tabStopKey ? 0 : -1}
+                onFocus={() => setActiveTaskId(task.id)}
+                onKeyDown={(e) => handleRowKeyDown(e, task, row.position)}
+              >
                 <TaskItem
-                  key={task.id}
                   task={task}
                   onEdit={handleTaskEdit}
                   onDelete={handleTaskDelete}
                   onStatusChange={handleTaskStatusChange}
                   onSelect={handleTaskSelect}
                   isSelected={task.id === selectedTaskId}
+                  assigneeName={assigneeName(task)}
+                  customFields={customFields}
+                  workflow={workflow}
+                  canEdit={canEdit}
+                  canDelete={canDelete}
                 />
-              ))}
-            </div>
-          </div>
-        )}
+              </div>
+            );
+          })}
+        </div>
 
-        {/* Completed Tasks */}
-        {tasksByStatus.completed.length > 0 && (
-          <div className="task-group">
-            <h4 className="group-title completed-group">
-              ✅ Completed ({tasksByStatus.completed.length})
-            </h4>
-            <div className="task-group-list">
-              {tasksByStatus.completed.map(task => (
-                <TaskItem
-                  key={task.id}
-                  task={task}
-                  onEdit={handleTaskEdit}
-                  onDelete={handleTaskDelete}
-                  onStatusChange={handleTaskStatusChange}
-                  onSelect={handleTaskSelect}
-                  isSelected={task.id === selectedTaskId}
-                />
-              ))}
-            </div>
+        {/* Load More - loads by itself when scrolled into view */}
+        {canLoadMore && (
+          <div className="load-more-section" ref={loadMoreRef}>
+            <button 
+              className="load-more-btn"
+              onClick={onLoadMore}
+              disabled={loadingMore}
+            >
+              {loadingMore ? 'Loading...' : `Load More (${Math.max(pagination.total - tasks.length, 0)} remaining)`}
+            </button>
           </div>
         )}
       </div>
-
-      {/* Load More Button */}
-      {showLoadMore && pagination && pagination.hasMore && (
-        <div className="load-more-section">
-          <button 
-            className="load-more-btn"
-            onClick={onLoadMore}
-            disabled={loading}
-          >
-            {loading ? 'Loading...' : `Load More (${pagination.total - pagination.offset - pagination.limit} remaining)`}
-          </button>
-        </div>
-      )}
     </div>
   );
 }
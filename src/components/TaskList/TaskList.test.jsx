@@ -0,0 +1,246 @@
+// ===== src/components/TaskList/TaskList.test.jsx =====
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { render, screen, fireEvent, act } from '../../test/utils/test-utils'
+import userEvent from '@testing-library/user-event'
+import TaskList from './TaskList'
+import { mockTasks } from '../../test/mocks/api'
+
+const task = (id, title) => ({
+  id,
+  title,
+  description: '',
+  status: 'todo',
+  statusCategory: 'todo',
+  priority: 'medium',
+  tags: [],
+  createdAt: '2024-01-01T00:00:00.000Z',
+  updatedAt: '2024-01-01T00:00:00.000Z'
+})
+
+const tasks = [task('task-1', 'Write spec'), task('task-2', 'Review spec')]
+const pagination = { total: 5, limit: 2, offset: 0, hasMore: true, nextCursor: 'cursor-1' }
+
+describe('TaskList', () => {
+  let observers
+  const OriginalObserver = global.IntersectionObserver
+  const OriginalResizeObserver = global.ResizeObserver
+
+  beforeEach(() => {
+    // An observer the tests can trigger, as if the end of the list scrolled into view
+    observers = []
+    global.IntersectionObserver = class IntersectionObserver {
+      constructor(callback) {
+        this.callback = callback
+        this.targets = []
+        observers.push(this)
+      }
+      observe(target) { this.targets.push(target) }
+      disconnect() { this.targets = [] }
+    }
+  })
+
+  afterEach(() => {
+    global.IntersectionObserver = OriginalObserver
+  })
+
+  const scrollToEnd = () => act(() => {
+    observers
+      .filter(observer => observer.targets.length > 0)
+      .forEach(observer => observer.callback(observer.targets.map(target => ({ target, isIntersecting: true }))))
+  })
+
+  it('renders all tasks grouped by status', () => {
+    render(<TaskList tasks={mockTasks} />)
+
+    expect(screen.getByText('📋 To Do (1)')).toBeInTheDocument()
+    expect(screen.getByText('🔄 In Progress (1)')).toBeInTheDocument()
+    expect(screen.getByText('✅ Completed (1)')).toBeInTheDocument()
+  })
+
+  it('shows loading state', () => {
+    render(<TaskList tasks={[]} loading={true} />)
+
+    expect(screen.getByText('Loading tasks...')).toBeInTheDocument()
+  })
+
+  it('shows empty state when no tasks', () => {
+    render(<TaskList tasks={[]} />)
+
+    expect(screen.getByText('No Tasks Yet')).toBeInTheDocument()
+    expect(screen.getByText('Create your first task to get started!')).toBeInTheDocument()
+  })
+
+  it('shows custom empty message', () => {
+    render(<TaskList tasks={[]} emptyStateMessage="No matching tasks" />)
+
+    expect(screen.getByText('No matching tasks')).toBeInTheDocument()
+  })
+
+  it('handles sort button clicks', async () => {
+    const user = userEvent.setup()
+    render(<TaskList tasks={mockTasks} />)
+
+    const prioritySort = screen.getByRole('button', { name: /Priority/ })
+    await user.click(prioritySort)
+
+    expect(prioritySort).toHaveClass('active')
+  })
+
+  it('marks the selected task', () => {
+    render(<TaskList tasks={mockTasks} selectedTaskId="1" />)
+
+    expect(screen.getByText('Test Task 1').closest('.task-item')).toHaveClass('selected')
+    expect(screen.getByText('Test Task 2').closest('.task-item')).not.toHaveClass('selected')
+  })
+
+  it('loads the next page when the end of the list comes into view', () => {
+    const onLoadMore = vi.fn()
+    render(<TaskList tasks={tasks} pagination={pagination} onLoadMore={onLoadMore} />)
+
+    expect(screen.getByText('Showing 2 of 5')).toBeInTheDocument()
+    expect(onLoadMore).not.toHaveBeenCalled()
+
+    scrollToEnd()
+    expect(onLoadMore).toHaveBeenCalledTimes(1)
+  })
+
+  it('waits for a page on its way before asking for another', () => {
+    const onLoadMore = vi.fn()
+    render(<TaskList tasks={tasks} pagination={pagination} onLoadMore={onLoadMore} loadingMore />)
+
+    scrollToEnd()
+
+    expect(onLoadMore).not.toHaveBeenCalled()
+    expect(screen.getByRole('button', { name: 'Loading...' })).toBeDisabled()
+  })
+
+  it('offers a button for the next page and stops at the last one', () => {
+    const onLoadMore = vi.fn()
+    const { rerender } = render(<TaskList tasks={tasks} pagination={pagination} onLoadMore={onLoadMore} />)
+
+    fireEvent.click(screen.getByRole('button', { name: 'Load More (3 remaining)' }))
+    expect(onLoadMore).toHaveBeenCalledTimes(1)
+
+    rerender(
+      <TaskList
+        tasks={[...tasks, task('task-3', 'Ship it')]}
+        pagination={{ ...pagination, total: 3, hasMore: false, nextCursor: null }}
+        onLoadMore={onLoadMore}
+      />
+    )
+    expect(screen.queryByRole('button', { name: /Load More/ })).not.toBeInTheDocument()
+    expect(screen.getByText('Ship it')).toBeInTheDocument()
+  })
+
+  describe('with many tasks', () => {
+    // Until rows are measured they take their estimated heights: 40px for a group heading, 110px per task
+    const many = Array.from({ length: 300 }, (_, index) => task(`task-${index}`, `Task ${index}`))
+    const top = (index) => 40 + index * 110
+
+    const viewport = () => screen.getByRole('feed').parentElement
+    const scrollTo = (scrollTop) => {
+      viewport().scrollTop = scrollTop
+      fireEvent.scroll(viewport())
+    }
+
+    it('renders only the tasks in and near view', () => {
+      render(<TaskList tasks={many} />)
+
+      const articles = screen.getAllByRole('article')
+      expect(articles.length).toBeLessThan(20)
+      expect(articles[0]).toHaveAccessibleName('Task 0')
+      expect(articles[0]).toHaveAttribute('aria-posinset', '1')
+      expect(articles[0]).toHaveAttribute('aria-setsize', '300')
+
+      scrollTo(top(200))
+      expect(screen.getByRole('article', { name: 'Task 200' })).toHaveStyle({ top: `${top(200)}px` })
+      expect(screen.queryByRole('article', { name: 'Task 0' })).not.toBeInTheDocument()
+    })
+
+    it('moves between tasks with the keyboard, out of view ones included', () => {
+      const onTaskSelect = vi.fn()
+      render(<TaskList tasks={many} onTaskSelect={onTaskSelect} />)
+
+      const firstTask = screen.getByRole('article', { name: 'Task 0' })
+      expect(firstTask).toHaveAttribute('tabindex', '0')
+      firstTask.focus()
+
+      fireEvent.keyDown(firstTask, { key: 'End' })
+      expect(screen.getByRole('article', { name: 'Task 299' })).toHaveFocus()
+      expect(viewport().scrollTop).toBe(top(300) - 600)
+
+      fireEvent.keyDown(document.activeElement, { key: 'ArrowUp' })
+      expect(screen.getByRole('article', { name: 'Task 298' })).toHaveFocus()
+
+      fireEvent.keyDown(document.activeElement, { key: 'Enter' })
+      expect(onTaskSelect).toHaveBeenCalledWith(many[298])
+
+      fireEvent.keyDown(document.activeElement, { key: 'Home' })
+      expect(screen.getByRole('article', { name: 'Task 0' })).toHaveFocus()
+      expect(viewport().scrollTop).toBe(top(0))
+    })
+
+    it('moves a screenful of tasks at a time with Page Down and Page Up', () => {
+      render(<TaskList tasks={many} />)
+      const firstTask = screen.getByRole('article', { name: 'Task 0' })
+      firstTask.focus()
+
+      // 600px of view holds five and a half 110px tasks
+      fireEvent.keyDown(firstTask, { key: 'PageDown' })
+      expect(screen.getByRole('article', { name: 'Task 5' })).toHaveFocus()
+
+      fireEvent.keyDown(document.activeElement, { key: 'PageDown' })
+      expect(screen.getByRole('article', { name: 'Task 10' })).toHaveFocus()
+      expect(viewport().scrollTop).toBe(top(11) - 600)
+
+      fireEvent.keyDown(document.activeElement, { key: 'PageUp' })
+      expect(screen.getByRole('article', { name: 'Task 4' })).toHaveFocus()
+
+      fireEvent.keyDown(document.activeElement, { key: 'PageUp' })
+      expect(screen.getByRole('article', { name: 'Task 0' })).toHaveFocus()
+    })
+
+    it('measures each row once as it appears, and places the rows below by its height', () => {
+      const observed = new Set()
+      let measure
+      global.ResizeObserver = class ResizeObserver {
+        constructor(callback) { measure = callback }
+        observe(target) {
+          expect(observed.has(target)).toBe(false)
+          observed.add(target)
+        }
+        unobserve(target) { observed.delete(target) }
+        disconnect() { observed.clear() }
+      }
+
+      try {
+        render(<TaskList tasks={many} />)
+        const firstTask = screen.getByRole('article', { name: 'Task 0' })
+        expect(observed).toContain(firstTask)
+
+        // Task 0 turns out to be 200px tall
+        Object.defineProperty(firstTask, 'offsetHeight', { value: 200 })
+        act(() => measure([{ target: firstTask }]))
+        expect(screen.getByRole('article', { name: 'Task 1' })).toHaveStyle({ top: `${40 + 200}px` })
+
+        // Rows that scroll away are let go of
+        scrollTo(top(200))
+        expect(observed).not.toContain(firstTask)
+        expect(observed).toContain(screen.getByRole('article', { name: 'Task 200' }))
+      } finally {
+        global.ResizeObserver = OriginalResizeObserver
+      }
+    })
+
+    it('keeps the task at the top of the view in place when the filters change', () => {
+      const { rerender } = render(<TaskList tasks={many} />)
+      scrollTo(top(100) + 10)
+
+      // Every other task is filtered out, so task 100 is now the 51st
+      rerender(<TaskList tasks={many.filter((_, index) => index % 2 === 0)} />)
+
+      expect(viewport().scrollTop).toBe(top(50) + 10)
+      expect(screen.getByRole('article', { name: 'Task 100' })).toHaveStyle({ top: `${top(50)}px` })
+    })
+  })
+})
@@ -0,0 +1,307 @@
+import React, { useState, useRef } from 'react';
+import {
+  addDays,
+  dateKey,
+  daysBetween,
+  formatDateKey,
+  moveDueDate,
+  startOfWeek,
+  todayKey
+} from '../../utils/calendar.js';
+import './TaskTimeline.css';
+
+const DAY_WIDTH = 28; // px per day
+const ROW_HEIGHT = 32; // px per task
+const MIN_DAYS = 28;
+
+const dayLabel = (key) => formatDateKey(key, { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' });
+
+// The days a task's bar covers. With only one of its dates set the bar is that single day.
+function spanOf(task) {
+  const start = dateKey(task.startDate) || dateKey(task.dueDate);
+  const end = dateKey(task.dueDate) || start;
+  return { start, end };
+}
+
+// A span with one edge moved by some days; an edge can't be dragged past the other one
+function moveEdge(span, edge, days) {
+  if (edge === 'start') {
+    const start = addDays(span.start, days);
+    return { ...span, start: start > span.end ? span.end : start };
+  }
+  const end = addDays(span.end, days);
+  return { ...span, end: end < span.start ? span.start : end };
+}
+
+// Whole weeks around the tasks shown, with a little room on either side to drag into
+function getTimelineDays(spans) {
+  const today = todayKey();
+  const starts = spans.map(span => span.start);
+  const ends = spans.map(span => span.end);
+  const first = startOfWeek(addDays(starts.length > 0 ? starts.reduce((a, b) => (a < b ? a : b)) : today, -7));
+  let last = addDays(ends.length > 0 ? ends.reduce((a, b) => (a > b ? a : b)) : today, 7);
+  if (daysBetween(first, last) < MIN_DAYS - 1) last = addDays(first, MIN_DAYS - 1);
+
+  const days = [];
+  for (let day = first; day <= last; day = addDays(day, 1)) {
+    days.push(day);
+  }
+  return days;
+}
+
+// Tasks as bars from their start date to their due date, with arrows from each blocking task to
+// the tasks waiting on it. The ends of a bar are dragged, or moved with the arrow keys, to change
+// the dates; the change shows straight away and is undone if saving it fails.
+function TaskTimeline({
+  tasks,
+  loading = false,
+  onChangeDates,
+  onTaskSelect,
+  selectedTaskId,
+  canEdit = true
+}) {
+  const [pending, setPending] = useState({}); // Unsaved dates by task ID
+  const [drag, setDrag] = useState(null); // { taskId, edge, originX, days }
+  const [error, setError] = useState(null);
+  const [announcement, setAnnouncement] = useState('');
+  const dragRef = useRef(null);
+
+  const shown = tasks.map(task => (pending[task.id] ? { ...task, ...pending[task.id] } : task));
+  const scheduled = shown.filter(task => task.startDate || task.dueDate);
+  const unscheduled = shown.length - scheduled.length;
+
+  const rows = scheduled
+    .map(task => ({ task, span: spanOf(task) }))
+    .sort((a, b) => a.span.start.localeCompare(b.span.start) || a.span.end.localeCompare(b.span.end));
+  const days = getTimelineDays(rows.map(row => row.span));
+  const first = days[0];
+  const today = todayKey();
+  const rowIndex = new Map(rows.map((row, index) => [row.task.id, index]));
+
+  // Where a bar is drawn, following the edge being dragged
+  const barSpan = ({ task, span }) => (
+    drag && drag.taskId === task.id ? moveEdge(span, drag.edge, drag.days) : span
+  );
+
+  const saveEdge = async (task, edge, days) => {
+    const span = spanOf(task);
+    const moved = moveEdge(span, edge, days);
+    if (moved.start === span.start && moved.end === span.end) return;
+
+    // Starts are whole days; a due date keeps its time of day as it does on the calendar
+    const changes = edge === 'start'
+      ? { startDate: `${moved.start}T00:00:00.000Z` }
+      : { dueDate: moveDueDate(task.dueDate, moved.end) };
+    const dates = { ...pending[task.id], ...changes };
+    setPending(previous => ({ ...previous, [task.id]: dates }));
+    setAnnouncement(edge === 'start'
+      ? `${task.title} starts ${dayLabel(moved.start)}`
+      : `${task.title} is due ${dayLabel(moved.end)}`);
+
+    const settle = () => setPending(previous => {
+      // A later move of the same task is still on its way
+      if (previous[task.id] !== dates) return previous;
+      const rest = { ...previous };
+      delete rest[task.id];
+      return rest;
+    });
+    try {
+      await onChangeDates(task.id, changes);
+      settle();
+    } catch (err) {
+      settle();
+      setError(`Could not change the dates of "${task.title}": ${err.message}`);
+    }
+  };
+
+  const handlePointerDown = (e, task, edge) => {
+    e.preventDefault();
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    dragRef.current = { taskId: task.id, edge, originX: e.clientX, days: 0 };
+    setDrag(dragRef.current);
+  };
+
+  const handlePointerMove = (e) => {
+    const current = dragRef.current;
+    if (!current) return;
+    const days = Math.round((e.clientX - current.originX) / DAY_WIDTH);
+    if (days !== current.days) {
+      dragRef.current = { ...current, days };
+      setDrag(dragRef.current);
+    }
+  };
+
+  const handlePointerUp = (task) => {
+    const current = dragRef.current;
+    dragRef.current = null;
+    setDrag(null);
+    if (current && current.days !== 0) saveEdge(task, current.edge, current.days);
+  };
+
+  const handleEdgeKeyDown = (e, task, edge) => {
+    if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return;
+    e.preventDefault();
+    saveEdge(task, edge, e.key === 'ArrowLeft' ? -1 : 1);
+  };
+
+  const renderEdge = (task, edge, day) => (
+    <button
+      type="button"
+      className={`timeline-edge timeline-edge-${edge}`}
+      aria-label={`${edge === 'start' ? 'Start' : 'Due date'} of ${task.title}, ${dayLabel(day)}`}
+      aria-describedby="task-timeline-instructions"
+      onPointerDown={(e) => handlePointerDown(e, task, edge)}
+      onPointerMove={handlePointerMove}
+      onPointerUp={() => handlePointerUp(task)}
+      onPointerCancel={() => {
+        dragRef.current = null;
+        setDrag(null);
+      }}
+      onKeyDown={(e) => handleEdgeKeyDown(e, task, edge)}
+    />
+  );
+
+  // Blocking task's end to the start of the task waiting on it
+  const dependencies = rows.flatMap(({ task }) => (task.blockedBy || [])
+    .filter(blockerId => rowIndex.has(blockerId))
+    .map(blockerId => {
+      const blocker = rows[rowIndex.get(blockerId)];
+      const from = barSpan(blocker);
+      const to = barSpan(rows[rowIndex.get(task.id)]);
+      const x1 = (daysBetween(first, from.end) + 1) * DAY_WIDTH;
+      const y1 = rowIndex.get(blockerId) * ROW_HEIGHT + ROW_HEIGHT / 2;
+      const x2 = daysBetween(first, to.start) * DAY_WIDTH;
+      const y2 = rowIndex.get(task.id) * ROW_HEIGHT + ROW_HEIGHT / 2;
+      return {
+        id: `${blockerId}-${task.id}`,
+        label: `${blocker.task.title} blocks ${task.title}`,
+        // Planned to start before the task it waits on is due
+        late: to.start <= from.end,
+        path: `M ${x1} ${y1} C ${x1 + 16} ${y1}, ${x2 - 16} ${y2}, ${x2} ${y2}`
+      };
+    }));
+
+  const width = days.length * DAY_WIDTH;
+  const height = rows.length * ROW_HEIGHT;
+  const todayIndex = daysBetween(first, today);
+
+  return (
+    <div className="task-timeline">
+      <p id="task-timeline-instructions" className="timeline-sr-only">
+        Drag the ends of a bar, or press the left and right arrow keys on them, to change a task&apos;s start and due dates.
+      </p>
+      <div className="timeline-sr-only" aria-live="polite">{announcement}</div>
+
+      {error && <p className="timeline-error" role="alert">{error}</p>}
+
+      {rows.length === 0 ? (
+        <p className="timeline-empty">
+          {loading ? 'Loading tasks…' : 'No tasks with a start or due date to show.'}
+        </p>
+      ) : (
+        <div className="timeline-scroll" aria-busy={loading}>
+          <div className="timeline-chart" style={{ '--day-width': `${DAY_WIDTH}px`, '--row-height': `${ROW_HEIGHT}px` }}>
+            <div className="timeline-header">
+              <div className="timeline-label-column">Task</div>
+              <div className="timeline-days" style={{ width }}>
+                {days.map((day, index) => (
+                  <div
+                    key={day}
+                    className={`timeline-day${day === today ? ' today' : ''}`}
+                    title={dayLabel(day)}
+                  >
+                    {(index === 0 || day.endsWith('-01')) && (
+                      <span className="timeline-month">{formatDateKey(day, { month: 'short' })}</span>
+                    )}
+                    {Number(day.slice(8))}
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            <div className="timeline-body">
+              <ul className="timeline-rows" aria-label="Tasks by date">
+                {rows.map(row => {
+                  const { task } = row;
+                  const span = barSpan(row);
+                  const classes = [
+                    'timeline-bar',
+                    `timeline-bar-${task.priority}`,
+                    task.statusCategory === 'done' && 'done',
+                    task.id === selectedTaskId && 'selected',
+                    drag?.taskId === task.id && 'dragging'
+                  ].filter(Boolean).join(' ');
+
+                  return (
+                    <li key={task.id} className="timeline-row">
+                      <button
+                        type="button"
+                        className="timeline-label-column timeline-task-title"
+                        onClick={() => onTaskSelect?.(task)}
+                        title={task.title}
+                      >
+                        {task.title}
+                      </button>
+                      <div className="timeline-track" style={{ width }}>
+                        <div
+                          className={classes}
+                          style={{
+                            left: daysBetween(first, span.start) * DAY_WIDTH,
+                            width: (daysBetween(span.start, span.end) + 1) * DAY_WIDTH
+                          }}
+                          title={`${task.title}: ${dayLabel(span.start)} – ${dayLabel(span.end)}`}
+                        >
+                          {canEdit && renderEdge(task, 'start', span.start)}
+                          <span className="timeline-bar-title" onClick={() => onTaskSelect?.(task)}>
+                            {task.title}
+                          </span>
+                          {canEdit && renderEdge(task, 'due', span.end)}
+                        </div>
+                      </div>
+                    </li>
+                  );
+                })}
+              </ul>
+
+              <svg className="timeline-dependencies" width={width} height={height}>
+                <defs>
+                  <marker id="timeline-arrow" viewBox="0 0 8 8" refX="7" refY="4" markerWidth="6" markerHeight="6" orient="auto">
+                    <path d="M 0 0 L 8 4 L 0 8 z" />
+                  </marker>
+                </defs>
+                {todayIndex >= 0 && todayIndex < days.length && (
+                  <line
+                    className="timeline-today"
+                    x1={(todayIndex + 0.5) * DAY_WIDTH}
+                    x2={(todayIndex + 0.5) * DAY_WIDTH}
+                    y1={0}
+                    y2={height}
+                  />
+                )}
+                {dependencies.map(dependency => (
+                  <g
+                    key={dependency.id}
+                    className={`timeline-dependency${dependency.late ? ' late' : ''}`}
+                    role="img"
+                    aria-label={dependency.label}
+                  >
+                    <title>{dependency.label}</title>
+                    <path d={dependency.path} markerEnd="url(#timeline-arrow)" />
+                  </g>
+                ))}
+              </svg>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {unscheduled > 0 && (
+        <p className="timeline-unscheduled">
+          {unscheduled} task{unscheduled === 1 ? '' : 's'} without a start or due date {unscheduled === 1 ? 'is' : 'are'} not shown.
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default TaskTimeline;
@@ -0,0 +1,97 @@
+// ===== src/components/TaskTimeline/TaskTimeline.test.jsx =====
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { render, screen, fireEvent } from '../../test/utils/test-utils'
+import TaskTimeline from './TaskTimeline'
+
+const task = (id, title, startDate, dueDate, blockedBy = []) => ({
+  id,
+  title,
+  status: 'todo',
+  statusCategory: 'todo',
+  priority: 'medium',
+  startDate,
+  dueDate,
+  blockedBy
+})
+
+// jsdom has no PointerEvent, so pointer events would lose their coordinates
+window.PointerEvent ??= class PointerEvent extends MouseEvent {}
+
+const tasks = [
+  task('task-1', 'Design', '2030-03-04T00:00:00.000Z', '2030-03-06T17:00:00.000Z'),
+  task('task-2', 'Build', '2030-03-07T00:00:00.000Z', '2030-03-12T17:00:00.000Z', ['task-1']),
+  task('task-3', 'Someday', null, null)
+]
+
+describe('TaskTimeline', () => {
+  let onChangeDates
+
+  beforeEach(() => {
+    onChangeDates = vi.fn().mockResolvedValue({})
+  })
+
+  const edge = (name) => screen.getByRole('button', { name: new RegExp(`^${name},`) })
+
+  it('draws a bar per task with dates, in start order', () => {
+    render(<TaskTimeline tasks={[tasks[1], tasks[0], tasks[2]]} onChangeDates={onChangeDates} />)
+
+    expect(screen.getAllByRole('listitem').map(row => row.querySelector('.timeline-task-title').textContent))
+      .toEqual(['Design', 'Build'])
+    expect(edge('Start of Build')).toHaveAccessibleName('Start of Build, Thursday, March 7, 2030')
+    expect(edge('Due date of Build')).toHaveAccessibleName('Due date of Build, Tuesday, March 12, 2030')
+    expect(screen.getByText('1 task without a start or due date is not shown.')).toBeInTheDocument()
+  })
+
+  it('draws an arrow from a blocking task to the task waiting on it', () => {
+    render(<TaskTimeline tasks={tasks} onChangeDates={onChangeDates} />)
+
+    expect(screen.getByRole('img', { name: 'Design blocks Build' })).not.toHaveClass('late')
+  })
+
+  it('moves a due date with the arrow keys, keeping its time of day', () => {
+    render(<TaskTimeline tasks={tasks} onChangeDates={onChangeDates} />)
+
+    fireEvent.keyDown(edge('Due date of Design'), { key: 'ArrowRight' })
+
+    expect(onChangeDates).toHaveBeenCalledWith('task-1', { dueDate: '2030-03-07T17:00:00.000Z' })
+    expect(edge('Due date of Design')).toHaveAccessibleName('Due date of Design, Thursday, March 7, 2030')
+    // Build now starts on the day Design is due
+    expect(screen.getByRole('img', { name: 'Design blocks Build' })).toHaveClass('late')
+  })
+
+  it('does not move a start past the due date', () => {
+    render(<TaskTimeline tasks={[task('task-4', 'Call', null, '2030-03-05T09:00:00.000Z')]} onChangeDates={onChangeDates} />)
+
+    fireEvent.keyDown(edge('Start of Call'), { key: 'ArrowRight' })
+    expect(onChangeDates).not.toHaveBeenCalled()
+
+    fireEvent.keyDown(edge('Start of Call'), { key: 'ArrowLeft' })
+    expect(onChangeDates).toHaveBeenCalledWith('task-4', { startDate: '2030-03-04T00:00:00.000Z' })
+  })
+
+  it('changes a start date by dragging the start of a bar', () => {
+    render(<TaskTimeline tasks={tasks} onChangeDates={onChangeDates} />)
+
+    fireEvent.pointerDown(edge('Start of Build'), { clientX: 100 })
+    fireEvent.pointerMove(edge('Start of Build'), { clientX: 100 - 2 * 28 })
+    fireEvent.pointerUp(edge('Start of Build'), { clientX: 100 - 2 * 28 })
+
+    expect(onChangeDates).toHaveBeenCalledWith('task-2', { startDate: '2030-03-05T00:00:00.000Z' })
+  })
+
+  it('puts a bar back when saving its dates fails', async () => {
+    onChangeDates.mockRejectedValue(new Error('Server unavailable'))
+    render(<TaskTimeline tasks={tasks} onChangeDates={onChangeDates} />)
+
+    fireEvent.keyDown(edge('Start of Design'), { key: 'ArrowLeft' })
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Could not change the dates of "Design"')
+    expect(edge('Start of Design')).toHaveAccessibleName('Start of Design, Monday, March 4, 2030')
+  })
+
+  it('has no handles without permission to edit', () => {
+    render(<TaskTimeline tasks={tasks} onChangeDates={onChangeDates} canEdit={false} />)
+
+    expect(screen.queryByRole('button', { name: /^Start of/ })).not.toBeInTheDocument()
+  })
+})
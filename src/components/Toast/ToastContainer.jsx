@@ -0,0 +1,76 @@
+import React, { useEffect, useRef, useState } from 'react';
+import './Toast.css';
+
+const ICONS = {
+  success: '✓',
+  error: '⚠',
+  info: 'ℹ'
+};
+
+function Toast({ toast, onDismiss }) {
+  const [paused, setPaused] = useState(false);
+
+  // Dismiss callbacks from the parent change identity on every render; the timer should not restart
+  const onDismissRef = useRef(onDismiss);
+  onDismissRef.current = onDismiss;
+
+  // Count down while the pointer or focus is elsewhere; hovering gives the user time to reach Undo
+  useEffect(() => {
+    if (paused || !toast.duration) return undefined;
+
+    const timer = setTimeout(() => onDismissRef.current(toast.id), toast.duration);
+    return () => clearTimeout(timer);
+  }, [paused, toast.id, toast.duration]);
+
+  const handleUndo = () => {
+    onDismiss(toast.id);
+    toast.onUndo();
+  };
+
+  return (
+    <div
+      className={`toast toast-${toast.type}`}
+      role={toast.type === 'error' ? 'alert' : 'status'}
+      onMouseEnter={() => setPaused(true)}
+      onMouseLeave={() => setPaused(false)}
+      onFocus={() => setPaused(true)}
+      onBlur={() => setPaused(false)}
+    >
+      <span className="toast-icon" aria-hidden="true">{ICONS[toast.type] || ICONS.info}</span>
+      <p className="toast-message">{toast.message}</p>
+
+      {toast.onUndo && (
+        <button className="toast-undo" onClick={handleUndo}>
+          Undo
+        </button>
+      )}
+      <button
+        className="toast-close"
+        onClick={() => onDismiss(toast.id)}
+        aria-label="Dismiss notification"
+      >
+        ×
+      </button>
+
+      {toast.duration > 0 && (
+        <span
+          className={`toast-timer ${paused ? 'paused' : ''}`}
+          style={{ animationDuration: `${toast.duration}ms` }}
+          aria-hidden="true"
+        />
+      )}
+    </div>
+  );
+}
+
+function ToastContainer({ toasts = [], onDismiss }) {
+  return (
+    <div className="toast-container" aria-live="polite">
+      {toasts.map(toast => (
+        <Toast key={toast.id} toast={toast} onDismiss={onDismiss} />
+      ))}
+    </div>
+  );
+}
+
+export default ToastContainer;
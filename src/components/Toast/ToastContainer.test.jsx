@@ -0,0 +1,76 @@
+// ===== src/components/Toast/ToastContainer.test.jsx =====
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { render, screen, fireEvent, act } from '../../test/utils/test-utils'
+import ToastContainer from './ToastContainer'
+
+const undoToast = {
+  id: 1,
+  type: 'success',
+  message: '"Test Task 1" moved to trash',
+  duration: 5000,
+  onUndo: vi.fn()
+}
+
+describe('ToastContainer', () => {
+  const onDismiss = vi.fn()
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    vi.useFakeTimers()
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('renders the message with an Undo button', () => {
+    render(<ToastContainer toasts={[undoToast]} onDismiss={onDismiss} />)
+
+    expect(screen.getByText('"Test Task 1" moved to trash')).toBeInTheDocument()
+    expect(screen.getByRole('button', { name: 'Undo' })).toBeInTheDocument()
+  })
+
+  it('runs the undo and dismisses the toast', () => {
+    render(<ToastContainer toasts={[undoToast]} onDismiss={onDismiss} />)
+
+    fireEvent.click(screen.getByRole('button', { name: 'Undo' }))
+
+    expect(undoToast.onUndo).toHaveBeenCalledTimes(1)
+    expect(onDismiss).toHaveBeenCalledWith(1)
+  })
+
+  it('dismisses itself after its duration', () => {
+    render(<ToastContainer toasts={[undoToast]} onDismiss={onDismiss} />)
+
+    act(() => { vi.advanceTimersByTime(4999) })
+    expect(onDismiss).not.toHaveBeenCalled()
+
+    act(() => { vi.advanceTimersByTime(1) })
+    expect(onDismiss).toHaveBeenCalledWith(1)
+  })
+
+  it('holds the countdown while hovered', () => {
+    render(<ToastContainer toasts={[undoToast]} onDismiss={onDismiss} />)
+    const toast = screen.getByRole('status')
+
+    fireEvent.mouseEnter(toast)
+    act(() => { vi.advanceTimersByTime(10000) })
+    expect(onDismiss).not.toHaveBeenCalled()
+
+    fireEvent.mouseLeave(toast)
+    act(() => { vi.advanceTimersByTime(5000) })
+    expect(onDismiss).toHaveBeenCalledWith(1)
+  })
+
+  it('announces errors without an Undo button', () => {
+    render(
+      <ToastContainer
+        toasts={[{ id: 2, type: 'error', message: 'Failed to delete task', duration: 5000 }]}
+        onDismiss={onDismiss}
+      />
+    )
+
+    expect(screen.getByRole('alert')).toHaveTextContent('Failed to delete task')
+    expect(screen.queryByRole('button', { name: 'Undo' })).not.toBeInTheDocument()
+  })
+})
@@ -0,0 +1,162 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import './Trash.css';
+
+const PAGE_SIZE = 20;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function formatDate(dateString) {
+  return new Date(dateString).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric'
+  });
+}
+
+function daysLeft(expiresAt) {
+  return Math.max(0, Math.ceil((new Date(expiresAt) - new Date()) / DAY_MS));
+}
+
+// canDelete is false for workspace roles that can't delete tasks: the trash is then read-only
+function Trash({ onLoadTrash, onRestore, onPurge, onEmpty, canDelete = true }) {
+  const [tasks, setTasks] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+
+  // The loader's identity changes on every parent render; load once on mount
+  const onLoadTrashRef = useRef(onLoadTrash);
+  onLoadTrashRef.current = onLoadTrash;
+
+  const loadPage = useCallback(async (offset) => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const data = await onLoadTrashRef.current({ limit: PAGE_SIZE, offset });
+      setTasks(previous => (offset === 0 ? data.tasks : [...previous, ...data.tasks]));
+      setPagination(data.pagination);
+      setRetentionDays(data.retentionDays);
+    } catch (err) {
+      console.error('Failed to load trash:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadPage(0);
+  }, [loadPage]);
+
+  // Drop a task from the list once the server has restored or purged it
+  const runAction = async (task, action) => {
+    setBusyId(task.id);
+    try {
+      await action(task.id);
+      setTasks(previous => previous.filter(t => t.id !== task.id));
+      setPagination(previous => previous && { ...previous, total: previous.total - 1 });
+    } catch (err) {
+      console.error('Trash action failed:', err);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handlePurge = (task) => {
+    if (window.confirm(`Permanently delete "${task.title}"? This cannot be undone.`)) {
+      runAction(task, onPurge);
+    }
+  };
+
+  const handleEmpty = async () => {
+    if (!window.confirm('Permanently delete every task in the trash? This cannot be undone.')) {
+      return;
+    }
+
+    try {
+      await onEmpty();
+      setTasks([]);
+      setPagination(previous => previous && { ...previous, total: 0, hasMore: false });
+    } catch (err) {
+      console.error('Failed to empty trash:', err);
+    }
+  };
+
+  return (
+    <div className="trash">
+      <div className="trash-header">
+        <div>
+          <h3>Trash</h3>
+          {retentionDays && (
+            <p className="trash-retention">
+              Deleted tasks are removed permanently after {retentionDays} days.
+            </p>
+          )}
+        </div>
+        {canDelete && tasks.length > 0 && (
+          <button className="btn btn-danger" onClick={handleEmpty}>
+            Empty trash
+          </button>
+        )}
+      </div>
+
+      {error && tasks.length === 0 && (
+        <div className="trash-empty">
+          <p>Could not load trash: {error}</p>
+          <button className="btn btn-cancel" onClick={() => loadPage(0)}>Retry</button>
+        </div>
+      )}
+
+      {!error && !loading && pagination && tasks.length === 0 && (
+        <p className="trash-empty">Trash is empty.</p>
+      )}
+
+      <ul className="trash-list">
+        {tasks.map(task => (
+          <li key={task.id} className="trash-item">
+            <div className="trash-item-info">
+              <span className="trash-item-title">{task.title}</span>
+              <span className="trash-item-meta">
+                Deleted {formatDate(task.deletedAt)}
+                {task.expiresAt && ` · ${daysLeft(task.expiresAt)} days left`}
+              </span>
+            </div>
+            {canDelete && (
+              <div className="trash-item-actions">
+                <button
+                  className="btn btn-primary"
+                  onClick={() => runAction(task, onRestore)}
+                  disabled={busyId === task.id}
+                >
+                  Restore
+                </button>
+                <button
+                  className="btn btn-danger"
+                  onClick={() => handlePurge(task)}
+                  disabled={busyId === task.id}
+                >
+                  Delete forever
+                </button>
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {loading && <p className="trash-empty">Loading trash...</p>}
+
+      {!loading && pagination?.hasMore && (
+        <button
+          className="btn btn-cancel trash-more-btn"
+          onClick={() => loadPage(tasks.length)}
+        >
+          Show more
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default Trash;
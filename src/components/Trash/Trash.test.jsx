@@ -0,0 +1,76 @@
+// ===== src/components/Trash/Trash.test.jsx =====
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { render, screen, fireEvent, waitFor } from '../../test/utils/test-utils'
+import Trash from './Trash'
+import { mockTasks } from '../../test/mocks/api'
+
+const inDays = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString()
+
+const trashedTask = {
+  ...mockTasks[0],
+  deletedAt: new Date().toISOString(),
+  expiresAt: inDays(30)
+}
+
+const trashPage = (tasks) => ({
+  tasks,
+  pagination: { total: tasks.length, limit: 20, offset: 0, hasMore: false },
+  retentionDays: 30
+})
+
+describe('Trash', () => {
+  const defaultProps = {
+    onLoadTrash: vi.fn(),
+    onRestore: vi.fn(),
+    onPurge: vi.fn(),
+    onEmpty: vi.fn()
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    vi.spyOn(window, 'confirm').mockReturnValue(true)
+  })
+
+  it('lists trashed tasks with the days left before purge', async () => {
+    defaultProps.onLoadTrash.mockResolvedValue(trashPage([trashedTask]))
+
+    render(<Trash {...defaultProps} />)
+
+    expect(await screen.findByText('Test Task 1')).toBeInTheDocument()
+    expect(screen.getByText(/30 days left/)).toBeInTheDocument()
+    expect(screen.getByText(/after 30 days/)).toBeInTheDocument()
+    expect(defaultProps.onLoadTrash).toHaveBeenCalledWith({ limit: 20, offset: 0 })
+  })
+
+  it('removes a task from the list once restored', async () => {
+    defaultProps.onLoadTrash.mockResolvedValue(trashPage([trashedTask]))
+    defaultProps.onRestore.mockResolvedValue({ ...trashedTask, deletedAt: null })
+
+    render(<Trash {...defaultProps} />)
+    fireEvent.click(await screen.findByText('Restore'))
+
+    await waitFor(() => expect(screen.queryByText('Test Task 1')).not.toBeInTheDocument())
+    expect(defaultProps.onRestore).toHaveBeenCalledWith('1')
+  })
+
+  it('asks before deleting forever', async () => {
+    defaultProps.onLoadTrash.mockResolvedValue(trashPage([trashedTask]))
+    window.confirm.mockReturnValue(false)
+
+    render(<Trash {...defaultProps} />)
+    fireEvent.click(await screen.findByText('Delete forever'))
+
+    expect(window.confirm).toHaveBeenCalled()
+    expect(defaultProps.onPurge).not.toHaveBeenCalled()
+  })
+
+  it('empties the trash', async () => {
+    defaultProps.onLoadTrash.mockResolvedValue(trashPage([trashedTask]))
+    defaultProps.onEmpty.mockResolvedValue(1)
+
+    render(<Trash {...defaultProps} />)
+    fireEvent.click(await screen.findByText('Empty trash'))
+
+    expect(await screen.findByText('Trash is empty.')).toBeInTheDocument()
+  })
+})
@@ -0,0 +1,187 @@
+import React, { useState } from 'react';
+import { CUSTOM_FIELD_TYPE_LABELS, hasOptions } from '../../utils/customFields.js';
+
+const MAX_FIELDS = 20;
+const MAX_NAME_LENGTH = 50;
+
+const EMPTY_FIELD = { name: '', type: 'text', options: '', required: false };
+
+// Options are edited as one comma-separated line
+function parseOptions(text) {
+  return text.split(',').map(option => option.trim()).filter(Boolean);
+}
+
+// A workspace's custom fields; owners add, edit and delete them. `run` reports failures next to the switcher.
+function WorkspaceFields({ workspace, canManage, saving, run, onCreate, onUpdate, onDelete }) {
+  const [draft, setDraft] = useState(EMPTY_FIELD);
+  const [editing, setEditing] = useState(null); // { id, name, options, required }
+
+  const fields = workspace.customFields || [];
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const name = draft.name.trim();
+    if (!name) return;
+
+    const created = await run(() => onCreate(workspace.id, {
+      name,
+      type: draft.type,
+      required: draft.required,
+      ...(hasOptions(draft.type) && { options: parseOptions(draft.options) })
+    }));
+    if (created) setDraft(EMPTY_FIELD);
+  };
+
+  const startEditing = (field) => {
+    setEditing({ id: field.id, name: field.name, options: field.options.join(', '), required: field.required });
+  };
+
+  const handleSave = async (e, field) => {
+    e.preventDefault();
+    const options = parseOptions(editing.options);
+    const removed = field.options.filter(option => !options.includes(option));
+    if (removed.length > 0 &&
+        !window.confirm(`Remove ${removed.join(', ')} from ${field.name}? Tasks using them lose that value.`)) {
+      return;
+    }
+
+    const saved = await run(() => onUpdate(workspace.id, field.id, {
+      name: editing.name.trim(),
+      required: editing.required,
+      ...(hasOptions(field.type) && { options })
+    }));
+    if (saved) setEditing(null);
+  };
+
+  const handleDelete = async (field) => {
+    if (!window.confirm(`Delete field "${field.name}"? Its values are removed from every task.`)) return;
+    await run(() => onDelete(workspace.id, field.id));
+  };
+
+  return (
+    <div className="workspace-fields">
+      {fields.length === 0 && <p className="workspace-fields-empty">No custom fields yet.</p>}
+
+      <ul className="workspace-field-list">
+        {fields.map(field => (
+          <li key={field.id} className="workspace-field">
+            {editing?.id === field.id ? (
+              <form className="workspace-form" onSubmit={(e) => handleSave(e, field)}>
+                <input
+                  type="text"
+                  aria-label="Field name"
+                  value={editing.name}
+                  maxLength={MAX_NAME_LENGTH}
+                  onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                  disabled={saving}
+                />
+                {hasOptions(field.type) && (
+                  <input
+                    type="text"
+                    aria-label="Field options"
+                    value={editing.options}
+                    onChange={(e) => setEditing({ ...editing, options: e.target.value })}
+                    disabled={saving}
+                  />
+                )}
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={editing.required}
+                    onChange={(e) => setEditing({ ...editing, required: e.target.checked })}
+                    disabled={saving}
+                  />
+                  Required
+                </label>
+                <button type="submit" className="btn btn-primary" disabled={saving || !editing.name.trim()}>Save</button>
+                <button type="button" className="btn btn-secondary" onClick={() => setEditing(null)} disabled={saving}>
+                  Cancel
+                </button>
+              </form>
+            ) : (
+              <>
+                <span className="workspace-field-name">
+                  {field.name}{field.required && ' *'}
+                </span>
+                <span className="workspace-field-type" title={field.options.join(', ') || undefined}>
+                  {CUSTOM_FIELD_TYPE_LABELS[field.type]}
+                  {hasOptions(field.type) && ` (${field.options.length})`}
+                </span>
+                {canManage && (
+                  <>
+                    <button
+                      type="button"
+                      className="btn btn-secondary"
+                      onClick={() => startEditing(field)}
+                      disabled={saving}
+                      aria-label={`Edit ${field.name}`}
+                    >
+                      Edit
+                    </button>
+                    <button
+                      type="button"
+                      className="btn btn-secondary"
+                      onClick={() => handleDelete(field)}
+                      disabled={saving}
+                      aria-label={`Delete ${field.name}`}
+                    >
+                      Delete
+                    </button>
+                  </>
+                )}
+              </>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {canManage && fields.length < MAX_FIELDS && (
+        <form className="workspace-form" onSubmit={handleCreate}>
+          <input
+            type="text"
+            aria-label="New field name"
+            placeholder="Field name"
+            value={draft.name}
+            maxLength={MAX_NAME_LENGTH}
+            onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+            disabled={saving}
+          />
+          <select
+            aria-label="New field type"
+            value={draft.type}
+            onChange={(e) => setDraft({ ...draft, type: e.target.value })}
+            disabled={saving}
+          >
+            {Object.entries(CUSTOM_FIELD_TYPE_LABELS).map(([type, label]) => (
+              <option key={type} value={type}>{label}</option>
+            ))}
+          </select>
+          {hasOptions(draft.type) && (
+            <input
+              type="text"
+              aria-label="New field options"
+              placeholder="Options, comma-separated"
+              value={draft.options}
+              onChange={(e) => setDraft({ ...draft, options: e.target.value })}
+              disabled={saving}
+            />
+          )}
+          <label>
+            <input
+              type="checkbox"
+              checked={draft.required}
+              onChange={(e) => setDraft({ ...draft, required: e.target.checked })}
+              disabled={saving}
+            />
+            Required
+          </label>
+          <button type="submit" className="btn btn-primary" disabled={saving || !draft.name.trim()}>
+            Add field
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default WorkspaceFields;
@@ -0,0 +1,302 @@
+import React, { useState } from 'react';
+import WorkspaceFields from './WorkspaceFields.jsx';
+import WorkspaceWorkflow from './WorkspaceWorkflow.jsx';
+import './WorkspaceSwitcher.css';
+
+const ROLES = ['owner', 'editor', 'viewer'];
+const MAX_NAME_LENGTH = 50;
+
+// Header control for switching between personal tasks and shared workspaces, plus membership,
+// custom fields and the workflow for owners
+function WorkspaceSwitcher({
+  workspaces = [],
+  currentWorkspaceId = '',
+  currentUserId,
+  onSelect,
+  onCreate,
+  onRename,
+  onDelete,
+  onAddMember,
+  onChangeRole,
+  onRemoveMember,
+  onCreateField,
+  onUpdateField,
+  onDeleteField,
+  onUpdateWorkflow
+}) {
+  // null | 'create' | 'rename'
+  const [formMode, setFormMode] = useState(null);
+  const [name, setName] = useState('');
+  // null | 'members' | 'fields' | 'workflow'
+  const [panel, setPanel] = useState(null);
+  const [memberEmail, setMemberEmail] = useState('');
+  const [memberRole, setMemberRole] = useState('editor');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const currentWorkspace = workspaces.find(workspace => workspace.id === currentWorkspaceId) || null;
+  const canManage = Boolean(currentWorkspace?.permissions?.includes('manage'));
+
+  const openForm = (mode) => {
+    setFormMode(mode);
+    setName(mode === 'rename' ? currentWorkspace.name : '');
+    setError(null);
+  };
+
+  const closeForm = () => {
+    setFormMode(null);
+    setError(null);
+  };
+
+  // Run a change, keeping the failure message on screen next to the control that caused it
+  const run = async (change) => {
+    setSaving(true);
+    setError(null);
+    try {
+      await change();
+      return true;
+    } catch (err) {
+      console.error('Workspace change failed:', err);
+      setError(err.message);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const trimmed = name.trim();
+    if (!trimmed) {
+      setError('Workspace name is required');
+      return;
+    }
+
+    const saved = await run(async () => {
+      if (formMode === 'rename') {
+        await onRename(currentWorkspace.id, { name: trimmed });
+      } else {
+        const workspace = await onCreate({ name: trimmed });
+        await onSelect(workspace.id);
+      }
+    });
+    if (saved) closeForm();
+  };
+
+  const handleDelete = async () => {
+    const { taskCount } = currentWorkspace;
+    const message = `Delete workspace "${currentWorkspace.name}"?` +
+      (taskCount > 0 ? ` Its ${taskCount} task${taskCount === 1 ? '' : 's'} will go back to the people who created them.` : '');
+    if (!window.confirm(message)) return;
+
+    await run(() => onDelete(currentWorkspace.id));
+  };
+
+  const handleAddMember = async (e) => {
+    e.preventDefault();
+    const email = memberEmail.trim();
+    if (!email) {
+      setError('Email is required');
+      return;
+    }
+
+    const added = await run(() => onAddMember(currentWorkspace.id, { email, role: memberRole }));
+    if (added) setMemberEmail('');
+  };
+
+  const handleRemoveMember = async (member) => {
+    const leaving = member.userId === currentUserId;
+    const message = leaving
+      ? `Leave workspace "${currentWorkspace.name}"?`
+      : `Remove ${member.name || member.email} from "${currentWorkspace.name}"?`;
+    if (!window.confirm(message)) return;
+
+    const removed = await run(() => onRemoveMember(currentWorkspace.id, member.userId));
+    if (removed && leaving) setPanel(null);
+  };
+
+  const togglePanel = (name) => {
+    setPanel(panel === name ? null : name);
+  };
+
+  const handleSelect = (workspaceId) => {
+    setPanel(null);
+    setError(null);
+    onSelect(workspaceId);
+  };
+
+  return (
+    <div className="workspace-switcher">
+      <label htmlFor="workspace-select">Workspace: </label>
+      <select
+        id="workspace-select"
+        className="workspace-select"
+        value={currentWorkspaceId}
+        onChange={(e) => handleSelect(e.target.value)}
+      >
+        <option value="">Personal</option>
+        {workspaces.map(workspace => (
+          <option key={workspace.id} value={workspace.id}>
+            {workspace.name} ({workspace.role})
+          </option>
+        ))}
+      </select>
+
+      {formMode ? (
+        <form className="workspace-form" onSubmit={handleSubmit}>
+          <input
+            type="text"
+            aria-label="Workspace name"
+            placeholder="Workspace name"
+            value={name}
+            maxLength={MAX_NAME_LENGTH}
+            onChange={(e) => setName(e.target.value)}
+            disabled={saving}
+            autoFocus
+          />
+          <button type="submit" className="btn btn-primary" disabled={saving}>
+            {formMode === 'rename' ? 'Save' : 'Create'}
+          </button>
+          <button type="button" className="btn btn-secondary" onClick={closeForm} disabled={saving}>
+            Cancel
+          </button>
+        </form>
+      ) : (
+        <>
+          <button type="button" className="btn btn-secondary" onClick={() => openForm('create')}>
+            + Workspace
+          </button>
+          {currentWorkspace && (
+            <>
+              <button
+                type="button"
+                className="btn btn-secondary"
+                onClick={() => togglePanel('members')}
+                aria-expanded={panel === 'members'}
+              >
+                Members ({currentWorkspace.members.length})
+              </button>
+              <button
+                type="button"
+                className="btn btn-secondary"
+                onClick={() => togglePanel('fields')}
+                aria-expanded={panel === 'fields'}
+              >
+                Fields ({currentWorkspace.customFields?.length || 0})
+              </button>
+              <button
+                type="button"
+                className="btn btn-secondary"
+                onClick={() => togglePanel('workflow')}
+                aria-expanded={panel === 'workflow'}
+              >
+                Workflow
+              </button>
+            </>
+          )}
+          {canManage && (
+            <>
+              <button type="button" className="btn btn-secondary" onClick={() => openForm('rename')}>
+                Rename
+              </button>
+              <button type="button" className="btn btn-secondary" onClick={handleDelete}>
+                Delete
+              </button>
+            </>
+          )}
+        </>
+      )}
+
+      {error && <span className="workspace-form-error" role="alert">{error}</span>}
+
+      {currentWorkspace && panel === 'fields' && (
+        <div className="workspace-members">
+          <WorkspaceFields
+            workspace={currentWorkspace}
+            canManage={canManage}
+            saving={saving}
+            run={run}
+            onCreate={onCreateField}
+            onUpdate={onUpdateField}
+            onDelete={onDeleteField}
+          />
+        </div>
+      )}
+
+      {currentWorkspace && panel === 'workflow' && (
+        <div className="workspace-members">
+          <WorkspaceWorkflow
+            workspace={currentWorkspace}
+            canManage={canManage}
+            saving={saving}
+            run={run}
+            onSave={onUpdateWorkflow}
+          />
+        </div>
+      )}
+
+      {currentWorkspace && panel === 'members' && (
+        <div className="workspace-members">
+          <ul className="workspace-member-list">
+            {currentWorkspace.members.map(member => (
+              <li key={member.userId} className="workspace-member">
+                <span className="workspace-member-name" title={member.email || undefined}>
+                  {member.name || member.email || 'Unknown user'}
+                  {member.userId === currentUserId && ' (you)'}
+                </span>
+                {canManage ? (
+                  <select
+                    aria-label={`Role for ${member.name || member.email}`}
+                    value={member.role}
+                    onChange={(e) => run(() => onChangeRole(currentWorkspace.id, member.userId, e.target.value))}
+                    disabled={saving}
+                  >
+                    {ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+                  </select>
+                ) : (
+                  <span className="workspace-member-role">{member.role}</span>
+                )}
+                {(canManage || member.userId === currentUserId) && (
+                  <button
+                    type="button"
+                    className="btn btn-secondary"
+                    onClick={() => handleRemoveMember(member)}
+                    disabled={saving}
+                  >
+                    {member.userId === currentUserId ? 'Leave' : 'Remove'}
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+
+          {canManage && (
+            <form className="workspace-form" onSubmit={handleAddMember}>
+              <input
+                type="email"
+                aria-label="Member email"
+                placeholder="Email of an existing account"
+                value={memberEmail}
+                onChange={(e) => setMemberEmail(e.target.value)}
+                disabled={saving}
+              />
+              <select
+                aria-label="New member role"
+                value={memberRole}
+                onChange={(e) => setMemberRole(e.target.value)}
+                disabled={saving}
+              >
+                {ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+              </select>
+              <button type="submit" className="btn btn-primary" disabled={saving}>
+                Add
+              </button>
+            </form>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default WorkspaceSwitcher;
@@ -0,0 +1,176 @@
+// ===== src/components/WorkspaceSwitcher/WorkspaceSwitcher.test.jsx =====
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { render, screen, fireEvent, waitFor } from '../../test/utils/test-utils'
+import WorkspaceSwitcher from './WorkspaceSwitcher'
+
+const ALL_PERMISSIONS = ['read', 'create', 'update', 'delete', 'manage']
+
+const workspaces = [
+  {
+    id: 'workspace-1',
+    name: 'Team',
+    role: 'owner',
+    permissions: ALL_PERMISSIONS,
+    taskCount: 2,
+    members: [
+      { userId: 'user-1', role: 'owner', name: 'Ada', email: 'ada@example.com' },
+      { userId: 'user-2', role: 'editor', name: 'Bob', email: 'bob@example.com' }
+    ]
+  },
+  {
+    id: 'workspace-2',
+    name: 'Board',
+    role: 'viewer',
+    permissions: ['read'],
+    taskCount: 0,
+    members: [
+      { userId: 'user-2', role: 'owner', name: 'Bob', email: 'bob@example.com' },
+      { userId: 'user-1', role: 'viewer', name: 'Ada', email: 'ada@example.com' }
+    ]
+  }
+]
+
+describe('WorkspaceSwitcher', () => {
+  const defaultProps = {
+    workspaces,
+    currentWorkspaceId: '',
+    currentUserId: 'user-1',
+    onSelect: vi.fn(),
+    onCreate: vi.fn(),
+    onRename: vi.fn(),
+    onDelete: vi.fn(),
+    onAddMember: vi.fn(),
+    onChangeRole: vi.fn(),
+    onRemoveMember: vi.fn(),
+    onCreateField: vi.fn(),
+    onUpdateField: vi.fn(),
+    onDeleteField: vi.fn(),
+    onUpdateWorkflow: vi.fn()
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    vi.spyOn(window, 'confirm').mockReturnValue(true)
+  })
+
+  it('lists workspaces with the user\'s role and switches between them', () => {
+    render(<WorkspaceSwitcher {...defaultProps} />)
+
+    expect(screen.getByRole('option', { name: 'Personal' })).toBeInTheDocument()
+    expect(screen.getByRole('option', { name: 'Team (owner)' })).toBeInTheDocument()
+
+    fireEvent.change(screen.getByLabelText(/Workspace/), { target: { value: 'workspace-2' } })
+    expect(defaultProps.onSelect).toHaveBeenCalledWith('workspace-2')
+  })
+
+  it('creates a workspace and switches to it', async () => {
+    defaultProps.onCreate.mockResolvedValue({ id: 'workspace-3', name: 'Launch' })
+
+    render(<WorkspaceSwitcher {...defaultProps} />)
+    fireEvent.click(screen.getByText('+ Workspace'))
+    fireEvent.change(screen.getByLabelText('Workspace name'), { target: { value: ' Launch ' } })
+    fireEvent.click(screen.getByText('Create'))
+
+    await waitFor(() => expect(defaultProps.onSelect).toHaveBeenCalledWith('workspace-3'))
+    expect(defaultProps.onCreate).toHaveBeenCalledWith({ name: 'Launch' })
+  })
+
+  it('lets owners add members and change roles', async () => {
+    defaultProps.onAddMember.mockResolvedValue(workspaces[0])
+
+    render(<WorkspaceSwitcher {...defaultProps} currentWorkspaceId="workspace-1" />)
+    fireEvent.click(screen.getByText('Members (2)'))
+
+    fireEvent.change(screen.getByLabelText('Member email'), { target: { value: 'cy@example.com' } })
+    fireEvent.change(screen.getByLabelText('New member role'), { target: { value: 'viewer' } })
+    fireEvent.click(screen.getByText('Add'))
+
+    await waitFor(() => expect(screen.getByLabelText('Member email')).toHaveValue(''))
+    expect(defaultProps.onAddMember).toHaveBeenCalledWith('workspace-1', { email: 'cy@example.com', role: 'viewer' })
+
+    fireEvent.change(screen.getByLabelText('Role for Bob'), { target: { value: 'viewer' } })
+    expect(defaultProps.onChangeRole).toHaveBeenCalledWith('workspace-1', 'user-2', 'viewer')
+  })
+
+  it('only offers viewers the option to leave', () => {
+    render(<WorkspaceSwitcher {...defaultProps} currentWorkspaceId="workspace-2" />)
+    fireEvent.click(screen.getByText('Members (2)'))
+
+    expect(screen.queryByText('Rename')).not.toBeInTheDocument()
+    expect(screen.queryByText('Delete')).not.toBeInTheDocument()
+    expect(screen.queryByLabelText('Member email')).not.toBeInTheDocument()
+    expect(screen.queryByText('Remove')).not.toBeInTheDocument()
+
+    fireEvent.click(screen.getByText('Leave'))
+    expect(defaultProps.onRemoveMember).toHaveBeenCalledWith('workspace-2', 'user-1')
+  })
+
+  it('lets owners add custom fields with their options', async () => {
+    defaultProps.onCreateField.mockResolvedValue({ id: 'field-1' })
+
+    render(<WorkspaceSwitcher {...defaultProps} currentWorkspaceId="workspace-1" />)
+    fireEvent.click(screen.getByText('Fields (0)'))
+    expect(screen.getByText('No custom fields yet.')).toBeInTheDocument()
+
+    fireEvent.change(screen.getByLabelText('New field name'), { target: { value: ' Team ' } })
+    fireEvent.change(screen.getByLabelText('New field type'), { target: { value: 'select' } })
+    fireEvent.change(screen.getByLabelText('New field options'), { target: { value: 'Web, API,  ' } })
+    fireEvent.click(screen.getByText('Add field'))
+
+    await waitFor(() => expect(screen.getByLabelText('New field name')).toHaveValue(''))
+    expect(defaultProps.onCreateField).toHaveBeenCalledWith('workspace-1', {
+      name: 'Team',
+      type: 'select',
+      required: false,
+      options: ['Web', 'API']
+    })
+  })
+
+  it('shows viewers the fields without letting them change them', () => {
+    const withFields = [{
+      ...workspaces[1],
+      customFields: [{ id: 'field-1', name: 'Points', type: 'number', options: [], required: true }]
+    }]
+
+    render(<WorkspaceSwitcher {...defaultProps} workspaces={withFields} currentWorkspaceId="workspace-2" />)
+    fireEvent.click(screen.getByText('Fields (1)'))
+
+    expect(screen.getByText('Points *')).toBeInTheDocument()
+    expect(screen.queryByLabelText('Edit Points')).not.toBeInTheDocument()
+    expect(screen.queryByLabelText('New field name')).not.toBeInTheDocument()
+  })
+
+  it('lets owners add statuses, allow moves and say where removed statuses\' tasks go', async () => {
+    defaultProps.onUpdateWorkflow.mockResolvedValue(workspaces[0])
+
+    render(<WorkspaceSwitcher {...defaultProps} currentWorkspaceId="workspace-1" />)
+    fireEvent.click(screen.getByText('Workflow'))
+    fireEvent.click(screen.getByText('Edit workflow'))
+
+    fireEvent.change(screen.getByLabelText('New status name'), { target: { value: 'In review' } })
+    fireEvent.change(screen.getByLabelText('New status category'), { target: { value: 'in_progress' } })
+    fireEvent.click(screen.getByText('Add status'))
+    fireEvent.click(screen.getByLabelText('Remove In Progress'))
+    fireEvent.click(screen.getByLabelText('In review to Completed'))
+    fireEvent.click(screen.getByText('Save workflow'))
+
+    await waitFor(() => expect(screen.queryByText('Save workflow')).not.toBeInTheDocument())
+    expect(defaultProps.onUpdateWorkflow).toHaveBeenCalledWith('workspace-1', {
+      statuses: [
+        { id: 'todo', name: 'To Do', category: 'todo' },
+        { id: 'completed', name: 'Completed', category: 'done' },
+        { id: 'in_review', name: 'In review', category: 'in_progress' }
+      ],
+      transitions: { todo: ['completed'], completed: ['todo'], in_review: ['completed'] },
+      moveTasks: { in_progress: 'in_review' }
+    })
+  })
+
+  it('shows viewers the workflow without letting them change it', () => {
+    render(<WorkspaceSwitcher {...defaultProps} currentWorkspaceId="workspace-2" />)
+    fireEvent.click(screen.getByText('Workflow'))
+
+    expect(screen.getByText('In Progress')).toBeInTheDocument()
+    expect(screen.queryByText('Edit workflow')).not.toBeInTheDocument()
+  })
+})
@@ -0,0 +1,268 @@
+import React, { useState } from 'react';
+import {
+  MAX_STATUS_NAME_LENGTH,
+  MAX_WORKFLOW_STATUSES,
+  STATUS_CATEGORY_LABELS,
+  getStatusName,
+  getWorkflow,
+  statusIdFromName
+} from '../../utils/workflow.js';
+
+const EMPTY_STATUS = { name: '', category: 'todo' };
+
+// Editable copy of a workflow; statuses keep their IDs so tasks stay where they are
+function toDraft(workflow) {
+  return {
+    statuses: workflow.statuses.map(status => ({ ...status })),
+    transitions: Object.fromEntries(workflow.statuses.map(status => [status.id, [...(workflow.transitions[status.id] || [])]]))
+  };
+}
+
+// Where tasks in a removed status go unless the owner picks otherwise: a status of the same category
+function defaultDestination(statuses, removed) {
+  return (statuses.find(status => status.category === removed.category) || statuses[0]).id;
+}
+
+// A workspace's statuses and the moves allowed between them; owners edit both. `run` reports failures
+// next to the switcher.
+function WorkspaceWorkflow({ workspace, canManage, saving, run, onSave }) {
+  const workflow = getWorkflow(workspace);
+  const [draft, setDraft] = useState(null); // Set while editing
+  const [newStatus, setNewStatus] = useState(EMPTY_STATUS);
+  const [moveTasks, setMoveTasks] = useState({}); // { removedStatusId: statusId }
+
+  const startEditing = () => {
+    setDraft(toDraft(workflow));
+    setMoveTasks({});
+  };
+
+  const updateStatus = (id, changes) => {
+    setDraft({ ...draft, statuses: draft.statuses.map(status => (status.id === id ? { ...status, ...changes } : status)) });
+  };
+
+  const moveStatus = (index, offset) => {
+    const statuses = [...draft.statuses];
+    [statuses[index], statuses[index + offset]] = [statuses[index + offset], statuses[index]];
+    setDraft({ ...draft, statuses });
+  };
+
+  const removeStatus = (id) => {
+    const statuses = draft.statuses.filter(status => status.id !== id);
+    const transitions = Object.fromEntries(
+      Object.entries(draft.transitions)
+        .filter(([from]) => from !== id)
+        .map(([from, targets]) => [from, targets.filter(to => to !== id)])
+    );
+    setDraft({ statuses, transitions });
+  };
+
+  const addStatus = (e) => {
+    e.preventDefault();
+    const name = newStatus.name.trim();
+    if (!name) return;
+
+    // Steer clear of the IDs of saved statuses too, so a new status never inherits a removed one's tasks
+    const takenIds = [...draft.statuses, ...workflow.statuses].map(status => status.id);
+    const id = statusIdFromName(name, takenIds);
+    setDraft({
+      statuses: [...draft.statuses, { id, name, category: newStatus.category }],
+      transitions: { ...draft.transitions, [id]: [] }
+    });
+    setNewStatus(EMPTY_STATUS);
+  };
+
+  const toggleTransition = (from, to) => {
+    const targets = draft.transitions[from] || [];
+    setDraft({
+      ...draft,
+      transitions: {
+        ...draft.transitions,
+        [from]: targets.includes(to) ? targets.filter(id => id !== to) : [...targets, to]
+      }
+    });
+  };
+
+  const removed = draft ? workflow.statuses.filter(status => !draft.statuses.some(kept => kept.id === status.id)) : [];
+
+  const problem = draft && (
+    (draft.statuses.some(status => !status.name.trim()) && 'Every status needs a name') ||
+    (new Set(draft.statuses.map(status => status.name.trim().toLowerCase())).size < draft.statuses.length &&
+      'Status names must be unique') ||
+    (!draft.statuses.some(status => status.category === 'done') && 'Add a status in the Done category')
+  );
+
+  const handleSave = async () => {
+    const saved = await run(() => onSave(workspace.id, {
+      statuses: draft.statuses.map(status => ({ ...status, name: status.name.trim() })),
+      transitions: draft.transitions,
+      moveTasks: Object.fromEntries(removed.map(status => [
+        status.id,
+        moveTasks[status.id] || defaultDestination(draft.statuses, status)
+      ]))
+    }));
+    if (saved) setDraft(null);
+  };
+
+  if (!draft) {
+    return (
+      <div className="workspace-workflow">
+        <ul className="workspace-field-list">
+          {workflow.statuses.map(status => (
+            <li key={status.id} className="workspace-field">
+              <span className="workspace-field-name">{status.name}</span>
+              <span className="workspace-field-type">
+                {STATUS_CATEGORY_LABELS[status.category]}
+                {(workflow.transitions[status.id] || []).length > 0 &&
+                  ` → ${workflow.transitions[status.id].map(id => getStatusName(workflow, id)).join(', ')}`}
+              </span>
+            </li>
+          ))}
+        </ul>
+        {canManage && (
+          <button type="button" className="btn btn-secondary" onClick={startEditing} disabled={saving}>
+            Edit workflow
+          </button>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div className="workspace-workflow">
+      <ul className="workspace-field-list">
+        {draft.statuses.map((status, index) => (
+          <li key={status.id} className="workspace-field workspace-form">
+            <input
+              type="text"
+              aria-label={`Name of status ${index + 1}`}
+              value={status.name}
+              maxLength={MAX_STATUS_NAME_LENGTH}
+              onChange={(e) => updateStatus(status.id, { name: e.target.value })}
+              disabled={saving}
+            />
+            <select
+              aria-label={`Category of ${status.name || `status ${index + 1}`}`}
+              value={status.category}
+              onChange={(e) => updateStatus(status.id, { category: e.target.value })}
+              disabled={saving}
+            >
+              {Object.entries(STATUS_CATEGORY_LABELS).map(([category, label]) => (
+                <option key={category} value={category}>{label}</option>
+              ))}
+            </select>
+            <button
+              type="button"
+              className="btn btn-secondary"
+              onClick={() => moveStatus(index, -1)}
+              disabled={saving || index === 0}
+              aria-label={`Move ${status.name} up`}
+            >
+              ↑
+            </button>
+            <button
+              type="button"
+              className="btn btn-secondary"
+              onClick={() => moveStatus(index, 1)}
+              disabled={saving || index === draft.statuses.length - 1}
+              aria-label={`Move ${status.name} down`}
+            >
+              ↓
+            </button>
+            <button
+              type="button"
+              className="btn btn-secondary"
+              onClick={() => removeStatus(status.id)}
+              disabled={saving || draft.statuses.length === 1}
+              aria-label={`Remove ${status.name}`}
+            >
+              Remove
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      {draft.statuses.length < MAX_WORKFLOW_STATUSES && (
+        <form className="workspace-form" onSubmit={addStatus}>
+          <input
+            type="text"
+            aria-label="New status name"
+            placeholder="Status name"
+            value={newStatus.name}
+            maxLength={MAX_STATUS_NAME_LENGTH}
+            onChange={(e) => setNewStatus({ ...newStatus, name: e.target.value })}
+            disabled={saving}
+          />
+          <select
+            aria-label="New status category"
+            value={newStatus.category}
+            onChange={(e) => setNewStatus({ ...newStatus, category: e.target.value })}
+            disabled={saving}
+          >
+            {Object.entries(STATUS_CATEGORY_LABELS).map(([category, label]) => (
+              <option key={category} value={category}>{label}</option>
+            ))}
+          </select>
+          <button type="submit" className="btn btn-secondary" disabled={saving || !newStatus.name.trim()}>
+            Add status
+          </button>
+        </form>
+      )}
+
+      {/* Rows are where a task is, columns where it may go next */}
+      <table className="workflow-transitions">
+        <caption>Allowed moves</caption>
+        <thead>
+          <tr>
+            <th scope="col">From \ To</th>
+            {draft.statuses.map(status => <th key={status.id} scope="col">{status.name}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {draft.statuses.map(from => (
+            <tr key={from.id}>
+              <th scope="row">{from.name}</th>
+              {draft.statuses.map(to => (
+                <td key={to.id}>
+                  {from.id !== to.id && (
+                    <input
+                      type="checkbox"
+                      aria-label={`${from.name} to ${to.name}`}
+                      checked={(draft.transitions[from.id] || []).includes(to.id)}
+                      onChange={() => toggleTransition(from.id, to.id)}
+                      disabled={saving}
+                    />
+                  )}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {removed.map(status => (
+        <label key={status.id} className="workspace-form">
+          Tasks in {status.name} go to
+          <select
+            value={moveTasks[status.id] || defaultDestination(draft.statuses, status)}
+            onChange={(e) => setMoveTasks({ ...moveTasks, [status.id]: e.target.value })}
+            disabled={saving}
+          >
+            {draft.statuses.map(target => <option key={target.id} value={target.id}>{target.name}</option>)}
+          </select>
+        </label>
+      ))}
+
+      {problem && <p className="workspace-form-error">{problem}</p>}
+      <div className="workspace-form">
+        <button type="button" className="btn btn-primary" onClick={handleSave} disabled={saving || Boolean(problem)}>
+          Save workflow
+        </button>
+        <button type="button" className="btn btn-secondary" onClick={() => setDraft(null)} disabled={saving}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default WorkspaceWorkflow;
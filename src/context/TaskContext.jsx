@@ -9,6 +9,8 @@ const ACTIONS = {
   
   // Tasks
   SET_TASKS: 'SET_TASKS',
+  APPEND_TASKS: 'APPEND_TASKS',
+  SET_LOADING_MORE: 'SET_LOADING_MORE',
   ADD_TASK: 'ADD_TASK',
   UPDATE_TASK: 'UPDATE_TASK',
   DELETE_TASK: 'DELETE_TASK',
@@ -20,10 +22,24 @@ const ACTIONS = {
   
   // Statistics
   SET_STATS: 'SET_STATS',
+
+  // Projects
+  SET_PROJECTS: 'SET_PROJECTS',
+
+  // Workspaces
+  SET_WORKSPACES: 'SET_WORKSPACES',
   
   // UI state
   SET_SELECTED_TASK: 'SET_SELECTED_TASK',
-  SET_MODAL_STATE: 'SET_MODAL_STATE'
+  SET_MODAL_STATE: 'SET_MODAL_STATE',
+
+  // Concurrent edits
+  SET_CONFLICT: 'SET_CONFLICT',
+  CLEAR_CONFLICT: 'CLEAR_CONFLICT',
+
+  // Notifications
+  ADD_TOAST: 'ADD_TOAST',
+  DISMISS_TOAST: 'DISMISS_TOAST'
 };
 
 // Initial state
@@ -31,9 +47,12 @@ const initialState = {
   // Task data
   tasks: [],
   stats: null,
+  projects: [],
+  workspaces: [],
   
   // Loading and error states
   loading: false,
+  loadingMore: false, // The next page of the list is on its way
   error: null,
   
   // Filters and search
@@ -44,15 +63,21 @@ const initialState = {
     search: '',
     sortBy: 'updatedAt',
     sortOrder: 'desc',
-    overdue: false
+    overdue: false,
+    blocked: '',
+    projectId: '', // '' = all projects, 'none' = tasks without a project
+    workspaceId: '', // '' = the user's personal tasks
+    assigneeId: '', // '' = anyone, 'me' = the current user, 'none' = unassigned
+    customFields: {} // { fieldId: value } filters on the current workspace's custom fields
   },
   
-  // Pagination
+  // Pagination; nextCursor continues the list after its last task
   pagination: {
     total: 0,
     limit: 50,
     offset: 0,
-    hasMore: false
+    hasMore: false,
+    nextCursor: null
   },
   
   // UI state
@@ -61,9 +86,20 @@ const initialState = {
     isOpen: false,
     type: null, // 'create', 'edit', 'delete'
     data: null
-  }
+  },
+
+  // Update rejected because someone else saved first: { taskId, serverTask, attemptedUpdates }
+  conflict: null,
+
+  // Transient notifications: { id, type, message, duration, onUndo? }
+  toasts: []
 };
 
+// Older toasts are dropped once this many are on screen
+const MAX_TOASTS = 4;
+
+let nextToastId = 1;
+
 // Reducer function with improved loading state management
 function taskReducer(state, action) {
   switch (action.type) {
@@ -94,9 +130,27 @@ function taskReducer(state, action) {
         tasks: action.payload.tasks || [],
         pagination: action.payload.pagination || state.pagination,
         loading: false, // Always clear loading when tasks are set
+        loadingMore: false,
         error: null
       };
 
+    case ACTIONS.APPEND_TASKS: {
+      // A task created here since the list was loaded can turn up again on a later page
+      const loadedIds = new Set(state.tasks.map(task => task.id));
+      return {
+        ...state,
+        tasks: [...state.tasks, ...action.payload.tasks.filter(task => !loadedIds.has(task.id))],
+        pagination: action.payload.pagination,
+        loadingMore: false
+      };
+    }
+
+    case ACTIONS.SET_LOADING_MORE:
+      return {
+        ...state,
+        loadingMore: action.payload
+      };
+
     case ACTIONS.ADD_TASK:
       return {
         ...state,
@@ -174,6 +228,18 @@ function taskReducer(state, action) {
         stats: action.payload
       };
 
+    case ACTIONS.SET_PROJECTS:
+      return {
+        ...state,
+        projects: action.payload || []
+      };
+
+    case ACTIONS.SET_WORKSPACES:
+      return {
+        ...state,
+        workspaces: action.payload || []
+      };
+
     case ACTIONS.SET_SELECTED_TASK:
       return {
         ...state,
@@ -189,6 +255,30 @@ function taskReducer(state, action) {
         }
       };
 
+    case ACTIONS.SET_CONFLICT:
+      return {
+        ...state,
+        conflict: action.payload
+      };
+
+    case ACTIONS.CLEAR_CONFLICT:
+      return {
+        ...state,
+        conflict: null
+      };
+
+    case ACTIONS.ADD_TOAST:
+      return {
+        ...state,
+        toasts: [...state.toasts, action.payload].slice(-MAX_TOASTS)
+      };
+
+    case ACTIONS.DISMISS_TOAST:
+      return {
+        ...state,
+        toasts: state.toasts.filter(toast => toast.id !== action.payload)
+      };
+
     default:
       console.warn(`Unhandled action type: ${action.type}`);
       return state;
@@ -263,6 +353,16 @@ export const taskActions = {
     payload: data
   }),
 
+  appendTasks: (data) => ({
+    type: ACTIONS.APPEND_TASKS,
+    payload: data
+  }),
+
+  setLoadingMore: (loadingMore) => ({
+    type: ACTIONS.SET_LOADING_MORE,
+    payload: loadingMore
+  }),
+
   addTask: (task) => ({
     type: ACTIONS.ADD_TASK,
     payload: task
@@ -298,6 +398,16 @@ export const taskActions = {
     payload: stats
   }),
 
+  setProjects: (projects) => ({
+    type: ACTIONS.SET_PROJECTS,
+    payload: projects
+  }),
+
+  setWorkspaces: (workspaces) => ({
+    type: ACTIONS.SET_WORKSPACES,
+    payload: workspaces
+  }),
+
   setSelectedTask: (task) => ({
     type: ACTIONS.SET_SELECTED_TASK,
     payload: task
@@ -306,6 +416,25 @@ export const taskActions = {
   setModal: (modalState) => ({
     type: ACTIONS.SET_MODAL_STATE,
     payload: modalState
+  }),
+
+  setConflict: (conflict) => ({
+    type: ACTIONS.SET_CONFLICT,
+    payload: conflict
+  }),
+
+  clearConflict: () => ({
+    type: ACTIONS.CLEAR_CONFLICT
+  }),
+
+  addToast: ({ type = 'info', message, duration = 5000, onUndo = null }) => ({
+    type: ACTIONS.ADD_TOAST,
+    payload: { id: nextToastId++, type, message, duration, onUndo }
+  }),
+
+  dismissToast: (toastId) => ({
+    type: ACTIONS.DISMISS_TOAST,
+    payload: toastId
   })
 };
 
@@ -127,28 +127,286 @@ export function useTasksApi() {
   }, [api]);
 
   // Update existing task
-  const updateTask = useCallback(async (id, updates, options = {}) => {
+  const updateTask = useCallback(async (id, updates, { version, ...options } = {}) => {
     return api.execute(
-      () => tasksAPI.updateTask(id, updates),
+      () => tasksAPI.updateTask(id, updates, { version }),
       {
-        retries: 1, // Retry update operations once
+        // A versioned write is never retried: a 412 is a real conflict, and a retry after a lost
+        // response would find our own change and report a false one
+        retries: version != null ? 0 : 1,
         ...options
       }
     );
   }, [api]);
 
   // Delete task
-  const deleteTask = useCallback(async (id, options = {}) => {
+  const deleteTask = useCallback(async (id, { version, ...options } = {}) => {
     return api.execute(
-      () => tasksAPI.deleteTask(id),
+      () => tasksAPI.deleteTask(id, { version }),
+      options
+    );
+  }, [api]);
+
+  // Fetch task history
+  const fetchTaskHistory = useCallback(async (id, page = {}, options = {}) => {
+    return api.execute(
+      () => tasksAPI.getTaskHistory(id, page),
+      options
+    );
+  }, [api]);
+
+  // Fetch task comments
+  const fetchComments = useCallback(async (id, page = {}, options = {}) => {
+    return api.execute(
+      () => tasksAPI.getComments(id, page),
+      options
+    );
+  }, [api]);
+
+  // Add a comment
+  const addComment = useCallback(async (id, body, options = {}) => {
+    return api.execute(
+      () => tasksAPI.addComment(id, body),
+      options
+    );
+  }, [api]);
+
+  // Edit a comment
+  const updateComment = useCallback(async (id, commentId, body, options = {}) => {
+    return api.execute(
+      () => tasksAPI.updateComment(id, commentId, body),
+      options
+    );
+  }, [api]);
+
+  // Delete a comment
+  const deleteComment = useCallback(async (id, commentId, options = {}) => {
+    return api.execute(
+      () => tasksAPI.deleteComment(id, commentId),
+      options
+    );
+  }, [api]);
+
+  // Fetch task attachments
+  const fetchAttachments = useCallback(async (id, options = {}) => {
+    return api.execute(
+      () => tasksAPI.getAttachments(id),
+      options
+    );
+  }, [api]);
+
+  // Upload an attachment
+  const uploadAttachment = useCallback(async (id, file, options = {}) => {
+    return api.execute(
+      () => tasksAPI.uploadAttachment(id, file),
+      options
+    );
+  }, [api]);
+
+  // Download an attachment's contents
+  const downloadAttachment = useCallback(async (id, attachmentId, options = {}) => {
+    return api.execute(
+      () => tasksAPI.downloadAttachment(id, attachmentId),
+      options
+    );
+  }, [api]);
+
+  // Delete an attachment
+  const deleteAttachment = useCallback(async (id, attachmentId, options = {}) => {
+    return api.execute(
+      () => tasksAPI.deleteAttachment(id, attachmentId),
+      options
+    );
+  }, [api]);
+
+  // Add a checklist item
+  const addChecklistItem = useCallback(async (id, text, { version, ...options } = {}) => {
+    return api.execute(
+      () => tasksAPI.addChecklistItem(id, text, { version }),
+      options
+    );
+  }, [api]);
+
+  // Update a checklist item
+  const updateChecklistItem = useCallback(async (id, itemId, changes, { version, ...options } = {}) => {
+    return api.execute(
+      () => tasksAPI.updateChecklistItem(id, itemId, changes, { version }),
+      options
+    );
+  }, [api]);
+
+  // Remove a checklist item
+  const deleteChecklistItem = useCallback(async (id, itemId, { version, ...options } = {}) => {
+    return api.execute(
+      () => tasksAPI.deleteChecklistItem(id, itemId, { version }),
+      options
+    );
+  }, [api]);
+
+  // Reorder checklist items
+  const reorderChecklist = useCallback(async (id, itemIds, { version, ...options } = {}) => {
+    return api.execute(
+      () => tasksAPI.reorderChecklist(id, itemIds, { version }),
+      options
+    );
+  }, [api]);
+
+  // Fetch trashed tasks
+  const fetchTrash = useCallback(async (page = {}, options = {}) => {
+    return api.execute(
+      () => tasksAPI.getTrash(page),
+      options
+    );
+  }, [api]);
+
+  // Restore a trashed task
+  const restoreTask = useCallback(async (id, options = {}) => {
+    return api.execute(
+      () => tasksAPI.restoreTask(id),
+      options
+    );
+  }, [api]);
+
+  // Permanently delete a trashed task
+  const purgeTask = useCallback(async (id, options = {}) => {
+    return api.execute(
+      () => tasksAPI.purgeTask(id),
+      options
+    );
+  }, [api]);
+
+  // Empty the trash
+  const emptyTrash = useCallback(async (scope = {}, options = {}) => {
+    return api.execute(
+      () => tasksAPI.emptyTrash(scope),
       options
     );
   }, [api]);
 
   // Fetch statistics
-  const fetchStats = useCallback(async (options = {}) => {
+  const fetchStats = useCallback(async (scope = {}, options = {}) => {
+    return api.execute(
+      () => tasksAPI.getStats(scope),
+      options
+    );
+  }, [api]);
+
+  // Fetch projects
+  const fetchProjects = useCallback(async (options = {}) => {
+    return api.execute(
+      () => tasksAPI.getProjects(),
+      options
+    );
+  }, [api]);
+
+  // Create project
+  const createProject = useCallback(async (projectData, options = {}) => {
+    return api.execute(
+      () => tasksAPI.createProject(projectData),
+      options
+    );
+  }, [api]);
+
+  // Update project
+  const updateProject = useCallback(async (id, updates, options = {}) => {
+    return api.execute(
+      () => tasksAPI.updateProject(id, updates),
+      options
+    );
+  }, [api]);
+
+  // Delete project
+  const deleteProject = useCallback(async (id, options = {}) => {
+    return api.execute(
+      () => tasksAPI.deleteProject(id),
+      options
+    );
+  }, [api]);
+
+  // Fetch workspaces
+  const fetchWorkspaces = useCallback(async (options = {}) => {
+    return api.execute(
+      () => tasksAPI.getWorkspaces(),
+      options
+    );
+  }, [api]);
+
+  // Create workspace
+  const createWorkspace = useCallback(async (workspaceData, options = {}) => {
+    return api.execute(
+      () => tasksAPI.createWorkspace(workspaceData),
+      options
+    );
+  }, [api]);
+
+  // Rename workspace
+  const updateWorkspace = useCallback(async (id, updates, options = {}) => {
+    return api.execute(
+      () => tasksAPI.updateWorkspace(id, updates),
+      options
+    );
+  }, [api]);
+
+  // Delete workspace
+  const deleteWorkspace = useCallback(async (id, options = {}) => {
+    return api.execute(
+      () => tasksAPI.deleteWorkspace(id),
+      options
+    );
+  }, [api]);
+
+  // Add workspace member
+  const addWorkspaceMember = useCallback(async (id, member, options = {}) => {
+    return api.execute(
+      () => tasksAPI.addWorkspaceMember(id, member),
+      options
+    );
+  }, [api]);
+
+  // Change a workspace member's role
+  const updateWorkspaceMember = useCallback(async (id, userId, role, options = {}) => {
+    return api.execute(
+      () => tasksAPI.updateWorkspaceMember(id, userId, role),
+      options
+    );
+  }, [api]);
+
+  // Remove workspace member
+  const removeWorkspaceMember = useCallback(async (id, userId, options = {}) => {
+    return api.execute(
+      () => tasksAPI.removeWorkspaceMember(id, userId),
+      options
+    );
+  }, [api]);
+
+  // Add a custom field to a workspace
+  const createCustomField = useCallback(async (id, field, options = {}) => {
+    return api.execute(
+      () => tasksAPI.createCustomField(id, field),
+      options
+    );
+  }, [api]);
+
+  // Update a workspace custom field
+  const updateCustomField = useCallback(async (id, fieldId, updates, options = {}) => {
+    return api.execute(
+      () => tasksAPI.updateCustomField(id, fieldId, updates),
+      options
+    );
+  }, [api]);
+
+  // Delete a workspace custom field
+  const deleteCustomField = useCallback(async (id, fieldId, options = {}) => {
+    return api.execute(
+      () => tasksAPI.deleteCustomField(id, fieldId),
+      options
+    );
+  }, [api]);
+
+  // Change a workspace's workflow
+  const updateWorkflow = useCallback(async (id, workflow, options = {}) => {
     return api.execute(
-      () => tasksAPI.getStats(),
+      () => tasksAPI.updateWorkflow(id, workflow),
       options
     );
   }, [api]);
@@ -168,7 +426,39 @@ export function useTasksApi() {
     createTask,
     updateTask,
     deleteTask,
+    fetchTaskHistory,
+    fetchComments,
+    addComment,
+    updateComment,
+    deleteComment,
+    fetchAttachments,
+    uploadAttachment,
+    downloadAttachment,
+    deleteAttachment,
+    addChecklistItem,
+    updateChecklistItem,
+    deleteChecklistItem,
+    reorderChecklist,
+    fetchTrash,
+    restoreTask,
+    purgeTask,
+    emptyTrash,
     fetchStats,
+    fetchProjects,
+    createProject,
+    updateProject,
+    deleteProject,
+    fetchWorkspaces,
+    createWorkspace,
+    updateWorkspace,
+    deleteWorkspace,
+    addWorkspaceMember,
+    updateWorkspaceMember,
+    removeWorkspaceMember,
+    createCustomField,
+    updateCustomField,
+    deleteCustomField,
+    updateWorkflow,
     healthCheck
   };
 }
\ No newline at end of file
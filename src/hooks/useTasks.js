@@ -2,6 +2,13 @@
 import { useCallback, useEffect, useRef, useState } from 'react';
 import { useTaskState, useTaskDispatch, taskActions } from '../context/TaskContext.jsx';
 import { useTasksApi } from './useApi.js';
+import { findStatus, getStatusName, getWorkflow } from '../utils/workflow.js';
+
+// Personal tasks belong to the user alone, so every action is allowed on them
+const PERSONAL_PERMISSIONS = ['read', 'create', 'update', 'delete', 'manage'];
+
+// The API's largest page; the calendar asks for a whole month at a time
+const CALENDAR_PAGE_SIZE = 100;
 
 // Main hook for task management - with improved delete handling
 export function useTasks() {
@@ -16,6 +23,26 @@ export function useTasks() {
   const isLoadingRef = useRef(false);
   const debounceTimeoutRef = useRef(null);
 
+  // The query the list was loaded with, which later pages continue; every reload starts a new list
+  const listQueryRef = useRef(null);
+  const listGenerationRef = useRef(0);
+  const isLoadingMoreRef = useRef(false);
+
+  // Undo runs seconds after the toast was created; go through the latest actions so it sees current versions
+  const undoActionsRef = useRef({});
+
+  // Task ID -> promise of the version its update in flight leaves the task at (see updateTask)
+  const updateQueuesRef = useRef(new Map());
+
+  // Stats reloads (including the periodic one) follow whichever project is currently selected
+  const projectIdRef = useRef(state.filters.projectId);
+  projectIdRef.current = state.filters.projectId;
+  const workspaceIdRef = useRef(state.filters.workspaceId);
+  workspaceIdRef.current = state.filters.workspaceId;
+  // Debounced filter reloads merge into the filters current when they fire, not when the callback was made
+  const filtersRef = useRef(state.filters);
+  filtersRef.current = state.filters;
+
   // Helper function to clean filters
   const cleanFilters = useCallback((filters) => {
     if (!filters) return {};
@@ -38,7 +65,17 @@ export function useTasks() {
           if (trimmed) {
             cleaned[key] = trimmed;
           }
-        } else if (['status', 'priority', 'sortBy', 'sortOrder'].includes(key) && value) {
+        } else if (key === 'blocked') {
+          // Tri-state: 'true' (blocked only), 'false' (ready only), anything else means both
+          if (value === true || value === 'true') cleaned[key] = 'true';
+          if (value === false || value === 'false') cleaned[key] = 'false';
+        } else if (key === 'customFields') {
+          // Sent as cf.<fieldId>=value, the API's parameter for a custom field
+          Object.entries(value).forEach(([fieldId, fieldValue]) => {
+            const trimmed = String(fieldValue ?? '').trim();
+            if (trimmed) cleaned[`cf.${fieldId}`] = trimmed;
+          });
+        } else if (['status', 'priority', 'sortBy', 'sortOrder', 'projectId', 'workspaceId', 'assigneeId', 'dueFrom', 'dueTo'].includes(key) && value) {
           cleaned[key] = value;
         }
       }
@@ -57,6 +94,7 @@ export function useTasks() {
 
     try {
       isLoadingRef.current = true;
+      listGenerationRef.current += 1;
       dispatch(taskActions.setLoading(true));
       
       const filtersToUse = filters || state.filters;
@@ -67,6 +105,7 @@ export function useTasks() {
       const result = await api.fetchTasks(cleanedFilters);
 
       if (result && result.success) {
+        listQueryRef.current = cleanedFilters;
         dispatch(taskActions.setTasks(result.data));
         console.log('loadTasks: Success, loaded', result.data.tasks?.length || 0, 'tasks');
       } else {
@@ -85,15 +124,80 @@ export function useTasks() {
     }
   }, [api, dispatch, cleanFilters]);
 
+  // Append the next page of the list. It continues the query the list was loaded with, even while
+  // newer filters wait for their debounced reload; a page that arrives after a reload is dropped.
+  const loadMoreTasks = useCallback(async () => {
+    const { hasMore, nextCursor } = state.pagination;
+    if (!hasMore || !nextCursor || !listQueryRef.current || isLoadingRef.current || isLoadingMoreRef.current) {
+      return;
+    }
+
+    const generation = listGenerationRef.current;
+    try {
+      isLoadingMoreRef.current = true;
+      dispatch(taskActions.setLoadingMore(true));
+
+      const result = await api.fetchTasks({ ...listQueryRef.current, cursor: nextCursor });
+      if (generation !== listGenerationRef.current) return;
+
+      if (result && result.success) {
+        dispatch(taskActions.appendTasks(result.data));
+        console.log('loadMoreTasks: Loaded', result.data.tasks.length, 'more tasks');
+      } else {
+        dispatch(taskActions.setError('Failed to load more tasks'));
+      }
+    } catch (error) {
+      console.error('loadMoreTasks: Error:', error);
+      if (generation === listGenerationRef.current) {
+        dispatch(taskActions.setError(`Failed to load more tasks: ${error.message}`));
+      }
+    } finally {
+      isLoadingMoreRef.current = false;
+      dispatch(taskActions.setLoadingMore(false));
+    }
+  }, [api, dispatch, state.pagination]);
+
+  // Load the project list (with task counts)
+  const loadProjects = useCallback(async () => {
+    try {
+      const result = await api.fetchProjects();
+      if (result && result.success) {
+        dispatch(taskActions.setProjects(result.data.projects));
+      }
+    } catch (error) {
+      console.error('loadProjects: Error:', error);
+      // The task list still works without projects
+    }
+  }, [api, dispatch]);
+
+  // Load the workspaces the user belongs to (with their role and task counts)
+  const loadWorkspaces = useCallback(async () => {
+    try {
+      const result = await api.fetchWorkspaces();
+      if (result && result.success) {
+        dispatch(taskActions.setWorkspaces(result.data.workspaces));
+      }
+    } catch (error) {
+      console.error('loadWorkspaces: Error:', error);
+      // Personal tasks still work without workspaces
+    }
+  }, [api, dispatch]);
+
   // Load statistics - simplified
-  const loadStats = useCallback(async () => {
+  const loadStats = useCallback(async (projectId = projectIdRef.current, workspaceId = workspaceIdRef.current) => {
     try {
-      console.log('loadStats: Loading statistics...');
-      const result = await api.fetchStats();
+      console.log('loadStats: Loading statistics...', projectId ? `(project ${projectId})` : '');
+      const result = await api.fetchStats({
+        ...(projectId && { projectId }),
+        ...(workspaceId && { workspaceId })
+      });
 
       if (result && result.success) {
         dispatch(taskActions.setStats(result.data.statistics));
         console.log('loadStats: Success');
+        // Project and workspace task counts move with the same changes that move the stats
+        loadProjects();
+        loadWorkspaces();
       } else {
         console.warn('loadStats: API returned success=false');
       }
@@ -101,7 +205,34 @@ export function useTasks() {
       console.error('loadStats: Error:', error);
       // Don't show user errors for stats failures
     }
-  }, [api, dispatch]);
+  }, [api, dispatch, loadProjects, loadWorkspaces]);
+
+  // Workspace tasks follow their workspace's workflow, personal ones the default
+  const workflowOf = useCallback((task) => (
+    getWorkflow(state.workspaces.find(workspace => workspace.id === task?.workspaceId))
+  ), [state.workspaces]);
+
+  // Tasks blocked by this one embed a summary of it as a blocker; keep those in step without a reload
+  const syncDependents = useCallback((changedTask) => {
+    const stillBlocking = !changedTask.deletedAt && changedTask.statusCategory !== 'done';
+
+    state.tasks
+      .filter(task => task.id !== changedTask.id && task.blockedBy?.includes(changedTask.id))
+      .forEach(task => {
+        const blockersById = new Map((task.blockers || []).map(blocker => [blocker.id, blocker]));
+        if (stillBlocking) {
+          const { id, title, status } = changedTask;
+          blockersById.set(id, { id, title, status });
+        } else {
+          blockersById.delete(changedTask.id);
+        }
+
+        dispatch(taskActions.updateTask({
+          ...task,
+          blockers: task.blockedBy.filter(id => blockersById.has(id)).map(id => blockersById.get(id))
+        }));
+      });
+  }, [state.tasks, dispatch]);
 
   // Create a new task
   const createTask = useCallback(async (taskData) => {
@@ -110,13 +241,25 @@ export function useTasks() {
       
       const cleanTaskData = {
         title: taskData.title?.trim(),
-        description: taskData.description?.trim() || '',
-        status: taskData.status || 'todo',
+        description: taskData.description?.trimEnd() || '',
+        status: taskData.status || undefined,
         priority: taskData.priority || 'medium',
+        startDate: taskData.startDate || null,
         dueDate: taskData.dueDate || null,
         tags: Array.isArray(taskData.tags) 
           ? taskData.tags.filter(tag => tag && tag.trim()).map(tag => tag.trim())
-          : []
+          : [],
+        checklist: Array.isArray(taskData.checklist)
+          ? taskData.checklist.filter(item => item.text && item.text.trim())
+          : [],
+        requireChecklist: Boolean(taskData.requireChecklist),
+        blockedBy: Array.isArray(taskData.blockedBy) ? taskData.blockedBy : [],
+        recurrence: taskData.recurrence || null,
+        projectId: taskData.projectId || null,
+        // New tasks go to the workspace being viewed
+        workspaceId: taskData.workspaceId || workspaceIdRef.current || null,
+        assigneeId: taskData.assigneeId || null,
+        ...(taskData.customFields && { customFields: taskData.customFields })
       };
 
       const result = await api.createTask(cleanTaskData);
@@ -148,6 +291,9 @@ export function useTasks() {
       const optimisticTask = { 
         ...currentTask, 
         ...updates, 
+        ...(updates.status && {
+          statusCategory: findStatus(workflowOf(currentTask), updates.status)?.category || currentTask.statusCategory
+        }),
         updatedAt: new Date().toISOString() 
       };
       dispatch(taskActions.updateTask(optimisticTask));
@@ -156,10 +302,30 @@ export function useTasks() {
     try {
       console.log('updateTask: Updating task:', id);
       
-      const result = await api.updateTask(id, updates);
+      // Send the version we edited so the server can reject it if someone else saved first. Edits to
+      // one task go out one at a time, each with the version the one before came back with:
+      // sent together, a quick second edit would carry a stale version and conflict with the first.
+      const queue = updateQueuesRef.current;
+      let sentVersion;
+      const request = (queue.get(id) || Promise.resolve(currentTask?.version)).then(version => {
+        sentVersion = version;
+        return api.updateTask(id, updates, { version });
+      });
+      const settled = request.then(response => response?.data?.task?.version ?? sentVersion, () => sentVersion);
+      queue.set(id, settled);
+      settled.then(() => {
+        if (queue.get(id) === settled) queue.delete(id);
+      });
+
+      const result = await request;
 
       if (result && result.success) {
         dispatch(taskActions.updateTask(result.data.task));
+        syncDependents(result.data.task);
+        // Completing a recurring task creates the next occurrence server-side
+        if (result.data.nextOccurrence) {
+          dispatch(taskActions.addTask(result.data.nextOccurrence));
+        }
         console.log('updateTask: Success');
         
         // Refresh stats if status changed
@@ -173,6 +339,17 @@ export function useTasks() {
       }
     } catch (error) {
       console.error('updateTask: Error:', error);
+
+      // Concurrent edit: show the server copy and keep our changes so the user can decide
+      if (error.status === 412 && error.details?.current) {
+        dispatch(taskActions.updateTask(error.details.current));
+        dispatch(taskActions.setConflict({
+          taskId: id,
+          serverTask: error.details.current,
+          attemptedUpdates: updates
+        }));
+        throw error;
+      }
       
       // Revert optimistic update
       if (currentTask) {
@@ -182,10 +359,74 @@ export function useTasks() {
       dispatch(taskActions.setError(`Failed to update task: ${error.message}`));
       throw error;
     }
-  }, [state.tasks, api, dispatch, loadStats]);
+  }, [state.tasks, api, dispatch, loadStats, syncDependents, workflowOf]);
+
+  // Resolve a conflicting update: 'overwrite' re-applies our changes on top of the
+  // latest server copy, 'discard' keeps the server copy as it is
+  const resolveConflict = useCallback(async (resolution) => {
+    const conflict = state.conflict;
+    if (!conflict) return null;
+
+    dispatch(taskActions.clearConflict());
+
+    if (resolution === 'overwrite') {
+      return updateTask(conflict.taskId, conflict.attemptedUpdates);
+    }
+    return conflict.serverTask;
+  }, [state.conflict, dispatch, updateTask]);
+
+  // Show a transient notification; pass onUndo to offer an Undo button
+  const notify = useCallback((toast) => {
+    dispatch(taskActions.addToast(toast));
+  }, [dispatch]);
+
+  const dismissToast = useCallback((toastId) => {
+    dispatch(taskActions.dismissToast(toastId));
+  }, [dispatch]);
+
+  // Run an undo callback, reporting failures as a toast (the failing action has already set the error banner)
+  const runUndo = useCallback(async (undo) => {
+    try {
+      await undo(undoActionsRef.current);
+    } catch (error) {
+      console.error('Undo failed:', error);
+      notify({ type: 'error', message: `Could not undo: ${error.message}` });
+    }
+  }, [notify]);
+
+  // Change a task's status from the list or board, offering to put the previous status (and
+  // board position, when the move changed it) back
+  const changeTaskStatus = useCallback(async (id, newStatus, { position } = {}) => {
+    const previous = state.tasks.find(task => task.id === id);
+    const updated = await updateTask(id, { status: newStatus, ...(position !== undefined && { position }) });
+
+    if (previous && previous.status !== newStatus) {
+      const spawnedNext = updated.nextOccurrenceId && updated.nextOccurrenceId !== previous.nextOccurrenceId;
+      notify({
+        type: 'success',
+        message: updated.statusCategory === 'done'
+          ? `Completed "${updated.title}"${spawnedNext ? ' - next occurrence added' : ''}`
+          : `Moved "${updated.title}" to ${getStatusName(workflowOf(updated), newStatus)}`,
+        onUndo: () => runUndo(actions => actions.updateTask(id, {
+          status: previous.status,
+          ...(position !== undefined && { position: previous.position })
+        }))
+      });
+    }
+    return updated;
+  }, [state.tasks, updateTask, notify, runUndo, workflowOf]);
+
+  // Drop a task on the board: into another status column, or elsewhere in its own
+  const moveTask = useCallback(async (id, { status, position }) => {
+    const task = state.tasks.find(candidate => candidate.id === id);
+    if (task && status !== task.status) {
+      return changeTaskStatus(id, status, { position });
+    }
+    return updateTask(id, { position });
+  }, [state.tasks, changeTaskStatus, updateTask]);
 
   // Delete a task - IMPROVED VERSION
-  const deleteTask = useCallback(async (id) => {
+  const trashTask = useCallback(async (id) => {
     console.log('deleteTask: Starting deletion for ID:', id, 'Type:', typeof id);
     
     const taskToDelete = state.tasks.find(task => task.id === id);
@@ -204,12 +445,13 @@ export function useTasks() {
     try {
       console.log('deleteTask: Calling API delete for task:', id);
       
-      const result = await api.deleteTask(id);
+      const result = await api.deleteTask(id, { version: taskToDelete.version });
       console.log('deleteTask: API response:', result);
 
       if (result && result.success) {
         // Only remove from local state after successful server deletion
         dispatch(taskActions.deleteTask(id));
+        syncDependents(result.data.task);
         console.log('deleteTask: Successfully deleted task:', result.data.task.title);
         
         // Refresh stats
@@ -222,6 +464,13 @@ export function useTasks() {
       }
     } catch (error) {
       console.error('deleteTask: Error during deletion:', error);
+
+      // Changed on the server since we loaded it - show the latest copy instead of deleting blindly
+      if (error.status === 412 && error.details?.current) {
+        dispatch(taskActions.updateTask(error.details.current));
+        dispatch(taskActions.setError('This task was changed by someone else. Review the latest version before deleting it.'));
+        throw error;
+      }
       
       // Check if it's a "not found" error - this might mean it was already deleted
       if (error.message && error.message.includes('Task not found')) {
@@ -242,7 +491,330 @@ export function useTasks() {
       dispatch(taskActions.setError(errorMessage));
       throw error;
     }
-  }, [state.tasks, api, dispatch, loadStats]);
+  }, [state.tasks, api, dispatch, loadStats, syncDependents]);
+
+  // Move a task to the trash, offering to restore it
+  const deleteTask = useCallback(async (id) => {
+    const task = state.tasks.find(t => t.id === id);
+    await trashTask(id);
+
+    notify({
+      type: 'success',
+      message: `"${task.title}" moved to trash`,
+      onUndo: () => runUndo(actions => actions.restoreTask(id))
+    });
+    return true;
+  }, [state.tasks, trashTask, notify, runUndo]);
+
+  // Apply the same status to several tasks; a single Undo puts each back where it was
+  const bulkUpdateStatus = useCallback(async (ids, newStatus) => {
+    const previousStatuses = new Map(
+      state.tasks.filter(task => ids.includes(task.id)).map(task => [task.id, task.status])
+    );
+    // The tasks come from the same view, so they share a workflow
+    const workflow = workflowOf(state.tasks.find(task => ids.includes(task.id)));
+    const changed = [];
+
+    // One at a time, so each request carries the version it was based on
+    for (const id of ids) {
+      try {
+        await updateTask(id, { status: newStatus });
+        changed.push(id);
+      } catch (error) {
+        console.error('bulkUpdateStatus: Failed for task', id, error);
+      }
+    }
+
+    if (changed.length < ids.length) {
+      notify({ type: 'error', message: `${ids.length - changed.length} task(s) could not be updated` });
+    }
+
+    if (changed.length > 0) {
+      notify({
+        type: 'success',
+        message: `${findStatus(workflow, newStatus)?.category === 'done' ? 'Completed' : 'Updated'} ${changed.length} task${changed.length === 1 ? '' : 's'}`,
+        onUndo: () => runUndo(async (actions) => {
+          for (const id of changed) {
+            await actions.updateTask(id, { status: previousStatuses.get(id) });
+          }
+        })
+      });
+    }
+    return changed;
+  }, [state.tasks, updateTask, notify, runUndo, workflowOf]);
+
+  // Move several tasks to the trash; a single Undo restores all of them
+  const bulkDeleteTasks = useCallback(async (ids) => {
+    const trashed = [];
+
+    for (const id of ids) {
+      try {
+        await trashTask(id);
+        trashed.push(id);
+      } catch (error) {
+        console.error('bulkDeleteTasks: Failed for task', id, error);
+      }
+    }
+
+    if (trashed.length < ids.length) {
+      notify({ type: 'error', message: `${ids.length - trashed.length} task(s) could not be deleted` });
+    }
+
+    if (trashed.length > 0) {
+      notify({
+        type: 'success',
+        message: `Moved ${trashed.length} task${trashed.length === 1 ? '' : 's'} to trash`,
+        onUndo: () => runUndo(async (actions) => {
+          for (const id of trashed) {
+            await actions.restoreTask(id);
+          }
+        })
+      });
+    }
+    return trashed;
+  }, [trashTask, notify, runUndo]);
+
+  // Load one page of a task's change history (kept out of global state - only the detail view needs it)
+  const loadTaskHistory = useCallback(async (id, page = {}) => {
+    const result = await api.fetchTaskHistory(id, page);
+
+    if (result && result.success) {
+      return result.data;
+    }
+    throw new Error(result?.error?.message || 'Failed to load task history');
+  }, [api]);
+
+  // Keep the comment count shown on the task in step with the detail view's thread
+  const setCommentCount = useCallback((id, commentCount) => {
+    const task = state.tasks.find(candidate => candidate.id === id) ||
+      (state.selectedTask?.id === id ? state.selectedTask : null);
+    if (task) {
+      dispatch(taskActions.updateTask({ ...task, commentCount }));
+    }
+  }, [state.tasks, state.selectedTask, dispatch]);
+
+  // Load one page of a task's comments; like history, the thread lives in the detail view only
+  const loadComments = useCallback(async (id, page = {}) => {
+    const result = await api.fetchComments(id, page);
+
+    if (result && result.success) {
+      return result.data;
+    }
+    throw new Error(result?.error?.message || 'Failed to load comments');
+  }, [api]);
+
+  const addComment = useCallback(async (id, body) => {
+    const result = await api.addComment(id, body);
+
+    if (result && result.success) {
+      setCommentCount(id, result.data.commentCount);
+      return result.data.comment;
+    }
+    throw new Error(result?.error?.message || 'Failed to add comment');
+  }, [api, setCommentCount]);
+
+  const editComment = useCallback(async (id, commentId, body) => {
+    const result = await api.updateComment(id, commentId, body);
+
+    if (result && result.success) {
+      return result.data.comment;
+    }
+    throw new Error(result?.error?.message || 'Failed to update comment');
+  }, [api]);
+
+  const deleteComment = useCallback(async (id, commentId) => {
+    const result = await api.deleteComment(id, commentId);
+
+    if (result && result.success) {
+      setCommentCount(id, result.data.commentCount);
+      return result.data.comment;
+    }
+    throw new Error(result?.error?.message || 'Failed to delete comment');
+  }, [api, setCommentCount]);
+
+  // Attachments are also fetched by the detail view only
+  const loadAttachments = useCallback(async (id) => {
+    const result = await api.fetchAttachments(id);
+
+    if (result && result.success) {
+      return result.data;
+    }
+    throw new Error(result?.error?.message || 'Failed to load attachments');
+  }, [api]);
+
+  const uploadAttachment = useCallback(async (id, file) => {
+    const result = await api.uploadAttachment(id, file);
+
+    if (result && result.success) {
+      return result.data.attachment;
+    }
+    throw new Error(result?.error?.message || 'Failed to upload file');
+  }, [api]);
+
+  // Resolves to a Blob of the file's contents
+  const downloadAttachment = useCallback(async (id, attachmentId) => {
+    return api.downloadAttachment(id, attachmentId);
+  }, [api]);
+
+  const deleteAttachment = useCallback(async (id, attachmentId) => {
+    const result = await api.deleteAttachment(id, attachmentId);
+
+    if (result && result.success) {
+      return result.data.attachment;
+    }
+    throw new Error(result?.error?.message || 'Failed to delete attachment');
+  }, [api]);
+
+  // Run a checklist request against the task's current version. optimisticChecklist, when given,
+  // is shown straight away and rolled back if the request fails.
+  const changeChecklist = useCallback(async (id, request, optimisticChecklist = null) => {
+    const currentTask = state.tasks.find(task => task.id === id);
+
+    if (currentTask && optimisticChecklist) {
+      dispatch(taskActions.updateTask({ ...currentTask, checklist: optimisticChecklist }));
+    }
+
+    try {
+      const result = await request(currentTask?.version);
+
+      if (result && result.success) {
+        dispatch(taskActions.updateTask(result.data.task));
+        return result.data.task;
+      }
+      throw new Error(result?.error?.message || 'Failed to update checklist');
+    } catch (error) {
+      console.error('changeChecklist: Error:', error);
+
+      // Someone else changed the task: show their copy, the user can redo the checklist change on it
+      if (error.status === 412 && error.details?.current) {
+        dispatch(taskActions.updateTask(error.details.current));
+      } else if (currentTask) {
+        dispatch(taskActions.updateTask(currentTask));
+      }
+
+      dispatch(taskActions.setError(`Failed to update checklist: ${error.message}`));
+      throw error;
+    }
+  }, [state.tasks, dispatch]);
+
+  const addChecklistItem = useCallback((id, text) => {
+    return changeChecklist(id, version => api.addChecklistItem(id, text, { version }));
+  }, [api, changeChecklist]);
+
+  const toggleChecklistItem = useCallback((id, itemId) => {
+    const checklist = state.tasks.find(task => task.id === id)?.checklist || [];
+    const item = checklist.find(entry => entry.id === itemId);
+    if (!item) return Promise.resolve(null);
+
+    return changeChecklist(
+      id,
+      version => api.updateChecklistItem(id, itemId, { done: !item.done }, { version }),
+      checklist.map(entry => (entry.id === itemId ? { ...entry, done: !entry.done } : entry))
+    );
+  }, [state.tasks, api, changeChecklist]);
+
+  const removeChecklistItem = useCallback((id, itemId) => {
+    const checklist = state.tasks.find(task => task.id === id)?.checklist || [];
+
+    return changeChecklist(
+      id,
+      version => api.deleteChecklistItem(id, itemId, { version }),
+      checklist.filter(entry => entry.id !== itemId)
+    );
+  }, [state.tasks, api, changeChecklist]);
+
+  // Move an item one place up (-1) or down (+1)
+  const moveChecklistItem = useCallback((id, itemId, direction) => {
+    const checklist = [...(state.tasks.find(task => task.id === id)?.checklist || [])];
+    const from = checklist.findIndex(entry => entry.id === itemId);
+    const to = from + direction;
+    if (from === -1 || to < 0 || to >= checklist.length) return Promise.resolve(null);
+
+    [checklist[from], checklist[to]] = [checklist[to], checklist[from]];
+
+    return changeChecklist(
+      id,
+      version => api.reorderChecklist(id, checklist.map(entry => entry.id), { version }),
+      checklist
+    );
+  }, [state.tasks, api, changeChecklist]);
+
+  // Every task due in a date range that matches the current filters, for the calendar. Pages
+  // through the results, since a busy month can hold more than one page.
+  const loadTasksDue = useCallback(async ({ dueFrom, dueTo }) => {
+    const query = cleanFilters({ ...state.filters, dueFrom, dueTo, sortBy: 'dueDate', sortOrder: 'asc' });
+    const tasks = [];
+    let cursor = null;
+
+    do {
+      const result = await api.fetchTasks({ ...query, limit: CALENDAR_PAGE_SIZE, ...(cursor && { cursor }) });
+      if (!result || !result.success) {
+        throw new Error(result?.error?.message || 'Failed to load tasks');
+      }
+      tasks.push(...result.data.tasks);
+      cursor = result.data.pagination.nextCursor;
+    } while (cursor);
+    return tasks;
+  }, [api, cleanFilters, state.filters]);
+
+  // Load one page of the trash (kept out of global state - only the trash view needs it)
+  const loadTrash = useCallback(async (page = {}) => {
+    const result = await api.fetchTrash({ ...page, workspaceId: workspaceIdRef.current || undefined });
+
+    if (result && result.success) {
+      return result.data;
+    }
+    throw new Error(result?.error?.message || 'Failed to load trash');
+  }, [api]);
+
+  // Bring a task back from the trash into the task list
+  const restoreTask = useCallback(async (id) => {
+    try {
+      const result = await api.restoreTask(id);
+
+      if (result && result.success) {
+        dispatch(taskActions.addTask(result.data.task));
+        syncDependents(result.data.task);
+        console.log('restoreTask: Restored task:', result.data.task.title);
+
+        loadStats().catch(console.error);
+        return result.data.task;
+      }
+      throw new Error(result?.error?.message || 'Failed to restore task');
+    } catch (error) {
+      console.error('restoreTask: Error:', error);
+      dispatch(taskActions.setError(`Failed to restore task: ${error.message}`));
+      throw error;
+    }
+  }, [api, dispatch, loadStats, syncDependents]);
+
+  // Permanently delete one trashed task
+  const purgeTask = useCallback(async (id) => {
+    try {
+      await api.purgeTask(id);
+      loadStats().catch(console.error);
+      return true;
+    } catch (error) {
+      console.error('purgeTask: Error:', error);
+      dispatch(taskActions.setError(`Failed to delete task permanently: ${error.message}`));
+      throw error;
+    }
+  }, [api, dispatch, loadStats]);
+
+  // Permanently delete everything in the trash
+  const emptyTrash = useCallback(async () => {
+    try {
+      const result = await api.emptyTrash({ workspaceId: workspaceIdRef.current || undefined });
+      loadStats().catch(console.error);
+      return result.data.purged;
+    } catch (error) {
+      console.error('emptyTrash: Error:', error);
+      dispatch(taskActions.setError(`Failed to empty trash: ${error.message}`));
+      throw error;
+    }
+  }, [api, dispatch, loadStats]);
+
+  undoActionsRef.current = { updateTask, restoreTask };
 
   // Update filters - with debouncing to prevent rapid calls
   const updateFilters = useCallback(async (newFilters) => {
@@ -258,7 +830,7 @@ export function useTasks() {
     
     // Debounce the API call
     debounceTimeoutRef.current = setTimeout(() => {
-      const updatedFilters = { ...state.filters, ...newFilters };
+      const updatedFilters = { ...filtersRef.current, ...newFilters };
       loadTasks(updatedFilters);
     }, 300);
   }, [dispatch, loadTasks]);
@@ -278,7 +850,7 @@ export function useTasks() {
     
     // Debounce the API call
     debounceTimeoutRef.current = setTimeout(() => {
-      const updatedFilters = { ...state.filters, search: trimmedSearch };
+      const updatedFilters = { ...filtersRef.current, search: trimmedSearch };
       loadTasks(updatedFilters);
     }, 500); // Longer debounce for search
   }, [dispatch, loadTasks]);
@@ -294,7 +866,13 @@ export function useTasks() {
       search: '',
       sortBy: 'updatedAt',
       sortOrder: 'desc',
-      overdue: false
+      overdue: false,
+      blocked: '',
+      assigneeId: '',
+      customFields: {},
+      // The project and workspace switchers live in the header, not the filter bar
+      projectId: projectIdRef.current,
+      workspaceId: workspaceIdRef.current
     };
     
     dispatch(taskActions.setFilters(clearedFilters));
@@ -305,6 +883,227 @@ export function useTasks() {
     }, 100);
   }, [dispatch, loadTasks]);
 
+  // Switch the list and dashboard to a project ('' = all projects, 'none' = tasks without one)
+  const selectProject = useCallback(async (projectId) => {
+    console.log('selectProject:', projectId || 'all');
+
+    if (debounceTimeoutRef.current) {
+      clearTimeout(debounceTimeoutRef.current);
+    }
+
+    dispatch(taskActions.setFilters({ projectId }));
+    await Promise.all([
+      loadTasks({ ...state.filters, projectId }),
+      loadStats(projectId)
+    ]);
+  }, [state.filters, dispatch, loadTasks, loadStats]);
+
+  // Create a project
+  const createProject = useCallback(async (projectData) => {
+    try {
+      const result = await api.createProject(projectData);
+
+      if (result && result.success) {
+        await loadProjects();
+        notify({ type: 'success', message: `Project "${result.data.project.name}" created` });
+        return result.data.project;
+      } else {
+        throw new Error(result?.error?.message || 'Failed to create project');
+      }
+    } catch (error) {
+      console.error('createProject: Error:', error);
+      dispatch(taskActions.setError(`Failed to create project: ${error.message}`));
+      throw error;
+    }
+  }, [api, dispatch, loadProjects, notify]);
+
+  // Rename or recolor a project
+  const updateProject = useCallback(async (id, updates) => {
+    try {
+      const result = await api.updateProject(id, updates);
+
+      if (result && result.success) {
+        await loadProjects();
+        return result.data.project;
+      } else {
+        throw new Error(result?.error?.message || 'Failed to update project');
+      }
+    } catch (error) {
+      console.error('updateProject: Error:', error);
+      dispatch(taskActions.setError(`Failed to update project: ${error.message}`));
+      throw error;
+    }
+  }, [api, dispatch, loadProjects]);
+
+  // Delete a project; its tasks stay, without a project
+  const deleteProject = useCallback(async (id) => {
+    try {
+      const result = await api.deleteProject(id);
+
+      if (result && result.success) {
+        const { project, unassignedTasks } = result.data;
+
+        if (state.filters.projectId === id) {
+          await selectProject('');
+        } else {
+          await loadTasks();
+          loadStats().catch(console.error);
+        }
+
+        notify({
+          type: 'success',
+          message: `Project "${project.name}" deleted` +
+            (unassignedTasks > 0 ? ` - ${unassignedTasks} task${unassignedTasks === 1 ? '' : 's'} kept without a project` : '')
+        });
+        return project;
+      } else {
+        throw new Error(result?.error?.message || 'Failed to delete project');
+      }
+    } catch (error) {
+      console.error('deleteProject: Error:', error);
+      dispatch(taskActions.setError(`Failed to delete project: ${error.message}`));
+      throw error;
+    }
+  }, [api, dispatch, state.filters.projectId, selectProject, loadTasks, loadStats, notify]);
+
+  // Switch the list, dashboard and trash to a workspace ('' = personal tasks)
+  const selectWorkspace = useCallback(async (workspaceId) => {
+    console.log('selectWorkspace:', workspaceId || 'personal');
+
+    if (debounceTimeoutRef.current) {
+      clearTimeout(debounceTimeoutRef.current);
+    }
+
+    // A member picked in one workspace means nothing in another; 'me' and 'none' still apply.
+    // Custom fields belong to a single workspace too.
+    const changes = {
+      workspaceId,
+      assigneeId: ['me', 'none'].includes(state.filters.assigneeId) ? state.filters.assigneeId : '',
+      customFields: {},
+      ...(state.filters.sortBy?.startsWith('cf.') && { sortBy: 'updatedAt' })
+    };
+
+    dispatch(taskActions.setFilters(changes));
+    await Promise.all([
+      loadTasks({ ...state.filters, ...changes }),
+      loadStats(state.filters.projectId, workspaceId)
+    ]);
+  }, [state.filters, dispatch, loadTasks, loadStats]);
+
+  // Run a workspace request, then refresh the workspace list; failures go to the error banner
+  const changeWorkspace = useCallback(async (request, failureMessage) => {
+    try {
+      const result = await request();
+
+      if (result && result.success) {
+        await loadWorkspaces();
+        return result.data;
+      }
+      throw new Error(result?.error?.message || failureMessage);
+    } catch (error) {
+      console.error('changeWorkspace: Error:', error);
+      dispatch(taskActions.setError(`${failureMessage}: ${error.message}`));
+      throw error;
+    }
+  }, [dispatch, loadWorkspaces]);
+
+  // Create a workspace (the current user becomes its owner)
+  const createWorkspace = useCallback(async (workspaceData) => {
+    const { workspace } = await changeWorkspace(() => api.createWorkspace(workspaceData), 'Failed to create workspace');
+    notify({ type: 'success', message: `Workspace "${workspace.name}" created` });
+    return workspace;
+  }, [api, changeWorkspace, notify]);
+
+  const updateWorkspace = useCallback(async (id, updates) => {
+    const { workspace } = await changeWorkspace(() => api.updateWorkspace(id, updates), 'Failed to update workspace');
+    return workspace;
+  }, [api, changeWorkspace]);
+
+  // Delete a workspace; its tasks go back to the users who created them
+  const deleteWorkspace = useCallback(async (id) => {
+    const { workspace, returnedTasks } = await changeWorkspace(() => api.deleteWorkspace(id), 'Failed to delete workspace');
+    if (state.filters.workspaceId === id) {
+      await selectWorkspace('');
+    }
+
+    notify({
+      type: 'success',
+      message: `Workspace "${workspace.name}" deleted` +
+        (returnedTasks > 0 ? ` - ${returnedTasks} task${returnedTasks === 1 ? '' : 's'} returned to their creators` : '')
+    });
+    return workspace;
+  }, [api, changeWorkspace, state.filters.workspaceId, selectWorkspace, notify]);
+
+  const addWorkspaceMember = useCallback(async (id, member) => {
+    const { workspace, message } = await changeWorkspace(() => api.addWorkspaceMember(id, member), 'Failed to add member');
+    notify({ type: 'success', message });
+    return workspace;
+  }, [api, changeWorkspace, notify]);
+
+  const updateWorkspaceMember = useCallback(async (id, userId, role) => {
+    const { workspace } = await changeWorkspace(() => api.updateWorkspaceMember(id, userId, role), 'Failed to change role');
+    return workspace;
+  }, [api, changeWorkspace]);
+
+  // Remove a member; removing yourself leaves the workspace and returns to personal tasks
+  const removeWorkspaceMember = useCallback(async (id, userId) => {
+    const { workspace, message } = await changeWorkspace(() => api.removeWorkspaceMember(id, userId), 'Failed to remove member');
+    if (!workspace && state.filters.workspaceId === id) {
+      await selectWorkspace('');
+    }
+    notify({ type: 'success', message });
+    return workspace;
+  }, [api, changeWorkspace, state.filters.workspaceId, selectWorkspace, notify]);
+
+  const createCustomField = useCallback(async (id, field) => {
+    const { field: created, message } = await changeWorkspace(() => api.createCustomField(id, field), 'Failed to add field');
+    notify({ type: 'success', message });
+    return created;
+  }, [api, changeWorkspace, notify]);
+
+  // Changing or deleting a field can rewrite task values, and filters on it may no longer apply
+  const reloadAfterFieldChange = useCallback(async (id, fieldId) => {
+    if (state.filters.workspaceId !== id) return;
+
+    const customFields = { ...state.filters.customFields };
+    delete customFields[fieldId];
+    const changes = {
+      customFields,
+      ...(state.filters.sortBy === `cf.${fieldId}` && { sortBy: 'updatedAt' })
+    };
+    dispatch(taskActions.setFilters(changes));
+    await loadTasks({ ...state.filters, ...changes });
+  }, [state.filters, dispatch, loadTasks]);
+
+  const updateCustomField = useCallback(async (id, fieldId, updates) => {
+    const { field } = await changeWorkspace(() => api.updateCustomField(id, fieldId, updates), 'Failed to update field');
+    await reloadAfterFieldChange(id, fieldId);
+    return field;
+  }, [api, changeWorkspace, reloadAfterFieldChange]);
+
+  const deleteCustomField = useCallback(async (id, fieldId) => {
+    const { field, message } = await changeWorkspace(() => api.deleteCustomField(id, fieldId), 'Failed to delete field');
+    await reloadAfterFieldChange(id, fieldId);
+    notify({ type: 'success', message });
+    return field;
+  }, [api, changeWorkspace, reloadAfterFieldChange, notify]);
+
+  // Change a workspace's statuses and transitions. Tasks may have moved to other statuses, and a
+  // status filter may name one that is gone, so the workspace's tasks and stats are reloaded.
+  const updateWorkflow = useCallback(async (id, workflow) => {
+    const { workspace, message } = await changeWorkspace(() => api.updateWorkflow(id, workflow), 'Failed to update workflow');
+    if (state.filters.workspaceId === id) {
+      const changes = state.filters.status && !findStatus(workspace.workflow, state.filters.status) ? { status: '' } : {};
+      dispatch(taskActions.setFilters(changes));
+      await Promise.all([
+        loadTasks({ ...state.filters, ...changes }),
+        loadStats(state.filters.projectId, id)
+      ]);
+    }
+    notify({ type: 'success', message });
+    return workspace;
+  }, [api, changeWorkspace, state.filters, dispatch, loadTasks, loadStats, notify]);
+
   // Select a task
   const selectTask = useCallback((task) => {
     dispatch(taskActions.setSelectedTask(task));
@@ -350,28 +1149,86 @@ export function useTasks() {
     };
   }, []);
 
+  const currentWorkspace = state.workspaces.find(workspace => workspace.id === state.filters.workspaceId) || null;
+
   return {
     // State
     tasks: state.tasks,
     stats: state.stats,
+    projects: state.projects,
+    currentProjectId: state.filters.projectId,
+    workspaces: state.workspaces,
+    currentWorkspaceId: state.filters.workspaceId,
+    // What the current role allows: every action on personal tasks, the member's role in a workspace
+    permissions: state.filters.workspaceId ? currentWorkspace?.permissions || ['read'] : PERSONAL_PERMISSIONS,
+    // Extra task attributes defined by the current workspace; personal tasks have none
+    customFields: currentWorkspace?.customFields || [],
+    // Statuses and allowed moves of the current workspace, or the default workflow for personal tasks
+    workflow: getWorkflow(currentWorkspace),
     loading: state.loading,
+    loadingMore: state.loadingMore,
     error: state.error,
     filters: state.filters,
     pagination: state.pagination,
     selectedTask: state.selectedTask,
     modal: state.modal,
+    conflict: state.conflict,
+    toasts: state.toasts,
 
     // Actions
     loadTasks,
+    loadMoreTasks,
     loadStats,
     createTask,
     updateTask,
+    resolveConflict,
+    changeTaskStatus,
+    moveTask,
     deleteTask,
+    bulkUpdateStatus,
+    bulkDeleteTasks,
+    loadTaskHistory,
+    loadComments,
+    addComment,
+    editComment,
+    deleteComment,
+    loadAttachments,
+    uploadAttachment,
+    downloadAttachment,
+    deleteAttachment,
+    addChecklistItem,
+    toggleChecklistItem,
+    removeChecklistItem,
+    moveChecklistItem,
+    loadTasksDue,
+    loadTrash,
+    restoreTask,
+    purgeTask,
+    emptyTrash,
     updateFilters,
     updateSearch,
     clearFilters,
+    loadProjects,
+    selectProject,
+    createProject,
+    updateProject,
+    deleteProject,
+    loadWorkspaces,
+    selectWorkspace,
+    createWorkspace,
+    updateWorkspace,
+    deleteWorkspace,
+    addWorkspaceMember,
+    updateWorkspaceMember,
+    removeWorkspaceMember,
+    createCustomField,
+    updateCustomField,
+    deleteCustomField,
+    updateWorkflow,
     selectTask,
     clearError,
+    notify,
+    dismissToast,
 
     // API utilities
     api
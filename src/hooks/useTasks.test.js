@@ -0,0 +1,116 @@
+// ===== src/hooks/useTasks.test.js =====
+import React from 'react'
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { renderHook, act, waitFor } from '@testing-library/react'
+import { TaskProvider } from '../context/TaskContext'
+import { useTasks } from './useTasks'
+import { mockTasks, mockStats, mockFetch } from '../test/mocks/api'
+
+const pagination = { total: mockTasks.length, limit: 50, offset: 0, hasMore: false, nextCursor: null }
+
+describe('useTasks hook', () => {
+  const wrapper = ({ children }) => React.createElement(TaskProvider, null, children)
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    // The hook loads the list and the statistics as soon as it mounts
+    global.fetch = vi.fn((url, options = {}) => {
+      if (url.includes('/stats')) return mockFetch({ success: true, data: mockStats })
+      if (options.method === 'POST') return mockFetch({ success: true, data: { task: { ...mockTasks[0], id: '4', title: 'New Task' } } })
+      return mockFetch({ success: true, data: { tasks: mockTasks, pagination } })
+    })
+  })
+
+  it('initializes with default state', async () => {
+    const { result } = renderHook(() => useTasks(), { wrapper })
+
+    expect(result.current.tasks).toEqual([])
+    expect(result.current.stats).toBe(null)
+    await waitFor(() => expect(result.current.loading).toBe(false))
+  })
+
+  it('loads tasks successfully', async () => {
+    const { result } = renderHook(() => useTasks(), { wrapper })
+
+    await waitFor(() => expect(result.current.tasks).toEqual(mockTasks))
+    expect(result.current.loading).toBe(false)
+    expect(result.current.pagination).toMatchObject({ total: mockTasks.length, hasMore: false })
+  })
+
+  it('handles task creation', async () => {
+    const { result } = renderHook(() => useTasks(), { wrapper })
+    await waitFor(() => expect(result.current.tasks).toHaveLength(mockTasks.length))
+
+    await act(async () => {
+      await result.current.createTask({
+        title: 'New Task',
+        description: 'Description',
+        startDate: '2030-03-04T00:00:00.000Z',
+        customFields: { 'field-1': 'High' }
+      })
+    })
+
+    expect(result.current.tasks.map(task => task.title)).toContain('New Task')
+    const [, request] = global.fetch.mock.calls.find(([, options]) => options?.method === 'POST')
+    expect(JSON.parse(request.body)).toMatchObject({
+      title: 'New Task',
+      startDate: '2030-03-04T00:00:00.000Z',
+      customFields: { 'field-1': 'High' }
+    })
+  })
+
+  it('reports a conflicting update without sending it again', async () => {
+    const tasks = mockTasks.map(task => ({ ...task, version: 1 }))
+    const current = { ...tasks[0], title: 'Renamed elsewhere', version: 2 }
+    global.fetch = vi.fn((url, options = {}) => {
+      if (url.includes('/stats')) return mockFetch({ success: true, data: mockStats })
+      if (options.method === 'PUT') {
+        return mockFetch(
+          { success: false, error: { message: 'Task was changed by someone else', details: { current } } },
+          { ok: false, status: 412 }
+        )
+      }
+      return mockFetch({ success: true, data: { tasks, pagination } })
+    })
+
+    const { result } = renderHook(() => useTasks(), { wrapper })
+    await waitFor(() => expect(result.current.tasks).toHaveLength(tasks.length))
+
+    await act(async () => {
+      await expect(result.current.updateTask('1', { title: 'Renamed here' })).rejects.toMatchObject({ status: 412 })
+    })
+
+    const puts = global.fetch.mock.calls.filter(([, options]) => options?.method === 'PUT')
+    expect(puts).toHaveLength(1)
+    expect(puts[0][1].headers['If-Match']).toBe('"1"')
+    expect(result.current.conflict).toMatchObject({ taskId: '1', serverTask: current })
+  })
+
+  it('sends a quick second edit of a task with the version the first came back with', async () => {
+    const tasks = mockTasks.map(task => ({ ...task, version: 1 }))
+    global.fetch = vi.fn((url, options = {}) => {
+      if (url.includes('/stats')) return mockFetch({ success: true, data: mockStats })
+      if (options.method === 'PUT') {
+        const version = Number(options.headers['If-Match'].replace(/"/g, ''))
+        const task = { ...tasks[0], ...JSON.parse(options.body), version: version + 1 }
+        return mockFetch({ success: true, data: { task } }, { delay: 10 })
+      }
+      return mockFetch({ success: true, data: { tasks, pagination } })
+    })
+
+    const { result } = renderHook(() => useTasks(), { wrapper })
+    await waitFor(() => expect(result.current.tasks).toHaveLength(tasks.length))
+
+    await act(async () => {
+      await Promise.all([
+        result.current.updateTask('1', { status: 'in_progress' }),
+        result.current.updateTask('1', { status: 'completed' })
+      ])
+    })
+
+    const puts = global.fetch.mock.calls.filter(([, options]) => options?.method === 'PUT')
+    expect(puts.map(([, options]) => options.headers['If-Match'])).toEqual(['"1"', '"2"'])
+    expect(result.current.conflict).toBe(null)
+    expect(result.current.tasks.find(task => task.id === '1')).toMatchObject({ status: 'completed', version: 3 })
+  })
+})
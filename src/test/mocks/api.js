@@ -5,6 +5,7 @@ export const mockTasks = [
     title: 'Test Task 1',
     description: 'Test description',
     status: 'todo',
+    statusCategory: 'todo',
     priority: 'medium',
     dueDate: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
     tags: ['test', 'frontend'],
@@ -16,6 +17,7 @@ export const mockTasks = [
     title: 'Test Task 2',
     description: 'Another test',
     status: 'in_progress',
+    statusCategory: 'in_progress',
     priority: 'high',
     dueDate: null,
     tags: ['backend'],
@@ -27,6 +29,7 @@ export const mockTasks = [
     title: 'Completed Task',
     description: 'This is done',
     status: 'completed',
+    statusCategory: 'done',
     priority: 'low',
     dueDate: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString(),
     tags: [],
@@ -42,6 +45,11 @@ export const mockStats = {
     in_progress: 1,
     completed: 1
   },
+  byCategory: {
+    todo: 1,
+    in_progress: 1,
+    done: 1
+  },
   byPriority: {
     low: 1,
     medium: 1,
@@ -71,6 +79,7 @@ export const mockFetch = (response, options = {}) => {
       resolve({
         ok,
         status,
+        headers: new Headers({ 'content-type': 'application/json' }),
         json: () => Promise.resolve(response)
       })
     }, delay)
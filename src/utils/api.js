@@ -3,6 +3,31 @@
 // Base API configuration
 const API_BASE = import.meta.env.VITE_API_BASE_URL || '/api';
 
+// Bearer token sent with every request; kept in localStorage so a reload stays logged in
+const AUTH_TOKEN_KEY = 'taskAuthToken';
+let authToken = readStoredToken();
+let unauthorizedHandler = null;
+
+function readStoredToken() {
+  try {
+    return localStorage.getItem(AUTH_TOKEN_KEY);
+  } catch {
+    return null;
+  }
+}
+
+function storeToken(token) {
+  try {
+    if (token) {
+      localStorage.setItem(AUTH_TOKEN_KEY, token);
+    } else {
+      localStorage.removeItem(AUTH_TOKEN_KEY);
+    }
+  } catch {
+    // Private browsing can refuse storage; the token still lives for this session
+  }
+}
+
 // Create API error class
 export class APIError extends Error {
   constructor(message, status, details = null) {
@@ -14,21 +39,30 @@ export class APIError extends Error {
 }
 
 // Generic API request function with improved error handling
+// responseType 'blob' returns the raw body of a successful response (file downloads)
 async function apiRequest(endpoint, options = {}) {
   const url = `${API_BASE}${endpoint}`;
+  const { responseType, ...fetchOptions } = options;
+  // The browser sets the multipart boundary itself when the body is FormData
+  const isFormData = typeof FormData !== 'undefined' && fetchOptions.body instanceof FormData;
   
   const config = {
+    ...fetchOptions,
     headers: {
-      'Content-Type': 'application/json',
-      ...options.headers
-    },
-    ...options
+      ...(!isFormData && { 'Content-Type': 'application/json' }),
+      ...(authToken && { Authorization: `Bearer ${authToken}` }),
+      ...fetchOptions.headers
+    }
   };
 
   try {
     console.log(`API Request: ${config.method || 'GET'} ${url}`);
     
     const response = await fetch(url, config);
+
+    if (responseType === 'blob' && response.ok) {
+      return response.blob();
+    }
     
     // Handle different response types
     let data;
@@ -58,6 +92,12 @@ async function apiRequest(endpoint, options = {}) {
         data
       });
       
+      // The session expired or was revoked: forget the token and send the user back to the login screen
+      if (response.status === 401 && config.headers.Authorization) {
+        requestInterceptors.addAuthToken(null);
+        unauthorizedHandler?.(details);
+      }
+
       throw new APIError(message, response.status, details);
     }
 
@@ -113,6 +153,11 @@ function cleanQueryParams(params) {
   return cleaned;
 }
 
+// Conditional-write header for a task version (the server answers 412 if it is stale)
+function ifMatchHeader(version) {
+  return version != null ? { 'If-Match': `"${version}"` } : {};
+}
+
 // Task API functions
 export const tasksAPI = {
   // Get all tasks with optional filters
@@ -140,13 +185,25 @@ export const tasksAPI = {
     
     const cleanTaskData = {
       title: taskData.title.trim(),
-      description: taskData.description?.trim() || '',
-      status: taskData.status || 'todo',
+      description: taskData.description?.trimEnd() || '',
+      // Left out, the task starts in its workflow's first status
+      status: taskData.status || undefined,
       priority: taskData.priority || 'medium',
+      startDate: taskData.startDate || null,
       dueDate: taskData.dueDate || null,
       tags: Array.isArray(taskData.tags) 
         ? taskData.tags.filter(tag => tag && tag.trim()).map(tag => tag.trim())
-        : []
+        : [],
+      checklist: Array.isArray(taskData.checklist)
+        ? taskData.checklist.map(item => ({ text: item.text.trim(), done: Boolean(item.done) }))
+        : [],
+      requireChecklist: Boolean(taskData.requireChecklist),
+      blockedBy: Array.isArray(taskData.blockedBy) ? taskData.blockedBy : [],
+      recurrence: taskData.recurrence || null,
+      projectId: taskData.projectId || null,
+      workspaceId: taskData.workspaceId || null,
+      assigneeId: taskData.assigneeId || null,
+      ...(taskData.customFields && { customFields: taskData.customFields })
     };
     
     return apiRequest('/tasks', {
@@ -155,8 +212,8 @@ export const tasksAPI = {
     });
   },
 
-  // Update an existing task
-  async updateTask(id, updates) {
+  // Update an existing task (pass the version it was loaded at to detect concurrent edits)
+  async updateTask(id, updates, { version } = {}) {
     if (!id) throw new APIError('Task ID is required', 400);
     if (!updates || Object.keys(updates).length === 0) {
       throw new APIError('At least one field must be updated', 400);
@@ -164,12 +221,14 @@ export const tasksAPI = {
     
     const cleanUpdates = {};
     Object.entries(updates).forEach(([key, value]) => {
-      if (value !== undefined && value !== null) {
+      // null is meaningful for recurrence (stop repeating), projectId (remove from project), assigneeId (unassign)
+      // and startDate (unplanned)
+      if (value !== undefined && (value !== null || ['recurrence', 'projectId', 'assigneeId', 'startDate'].includes(key))) {
         if (key === 'title' && typeof value === 'string') {
           const trimmed = value.trim();
           if (trimmed) cleanUpdates[key] = trimmed;
         } else if (key === 'description' && typeof value === 'string') {
-          cleanUpdates[key] = value.trim();
+          cleanUpdates[key] = value.trimEnd(); // Leading spaces can be Markdown indentation
         } else if (key === 'tags' && Array.isArray(value)) {
           cleanUpdates[key] = value.filter(tag => tag && tag.trim()).map(tag => tag.trim());
         } else {
@@ -184,19 +243,300 @@ export const tasksAPI = {
     
     return apiRequest(`/tasks/${id}`, {
       method: 'PUT',
+      headers: ifMatchHeader(version),
       body: JSON.stringify(cleanUpdates)
     });
   },
 
   // Delete a task
-  async deleteTask(id) {
+  async deleteTask(id, { version } = {}) {
+    if (!id) throw new APIError('Task ID is required', 400);
+    return apiRequest(`/tasks/${id}`, {
+      method: 'DELETE',
+      headers: ifMatchHeader(version)
+    });
+  },
+
+  // Get the change history of a task (newest first)
+  async getTaskHistory(id, { limit = 20, offset = 0 } = {}) {
     if (!id) throw new APIError('Task ID is required', 400);
-    return apiRequest(`/tasks/${id}`, { method: 'DELETE' });
+    const queryString = new URLSearchParams({ limit: String(limit), offset: String(offset) }).toString();
+    return apiRequest(`/tasks/${id}/history?${queryString}`);
   },
 
-  // Get task statistics
-  async getStats() {
-    return apiRequest('/tasks/stats');
+  // Get one page of a task's comments (oldest first)
+  async getComments(id, { limit = 20, offset = 0 } = {}) {
+    if (!id) throw new APIError('Task ID is required', 400);
+    const queryString = new URLSearchParams({ limit: String(limit), offset: String(offset) }).toString();
+    return apiRequest(`/tasks/${id}/comments?${queryString}`);
+  },
+
+  // Comment on a task
+  async addComment(id, body) {
+    if (!id) throw new APIError('Task ID is required', 400);
+    return apiRequest(`/tasks/${id}/comments`, {
+      method: 'POST',
+      body: JSON.stringify({ body })
+    });
+  },
+
+  // Change the text of one of your comments
+  async updateComment(id, commentId, body) {
+    if (!id || !commentId) throw new APIError('Task ID and comment ID are required', 400);
+    return apiRequest(`/tasks/${id}/comments/${commentId}`, {
+      method: 'PUT',
+      body: JSON.stringify({ body })
+    });
+  },
+
+  // Delete a comment
+  async deleteComment(id, commentId) {
+    if (!id || !commentId) throw new APIError('Task ID and comment ID are required', 400);
+    return apiRequest(`/tasks/${id}/comments/${commentId}`, {
+      method: 'DELETE'
+    });
+  },
+
+  // List a task's attachments with the upload limits
+  async getAttachments(id) {
+    if (!id) throw new APIError('Task ID is required', 400);
+    return apiRequest(`/tasks/${id}/attachments`);
+  },
+
+  // Upload one file to a task
+  async uploadAttachment(id, file) {
+    if (!id) throw new APIError('Task ID is required', 400);
+    if (!file) throw new APIError('File is required', 400);
+    const formData = new FormData();
+    formData.append('file', file, file.name);
+    return apiRequest(`/tasks/${id}/attachments`, {
+      method: 'POST',
+      body: formData
+    });
+  },
+
+  // Download an attachment's contents as a Blob (the request needs the auth header, so no plain link)
+  async downloadAttachment(id, attachmentId) {
+    if (!id || !attachmentId) throw new APIError('Task ID and attachment ID are required', 400);
+    return apiRequest(`/tasks/${id}/attachments/${attachmentId}`, { responseType: 'blob' });
+  },
+
+  // Delete an attachment
+  async deleteAttachment(id, attachmentId) {
+    if (!id || !attachmentId) throw new APIError('Task ID and attachment ID are required', 400);
+    return apiRequest(`/tasks/${id}/attachments/${attachmentId}`, {
+      method: 'DELETE'
+    });
+  },
+
+  // Append an item to a task's checklist
+  async addChecklistItem(id, text, { version } = {}) {
+    if (!id) throw new APIError('Task ID is required', 400);
+    return apiRequest(`/tasks/${id}/checklist`, {
+      method: 'POST',
+      headers: ifMatchHeader(version),
+      body: JSON.stringify({ text })
+    });
+  },
+
+  // Change the text or done state of a checklist item
+  async updateChecklistItem(id, itemId, changes, { version } = {}) {
+    if (!id || !itemId) throw new APIError('Task ID and item ID are required', 400);
+    return apiRequest(`/tasks/${id}/checklist/${itemId}`, {
+      method: 'PUT',
+      headers: ifMatchHeader(version),
+      body: JSON.stringify(changes)
+    });
+  },
+
+  // Remove an item from a task's checklist
+  async deleteChecklistItem(id, itemId, { version } = {}) {
+    if (!id || !itemId) throw new APIError('Task ID and item ID are required', 400);
+    return apiRequest(`/tasks/${id}/checklist/${itemId}`, {
+      method: 'DELETE',
+      headers: ifMatchHeader(version)
+    });
+  },
+
+  // Reorder a task's checklist; itemIds must list every item exactly once
+  async reorderChecklist(id, itemIds, { version } = {}) {
+    if (!id) throw new APIError('Task ID is required', 400);
+    return apiRequest(`/tasks/${id}/checklist`, {
+      method: 'PUT',
+      headers: ifMatchHeader(version),
+      body: JSON.stringify({ itemIds })
+    });
+  },
+
+  // List tasks in the trash (most recently deleted first); personal tasks unless a workspace is given
+  async getTrash({ limit = 20, offset = 0, workspaceId } = {}) {
+    const queryString = new URLSearchParams({
+      limit: String(limit),
+      offset: String(offset),
+      ...(workspaceId && { workspaceId })
+    }).toString();
+    return apiRequest(`/tasks/trash?${queryString}`);
+  },
+
+  // Move a task out of the trash
+  async restoreTask(id) {
+    if (!id) throw new APIError('Task ID is required', 400);
+    return apiRequest(`/tasks/trash/${id}/restore`, {
+      method: 'POST'
+    });
+  },
+
+  // Permanently delete a trashed task
+  async purgeTask(id) {
+    if (!id) throw new APIError('Task ID is required', 400);
+    return apiRequest(`/tasks/trash/${id}`, {
+      method: 'DELETE'
+    });
+  },
+
+  // Permanently delete everything in the trash
+  async emptyTrash({ workspaceId } = {}) {
+    const queryString = workspaceId ? '?' + new URLSearchParams({ workspaceId }).toString() : '';
+    return apiRequest(`/tasks/trash${queryString}`, {
+      method: 'DELETE'
+    });
+  },
+
+  // Get task statistics, optionally scoped to a project ('none' = tasks without one) and a workspace
+  async getStats({ projectId, workspaceId } = {}) {
+    const scope = cleanQueryParams({ projectId, workspaceId });
+    const queryString = Object.keys(scope).length > 0
+      ? '?' + new URLSearchParams(scope).toString()
+      : '';
+    return apiRequest(`/tasks/stats${queryString}`);
+  },
+
+  // List projects (sorted by name, each with its taskCount)
+  async getProjects() {
+    return apiRequest('/projects');
+  },
+
+  // Create a project
+  async createProject(projectData) {
+    if (!projectData || !projectData.name?.trim()) {
+      throw new APIError('Project name is required', 400);
+    }
+    return apiRequest('/projects', {
+      method: 'POST',
+      body: JSON.stringify({ ...projectData, name: projectData.name.trim() })
+    });
+  },
+
+  // Rename or recolor a project
+  async updateProject(id, updates) {
+    if (!id) throw new APIError('Project ID is required', 400);
+    return apiRequest(`/projects/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(updates)
+    });
+  },
+
+  // Delete a project; its tasks are kept without a project
+  async deleteProject(id) {
+    if (!id) throw new APIError('Project ID is required', 400);
+    return apiRequest(`/projects/${id}`, {
+      method: 'DELETE'
+    });
+  },
+
+  // List the workspaces the user belongs to, each with their role and its permissions
+  async getWorkspaces() {
+    return apiRequest('/workspaces');
+  },
+
+  // Create a workspace with the current user as owner
+  async createWorkspace({ name } = {}) {
+    if (!name?.trim()) {
+      throw new APIError('Workspace name is required', 400);
+    }
+    return apiRequest('/workspaces', {
+      method: 'POST',
+      body: JSON.stringify({ name: name.trim() })
+    });
+  },
+
+  // Rename a workspace (owners only)
+  async updateWorkspace(id, updates) {
+    if (!id) throw new APIError('Workspace ID is required', 400);
+    return apiRequest(`/workspaces/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(updates)
+    });
+  },
+
+  // Delete a workspace (owners only); its tasks go back to the users who created them
+  async deleteWorkspace(id) {
+    if (!id) throw new APIError('Workspace ID is required', 400);
+    return apiRequest(`/workspaces/${id}`, {
+      method: 'DELETE'
+    });
+  },
+
+  // Add an existing account to a workspace by email
+  async addWorkspaceMember(id, { email, role }) {
+    if (!id) throw new APIError('Workspace ID is required', 400);
+    return apiRequest(`/workspaces/${id}/members`, {
+      method: 'POST',
+      body: JSON.stringify({ email, role })
+    });
+  },
+
+  // Change a member's role
+  async updateWorkspaceMember(id, userId, role) {
+    if (!id || !userId) throw new APIError('Workspace ID and user ID are required', 400);
+    return apiRequest(`/workspaces/${id}/members/${userId}`, {
+      method: 'PUT',
+      body: JSON.stringify({ role })
+    });
+  },
+
+  // Remove a member; removing yourself leaves the workspace
+  async removeWorkspaceMember(id, userId) {
+    if (!id || !userId) throw new APIError('Workspace ID and user ID are required', 400);
+    return apiRequest(`/workspaces/${id}/members/${userId}`, {
+      method: 'DELETE'
+    });
+  },
+
+  // Add a custom field to a workspace (owners only)
+  async createCustomField(id, { name, type, options, required }) {
+    if (!id) throw new APIError('Workspace ID is required', 400);
+    if (!name?.trim()) throw new APIError('Field name is required', 400);
+    return apiRequest(`/workspaces/${id}/fields`, {
+      method: 'POST',
+      body: JSON.stringify({ name: name.trim(), type, options, required })
+    });
+  },
+
+  // Rename a custom field, change its options or whether it is required
+  async updateCustomField(id, fieldId, updates) {
+    if (!id || !fieldId) throw new APIError('Workspace ID and field ID are required', 400);
+    return apiRequest(`/workspaces/${id}/fields/${fieldId}`, {
+      method: 'PUT',
+      body: JSON.stringify(updates)
+    });
+  },
+
+  // Delete a custom field along with its values on the workspace's tasks
+  async deleteCustomField(id, fieldId) {
+    if (!id || !fieldId) throw new APIError('Workspace ID and field ID are required', 400);
+    return apiRequest(`/workspaces/${id}/fields/${fieldId}`, {
+      method: 'DELETE'
+    });
+  },
+
+  // Replace a workspace's statuses and transitions (owners only); moveTasks says where tasks in removed statuses go
+  async updateWorkflow(id, { statuses, transitions, moveTasks }) {
+    if (!id) throw new APIError('Workspace ID is required', 400);
+    return apiRequest(`/workspaces/${id}/workflow`, {
+      method: 'PUT',
+      body: JSON.stringify({ statuses, transitions, moveTasks })
+    });
   },
 
   // Health check
@@ -205,6 +545,61 @@ export const tasksAPI = {
   }
 };
 
+// Account API functions
+export const authAPI = {
+  // Create an account and start a session with its token
+  async register({ email, name, password }) {
+    const response = await apiRequest('/auth/register', {
+      method: 'POST',
+      body: JSON.stringify({ email, name, password })
+    });
+    requestInterceptors.addAuthToken(response.data.token);
+    return response;
+  },
+
+  // Exchange email and password for a token
+  async login({ email, password }) {
+    const response = await apiRequest('/auth/login', {
+      method: 'POST',
+      body: JSON.stringify({ email, password })
+    });
+    requestInterceptors.addAuthToken(response.data.token);
+    return response;
+  },
+
+  // The account the stored token belongs to
+  async me() {
+    return apiRequest('/auth/me');
+  },
+
+  // API keys for scripts and integrations (metadata only - the key itself is returned once, on create)
+  async getApiKeys() {
+    return apiRequest('/auth/keys');
+  },
+
+  async createApiKey({ name, scopes }) {
+    return apiRequest('/auth/keys', {
+      method: 'POST',
+      body: JSON.stringify({ name, scopes })
+    });
+  },
+
+  async revokeApiKey(id) {
+    return apiRequest(`/auth/keys/${id}`, {
+      method: 'DELETE'
+    });
+  },
+
+  // Tokens are stateless, so logging out just forgets it
+  logout() {
+    requestInterceptors.addAuthToken(null);
+  },
+
+  isLoggedIn() {
+    return Boolean(authToken);
+  }
+};
+
 // Helper functions for common patterns
 export const apiHelpers = {
   // Build filter object from URL params or form state
@@ -258,6 +653,10 @@ export const apiHelpers = {
         return `Validation Error: ${fieldErrors.join(', ')}`;
       }
       
+      if (error.details?.type === 'version_conflict') {
+        return 'This task was changed by someone else. Review the latest version and try again.';
+      }
+      
       if (error.details && Array.isArray(error.details)) {
         return error.details.map(detail => detail.message).join(', ');
       }
@@ -301,12 +700,20 @@ export const apiHelpers = {
   }
 };
 
-// Request interceptors (for future use with auth)
+// Request interceptors
 export const requestInterceptors = {
-  // Add auth token to requests
+  // Send this token with every request (null logs out)
   addAuthToken: (token) => {
-    // This would modify default headers
-    console.log('Auth token interceptor not implemented yet');
+    authToken = token || null;
+    storeToken(authToken);
+  },
+
+  // Called when the server rejects the token; returns an unsubscribe function
+  onUnauthorized: (handler) => {
+    unauthorizedHandler = handler;
+    return () => {
+      if (unauthorizedHandler === handler) unauthorizedHandler = null;
+    };
   },
 
   // Add request ID for tracking
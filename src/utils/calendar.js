@@ -0,0 +1,125 @@
+// Date helpers for the calendar and timeline views. Days are handled as YYYY-MM-DD keys; a task
+// falls on the date part of its dueDate, which is how the task form reads and writes it. Weeks
+// start on Monday.
+
+/**
+ * Today's date as the user sees it
+ * @returns {string} YYYY-MM-DD
+ */
+export function todayKey() {
+  const now = new Date();
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+// Midnight UTC of a day, so adding days never trips over daylight saving changes
+function parseDateKey(key) {
+  return new Date(`${key}T00:00:00.000Z`);
+}
+
+/**
+ * Move a day forwards or backwards
+ * @param {string} key - YYYY-MM-DD
+ * @param {number} days - Days to add, negative to go back
+ * @returns {string} YYYY-MM-DD
+ */
+export function addDays(key, days) {
+  const date = parseDateKey(key);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * The Monday on or before a day
+ * @param {string} key - YYYY-MM-DD
+ * @returns {string} YYYY-MM-DD
+ */
+export function startOfWeek(key) {
+  return addDays(key, -((parseDateKey(key).getUTCDay() + 6) % 7));
+}
+
+/**
+ * Days shown for a week or a month: whole weeks, so a month starts on the Monday before its
+ * first day and ends on the Sunday after its last
+ * @param {string} mode - 'week' or 'month'
+ * @param {string} anchor - Any day in the week or month, YYYY-MM-DD
+ * @returns {string[]} Days in order
+ */
+export function getCalendarDays(mode, anchor) {
+  let first = startOfWeek(anchor);
+  let last = addDays(first, 6);
+  if (mode === 'month') {
+    first = startOfWeek(`${anchor.slice(0, 7)}-01`);
+    last = addDays(startOfWeek(addDays(shiftAnchor('month', anchor, 1), -1)), 6);
+  }
+
+  const days = [];
+  for (let day = first; day <= last; day = addDays(day, 1)) {
+    days.push(day);
+  }
+  return days;
+}
+
+/**
+ * The week or month before or after the one shown
+ * @param {string} mode - 'week' or 'month'
+ * @param {string} anchor - YYYY-MM-DD
+ * @param {number} step - -1 for the previous one, 1 for the next
+ * @returns {string} YYYY-MM-DD; the first of the month in month mode
+ */
+export function shiftAnchor(mode, anchor, step) {
+  if (mode === 'week') return addDays(anchor, 7 * step);
+
+  const date = parseDateKey(`${anchor.slice(0, 7)}-01`);
+  date.setUTCMonth(date.getUTCMonth() + step);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Format a day for display, e.g. formatDateKey('2030-03-04', { month: 'long' })
+ * @param {string} key - YYYY-MM-DD
+ * @param {Object} options - Intl.DateTimeFormat options
+ * @returns {string} Formatted date
+ */
+export function formatDateKey(key, options) {
+  return parseDateKey(key).toLocaleDateString(undefined, { ...options, timeZone: 'UTC' });
+}
+
+/**
+ * Number of days from one day to another
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {number} Days, negative when `to` comes first
+ */
+export function daysBetween(from, to) {
+  return Math.round((parseDateKey(to) - parseDateKey(from)) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * The day of an ISO date
+ * @param {string|Date|null} value - ISO date
+ * @returns {string|null} YYYY-MM-DD, or null without a date
+ */
+export function dateKey(value) {
+  return value ? new Date(value).toISOString().slice(0, 10) : null;
+}
+
+/**
+ * The day a task is due on
+ * @param {Object} task - Task
+ * @returns {string|null} YYYY-MM-DD, or null without a due date
+ */
+export function dueDateKey(task) {
+  return dateKey(task.dueDate);
+}
+
+/**
+ * A due date moved to another day, keeping its time of day
+ * @param {string|null} dueDate - Current ISO due date
+ * @param {string} key - New day, YYYY-MM-DD
+ * @returns {string} ISO due date
+ */
+export function moveDueDate(dueDate, key) {
+  const time = dueDate ? new Date(dueDate).toISOString().slice(10) : 'T00:00:00.000Z';
+  return `${key}${time}`;
+}
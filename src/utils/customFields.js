@@ -0,0 +1,103 @@
+// Display and form helpers for workspace custom fields
+
+export const CUSTOM_FIELD_TYPE_LABELS = {
+  text: 'Text',
+  number: 'Number',
+  date: 'Date',
+  select: 'Single choice',
+  multiselect: 'Multiple choice'
+};
+
+/**
+ * Whether a field type picks its values from a list of options
+ * @param {string} type - Field type
+ * @returns {boolean} True for select and multiselect
+ */
+export function hasOptions(type) {
+  return type === 'select' || type === 'multiselect';
+}
+
+/**
+ * Format a stored value for display, e.g. "ui, api" or "Mar 5, 2025"
+ * @param {Object} field - Field definition
+ * @param {*} value - Stored value
+ * @returns {string} Display text, or an empty string when unset
+ */
+export function formatCustomFieldValue(field, value) {
+  if (value === undefined || value === null || value === '') return '';
+
+  if (Array.isArray(value)) return value.join(', ');
+  if (field?.type === 'date') {
+    return new Date(`${value}T00:00:00Z`).toLocaleDateString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric',
+      timeZone: 'UTC'
+    });
+  }
+  return String(value);
+}
+
+/**
+ * The fields a task has a value for, in the workspace's order
+ * @param {Object[]} fields - The workspace's field definitions
+ * @param {Object} values - The task's customFields
+ * @returns {Object[]} [{ field, text }]
+ */
+export function listCustomFieldValues(fields, values = {}) {
+  return fields
+    .map(field => ({ field, text: formatCustomFieldValue(field, values?.[field.id]) }))
+    .filter(({ text }) => text);
+}
+
+/**
+ * Stored values -> what the form inputs edit: strings, or a list for multiple choice
+ * @param {Object[]} fields - Field definitions
+ * @param {Object} values - The task's customFields
+ * @returns {Object} { fieldId: inputValue }
+ */
+export function toCustomFieldInputs(fields, values = {}) {
+  return Object.fromEntries(fields.map(field => {
+    const value = values?.[field.id];
+    if (field.type === 'multiselect') return [field.id, value || []];
+    return [field.id, value === undefined || value === null ? '' : String(value)];
+  }));
+}
+
+/**
+ * Form inputs -> values for the API; an empty input sends null, which clears the value
+ * @param {Object[]} fields - Field definitions
+ * @param {Object} inputs - { fieldId: inputValue }
+ * @returns {Object} { fieldId: value }
+ */
+export function fromCustomFieldInputs(fields, inputs) {
+  return Object.fromEntries(fields.map(field => {
+    const input = inputs[field.id];
+    if (field.type === 'multiselect') return [field.id, input?.length ? input : null];
+
+    const text = String(input ?? '').trim();
+    if (!text) return [field.id, null];
+    return [field.id, field.type === 'number' ? Number(text) : text];
+  }));
+}
+
+/**
+ * Check form inputs the way the server will, so mistakes show next to the field
+ * @param {Object[]} fields - Field definitions
+ * @param {Object} inputs - { fieldId: inputValue }
+ * @returns {Object} { fieldId: message } for each invalid field
+ */
+export function validateCustomFieldInputs(fields, inputs) {
+  const errors = {};
+  for (const field of fields) {
+    const input = inputs[field.id];
+    const empty = field.type === 'multiselect' ? !input?.length : !String(input ?? '').trim();
+
+    if (empty) {
+      if (field.required) errors[field.id] = `${field.name} is required`;
+    } else if (field.type === 'number' && !Number.isFinite(Number(input))) {
+      errors[field.id] = `${field.name} must be a number`;
+    }
+  }
+  return errors;
+}
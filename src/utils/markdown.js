@@ -0,0 +1,188 @@
+// Small Markdown parser for task descriptions
+// Produces a plain token tree that the Markdown component turns into React elements, so no
+// part of the source is ever injected as HTML. Supports paragraphs, headings, lists, task-list
+// checkboxes, block quotes, fenced code, rules and inline code, bold, italics and links.
+
+const SAFE_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+const FENCE = /^\s*(```|~~~)\s*([\w+-]*)\s*$/;
+const HEADING = /^\s{0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const RULE = /^\s{0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const QUOTE = /^\s{0,3}>\s?(.*)$/;
+const LIST_ITEM = /^\s*([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const TASK_ITEM = /^\[([ xX])\]\s+(.*)$/;
+const CONTINUATION = /^\s{2,}\S/;
+
+const INLINE = new RegExp([
+  '`([^`\\n]+)`', // code
+  '\\*\\*([^*\\n]+?)\\*\\*', // bold
+  '\\*([^*\\s][^*\\n]*?)\\*', // italics
+  '\\[([^\\]\\n]+)\\]\\(([^)\\s]+)\\)', // [label](href)
+  '(https?:\\/\\/[^\\s<>()]*[^\\s<>().,;:!?\'"])' // bare URL
+].join('|'), 'g');
+
+/**
+ * Check a link target against the allowed protocols
+ * @param {string} href - URL as written in the source
+ * @returns {string|null} Normalized URL, or null for relative and unsafe links (javascript:, data:...)
+ */
+export function safeUrl(href) {
+  try {
+    const url = new URL(href);
+    return SAFE_PROTOCOLS.includes(url.protocol) ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parse inline formatting
+ * @param {string} text - A single line or list item
+ * @returns {Array} Tokens: { type: 'text'|'code', text } or { type: 'strong'|'em'|'link', children, href? }
+ */
+export function parseInline(text) {
+  const tokens = [];
+  let last = 0;
+
+  for (const match of text.matchAll(INLINE)) {
+    const [raw, code, strong, em, label, href, bareUrl] = match;
+
+    if (match.index > last) {
+      tokens.push({ type: 'text', text: text.slice(last, match.index) });
+    }
+
+    if (code !== undefined) {
+      tokens.push({ type: 'code', text: code });
+    } else if (strong !== undefined) {
+      tokens.push({ type: 'strong', children: parseInline(strong) });
+    } else if (em !== undefined) {
+      tokens.push({ type: 'em', children: parseInline(em) });
+    } else if (label !== undefined) {
+      const url = safeUrl(href);
+      // An unsafe target keeps its label as plain text
+      tokens.push(url ? { type: 'link', href: url, children: parseInline(label) } : { type: 'text', text: label });
+    } else {
+      const url = safeUrl(bareUrl);
+      tokens.push(url
+        ? { type: 'link', href: url, children: [{ type: 'text', text: bareUrl }] }
+        : { type: 'text', text: bareUrl });
+    }
+
+    last = match.index + raw.length;
+  }
+
+  if (last < text.length) {
+    tokens.push({ type: 'text', text: text.slice(last) });
+  }
+
+  return tokens;
+}
+
+/**
+ * Whether a line starts a block other than a paragraph
+ * @private
+ */
+function startsBlock(line) {
+  return FENCE.test(line) || HEADING.test(line) || RULE.test(line) || QUOTE.test(line) || LIST_ITEM.test(line);
+}
+
+/**
+ * Parse Markdown source into blocks
+ * @param {string} source - Markdown text
+ * @returns {Array} Blocks: paragraph { lines }, heading { level, children }, list { ordered, start, items },
+ *   quote { blocks }, code { language, text } and rule
+ */
+export function parseMarkdown(source) {
+  const lines = (source || '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    const fence = line.match(FENCE);
+    if (fence) {
+      const code = [];
+      i++;
+      // An unclosed fence runs to the end of the text
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+        code.push(lines[i]);
+        i++;
+      }
+      i++;
+      blocks.push({ type: 'code', language: fence[2], text: code.join('\n') });
+      continue;
+    }
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      blocks.push({ type: 'heading', level: heading[1].length, children: parseInline(heading[2]) });
+      i++;
+      continue;
+    }
+
+    // Checked before lists, since "- - -" and "***" also look like list items
+    if (RULE.test(line)) {
+      blocks.push({ type: 'rule' });
+      i++;
+      continue;
+    }
+
+    if (QUOTE.test(line)) {
+      const quoted = [];
+      while (i < lines.length && QUOTE.test(lines[i])) {
+        quoted.push(lines[i].match(QUOTE)[1]);
+        i++;
+      }
+      blocks.push({ type: 'quote', blocks: parseMarkdown(quoted.join('\n')) });
+      continue;
+    }
+
+    const listItem = line.match(LIST_ITEM);
+    if (listItem) {
+      const ordered = /\d/.test(listItem[1]);
+      const items = [];
+
+      while (i < lines.length) {
+        const itemMatch = lines[i].match(LIST_ITEM);
+
+        if (itemMatch && /\d/.test(itemMatch[1]) === ordered) {
+          items.push(itemMatch[2]);
+        } else if (items.length > 0 && CONTINUATION.test(lines[i]) && !itemMatch) {
+          items[items.length - 1] += `\n${lines[i].trim()}`;
+        } else {
+          break;
+        }
+        i++;
+      }
+
+      blocks.push({
+        type: 'list',
+        ordered,
+        start: ordered ? parseInt(listItem[1], 10) : null,
+        items: items.map(text => {
+          const task = text.match(TASK_ITEM);
+          return {
+            checked: task ? task[1] !== ' ' : null,
+            lines: (task ? task[2] : text).split('\n').map(parseInline)
+          };
+        })
+      });
+      continue;
+    }
+
+    const paragraph = [];
+    while (i < lines.length && lines[i].trim() && (paragraph.length === 0 || !startsBlock(lines[i]))) {
+      paragraph.push(parseInline(lines[i].trim()));
+      i++;
+    }
+    blocks.push({ type: 'paragraph', lines: paragraph });
+  }
+
+  return blocks;
+}
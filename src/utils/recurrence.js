@@ -0,0 +1,43 @@
+// Human-readable summaries of task recurrence rules
+
+const UNITS = {
+  daily: 'day',
+  weekly: 'week',
+  monthly: 'month',
+  yearly: 'year'
+};
+
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Describe a recurrence rule, e.g. "Every 2 weeks on Mon, Thu until Mar 5, 2025"
+ * @param {Object|null} recurrence - { frequency, interval, weekdays, until, count }
+ * @returns {string} Summary, or an empty string for tasks that don't repeat
+ */
+export function describeRecurrence(recurrence) {
+  if (!recurrence?.frequency) return '';
+
+  const { frequency, interval = 1, weekdays = [], until, count } = recurrence;
+  const unit = UNITS[frequency] || frequency;
+
+  let summary = interval > 1
+    ? `Every ${interval} ${unit}s`
+    : frequency.charAt(0).toUpperCase() + frequency.slice(1);
+
+  if (frequency === 'weekly' && weekdays.length > 0) {
+    summary += ` on ${weekdays.map(day => WEEKDAY_NAMES[day]).join(', ')}`;
+  }
+
+  if (until) {
+    summary += ` until ${new Date(until).toLocaleDateString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric',
+      timeZone: 'UTC'
+    })}`;
+  } else if (count) {
+    summary += `, ${count} occurrence${count === 1 ? '' : 's'} left`;
+  }
+
+  return summary;
+}
@@ -0,0 +1,139 @@
+// Display and form helpers for workspace workflows: the statuses tasks move through and the
+// moves allowed between them. The server enforces the same rules (api/data/workflows.js).
+
+export const STATUS_CATEGORY_LABELS = {
+  todo: 'To do',
+  in_progress: 'In progress',
+  done: 'Done'
+};
+
+export const MAX_WORKFLOW_STATUSES = 12;
+export const MAX_STATUS_NAME_LENGTH = 30;
+
+// What personal tasks, and workspaces that never changed theirs, follow
+export const DEFAULT_WORKFLOW = {
+  statuses: [
+    { id: 'todo', name: 'To Do', category: 'todo' },
+    { id: 'in_progress', name: 'In Progress', category: 'in_progress' },
+    { id: 'completed', name: 'Completed', category: 'done' }
+  ],
+  transitions: {
+    todo: ['in_progress', 'completed'],
+    in_progress: ['todo', 'completed'],
+    completed: ['todo', 'in_progress']
+  }
+};
+
+/**
+ * The workflow a workspace's tasks follow
+ * @param {Object|null} workspace - Workspace, or null for personal tasks
+ * @returns {Object} { statuses, transitions }
+ */
+export function getWorkflow(workspace) {
+  return workspace?.workflow || DEFAULT_WORKFLOW;
+}
+
+/**
+ * Look up a status in a workflow
+ * @param {Object} workflow - Workflow
+ * @param {string} statusId - Status ID
+ * @returns {Object|null} { id, name, category }
+ */
+export function findStatus(workflow, statusId) {
+  return workflow.statuses.find(status => status.id === statusId) || null;
+}
+
+/**
+ * Display name of a status, e.g. "In review"; unknown IDs are shown as they are
+ * @param {Object} workflow - Workflow
+ * @param {string} statusId - Status ID
+ * @returns {string} Status name
+ */
+export function getStatusName(workflow, statusId) {
+  return findStatus(workflow, statusId)?.name || statusId.replace(/_/g, ' ');
+}
+
+/**
+ * Statuses a task may move to from its current one, in workflow order
+ * @param {Object} workflow - Workflow
+ * @param {string} from - Current status ID
+ * @returns {Object[]} Statuses
+ */
+export function getAllowedTransitions(workflow, from) {
+  const targets = workflow.transitions[from] || [];
+  return workflow.statuses.filter(status => targets.includes(status.id));
+}
+
+/**
+ * Whether a task may move between two statuses; staying put is always allowed
+ * @param {Object} workflow - Workflow
+ * @param {string} from - Current status ID
+ * @param {string} to - New status ID
+ * @returns {boolean} True when allowed
+ */
+export function canTransition(workflow, from, to) {
+  return from === to || (workflow.transitions[from] || []).includes(to);
+}
+
+/**
+ * The first status of a category, e.g. where "complete all" sends tasks
+ * @param {Object} workflow - Workflow
+ * @param {string} category - todo, in_progress or done
+ * @returns {Object|null} Status
+ */
+export function getFirstStatusOf(workflow, category) {
+  return workflow.statuses.find(status => status.category === category) || null;
+}
+
+/**
+ * Status ID for a new status, derived from its name: "In review" -> in_review. IDs already
+ * in use get a number appended.
+ * @param {string} name - Status name
+ * @param {string[]} takenIds - IDs of the workflow's other statuses
+ * @returns {string} Status ID
+ */
+export function statusIdFromName(name, takenIds = []) {
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^[^a-z]+|_+$/g, '').slice(0, 26) || 'status';
+  let id = slug;
+  for (let n = 2; takenIds.includes(id); n++) {
+    id = `${slug}_${n}`;
+  }
+  return id;
+}
+
+// How a move between categories reads on a button
+const TRANSITION_ACTIONS = {
+  start: { icon: '▶️', verb: 'Start' },
+  complete: { icon: '✅', verb: 'Complete' },
+  pause: { icon: '⏸️', verb: 'Pause' },
+  reopen: { icon: '🔄', verb: 'Reopen' },
+  move: { icon: '➡️', verb: null }
+};
+
+function getTransitionKind(fromCategory, toCategory) {
+  if (toCategory === 'done') return fromCategory === 'done' ? 'move' : 'complete';
+  if (fromCategory === 'done') return 'reopen';
+  if (fromCategory === toCategory) return 'move';
+  return toCategory === 'in_progress' ? 'start' : 'pause';
+}
+
+/**
+ * Buttons for the moves a task can make from its status. A move is labelled with its verb
+ * ("Start", "Complete") when no other move shares it, otherwise with the target status's name.
+ * @param {Object} workflow - Workflow
+ * @param {string} from - Current status ID
+ * @returns {Object[]} [{ status, kind, label }], kind being start, complete, pause, reopen or move
+ */
+export function getTransitionActions(workflow, from) {
+  const fromCategory = findStatus(workflow, from)?.category || 'todo';
+  const moves = getAllowedTransitions(workflow, from).map(status => ({
+    status,
+    kind: getTransitionKind(fromCategory, status.category)
+  }));
+
+  return moves.map(({ status, kind }) => {
+    const { icon, verb } = TRANSITION_ACTIONS[kind];
+    const unique = moves.filter(move => move.kind === kind).length === 1;
+    return { status, kind, label: `${icon} ${verb && unique ? verb : status.name}` };
+  });
+}